@@ -0,0 +1,153 @@
+// Modules under test
+const AuditLog = require('../models/AuditLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const AuditTombstone = require('../models/AuditTombstone');
+const auditChain = require('../utils/auditChain');
+
+describe('audit hash chain', () => {
+  // Build a chain in memory the way append() links entries
+  const buildChain = (count) => {
+    const entries = [];
+    let prevHash = AuditLog.GENESIS_HASH;
+    for (let sequence = 1; sequence <= count; sequence++) {
+      const entry = new AuditLog({
+        eventType: 'file_download',
+        action: 'File operation: file_download',
+        description: `Download ${sequence}`,
+        metadata: { fileName: `brief-${sequence}.pdf`, at: new Date(Date.UTC(2026, 0, sequence)).toISOString() },
+        timestamp: new Date(Date.UTC(2026, 0, sequence)),
+        retentionPeriod: 365,
+        sequence,
+        prevHash
+      });
+      entry.hash = AuditLog.computeHash(entry);
+      prevHash = entry.hash;
+      entries.push(entry.toObject());
+    }
+    return entries;
+  };
+
+  const stored = (records) => ({ sort: () => ({ lean: async () => records }) });
+
+  const mockTrail = ({ entries, checkpoints = [], tombstones = [] }) => {
+    jest.spyOn(AuditCheckpoint, 'find').mockReturnValue(stored(checkpoints));
+    jest.spyOn(AuditTombstone, 'find').mockReturnValue(stored(tombstones));
+    jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(auditChain, 'chainEntries').mockImplementation(async function* () {
+      yield* entries;
+    });
+  };
+
+  const signed = (record, Model) => ({
+    ...record,
+    keyId: auditChain.getPublicKey().keyId,
+    signature: auditChain.sign({ ...record, keyId: auditChain.getPublicKey().keyId }, Model.SIGNED_FIELDS)
+  });
+
+  // No AUDIT_SIGNING_KEY in tests: load the temporary key once, quietly
+  beforeAll(() => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    auditChain.getKeys();
+    warn.mockRestore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('hashes saved documents and stored records the same way', () => {
+    const [entry] = buildChain(1);
+    const doc = AuditLog.hydrate(entry);
+
+    expect(AuditLog.computeHash(doc)).toBe(entry.hash);
+    expect(AuditLog.computeHash({ ...entry, archived: true, archivedAt: new Date() })).toBe(entry.hash);
+    expect(AuditLog.computeHash({ ...entry, description: 'Download 2' })).not.toBe(entry.hash);
+  });
+
+  it('reports an intact chain up to its signed checkpoint', async () => {
+    const entries = buildChain(3);
+    const checkpoint = signed({
+      date: '2026-01-03',
+      firstSequence: 1,
+      lastSequence: 3,
+      entryCount: 3,
+      headHash: entries[2].hash,
+      previousSignatureHash: null,
+      createdAt: new Date('2026-01-03T23:00:00Z')
+    }, AuditCheckpoint);
+    mockTrail({ entries, checkpoints: [checkpoint] });
+
+    await expect(auditChain.verify()).resolves.toMatchObject({
+      intact: true,
+      entriesChecked: 3,
+      checkpointsChecked: 1,
+      head: { sequence: 3, hash: entries[2].hash },
+      unsealedEntries: 0,
+      firstBrokenLink: null
+    });
+  });
+
+  it('finds the first edited entry', async () => {
+    const entries = buildChain(3);
+    entries[1].description = 'Nothing to see here';
+    mockTrail({ entries });
+
+    const report = await auditChain.verify();
+    expect(report.intact).toBe(false);
+    expect(report.firstBrokenLink).toMatchObject({ sequence: 2, reason: 'Entry was changed after it was written' });
+  });
+
+  it('accepts removed entries only when a signed tombstone covers them', async () => {
+    const entries = buildChain(4);
+    const survivors = [entries[0], entries[3]];
+
+    mockTrail({ entries: survivors });
+    await expect(auditChain.verify()).resolves.toMatchObject({
+      intact: false,
+      firstBrokenLink: { sequence: 2, reason: 'Entries 2-3 are missing and no tombstone covers them' }
+    });
+
+    jest.restoreAllMocks();
+    const tombstone = signed({
+      firstSequence: 2,
+      lastSequence: 3,
+      count: 2,
+      prevHash: entries[1].prevHash,
+      lastHash: entries[2].hash,
+      digest: 'ab'.repeat(32),
+      from: entries[1].timestamp,
+      to: entries[2].timestamp,
+      reason: 'retention',
+      removedBy: null,
+      removedAt: new Date()
+    }, AuditTombstone);
+    mockTrail({ entries: survivors, tombstones: [tombstone] });
+    await expect(auditChain.verify()).resolves.toMatchObject({ intact: true, entriesChecked: 2, tombstonesChecked: 1 });
+
+    jest.restoreAllMocks();
+    mockTrail({ entries: survivors, tombstones: [{ ...tombstone, count: 1 }] });
+    await expect(auditChain.verify()).resolves.toMatchObject({
+      intact: false,
+      firstBrokenLink: { sequence: 2, reason: 'Tombstone for entries 2-3: signature does not match its contents' }
+    });
+  });
+
+  it('detects entries truncated after a checkpoint', async () => {
+    const entries = buildChain(3);
+    const checkpoint = signed({
+      date: '2026-01-03',
+      firstSequence: 1,
+      lastSequence: 3,
+      entryCount: 3,
+      headHash: entries[2].hash,
+      previousSignatureHash: null,
+      createdAt: new Date('2026-01-03T23:00:00Z')
+    }, AuditCheckpoint);
+    mockTrail({ entries: entries.slice(0, 2), checkpoints: [checkpoint] });
+
+    await expect(auditChain.verify()).resolves.toMatchObject({
+      intact: false,
+      firstBrokenLink: { sequence: 3 }
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Modules under test
+const AuditLog = require('../models/AuditLog');
+const AuditExport = require('../models/AuditExport');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const auditChain = require('../utils/auditChain');
+const auditExport = require('../utils/auditExport');
+
+describe('audit exports', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const entries = [1, 2, 3].map(sequence => ({
+    _id: new mongoose.Types.ObjectId(),
+    sequence,
+    eventType: 'file_download',
+    action: 'File operation: file_download',
+    description: sequence === 2 ? '=HYPERLINK("http://evil")' : `Download, part ${sequence}`,
+    userId,
+    success: true,
+    threatLevel: 'low',
+    timestamp: new Date(Date.UTC(2026, 0, sequence)),
+    hash: String(sequence).repeat(64)
+  }));
+
+  const exportJob = (format) => {
+    const job = new AuditExport({
+      requestedBy: userId,
+      format,
+      startDate: new Date('2025-06-01T00:00:00Z'),
+      endDate: new Date('2026-06-01T00:00:00Z'),
+      filters: { eventType: 'file_download' }
+    });
+    job.fileName = auditExport.dataFileName(job);
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    return job;
+  };
+
+  let directory;
+  let find;
+
+  beforeAll(() => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    auditChain.getKeys();
+    warn.mockRestore();
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-export-'));
+    auditExport.directory = directory;
+
+    const query = {
+      sort: () => query,
+      populate: () => query,
+      lean: () => query,
+      cursor: async function* () {
+        yield* entries;
+      }
+    };
+    find = jest.spyOn(AuditLog, 'find').mockReturnValue(query);
+    jest.spyOn(auditChain, 'loadHead').mockResolvedValue({ sequence: 3, hash: entries[2].hash });
+    jest.spyOn(AuditCheckpoint, 'findOne').mockReturnValue({ sort: () => ({ select: () => ({ lean: async () => null }) }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('streams gzipped NDJSON with a signed manifest', async () => {
+    const job = await auditExport.run(exportJob('ndjson.gz'));
+
+    expect(job.status).toBe('completed');
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'file_download' }));
+
+    const data = fs.readFileSync(auditExport.getFile(job, 'data').path);
+    const records = zlib.gunzipSync(data).toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(records.map(record => record.sequence)).toEqual([1, 2, 3]);
+    expect(records[0].userId).toBe(userId.toString());
+
+    const manifestBytes = fs.readFileSync(auditExport.getFile(job, 'manifest').path);
+    const manifest = JSON.parse(manifestBytes);
+    expect(manifest).toMatchObject({
+      exportId: job._id.toString(),
+      recordCount: 3,
+      sequences: { first: 1, last: 3 },
+      chainHead: { sequence: 3 },
+      file: { name: job.fileName, size: data.length, sha256: crypto.createHash('sha256').update(data).digest('hex') }
+    });
+    expect(job.sha256).toBe(manifest.file.sha256);
+
+    const signature = fs.readFileSync(auditExport.getFile(job, 'signature').path);
+    const publicKey = crypto.createPublicKey(auditChain.getPublicKey().publicKey);
+    expect(crypto.verify(null, manifestBytes, publicKey, signature)).toBe(true);
+    expect(crypto.verify(null, Buffer.from(manifestBytes.toString().replace('"recordCount": 3', '"recordCount": 2')), publicKey, signature)).toBe(false);
+  });
+
+  it('quotes CSV cells and neutralizes formulas', async () => {
+    const job = await auditExport.run(exportJob('csv'));
+    const lines = fs.readFileSync(auditExport.getFile(job, 'data').path, 'utf8').trim().split('\n');
+
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toMatch(/^Sequence,Timestamp,Event Type/);
+    expect(lines[1]).toContain('"Download, part 1"');
+    expect(lines[2]).toContain('"\'=HYPERLINK(""http://evil"")"');
+  });
+
+  it('removes partial files when an export fails', async () => {
+    find.mockReturnValue({
+      sort() { return this; },
+      populate() { return this; },
+      lean() { return this; },
+      cursor: async function* () {
+        yield entries[0];
+        throw new Error('cursor killed');
+      }
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const job = await auditExport.run(exportJob('jsonl'));
+    expect(job).toMatchObject({ status: 'failed', error: 'cursor killed' });
+    expect(fs.existsSync(auditExport.exportDirectory(job))).toBe(false);
+  });
+
+  it('rejects invalid requests before queueing', async () => {
+    await expect(auditExport.request({ requestedBy: userId, format: 'xml', startDate: '2026-01-01', endDate: '2026-02-01' }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(auditExport.request({ requestedBy: userId, startDate: '2026-02-01', endDate: '2026-01-01' }))
+      .rejects.toMatchObject({ status: 400, message: 'Start date must be before end date' });
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Modules under test
+const BlogPost = require('../models/BlogPost');
+const BlogComment = require('../models/BlogComment');
+const User = require('../models/User');
+const Mailer = require('../utils/mailer');
+const { submitComment, verifyComment } = require('../controllers/blogCommentController');
+
+describe('blog comments', () => {
+  const post = new BlogPost({
+    title: 'Contract review checklist',
+    slug: 'contract-review-checklist',
+    metaDescription: 'What to check before signing',
+    content: '<p>Read the indemnity clause.</p>',
+    category: 'Best Practices',
+    status: 'published',
+    author: new mongoose.Types.ObjectId()
+  });
+
+  const call = async (handler, req) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await handler({ params: {}, body: {}, get: () => 'jest', ip: '127.0.0.1', ...req }, res);
+    return res;
+  };
+
+  const findPost = (found) => jest.spyOn(BlogPost, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(found) });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('emails a confirmation link and only stores its hash', async () => {
+    findPost(post);
+    jest.spyOn(BlogComment, 'exists').mockResolvedValue(null);
+    const create = jest.spyOn(BlogComment, 'create').mockImplementation(async data => new BlogComment(data));
+    const send = jest.spyOn(Mailer, 'send').mockResolvedValue({ status: 'sent' });
+
+    const res = await call(submitComment, {
+      params: { slug: post.slug },
+      body: { name: 'Dana', email: 'Dana@Example.com', body: 'Useful <script>x</script>list, thanks.' }
+    });
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    const saved = create.mock.calls[0][0];
+    expect(saved).toMatchObject({ status: 'unverified', depth: 0, parent: null, body: 'Useful list, thanks.' });
+    const token = decodeURIComponent(send.mock.calls[0][0].html.match(/verify_comment=([^"#]+)/)[1]);
+    expect(saved.verifyTokenHash).toHaveLength(64);
+    expect(saved.verifyTokenHash).not.toContain(token);
+
+    // Confirming moves the comment into the moderation queue and tells the author
+    const update = jest.spyOn(BlogComment, 'findOneAndUpdate').mockResolvedValue(new BlogComment({ ...saved, status: 'pending' }));
+    jest.spyOn(BlogPost, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(post) });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ name: 'Author', email: 'author@example.com' }) });
+    const verified = await call(verifyComment, { body: { token } });
+    expect(update.mock.calls[0][0]).toMatchObject({ verifyTokenHash: saved.verifyTokenHash, status: 'unverified' });
+    expect(verified.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: { status: 'pending' } }));
+    expect(send.mock.calls[1][0]).toMatchObject({ to: 'author@example.com', subject: `New comment on ${post.title}` });
+  });
+
+  it('turns away closed posts and sends known spammers straight to spam', async () => {
+    findPost(new BlogPost({ ...post.toObject(), allowComments: false }));
+    const closed = await call(submitComment, { params: { slug: post.slug }, body: { name: 'Dana', email: 'dana@example.com', body: 'Hi' } });
+    expect(closed.status).toHaveBeenCalledWith(403);
+
+    jest.spyOn(BlogComment, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const create = jest.spyOn(BlogComment, 'create').mockImplementation(async data => new BlogComment(data));
+    const { comment, token } = await BlogComment.submit({ post: post._id, name: 'Bot', email: 'bot@example.com', body: 'Buy now' });
+    expect(token).toBeNull();
+    expect(comment.status).toBe('spam');
+    expect(create.mock.calls[0][0].verifyTokenHash).toBeUndefined();
+  });
+
+  it('threads approved comments and flattens replies past the maximum depth', async () => {
+    const at = minutes => new Date(Date.UTC(2026, 2, 1, 9, minutes));
+    const id = () => new mongoose.Types.ObjectId();
+    const [a, b, c, d] = [id(), id(), id(), id()];
+    const comments = [
+      { _id: a, parent: null, name: 'A', body: 'First', createdAt: at(0) },
+      { _id: b, parent: a, name: 'B', body: 'Reply', createdAt: at(1) },
+      { _id: c, parent: null, name: 'C', body: 'Second', createdAt: at(2) },
+      // Its parent was marked as spam, so it isn't listed
+      { _id: d, parent: id(), name: 'D', body: 'Orphan', createdAt: at(3) }
+    ];
+
+    const threads = BlogComment.thread(comments);
+    expect(threads.map(t => [t.name, t.replies.map(r => r.name)])).toEqual([['A', ['B']], ['C', []]]);
+    expect(threads[0]).not.toHaveProperty('email');
+
+    jest.spyOn(BlogComment, 'exists').mockResolvedValue(null);
+    const create = jest.spyOn(BlogComment, 'create').mockImplementation(async data => new BlogComment(data));
+    const deepest = { _id: id(), parent: id(), depth: BlogComment.MAX_DEPTH };
+    await BlogComment.submit({ post: post._id, name: 'E', email: 'e@example.com', body: 'Deep reply' }, deepest);
+    expect(create.mock.calls[0][0]).toMatchObject({ parent: deepest.parent, depth: BlogComment.MAX_DEPTH });
+  });
+});
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// sharp (image processing) isn't needed to compare revisions
+jest.mock('../middleware/upload', () => ({
+  processImages: jest.fn(),
+  deleteImage: jest.fn()
+}));
+
+// Modules under test
+const BlogPost = require('../models/BlogPost');
+const BlogRevision = require('../models/BlogRevision');
+const TextDiff = require('../utils/textDiff');
+const { compareWithLive } = require('../controllers/blogController');
+
+describe('blog revisions', () => {
+  const side = (segments, skip) => segments.filter(segment => segment.type !== skip).map(segment => segment.value).join('');
+
+  const post = () => new BlogPost({
+    title: 'Contract review checklist',
+    slug: 'contract-review-checklist',
+    metaDescription: 'What to check before signing',
+    content: '<p>Read the indemnity clause.</p><p>Check the governing law.</p>',
+    category: 'Best Practices',
+    tags: ['contracts'],
+    status: 'published',
+    author: new mongoose.Types.ObjectId()
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('diffs words and HTML so each side reads back as its own text', () => {
+    const before = 'Read the indemnity clause before signing.';
+    const after = 'Read the limitation of liability clause before you sign.';
+    const words = TextDiff.diffWords(before, after);
+
+    expect(side(words, 'insert')).toBe(before);
+    expect(side(words, 'delete')).toBe(after);
+    expect(words).toContainEqual({ type: 'delete', value: 'indemnity ' });
+    expect(words).toContainEqual({ type: 'insert', value: 'limitation of liability ' });
+    expect(words).toContainEqual({ type: 'delete', value: 'signing' });
+    expect(words).toContainEqual({ type: 'insert', value: 'you sign' });
+
+    const html = TextDiff.diffHtml('<p>One</p><p>Two</p>', '<p>One</p><h2>New</h2><p>Two</p>');
+    expect(html).toEqual([
+      { type: 'equal', value: '<p>One</p>\n' },
+      { type: 'insert', value: '<h2>New</h2>\n' },
+      { type: 'equal', value: '<p>Two</p>' }
+    ]);
+    expect(TextDiff.htmlToText('<p>Fees &amp; costs<br>apply</p>')).toBe('Fees & costs\napply');
+  });
+
+  it('records only saves that change something', async () => {
+    const blogPost = post();
+    const latest = { revision: 3, snapshot: BlogRevision.snapshotOf(blogPost) };
+    jest.spyOn(BlogRevision, 'findOne').mockReturnValue({ sort: () => ({ lean: async () => latest }) });
+    const create = jest.spyOn(BlogRevision, 'create').mockImplementation(async (data) => data);
+
+    await expect(BlogRevision.record(blogPost)).resolves.toBeNull();
+
+    blogPost.title = 'Contract review: a checklist';
+    blogPost.tags.push('checklists');
+    await expect(BlogRevision.record(blogPost, { reason: 'update' })).resolves.toMatchObject({
+      revision: 4,
+      changedFields: ['title', 'tags'],
+      snapshot: { title: 'Contract review: a checklist' }
+    });
+
+    // A restore is recorded even when it matches the latest revision
+    await BlogRevision.record(blogPost, { reason: 'restore', restoredFrom: 2 });
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  it('compares an update with the live post without saving it', async () => {
+    const live = post();
+    jest.spyOn(BlogPost, 'findById').mockResolvedValue(live);
+    const save = jest.spyOn(BlogPost.prototype, 'save');
+
+    const req = {
+      user: { _id: new mongoose.Types.ObjectId(), role: 'staff', isActive: true },
+      params: { id: live._id.toString() },
+      body: {
+        content: '<p>Read the indemnity clause.</p><p>Check the governing law and venue.</p>',
+        tags: ['contracts', 'disputes']
+      }
+    };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await compareWithLive(req, res);
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data.from.label).toBe('Live');
+    expect(data.changes.map(change => change.field)).toEqual(['content', 'tags']);
+    expect(data.changes[0].text).toContainEqual({ type: 'insert', value: ' and venue' });
+    expect(data.changes[1]).toEqual({ field: 'tags', before: ['contracts'], after: ['contracts', 'disputes'] });
+    expect(live.content).toBe('<p>Read the indemnity clause.</p><p>Check the governing law.</p>');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
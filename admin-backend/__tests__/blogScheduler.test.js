@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// sharp (image processing) isn't needed to schedule posts
+jest.mock('../middleware/upload', () => ({
+  processImages: jest.fn(),
+  deleteImage: jest.fn()
+}));
+
+// Modules under test
+const BlogPost = require('../models/BlogPost');
+const BlogRevision = require('../models/BlogRevision');
+const blogScheduler = require('../utils/blogScheduler');
+const { compareWithLive } = require('../controllers/blogController');
+
+describe('blog scheduler', () => {
+  const now = new Date('2026-03-02T09:00:00Z');
+  const hoursFromNow = hours => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+  const post = (fields) => new BlogPost({
+    title: 'Contract review checklist',
+    metaDescription: 'What to check before signing',
+    content: '<p>Read the indemnity clause.</p>',
+    category: 'Best Practices',
+    author: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('flips each due post exactly once, even when runs overlap', async () => {
+    const posts = [
+      post({ status: 'scheduled', publishAt: hoursFromNow(-2) }),
+      // Published before, unpublished and now scheduled again
+      post({ status: 'scheduled', publishedAt: hoursFromNow(-72), publishAt: hoursFromNow(-1), unpublishAt: hoursFromNow(-0.5) }),
+      post({ status: 'scheduled', publishAt: hoursFromNow(1) }),
+      post({ status: 'published', publishedAt: hoursFromNow(-48), unpublishAt: hoursFromNow(-3) })
+    ];
+
+    // Conditional update on status and date, like the database does it
+    const update = jest.spyOn(BlogPost, 'findOneAndUpdate').mockImplementation(async (filter) => {
+      const dateField = filter.publishAt ? 'publishAt' : 'unpublishAt';
+      const found = posts.find(p => p.status === filter.status && p[dateField] && p[dateField] <= filter[dateField].$lte);
+      if (!found) return null;
+      if (found.status === 'scheduled') {
+        found.status = 'published';
+        found.publishedAt = found.publishAt;
+        found.publishAt = null;
+      } else {
+        found.status = 'archived';
+        found.unpublishAt = null;
+      }
+      return found;
+    });
+    const record = jest.spyOn(BlogRevision, 'record').mockResolvedValue(null);
+
+    const [first, second] = await Promise.all([blogScheduler.processDue(now), blogScheduler.processDue(now)]);
+
+    expect(first.published.length + second.published.length).toBe(2);
+    expect(first.unpublished.length + second.unpublished.length).toBe(2);
+    expect(posts.map(p => p.status)).toEqual(['published', 'archived', 'scheduled', 'archived']);
+    expect(posts[0].publishedAt).toEqual(hoursFromNow(-2));
+    expect(posts[1].publishedAt).toEqual(hoursFromNow(-1));
+    expect(update.mock.calls.find(([filter]) => filter.publishAt)[1][0].$set.publishedAt).toBe('$publishAt');
+    expect(record).toHaveBeenCalledTimes(4);
+    expect(record).toHaveBeenCalledWith(posts[0], { reason: 'schedule' });
+
+    await expect(blogScheduler.processDue(now)).resolves.toEqual({ published: [], unpublished: [] });
+  });
+
+  it('rejects schedules that are missing or already past', async () => {
+    const blogPost = post({ status: 'draft' });
+    const editor = { _id: new mongoose.Types.ObjectId(), role: 'staff', isActive: true };
+    jest.spyOn(BlogPost, 'findById').mockResolvedValue(blogPost);
+    const send = async (body) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await compareWithLive({ user: editor, params: { id: blogPost._id.toString() }, body }, res);
+      return res;
+    };
+
+    let res = await send({ status: 'scheduled' });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Scheduled posts need a publish date' });
+
+    res = await send({ status: 'scheduled', publishAt: '2020-01-01T00:00:00Z' });
+    expect(res.json).toHaveBeenCalledWith({ message: 'The publish date must be in the future' });
+
+    const publishAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    res = await send({ status: 'scheduled', publishAt: publishAt.toISOString(), unpublishAt: publishAt.toISOString() });
+    expect(res.json).toHaveBeenCalledWith({ message: 'The unpublish date must be after the post goes live' });
+
+    res = await send({ status: 'scheduled', publishAt: publishAt.toISOString(), unpublishAt: '' });
+    expect(res.status).not.toHaveBeenCalled();
+    const { changes } = res.json.mock.calls[0][0].data;
+    expect(changes.map(change => change.field)).toEqual(['status', 'publishAt']);
+  });
+});
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Modules under test
+const BlogPost = require('../models/BlogPost');
+const blogSync = require('../utils/blogSync');
+
+describe('blog sync', () => {
+  const content = `<p>${'Read the indemnity clause before you sign. '.repeat(10)}</p>`;
+
+  const post = (fields) => new BlogPost({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Contract review checklist',
+    slug: 'contract-review-checklist',
+    metaDescription: 'What to check before signing',
+    content,
+    category: 'Best Practices',
+    tags: ['contracts'],
+    status: 'published',
+    author: new mongoose.Types.ObjectId(),
+    updatedAt: new Date('2026-03-01T09:00:00Z'),
+    ...fields
+  });
+
+  // The row blog-backend would hold for a post, as GET /internal/sync/posts lists it
+  const rowFor = (blogPost, fields) => ({
+    ...blogSync.toPublic(blogPost),
+    id: 7,
+    source_id: null,
+    updated_at: '2026-03-01T09:00:00.000Z',
+    ...fields
+  });
+
+  it('pushes admin posts, imports public ones and settles slugs on both sides', () => {
+    const linked = post({ title: 'Linked post', slug: 'linked-post' });
+    const edited = post({ title: 'Edited post', slug: 'edited-post' });
+    const adminOnly = post({ title: 'Admin only', slug: 'admin-only', status: 'in_review' });
+    const twin = post({ title: 'Twin', slug: 'twin' });
+    const clash = post({ title: 'Clash', slug: 'clash' });
+
+    const rows = [
+      rowFor(linked, { source_id: linked._id.toString() }),
+      rowFor(edited, { source_id: edited._id.toString(), title: 'Old title' }),
+      rowFor(twin),
+      rowFor(clash, { content: '<p>Rewritten on the public site</p>', updated_at: '2026-03-05T09:00:00.000Z' }),
+      { ...rowFor(post({ slug: 'public-only' })), id: 9 },
+      { ...rowFor(post({ slug: 'deleted-here' })), source_id: new mongoose.Types.ObjectId().toString() }
+    ];
+
+    const summary = actions => actions.map(({ type, reason, changes }) => [type, reason || null, changes || []]);
+    const actions = blogSync.plan([linked, edited, adminOnly, twin, clash], rows);
+
+    expect(summary(actions)).toEqual([
+      ['unchanged', null, []],
+      ['push', 'update', ['title']],
+      ['push', 'link', []],
+      ['pull', 'conflict: public version kept', ['content']],
+      ['import', 'only on the public site', []],
+      ['delete', 'post deleted in the admin dashboard', []],
+      ['push', 'create', []]
+    ]);
+    expect(actions[6].post).toBe(adminOnly);
+    expect(blogSync.toPublic(adminOnly).status).toBe('draft');
+
+    // Without a winner the conflict is only reported
+    expect(blogSync.plan([clash], [rows[3]], { prefer: 'skip' })[0].type).toBe('conflict');
+    expect(blogSync.plan([clash], [rows[3]], { prefer: 'admin' })[0]).toMatchObject({ type: 'push', reason: 'conflict: admin version kept' });
+    expect(() => blogSync.plan([], [], { prefer: 'mine' })).toThrow('prefer must be one of');
+  });
+
+  it('fits public posts into the admin model', () => {
+    const title = 'A very long title about outsourcing legal research to offshore teams in 2026';
+    const { fields, notes } = blogSync.fromPublic({
+      title,
+      slug: 'long-title',
+      content,
+      meta_description: '',
+      excerpt: 'Short summary',
+      status: 'published',
+      images: ['/uploads/chart.png', { url: 'https://cdn.example.com/a.png', altText: 'Chart' }],
+      categories: ['Legal Research', 'Compliance and Security'],
+      tags: ['offshore'],
+      schema_markup: {}
+    });
+
+    expect(fields.title.length).toBeLessThanOrEqual(60);
+    expect(fields.category).toBe('Compliance & Security');
+    expect(fields.tags).toEqual(['Legal Research', 'offshore']);
+    expect(fields.metaDescription).toBe('Short summary');
+    expect(fields.images.map(image => image.altText)).toEqual([title, 'Chart']);
+    expect(notes).toEqual(['title shortened to 60 characters', 'meta description taken from the post']);
+
+    const imported = new BlogPost({ ...fields, author: new mongoose.Types.ObjectId() });
+    expect(imported.validateSync()).toBeUndefined();
+
+    expect(blogSync.fromPublic({ title: 'Untitled', content, categories: [] }).fields.category).toBe('Industry Trends');
+  });
+
+  it('pushes a post again when it is saved while its push is in flight', async () => {
+    process.env.BLOG_BACKEND_URL = 'http://blog-backend:3001';
+    process.env.INTERNAL_API_KEY = 'internal-key';
+    const saved = post();
+    const pushedTitles = [];
+    let finishFirstPush;
+
+    jest.spyOn(BlogPost, 'findById').mockImplementation(() => ({ populate: async () => saved }));
+    jest.spyOn(blogSync, 'pushPost').mockImplementation(async (pushed) => {
+      pushedTitles.push(pushed.title);
+      if (pushedTitles.length === 1) {
+        await new Promise(resolve => { finishFirstPush = resolve; });
+      }
+    });
+
+    try {
+      const flushed = blogSync.postChanged(saved);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(pushedTitles).toEqual(['Contract review checklist']);
+
+      // Saved again before the first push returns
+      saved.title = 'Contract review checklist for 2026';
+      expect(blogSync.postChanged(saved)).toBe(flushed);
+      finishFirstPush();
+      await flushed;
+
+      expect(pushedTitles).toEqual(['Contract review checklist', 'Contract review checklist for 2026']);
+      expect(blogSync.pending.size).toBe(0);
+    } finally {
+      jest.restoreAllMocks();
+      delete process.env.BLOG_BACKEND_URL;
+      delete process.env.INTERNAL_API_KEY;
+    }
+  });
+});
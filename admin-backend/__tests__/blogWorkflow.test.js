@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// sharp (image processing) isn't needed to review posts
+jest.mock('../middleware/upload', () => ({
+  processImages: jest.fn(),
+  deleteImage: jest.fn()
+}));
+
+// Modules under test
+const BlogPost = require('../models/BlogPost');
+const BlogRevision = require('../models/BlogRevision');
+const BlogReviewComment = require('../models/BlogReviewComment');
+const BlogWorkflow = require('../utils/blogWorkflow');
+const BlogReviewNotifier = require('../utils/blogReviewNotifier');
+const { changeBlogPostStatus } = require('../controllers/blogController');
+
+describe('blog editorial workflow', () => {
+  const user = (role) => ({ _id: new mongoose.Types.ObjectId(), name: role, role, isActive: true });
+  const contributor = user('contributor');
+  const editor = user('staff');
+
+  const post = (fields) => new BlogPost({
+    title: 'Contract review checklist',
+    metaDescription: 'What to check before signing',
+    content: '<p>Read the indemnity clause.</p>',
+    category: 'Best Practices',
+    author: contributor._id,
+    ...fields
+  });
+
+  const send = async (req) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await changeBlogPostStatus(req, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(BlogRevision, 'exists').mockResolvedValue(true);
+    jest.spyOn(BlogRevision, 'record').mockResolvedValue(null);
+    jest.spyOn(BlogPost.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(BlogPost.prototype, 'populate').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets contributors draft and submit but not publish', () => {
+    expect(BlogWorkflow.allowedTransitions(contributor, 'draft')).toEqual(['in_review', 'archived']);
+    expect(BlogWorkflow.allowedTransitions(contributor, 'in_review')).toEqual(['draft']);
+    expect(BlogWorkflow.checkTransition(contributor, 'draft', 'published'))
+      .toBe("You don't have permission to move a post from draft to published");
+    expect(BlogWorkflow.checkTransition(contributor, 'published', 'published'))
+      .toBe('Only editors can change scheduled or published posts');
+    expect(BlogWorkflow.checkTransition(editor, 'in_review', 'approved')).toBeNull();
+    expect(BlogWorkflow.checkTransition(editor, 'changes_requested', 'published'))
+      .toBe("A post can't move from changes_requested to published");
+    expect(BlogWorkflow.needsReviewAfterEdit(contributor, 'approved')).toBe(true);
+    expect(BlogWorkflow.needsReviewAfterEdit(editor, 'approved')).toBe(false);
+  });
+
+  it('records each step and tells the other side', async () => {
+    const blogPost = post({ status: 'draft' });
+    jest.spyOn(BlogPost, 'findById').mockResolvedValue(blogPost);
+    const submitted = jest.spyOn(BlogReviewNotifier, 'submitted').mockResolvedValue([]);
+    const reviewed = jest.spyOn(BlogReviewNotifier, 'reviewed').mockResolvedValue(null);
+    const openComments = [{ quote: 'indemnity clause', body: 'Name the clause number' }];
+    jest.spyOn(BlogReviewComment, 'find').mockReturnValue({ sort: async () => openComments });
+
+    let res = await send({ user: contributor, params: { id: blogPost._id.toString() }, body: { status: 'published' } });
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(blogPost.status).toBe('draft');
+
+    res = await send({ user: contributor, params: { id: blogPost._id.toString() }, body: { status: 'in_review' } });
+    expect(res.status).not.toHaveBeenCalled();
+    expect(submitted).toHaveBeenCalledWith(blogPost, contributor);
+
+    res = await send({
+      user: editor,
+      params: { id: blogPost._id.toString() },
+      body: { status: 'changes_requested', note: 'Close, see the comments' }
+    });
+    expect(reviewed).toHaveBeenCalledWith(blogPost, editor, 'Close, see the comments', openComments);
+
+    expect(blogPost.statusHistory.map(({ from, to, changedBy }) => [from, to, changedBy.toString()])).toEqual([
+      ['draft', 'in_review', contributor._id.toString()],
+      ['in_review', 'changes_requested', editor._id.toString()]
+    ]);
+    expect(blogPost.getSubmitter().toString()).toBe(contributor._id.toString());
+  });
+});
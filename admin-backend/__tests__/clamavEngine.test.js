@@ -0,0 +1,150 @@
+const net = require('net');
+
+// Modules under test
+const ClamAVEngine = require('../utils/clamavEngine');
+const malwareScanner = require('../utils/malwareScanner');
+const HashBlocklist = require('../models/HashBlocklist');
+
+// The fake clamd flags this marker; no real test signature needs to live in the repo
+const MARKER = 'FAKE-CLAMD-TEST-SIGNATURE';
+
+// Minimal clamd speaking the z-prefixed PING / VERSION / INSTREAM commands
+function startFakeClamd({ streamMaxLength = 1024 * 1024 } = {}) {
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let command = null;
+    const received = [];
+    let receivedLength = 0;
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      if (!command) {
+        const end = buffer.indexOf(0);
+        if (end === -1) return;
+        command = buffer.toString('utf8', 1, end);
+        buffer = buffer.subarray(end + 1);
+
+        if (command === 'PING') return socket.end('PONG\0');
+        if (command === 'VERSION') return socket.end('ClamAV 1.2.1/27064/Tue Oct 15 08:36:26 2024\0');
+        if (command !== 'INSTREAM') return socket.end('UNKNOWN COMMAND\0');
+      }
+
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0);
+        if (length === 0) {
+          const content = Buffer.concat(received).toString('latin1');
+          return socket.end(content.includes(MARKER) ? 'stream: Test.Marker-1 FOUND\0' : 'stream: OK\0');
+        }
+        if (buffer.length < 4 + length) return;
+
+        received.push(buffer.subarray(4, 4 + length));
+        receivedLength += length;
+        buffer = buffer.subarray(4 + length);
+
+        if (receivedLength > streamMaxLength) {
+          return socket.end('INSTREAM size limit exceeded. ERROR\0');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port }));
+  });
+}
+
+describe('ClamAVEngine', () => {
+  let clamd;
+  let engine;
+
+  beforeAll(async () => {
+    clamd = await startFakeClamd({ streamMaxLength: 256 * 1024 });
+    engine = new ClamAVEngine({ port: clamd.port, timeout: 2000, chunkSize: 1000 });
+  });
+
+  afterAll(() => new Promise(resolve => clamd.server.close(resolve)));
+
+  it('pings and reads the signature version', async () => {
+    expect(await engine.ping()).toBe(true);
+    expect(await engine.getVersion()).toEqual({
+      version: 'ClamAV 1.2.1',
+      signatureVersion: 27064,
+      signatureDate: new Date('Tue Oct 15 08:36:26 2024')
+    });
+  });
+
+  it('streams content in chunks and reports detections', async () => {
+    const padding = Buffer.alloc(5000, 'a');
+    expect(await engine.scanBuffer(Buffer.concat([padding, Buffer.from('clean document')])))
+      .toEqual({ isInfected: false, signature: null });
+    expect(await engine.scanBuffer(Buffer.concat([padding, Buffer.from(MARKER)])))
+      .toEqual({ isInfected: true, signature: 'Test.Marker-1' });
+  });
+
+  it('surfaces clamd errors such as the stream size limit', async () => {
+    await expect(engine.scanBuffer(Buffer.alloc(512 * 1024))).rejects.toThrow('clamd error: INSTREAM size limit exceeded.');
+  });
+
+  it('fails when clamd is unreachable', async () => {
+    const closed = await startFakeClamd();
+    await new Promise(resolve => closed.server.close(resolve));
+    const unreachable = new ClamAVEngine({ port: closed.port, timeout: 2000 });
+    await expect(unreachable.ping()).rejects.toThrow(/clamd at 127\.0\.0\.1/);
+  });
+
+  describe('as a MalwareScanner engine', () => {
+    const originalEngines = malwareScanner.engines;
+
+    afterEach(() => {
+      malwareScanner.engines = originalEngines;
+      malwareScanner.engineVersions.clear();
+      malwareScanner.failClosed = false;
+    });
+
+    it('rejects uploads the engine detects and records its verdict', async () => {
+      malwareScanner.registerEngine(engine);
+
+      const result = await malwareScanner.scanFile('notes.txt', Buffer.from(`see below\n${MARKER}`));
+      expect(result.isClean).toBe(false);
+      expect(result.threats).toContain('clamav detected Test.Marker-1');
+      expect(result.engines[0]).toMatchObject({ name: 'clamav', signatureVersion: 27064, isInfected: true });
+    });
+
+    it('only warns when the engine is down unless configured to fail closed', async () => {
+      malwareScanner.registerEngine(new ClamAVEngine({ port: 1, timeout: 500 }));
+
+      const open = await malwareScanner.scanFile('notes.txt', Buffer.from('hello'));
+      expect(open.isClean).toBe(true);
+      expect(open.warnings.join('\n')).toMatch(/clamav scan failed/);
+
+      malwareScanner.failClosed = true;
+      const closed = await malwareScanner.scanFile('notes.txt', Buffer.from('hello'));
+      expect(closed.isClean).toBe(false);
+    });
+  });
+});
+
+describe('HashBlocklist.parseSignatures', () => {
+  it('accepts bare hashes and ClamAV hdb/hsb lines', () => {
+    const { entries, errors } = HashBlocklist.parseSignatures([
+      '# exported from incident 42',
+      '44D88612FEA8A8F36DE82E1278ABB02F:68:Eicar-Test-Signature',
+      '3395856ce81f2b7382dee72602f798b642f14140',
+      '275a021bbfb6489e54d471899f7db9d1663fc695ec2fe2a2c4538aabf651fd0f:*:Eicar.SHA256',
+      'not-a-hash',
+      'd41d8cd98f00b204e9800998ecf8427e:abc:Bad size'
+    ].join('\n'));
+
+    expect(entries).toEqual([
+      { hash: '44d88612fea8a8f36de82e1278abb02f', algorithm: 'md5', fileSize: 68, name: 'Eicar-Test-Signature' },
+      { hash: '3395856ce81f2b7382dee72602f798b642f14140', algorithm: 'sha1', fileSize: null, name: undefined },
+      { hash: '275a021bbfb6489e54d471899f7db9d1663fc695ec2fe2a2c4538aabf651fd0f', algorithm: 'sha256', fileSize: null, name: 'Eicar.SHA256' }
+    ]);
+    expect(errors).toEqual([
+      { line: 5, message: 'Not an MD5, SHA-1 or SHA-256 hash' },
+      { line: 6, message: 'Invalid file size' }
+    ]);
+  });
+});
@@ -1,5 +1,11 @@
+const express = require('express');
+const mongoose = require('mongoose');
+
 // Module under test
 const fileController = require('../controllers/fileController');
+const secureFileHandler = require('../middleware/secureFileHandler');
+const File = require('../models/File');
+const FileAuditLog = require('../models/FileAuditLog');
 
 // Mock dependencies used inside the controller as needed
 jest.mock('../middleware/secureFileHandler', () => ({
@@ -11,7 +17,10 @@ jest.mock('../middleware/secureFileHandler', () => ({
     mimeType: 'text/plain',
     size: 4
   })),
-  generateSecureDownloadUrl: jest.fn(() => ({ url: '/api/files/download/1?token=abc', expiresAt: new Date().toISOString() }))
+  generateSecureDownloadUrl: jest.fn(() => ({ url: '/api/files/download/1?token=abc', expiresAt: new Date().toISOString() })),
+  resolveFileAccess: jest.fn(async () => ({ granted: true, shareId: null })),
+  getFileSize: jest.fn(async () => 10),
+  openFileStream: jest.fn()
 }));
 
 jest.mock('fs', () => ({
@@ -106,6 +115,83 @@ describe('fileController', () => {
     expect(res.status).toHaveBeenCalledWith(400);
     expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
   });
-});
-
 
+  describe('downloadFile with a Range header', () => {
+    const fileId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+    const size = 10;
+
+    // Express parses the Range header through req.range()
+    const download = async (range) => {
+      const req = Object.assign(Object.create(express.request), {
+        params: { fileId: fileId.toString() },
+        query: { token: 'abc' },
+        headers: range ? { range } : {},
+        user: { id: userId.toString(), role: 'client' }
+      });
+      const res = createRes();
+      await fileController.downloadFile(req, res);
+      return res;
+    };
+
+    beforeEach(() => {
+      Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+      jest.spyOn(File, 'findById').mockReturnValue({
+        lean: async () => ({ _id: fileId, originalName: 'test.txt', mimeType: 'text/plain', uploadDate: new Date(), uploadedBy: userId, status: 'encrypted' })
+      });
+      jest.spyOn(FileAuditLog, 'create').mockResolvedValue({});
+      secureFileHandler.getFileSize.mockResolvedValue(size);
+      secureFileHandler.openFileStream.mockImplementation(async (metadata, user, range) => {
+        const start = range ? range.start : 0;
+        const end = range ? range.end : size - 1;
+        return {
+          stream: { on: jest.fn(), pipe: jest.fn(), destroy: jest.fn() },
+          size,
+          start,
+          end,
+          length: end - start + 1,
+          originalName: metadata.originalName,
+          mimeType: metadata.mimeType
+        };
+      });
+    });
+
+    afterEach(() => {
+      delete mongoose.connection.readyState;
+      jest.restoreAllMocks();
+    });
+
+    test('serves a suffix range as 206 and lets the token be reused', async () => {
+      const res = await download('bytes=-4');
+
+      expect(secureFileHandler.validateDownloadToken).toHaveBeenCalledWith('abc', fileId.toString(), expect.objectContaining({ allowReuse: true }));
+      expect(secureFileHandler.openFileStream.mock.calls[0][2]).toEqual({ start: 6, end: 9 });
+      expect(res.status).toHaveBeenCalledWith(206);
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Range', 'bytes 6-9/10');
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Length', 4);
+    });
+
+    test('answers an unsatisfiable range with 416 and the file size', async () => {
+      const res = await download('bytes=20-30');
+
+      expect(res.status).toHaveBeenCalledWith(416);
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Range', 'bytes */10');
+      expect(secureFileHandler.openFileStream).not.toHaveBeenCalled();
+    });
+
+    test('audits a download once, at its first byte', async () => {
+      const full = await download();
+      expect(full.status).toHaveBeenCalledWith(200);
+      expect(secureFileHandler.validateDownloadToken.mock.calls[0][2]).toMatchObject({ allowReuse: false });
+      expect(FileAuditLog.create).toHaveBeenCalledTimes(1);
+
+      await download('bytes=0-4');
+      expect(FileAuditLog.create).toHaveBeenCalledTimes(2);
+
+      // Resuming or seeking later in the file is part of the same download
+      const resumed = await download('bytes=5-');
+      expect(resumed.setHeader).toHaveBeenCalledWith('Content-Range', 'bytes 5-9/10');
+      expect(FileAuditLog.create).toHaveBeenCalledTimes(2);
+    });
+  });
+});
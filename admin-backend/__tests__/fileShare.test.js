@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Modules under test
+const FileShare = require('../models/FileShare');
+const secureFileHandler = require('../middleware/secureFileHandler');
+
+describe('external file share links', () => {
+  const link = (overrides = {}) => new FileShare({
+    fileId: new mongoose.Types.ObjectId(),
+    type: 'external',
+    sharedBy: new mongoose.Types.ObjectId(),
+    recipientEmail: 'recipient@example.com',
+    maxDownloads: 2,
+    ...overrides
+  });
+
+  // The handler creates its directories on load; let that finish inside the suite
+  beforeAll(() => secureFileHandler.initializeDirectories());
+
+  it('stores only the hash of the link token', () => {
+    const share = link();
+    const token = share.issueLinkToken();
+    expect(share.tokenHash).toBe(FileShare.hashToken(token));
+    expect(share.tokenHash).not.toContain(token);
+  });
+
+  it('stops working once revoked, expired or out of downloads', () => {
+    expect(link().isActive()).toBe(true);
+    expect(link({ revokedAt: new Date() }).isActive()).toBe(false);
+    expect(link({ expiresAt: new Date(Date.now() - 1000) }).isActive()).toBe(false);
+    expect(link({ downloadCount: 2 }).isActive()).toBe(false);
+  });
+
+  it('accepts a one-time code once and locks it after repeated wrong guesses', () => {
+    const share = link();
+    const code = share.generateOtp();
+    expect(share.verifyOtp(code)).toBe(true);
+    expect(share.verifyOtp(code)).toBe(false);
+
+    const guessed = share.generateOtp();
+    const wrong = guessed === '000000' ? '000001' : '000000';
+    for (let i = 0; i < 5; i++) {
+      expect(share.verifyOtp(wrong)).toBe(false);
+    }
+    expect(share.verifyOtp(guessed)).toBe(false);
+  });
+
+  it('checks the optional password', async () => {
+    const open = link();
+    await open.setPassword(null);
+    expect(await open.checkPassword(undefined)).toBe(true);
+
+    const locked = link();
+    await locked.setPassword('correct horse');
+    expect(await locked.checkPassword('correct horse')).toBe(true);
+    expect(await locked.checkPassword('wrong')).toBe(false);
+  });
+
+  it('invalidates outstanding download tokens when a share is revoked', async () => {
+    const share = link();
+    const { token } = await secureFileHandler.issueShareDownloadToken(share);
+    const other = await secureFileHandler.issueShareDownloadToken(link());
+
+    expect(await secureFileHandler.revokeShareTokens(share._id)).toBe(1);
+    expect(await secureFileHandler.validateDownloadToken(token, share.fileId.toString(), { shareId: share._id })).toBe(false);
+    expect(await secureFileHandler.validateDownloadToken(other.token, 'wrong-file')).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Modules under test
+const File = require('../models/File');
+const secureFileHandler = require('../middleware/secureFileHandler');
+
+describe('file version history', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const fileId = new mongoose.Types.ObjectId();
+
+  const version = (overrides = {}) => ({
+    originalName: 'contract.docx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    fileSize: 1000,
+    scanResult: { fileHash: { sha256: 'a'.repeat(64) } },
+    ...overrides
+  });
+
+  const storedFile = (overrides = {}) => ({
+    _id: fileId,
+    uploadedBy: ownerId,
+    clientId: null,
+    matterId: null,
+    documentId: fileId,
+    version: 1,
+    status: 'encrypted',
+    encryptionMetadata: { wrappedKey: { ciphertext: 'ab', iv: 'cd', tag: 'ef' }, keyVersion: 1 },
+    ...overrides
+  });
+
+  const latestVersion = (number) => ({
+    sort: () => ({ select: () => ({ lean: async () => ({ version: number }) }) })
+  });
+
+  // The handler creates its directories on load; let that finish inside the suite
+  beforeAll(() => secureFileHandler.initializeDirectories());
+
+  beforeEach(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.readyState;
+    jest.restoreAllMocks();
+  });
+
+  it('describes what changed between versions', () => {
+    expect(File.versionChanges(null, version())).toBeNull();
+    expect(File.versionChanges(version(), version({
+      fileSize: 1200,
+      scanResult: { fileHash: { sha256: 'b'.repeat(64) } }
+    }))).toEqual({ sizeDelta: 200, contentChanged: true, nameChanged: false, typeChanged: false });
+    expect(File.versionChanges(version(), version({ originalName: 'contract v2.docx', scanResult: {} })))
+      .toMatchObject({ contentChanged: null, nameChanged: true });
+  });
+
+  it('files a new version under the document with the next number', async () => {
+    jest.spyOn(File, 'findById').mockReturnValue({ lean: async () => storedFile() });
+    jest.spyOn(File, 'findOne').mockReturnValue(latestVersion(3));
+    jest.spyOn(secureFileHandler, 'resolveFileAccess').mockResolvedValue({ granted: true, shareId: null });
+
+    await expect(secureFileHandler.resolveVersionScope(fileId.toString(), { _id: ownerId, role: 'client' }, { comment: ' Counterparty edits ' }))
+      .resolves.toEqual({
+        clientId: null,
+        matterId: null,
+        version: { documentId: fileId, version: 4, comment: 'Counterparty edits' }
+      });
+  });
+
+  it('turns a file from before version history into version 1 of its document', async () => {
+    jest.spyOn(File, 'findById').mockReturnValue({ lean: async () => storedFile({ documentId: null, version: undefined }) });
+    jest.spyOn(File, 'findOne').mockReturnValue(latestVersion(1));
+    const backfill = jest.spyOn(File, 'updateOne').mockResolvedValue({});
+    jest.spyOn(secureFileHandler, 'resolveFileAccess').mockResolvedValue({ granted: true, shareId: null });
+
+    const scope = await secureFileHandler.resolveVersionScope(fileId.toString(), { _id: ownerId, role: 'client' });
+    expect(backfill).toHaveBeenCalledWith({ _id: fileId }, { $set: { documentId: fileId, version: 1 } });
+    expect(scope.version).toMatchObject({ documentId: fileId, version: 2 });
+  });
+
+  it('lets share recipients read but not add versions', async () => {
+    jest.spyOn(File, 'findById').mockReturnValue({ lean: async () => storedFile() });
+    jest.spyOn(secureFileHandler, 'resolveFileAccess').mockResolvedValue({ granted: true, shareId: 'share-1' });
+
+    await expect(secureFileHandler.resolveVersionScope(fileId.toString(), { _id: new mongoose.Types.ObjectId(), role: 'client' }))
+      .rejects.toMatchObject({ status: 403 });
+  });
+});
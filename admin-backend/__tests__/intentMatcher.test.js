@@ -0,0 +1,37 @@
+// Module under test
+const intentMatcher = require('../utils/intentMatcher');
+const defaultIntents = require('../config/chatbotIntents');
+
+describe('intentMatcher', () => {
+  it('answers a paraphrased question with the matching intent', () => {
+    const result = intentMatcher.match('How much does it cost?', defaultIntents);
+    expect(result.answered).toBe(true);
+    expect(result.best.intent.name).toBe('pricing');
+  });
+
+  it('tolerates plurals and small typos', () => {
+    expect(intentMatcher.match('what are your pricng rates', defaultIntents).best.intent.name).toBe('pricing');
+    expect(intentMatcher.match('is my data kept confidential?', defaultIntents).best.intent.name).toBe('security');
+  });
+
+  it('leaves unrelated questions unanswered', () => {
+    expect(intentMatcher.match('hello', defaultIntents).answered).toBe(false);
+    expect(intentMatcher.match('do you work with hospitals', defaultIntents).answered).toBe(false);
+  });
+
+  it('never ranks the fallback intent', () => {
+    const ranked = intentMatcher.rank('thank you for your question', defaultIntents);
+    expect(ranked.every(result => !result.intent.isFallback)).toBe(true);
+  });
+
+  it('matches example phrases added from the unanswered log', () => {
+    const intents = defaultIntents.map(intent => (
+      intent.name === 'industries'
+        ? { ...intent, examplePhrases: ['do you work with hospitals'] }
+        : intent
+    ));
+    const result = intentMatcher.match('Do you work with hospitals?', intents);
+    expect(result.answered).toBe(true);
+    expect(result.best.intent.name).toBe('industries');
+  });
+});
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Two KEK versions; version 2 is the active one
+process.env.ENCRYPTION_MASTER_KEYS = '1:first-master-key, 2:second-master-key';
+delete process.env.ENCRYPTION_ACTIVE_KEY_VERSION;
+
+// Modules under test
+const encryptionManager = require('../utils/encryption');
+const keyRotationService = require('../utils/keyRotation');
+const File = require('../models/File');
+const AuditService = require('../utils/auditService');
+
+describe('versioned key encryption and rotation', () => {
+  const fileKey = encryptionManager.generateFileKey();
+  const configured = process.env.ENCRYPTION_MASTER_KEYS;
+
+  const withKeys = (value, load) => {
+    process.env.ENCRYPTION_MASTER_KEYS = value;
+    try {
+      return load();
+    } finally {
+      process.env.ENCRYPTION_MASTER_KEYS = configured;
+    }
+  };
+
+  const storedFile = (encryptionMetadata) => ({
+    _id: new mongoose.Types.ObjectId(),
+    originalName: 'engagement-letter.pdf',
+    encryptionMetadata
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('parses ENCRYPTION_MASTER_KEYS into a keyring', () => {
+    expect(encryptionManager.keyring).toEqual(new Map([[1, 'first-master-key'], [2, 'second-master-key']]));
+    expect(encryptionManager.activeKeyVersion).toBe(2);
+
+    // Keys may contain colons; only the first one separates the version
+    expect(withKeys('3:a:b,', () => encryptionManager.loadKeyring())).toEqual(new Map([[3, 'a:b']]));
+    expect(() => withKeys('key-without-version', () => encryptionManager.loadKeyring())).toThrow('must look like "<version>:<key>"');
+    expect(() => withKeys('0:zero', () => encryptionManager.loadKeyring())).toThrow('must look like "<version>:<key>"');
+    expect(() => withKeys('1:a,1:b', () => encryptionManager.loadKeyring())).toThrow('lists key version 1 twice');
+    expect(() => withKeys(' , ', () => encryptionManager.loadKeyring())).toThrow('does not contain any keys');
+
+    process.env.ENCRYPTION_ACTIVE_KEY_VERSION = '5';
+    try {
+      expect(() => encryptionManager.loadActiveKeyVersion()).toThrow('ENCRYPTION_ACTIVE_KEY_VERSION 5 is not in the keyring');
+    } finally {
+      delete process.env.ENCRYPTION_ACTIVE_KEY_VERSION;
+    }
+  });
+
+  it('wraps file keys under the active KEK and binds the version to the wrapped key', () => {
+    const wrapped = encryptionManager.wrapFileKey(fileKey);
+    expect(wrapped.keyVersion).toBe(2);
+    expect(wrapped.wrappedKey.ciphertext).not.toContain(fileKey);
+    expect(encryptionManager.unwrapFileKey(wrapped)).toBe(fileKey);
+
+    // Relabelling a wrapped key with another version fails instead of yielding a wrong key
+    const relabelled = { ...encryptionManager.wrapFileKey(fileKey, 1), keyVersion: 2 };
+    expect(() => encryptionManager.unwrapFileKey(relabelled)).toThrow('Failed to unwrap file key (KEK version 2)');
+    expect(() => encryptionManager.unwrapFileKey({ ...wrapped, keyVersion: 3 })).toThrow('version 3 is not available');
+
+    // Files from before envelope encryption still open
+    expect(encryptionManager.unwrapFileKey({ fileKey })).toBe(fileKey);
+    expect(() => encryptionManager.unwrapFileKey({})).toThrow('File has no encryption key');
+  });
+
+  it('rewraps a file key from one KEK version to the next', () => {
+    const v1 = encryptionManager.wrapFileKey(fileKey, 1);
+    expect(encryptionManager.needsRewrap(v1)).toBe(true);
+
+    const v2 = encryptionManager.rewrapFileKey(v1, 2);
+    expect(v2.keyVersion).toBe(2);
+    expect(v2.wrappedKey.ciphertext).not.toBe(v1.wrappedKey.ciphertext);
+    expect(encryptionManager.unwrapFileKey(v2)).toBe(fileKey);
+    expect(encryptionManager.needsRewrap(v2)).toBe(false);
+    expect(encryptionManager.needsRewrap({ fileKey })).toBe(true);
+  });
+
+  it('rotates every outdated file key and counts skipped and failed files', async () => {
+    const outdated = storedFile(encryptionManager.wrapFileKey(fileKey, 1));
+    const legacy = storedFile({ fileKey });
+    const changedMeanwhile = storedFile(encryptionManager.wrapFileKey(fileKey, 1));
+    const corrupt = storedFile({ ...encryptionManager.wrapFileKey(fileKey, 1), keyVersion: 2 });
+    const files = [outdated, legacy, changedMeanwhile, corrupt];
+
+    jest.spyOn(File, 'countDocuments').mockResolvedValue(files.length);
+    const query = { select: () => query, sort: () => query, lean: () => query, cursor: () => files.values() };
+    const find = jest.spyOn(File, 'find').mockReturnValue(query);
+    // An overlapping upload rewrote changedMeanwhile's key, so the conditional update matches nothing
+    const update = jest.spyOn(File, 'updateOne').mockImplementation(async filter => ({
+      modifiedCount: filter._id === changedMeanwhile._id ? 0 : 1
+    }));
+    const audit = jest.spyOn(AuditService, 'logSecurityEvent').mockResolvedValue({});
+
+    const job = keyRotationService.start({ userId: 'admin-1' });
+    expect(() => keyRotationService.start()).toThrow(expect.objectContaining({ code: 'ROTATION_IN_PROGRESS' }));
+    const result = await job.promise;
+
+    expect(find.mock.calls[0][0]['encryptionMetadata.keyVersion']).toEqual({ $ne: 2 });
+    expect(result).toMatchObject({
+      status: 'completed_with_errors',
+      targetVersion: 2,
+      total: 4,
+      processed: 4,
+      rewrapped: 2,
+      skipped: 1,
+      failed: 1,
+      percent: 100,
+      failures: [{ fileId: corrupt._id.toString(), originalName: 'engagement-letter.pdf', error: expect.stringContaining('Failed to unwrap') }]
+    });
+
+    // Each update only applies if the key version is still the one that was read
+    expect(update).toHaveBeenCalledTimes(3);
+    const [outdatedFilter, outdatedUpdate] = update.mock.calls[0];
+    expect(outdatedFilter).toEqual({ _id: outdated._id, 'encryptionMetadata.keyVersion': 1 });
+    expect(outdatedUpdate.$set['encryptionMetadata.keyVersion']).toBe(2);
+    expect(encryptionManager.unwrapFileKey({
+      wrappedKey: outdatedUpdate.$set['encryptionMetadata.wrappedKey'],
+      keyVersion: 2
+    })).toBe(fileKey);
+    expect(update.mock.calls[1][0]).toEqual({ _id: legacy._id, 'encryptionMetadata.keyVersion': null });
+    expect(update.mock.calls[1][1].$unset).toEqual({ 'encryptionMetadata.fileKey': '' });
+
+    expect(audit).toHaveBeenCalledWith('key_rotation', expect.objectContaining({ userId: 'admin-1', success: false, failed: 1 }));
+    expect(keyRotationService.isRunning()).toBe(false);
+    expect(keyRotationService.getStatus()).toMatchObject({ id: job.id, status: 'completed_with_errors' });
+  });
+});
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+
+// Modules under test
+const ChatConversation = require('../models/ChatConversation');
+const SupportTicket = require('../models/SupportTicket');
+const User = require('../models/User');
+const Mailer = require('../utils/mailer');
+const chatHub = require('../utils/chatHub');
+const {
+  startConversation,
+  visitorStream,
+  postVisitorMessage,
+  agentStream,
+  updatePresence,
+  claimConversation,
+  transferConversation
+} = require('../controllers/chatController');
+
+describe('live chat', () => {
+  const agent = (name) => ({ _id: new mongoose.Types.ObjectId(), name, email: `${name.split(' ')[0].toLowerCase()}@lexocrates.com`, role: 'staff', isActive: true });
+  const alex = agent('Alex Agent');
+  const blair = agent('Blair Agent');
+  const casey = agent('Casey Agent');
+  const visitor = { name: 'Dana Visitor', email: 'dana@example.com', message: 'Can you review an NDA today?' };
+
+  const call = async (handler, req) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await handler({ params: {}, body: {}, query: {}, get: () => 'jest', ip: '127.0.0.1', on: jest.fn(), ...req }, res);
+    return res;
+  };
+
+  // An SSE response and the events written to it
+  const stream = () => ({ writeHead: jest.fn(), write: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() });
+  const events = (res, name) => res.write.mock.calls
+    .map(([chunk]) => /^event: (\w+)\ndata: (.*)\n\n$/s.exec(chunk))
+    .filter(match => match && match[1] === name)
+    .map(match => JSON.parse(match[2]));
+
+  // Open the agent console for a user; returns its stream and a way to close it
+  const connect = (user) => {
+    const res = stream();
+    const req = { user, on: jest.fn() };
+    agentStream(req, res);
+    return { res, close: () => req.on.mock.calls.find(([event]) => event === 'close')[1]() };
+  };
+
+  const startChat = async () => {
+    jest.spyOn(ChatConversation, 'create').mockImplementation(async data => new ChatConversation(data));
+    const { conversation, token } = await ChatConversation.start({ visitorName: visitor.name, visitorEmail: visitor.email }, visitor.message);
+    jest.spyOn(conversation, 'save').mockResolvedValue(conversation);
+    jest.spyOn(conversation, 'populate').mockResolvedValue(conversation);
+    jest.spyOn(ChatConversation, 'findById').mockImplementation(id => {
+      const found = String(id) === conversation._id.toString() ? conversation : null;
+      return Object.assign(Promise.resolve(found), { select: async () => found });
+    });
+    return { conversation, token };
+  };
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    chatHub.agents.forEach(entry => clearTimeout(entry.offlineTimer));
+    chatHub.agents.clear();
+    chatHub.visitors.clear();
+    clearInterval(chatHub.heartbeat);
+    chatHub.heartbeat = null;
+  });
+
+  it('opens a ticket instead of a chat when no agent is available', async () => {
+    const createTicket = jest.spyOn(SupportTicket, 'create').mockImplementation(async data => new SupportTicket(data));
+    jest.spyOn(Mailer, 'send').mockResolvedValue({ status: 'sent' });
+    jest.spyOn(ChatConversation, 'create').mockImplementation(async data => new ChatConversation(data));
+
+    const nobodyOnline = await call(startConversation, { body: visitor });
+    expect(nobodyOnline.json.mock.calls[0][0].data).toMatchObject({ mode: 'ticket', ticketNumber: expect.stringMatching(/^TKT-/) });
+    expect(createTicket.mock.calls[0][0]).toMatchObject({
+      email: visitor.email,
+      subject: 'Live chat request',
+      source: 'chat',
+      messages: [{ authorType: 'customer', body: visitor.message }]
+    });
+
+    const agentConsole = connect(alex);
+    const chat = await call(startConversation, { body: visitor });
+    expect(chat.status).toHaveBeenCalledWith(201);
+    expect(chat.json.mock.calls[0][0].data).toMatchObject({ mode: 'chat', token: expect.stringMatching(/^[0-9a-f]{48}$/) });
+    expect(events(agentConsole.res, 'conversation')).toEqual([expect.objectContaining({ action: 'created' })]);
+
+    // An agent who is away doesn't count as available
+    await call(updatePresence, { user: alex, body: { status: 'away' } });
+    expect(events(agentConsole.res, 'presence').pop().agents).toEqual([expect.objectContaining({ name: 'Alex Agent', status: 'away' })]);
+    const away = await call(startConversation, { body: visitor });
+    expect(away.json.mock.calls[0][0].data.mode).toBe('ticket');
+    expect(createTicket).toHaveBeenCalledTimes(2);
+  });
+
+  it('answers visitor requests only with the conversation token', async () => {
+    const { conversation, token } = await startChat();
+    const id = conversation._id.toString();
+
+    const wrongToken = await call(postVisitorMessage, { params: { id }, body: { token: 'f'.repeat(48), message: 'Hello?' } });
+    expect(wrongToken.status).toHaveBeenCalledWith(404);
+    const noToken = await call(postVisitorMessage, { params: { id }, body: { message: 'Hello?' } });
+    expect(noToken.status).toHaveBeenCalledWith(404);
+
+    const eavesdropper = stream();
+    await visitorStream({ params: { id }, query: { token: 'guess' }, on: jest.fn() }, eavesdropper);
+    expect(eavesdropper.status).toHaveBeenCalledWith(404);
+    expect(eavesdropper.writeHead).not.toHaveBeenCalled();
+    expect(chatHub.isVisitorConnected(id)).toBe(false);
+
+    const widget = stream();
+    await visitorStream({ params: { id }, query: { token }, on: jest.fn() }, widget);
+    expect(events(widget, 'snapshot')[0].messages).toEqual([expect.objectContaining({ body: visitor.message })]);
+
+    const sent = await call(postVisitorMessage, { params: { id }, body: { token, message: 'Hello?' } });
+    expect(sent.status).toHaveBeenCalledWith(201);
+    expect(events(widget, 'message')).toEqual([expect.objectContaining({ senderType: 'visitor', body: 'Hello?' })]);
+    expect(conversation.messages).toHaveLength(2);
+  });
+
+  it('lets one agent win a claim and transfers only to available agents', async () => {
+    const { conversation } = await startChat();
+    const params = { id: conversation._id.toString() };
+    // The conditional update is atomic in MongoDB; the mock applies it the same way
+    jest.spyOn(ChatConversation, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (conversation.status !== filter.status) return null;
+      conversation.set(update.$set);
+      return conversation;
+    });
+
+    const [first, second] = await Promise.all([
+      call(claimConversation, { user: alex, params }),
+      call(claimConversation, { user: blair, params })
+    ]);
+    expect(first.json.mock.calls[0][0].success).toBe(true);
+    expect(second.status).toHaveBeenCalledWith(409);
+    expect(conversation.assignedAgent.toString()).toBe(alex._id.toString());
+    expect(conversation.messages[conversation.messages.length - 1].body).toBe('Alex joined the chat.');
+
+    connect(alex);
+    connect(blair);
+    jest.spyOn(User, 'findById').mockImplementation(id => ({
+      select: async () => [alex, blair, casey].find(user => user._id.toString() === String(id)) || null
+    }));
+
+    const notAssigned = await call(transferConversation, { user: blair, params, body: { agentId: blair._id } });
+    expect(notAssigned.status).toHaveBeenCalledWith(403);
+
+    // Casey never opened the console
+    const offline = await call(transferConversation, { user: alex, params, body: { agentId: casey._id } });
+    expect(offline.status).toHaveBeenCalledWith(400);
+    expect(conversation.assignedAgent.toString()).toBe(alex._id.toString());
+
+    const transferred = await call(transferConversation, { user: alex, params, body: { agentId: blair._id } });
+    expect(transferred.json.mock.calls[0][0].success).toBe(true);
+    expect(conversation.assignedAgent.toString()).toBe(blair._id.toString());
+    expect(conversation.handoffs.map(handoff => handoff.reason)).toEqual(['claim', 'transfer']);
+    expect(conversation.messages[conversation.messages.length - 1].body).toBe('You are now chatting with Blair.');
+  });
+
+  it('requeues conversations when an agent stays offline past the grace period', async () => {
+    jest.useFakeTimers();
+    const { conversation } = await startChat();
+    conversation.handoff(alex, alex._id, 'claim');
+    jest.spyOn(ChatConversation, 'find').mockResolvedValue([conversation]);
+
+    const first = connect(alex);
+    const observer = connect(blair);
+    expect(events(observer.res, 'presence').pop().agents.map(({ name }) => name)).toEqual(['Alex Agent', 'Blair Agent']);
+
+    // A page reload reconnects within the grace period and keeps the conversation
+    first.close();
+    jest.advanceTimersByTime(chatHub.offlineGracePeriod / 2);
+    const reloaded = connect(alex);
+    jest.advanceTimersByTime(chatHub.offlineGracePeriod);
+    expect(chatHub.isAgentAvailable(alex._id)).toBe(true);
+    expect(conversation.status).toBe('active');
+
+    reloaded.close();
+    jest.advanceTimersByTime(chatHub.offlineGracePeriod);
+    jest.useRealTimers();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(events(observer.res, 'presence').pop().agents.map(({ name }) => name)).toEqual(['Blair Agent']);
+    expect(conversation.status).toBe('waiting');
+    expect(conversation.assignedAgent).toBeNull();
+    expect(conversation.handoffs.map(handoff => handoff.reason)).toEqual(['claim', 'agent_offline']);
+    expect(events(observer.res, 'conversation').pop()).toMatchObject({ action: 'requeued' });
+  });
+});
@@ -0,0 +1,344 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+// Module under test
+const malwareScanner = require('../utils/malwareScanner');
+
+// --- Fixture builders -------------------------------------------------------
+
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, store = false, declaredSize } of entries) {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    const compressed = store ? content : zlib.deflateRawSync(content);
+    const nameBuffer = Buffer.from(name);
+    const size = declaredSize === undefined ? content.length : declaredSize;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(store ? 0 : 8, 8);
+    local.writeUInt32LE(zlib.crc32(content), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(store ? 0 : 8, 10);
+    central.writeUInt32LE(zlib.crc32(content), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// Compound file with every stream in the mini stream; tree is { name: Buffer | tree }
+function buildOle(tree) {
+  const entries = [{ name: 'Root Entry', type: 5, child: -1, right: -1, start: 0xfffffffe, size: 0 }];
+  const miniChunks = [];
+  let miniSectors = 0;
+
+  const addChildren = (node, parentIndex) => {
+    let previous = -1;
+    for (const [name, value] of Object.entries(node)) {
+      const index = entries.length;
+      const entry = { name, child: -1, right: -1, start: 0xfffffffe, size: 0 };
+      entries.push(entry);
+      if (previous === -1) entries[parentIndex].child = index;
+      else entries[previous].right = index;
+      previous = index;
+
+      if (Buffer.isBuffer(value)) {
+        const sectors = Math.ceil(value.length / 64);
+        Object.assign(entry, { type: 2, start: miniSectors, size: value.length });
+        miniChunks.push(Buffer.concat([value, Buffer.alloc(sectors * 64 - value.length)]));
+        miniSectors += sectors;
+      } else {
+        entry.type = 1;
+        addChildren(value, index);
+      }
+    }
+  };
+  addChildren(tree, 0);
+
+  const miniStream = Buffer.concat(miniChunks);
+  const directorySectors = Math.ceil(entries.length / 4);
+  const miniStreamSectors = Math.ceil(miniStream.length / 512);
+  const directoryStart = 1;
+  const miniFatStart = directoryStart + directorySectors;
+  const miniStreamStart = miniFatStart + 1;
+  const totalSectors = miniStreamStart + miniStreamSectors;
+
+  const fat = Buffer.alloc(512, 0xff);
+  fat.writeUInt32LE(0xfffffffd, 0);
+  const chain = (start, count) => {
+    for (let i = 0; i < count; i++) {
+      fat.writeUInt32LE(i === count - 1 ? 0xfffffffe : start + i + 1, (start + i) * 4);
+    }
+  };
+  chain(directoryStart, directorySectors);
+  chain(miniFatStart, 1);
+  chain(miniStreamStart, miniStreamSectors);
+
+  const miniFat = Buffer.alloc(512, 0xff);
+  for (const entry of entries.filter(item => item.type === 2)) {
+    const count = Math.ceil(entry.size / 64);
+    for (let i = 0; i < count; i++) {
+      miniFat.writeUInt32LE(i === count - 1 ? 0xfffffffe : entry.start + i + 1, (entry.start + i) * 4);
+    }
+  }
+
+  entries[0].start = miniStreamStart;
+  entries[0].size = miniStream.length;
+
+  const directory = Buffer.alloc(directorySectors * 512);
+  entries.forEach((entry, index) => {
+    const offset = index * 128;
+    const name = Buffer.from(`${entry.name}\0`, 'utf16le');
+    name.copy(directory, offset);
+    directory.writeUInt16LE(name.length, offset + 0x40);
+    directory.writeUInt8(entry.type, offset + 0x42);
+    directory.writeUInt32LE(0xffffffff, offset + 0x44);
+    directory.writeUInt32LE(entry.right === -1 ? 0xffffffff : entry.right, offset + 0x48);
+    directory.writeUInt32LE(entry.child === -1 ? 0xffffffff : entry.child, offset + 0x4c);
+    directory.writeUInt32LE(entry.start, offset + 0x74);
+    directory.writeUInt32LE(entry.size, offset + 0x78);
+  });
+
+  const header = Buffer.alloc(512);
+  Buffer.from('d0cf11e0a1b11ae1', 'hex').copy(header, 0);
+  header.writeUInt16LE(0x3e, 0x18);
+  header.writeUInt16LE(3, 0x1a);
+  header.writeUInt16LE(0xfffe, 0x1c);
+  header.writeUInt16LE(9, 0x1e);
+  header.writeUInt16LE(6, 0x20);
+  header.writeUInt32LE(1, 0x2c);
+  header.writeUInt32LE(directoryStart, 0x30);
+  header.writeUInt32LE(4096, 0x38);
+  header.writeUInt32LE(miniFatStart, 0x3c);
+  header.writeUInt32LE(1, 0x40);
+  header.writeUInt32LE(0xfffffffe, 0x44);
+  header.fill(0xff, 0x4c);
+  header.writeUInt32LE(0, 0x4c);
+
+  const body = Buffer.concat([fat, directory, miniFat, miniStream]);
+  return Buffer.concat([header, body, Buffer.alloc(totalSectors * 512 - body.length)]);
+}
+
+// VBA module stream: some p-code, then the source in MS-OVBA literal-only chunks
+function vbaModule(source) {
+  const chunks = [];
+  const text = Buffer.from(source, 'latin1');
+  for (let i = 0; i < text.length; i += 4096) {
+    const part = text.subarray(i, i + 4096);
+    const tokens = [];
+    for (let j = 0; j < part.length; j += 8) {
+      tokens.push(Buffer.from([0]), part.subarray(j, j + 8));
+    }
+    const body = Buffer.concat(tokens);
+    const header = Buffer.alloc(2);
+    header.writeUInt16LE(0xb000 | (body.length - 1));
+    chunks.push(header, body);
+  }
+  return Buffer.concat([Buffer.alloc(32, 0xcc), Buffer.from([0x01]), ...chunks]);
+}
+
+function vbaProject(source) {
+  return buildOle({
+    VBA: {
+      dir: Buffer.alloc(64),
+      _VBA_PROJECT: Buffer.alloc(16),
+      ThisDocument: vbaModule(`Attribute VB_Name = "ThisDocument"\r\n${source}`)
+    },
+    PROJECT: Buffer.from('ID="{00000000-0000-0000-0000-000000000000}"')
+  });
+}
+
+function wordDocument(extraEntries = [], contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml') {
+  return buildZip([
+    { name: '[Content_Types].xml', data: `<Types><Override PartName="/word/document.xml" ContentType="${contentType}"/></Types>` },
+    { name: '_rels/.rels', data: '<Relationships><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>' },
+    { name: 'word/document.xml', data: '<w:document><w:body><w:p><w:r><w:t>Engagement letter</w:t></w:r></w:p></w:body></w:document>' },
+    ...extraEntries
+  ]);
+}
+
+function pdf(objects) {
+  return Buffer.from(`%PDF-1.7\n${objects.join('\n')}\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n`, 'latin1');
+}
+
+// --- Tests ------------------------------------------------------------------
+
+describe('malwareScanner deep inspection', () => {
+  it('accepts an ordinary Word document and ZIP archive', async () => {
+    const docx = await malwareScanner.scanFile('engagement.docx', wordDocument());
+    expect(docx.isClean).toBe(true);
+    expect(docx.threats).toEqual([]);
+    expect(docx.warnings).toEqual([]);
+
+    const zip = await malwareScanner.scanFile('bundle.zip', buildZip([{ name: 'notes.txt', data: 'hello' }]));
+    expect(zip.isClean).toBe(true);
+    expect(zip.warnings).toEqual([]);
+  });
+
+  it('flags VBA macros for review and rejects auto-executing macros that call the shell', async () => {
+    const benign = await malwareScanner.scanFile('report.docm', wordDocument([
+      { name: 'word/vbaProject.bin', data: vbaProject('Sub FormatTable()\r\n  Selection.Tables(1).AutoFit\r\nEnd Sub\r\n') }
+    ], 'application/vnd.ms-word.document.macroEnabled.main+xml'));
+    expect(benign.isClean).toBe(true);
+    expect(benign.warnings).toContain('Document contains VBA macros');
+
+    const hostile = await malwareScanner.scanFile('invoice.docx', wordDocument([
+      { name: 'word/vbaProject.bin', data: vbaProject('Sub AutoOpen()\r\n  Shell "powershell -enc AAAA"\r\nEnd Sub\r\n') }
+    ]));
+    expect(hostile.isClean).toBe(false);
+    expect(hostile.threats.join('\n')).toMatch(/Auto-executing VBA macro \(AutoOpen\) uses Shell, powershell/);
+  });
+
+  it('inspects VBA projects in legacy OLE documents', async () => {
+    const doc = buildOle({
+      WordDocument: Buffer.alloc(128),
+      Macros: {
+        VBA: {
+          dir: Buffer.alloc(64),
+          ThisDocument: vbaModule('Attribute VB_Name = "ThisDocument"\r\nPrivate Sub Document_Open()\r\n  Set x = CreateObject("WScript.Shell")\r\nEnd Sub\r\n')
+        }
+      }
+    });
+
+    const result = await malwareScanner.scanFile('minutes.doc', doc);
+    expect(result.isClean).toBe(false);
+    expect(result.threats.join('\n')).toMatch(/Document_Open.*CreateObject/);
+  });
+
+  it('finds blocked files inside nested archives', async () => {
+    const inner = buildZip([{ name: 'setup.exe', data: 'MZ' }]);
+    const outer = buildZip([{ name: 'docs/readme.txt', data: 'see attached' }, { name: 'docs/inner.zip', data: inner }]);
+
+    const result = await malwareScanner.scanFile('delivery.zip', outer);
+    expect(result.isClean).toBe(false);
+    expect(result.threats).toContain("docs/inner.zip: Archive entry 'setup.exe' has blocked extension '.exe'");
+  });
+
+  it('rejects zip bombs', async () => {
+    const ratio = await malwareScanner.scanFile('bomb.zip', buildZip([{ name: 'zeros.txt', data: Buffer.alloc(8 * 1024 * 1024) }]));
+    expect(ratio.isClean).toBe(false);
+    expect(ratio.threats.join('\n')).toMatch(/compression ratio .* \(possible zip bomb\)/);
+
+    const lying = await malwareScanner.scanFile('small.zip', buildZip([
+      { name: 'nested.zip', data: Buffer.alloc(64 * 1024), declaredSize: 100 }
+    ]));
+    expect(lying.isClean).toBe(false);
+    expect(lying.threats.join('\n')).toMatch(/expands beyond its declared size/);
+
+    let nested = buildZip([{ name: 'core.txt', data: 'x' }]);
+    for (let level = 0; level < 5; level++) {
+      nested = buildZip([{ name: `level${level}.zip`, data: nested }]);
+    }
+    const deep = await malwareScanner.scanFile('deep.zip', nested);
+    expect(deep.isClean).toBe(false);
+    expect(deep.threats.join('\n')).toMatch(/nesting exceeds/);
+  });
+
+  it('detects active content in PDFs', async () => {
+    const viewOnly = await malwareScanner.scanFile('brief.pdf', pdf([
+      '1 0 obj\n<< /Type /Catalog /Pages 2 0 R /OpenAction 3 0 R >>\nendobj',
+      '3 0 obj\n[4 0 R /FitH 800]\nendobj'
+    ]));
+    expect(viewOnly.isClean).toBe(true);
+    expect(viewOnly.warnings).toEqual([]);
+
+    const autoRun = await malwareScanner.scanFile('statement.pdf', pdf([
+      '1 0 obj\n<< /Type /Catalog /OpenAction << /S /JavaScript /JS (app.alert\\(1\\)) >> >>\nendobj'
+    ]));
+    expect(autoRun.isClean).toBe(false);
+    expect(autoRun.threats).toContain('PDF runs JavaScript automatically when opened');
+
+    const launch = await malwareScanner.scanFile('notice.pdf', pdf([
+      '1 0 obj\n<< /Type /Catalog /OpenAction << /S /L#61unch /F (cmd.exe) >> >>\nendobj'
+    ]));
+    expect(launch.isClean).toBe(false);
+    expect(launch.threats).toEqual(expect.arrayContaining([
+      "PDF hides '/Launch' with hex-escaped characters",
+      'PDF contains a Launch action that can run external programs'
+    ]));
+
+    const hidden = zlib.deflateSync('5 0 obj\n<< /S /JavaScript /JS (this.print\\(\\)) >>\nendobj');
+    const compressed = await malwareScanner.scanFile('form.pdf', Buffer.concat([
+      pdf(['1 0 obj\n<< /Type /Catalog >>\nendobj']),
+      Buffer.from(`4 0 obj\n<< /Type /ObjStm /Filter /FlateDecode /Length ${hidden.length} >>\nstream\n`, 'latin1'),
+      hidden,
+      Buffer.from('\nendstream\nendobj\n', 'latin1')
+    ]));
+    expect(compressed.isClean).toBe(true);
+    expect(compressed.warnings).toContain('PDF contains embedded JavaScript');
+  });
+
+  it('inspects files on disk by offset and only warns about documents too large to parse', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'scan-'));
+    const readFile = jest.spyOn(fs, 'readFile');
+    const limits = malwareScanner.inspectionLimits;
+    const maxStructuralSize = limits.maxStructuralSize;
+
+    try {
+      const delivery = path.join(directory, 'delivery.zip');
+      await fs.writeFile(delivery, buildZip([
+        { name: 'docs/readme.txt', data: 'see attached' },
+        { name: 'docs/inner.zip', data: buildZip([{ name: 'setup.exe', data: 'MZ' }]) }
+      ]));
+      const archive = await malwareScanner.scanFile(delivery);
+      expect(archive.threats).toContain("docs/inner.zip: Archive entry 'setup.exe' has blocked extension '.exe'");
+
+      // The PDF is read in 1MB windows; this stream keyword straddles the first boundary
+      const hidden = zlib.deflateSync('5 0 obj\n<< /S /JavaScript /JS (app.alert\\(1\\)) >>\nendobj');
+      const head = '%PDF-1.7\n1 0 obj\n<< /Type /Catalog /OpenAction 5 0 R >>\nendobj\n';
+      const object = `4 0 obj\n<< /Type /ObjStm /Filter /FlateDecode /Length ${hidden.length} >>\n`;
+      const padding = `%${'x'.repeat(1024 * 1024 - 3 - head.length - object.length - 2)}\n`;
+      const statement = path.join(directory, 'statement.pdf');
+      await fs.writeFile(statement, Buffer.concat([
+        Buffer.from(head + padding + object + 'stream\n', 'latin1'),
+        hidden,
+        Buffer.from('\nendstream\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n', 'latin1')
+      ]));
+      const autoRun = await malwareScanner.scanFile(statement);
+      expect(autoRun.threats).toContain('PDF runs JavaScript automatically when opened');
+
+      // Legacy documents are parsed in memory, so past the limit they are flagged for review instead
+      const minutes = path.join(directory, 'minutes.doc');
+      await fs.writeFile(minutes, buildOle({ WordDocument: Buffer.alloc(4096) }));
+      limits.maxStructuralSize = 1024;
+      const large = await malwareScanner.scanFile(minutes);
+      expect(large.isClean).toBe(true);
+      expect(large.warnings).toContain('Document is too large for structural inspection (over 1024 bytes)');
+
+      expect(readFile).not.toHaveBeenCalled();
+    } finally {
+      limits.maxStructuralSize = maxStructuralSize;
+      readFile.mockRestore();
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Modules under test
+const secureFileHandler = require('../middleware/secureFileHandler');
+const Matter = require('../models/Matter');
+
+describe('matter-scoped file access', () => {
+  const uploaderId = new mongoose.Types.ObjectId();
+  const memberId = new mongoose.Types.ObjectId();
+  const matterId = new mongoose.Types.ObjectId();
+
+  const user = (role, id = new mongoose.Types.ObjectId()) => ({ _id: id, id: id.toString(), role, isActive: true, permissions: [] });
+  const file = (overrides = {}) => ({ id: 'file-1', uploadedBy: uploaderId.toString(), matterId: null, ...overrides });
+
+  // The handler creates its directories on load; let that finish inside the suite
+  beforeAll(() => secureFileHandler.initializeDirectories());
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets the uploader and admins in', async () => {
+    expect(await secureFileHandler.hasFileAccess(file(), user('client', uploaderId))).toBe(true);
+    expect(await secureFileHandler.hasFileAccess(file(), uploaderId.toString())).toBe(true);
+    expect(await secureFileHandler.hasFileAccess(file(), user('admin'))).toBe(true);
+  });
+
+  it('lets client managers see matter files but not personal uploads', async () => {
+    const staff = user('staff');
+    expect(await secureFileHandler.hasFileAccess(file({ matterId: matterId.toString() }), staff)).toBe(true);
+    expect(await secureFileHandler.hasFileAccess(file(), staff)).toBe(false);
+  });
+
+  it('limits client users to matters they are members of', async () => {
+    const membership = jest.spyOn(secureFileHandler, 'isMatterMember')
+      .mockImplementation(async (id, userId) => userId === memberId.toString());
+
+    const matterFile = file({ matterId: matterId.toString() });
+    expect(await secureFileHandler.hasFileAccess(matterFile, user('client', memberId))).toBe(true);
+    expect(await secureFileHandler.hasFileAccess(matterFile, user('client'))).toBe(false);
+    expect(await secureFileHandler.hasFileAccess(file(), user('client', memberId))).toBe(false);
+    expect(membership).toHaveBeenCalledWith(matterId.toString(), memberId.toString());
+  });
+
+  it('only files uploads under a matter its members can see', async () => {
+    const matter = {
+      _id: matterId,
+      client: { code: 'ACME' },
+      status: 'open',
+      members: [memberId],
+      isMember: Matter.schema.methods.isMember
+    };
+    jest.spyOn(Matter, 'findById').mockReturnValue({ populate: async () => matter });
+    Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+
+    try {
+      await expect(secureFileHandler.resolveUploadScope({ matterId: matterId.toString() }, user('client', memberId)))
+        .resolves.toEqual({ clientId: 'ACME', matterId: matter._id });
+      await expect(secureFileHandler.resolveUploadScope({ matterId: matterId.toString() }, user('client')))
+        .rejects.toMatchObject({ status: 403 });
+      await expect(secureFileHandler.resolveUploadScope({ clientId: 'LEGACY' }, user('client')))
+        .resolves.toEqual({ clientId: 'LEGACY', matterId: null });
+    } finally {
+      delete mongoose.connection.readyState;
+    }
+  });
+});
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// Modules under test
+const BlogPost = require('../models/BlogPost');
+const NewsletterSubscriber = require('../models/NewsletterSubscriber');
+const NewsletterDigest = require('../models/NewsletterDigest');
+const Mailer = require('../utils/mailer');
+const newsletter = require('../utils/newsletter');
+const { CSRFProtection } = require('../middleware/security');
+const { subscribe, unsubscribe } = require('../controllers/newsletterController');
+
+describe('newsletter', () => {
+  const now = new Date('2026-03-09T09:00:00Z');
+  const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const call = async (handler, req) => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await handler({ params: {}, body: {}, query: {}, get: () => 'jest', ip: '127.0.0.1', ...req }, res);
+    return res;
+  };
+
+  // Stand-in for a query chain that resolves to the given value
+  const chain = (value) => {
+    const query = {};
+    ['select', 'sort', 'populate'].forEach(method => {
+      query[method] = jest.fn().mockReturnValue(query);
+    });
+    query.then = (resolve, reject) => Promise.resolve(value).then(resolve, reject);
+    query.cursor = () => (async function* () { yield* value; })();
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(NewsletterSubscriber.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(NewsletterDigest.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Mailer, 'isConfigured').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends a confirmation link only to addresses not yet subscribed', async () => {
+    jest.spyOn(NewsletterSubscriber, 'findOne').mockResolvedValue(null);
+    const send = jest.spyOn(Mailer, 'send').mockResolvedValue({ status: 'sent' });
+
+    const res = await call(subscribe, { body: { email: 'Reader@Example.com', source: '/blog' } });
+    expect(res.status).toHaveBeenCalledWith(202);
+    const saved = NewsletterSubscriber.prototype.save.mock.contexts[0];
+    expect(saved).toMatchObject({ email: 'reader@example.com', status: 'pending', source: '/blog' });
+    expect(saved.consent.requestIp).toBe('127.0.0.1');
+
+    const token = decodeURIComponent(send.mock.calls[0][0].text.match(/confirm=(\S+)/)[1]);
+    expect(saved.confirmTokenHash).toHaveLength(64);
+    expect(saved.confirmTokenHash).not.toContain(token);
+
+    // Subscribed addresses get the same answer and no email
+    NewsletterSubscriber.findOne.mockResolvedValue(new NewsletterSubscriber({ email: 'reader@example.com', status: 'subscribed' }));
+    const again = await call(subscribe, { body: { email: 'reader@example.com' } });
+    expect(again.json.mock.calls[0][0]).toEqual(res.json.mock.calls[0][0]);
+    expect(send).toHaveBeenCalledTimes(1);
+
+    // A failed delivery is logged, not reported, so it can't tell new and subscribed addresses apart
+    NewsletterSubscriber.findOne.mockResolvedValue(null);
+    send.mockResolvedValue({ status: 'failed', error: 'ECONNREFUSED' });
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failed = await call(subscribe, { body: { email: 'new@example.com' } });
+    expect(failed.status).toHaveBeenCalledWith(202);
+    expect(failed.json.mock.calls[0][0]).toEqual(res.json.mock.calls[0][0]);
+    expect(logged).toHaveBeenCalledWith('Newsletter confirmation email failed:', expect.objectContaining({ error: 'ECONNREFUSED' }));
+  });
+
+  it('keeps an unsubscribe on record until a new sign-up is confirmed', async () => {
+    const former = new NewsletterSubscriber({ email: 'former@example.com', status: 'unsubscribed', unsubscribedAt: daysAgo(10) });
+    jest.spyOn(NewsletterSubscriber, 'findOne').mockResolvedValue(former);
+
+    const { token } = await NewsletterSubscriber.subscribe('former@example.com', { ipAddress: '203.0.113.9' }, now);
+    // Outside the TTL index, which only covers pending records
+    expect(former).toMatchObject({ status: 'unsubscribed', unsubscribedAt: daysAgo(10) });
+    expect(former.confirmExpiresAt.getTime()).toBeGreaterThan(now.getTime());
+
+    const update = jest.spyOn(NewsletterSubscriber, 'findOneAndUpdate').mockResolvedValue(former);
+    await NewsletterSubscriber.confirm(token, { ipAddress: '203.0.113.9' }, now);
+    expect(update.mock.calls[0][0]).toMatchObject({ status: { $in: ['pending', 'unsubscribed'] }, confirmExpiresAt: { $gt: now } });
+    expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'subscribed', unsubscribedAt: null });
+  });
+
+  it('emails new posts once per interval with unsubscribe links and the postal address', async () => {
+    const posts = [
+      new BlogPost({ title: 'Contract review checklist', slug: 'contract-review-checklist', excerpt: 'What to check', publishedAt: daysAgo(2) }),
+      new BlogPost({ title: 'Due diligence in 2026', slug: 'due-diligence-2026', metaDescription: 'Trends', publishedAt: daysAgo(5) })
+    ];
+    const reader = new NewsletterSubscriber({ email: 'reader@example.com', status: 'subscribed', consent: { confirmedAt: daysAgo(30) } });
+    const bounced = new NewsletterSubscriber({ email: 'bounced@example.com', status: 'subscribed' });
+
+    jest.spyOn(NewsletterDigest, 'findOne').mockReturnValue(chain(new NewsletterDigest({ periodEnd: daysAgo(7) })));
+    const find = jest.spyOn(BlogPost, 'find').mockReturnValue(chain(posts));
+    const create = jest.spyOn(NewsletterDigest, 'create').mockImplementation(async data => new NewsletterDigest(data));
+    jest.spyOn(NewsletterSubscriber, 'find').mockReturnValue(chain([reader, bounced]));
+    const send = jest.spyOn(Mailer, 'send').mockImplementation(async ({ to }) => ({ status: to === reader.email ? 'sent' : 'failed' }));
+
+    const result = await newsletter.sendDigest(now);
+    expect(result).toMatchObject({ posts: 2, recipients: 2, sent: 1, failed: 1 });
+    expect(find.mock.calls[0][0]).toEqual({ status: 'published', publishedAt: { $gt: daysAgo(7), $lte: now } });
+    expect(create.mock.calls[0][0]).toMatchObject({ periodStart: daysAgo(7), periodEnd: now });
+    expect(result.digest.status).toBe('sent');
+
+    const email = send.mock.calls[0][0];
+    expect(email.subject).toBe('2 new articles on the Lexocrates blog');
+    expect(email.html).toContain(`newsletter.html?unsubscribe=${reader.unsubscribeToken}`);
+    expect(email.text).toContain(newsletter.postalAddress);
+    expect(email.headers).toEqual({
+      'List-Unsubscribe': `<https://lexocrates.com/api/newsletter/unsubscribe?token=${reader.unsubscribeToken}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+    expect(reader.unsubscribeToken).not.toBe(bounced.unsubscribeToken);
+
+    // Not due again until the interval has passed since this digest
+    NewsletterDigest.findOne.mockReturnValue(chain(new NewsletterDigest({ periodEnd: now })));
+    expect(await newsletter.sendDigest(new Date(now.getTime() + 60 * 60 * 1000))).toEqual({ skipped: 'not due' });
+  });
+
+  it('unsubscribes from a mail client without a CSRF token', async () => {
+    const csrf = new CSRFProtection().middleware();
+    const next = jest.fn();
+    const blocked = { status: jest.fn().mockReturnThis(), json: jest.fn(), cookie: jest.fn(), locals: {} };
+
+    csrf({ method: 'POST', path: '/api/newsletter/unsubscribe', query: { token: 'abc' }, headers: {}, body: {} }, blocked, next);
+    expect(next).toHaveBeenCalled();
+    csrf({ method: 'POST', path: '/api/newsletter/subscribe', query: {}, headers: {}, body: {} }, blocked, next);
+    expect(blocked.status).toHaveBeenCalledWith(403);
+
+    const update = jest.spyOn(NewsletterSubscriber, 'findOneAndUpdate')
+      .mockResolvedValue(new NewsletterSubscriber({ email: 'reader@example.com', status: 'unsubscribed' }));
+    const res = await call(unsubscribe, { query: { token: 'abc' }, body: { 'List-Unsubscribe': 'One-Click' } });
+    expect(update.mock.calls[0][0]).toEqual({ unsubscribeToken: 'abc', status: { $ne: 'unsubscribed' } });
+    expect(update.mock.calls[0][1].$unset).toMatchObject({ consent: 1, source: 1 });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+  });
+});
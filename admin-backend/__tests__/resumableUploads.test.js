@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Modules under test
+const resumableUploads = require('../utils/resumableUploads');
+const secureFileHandler = require('../middleware/secureFileHandler');
+const { patchUpload, getUploadStatus } = require('../controllers/resumableUploadController');
+
+describe('resumable upload store', () => {
+  const userId = '64b7f0c2a1b2c3d4e5f60718';
+  const originalDirectory = resumableUploads.directory;
+
+  const start = (length) => resumableUploads.create({
+    length,
+    metadata: { filename: 'Deposition.MP4', filetype: 'video/mp4' },
+    userId,
+    scope: { clientId: 'ACME', matterId: null }
+  });
+
+  // The handler creates its directories on load; let that finish inside the suite
+  beforeAll(() => secureFileHandler.initializeDirectories());
+
+  beforeEach(async () => {
+    resumableUploads.directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tus-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(resumableUploads.directory, { recursive: true, force: true });
+    resumableUploads.directory = originalDirectory;
+    jest.restoreAllMocks();
+  });
+
+  it('assembles chunks and resumes from the stored offset', async () => {
+    const created = await start(10);
+    expect(resumableUploads.dataPath(created)).toMatch(/[a-f0-9]{32}\.mp4$/);
+
+    await resumableUploads.append(created, Readable.from([Buffer.from('hello')]));
+    const stored = await resumableUploads.get(created.id);
+    expect(stored).toMatchObject({ offset: 5, status: 'uploading', userId });
+
+    await resumableUploads.append(stored, Readable.from([Buffer.from('world')]));
+    expect(stored.offset).toBe(10);
+    await expect(fs.readFile(resumableUploads.dataPath(stored), 'utf8')).resolves.toBe('helloworld');
+  });
+
+  it('refuses bytes past the declared length', async () => {
+    const info = await start(4);
+
+    await expect(resumableUploads.append(info, Readable.from([Buffer.from('too long')])))
+      .rejects.toMatchObject({ status: 413 });
+    expect(info.offset).toBeLessThanOrEqual(4);
+    const { size } = await fs.stat(resumableUploads.dataPath(info));
+    expect(size).toBe(info.offset);
+  });
+
+  it('only looks up well-formed upload ids', async () => {
+    await expect(resumableUploads.get('../../etc/passwd')).resolves.toBeNull();
+    await expect(resumableUploads.get('a'.repeat(32))).resolves.toBeNull();
+  });
+
+  it('removes expired uploads but keeps finished ones for a day', async () => {
+    const stale = await start(4);
+    stale.expiresAt = new Date(Date.now() - 1000).toISOString();
+    await resumableUploads.save(stale);
+
+    const finished = await start(4);
+    finished.status = 'complete';
+    finished.expiresAt = stale.expiresAt;
+    await resumableUploads.save(finished);
+
+    await expect(resumableUploads.cleanupExpired()).resolves.toBe(1);
+    await expect(resumableUploads.get(stale.id)).resolves.toBeNull();
+    await expect(resumableUploads.get(finished.id)).resolves.toMatchObject({ status: 'complete' });
+  });
+
+  it('rejects uploads whose processing a restart interrupted', async () => {
+    const interrupted = await start(4);
+    await resumableUploads.append(interrupted, Readable.from([Buffer.from('data')]));
+    interrupted.status = 'processing';
+    await resumableUploads.save(interrupted);
+    const uploading = await start(4);
+
+    await expect(resumableUploads.recoverInterrupted()).resolves.toBe(1);
+    await expect(resumableUploads.get(interrupted.id)).resolves.toMatchObject({
+      status: 'rejected',
+      result: { originalName: 'Deposition.MP4', reason: expect.stringContaining('server restart') }
+    });
+    await expect(fs.access(resumableUploads.dataPath(interrupted))).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(resumableUploads.get(uploading.id)).resolves.toMatchObject({ status: 'uploading' });
+  });
+
+  it('answers the final PATCH before scanning and encrypting the file', async () => {
+    const info = await start(5);
+    let finishProcessing;
+    jest.spyOn(secureFileHandler, 'processUploadedFiles').mockReturnValue(new Promise((resolve) => {
+      finishProcessing = () => resolve({
+        processedFiles: [{
+          id: 'file-1',
+          originalName: 'Deposition.MP4',
+          fileSize: 5,
+          mimeType: 'video/mp4',
+          uploadDate: new Date().toISOString(),
+          scanResult: { isClean: true, assessment: 'clean' }
+        }],
+        rejectedFiles: []
+      });
+    }));
+
+    const headers = { 'content-type': 'application/offset+octet-stream', 'upload-offset': '0' };
+    const req = Object.assign(Readable.from([Buffer.from('hello')]), {
+      params: { uploadId: info.id },
+      user: { _id: userId, id: userId },
+      get: name => headers[name.toLowerCase()]
+    });
+    const res = { setHeader: jest.fn(), status: jest.fn().mockReturnThis(), end: jest.fn(), json: jest.fn() };
+
+    await patchUpload(req, res);
+    expect(res.status).toHaveBeenCalledWith(204);
+    expect(res.setHeader).toHaveBeenCalledWith('Upload-Offset', 5);
+    expect(resumableUploads.locks.has(info.id)).toBe(true);
+
+    // Clients poll the upload for the result
+    const status = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+    await getUploadStatus({ params: { uploadId: info.id }, user: req.user }, status);
+    expect(status.json.mock.calls[0][0].data).toMatchObject({ offset: 5, status: 'processing' });
+
+    finishProcessing();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await getUploadStatus({ params: { uploadId: info.id }, user: req.user }, status);
+    expect(status.json.mock.calls[1][0].data).toMatchObject({ status: 'complete', result: { id: 'file-1' } });
+    expect(resumableUploads.locks.has(info.id)).toBe(false);
+  });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+
+// Modules under test
+const SiemFormatter = require('../utils/siemFormatter');
+const SiemForwarder = require('../utils/siemForwarder');
+const { SyslogTransport } = require('../utils/siemTransports');
+
+describe('SIEM forwarding', () => {
+  const event = SiemFormatter.toEvent({
+    eventType: 'login_failed',
+    action: 'Login attempt failed',
+    description: 'Bad password for "jane" [attempt 3]',
+    threatLevel: 'high',
+    success: false,
+    failureReason: 'a=b|c',
+    ipAddress: '10.0.0.7',
+    requestId: 'req-1',
+    timestamp: new Date('2026-03-01T10:00:00Z'),
+    sequence: 42
+  });
+
+  // TCP syslog listener collecting octet-counted messages
+  const listen = (port = 0) => new Promise((resolve) => {
+    const messages = [];
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+      sockets.add(socket);
+      let pending = '';
+      socket.on('data', (chunk) => {
+        pending += chunk.toString('utf8');
+        let match;
+        while ((match = /^(\d+) /.exec(pending)) && pending.length >= match[0].length + parseInt(match[1])) {
+          const end = match[0].length + parseInt(match[1]);
+          messages.push(pending.slice(match[0].length, end));
+          pending = pending.slice(end);
+        }
+      });
+    });
+    server.listen(port, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      messages,
+      close: () => new Promise((done) => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      })
+    }));
+  });
+
+  const waitFor = async (check, timeout = 3000) => {
+    const started = Date.now();
+    while (!check()) {
+      if (Date.now() - started > timeout) throw new Error('Timed out');
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  };
+
+  let bufferDirectory;
+  let forwarder;
+
+  beforeEach(() => {
+    bufferDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'siem-'));
+  });
+
+  afterEach(() => {
+    if (forwarder) forwarder.close();
+    forwarder = null;
+    fs.rmSync(bufferDirectory, { recursive: true, force: true });
+  });
+
+  it('formats RFC 5424 syslog and CEF with escaping', () => {
+    const line = SiemFormatter.syslog(event);
+    expect(line).toMatch(/^<107>1 2026-03-01T10:00:00\.000Z \S+ lexocrates-admin \d+ login_failed \[audit@32473 /);
+    expect(line).toContain('sequence="42"');
+    expect(line).toContain('reason="a=b|c"');
+    expect(line).toContain('outcome="failure"');
+    expect(line.endsWith('Bad password for "jane" [attempt 3]')).toBe(true);
+
+    const cef = SiemFormatter.cef(event);
+    expect(cef).toMatch(/^CEF:0\|Lexocrates\|Admin Backend\|[^|]+\|login_failed\|Login attempt failed\|8\|/);
+    expect(cef).toContain('reason=a\\=b|c');
+    expect(cef).toContain('cn1Label=auditSequence cn1=42');
+
+    expect(JSON.parse(SiemFormatter.jsonLine(event))).toMatchObject({ eventType: 'login_failed', sequence: 42 });
+  });
+
+  it('delivers matching events to a syslog listener', async () => {
+    const listener = await listen();
+    forwarder = new SiemForwarder({
+      name: 'syslog',
+      format: 'rfc5424',
+      transport: new SyslogTransport({ protocol: 'tcp', port: listener.port }),
+      events: ['login_failed'],
+      minThreatLevel: 'medium',
+      flushInterval: 10,
+      bufferDirectory
+    });
+
+    expect(forwarder.forward(event)).toBe(true);
+    expect(forwarder.forward({ ...event, eventType: 'file_download' })).toBe(false);
+    expect(forwarder.forward({ ...event, threatLevel: 'low' })).toBe(false);
+
+    await waitFor(() => listener.messages.length === 1);
+    expect(listener.messages[0]).toContain('login_failed');
+    expect(forwarder.getHealth()).toMatchObject({ status: 'healthy', sent: 1, queued: 0 });
+
+    forwarder.close();
+    await listener.close();
+  });
+
+  it('buffers events on disk while the destination is down and delivers them later', async () => {
+    // Reserve a free port, then leave it closed
+    const probe = await listen();
+    const { port } = probe;
+    await probe.close();
+
+    forwarder = new SiemForwarder({
+      name: 'syslog',
+      format: 'rfc5424',
+      transport: new SyslogTransport({ protocol: 'tcp', port, timeout: 500 }),
+      flushInterval: 10,
+      retryDelay: 50,
+      maxRetryDelay: 100,
+      bufferDirectory
+    });
+
+    forwarder.forward(event);
+    forwarder.forward({ ...event, sequence: 43 });
+    await forwarder.flush();
+
+    const bufferPath = path.join(bufferDirectory, 'syslog.jsonl');
+    expect(fs.readFileSync(bufferPath, 'utf8').trim().split('\n')).toHaveLength(2);
+    expect(forwarder.getHealth()).toMatchObject({ status: 'degraded', queued: 0, retryScheduled: true });
+
+    const listener = await listen(port);
+    await waitFor(() => listener.messages.length === 2);
+    expect(listener.messages[0]).toContain('sequence="42"');
+    expect(listener.messages[1]).toContain('sequence="43"');
+    await waitFor(() => !fs.existsSync(bufferPath));
+    expect(forwarder.getHealth()).toMatchObject({ status: 'healthy', bufferedBytes: 0, sent: 2 });
+
+    forwarder.close();
+    await listener.close();
+  });
+});
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Readable, Writable, pipeline } = require('stream');
+const { promisify } = require('util');
+
+// Module under test
+const streamEncryption = require('../utils/streamEncryption');
+
+const pipelineAsync = promisify(pipeline);
+
+describe('chunked stream encryption', () => {
+  const fileKey = crypto.randomBytes(32).toString('hex');
+  const chunkSize = 1024;
+  const frameSize = chunkSize + streamEncryption.tagLength;
+  let directory;
+
+  const encrypt = async (plaintext, name = 'file.lxe') => {
+    const filePath = path.join(directory, name);
+    await pipelineAsync(
+      Readable.from([plaintext]),
+      streamEncryption.createEncryptStream(fileKey, { chunkSize }),
+      require('fs').createWriteStream(filePath)
+    );
+    return filePath;
+  };
+
+  const collect = async (stream) => {
+    const parts = [];
+    await pipelineAsync(stream, new Writable({
+      write(chunk, encoding, callback) {
+        parts.push(chunk);
+        callback();
+      }
+    }));
+    return Buffer.concat(parts);
+  };
+
+  const read = async (filePath, range) => {
+    const { stream } = await streamEncryption.createDecryptStream(filePath, fileKey, range);
+    return collect(stream);
+  };
+
+  // Rewrite the chunk frames of an encrypted file
+  const rewriteFrames = async (filePath, change) => {
+    const data = await fs.readFile(filePath);
+    const header = data.subarray(0, streamEncryption.headerLength);
+    const frames = [];
+    for (let offset = header.length; offset < data.length; offset += frameSize) {
+      frames.push(data.subarray(offset, offset + frameSize));
+    }
+    await fs.writeFile(filePath, Buffer.concat([header, ...change(frames)]));
+  };
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'lxe-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('round-trips files ending on, before and after a chunk boundary', async () => {
+    for (const size of [0, 1, chunkSize - 1, chunkSize, chunkSize + 1, 3 * chunkSize]) {
+      const plaintext = crypto.randomBytes(size);
+      const filePath = await encrypt(plaintext);
+      const layout = await streamEncryption.getLayout(filePath);
+
+      // A file filling its last chunk exactly gets no empty trailing chunk
+      expect(layout.chunkCount).toBe(Math.max(1, Math.ceil(size / chunkSize)));
+      expect(layout.plaintextSize).toBe(size);
+      expect((await read(filePath)).equals(plaintext)).toBe(true);
+    }
+  });
+
+  it('decrypts byte ranges that start, end or straddle chunk boundaries', async () => {
+    const plaintext = crypto.randomBytes(3 * chunkSize + 100);
+    const filePath = await encrypt(plaintext);
+
+    const ranges = [
+      { start: 0, end: 0 },
+      { start: chunkSize - 1, end: chunkSize },
+      { start: chunkSize, end: 2 * chunkSize - 1 },
+      { start: 10, end: 3 * chunkSize + 50 },
+      { start: plaintext.length - 4, end: plaintext.length - 1 }
+    ];
+    for (const range of ranges) {
+      const { length } = await streamEncryption.createDecryptStream(filePath, fileKey, range);
+      expect(length).toBe(range.end - range.start + 1);
+      expect((await read(filePath, range)).equals(plaintext.subarray(range.start, range.end + 1))).toBe(true);
+    }
+
+    await expect(streamEncryption.createDecryptStream(filePath, fileKey, { start: 0, end: plaintext.length }))
+      .rejects.toThrow(RangeError);
+    await expect(streamEncryption.createDecryptStream(filePath, fileKey, { start: 20, end: 10 }))
+      .rejects.toThrow(RangeError);
+  });
+
+  it('detects truncated, reordered and tampered chunks', async () => {
+    const plaintext = crypto.randomBytes(3 * chunkSize + 100);
+
+    // Dropping the final chunk leaves a full chunk that was not sealed as the last one
+    const truncated = await encrypt(plaintext, 'truncated.lxe');
+    await rewriteFrames(truncated, frames => frames.slice(0, -1));
+    await expect(read(truncated)).rejects.toThrow('Encrypted chunk 2 failed authentication');
+
+    const reordered = await encrypt(plaintext, 'reordered.lxe');
+    await rewriteFrames(reordered, ([first, second, ...rest]) => [second, first, ...rest]);
+    await expect(read(reordered)).rejects.toThrow('Encrypted chunk 0 failed authentication');
+    // A range that only touches the untouched chunks still decrypts
+    const tail = { start: 2 * chunkSize, end: plaintext.length - 1 };
+    expect((await read(reordered, tail)).equals(plaintext.subarray(tail.start))).toBe(true);
+
+    const tampered = await encrypt(plaintext, 'tampered.lxe');
+    const data = await fs.readFile(tampered);
+    data[streamEncryption.headerLength + frameSize + 5] ^= 0xff;
+    await fs.writeFile(tampered, data);
+    await expect(read(tampered, { start: chunkSize, end: chunkSize + 10 })).rejects.toThrow('Encrypted chunk 1 failed authentication');
+
+    // A cut inside the tag of the last chunk is caught from the size alone
+    const cut = await encrypt(Buffer.alloc(0), 'cut.lxe');
+    await fs.truncate(cut, streamEncryption.headerLength + 8);
+    await expect(streamEncryption.getLayout(cut)).rejects.toThrow('Encrypted file is truncated');
+  });
+
+  it('rejects files that are not in the chunked format', async () => {
+    const legacy = path.join(directory, 'legacy.bin');
+    await fs.writeFile(legacy, crypto.randomBytes(64));
+
+    await expect(streamEncryption.isChunkedFile(legacy)).resolves.toBe(false);
+    await expect(streamEncryption.getLayout(legacy)).rejects.toThrow('Not a chunked encrypted file');
+  });
+});
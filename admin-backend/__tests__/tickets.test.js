@@ -0,0 +1,189 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'tickets-test-secret';
+
+// Modules under test
+const ticketRoutes = require('../routes/tickets');
+const SupportTicket = require('../models/SupportTicket');
+const User = require('../models/User');
+const Mailer = require('../utils/mailer');
+
+describe('support tickets', () => {
+  const staff = { _id: new mongoose.Types.ObjectId(), name: 'Sam Staff', role: 'staff', isActive: true };
+  const client = { _id: new mongoose.Types.ObjectId(), name: 'Casey Client', role: 'client', isActive: true };
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/tickets', ticketRoutes);
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/tickets`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const request = async (method, path, { body, user } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (user) {
+      headers.Authorization = `Bearer ${jwt.sign({ id: user._id.toString() }, process.env.JWT_SECRET)}`;
+    }
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  const storedTicket = (fields) => new SupportTicket({
+    ticketNumber: 'TKT-261019-7F3A9C',
+    name: 'Dana Client',
+    email: 'dana@example.com',
+    subject: 'Invoice question',
+    messages: [
+      { authorType: 'customer', authorName: 'Dana Client', body: 'Why was I billed twice this month?' },
+      { authorType: 'staff', author: staff._id, authorName: 'Sam Staff', body: 'Refund approved, waiting on finance', internal: true }
+    ],
+    ...fields
+  });
+
+  // Only the right ticket number and email pair finds the ticket
+  const findByNumberAndEmail = (ticket) => jest.spyOn(SupportTicket, 'findOne').mockImplementation(async filter => (
+    filter.ticketNumber === ticket.ticketNumber && filter.email === ticket.email ? ticket : null
+  ));
+
+  // User.findById as both protect (with select) and updateTicket (awaited directly) call it
+  const users = (...known) => jest.spyOn(User, 'findById').mockImplementation((id) => {
+    const found = known.find(user => user._id.toString() === String(id)) || null;
+    return Object.assign(Promise.resolve(found), { select: async () => found });
+  });
+
+  it('opens a ticket from the widget and emails the team and the customer', async () => {
+    const create = jest.spyOn(SupportTicket, 'create')
+      .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000, keyPattern: { ticketNumber: 1 } }))
+      .mockImplementation(async data => new SupportTicket(data));
+    const send = jest.spyOn(Mailer, 'send').mockResolvedValue({ status: 'sent' });
+
+    const created = await request('POST', '/', {
+      body: {
+        name: 'Dana Client',
+        email: 'Dana@Example.com',
+        subject: 'Invoice question',
+        message: 'Why was I billed twice this month?',
+        priority: 'high'
+      }
+    });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ ticketNumber: expect.stringMatching(/^TKT-\d{6}-[0-9A-F]{6}$/), status: 'open' });
+    // A ticket number collision is retried with a fresh number
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls[1][0]).toMatchObject({
+      email: 'dana@example.com',
+      priority: 'high',
+      source: 'widget',
+      messages: [{ authorType: 'customer', authorName: 'Dana Client', body: 'Why was I billed twice this month?' }]
+    });
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[1][0]).toMatchObject({ to: 'dana@example.com', subject: expect.stringContaining(created.body.data.ticketNumber) });
+
+    const invalid = await request('POST', '/', { body: { name: 'Dana', email: 'not-an-email', subject: 'Hi', message: 'Short' } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.map(error => error.field)).toEqual(expect.arrayContaining(['email', 'subject', 'message']));
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  it('looks a ticket up by number and email without revealing internal notes', async () => {
+    const ticket = storedTicket({ status: 'waiting_on_customer' });
+    findByNumberAndEmail(ticket);
+
+    const found = await request('POST', '/lookup', { body: { ticketNumber: 'tkt-261019-7f3a9c', email: 'Dana@Example.com' } });
+    expect(found.status).toBe(200);
+    expect(found.body.data).toMatchObject({ ticketNumber: ticket.ticketNumber, status: 'waiting_on_customer' });
+    expect(found.body.data.messages).toEqual([
+      expect.objectContaining({ authorType: 'customer', body: 'Why was I billed twice this month?' })
+    ]);
+    expect(JSON.stringify(found.body)).not.toContain('finance');
+
+    // A wrong email reads exactly like a wrong ticket number
+    const wrongEmail = await request('POST', '/lookup', { body: { ticketNumber: ticket.ticketNumber, email: 'someone@example.com' } });
+    const wrongNumber = await request('POST', '/lookup', { body: { ticketNumber: 'TKT-261019-000000', email: 'dana@example.com' } });
+    expect(wrongEmail.status).toBe(404);
+    expect(wrongEmail.body).toEqual(wrongNumber.body);
+
+    // A customer reply puts the ticket back in the queue
+    jest.spyOn(ticket, 'save').mockResolvedValue(ticket);
+    const replied = await request('POST', '/lookup/reply', {
+      body: { ticketNumber: ticket.ticketNumber, email: 'dana@example.com', message: 'Thanks, that works for me.' }
+    });
+    expect(replied.status).toBe(200);
+    expect(ticket.status).toBe('open');
+    expect(ticket.messages[ticket.messages.length - 1]).toMatchObject({ authorType: 'customer', body: 'Thanks, that works for me.' });
+
+    const strangerReply = await request('POST', '/lookup/reply', {
+      body: { ticketNumber: ticket.ticketNumber, email: 'someone@example.com', message: 'Let me in' }
+    });
+    expect(strangerReply.status).toBe(404);
+    expect(ticket.messages).toHaveLength(3);
+  });
+
+  it('rate limits ticket lookups per address', async () => {
+    findByNumberAndEmail(storedTicket());
+    const guess = () => request('POST', '/lookup', { body: { ticketNumber: 'TKT-261019-000000', email: 'dana@example.com' } });
+
+    const first = await guess();
+    expect(first.headers.get('ratelimit-limit')).toBe('20');
+    for (let remaining = Number(first.headers.get('ratelimit-remaining')); remaining > 0; remaining--) {
+      expect((await guess()).status).toBe(404);
+    }
+
+    const limited = await guess();
+    expect(limited.status).toBe(429);
+    expect(limited.body.message).toBe('Too many ticket lookups, please try again later.');
+  });
+
+  it('keeps the tickets queue to staff with the manage_tickets permission', async () => {
+    users(staff, client);
+    const ticket = storedTicket();
+    const query = {};
+    ['select', 'populate', 'sort', 'limit'].forEach((method) => { query[method] = () => query; });
+    query.skip = async () => [ticket];
+    jest.spyOn(SupportTicket, 'find').mockReturnValue(query);
+    jest.spyOn(SupportTicket, 'countDocuments').mockResolvedValue(1);
+
+    expect((await request('GET', '/')).status).toBe(401);
+    expect((await request('GET', '/', { user: client })).status).toBe(403);
+    const queue = await request('GET', '/', { user: staff });
+    expect(queue.status).toBe(200);
+    expect(queue.body).toMatchObject({ count: 1, total: 1 });
+
+    const update = jest.spyOn(SupportTicket, 'findById').mockResolvedValue(ticket);
+    jest.spyOn(ticket, 'save').mockResolvedValue(ticket);
+    jest.spyOn(ticket, 'populate').mockResolvedValue(ticket);
+
+    const forbidden = await request('PUT', `/${ticket._id}`, { user: client, body: { status: 'closed' } });
+    expect(forbidden.status).toBe(403);
+    expect(update).not.toHaveBeenCalled();
+
+    // Tickets only go to active staff
+    const toClient = await request('PUT', `/${ticket._id}`, { user: staff, body: { assignedTo: client._id } });
+    expect(toClient.status).toBe(400);
+    expect(ticket.assignedTo).toBeNull();
+
+    const assigned = await request('PUT', `/${ticket._id}`, { user: staff, body: { assignedTo: staff._id, status: 'in_progress' } });
+    expect(assigned.status).toBe(200);
+    expect(ticket.status).toBe('in_progress');
+    expect(ticket.history.map(change => [change.field, change.to, change.changedBy.toString()])).toEqual([
+      ['assignedTo', staff._id.toString(), staff._id.toString()],
+      ['status', 'in_progress', staff._id.toString()]
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+// Intents the website chatbot starts with. They are copied into the database the
+// first time the bot is used and are edited from the admin chatbot page after that.
+module.exports = [
+  {
+    name: 'services',
+    title: 'Services',
+    keywords: ['services', 'offer', 'provide', 'legal services', 'what do you do'],
+    response: "Lexocrates offers comprehensive legal process outsourcing services including:\n\n• Legal Research & Writing\n• Contract Drafting & Review\n• Litigation Support\n• eDiscovery & Document Review\n• Legal Transcription\n• Legal Translation\n• Legal Data Entry\n• Virtual Paralegal Services\n\nWould you like more details about any specific service?"
+  },
+  {
+    name: 'pricing',
+    title: 'Pricing',
+    keywords: ['price', 'cost', 'fee', 'how much', 'pricing', 'rates'],
+    response: "Our pricing varies based on the complexity and scope of your project. We offer:\n\n• Hourly rates for ongoing support\n• Project-based pricing for specific deliverables\n• Retainer agreements for long-term partnerships\n• Custom quotes for enterprise clients\n\nFor a detailed quote, please create a support ticket and we'll provide a personalized estimate within 24 hours."
+  },
+  {
+    name: 'process',
+    title: 'Our process',
+    keywords: ['process', 'how it works', 'workflow', 'procedure', 'steps'],
+    response: "Our process is simple and efficient:\n\n1. **Initial Consultation** - We discuss your requirements\n2. **Project Planning** - Define scope, timeline, and deliverables\n3. **Execution** - Our expert team works on your project\n4. **Quality Review** - Multi-level quality assurance\n5. **Delivery** - Timely delivery with detailed reports\n\nWe maintain regular communication throughout the process to ensure your satisfaction."
+  },
+  {
+    name: 'contact',
+    title: 'Contact details',
+    keywords: ['contact', 'reach', 'phone', 'email', 'speak to someone'],
+    response: "You can reach us through multiple channels:\n\n📞 **Phone:** +91 94140 80184\n📧 **Email:** info@lexocrates.com\n📍 **Address:** B-1402 Mangalam The Grand Residency, Near Teoler School, Sirsi Road, Jaipur, Rajasthan, India\n\nFor immediate assistance, you can also create a support ticket and we'll respond within 24 hours."
+  },
+  {
+    name: 'experience',
+    title: 'Experience',
+    keywords: ['experience', 'years', 'background', 'expertise', 'qualified'],
+    response: "Lexocrates has extensive experience in legal process outsourcing:\n\n• **Industry Experience:** 10+ years serving law firms and corporations\n• **Expert Team:** Qualified legal professionals with specialized expertise\n• **Global Reach:** Serving clients across Canada\n• **Quality Standards:** ISO-certified processes and quality assurance\n• **Technology:** Advanced tools and secure infrastructure\n\nWe've successfully completed thousands of projects across various legal domains."
+  },
+  {
+    name: 'security',
+    title: 'Security and confidentiality',
+    keywords: ['security', 'confidential', 'privacy', 'data protection', 'secure'],
+    response: "Security and confidentiality are our top priorities:\n\n🔒 **Data Protection:** AES-256 encryption for all data\n🛡️ **Access Control:** Role-based access and multi-factor authentication\n🌐 **Secure Infrastructure:** Enterprise-grade cloud security\n📋 **NDA Protection:** Comprehensive confidentiality agreements\n🔍 **Audit Trails:** Complete activity logging and monitoring\n\nWe comply with GDPR, CCPA, and other international data protection regulations."
+  },
+  {
+    name: 'industries',
+    title: 'Industries we serve',
+    keywords: ['industries', 'sectors', 'clients', 'who do you serve'],
+    response: "We serve clients across multiple industries:\n\n🏦 **Financial Services** - Banking, insurance, investment firms\n🏥 **Healthcare** - Hospitals, pharmaceutical companies, medical devices\n💻 **Technology** - Software companies, startups, tech corporations\n🏭 **Manufacturing** - Industrial companies, supply chain management\n🛍️ **Retail** - E-commerce, retail chains, consumer goods\n🎓 **Education** - Universities, educational institutions\n\nOur legal expertise spans across all major business sectors."
+  },
+  {
+    name: 'timeline',
+    title: 'Delivery timelines',
+    keywords: ['timeline', 'duration', 'how long', 'delivery time', 'turnaround'],
+    response: "Our delivery timelines depend on project complexity:\n\n⚡ **Urgent Projects:** 24-48 hours (rush service available)\n📅 **Standard Projects:** 3-7 business days\n📋 **Complex Projects:** 1-2 weeks\n📊 **Large-scale Projects:** 2-4 weeks\n\nWe always provide realistic timelines upfront and keep you updated on progress. Rush services are available for urgent matters."
+  },
+  {
+    name: 'default',
+    title: 'Fallback answer',
+    isFallback: true,
+    keywords: [],
+    response: "Thank you for your question! I'm Lexi, your AI assistant at Lexocrates. I can help you with:\n\n• Service information and pricing\n• Process explanations and timelines\n• Contact information and support\n• Security and confidentiality details\n\nFor specific legal advice or detailed quotes, I recommend creating a support ticket so our legal experts can assist you directly. How else can I help you today?"
+  }
+];
@@ -1,4 +1,7 @@
+const mongoose = require('mongoose');
+const AuditExport = require('../models/AuditExport');
 const AuditService = require('../utils/auditService');
+const auditExport = require('../utils/auditExport');
 const logger = require('../utils/logger');
 
 // @desc    Get audit logs with filtering
@@ -318,7 +321,7 @@ const getUserActivity = async (req, res) => {
   }
 };
 
-// @desc    Export audit logs
+// @desc    Start a background export of the audit logs (CSV, JSONL or NDJSON.gz)
 // @route   POST /api/audit/export
 // @access  Private/Admin
 const exportAuditLogs = async (req, res) => {
@@ -332,91 +335,188 @@ const exportAuditLogs = async (req, res) => {
       success,
       startDate,
       endDate,
-      format = 'json'
+      format = 'csv'
     } = req.body;
 
-    // Validate export request
-    if (!startDate || !endDate) {
-      return res.status(400).json({
+    const exportJob = await auditExport.request({
+      requestedBy: req.user._id,
+      format,
+      filters: {
+        eventType,
+        userId,
+        resourceType,
+        resourceId,
+        threatLevel,
+        success: success === true ? true : success === false ? false : undefined
+      },
+      startDate,
+      endDate
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Audit export started',
+      data: exportJob
+    });
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 429) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Start date and end date are required for export'
+        message: error.message
       });
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+    logger.logError(error, {
+      context: 'exportAuditLogs',
+      userId: req.user?.id,
+      requestId: req.requestId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting audit logs'
+    });
+  }
+};
+
+// @desc    List the current user's audit exports
+// @route   GET /api/audit/exports
+// @access  Private/Admin
+const getAuditExports = async (req, res) => {
+  try {
+    const exports = await AuditExport.find({ requestedBy: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: exports
+    });
+
+  } catch (error) {
+    logger.logError(error, {
+      context: 'getAuditExports',
+      userId: req.user?.id,
+      requestId: req.requestId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving audit exports'
+    });
+  }
+};
+
+// Export requested by the current user, or null
+const findOwnExport = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  return AuditExport.findOne({ _id: req.params.id, requestedBy: req.user._id });
+};
 
-    // Limit export to 90 days for security
-    if (daysDiff > 90) {
-      return res.status(400).json({
+// @desc    Status of an audit export, with the key that verifies its signature
+// @route   GET /api/audit/exports/:id
+// @access  Private/Admin
+const getAuditExport = async (req, res) => {
+  try {
+    const exportJob = await findOwnExport(req);
+    if (!exportJob) {
+      return res.status(404).json({
         success: false,
-        message: 'Export period cannot exceed 90 days'
+        message: 'Audit export not found'
       });
     }
 
-    const filters = {
-      eventType,
-      userId,
-      resourceType,
-      resourceId,
-      threatLevel,
-      success: success === true ? true : success === false ? false : undefined
-    };
-
-    const options = {
-      startDate: start,
-      endDate: end,
-      limit: 10000, // Max 10k records for export
-      sort: { timestamp: -1 }
-    };
-
-    const auditLogs = await AuditService.getAuditLogs(filters, options);
+    res.json({
+      success: true,
+      data: exportJob,
+      signingKey: exportJob.status === 'completed' ? AuditService.getSigningKey() : null
+    });
 
-    // Log export request
-    await AuditService.logComplianceEvent('data_export', {
-      userId: req.user.id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent'),
-      exportFormat: format,
-      filters: filters,
-      startDate: start,
-      endDate: end,
-      recordCount: auditLogs.length,
+  } catch (error) {
+    logger.logError(error, {
+      context: 'getAuditExport',
+      userId: req.user?.id,
       requestId: req.requestId
     });
 
-    if (format === 'csv') {
-      // Generate CSV
-      const csv = generateCSV(auditLogs);
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="audit_logs_${startDate}_${endDate}.csv"`);
-      res.send(csv);
-    } else {
-      // Return JSON
-      res.json({
-        success: true,
-        data: auditLogs,
-        export: {
-          format: 'json',
-          startDate: start,
-          endDate: end,
-          recordCount: auditLogs.length,
-          filters: filters
-        }
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving audit export'
+    });
+  }
+};
+
+// @desc    Download the data file, manifest or manifest signature of an export
+// @route   GET /api/audit/exports/:id/:part (data, manifest or signature)
+// @access  Private/Admin
+const downloadAuditExport = async (req, res) => {
+  try {
+    const exportJob = await findOwnExport(req);
+    if (!exportJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit export not found'
+      });
+    }
+
+    if (exportJob.status !== 'completed' || exportJob.expiresAt < new Date()) {
+      const expired = exportJob.status === 'expired' || exportJob.expiresAt < new Date();
+      return res.status(expired ? 410 : 409).json({
+        success: false,
+        message: expired ? 'Audit export has expired' : `Audit export is ${exportJob.status}`
       });
     }
 
+    const file = auditExport.getFile(exportJob, req.params.part);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown export file'
+      });
+    }
+
+    if (req.params.part === 'data') {
+      exportJob.downloadCount += 1;
+      exportJob.lastDownloadedAt = new Date();
+      await exportJob.save();
+
+      await AuditService.logComplianceEvent('data_export', {
+        userId: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        auditExportId: exportJob._id.toString(),
+        exportFormat: exportJob.format,
+        filters: exportJob.filters,
+        startDate: exportJob.startDate,
+        endDate: exportJob.endDate,
+        recordCount: exportJob.recordCount,
+        sha256: exportJob.sha256,
+        requestId: req.requestId
+      });
+    }
+
+    res.download(file.path, file.fileName, { headers: { 'Content-Type': file.contentType } }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Export file is no longer available'
+        });
+      }
+    });
+
   } catch (error) {
     logger.logError(error, {
-      context: 'exportAuditLogs',
+      context: 'downloadAuditExport',
       userId: req.user?.id,
       requestId: req.requestId
     });
 
     res.status(500).json({
       success: false,
-      message: 'Error exporting audit logs'
+      message: 'Error downloading audit export'
     });
   }
 };
@@ -426,23 +526,32 @@ const exportAuditLogs = async (req, res) => {
 // @access  Private/Admin
 const cleanupAuditLogs = async (req, res) => {
   try {
-    const archivedCount = await AuditService.cleanupExpiredLogs();
+    const { removed, tombstones } = await AuditService.cleanupExpiredLogs(req.user._id);
 
     // Log cleanup operation
     await AuditService.logAdminAction('audit_cleanup', req.user.id, {
       ipAddress: req.ip,
       userAgent: req.get('User-Agent'),
-      archivedCount: archivedCount,
+      removedCount: removed,
+      tombstoneCount: tombstones,
       requestId: req.requestId
     });
 
     res.json({
       success: true,
-      message: `Successfully archived ${archivedCount} expired audit logs`,
-      archivedCount: archivedCount
+      message: `Successfully removed ${removed} expired audit logs`,
+      removedCount: removed,
+      tombstoneCount: tombstones
     });
 
   } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     logger.logError(error, {
       context: 'cleanupAuditLogs',
       userId: req.user?.id,
@@ -456,65 +565,104 @@ const cleanupAuditLogs = async (req, res) => {
   }
 };
 
-// Helper function to generate CSV
-function generateCSV(auditLogs) {
-  const headers = [
-    'Timestamp',
-    'Event Type',
-    'Action',
-    'Description',
-    'User ID',
-    'User Name',
-    'User Email',
-    'IP Address',
-    'User Agent',
-    'Success',
-    'Threat Level',
-    'Resource Type',
-    'Resource ID',
-    'Failure Reason'
-  ];
-
-  const csvRows = [headers.join(',')];
-
-  auditLogs.forEach(log => {
-    const row = [
-      log.timestamp,
-      log.eventType,
-      log.action,
-      `"${log.description.replace(/"/g, '""')}"`,
-      log.userId?._id || '',
-      log.userId?.name || '',
-      log.userId?.email || '',
-      log.ipAddress || '',
-      `"${(log.userAgent || '').replace(/"/g, '""')}"`,
-      log.success,
-      log.threatLevel,
-      log.resourceType || '',
-      log.resourceId || '',
-      `"${(log.failureReason || '').replace(/"/g, '""')}"`
-    ];
-    csvRows.push(row.join(','));
-  });
-
-  return csvRows.join('\n');
-}
+// @desc    Verify the audit chain and report the first broken link
+// @route   GET /api/audit/verify
+// @access  Private/Admin
+const verifyAuditTrail = async (req, res) => {
+  try {
+    const report = await AuditService.verifyAuditTrail();
 
-module.exports = {
-  getAuditLogs,
-  getAuditStats,
-  getSecurityEvents,
-  getComplianceEvents,
-  getUserActivity,
-  exportAuditLogs,
-  cleanupAuditLogs
-};
+    await AuditService.logComplianceEvent('audit_trail_accessed', {
+      userId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      verification: true,
+      intact: report.intact,
+      firstBrokenLink: report.firstBrokenLink,
+      requestId: req.requestId
+    });
 
+    res.json({
+      success: true,
+      data: report
+    });
 
+  } catch (error) {
+    logger.logError(error, {
+      context: 'verifyAuditTrail',
+      userId: req.user?.id,
+      requestId: req.requestId
+    });
 
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying audit trail'
+    });
+  }
+};
 
+// @desc    Signed daily checkpoints and the public key that verifies them
+// @route   GET /api/audit/checkpoints
+// @access  Private/Admin
+const getAuditCheckpoints = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 30, 365);
+    const data = await AuditService.getCheckpoints(limit);
+
+    res.json({
+      success: true,
+      data
+    });
 
+  } catch (error) {
+    logger.logError(error, {
+      context: 'getAuditCheckpoints',
+      userId: req.user?.id,
+      requestId: req.requestId
+    });
 
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving audit checkpoints'
+    });
+  }
+};
 
+// @desc    Health of the SIEM forwarders (queue, on-disk buffer, last error)
+// @route   GET /api/audit/forwarders
+// @access  Private/Admin
+const getForwarderHealth = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: AuditService.getForwarderHealth()
+    });
+  } catch (error) {
+    logger.logError(error, {
+      context: 'getForwarderHealth',
+      userId: req.user?.id,
+      requestId: req.requestId
+    });
 
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving SIEM forwarder health'
+    });
+  }
+};
 
+module.exports = {
+  getAuditLogs,
+  getAuditStats,
+  getSecurityEvents,
+  getComplianceEvents,
+  getUserActivity,
+  exportAuditLogs,
+  getAuditExports,
+  getAuditExport,
+  downloadAuditExport,
+  cleanupAuditLogs,
+  verifyAuditTrail,
+  getAuditCheckpoints,
+  getForwarderHealth
+};
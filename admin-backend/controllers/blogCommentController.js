@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const BlogPost = require('../models/BlogPost');
+const BlogComment = require('../models/BlogComment');
+const BlogCommentNotifier = require('../utils/blogCommentNotifier');
+const { InputSanitizer } = require('../middleware/security');
+
+// Statuses a moderator can move a confirmed comment to
+const MODERATION_STATUSES = ['pending', 'approved', 'spam'];
+
+// Only published posts that allow comments take new ones
+const findCommentablePost = (slug) => BlogPost.findOne({ slug: String(slug).toLowerCase(), status: 'published' })
+  .select('title slug author allowComments');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Get the approved comments of a published post as threads
+// @route   GET /api/comments/posts/:slug
+// @access  Public
+const getPostComments = async (req, res) => {
+  try {
+    const post = await findCommentablePost(req.params.slug);
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const comments = await BlogComment.find({ post: post._id, status: 'approved' })
+      .select('parent name body createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        allowComments: post.allowComments,
+        count: comments.length,
+        comments: BlogComment.thread(comments)
+      }
+    });
+  } catch (error) {
+    console.error('Get post comments error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving comments' });
+  }
+};
+
+// @desc    Comment on a post; the comment waits for email confirmation, then moderation
+// @route   POST /api/comments/posts/:slug
+// @access  Public
+const submitComment = async (req, res) => {
+  try {
+    const post = await findCommentablePost(req.params.slug);
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+    if (!post.allowComments) {
+      return res.status(403).json({ success: false, message: 'Comments are closed for this post' });
+    }
+
+    let parent = null;
+    if (req.body.parentId) {
+      parent = mongoose.Types.ObjectId.isValid(req.body.parentId)
+        ? await BlogComment.findOne({ _id: req.body.parentId, post: post._id, status: 'approved' })
+        : null;
+      if (!parent) {
+        return res.status(400).json({ success: false, message: 'The comment you replied to is not available' });
+      }
+    }
+
+    const { comment, token } = await BlogComment.submit({
+      post: post._id,
+      name: InputSanitizer.sanitizeText(req.body.name),
+      email: req.body.email,
+      body: InputSanitizer.sanitizeText(req.body.body),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }, parent);
+
+    // Known spammers get the same answer without an email
+    if (token) {
+      const delivery = await BlogCommentNotifier.verification(comment, post, token);
+      if (delivery.status === 'failed') {
+        await comment.deleteOne();
+        return res.status(502).json({
+          success: false,
+          message: 'We could not send the confirmation email. Please check the address and try again.'
+        });
+      }
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Thanks! Check your email to confirm your comment. It will appear once a moderator approves it.'
+    });
+  } catch (error) {
+    console.error('Submit comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while posting your comment. Please try again.'
+    });
+  }
+};
+
+// @desc    Confirm a commenter's email from the link they were sent
+// @route   POST /api/comments/verify
+// @access  Public
+const verifyComment = async (req, res) => {
+  try {
+    const comment = await BlogComment.verify(req.body.token);
+    if (!comment) {
+      return res.status(400).json({
+        success: false,
+        message: 'This confirmation link is invalid or has expired.'
+      });
+    }
+
+    // A failed notification doesn't undo the confirmation
+    try {
+      const post = await BlogPost.findById(comment.post).select('title slug author');
+      if (post) {
+        await BlogCommentNotifier.newComment(comment, post);
+      }
+    } catch (error) {
+      console.error('Blog comment notification error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Your comment is confirmed and will appear once a moderator approves it.',
+      data: { status: comment.status }
+    });
+  } catch (error) {
+    console.error('Verify comment error:', error);
+    res.status(500).json({ success: false, message: 'Error confirming comment' });
+  }
+};
+
+// @desc    Get the moderation queue
+// @route   GET /api/comments?status=&post=&search=&page=
+// @access  Private/Moderator
+const getComments = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { status, post, search } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (post && mongoose.Types.ObjectId.isValid(post)) query.post = post;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }, { body: pattern }];
+    }
+
+    const comments = await BlogComment.find(query)
+      .populate('post', 'title slug')
+      .populate('parent', 'name body')
+      .populate('moderatedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await BlogComment.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: comments.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: comments
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving comments' });
+  }
+};
+
+// @desc    Get comment counts per status
+// @route   GET /api/comments/stats
+// @access  Private/Moderator
+const getCommentStats = async (req, res) => {
+  try {
+    const counts = await BlogComment.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const statuses = Object.fromEntries(BlogComment.STATUSES.map(status => [status, 0]));
+    counts.forEach(({ _id, count }) => {
+      statuses[_id] = count;
+    });
+
+    res.json({
+      success: true,
+      data: { statuses }
+    });
+  } catch (error) {
+    console.error('Get comment stats error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving comment stats' });
+  }
+};
+
+// @desc    Approve a comment, mark it as spam or send it back to the queue
+// @route   PUT /api/comments/:id/status
+// @access  Private/Moderator
+const moderateComment = async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Status must be one of ${MODERATION_STATUSES.join(', ')}` });
+    }
+
+    const comment = await BlogComment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+    if (comment.status === 'unverified') {
+      return res.status(400).json({ success: false, message: 'The commenter has not confirmed their email yet' });
+    }
+
+    comment.status = status;
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = new Date();
+    await comment.save();
+    await comment.populate([
+      { path: 'post', select: 'title slug' },
+      { path: 'parent', select: 'name body' },
+      { path: 'moderatedBy', select: 'name' }
+    ]);
+
+    res.json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    console.error('Moderate comment error:', error);
+    res.status(500).json({ success: false, message: 'Error updating comment' });
+  }
+};
+
+// @desc    Delete a comment and its replies
+// @route   DELETE /api/comments/:id
+// @access  Private/Moderator
+const deleteComment = async (req, res) => {
+  try {
+    const comment = await BlogComment.findById(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    const ids = await BlogComment.descendantIds(comment._id);
+    await BlogComment.deleteMany({ _id: { $in: ids } });
+
+    res.json({
+      success: true,
+      data: { deleted: ids.length }
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting comment' });
+  }
+};
+
+module.exports = {
+  getPostComments,
+  submitComment,
+  verifyComment,
+  getComments,
+  getCommentStats,
+  moderateComment,
+  deleteComment
+};
@@ -1,7 +1,168 @@
 const BlogPost = require('../models/BlogPost');
+const BlogRevision = require('../models/BlogRevision');
 const seoAnalyzer = require('../utils/seoAnalyzer');
+const TextDiff = require('../utils/textDiff');
+const BlogWorkflow = require('../utils/blogWorkflow');
+const BlogReviewNotifier = require('../utils/blogReviewNotifier');
+const BlogReviewComment = require('../models/BlogReviewComment');
+const BlogComment = require('../models/BlogComment');
+const blogSync = require('../utils/blogSync');
 const { processImages, deleteImage } = require('../middleware/upload');
 
+// Lists arrive JSON-encoded from multipart forms and as arrays from JSON requests
+const parseList = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Apply an update request's fields to a post; empty fields keep their value
+const applyPostFields = (blogPost, body) => {
+  const {
+    title,
+    metaDescription,
+    focusKeywords,
+    content,
+    excerpt,
+    category,
+    tags,
+    schemaMarkup,
+    internalLinks,
+    externalLinks
+  } = body;
+
+  blogPost.title = title || blogPost.title;
+  blogPost.metaDescription = metaDescription || blogPost.metaDescription;
+  blogPost.focusKeywords = focusKeywords ? parseList(focusKeywords) : blogPost.focusKeywords;
+  blogPost.content = content || blogPost.content;
+  blogPost.excerpt = excerpt || blogPost.excerpt;
+  blogPost.category = category || blogPost.category;
+  blogPost.tags = tags ? parseList(tags) : blogPost.tags;
+  blogPost.schemaMarkup = schemaMarkup || blogPost.schemaMarkup;
+  blogPost.internalLinks = internalLinks ? parseList(internalLinks) : blogPost.internalLinks;
+  blogPost.externalLinks = externalLinks ? parseList(externalLinks) : blogPost.externalLinks;
+};
+
+// Dates arrive as ISO strings; an empty value clears the date
+const parseDate = (value) => {
+  if (value === '' || value === null) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Apply the schedule of a request to a post, after its status is set. Returns
+// a validation message, or null when the schedule is usable.
+const applySchedule = (blogPost, body, now = new Date()) => {
+  for (const field of ['publishAt', 'unpublishAt']) {
+    if (body[field] !== undefined) {
+      const date = parseDate(body[field]);
+      if (date === undefined) {
+        return `${field} is not a valid date`;
+      }
+      blogPost[field] = date;
+    }
+  }
+  const rescheduled = blogPost.isModified('status') || blogPost.isModified('publishAt');
+  if (blogPost.status === 'scheduled' && rescheduled) {
+    if (!blogPost.publishAt) {
+      return 'Scheduled posts need a publish date';
+    }
+    if (blogPost.publishAt <= now) {
+      return 'The publish date must be in the future';
+    }
+  }
+
+  if (blogPost.unpublishAt && (rescheduled || blogPost.isModified('unpublishAt'))) {
+    const earliest = blogPost.status === 'scheduled' ? blogPost.publishAt : now;
+    if (blogPost.unpublishAt <= earliest) {
+      return 'The unpublish date must be after the post goes live';
+    }
+  }
+
+  if (blogPost.status === 'published' && !blogPost.publishedAt) {
+    blogPost.publishedAt = now;
+  }
+  return null;
+};
+
+// Writers edit their own posts; reviewers edit any post
+const canEditPost = (req, blogPost) =>
+  req.user.role === 'admin' || BlogWorkflow.canReview(req.user) || blogPost.author.toString() === req.user._id.toString();
+
+// Move a post to the requested status if the user may. Returns why not otherwise.
+const applyStatus = (req, blogPost, status, note = '') => {
+  const next = status || blogPost.status;
+  const error = BlogWorkflow.checkTransition(req.user, blogPost.status, next);
+  if (error) {
+    return error;
+  }
+  blogPost.changeStatus(next, req.user._id, note);
+  return null;
+};
+
+// An approved post whose content a writer changed goes back for review
+const reopenReviewAfterEdit = (req, blogPost, before) => {
+  if (!BlogWorkflow.needsReviewAfterEdit(req.user, blogPost.status)) {
+    return false;
+  }
+  const changed = BlogRevision.changedFields(before, BlogRevision.snapshotOf(blogPost))
+    .filter(field => BlogRevision.RESTORABLE_FIELDS.includes(field));
+  return changed.length > 0 && blogPost.changeStatus('in_review', req.user._id, 'Edited after approval');
+};
+
+// Email reviewers about submissions and submitters about review outcomes.
+// A failed notification doesn't fail a change that already happened.
+const notifyStatusChange = async (blogPost, previousStatus, user, note = '') => {
+  if (blogPost.status === previousStatus) {
+    return;
+  }
+  try {
+    if (blogPost.status === 'in_review') {
+      await BlogReviewNotifier.submitted(blogPost, user);
+    } else if (BlogWorkflow.isReviewOutcome(blogPost.status)) {
+      const comments = await BlogReviewComment.find({ post: blogPost._id, resolved: false }).sort({ createdAt: 1 });
+      await BlogReviewNotifier.reviewed(blogPost, user, note, comments);
+    }
+  } catch (error) {
+    console.error('Blog review notification error:', error);
+  }
+};
+
+// Posts saved before revisions existed get their current state as revision 1
+// before the first change, so that change can be undone
+const ensureBaselineRevision = async (blogPost) => {
+  if (!await BlogRevision.exists({ post: blogPost._id })) {
+    await BlogRevision.record(blogPost, { author: blogPost.author, reason: 'baseline' });
+  }
+};
+
+// A failed revision write doesn't fail a save that already happened
+const recordRevision = async (blogPost, options) => {
+  try {
+    return await BlogRevision.record(blogPost, options);
+  } catch (error) {
+    console.error('Record blog revision error:', error);
+    return null;
+  }
+};
+
+// Fields compared word by word; the content also gets an HTML source diff
+const TEXT_FIELDS = ['title', 'metaDescription', 'excerpt', 'schemaMarkup'];
+
+// Changes between two snapshots, in field order, for the side-by-side diff
+const compareSnapshots = (before, after) => {
+  const from = before || BlogRevision.snapshotOf({});
+  return BlogRevision.changedFields(from, after).map(field => {
+    if (field === 'content') {
+      return {
+        field,
+        html: TextDiff.diffHtml(from.content, after.content),
+        text: TextDiff.diffText(from.content, after.content)
+      };
+    }
+    if (TEXT_FIELDS.includes(field)) {
+      return { field, diff: TextDiff.diffWords(from[field], after[field]) };
+    }
+    return { field, before: from[field], after: after[field] };
+  });
+};
+
 // @desc    Get all blog posts
 // @route   GET /api/blog
 // @access  Private
@@ -53,7 +214,8 @@ const getBlogPosts = async (req, res) => {
 const getBlogPost = async (req, res) => {
   try {
     const post = await BlogPost.findById(req.params.id)
-      .populate('author', 'name email');
+      .populate('author', 'name email')
+      .populate('statusHistory.changedBy', 'name');
 
     if (!post) {
       return res.status(404).json({ message: 'Blog post not found' });
@@ -82,7 +244,6 @@ const createBlogPost = async (req, res) => {
       excerpt,
       category,
       tags,
-      status,
       schemaMarkup,
       internalLinks,
       externalLinks
@@ -98,15 +259,14 @@ const createBlogPost = async (req, res) => {
     const blogPost = new BlogPost({
       title,
       metaDescription,
-      focusKeywords: focusKeywords ? JSON.parse(focusKeywords) : [],
+      focusKeywords: focusKeywords ? parseList(focusKeywords) : [],
       content,
       excerpt,
       category,
-      tags: tags ? JSON.parse(tags) : [],
-      status,
+      tags: tags ? parseList(tags) : [],
       schemaMarkup,
-      internalLinks: internalLinks ? JSON.parse(internalLinks) : [],
-      externalLinks: externalLinks ? JSON.parse(externalLinks) : [],
+      internalLinks: internalLinks ? parseList(internalLinks) : [],
+      externalLinks: externalLinks ? parseList(externalLinks) : [],
       images: images.map(img => ({
         url: img.url,
         altText: req.body[`altText_${img.filename}`] || '',
@@ -116,6 +276,16 @@ const createBlogPost = async (req, res) => {
       author: req.user._id
     });
 
+    const statusError = applyStatus(req, blogPost, req.body.status);
+    if (statusError) {
+      return res.status(403).json({ message: statusError });
+    }
+
+    const scheduleError = applySchedule(blogPost, req.body);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
     // Get existing posts for duplicate check
     const existingPosts = await BlogPost.find({ _id: { $ne: blogPost._id } });
 
@@ -123,12 +293,10 @@ const createBlogPost = async (req, res) => {
     const seoAnalysis = seoAnalyzer.analyzeSEO(blogPost, existingPosts);
     blogPost.seoAnalysis = seoAnalysis;
 
-    // Set published date if publishing
-    if (status === 'published' && !blogPost.publishedAt) {
-      blogPost.publishedAt = new Date();
-    }
-
     const savedPost = await blogPost.save();
+    await recordRevision(savedPost, { author: req.user._id, reason: 'create' });
+    await notifyStatusChange(savedPost, 'draft', req.user);
+    blogSync.postChanged(savedPost);
 
     res.status(201).json({
       success: true,
@@ -145,30 +313,31 @@ const createBlogPost = async (req, res) => {
 // @access  Private
 const updateBlogPost = async (req, res) => {
   try {
-    const {
-      title,
-      metaDescription,
-      focusKeywords,
-      content,
-      excerpt,
-      category,
-      tags,
-      status,
-      schemaMarkup,
-      internalLinks,
-      externalLinks
-    } = req.body;
-
     let blogPost = await BlogPost.findById(req.params.id);
     if (!blogPost) {
       return res.status(404).json({ message: 'Blog post not found' });
     }
 
     // Check if user can edit this post
-    if (req.user.role !== 'admin' && blogPost.author.toString() !== req.user._id.toString()) {
+    if (!canEditPost(req, blogPost)) {
       return res.status(403).json({ message: 'Not authorized to edit this post' });
     }
 
+    await ensureBaselineRevision(blogPost);
+    const previousStatus = blogPost.status;
+    const before = BlogRevision.snapshotOf(blogPost);
+
+    const statusError = applyStatus(req, blogPost, req.body.status);
+    if (statusError) {
+      return res.status(403).json({ message: statusError });
+    }
+
+    // Update schedule and published date
+    const scheduleError = applySchedule(blogPost, req.body);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
     // Process new uploaded images
     let newImages = [];
     if (req.files && req.files.length > 0) {
@@ -176,16 +345,8 @@ const updateBlogPost = async (req, res) => {
     }
 
     // Update fields
-    blogPost.title = title || blogPost.title;
-    blogPost.metaDescription = metaDescription || blogPost.metaDescription;
-    blogPost.focusKeywords = focusKeywords ? JSON.parse(focusKeywords) : blogPost.focusKeywords;
-    blogPost.content = content || blogPost.content;
-    blogPost.excerpt = excerpt || blogPost.excerpt;
-    blogPost.category = category || blogPost.category;
-    blogPost.tags = tags ? JSON.parse(tags) : blogPost.tags;
-    blogPost.schemaMarkup = schemaMarkup || blogPost.schemaMarkup;
-    blogPost.internalLinks = internalLinks ? JSON.parse(internalLinks) : blogPost.internalLinks;
-    blogPost.externalLinks = externalLinks ? JSON.parse(externalLinks) : blogPost.externalLinks;
+    applyPostFields(blogPost, req.body);
+    reopenReviewAfterEdit(req, blogPost, before);
 
     // Add new images
     if (newImages.length > 0) {
@@ -198,13 +359,6 @@ const updateBlogPost = async (req, res) => {
       blogPost.images = [...blogPost.images, ...newImageObjects];
     }
 
-    // Update status and published date
-    if (status && status !== blogPost.status) {
-      blogPost.status = status;
-      if (status === 'published' && !blogPost.publishedAt) {
-        blogPost.publishedAt = new Date();
-      }
-    }
 
     // Get existing posts for duplicate check
     const existingPosts = await BlogPost.find({ _id: { $ne: blogPost._id } });
@@ -214,6 +368,9 @@ const updateBlogPost = async (req, res) => {
     blogPost.seoAnalysis = seoAnalysis;
 
     const updatedPost = await blogPost.save();
+    await recordRevision(updatedPost, { author: req.user._id, reason: 'update' });
+    await notifyStatusChange(updatedPost, previousStatus, req.user);
+    blogSync.postChanged(updatedPost);
 
     res.json({
       success: true,
@@ -225,6 +382,272 @@ const updateBlogPost = async (req, res) => {
   }
 };
 
+// @desc    Compare an update with the live post before it is saved
+// @route   POST /api/blog/:id/compare
+// @access  Private
+const compareWithLive = async (req, res) => {
+  try {
+    const blogPost = await BlogPost.findById(req.params.id);
+    if (!blogPost) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    const draft = BlogPost.hydrate(blogPost.toObject());
+    const statusError = applyStatus(req, draft, req.body.status);
+    if (statusError) {
+      return res.status(403).json({ message: statusError });
+    }
+    applyPostFields(draft, req.body);
+    const scheduleError = applySchedule(draft, req.body);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
+    const live = BlogRevision.snapshotOf(blogPost);
+    const proposed = BlogRevision.snapshotOf(draft);
+
+    res.json({
+      success: true,
+      data: {
+        from: { label: blogPost.status === 'published' ? 'Live' : 'Saved', updatedAt: blogPost.updatedAt },
+        to: { label: 'Your changes' },
+        changes: compareSnapshots(live, proposed)
+      }
+    });
+  } catch (error) {
+    console.error('Compare blog post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Move a blog post through the editorial workflow
+// @route   POST /api/blog/:id/status
+// @access  Private
+const changeBlogPostStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!BlogPost.STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of ${BlogPost.STATUSES.join(', ')}` });
+    }
+
+    const blogPost = await BlogPost.findById(req.params.id);
+    if (!blogPost) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    if (!canEditPost(req, blogPost)) {
+      return res.status(403).json({ message: 'Not authorized to edit this post' });
+    }
+
+    if (status === blogPost.status) {
+      return res.status(400).json({ message: `The post is already ${status}` });
+    }
+
+    await ensureBaselineRevision(blogPost);
+    const previousStatus = blogPost.status;
+
+    const statusError = applyStatus(req, blogPost, status, note);
+    if (statusError) {
+      return res.status(403).json({ message: statusError });
+    }
+
+    const scheduleError = applySchedule(blogPost, req.body);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
+    const updatedPost = await blogPost.save();
+    await recordRevision(updatedPost, { author: req.user._id, reason: 'update' });
+    await notifyStatusChange(updatedPost, previousStatus, req.user, note);
+    blogSync.postChanged(updatedPost);
+    await updatedPost.populate('statusHistory.changedBy', 'name');
+
+    res.json({
+      success: true,
+      data: updatedPost
+    });
+  } catch (error) {
+    console.error('Change blog post status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the workflow statuses and the changes open to the current user
+// @route   GET /api/blog/workflow
+// @access  Private
+const getBlogWorkflow = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      statuses: BlogPost.STATUSES,
+      transitions: BlogWorkflow.transitionsFor(req.user),
+      canReview: BlogWorkflow.canReview(req.user)
+    }
+  });
+};
+
+// @desc    Get the revision history of a blog post
+// @route   GET /api/blog/:id/revisions
+// @access  Private
+const getBlogRevisions = async (req, res) => {
+  try {
+    const blogPost = await BlogPost.findById(req.params.id).select('title status updatedAt');
+    if (!blogPost) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    const revisions = await BlogRevision.find({ post: blogPost._id })
+      .select('-snapshot')
+      .populate('author', 'name email')
+      .sort({ revision: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        post: blogPost,
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('Get blog revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get one revision with its full snapshot
+// @route   GET /api/blog/:id/revisions/:revision
+// @access  Private
+const getBlogRevision = async (req, res) => {
+  try {
+    const revision = await BlogRevision.findOne({ post: req.params.id, revision: parseInt(req.params.revision) })
+      .populate('author', 'name email');
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get blog revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Diff a revision against the previous one, another revision or the live post
+// @route   GET /api/blog/:id/revisions/:revision/diff?against=previous|live|<revision>
+// @access  Private
+const diffBlogRevision = async (req, res) => {
+  try {
+    const number = parseInt(req.params.revision);
+    const against = req.query.against || 'previous';
+    const revision = await BlogRevision.findOne({ post: req.params.id, revision: number }).lean();
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    let base;
+    if (against === 'live') {
+      const blogPost = await BlogPost.findById(req.params.id);
+      if (!blogPost) {
+        return res.status(404).json({ message: 'Blog post not found' });
+      }
+      base = { label: blogPost.status === 'published' ? 'Live' : 'Current', snapshot: BlogRevision.snapshotOf(blogPost) };
+    } else {
+      const baseNumber = against === 'previous' ? number - 1 : parseInt(against);
+      if (isNaN(baseNumber)) {
+        return res.status(400).json({ message: 'against must be previous, live or a revision number' });
+      }
+      const baseRevision = baseNumber > 0
+        ? await BlogRevision.findOne({ post: req.params.id, revision: baseNumber }).lean()
+        : null;
+      if (baseNumber > 0 && !baseRevision) {
+        return res.status(404).json({ message: 'Revision not found' });
+      }
+      base = {
+        label: baseRevision ? `Revision ${baseRevision.revision}` : 'Empty',
+        revision: baseRevision?.revision || null,
+        snapshot: baseRevision ? BlogRevision.snapshotOf(baseRevision.snapshot) : null
+      };
+    }
+
+    // The live post reads as the newer side; revisions are compared oldest first
+    const target = { label: `Revision ${revision.revision}`, revision: revision.revision, snapshot: BlogRevision.snapshotOf(revision.snapshot) };
+    const [from, to] = against === 'live' ? [target, base] : [base, target];
+
+    res.json({
+      success: true,
+      data: {
+        from: { label: from.label, revision: from.revision || null },
+        to: { label: to.label, revision: to.revision || null },
+        changes: compareSnapshots(from.snapshot, to.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Diff blog revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Restore a revision's title, content and SEO fields
+// @route   POST /api/blog/:id/revisions/:revision/restore
+// @access  Private
+const restoreBlogRevision = async (req, res) => {
+  try {
+    const blogPost = await BlogPost.findById(req.params.id);
+    if (!blogPost) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    if (!canEditPost(req, blogPost)) {
+      return res.status(403).json({ message: 'Not authorized to edit this post' });
+    }
+
+    const statusError = BlogWorkflow.checkTransition(req.user, blogPost.status, blogPost.status);
+    if (statusError) {
+      return res.status(403).json({ message: statusError });
+    }
+
+    const revision = await BlogRevision.findOne({ post: blogPost._id, revision: parseInt(req.params.revision) }).lean();
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    await ensureBaselineRevision(blogPost);
+    const previousStatus = blogPost.status;
+    const before = BlogRevision.snapshotOf(blogPost);
+
+    const snapshot = BlogRevision.snapshotOf(revision.snapshot);
+    BlogRevision.RESTORABLE_FIELDS.forEach(field => {
+      blogPost[field] = snapshot[field];
+    });
+    reopenReviewAfterEdit(req, blogPost, before);
+
+    const existingPosts = await BlogPost.find({ _id: { $ne: blogPost._id } });
+    blogPost.seoAnalysis = seoAnalyzer.analyzeSEO(blogPost, existingPosts);
+
+    const restoredPost = await blogPost.save();
+    const newRevision = await recordRevision(restoredPost, {
+      author: req.user._id,
+      reason: 'restore',
+      restoredFrom: revision.revision
+    });
+    await notifyStatusChange(restoredPost, previousStatus, req.user);
+    blogSync.postChanged(restoredPost);
+
+    res.json({
+      success: true,
+      message: `Restored revision ${revision.revision}`,
+      data: restoredPost,
+      revision: newRevision ? newRevision.revision : null
+    });
+  } catch (error) {
+    console.error('Restore blog revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Delete blog post
 // @route   DELETE /api/blog/:id
 // @access  Private
@@ -236,16 +659,26 @@ const deleteBlogPost = async (req, res) => {
     }
 
     // Check if user can delete this post
-    if (req.user.role !== 'admin' && blogPost.author.toString() !== req.user._id.toString()) {
+    if (!canEditPost(req, blogPost)) {
       return res.status(403).json({ message: 'Not authorized to delete this post' });
     }
 
+    // Deleting a live post takes it down, which only editors may do
+    const statusError = BlogWorkflow.checkTransition(req.user, blogPost.status, blogPost.status);
+    if (statusError) {
+      return res.status(403).json({ message: statusError });
+    }
+
     // Delete associated images
     for (const image of blogPost.images) {
       await deleteImage(image.filename);
     }
 
-    await blogPost.remove();
+    await blogPost.deleteOne();
+    await BlogRevision.deleteMany({ post: blogPost._id });
+    await BlogReviewComment.deleteMany({ post: blogPost._id });
+    await BlogComment.deleteMany({ post: blogPost._id });
+    blogSync.postChanged(blogPost._id);
 
     res.json({
       success: true,
@@ -298,6 +731,58 @@ const analyzeSEO = async (req, res) => {
   }
 };
 
+// @desc    Get publishing events for the editorial calendar
+// @route   GET /api/blog/calendar?from=&to=
+// @access  Private
+const getBlogCalendar = async (req, res) => {
+  try {
+    const now = new Date();
+    const from = req.query.from ? parseDate(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.to ? parseDate(req.query.to) : new Date(now.getFullYear(), now.getMonth() + 1, 1);
+    if (!from || !to || to <= from) {
+      return res.status(400).json({ message: 'from and to must be dates, with to after from' });
+    }
+    if (to - from > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: 'The calendar range can be at most a year' });
+    }
+
+    const range = { $gte: from, $lt: to };
+    const posts = await BlogPost.find({
+      $or: [
+        { status: 'scheduled', publishAt: range },
+        { status: { $in: ['scheduled', 'published'] }, unpublishAt: range },
+        { status: { $in: ['published', 'archived'] }, publishedAt: range }
+      ]
+    })
+      .populate('author', 'name')
+      .select('title slug category status author publishAt unpublishAt publishedAt')
+      .lean();
+
+    const inRange = date => date && date >= from && date < to;
+    const events = [];
+    for (const post of posts) {
+      if (post.status === 'scheduled' && inRange(post.publishAt)) {
+        events.push({ type: 'publish', date: post.publishAt, post });
+      }
+      if (post.status !== 'scheduled' && inRange(post.publishedAt)) {
+        events.push({ type: 'published', date: post.publishedAt, post });
+      }
+      if (post.status !== 'archived' && inRange(post.unpublishAt)) {
+        events.push({ type: 'unpublish', date: post.unpublishAt, post });
+      }
+    }
+    events.sort((a, b) => a.date - b.date);
+
+    res.json({
+      success: true,
+      data: { from, to, events }
+    });
+  } catch (error) {
+    console.error('Get blog calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Get blog post statistics
 // @route   GET /api/blog/stats
 // @access  Private/Admin
@@ -307,6 +792,8 @@ const getBlogStats = async (req, res) => {
     const publishedPosts = await BlogPost.countDocuments({ status: 'published' });
     const draftPosts = await BlogPost.countDocuments({ status: 'draft' });
     const archivedPosts = await BlogPost.countDocuments({ status: 'archived' });
+    const scheduledPosts = await BlogPost.countDocuments({ status: 'scheduled' });
+    const inReviewPosts = await BlogPost.countDocuments({ status: 'in_review' });
 
     // Get posts by category
     const categoryStats = await BlogPost.aggregate([
@@ -331,6 +818,8 @@ const getBlogStats = async (req, res) => {
         published: publishedPosts,
         draft: draftPosts,
         archived: archivedPosts,
+        scheduled: scheduledPosts,
+        inReview: inReviewPosts,
         categories: categoryStats,
         recent: recentPosts
       }
@@ -356,6 +845,7 @@ const bulkUpdatePosts = async (req, res) => {
       { _id: { $in: postIds } },
       { $set: updates }
     );
+    postIds.forEach(id => blogSync.postChanged(id));
 
     res.json({
       success: true,
@@ -375,8 +865,16 @@ module.exports = {
   getBlogPost,
   createBlogPost,
   updateBlogPost,
+  compareWithLive,
+  changeBlogPostStatus,
+  getBlogWorkflow,
+  getBlogRevisions,
+  getBlogRevision,
+  diffBlogRevision,
+  restoreBlogRevision,
   deleteBlogPost,
   analyzeSEO,
+  getBlogCalendar,
   getBlogStats,
   bulkUpdatePosts
 };
@@ -0,0 +1,129 @@
+const BlogPost = require('../models/BlogPost');
+const BlogRevision = require('../models/BlogRevision');
+const BlogReviewComment = require('../models/BlogReviewComment');
+const BlogWorkflow = require('../utils/blogWorkflow');
+
+const isAuthor = (req, blogPost) => blogPost.author.toString() === req.user._id.toString();
+
+// Reviewers see every post's comments; writers see those on their own posts
+const canSeeComments = (req, blogPost) => BlogWorkflow.canReview(req.user) || isAuthor(req, blogPost);
+
+// @desc    Get the review comments on a blog post
+// @route   GET /api/blog/:id/comments
+// @access  Private
+const getReviewComments = async (req, res) => {
+  try {
+    const blogPost = await BlogPost.findById(req.params.id).select('author');
+    if (!blogPost) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    if (!canSeeComments(req, blogPost)) {
+      return res.status(403).json({ message: 'Not authorized to view comments on this post' });
+    }
+
+    const comments = await BlogReviewComment.find({ post: blogPost._id })
+      .populate('author', 'name')
+      .populate('resolvedBy', 'name')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: comments
+    });
+  } catch (error) {
+    console.error('Get review comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Comment on a blog post, optionally on a quoted passage
+// @route   POST /api/blog/:id/comments
+// @access  Private
+const addReviewComment = async (req, res) => {
+  try {
+    const { field, quote, body } = req.body;
+
+    const blogPost = await BlogPost.findById(req.params.id).select('author');
+    if (!blogPost) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    if (!canSeeComments(req, blogPost)) {
+      return res.status(403).json({ message: 'Not authorized to comment on this post' });
+    }
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({ message: 'Comment is required' });
+    }
+
+    if (field && !BlogReviewComment.FIELDS.includes(field)) {
+      return res.status(400).json({ message: `Field must be one of ${BlogReviewComment.FIELDS.join(', ')}` });
+    }
+
+    const latest = await BlogRevision.findOne({ post: blogPost._id }).sort({ revision: -1 }).select('revision').lean();
+
+    const comment = await BlogReviewComment.create({
+      post: blogPost._id,
+      author: req.user._id,
+      field: field || 'content',
+      quote: quote || '',
+      body,
+      revision: latest ? latest.revision : null
+    });
+    await comment.populate('author', 'name');
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    console.error('Add review comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Resolve or reopen a review comment
+// @route   PATCH /api/blog/:id/comments/:commentId
+// @access  Private
+const updateReviewComment = async (req, res) => {
+  try {
+    const blogPost = await BlogPost.findById(req.params.id).select('author');
+    if (!blogPost) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    if (!canSeeComments(req, blogPost)) {
+      return res.status(403).json({ message: 'Not authorized to update comments on this post' });
+    }
+
+    const comment = await BlogReviewComment.findOne({ _id: req.params.commentId, post: blogPost._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const resolved = Boolean(req.body.resolved);
+    comment.resolved = resolved;
+    comment.resolvedBy = resolved ? req.user._id : null;
+    comment.resolvedAt = resolved ? new Date() : null;
+    await comment.save();
+    await comment.populate([{ path: 'author', select: 'name' }, { path: 'resolvedBy', select: 'name' }]);
+
+    res.json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    console.error('Update review comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getReviewComments,
+  addReviewComment,
+  updateReviewComment
+};
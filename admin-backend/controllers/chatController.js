@@ -0,0 +1,571 @@
+const ChatConversation = require('../models/ChatConversation');
+const SupportTicket = require('../models/SupportTicket');
+const User = require('../models/User');
+const chatHub = require('../utils/chatHub');
+const TicketNotifier = require('../utils/ticketNotifier');
+const { InputSanitizer } = require('../middleware/security');
+
+// Relations returned with a conversation in the agent console
+const CONVERSATION_POPULATE = [
+  { path: 'assignedAgent', select: 'name email' },
+  { path: 'ticket', select: 'ticketNumber status' }
+];
+
+const VISITOR_NOT_FOUND = {
+  success: false,
+  message: 'Chat conversation not found'
+};
+
+// Agents introduce themselves to visitors by first name
+const agentDisplayName = (user) => (user.name || 'Support').split(' ')[0];
+
+const isAdmin = (user) => user.role === 'admin';
+
+const isAssignedTo = (conversation, user) => Boolean(
+  conversation.assignedAgent &&
+  (conversation.assignedAgent._id || conversation.assignedAgent).toString() === user._id.toString()
+);
+
+// Message shape shared by the visitor widget and the agent console
+const messagePayload = (message) => ({
+  _id: message._id,
+  senderType: message.senderType,
+  senderName: message.senderName,
+  body: message.body,
+  createdAt: message.createdAt
+});
+
+// Push a new message to the visitor and every agent console
+const publishMessage = (conversation, message) => {
+  const payload = messagePayload(message);
+  chatHub.sendToVisitor(conversation._id, 'message', payload);
+  chatHub.sendToAgents('message', { conversationId: conversation._id, message: payload });
+};
+
+// Push a status/assignment change to the visitor and every agent console
+const publishConversation = (conversation, action) => {
+  chatHub.sendToVisitor(conversation._id, 'status', { status: conversation.status });
+  chatHub.sendToAgents('conversation', { action, conversation: conversation.toSummaryJSON() });
+};
+
+const addSystemMessage = (conversation, body) => conversation.addMessage({
+  senderType: 'system',
+  senderName: 'Lexocrates Support',
+  body
+});
+
+// Turn a chat into a support ticket so the visitor still gets an answer
+const openChatTicket = async ({ name, email, message, req }) => {
+  const ticket = await SupportTicket.openTicket({
+    name,
+    email,
+    subject: 'Live chat request',
+    category: 'general',
+    priority: 'medium',
+    source: 'chat',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  }, { message });
+
+  await TicketNotifier.newTicket(ticket);
+  return ticket;
+};
+
+// When an agent drops off, their open conversations go back to the queue
+const requeueAgentConversations = async (agent) => {
+  try {
+    const conversations = await ChatConversation.find({ assignedAgent: agent._id, status: 'active' });
+
+    for (const conversation of conversations) {
+      conversation.handoff(null, null, 'agent_offline');
+      const message = addSystemMessage(conversation, 'Your agent was disconnected. We are connecting you with the next available agent.');
+      await conversation.save();
+      publishMessage(conversation, message);
+      publishConversation(conversation, 'requeued');
+    }
+  } catch (error) {
+    console.error('Requeue chat conversations error:', error);
+  }
+};
+
+chatHub.on('agentOffline', requeueAgentConversations);
+
+// @desc    Check whether live chat agents are online
+// @route   GET /api/chat/availability
+// @access  Public
+const getAvailability = async (req, res) => {
+  const agentsOnline = chatHub.getAvailableAgentCount();
+
+  res.json({
+    success: true,
+    data: {
+      online: agentsOnline > 0,
+      agentsOnline
+    }
+  });
+};
+
+// @desc    Start a live chat, or open a ticket when no agent is online
+// @route   POST /api/chat/visitor/conversations
+// @access  Public
+const startConversation = async (req, res) => {
+  try {
+    const name = InputSanitizer.sanitizeText(req.body.name);
+    const email = InputSanitizer.sanitizeText(req.body.email);
+    const message = InputSanitizer.sanitizeText(req.body.message);
+
+    if (chatHub.getAvailableAgentCount() === 0) {
+      const ticket = await openChatTicket({ name, email, message, req });
+
+      return res.status(201).json({
+        success: true,
+        message: 'No agents are online right now, so we created a support ticket for you.',
+        data: {
+          mode: 'ticket',
+          ticketNumber: ticket.ticketNumber
+        }
+      });
+    }
+
+    const { conversation, token } = await ChatConversation.start({
+      visitorName: name,
+      visitorEmail: email,
+      pageUrl: typeof req.body.pageUrl === 'string' ? req.body.pageUrl.slice(0, 500) : undefined,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }, message);
+
+    publishConversation(conversation, 'created');
+
+    res.status(201).json({
+      success: true,
+      data: {
+        mode: 'chat',
+        conversationId: conversation._id,
+        token,
+        conversation: conversation.toVisitorJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Start chat error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while starting the chat. Please try again.'
+    });
+  }
+};
+
+// @desc    Event stream for a visitor's conversation
+// @route   GET /api/chat/visitor/conversations/:id/stream
+// @access  Public (conversation token)
+const visitorStream = async (req, res) => {
+  try {
+    const conversation = await ChatConversation.findForVisitor(req.params.id, req.query.token);
+    if (!conversation) {
+      return res.status(404).json(VISITOR_NOT_FOUND);
+    }
+
+    chatHub.openStream(res);
+    chatHub.addVisitor(conversation._id, res);
+    chatHub.write(res, 'snapshot', conversation.toVisitorJSON());
+
+    req.on('close', () => {
+      chatHub.removeVisitor(conversation._id, res);
+    });
+  } catch (error) {
+    console.error('Visitor chat stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Error opening chat stream' });
+    }
+  }
+};
+
+// @desc    Send a visitor message
+// @route   POST /api/chat/visitor/conversations/:id/messages
+// @access  Public (conversation token)
+const postVisitorMessage = async (req, res) => {
+  try {
+    const { token, message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ success: false, message: 'Message is required' });
+    }
+
+    const conversation = await ChatConversation.findForVisitor(req.params.id, token);
+    if (!conversation) {
+      return res.status(404).json(VISITOR_NOT_FOUND);
+    }
+    if (conversation.status === 'closed') {
+      return res.status(400).json({ success: false, message: 'This chat has ended' });
+    }
+
+    const chatMessage = conversation.addMessage({
+      senderType: 'visitor',
+      senderName: conversation.visitorName,
+      body: InputSanitizer.sanitizeText(message.trim())
+    });
+    await conversation.save();
+    publishMessage(conversation, chatMessage);
+
+    res.status(201).json({
+      success: true,
+      data: messagePayload(chatMessage)
+    });
+  } catch (error) {
+    console.error('Visitor chat message error:', error);
+    res.status(500).json({ success: false, message: 'Error sending message' });
+  }
+};
+
+// @desc    End a chat from the visitor side
+// @route   POST /api/chat/visitor/conversations/:id/close
+// @access  Public (conversation token)
+const closeVisitorConversation = async (req, res) => {
+  try {
+    const conversation = await ChatConversation.findForVisitor(req.params.id, req.body.token);
+    if (!conversation) {
+      return res.status(404).json(VISITOR_NOT_FOUND);
+    }
+
+    if (conversation.status !== 'closed') {
+      conversation.close('visitor');
+      const message = addSystemMessage(conversation, `${conversation.visitorName} left the chat.`);
+      await conversation.save();
+      publishMessage(conversation, message);
+      publishConversation(conversation, 'closed');
+    }
+
+    res.json({
+      success: true,
+      data: { status: conversation.status }
+    });
+  } catch (error) {
+    console.error('Close visitor chat error:', error);
+    res.status(500).json({ success: false, message: 'Error ending chat' });
+  }
+};
+
+// @desc    Leave a message instead of waiting: turns the chat into a ticket
+// @route   POST /api/chat/visitor/conversations/:id/ticket
+// @access  Public (conversation token)
+const convertToTicket = async (req, res) => {
+  try {
+    const conversation = await ChatConversation.findForVisitor(req.params.id, req.body.token);
+    if (!conversation) {
+      return res.status(404).json(VISITOR_NOT_FOUND);
+    }
+    if (conversation.status !== 'waiting') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only chats still waiting for an agent can be turned into a ticket'
+      });
+    }
+
+    const transcript = conversation.messages
+      .filter(message => message.senderType === 'visitor')
+      .map(message => message.body)
+      .join('\n\n');
+
+    const ticket = await openChatTicket({
+      name: conversation.visitorName,
+      email: conversation.visitorEmail,
+      message: transcript,
+      req
+    });
+
+    conversation.ticket = ticket._id;
+    conversation.close('visitor');
+    const message = addSystemMessage(conversation, `This chat was turned into support ticket ${ticket.ticketNumber}.`);
+    await conversation.save();
+    publishMessage(conversation, message);
+    publishConversation(conversation, 'closed');
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ticketNumber: ticket.ticketNumber
+      }
+    });
+  } catch (error) {
+    console.error('Convert chat to ticket error:', error);
+    res.status(500).json({ success: false, message: 'Error creating ticket from chat' });
+  }
+};
+
+// @desc    Event stream for the agent console; keeps the agent online while open
+// @route   GET /api/chat/agents/stream
+// @access  Private/Staff
+const agentStream = (req, res) => {
+  chatHub.openStream(res);
+  chatHub.addAgent(req.user, res);
+  chatHub.write(res, 'presence', { agents: chatHub.getAgents() });
+
+  req.on('close', () => {
+    chatHub.removeAgent(req.user._id, res);
+  });
+};
+
+// @desc    Set the current agent's availability
+// @route   PUT /api/chat/agents/presence
+// @access  Private/Staff
+const updatePresence = async (req, res) => {
+  const { status } = req.body;
+
+  if (!['available', 'away'].includes(status)) {
+    return res.status(400).json({ success: false, message: 'Status must be one of: available, away' });
+  }
+
+  if (!chatHub.setAgentStatus(req.user._id, status)) {
+    return res.status(409).json({
+      success: false,
+      message: 'Open the agent console before changing availability'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { status }
+  });
+};
+
+// @desc    List agents currently connected to the console
+// @route   GET /api/chat/agents
+// @access  Private/Staff
+const getAgents = async (req, res) => {
+  res.json({
+    success: true,
+    data: chatHub.getAgents()
+  });
+};
+
+// @desc    List chat conversations (open ones by default)
+// @route   GET /api/chat/conversations
+// @access  Private/Staff
+const getConversations = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const query = {
+      status: ChatConversation.CHAT_STATUSES.includes(status) ? status : { $in: ['waiting', 'active'] }
+    };
+
+    const conversations = await ChatConversation.find(query)
+      .sort({ lastActivityAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: conversations.length,
+      data: conversations.map(conversation => conversation.toSummaryJSON())
+    });
+  } catch (error) {
+    console.error('Get chat conversations error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving conversations' });
+  }
+};
+
+// @desc    Get a conversation with its full thread
+// @route   GET /api/chat/conversations/:id
+// @access  Private/Staff
+const getConversation = async (req, res) => {
+  try {
+    const conversation = await ChatConversation.findById(req.params.id)
+      .populate(CONVERSATION_POPULATE);
+
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...conversation.toObject(),
+        visitorOnline: chatHub.isVisitorConnected(conversation._id)
+      }
+    });
+  } catch (error) {
+    console.error('Get chat conversation error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving conversation' });
+  }
+};
+
+// @desc    Claim a waiting conversation
+// @route   POST /api/chat/conversations/:id/claim
+// @access  Private/Staff
+const claimConversation = async (req, res) => {
+  try {
+    // Only one agent can win the claim on a waiting conversation
+    const conversation = await ChatConversation.findOneAndUpdate(
+      { _id: req.params.id, status: 'waiting' },
+      { $set: { status: 'active', assignedAgent: req.user._id } },
+      { new: true }
+    );
+
+    if (!conversation) {
+      return res.status(409).json({
+        success: false,
+        message: 'This conversation is no longer waiting for an agent'
+      });
+    }
+
+    conversation.handoffs.push({ to: req.user._id, by: req.user._id, reason: 'claim' });
+    if (!conversation.claimedAt) conversation.claimedAt = new Date();
+    const message = addSystemMessage(conversation, `${agentDisplayName(req.user)} joined the chat.`);
+    await conversation.save();
+
+    publishMessage(conversation, message);
+    publishConversation(conversation, 'claimed');
+
+    await conversation.populate(CONVERSATION_POPULATE);
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    console.error('Claim chat conversation error:', error);
+    res.status(500).json({ success: false, message: 'Error claiming conversation' });
+  }
+};
+
+// @desc    Hand a conversation to another online agent, or back to the queue
+// @route   POST /api/chat/conversations/:id/transfer
+// @access  Private/Staff
+const transferConversation = async (req, res) => {
+  try {
+    const { agentId } = req.body;
+
+    const conversation = await ChatConversation.findById(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    if (conversation.status !== 'active') {
+      return res.status(400).json({ success: false, message: 'Only active conversations can be transferred' });
+    }
+    if (!isAssignedTo(conversation, req.user) && !isAdmin(req.user)) {
+      return res.status(403).json({ success: false, message: 'Only the assigned agent can transfer this conversation' });
+    }
+
+    let agent = null;
+    if (agentId) {
+      agent = await User.findById(agentId).select('name email role isActive');
+      if (!agent || !agent.isActive || !chatHub.isAgentAvailable(agent._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Conversations can only be transferred to agents who are online and available'
+        });
+      }
+    }
+
+    conversation.handoff(agent, req.user._id, agent ? 'transfer' : 'release');
+    const message = addSystemMessage(conversation, agent
+      ? `You are now chatting with ${agentDisplayName(agent)}.`
+      : 'We are connecting you with the next available agent.');
+    await conversation.save();
+
+    publishMessage(conversation, message);
+    publishConversation(conversation, agent ? 'transferred' : 'requeued');
+
+    await conversation.populate(CONVERSATION_POPULATE);
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    console.error('Transfer chat conversation error:', error);
+    res.status(500).json({ success: false, message: 'Error transferring conversation' });
+  }
+};
+
+// @desc    Send an agent message
+// @route   POST /api/chat/conversations/:id/messages
+// @access  Private/Staff
+const postAgentMessage = async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ success: false, message: 'Message is required' });
+    }
+
+    const conversation = await ChatConversation.findById(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    if (conversation.status !== 'active' || !isAssignedTo(conversation, req.user)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Claim this conversation before replying'
+      });
+    }
+
+    const chatMessage = conversation.addMessage({
+      senderType: 'agent',
+      sender: req.user._id,
+      senderName: agentDisplayName(req.user),
+      body: message.trim()
+    });
+    await conversation.save();
+    publishMessage(conversation, chatMessage);
+
+    res.status(201).json({
+      success: true,
+      data: messagePayload(chatMessage)
+    });
+  } catch (error) {
+    console.error('Agent chat message error:', error);
+    res.status(500).json({ success: false, message: 'Error sending message' });
+  }
+};
+
+// @desc    End a conversation from the agent console
+// @route   POST /api/chat/conversations/:id/close
+// @access  Private/Staff
+const closeConversation = async (req, res) => {
+  try {
+    const conversation = await ChatConversation.findById(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+    if (conversation.status === 'closed') {
+      return res.status(400).json({ success: false, message: 'Conversation is already closed' });
+    }
+    if (conversation.status === 'active' && !isAssignedTo(conversation, req.user) && !isAdmin(req.user)) {
+      return res.status(403).json({ success: false, message: 'Only the assigned agent can close this conversation' });
+    }
+
+    conversation.close('agent');
+    const message = addSystemMessage(conversation, 'This chat has ended. Thank you for contacting Lexocrates.');
+    await conversation.save();
+
+    publishMessage(conversation, message);
+    publishConversation(conversation, 'closed');
+
+    await conversation.populate(CONVERSATION_POPULATE);
+    res.json({
+      success: true,
+      data: conversation
+    });
+  } catch (error) {
+    console.error('Close chat conversation error:', error);
+    res.status(500).json({ success: false, message: 'Error closing conversation' });
+  }
+};
+
+module.exports = {
+  getAvailability,
+  startConversation,
+  visitorStream,
+  postVisitorMessage,
+  closeVisitorConversation,
+  convertToTicket,
+  agentStream,
+  updatePresence,
+  getAgents,
+  getConversations,
+  getConversation,
+  claimConversation,
+  transferConversation,
+  postAgentMessage,
+  closeConversation
+};
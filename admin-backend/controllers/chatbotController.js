@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const ChatbotIntent = require('../models/ChatbotIntent');
+const ChatbotUnanswered = require('../models/ChatbotUnanswered');
+const intentMatcher = require('../utils/intentMatcher');
+
+// Active intents are cached between questions and reloaded after edits
+const INTENT_CACHE_TTL = 60 * 1000;
+let intentCache = null;
+let intentCacheLoadedAt = 0;
+
+const getActiveIntents = async () => {
+  if (!intentCache || Date.now() - intentCacheLoadedAt > INTENT_CACHE_TTL) {
+    await ChatbotIntent.ensureDefaults();
+    intentCache = await ChatbotIntent.find({ isActive: true }).lean();
+    intentCacheLoadedAt = Date.now();
+  }
+  return intentCache;
+};
+
+const invalidateIntentCache = () => {
+  intentCache = null;
+};
+
+const cleanList = (values) => (Array.isArray(values)
+  ? [...new Set(values.filter(value => typeof value === 'string').map(value => value.trim()).filter(Boolean))]
+  : undefined);
+
+// Answer payload sent to the widget
+const answerFor = (intent, suggestions = []) => ({
+  answered: !intent.isFallback,
+  intent: intent.name,
+  response: intent.response,
+  suggestions: suggestions.map(({ intent: suggested }) => ({
+    name: suggested.name,
+    title: suggested.title
+  }))
+});
+
+const recordMatch = (intent) => {
+  ChatbotIntent.updateOne(
+    { _id: intent._id },
+    { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } }
+  ).catch(error => console.error('Record chatbot match error:', error));
+};
+
+// @desc    Ask the chatbot a question (or pick a suggested intent)
+// @route   POST /api/chatbot/ask
+// @access  Public
+const askChatbot = async (req, res) => {
+  try {
+    const { question, intent: intentName } = req.body;
+    const intents = await getActiveIntents();
+    const fallback = intents.find(intent => intent.isFallback);
+
+    // Suggestion buttons ask for an intent by name
+    if (intentName) {
+      const chosen = intents.find(intent => intent.name === intentName && !intent.isFallback);
+      if (!chosen) {
+        return res.status(404).json({ success: false, message: 'Topic not found' });
+      }
+      recordMatch(chosen);
+      return res.json({ success: true, data: answerFor(chosen) });
+    }
+
+    if (typeof question !== 'string' || !question.trim() || question.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question must be between 1 and 500 characters'
+      });
+    }
+
+    const { answered, best, ranked } = intentMatcher.match(question, intents);
+
+    if (answered) {
+      recordMatch(best.intent);
+      return res.json({
+        success: true,
+        data: answerFor(best.intent, ranked.slice(1).filter(result => result.score >= intentMatcher.threshold / 2))
+      });
+    }
+
+    await ChatbotUnanswered.record(question.trim(), best
+      ? { intent: best.intent.name, score: best.score }
+      : undefined);
+
+    res.json({
+      success: true,
+      data: fallback
+        ? answerFor(fallback, ranked)
+        : { answered: false, intent: null, response: null, suggestions: [] }
+    });
+  } catch (error) {
+    console.error('Chatbot ask error:', error);
+    res.status(500).json({ success: false, message: 'The assistant is unavailable right now' });
+  }
+};
+
+// @desc    Show how a question would be matched, with scores
+// @route   POST /api/chatbot/test
+// @access  Private/Staff
+const testQuestion = async (req, res) => {
+  try {
+    const { question } = req.body;
+    if (typeof question !== 'string' || !question.trim()) {
+      return res.status(400).json({ success: false, message: 'Question is required' });
+    }
+
+    const intents = await getActiveIntents();
+    const { answered, ranked } = intentMatcher.match(question, intents);
+
+    res.json({
+      success: true,
+      data: {
+        answered,
+        threshold: intentMatcher.threshold,
+        ranked: ranked.map(({ intent, score }) => ({
+          _id: intent._id,
+          name: intent.name,
+          title: intent.title,
+          score
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Chatbot test error:', error);
+    res.status(500).json({ success: false, message: 'Error testing question' });
+  }
+};
+
+// @desc    List chatbot intents
+// @route   GET /api/chatbot/intents
+// @access  Private/Staff
+const getIntents = async (req, res) => {
+  try {
+    await ChatbotIntent.ensureDefaults();
+    const intents = await ChatbotIntent.find()
+      .populate('updatedBy', 'name')
+      .sort({ isFallback: 1, title: 1 });
+
+    res.json({
+      success: true,
+      count: intents.length,
+      data: intents
+    });
+  } catch (error) {
+    console.error('Get chatbot intents error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving intents' });
+  }
+};
+
+// @desc    Create a chatbot intent
+// @route   POST /api/chatbot/intents
+// @access  Private/Staff
+const createIntent = async (req, res) => {
+  try {
+    const { name, title, keywords, examplePhrases, response, isActive } = req.body;
+
+    const intent = await ChatbotIntent.create({
+      name,
+      title,
+      keywords: cleanList(keywords) || [],
+      examplePhrases: cleanList(examplePhrases) || [],
+      response,
+      isActive: isActive !== false,
+      updatedBy: req.user._id
+    });
+    invalidateIntentCache();
+
+    res.status(201).json({
+      success: true,
+      data: intent
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'An intent with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create chatbot intent error:', error);
+    res.status(500).json({ success: false, message: 'Error creating intent' });
+  }
+};
+
+// @desc    Update a chatbot intent
+// @route   PUT /api/chatbot/intents/:id
+// @access  Private/Staff
+const updateIntent = async (req, res) => {
+  try {
+    const intent = await ChatbotIntent.findById(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ success: false, message: 'Intent not found' });
+    }
+
+    const { title, keywords, examplePhrases, response, isActive } = req.body;
+    if (title !== undefined) intent.title = title;
+    if (response !== undefined) intent.response = response;
+    if (cleanList(keywords)) intent.keywords = cleanList(keywords);
+    if (cleanList(examplePhrases)) intent.examplePhrases = cleanList(examplePhrases);
+    // The fallback answer can't be switched off
+    if (isActive !== undefined && !intent.isFallback) intent.isActive = Boolean(isActive);
+    intent.updatedBy = req.user._id;
+
+    await intent.save();
+    invalidateIntentCache();
+
+    res.json({
+      success: true,
+      data: intent
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update chatbot intent error:', error);
+    res.status(500).json({ success: false, message: 'Error updating intent' });
+  }
+};
+
+// @desc    Delete a chatbot intent
+// @route   DELETE /api/chatbot/intents/:id
+// @access  Private/Staff
+const deleteIntent = async (req, res) => {
+  try {
+    const intent = await ChatbotIntent.findById(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ success: false, message: 'Intent not found' });
+    }
+    if (intent.isFallback) {
+      return res.status(400).json({ success: false, message: 'The fallback answer cannot be deleted' });
+    }
+
+    await intent.deleteOne();
+    invalidateIntentCache();
+
+    res.json({
+      success: true,
+      message: 'Intent deleted'
+    });
+  } catch (error) {
+    console.error('Delete chatbot intent error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting intent' });
+  }
+};
+
+// @desc    List questions the chatbot could not answer
+// @route   GET /api/chatbot/unanswered
+// @access  Private/Staff
+const getUnanswered = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const status = req.query.status || 'open';
+    const sort = req.query.sort === 'recent' ? { lastAskedAt: -1 } : { count: -1, lastAskedAt: -1 };
+
+    const query = status === 'all' ? {} : { status };
+
+    const questions = await ChatbotUnanswered.find(query)
+      .populate('resolvedIntent', 'name title')
+      .sort(sort)
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await ChatbotUnanswered.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: questions.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: questions
+    });
+  } catch (error) {
+    console.error('Get unanswered questions error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving unanswered questions' });
+  }
+};
+
+// @desc    Resolve or ignore an unanswered question, optionally teaching an intent
+// @route   PUT /api/chatbot/unanswered/:id
+// @access  Private/Staff
+const updateUnanswered = async (req, res) => {
+  try {
+    const { status, intentId, addAsExample } = req.body;
+
+    if (!ChatbotUnanswered.UNANSWERED_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${ChatbotUnanswered.UNANSWERED_STATUSES.join(', ')}`
+      });
+    }
+
+    const question = await ChatbotUnanswered.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+
+    question.status = status;
+    if (status !== 'resolved') {
+      question.resolvedIntent = undefined;
+      question.resolvedBy = undefined;
+      question.resolvedAt = undefined;
+    } else {
+      question.resolvedBy = req.user._id;
+      question.resolvedAt = new Date();
+
+      if (intentId) {
+        if (!mongoose.Types.ObjectId.isValid(intentId)) {
+          return res.status(400).json({ success: false, message: 'Invalid intent' });
+        }
+        const intent = await ChatbotIntent.findById(intentId);
+        if (!intent || intent.isFallback) {
+          return res.status(400).json({ success: false, message: 'Intent not found' });
+        }
+        question.resolvedIntent = intent._id;
+
+        // Teach the intent this wording so the question is answered next time
+        if (addAsExample && !intent.examplePhrases.includes(question.question)) {
+          intent.examplePhrases.push(question.question);
+          intent.updatedBy = req.user._id;
+          await intent.save();
+          invalidateIntentCache();
+        }
+      }
+    }
+
+    await question.save();
+    await question.populate('resolvedIntent', 'name title');
+
+    res.json({
+      success: true,
+      data: question
+    });
+  } catch (error) {
+    console.error('Update unanswered question error:', error);
+    res.status(500).json({ success: false, message: 'Error updating question' });
+  }
+};
+
+module.exports = {
+  askChatbot,
+  testQuestion,
+  getIntents,
+  createIntent,
+  updateIntent,
+  deleteIntent,
+  getUnanswered,
+  updateUnanswered
+};
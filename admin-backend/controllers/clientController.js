@@ -0,0 +1,625 @@
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Matter = require('../models/Matter');
+const User = require('../models/User');
+const FileModel = require('../models/File');
+const DataStorageCompliance = require('../models/DataStorageCompliance');
+const AuditService = require('../utils/auditService');
+const { PermissionManager } = require('../utils/permissions');
+
+// Relations returned with a matter
+const MATTER_POPULATE = [
+  { path: 'client', select: 'code name status' },
+  { path: 'responsibleStaff', select: 'name email' },
+  { path: 'members', select: 'name email role isActive' }
+];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const canSeeAllMatters = (user) => user.role === 'admin' || PermissionManager.userHasPermission(user, 'manage_clients');
+
+// Active users for the given ids; null when any of them is missing or inactive
+const findActiveUsers = async (ids) => {
+  const unique = [...new Set(ids.map(id => String(id)))];
+  if (unique.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return null;
+  }
+  const users = await User.find({ _id: { $in: unique }, isActive: true }).select('name email role');
+  return users.length === unique.length ? users : null;
+};
+
+// Membership changes are access changes, so they go to the audit trail
+const auditMembership = async (req, matter, member, granted) => {
+  try {
+    await AuditService.logAdminAction('permission_changed', req.user._id, {
+      resourceType: 'user',
+      resourceId: member._id.toString(),
+      targetUser: member.email,
+      targetResource: `matter ${matter.matterNumber}`,
+      matterId: matter._id.toString(),
+      granted,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Audit log (matter membership) failed:', error.message);
+  }
+};
+
+// @desc    List clients
+// @route   GET /api/clients
+// @access  Private/Staff
+const getClients = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { status, search } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { code: pattern }];
+    }
+
+    const clients = await Client.find(query)
+      .sort({ name: 1 })
+      .limit(limit)
+      .skip((page - 1) * limit)
+      .lean();
+    const total = await Client.countDocuments(query);
+
+    // Open matter counts for the listed clients
+    const counts = await Matter.aggregate([
+      { $match: { client: { $in: clients.map(client => client._id) } } },
+      { $group: { _id: '$client', total: { $sum: 1 }, open: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } } } }
+    ]);
+    const countsByClient = new Map(counts.map(count => [count._id.toString(), count]));
+
+    res.json({
+      success: true,
+      count: clients.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: clients.map(client => ({
+        ...client,
+        matterCount: countsByClient.get(client._id.toString())?.total || 0,
+        openMatterCount: countsByClient.get(client._id.toString())?.open || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get clients error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving clients' });
+  }
+};
+
+// @desc    Create a client
+// @route   POST /api/clients
+// @access  Private/Staff
+const createClient = async (req, res) => {
+  try {
+    const { code, name, contactName, contactEmail, notes } = req.body;
+
+    const client = await Client.create({
+      code,
+      name,
+      contactName,
+      contactEmail,
+      notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: client
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A client with this code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create client error:', error);
+    res.status(500).json({ success: false, message: 'Error creating client' });
+  }
+};
+
+// @desc    Get a client with its matters, file counts and data storage compliance
+// @route   GET /api/clients/:id
+// @access  Private/Staff
+const getClient = async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id).populate('createdBy', 'name email');
+    if (!client) {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+
+    const [matters, fileCounts, compliance] = await Promise.all([
+      Matter.find({ client: client._id })
+        .select('-members')
+        .populate('responsibleStaff', 'name email')
+        .sort({ openedAt: -1 })
+        .lean(),
+      FileModel.aggregate([
+        { $match: { clientId: client.code } },
+        { $group: { _id: '$matterId', count: { $sum: 1 } } }
+      ]),
+      DataStorageCompliance.findOne({ clientId: client.code }).lean()
+    ]);
+    const filesByMatter = new Map(fileCounts.map(count => [String(count._id), count.count]));
+
+    res.json({
+      success: true,
+      data: {
+        ...client.toObject(),
+        matters: matters.map(matter => ({
+          ...matter,
+          fileCount: filesByMatter.get(matter._id.toString()) || 0
+        })),
+        // Files tagged with the client code but not filed under a matter
+        unfiledFileCount: filesByMatter.get('null') || 0,
+        compliance
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+    console.error('Get client error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving client' });
+  }
+};
+
+// @desc    Update a client
+// @route   PUT /api/clients/:id
+// @access  Private/Staff
+const updateClient = async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+
+    const { code, name, contactName, contactEmail, notes, status } = req.body;
+    // Files and compliance records point at the code, so it never changes
+    if (code !== undefined && String(code).trim().toUpperCase() !== client.code) {
+      return res.status(400).json({ success: false, message: 'The client code cannot be changed' });
+    }
+    if (status !== undefined && !Client.CLIENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Client.CLIENT_STATUSES.join(', ')}`
+      });
+    }
+
+    if (name !== undefined) client.name = name;
+    if (contactName !== undefined) client.contactName = contactName;
+    if (contactEmail !== undefined) client.contactEmail = contactEmail;
+    if (notes !== undefined) client.notes = notes;
+    if (status !== undefined) client.status = status;
+
+    await client.save();
+
+    res.json({
+      success: true,
+      data: client
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update client error:', error);
+    res.status(500).json({ success: false, message: 'Error updating client' });
+  }
+};
+
+// @desc    Delete a client without matters or files
+// @route   DELETE /api/clients/:id
+// @access  Private/Staff
+const deleteClient = async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+
+    const [matterCount, fileCount] = await Promise.all([
+      Matter.countDocuments({ client: client._id }),
+      FileModel.countDocuments({ clientId: client.code })
+    ]);
+    if (matterCount > 0 || fileCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Clients with matters or files cannot be deleted; mark the client inactive instead'
+      });
+    }
+
+    await client.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Client deleted'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+    console.error('Delete client error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting client' });
+  }
+};
+
+// @desc    List matters
+// @route   GET /api/matters
+// @access  Private/Staff
+const getMatters = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { client, status, member, search } = req.query;
+
+    const query = {};
+    if (client) query.client = client;
+    if (status) query.status = status;
+    if (member === 'me') {
+      query.members = req.user._id;
+    } else if (member) {
+      query.members = member;
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ title: pattern }, { matterNumber: pattern }];
+    }
+
+    const matters = await Matter.find(query)
+      .populate('client', 'code name')
+      .populate('responsibleStaff', 'name email')
+      .sort({ openedAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+    const total = await Matter.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: matters.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: matters
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Invalid client or member id' });
+    }
+    console.error('Get matters error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving matters' });
+  }
+};
+
+// @desc    Matters the current user can browse files for, with their clients
+// @route   GET /api/matters/accessible
+// @access  Private
+const getAccessibleMatters = async (req, res) => {
+  try {
+    const query = canSeeAllMatters(req.user) ? {} : { members: req.user._id };
+
+    const matters = await Matter.find(query)
+      .select('matterNumber title status client')
+      .populate('client', 'code name status')
+      .sort({ matterNumber: 1 })
+      .limit(1000)
+      .lean();
+
+    res.json({
+      success: true,
+      data: matters.filter(matter => matter.client)
+    });
+  } catch (error) {
+    console.error('Get accessible matters error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving matters' });
+  }
+};
+
+// @desc    List active users who can be added to matters
+// @route   GET /api/matters/member-candidates
+// @access  Private/Staff
+const getMemberCandidates = async (req, res) => {
+  try {
+    const query = { isActive: true };
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(query)
+      .select('name email role')
+      .sort({ name: 1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Get matter member candidates error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving users' });
+  }
+};
+
+// @desc    Open a matter for a client
+// @route   POST /api/matters
+// @access  Private/Staff
+const createMatter = async (req, res) => {
+  try {
+    const { client: clientId, title, description, responsibleStaff, members = [] } = req.body;
+
+    if (!clientId || !mongoose.Types.ObjectId.isValid(clientId)) {
+      return res.status(400).json({ success: false, message: 'A valid client is required' });
+    }
+    const client = await Client.findById(clientId);
+    if (!client) {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+    if (client.status !== 'active') {
+      return res.status(400).json({ success: false, message: 'Matters can only be opened for active clients' });
+    }
+
+    const memberIds = Array.isArray(members) ? members : [];
+    if (responsibleStaff) memberIds.push(responsibleStaff);
+    const users = await findActiveUsers(memberIds);
+    if (!users) {
+      return res.status(400).json({ success: false, message: 'Members must be active users' });
+    }
+    if (responsibleStaff && !users.some(user => user._id.toString() === String(responsibleStaff) && ['staff', 'admin'].includes(user.role))) {
+      return res.status(400).json({ success: false, message: 'The responsible person must be a staff or admin user' });
+    }
+
+    const matter = await Matter.openMatter(client, {
+      title,
+      description,
+      responsibleStaff: responsibleStaff || null,
+      members: users.map(user => user._id),
+      createdBy: req.user._id
+    });
+
+    for (const user of users) {
+      await auditMembership(req, matter, user, true);
+    }
+
+    await matter.populate(MATTER_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      data: matter
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create matter error:', error);
+    res.status(500).json({ success: false, message: 'Error creating matter' });
+  }
+};
+
+// @desc    Get a matter with its members and file count
+// @route   GET /api/matters/:id
+// @access  Private/Staff
+const getMatter = async (req, res) => {
+  try {
+    const matter = await Matter.findById(req.params.id).populate(MATTER_POPULATE);
+    if (!matter) {
+      return res.status(404).json({ success: false, message: 'Matter not found' });
+    }
+
+    const fileCount = await FileModel.countDocuments({ matterId: matter._id });
+
+    res.json({
+      success: true,
+      data: {
+        ...matter.toObject(),
+        fileCount
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Matter not found' });
+    }
+    console.error('Get matter error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving matter' });
+  }
+};
+
+// @desc    Update a matter's details, status or responsible person
+// @route   PUT /api/matters/:id
+// @access  Private/Staff
+const updateMatter = async (req, res) => {
+  try {
+    const matter = await Matter.findById(req.params.id);
+    if (!matter) {
+      return res.status(404).json({ success: false, message: 'Matter not found' });
+    }
+
+    const { title, description, status, responsibleStaff } = req.body;
+    if (status !== undefined && !Matter.MATTER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Matter.MATTER_STATUSES.join(', ')}`
+      });
+    }
+
+    if (responsibleStaff !== undefined) {
+      if (responsibleStaff) {
+        const users = await findActiveUsers([responsibleStaff]);
+        if (!users || !['staff', 'admin'].includes(users[0].role)) {
+          return res.status(400).json({ success: false, message: 'The responsible person must be an active staff or admin user' });
+        }
+        if (!matter.isMember(users[0]._id)) {
+          matter.members.push(users[0]._id);
+          await auditMembership(req, matter, users[0], true);
+        }
+        matter.responsibleStaff = users[0]._id;
+      } else {
+        matter.responsibleStaff = null;
+      }
+    }
+    if (title !== undefined) matter.title = title;
+    if (description !== undefined) matter.description = description;
+    if (status !== undefined) matter.status = status;
+
+    await matter.save();
+    await matter.populate(MATTER_POPULATE);
+
+    res.json({
+      success: true,
+      data: matter
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Matter not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Update matter error:', error);
+    res.status(500).json({ success: false, message: 'Error updating matter' });
+  }
+};
+
+// @desc    Delete a matter that has no files
+// @route   DELETE /api/matters/:id
+// @access  Private/Staff
+const deleteMatter = async (req, res) => {
+  try {
+    const matter = await Matter.findById(req.params.id);
+    if (!matter) {
+      return res.status(404).json({ success: false, message: 'Matter not found' });
+    }
+
+    if (await FileModel.exists({ matterId: matter._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Matters with files cannot be deleted; close the matter instead'
+      });
+    }
+
+    await matter.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Matter deleted'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Matter not found' });
+    }
+    console.error('Delete matter error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting matter' });
+  }
+};
+
+// @desc    Give a user access to a matter's files
+// @route   POST /api/matters/:id/members
+// @access  Private/Staff
+const addMatterMember = async (req, res) => {
+  try {
+    const matter = await Matter.findById(req.params.id);
+    if (!matter) {
+      return res.status(404).json({ success: false, message: 'Matter not found' });
+    }
+
+    const users = req.body.userId ? await findActiveUsers([req.body.userId]) : null;
+    if (!users) {
+      return res.status(400).json({ success: false, message: 'Members must be active users' });
+    }
+
+    const [member] = users;
+    if (!matter.isMember(member._id)) {
+      matter.members.push(member._id);
+      await matter.save();
+      await auditMembership(req, matter, member, true);
+    }
+
+    await matter.populate(MATTER_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      data: matter
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Matter not found' });
+    }
+    console.error('Add matter member error:', error);
+    res.status(500).json({ success: false, message: 'Error adding matter member' });
+  }
+};
+
+// @desc    Remove a user's access to a matter's files
+// @route   DELETE /api/matters/:id/members/:userId
+// @access  Private/Staff
+const removeMatterMember = async (req, res) => {
+  try {
+    const matter = await Matter.findById(req.params.id);
+    if (!matter) {
+      return res.status(404).json({ success: false, message: 'Matter not found' });
+    }
+
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !matter.isMember(userId)) {
+      return res.status(404).json({ success: false, message: 'User is not a member of this matter' });
+    }
+    if (matter.responsibleStaff && matter.responsibleStaff.toString() === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assign another responsible person before removing this member'
+      });
+    }
+
+    matter.members = matter.members.filter(member => member.toString() !== userId);
+    await matter.save();
+
+    const member = await User.findById(userId).select('email');
+    await auditMembership(req, matter, member || { _id: userId, email: userId }, false);
+
+    await matter.populate(MATTER_POPULATE);
+
+    res.json({
+      success: true,
+      data: matter
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Matter not found' });
+    }
+    console.error('Remove matter member error:', error);
+    res.status(500).json({ success: false, message: 'Error removing matter member' });
+  }
+};
+
+module.exports = {
+  getClients,
+  createClient,
+  getClient,
+  updateClient,
+  deleteClient,
+  getMatters,
+  getAccessibleMatters,
+  getMemberCandidates,
+  createMatter,
+  getMatter,
+  updateMatter,
+  deleteMatter,
+  addMatterMember,
+  removeMatterMember
+};
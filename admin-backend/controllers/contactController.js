@@ -1,5 +1,13 @@
 const { InputSanitizer, ValidationRules, CAPTCHA } = require('../middleware/security');
-const nodemailer = require('nodemailer');
+const ContactSubmission = require('../models/ContactSubmission');
+const User = require('../models/User');
+const Mailer = require('../utils/mailer');
+
+// Relations returned with a submission in the lead inbox
+const SUBMISSION_POPULATE = [
+  { path: 'assignedTo', select: 'name email' },
+  { path: 'statusHistory.changedBy', select: 'name email' }
+];
 
 // @desc    Submit contact form
 // @route   POST /api/contact
@@ -42,44 +50,49 @@ const submitContactForm = async (req, res) => {
       });
     }
 
+    // Store the submission first so nothing is lost if email delivery fails
+    let submission = null;
+    try {
+      submission = await ContactSubmission.create({
+        ...sanitizedData,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    } catch (dbError) {
+      console.error('Contact submission could not be stored:', dbError);
+    }
+
     // Send email (if email service is configured)
-    if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-      try {
-        const transporter = nodemailer.createTransporter({
-          host: process.env.SMTP_HOST,
-          port: process.env.SMTP_PORT || 587,
-          secure: process.env.SMTP_PORT === '465',
-          auth: {
-            user: process.env.SMTP_USER,
-            pass: process.env.SMTP_PASS
-          }
-        });
+    // Don't fail the request if email fails, the submission is still in the inbox
+    const emailDelivery = await Mailer.send({
+      to: process.env.CONTACT_EMAIL || 'contact@lexocrates.com',
+      subject: `Contact Form: ${sanitizedData.subject}`,
+      html: `
+        <h2>New Contact Form Submission</h2>
+        <p><strong>Name:</strong> ${sanitizedData.name}</p>
+        <p><strong>Email:</strong> ${sanitizedData.email}</p>
+        <p><strong>Subject:</strong> ${sanitizedData.subject}</p>
+        <p><strong>Message:</strong></p>
+        <p>${sanitizedData.message.replace(/\n/g, '<br>')}</p>
+        <hr>
+        <p><small>Submitted on: ${new Date().toISOString()}</small></p>
+        ${submission ? `<p><small>Lead ID: ${submission._id}</small></p>` : ''}
+      `
+    });
 
-        const mailOptions = {
-          from: process.env.EMAIL_FROM || 'noreply@lexocrates.com',
-          to: process.env.CONTACT_EMAIL || 'contact@lexocrates.com',
-          subject: `Contact Form: ${sanitizedData.subject}`,
-          html: `
-            <h2>New Contact Form Submission</h2>
-            <p><strong>Name:</strong> ${sanitizedData.name}</p>
-            <p><strong>Email:</strong> ${sanitizedData.email}</p>
-            <p><strong>Subject:</strong> ${sanitizedData.subject}</p>
-            <p><strong>Message:</strong></p>
-            <p>${sanitizedData.message.replace(/\n/g, '<br>')}</p>
-            <hr>
-            <p><small>Submitted on: ${new Date().toISOString()}</small></p>
-          `
-        };
-
-        await transporter.sendMail(mailOptions);
-      } catch (emailError) {
-        console.error('Email sending failed:', emailError);
-        // Don't fail the request if email fails, just log it
-      }
+    if (!submission && emailDelivery.status !== 'sent') {
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while submitting your message. Please try again.'
+      });
     }
 
-    // Store in database (optional)
-    // You could create a Contact model and store submissions
+    if (submission) {
+      submission.emailDelivery = { ...emailDelivery, attemptedAt: new Date() };
+      await submission.save().catch(saveError => {
+        console.error('Failed to record email delivery status:', saveError);
+      });
+    }
 
     res.json({
       success: true,
@@ -124,7 +137,246 @@ const getCaptchaKey = async (req, res) => {
   }
 };
 
+// @desc    List contact submissions (lead inbox)
+// @route   GET /api/contact/submissions
+// @access  Private/Staff
+const getContactSubmissions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { status, assignedTo, tag, search, startDate, endDate } = req.query;
+
+    // Build query
+    const query = {};
+    if (status) query.status = status;
+    if (tag) query.tags = tag.toLowerCase();
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
+    if (search) {
+      query.$text = { $search: search };
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const submissions = await ContactSubmission.find(query)
+      .populate('assignedTo', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await ContactSubmission.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: submissions.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: submissions
+    });
+  } catch (error) {
+    console.error('Get contact submissions error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving contact submissions' });
+  }
+};
+
+// @desc    Get lead inbox counts per status and the tags in use
+// @route   GET /api/contact/submissions/stats
+// @access  Private/Staff
+const getContactStats = async (req, res) => {
+  try {
+    const counts = await ContactSubmission.getStatusCounts();
+    const unassigned = await ContactSubmission.countDocuments({
+      assignedTo: null,
+      status: { $ne: 'closed' }
+    });
+    const failedEmails = await ContactSubmission.countDocuments({ 'emailDelivery.status': 'failed' });
+    const tags = await ContactSubmission.distinct('tags');
+
+    res.json({
+      success: true,
+      data: {
+        statuses: counts,
+        unassigned,
+        failedEmails,
+        tags: tags.sort()
+      }
+    });
+  } catch (error) {
+    console.error('Get contact stats error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving contact statistics' });
+  }
+};
+
+// @desc    Get single contact submission
+// @route   GET /api/contact/submissions/:id
+// @access  Private/Staff
+const getContactSubmission = async (req, res) => {
+  try {
+    const submission = await ContactSubmission.findById(req.params.id)
+      .populate(SUBMISSION_POPULATE);
+
+    if (!submission) {
+      return res.status(404).json({ success: false, message: 'Contact submission not found' });
+    }
+
+    res.json({
+      success: true,
+      data: submission
+    });
+  } catch (error) {
+    console.error('Get contact submission error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving contact submission' });
+  }
+};
+
+// @desc    Change contact submission status
+// @route   PUT /api/contact/submissions/:id/status
+// @access  Private/Staff
+const updateSubmissionStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!ContactSubmission.CONTACT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${ContactSubmission.CONTACT_STATUSES.join(', ')}`
+      });
+    }
+
+    const submission = await ContactSubmission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ success: false, message: 'Contact submission not found' });
+    }
+
+    submission.changeStatus(status, req.user._id);
+    await submission.save();
+    await submission.populate(SUBMISSION_POPULATE);
+
+    res.json({
+      success: true,
+      data: submission
+    });
+  } catch (error) {
+    console.error('Update contact status error:', error);
+    res.status(500).json({ success: false, message: 'Error updating contact submission status' });
+  }
+};
+
+// @desc    Assign contact submission to a staff member
+// @route   PUT /api/contact/submissions/:id/assign
+// @access  Private/Staff
+const assignSubmission = async (req, res) => {
+  try {
+    const { assignedTo } = req.body;
+
+    const submission = await ContactSubmission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ success: false, message: 'Contact submission not found' });
+    }
+
+    if (assignedTo) {
+      const assignee = await User.findById(assignedTo);
+      if (!assignee || !assignee.isActive || !['staff', 'admin'].includes(assignee.role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Submissions can only be assigned to active staff or admin users'
+        });
+      }
+      submission.assignedTo = assignee._id;
+      submission.assignedAt = new Date();
+    } else {
+      submission.assignedTo = null;
+      submission.assignedAt = undefined;
+    }
+
+    await submission.save();
+    await submission.populate(SUBMISSION_POPULATE);
+
+    res.json({
+      success: true,
+      data: submission
+    });
+  } catch (error) {
+    console.error('Assign contact submission error:', error);
+    res.status(500).json({ success: false, message: 'Error assigning contact submission' });
+  }
+};
+
+// @desc    Replace the tags on a contact submission
+// @route   PUT /api/contact/submissions/:id/tags
+// @access  Private/Staff
+const updateSubmissionTags = async (req, res) => {
+  try {
+    const { tags } = req.body;
+
+    if (!Array.isArray(tags)) {
+      return res.status(400).json({ success: false, message: 'Tags must be an array' });
+    }
+
+    const submission = await ContactSubmission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ success: false, message: 'Contact submission not found' });
+    }
+
+    submission.tags = [...new Set(
+      tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean)
+    )];
+
+    await submission.save();
+    await submission.populate(SUBMISSION_POPULATE);
+
+    res.json({
+      success: true,
+      data: submission
+    });
+  } catch (error) {
+    console.error('Update contact tags error:', error);
+    res.status(500).json({ success: false, message: 'Error updating contact submission tags' });
+  }
+};
+
+// @desc    List staff members a submission can be assigned to
+// @route   GET /api/contact/assignees
+// @access  Private/Staff
+const getAssignees = async (req, res) => {
+  try {
+    const users = await User.find({ role: { $in: ['staff', 'admin'] }, isActive: true })
+      .select('name email role')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Get assignees error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving assignees' });
+  }
+};
+
 module.exports = {
   submitContactForm,
-  getCaptchaKey
+  getCaptchaKey,
+  getContactSubmissions,
+  getContactStats,
+  getContactSubmission,
+  updateSubmissionStatus,
+  assignSubmission,
+  updateSubmissionTags,
+  getAssignees
 };
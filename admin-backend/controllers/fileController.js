@@ -111,8 +111,9 @@ const downloadFile = async (req, res) => {
     // RBAC: ensure user has permission to download files unless it's their own
     const isOwner = true; // Checked later after metadata fetch; pre-check minimal
 
-    // Validate download token (one-time)
-    if (!await secureFileHandler.validateDownloadToken(token, fileId)) {
+    // Validate download token (one-time; Range requests may reuse it until it expires)
+    const tokenOptions = { allowReuse: Boolean(req.headers.range), userId: req.user.id };
+    if (!await secureFileHandler.validateDownloadToken(token, fileId, tokenOptions)) {
       return res.status(403).json({
         success: false,
         message: 'Invalid or expired download token'
@@ -129,7 +130,8 @@ const downloadFile = async (req, res) => {
     }
 
     // Check user access and permissions
-    if (!secureFileHandler.hasFileAccess(fileMetadata, req.user.id)) {
+    const access = await secureFileHandler.resolveFileAccess(fileMetadata, req.user);
+    if (!access.granted) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to file'
@@ -137,71 +139,103 @@ const downloadFile = async (req, res) => {
     }
 
     // Additional role-based check: require permission for downloads unless owner
+    // or the file was shared with the user
     const { PermissionManager } = require('../utils/permissions');
     const isFileOwner = fileMetadata.uploadedBy === (req.user.id?.toString?.() || req.user.id);
-    const hasDownloadPermission = PermissionManager.userHasAnyPermission(req.user, ['manage_files', 'manage_content']);
-    if (!isFileOwner && !hasDownloadPermission) {
+    const hasDownloadPermission = PermissionManager.userHasAnyPermission(req.user, ['manage_files', 'manage_content', 'download_files']);
+    if (!isFileOwner && !access.shareId && !hasDownloadPermission) {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions to download this file'
       });
     }
 
-    // Retrieve and decrypt file
-    const fileData = await secureFileHandler.retrieveFile(fileMetadata, req.user.id);
+    if (fileMetadata.status === 'quarantined') {
+      return res.status(423).json({
+        success: false,
+        message: 'File is quarantined after a malware detection'
+      });
+    }
+
+    let size;
+    try {
+      size = await secureFileHandler.getFileSize(fileMetadata);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return res.status(410).json({
+          success: false,
+          message: 'File no longer available'
+        });
+      }
+      throw err;
+    }
 
-    // Set response headers
+    // Single byte ranges are honoured; multiple ranges fall back to the whole file
+    let range = null;
+    if (req.headers.range) {
+      const ranges = req.range(size, { combine: true });
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).json({
+          success: false,
+          message: 'Requested range not satisfiable'
+        });
+      }
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    // Decrypt straight into the response; memory use doesn't grow with file size
+    const fileData = await secureFileHandler.openFileStream(fileMetadata, req.user, range);
+
+    res.status(range ? 206 : 200);
     res.setHeader('Content-Type', fileData.mimeType);
     res.setHeader('Content-Disposition', `attachment; filename="${fileData.originalName}"`);
-    res.setHeader('Content-Length', fileData.size);
+    res.setHeader('Content-Length', fileData.length);
+    res.setHeader('Accept-Ranges', 'bytes');
+    // no-transform keeps the compression middleware away from byte ranges
+    res.setHeader('Cache-Control', 'private, no-transform');
     res.setHeader('X-File-ID', fileId);
     res.setHeader('X-Original-Name', fileData.originalName);
-
-    // Stream file to response
-    const fsNative = require('fs');
-    if (!fsNative.existsSync(fileData.filePath)) {
-      return res.status(410).json({
-        success: false,
-        message: 'File no longer available'
-      });
+    if (range) {
+      res.setHeader('Content-Range', `bytes ${fileData.start}-${fileData.end}/${fileData.size}`);
     }
 
-    const fileStream = fsNative.createReadStream(fileData.filePath);
-    fileStream.on('error', (err) => {
+    fileData.stream.on('error', (err) => {
       console.error('Stream error while sending file:', err);
       if (!res.headersSent) {
         res.status(500).json({ success: false, message: 'Error streaming file' });
       } else {
-        res.end();
+        // Cut the connection so the client sees an incomplete download rather than corrupt data
+        res.destroy(err);
       }
     });
+    res.on('close', () => fileData.stream.destroy());
 
-    fileStream.pipe(res);
+    fileData.stream.pipe(res);
 
-    // Clean up temporary file after streaming
-    const cleanupTemp = async () => {
-      try {
-        await fs.unlink(fileData.filePath);
-      } catch (error) {
-        if (error && error.code !== 'ENOENT') {
-          console.error('Error cleaning up temp file:', error);
-        }
-      }
-    };
-
-    fileStream.on('end', cleanupTemp);
-    res.on('close', cleanupTemp);
+    // Resumed or segmented downloads are audited once, at their first byte
+    if (range && range.start > 0) {
+      return;
+    }
 
     // Audit download
     try {
       if (FileAuditLog && mongoose.connection && mongoose.connection.readyState === 1) {
-        await FileAuditLog.create({ fileId: fileId, userId: req.user?.id, action: 'download' });
+        await FileAuditLog.create({ fileId: fileId, userId: req.user?.id, action: 'download', shareId: access.shareId });
       }
     } catch (e) {
       console.error('Audit log (download) failed:', e.message);
     }
 
   } catch (error) {
+    if (error instanceof RangeError && !res.headersSent) {
+      return res.status(416).json({
+        success: false,
+        message: 'Requested range not satisfiable'
+      });
+    }
     console.error('File download error:', error);
     res.status(500).json({
       success: false,
@@ -227,15 +261,20 @@ const getFileInfo = async (req, res) => {
     }
 
     // Check user access
-    if (!secureFileHandler.hasFileAccess(fileMetadata, req.user.id)) {
+    const access = await secureFileHandler.resolveFileAccess(fileMetadata, req.user);
+    if (!access.granted) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to file'
       });
     }
 
-    // Generate secure download URL
-    const downloadUrl = secureFileHandler.generateSecureDownloadUrl(fileMetadata, req.user.id);
+    // Generate secure download URL (none while quarantined); tokens issued
+    // through a share die with it
+    const quarantined = fileMetadata.status === 'quarantined';
+    const downloadUrl = quarantined
+      ? { url: null, expiresAt: null }
+      : secureFileHandler.generateSecureDownloadUrl(fileMetadata, req.user.id, { shareId: access.shareId });
 
     const response = {
       success: true,
@@ -247,6 +286,11 @@ const getFileInfo = async (req, res) => {
         uploadDate: fileMetadata.uploadDate,
         uploadedBy: fileMetadata.uploadedBy,
         clientId: fileMetadata.clientId,
+        matterId: fileMetadata.matterId || null,
+        documentId: fileMetadata.documentId || null,
+        version: fileMetadata.version || 1,
+        isCurrentVersion: fileMetadata.isCurrentVersion !== false,
+        versionComment: fileMetadata.versionComment || '',
         status: fileMetadata.status,
         scanResult: {
           isClean: fileMetadata.scanResult.isClean,
@@ -254,6 +298,7 @@ const getFileInfo = async (req, res) => {
           threats: fileMetadata.scanResult.threats,
           warnings: fileMetadata.scanResult.warnings
         },
+        quarantine: quarantined ? fileMetadata.quarantine : undefined,
         downloadUrl: downloadUrl.url,
         downloadExpires: downloadUrl.expiresAt
       }
@@ -269,12 +314,12 @@ const getFileInfo = async (req, res) => {
   }
 };
 
-// @desc    List user's files
-// @route   GET /api/files
+// @desc    List user's files, optionally for one client or matter
+// @route   GET /api/files?clientId=&matterId=
 // @access  Private
 const listFiles = async (req, res) => {
   try {
-    const { sortBy = 'uploadDate', sortOrder = 'desc' } = req.query;
+    const { sortBy = 'uploadDate', sortOrder = 'desc', clientId, matterId } = req.query;
     const page = parseInt(req.query.page || '1', 10);
     const limit = parseInt(req.query.limit || '10', 10);
     
@@ -282,13 +327,23 @@ const listFiles = async (req, res) => {
     let files = [];
     let total = 0;
     if (FileModel && mongoose.connection && mongoose.connection.readyState === 1) {
+      const scope = await buildFileListQuery(req.user, { clientId, matterId });
+      if (scope.error) {
+        return res.status(scope.status).json({
+          success: false,
+          message: scope.error
+        });
+      }
+
       const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
-      const query = { uploadedBy: req.user.id };
+      // One row per document: its current version
+      const query = { ...scope.query, isCurrentVersion: { $ne: false } };
       total = await FileModel.countDocuments(query);
       const docs = await FileModel.find(query)
         .sort(sort)
         .skip((page - 1) * limit)
         .limit(limit)
+        .populate('matterId', 'matterNumber title')
         .lean();
       files = docs.map(doc => ({
         id: doc._id.toString(),
@@ -297,14 +352,24 @@ const listFiles = async (req, res) => {
         mimeType: doc.mimeType,
         uploadDate: doc.uploadDate.toISOString(),
         status: doc.status,
+        uploadedBy: doc.uploadedBy.toString(),
+        clientId: doc.clientId,
+        matterId: doc.matterId ? doc.matterId._id.toString() : null,
+        documentId: (doc.documentId || doc._id).toString(),
+        version: doc.version || 1,
+        matter: doc.matterId ? { matterNumber: doc.matterId.matterNumber, title: doc.matterId.title } : null,
         scanResult: {
           isClean: doc.scanResult?.isClean,
           assessment: doc.scanResult?.assessment
         }
       }));
     } else {
-      // In-memory list filtered by uploader
-      const all = Array.from(inMemoryFiles.values()).filter(f => f.uploadedBy === req.user.id);
+      // In-memory list filtered by uploader (matters need the database)
+      const all = Array.from(inMemoryFiles.values()).filter(f => (
+        f.uploadedBy === req.user.id &&
+        (!clientId || f.clientId === clientId) &&
+        (!matterId || f.matterId === matterId)
+      ));
       total = all.length;
       const pageSlice = all
                      .sort((a, b) => {
@@ -322,6 +387,9 @@ const listFiles = async (req, res) => {
         mimeType: file.mimeType,
         uploadDate: file.uploadDate,
         status: file.status,
+        uploadedBy: file.uploadedBy,
+        clientId: file.clientId || null,
+        matterId: file.matterId || null,
         scanResult: {
           isClean: file.scanResult.isClean,
           assessment: file.scanResult.assessment
@@ -369,13 +437,23 @@ const deleteFile = async (req, res) => {
     }
 
     // Check user access
-    if (!secureFileHandler.hasFileAccess(fileMetadata, req.user.id)) {
+    if (!await secureFileHandler.hasFileAccess(fileMetadata, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to file'
       });
     }
 
+    // Matter members see each other's files but only remove their own
+    const { PermissionManager } = require('../utils/permissions');
+    const isFileOwner = fileMetadata.uploadedBy === (req.user.id?.toString?.() || req.user.id);
+    if (!isFileOwner && !PermissionManager.userHasPermission(req.user, 'manage_files')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to delete this file'
+      });
+    }
+
     // Delete encrypted file
     try {
       await fs.unlink(fileMetadata.encryptedFilePath);
@@ -388,6 +466,11 @@ const deleteFile = async (req, res) => {
     // Remove metadata from database or memory
     await deleteFileMetadata(fileId);
 
+    // Deleting the current version hands the document to its newest remaining version
+    if (fileMetadata.documentId && fileMetadata.isCurrentVersion && isDatabaseReady()) {
+      await FileModel.promoteLatestVersion(fileMetadata.documentId);
+    }
+
     res.json({
       success: true,
       message: 'File deleted successfully'
@@ -503,6 +586,22 @@ const getEncryptionReport = async (req, res) => {
   try {
     const report = encryptionManager.generateEncryptionReport();
 
+    // How many stored file keys sit under each KEK version (null = legacy plaintext key)
+    if (FileModel && mongoose.connection && mongoose.connection.readyState === 1) {
+      const byVersion = await FileModel.aggregate([
+        { $group: { _id: { $ifNull: ['$encryptionMetadata.keyVersion', null] }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ]);
+      report.keyManagement.filesByKeyVersion = byVersion.map(entry => ({
+        keyVersion: entry._id,
+        count: entry.count
+      }));
+      report.keyManagement.filesPendingRotation = byVersion
+        .filter(entry => entry._id !== report.keyManagement.activeKeyVersion)
+        .reduce((sum, entry) => sum + entry.count, 0);
+    }
+    report.keyManagement.rotation = require('../utils/keyRotation').getStatus();
+
     res.json({
       success: true,
       data: report
@@ -516,6 +615,415 @@ const getEncryptionReport = async (req, res) => {
   }
 };
 
+// @desc    Start re-wrapping all file keys with the active KEK
+// @route   POST /api/files/encryption/rotate
+// @access  Private/Admin
+const startKeyRotation = async (req, res) => {
+  const keyRotationService = require('../utils/keyRotation');
+  try {
+    if (!mongoose.connection || mongoose.connection.readyState !== 1) {
+      return res.status(503).json({
+        success: false,
+        message: 'Key rotation needs the database'
+      });
+    }
+
+    const job = keyRotationService.start({ userId: req.user._id });
+
+    res.status(202).json({
+      success: true,
+      message: `Key rotation to KEK version ${job.targetVersion} started`,
+      data: keyRotationService.getStatus()
+    });
+  } catch (error) {
+    if (error.code === 'ROTATION_IN_PROGRESS') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: keyRotationService.getStatus()
+      });
+    }
+    console.error('Start key rotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting key rotation'
+    });
+  }
+};
+
+// @desc    Get key rotation progress and past rotations
+// @route   GET /api/files/encryption/rotation
+// @access  Private/Admin
+const getKeyRotationStatus = async (req, res) => {
+  try {
+    const keyRotationService = require('../utils/keyRotation');
+    let history = [];
+    if (mongoose.connection && mongoose.connection.readyState === 1) {
+      const AuditLog = require('../models/AuditLog');
+      history = await AuditLog.find({ eventType: 'key_rotation' })
+        .sort({ timestamp: -1 })
+        .limit(20)
+        .populate('userId', 'name email')
+        .select('timestamp userId success failureReason metadata');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        activeKeyVersion: encryptionManager.activeKeyVersion,
+        current: keyRotationService.getStatus(),
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get key rotation status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving key rotation status'
+    });
+  }
+};
+
+// @desc    Get availability and signature versions of the AV engines
+// @route   GET /api/files/malware/engines
+// @access  Private/Admin
+const getScanEngineStatus = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        engines: await malwareScanner.getEngineStatus(),
+        failClosed: malwareScanner.failClosed
+      }
+    });
+  } catch (error) {
+    console.error('Get scan engine status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving scan engine status'
+    });
+  }
+};
+
+// @desc    List hash blocklist entries
+// @route   GET /api/files/malware/blocklist
+// @access  Private/Admin
+const getHashBlocklist = async (req, res) => {
+  try {
+    if (!isDatabaseReady()) {
+      return res.status(503).json({
+        success: false,
+        message: 'The hash blocklist needs the database'
+      });
+    }
+
+    const HashBlocklist = require('../models/HashBlocklist');
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const query = {};
+    if (req.query.search) {
+      const search = String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { hash: new RegExp(`^${search}`, 'i') },
+        { name: new RegExp(search, 'i') }
+      ];
+    }
+
+    const [entries, total] = await Promise.all([
+      HashBlocklist.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('addedBy', 'name email')
+        .lean(),
+      HashBlocklist.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get hash blocklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving hash blocklist'
+    });
+  }
+};
+
+// @desc    Import hashes into the blocklist and quarantine stored matches
+// @route   POST /api/files/malware/blocklist
+// @access  Private/Admin
+const importHashBlocklist = async (req, res) => {
+  try {
+    if (!isDatabaseReady()) {
+      return res.status(503).json({
+        success: false,
+        message: 'The hash blocklist needs the database'
+      });
+    }
+
+    const HashBlocklist = require('../models/HashBlocklist');
+    const { signatures, source } = req.body;
+    const { entries, errors } = HashBlocklist.parseSignatures(signatures);
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid hashes found. Use one MD5, SHA-1 or SHA-256 hash per line, optionally as hash:size:name',
+        errors
+      });
+    }
+
+    const imported = await HashBlocklist.importEntries(entries, {
+      source: source ? String(source).slice(0, 200) : 'import',
+      addedBy: req.user._id
+    });
+
+    const malwareRescanService = require('../utils/malwareRescan');
+    const quarantined = await malwareRescanService.quarantineByHashes(entries, req.user._id);
+
+    const AuditService = require('../utils/auditService');
+    await AuditService.logAdminAction('system_config_changed', req.user._id, {
+      setting: 'hash_blocklist',
+      source: source || 'import',
+      inserted: imported.inserted,
+      updated: imported.updated,
+      quarantined: quarantined.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${imported.inserted} hash(es) added, ${imported.updated} updated, ${quarantined.length} stored file(s) quarantined`,
+      data: { ...imported, quarantined, errors }
+    });
+  } catch (error) {
+    console.error('Import hash blocklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing hash blocklist'
+    });
+  }
+};
+
+// @desc    Remove a hash from the blocklist
+// @route   DELETE /api/files/malware/blocklist/:entryId
+// @access  Private/Admin
+const deleteHashBlocklistEntry = async (req, res) => {
+  try {
+    if (!isDatabaseReady()) {
+      return res.status(503).json({
+        success: false,
+        message: 'The hash blocklist needs the database'
+      });
+    }
+
+    const HashBlocklist = require('../models/HashBlocklist');
+    if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocklist entry not found'
+      });
+    }
+
+    const entry = await HashBlocklist.findByIdAndDelete(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocklist entry not found'
+      });
+    }
+
+    const AuditService = require('../utils/auditService');
+    await AuditService.logAdminAction('system_config_changed', req.user._id, {
+      setting: 'hash_blocklist',
+      removedHash: entry.hash,
+      removedName: entry.name
+    });
+
+    res.json({
+      success: true,
+      message: 'Blocklist entry removed'
+    });
+  } catch (error) {
+    console.error('Delete hash blocklist entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing blocklist entry'
+    });
+  }
+};
+
+// @desc    Rescan stored files with the current signatures
+// @route   POST /api/files/malware/rescan
+// @access  Private/Admin
+const startMalwareRescan = async (req, res) => {
+  const malwareRescanService = require('../utils/malwareRescan');
+  try {
+    if (!isDatabaseReady()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Malware rescans need the database'
+      });
+    }
+
+    malwareRescanService.start({ userId: req.user._id, force: req.body.force === true });
+
+    res.status(202).json({
+      success: true,
+      message: 'Malware rescan started',
+      data: malwareRescanService.getStatus()
+    });
+  } catch (error) {
+    if (error.code === 'RESCAN_IN_PROGRESS') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: malwareRescanService.getStatus()
+      });
+    }
+    console.error('Start malware rescan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting malware rescan'
+    });
+  }
+};
+
+// @desc    Get malware rescan progress and past rescans
+// @route   GET /api/files/malware/rescan
+// @access  Private/Admin
+const getMalwareRescanStatus = async (req, res) => {
+  try {
+    const malwareRescanService = require('../utils/malwareRescan');
+    let history = [];
+    if (isDatabaseReady()) {
+      const AuditLog = require('../models/AuditLog');
+      history = await AuditLog.find({ eventType: 'malware_rescan' })
+        .sort({ timestamp: -1 })
+        .limit(20)
+        .populate('userId', 'name email')
+        .select('timestamp userId success failureReason metadata');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        current: malwareRescanService.getStatus(),
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get malware rescan status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving malware rescan status'
+    });
+  }
+};
+
+// @desc    List quarantined files
+// @route   GET /api/files/malware/quarantine
+// @access  Private/Admin
+const getQuarantinedFiles = async (req, res) => {
+  try {
+    if (!isDatabaseReady()) {
+      return res.json({ success: true, data: [] });
+    }
+
+    const files = await FileModel.find({ status: 'quarantined' })
+      .sort({ 'quarantine.quarantinedAt': -1 })
+      .limit(200)
+      .populate('uploadedBy', 'name email')
+      .select('originalName fileSize mimeType uploadDate uploadedBy clientId quarantine scanResult.threats scanResult.fileHash.sha256')
+      .lean();
+
+    res.json({
+      success: true,
+      data: files.map(file => ({
+        id: file._id.toString(),
+        originalName: file.originalName,
+        fileSize: file.fileSize,
+        mimeType: file.mimeType,
+        uploadDate: file.uploadDate,
+        uploadedBy: file.uploadedBy,
+        clientId: file.clientId,
+        sha256: file.scanResult?.fileHash?.sha256,
+        threats: file.scanResult?.threats || [],
+        quarantine: file.quarantine
+      }))
+    });
+  } catch (error) {
+    console.error('Get quarantined files error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving quarantined files'
+    });
+  }
+};
+
+// @desc    Release a file from quarantine after review
+// @route   POST /api/files/malware/quarantine/:fileId/release
+// @access  Private/Admin
+const releaseQuarantinedFile = async (req, res) => {
+  try {
+    if (!isDatabaseReady()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Quarantine needs the database'
+      });
+    }
+
+    const note = String(req.body.note || '').trim();
+    if (!note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the release is required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.fileId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined file not found'
+      });
+    }
+
+    const malwareRescanService = require('../utils/malwareRescan');
+    const file = await malwareRescanService.release(req.params.fileId, req.user._id, note.slice(0, 500));
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined file not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${file.originalName} released from quarantine`,
+      data: {
+        id: file._id.toString(),
+        status: file.status,
+        quarantine: file.quarantine
+      }
+    });
+  } catch (error) {
+    console.error('Release quarantined file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing file from quarantine'
+    });
+  }
+};
+
 // @desc    Clean up expired files
 // @route   POST /api/files/cleanup
 // @access  Private/Admin
@@ -560,6 +1068,18 @@ const uploadEncryptedFiles = async (req, res) => {
       });
     }
 
+    // Client and matter the upload is filed under
+    let scope;
+    try {
+      scope = await secureFileHandler.resolveUploadScope(req.body, req.user);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     // Generate unique file ID
     const fileId = crypto.randomBytes(16).toString('hex');
     
@@ -583,6 +1103,8 @@ const uploadEncryptedFiles = async (req, res) => {
       tagLength: metadata.tagLength,
       uploadDate: new Date().toISOString(),
       uploadedBy: req.user.id,
+      clientId: scope.clientId,
+      matterId: scope.matterId,
       // Store encrypted key and IV (encrypted with server master key)
       encryptedKey: encryptionManager.encryptData(encryptionKey.buffer.toString('base64')),
       encryptedIV: encryptionManager.encryptData(iv.buffer.toString('base64'))
@@ -602,6 +1124,8 @@ const uploadEncryptedFiles = async (req, res) => {
       mimeType: metadata.mimeType,
       uploadDate: new Date().toISOString(),
       uploadedBy: req.user.id,
+      clientId: scope.clientId,
+      matterId: scope.matterId ? scope.matterId.toString() : null,
       status: 'encrypted',
       clientEncrypted: true,
       keyMetadata: keyMetadata
@@ -676,13 +1200,20 @@ const downloadEncryptedFile = async (req, res) => {
     }
 
     // Check user access
-    if (!secureFileHandler.hasFileAccess(fileMetadata, req.user.id)) {
+    if (!await secureFileHandler.hasFileAccess(fileMetadata, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to file'
       });
     }
 
+    if (fileMetadata.status === 'quarantined') {
+      return res.status(423).json({
+        success: false,
+        message: 'File is quarantined after a malware detection'
+      });
+    }
+
     // Verify this is a client-encrypted file
     if (!fileMetadata.clientEncrypted) {
       return res.status(400).json({
@@ -691,18 +1222,27 @@ const downloadEncryptedFile = async (req, res) => {
       });
     }
 
-    // Read encrypted file
-    const encryptedData = await fs.readFile(fileMetadata.encryptedFilePath);
-
-    // Return encrypted data for client-side decryption
-    res.setHeader('Content-Type', 'application/octet-stream');
-    res.setHeader('Content-Disposition', `attachment; filename="${fileMetadata.originalName}.enc"`);
-    res.setHeader('Content-Length', encryptedData.length);
-    res.setHeader('X-File-ID', fileId);
-    res.setHeader('X-Original-Name', fileMetadata.originalName);
-    res.setHeader('X-Client-Encrypted', 'true');
-
-    res.send(encryptedData);
+    // Stream the ciphertext as-is (sendFile handles Range requests)
+    res.sendFile(path.resolve(fileMetadata.encryptedFilePath), {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${fileMetadata.originalName}.enc"`,
+        'Cache-Control': 'private, no-transform',
+        'X-File-ID': fileId,
+        'X-Original-Name': fileMetadata.originalName,
+        'X-Client-Encrypted': 'true'
+      },
+      cacheControl: false,
+      lastModified: false
+    }, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Encrypted file stream error:', err);
+        res.status(err.status === 404 ? 410 : 500).json({
+          success: false,
+          message: err.status === 404 ? 'File no longer available' : 'Error downloading encrypted file'
+        });
+      }
+    });
 
     // Audit download
     try {
@@ -739,7 +1279,7 @@ const getEncryptedFileInfo = async (req, res) => {
     }
 
     // Check user access
-    if (!secureFileHandler.hasFileAccess(fileMetadata, req.user.id)) {
+    if (!await secureFileHandler.hasFileAccess(fileMetadata, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to file'
@@ -815,8 +1355,14 @@ async function getFileMetadata(fileId) {
         uploadDate: doc.uploadDate.toISOString(),
         uploadedBy: doc.uploadedBy?.toString?.() || doc.uploadedBy,
         clientId: doc.clientId,
+        matterId: doc.matterId ? doc.matterId.toString() : null,
+        documentId: doc.documentId ? doc.documentId.toString() : null,
+        version: doc.version || 1,
+        isCurrentVersion: doc.isCurrentVersion !== false,
+        versionComment: doc.versionComment || '',
         scanResult: doc.scanResult,
         encryptionMetadata: doc.encryptionMetadata,
+        quarantine: doc.quarantine,
         status: doc.status
       };
     } catch (err) {
@@ -828,6 +1374,66 @@ async function getFileMetadata(fileId) {
   return inMemoryFiles.get(fileId) || null;
 }
 
+/**
+ * File query for listFiles. Users see their own uploads and the files of
+ * matters they are members of; admins and client managers see every matter.
+ * Returns { query } or { status, error }.
+ */
+async function buildFileListQuery(user, { clientId, matterId } = {}) {
+  const Matter = require('../models/Matter');
+  const { PermissionManager } = require('../utils/permissions');
+  const userId = user._id || user.id;
+  const seesAllMatters = user.role === 'admin' || PermissionManager.userHasPermission(user, 'manage_clients');
+
+  if (matterId) {
+    if (!mongoose.Types.ObjectId.isValid(matterId)) {
+      return { status: 404, error: 'Matter not found' };
+    }
+    const matter = await Matter.findById(matterId).select('members').lean();
+    if (!matter) {
+      return { status: 404, error: 'Matter not found' };
+    }
+    const isMember = matter.members.some(member => member.toString() === userId.toString());
+    if (!seesAllMatters && !isMember) {
+      return { status: 403, error: 'You are not a member of this matter' };
+    }
+    return { query: { matterId: matter._id } };
+  }
+
+  const query = {};
+  if (clientId) {
+    query.clientId = String(clientId);
+    if (seesAllMatters) {
+      return { query };
+    }
+  }
+
+  const FileShare = require('../models/FileShare');
+  const memberMatterIds = await Matter.findMemberMatterIds(userId);
+  const sharedFileIds = await FileShare.distinct('fileId', {
+    ...FileShare.activeFilter(),
+    $and: [{ $or: [{ user: userId }, { matter: { $in: memberMatterIds } }] }]
+  });
+  // Documents the user uploaded or was shared a version of; legacy files have no documentId
+  const documentIds = (await FileModel.distinct('documentId', {
+    $or: [{ uploadedBy: userId }, { _id: { $in: sharedFileIds } }]
+  })).filter(Boolean);
+  query.$or = [
+    { uploadedBy: userId },
+    { matterId: { $in: memberMatterIds } },
+    { _id: { $in: sharedFileIds } },
+    { documentId: { $in: documentIds } }
+  ];
+  return { query };
+}
+
+/**
+ * Whether MongoDB is connected
+ */
+function isDatabaseReady() {
+  return Boolean(mongoose.connection && mongoose.connection.readyState === 1);
+}
+
 /**
  * Get user files with pagination
  */
@@ -881,6 +1487,8 @@ async function storeEncryptedFileMetadata(keyMetadata) {
         mimeType: keyMetadata.mimeType,
         uploadDate: new Date(keyMetadata.uploadDate),
         uploadedBy: keyMetadata.uploadedBy,
+        clientId: keyMetadata.clientId,
+        matterId: keyMetadata.matterId,
         clientEncrypted: true,
         encryptionMetadata: {
           algorithm: keyMetadata.algorithm,
@@ -941,5 +1549,15 @@ module.exports = {
   scanFile,
   getFileStats,
   getEncryptionReport,
+  startKeyRotation,
+  getKeyRotationStatus,
+  getScanEngineStatus,
+  getHashBlocklist,
+  importHashBlocklist,
+  deleteHashBlocklistEntry,
+  startMalwareRescan,
+  getMalwareRescanStatus,
+  getQuarantinedFiles,
+  releaseQuarantinedFile,
   cleanupExpiredFiles
 };
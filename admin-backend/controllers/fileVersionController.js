@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const FileModel = require('../models/File');
+const FileAuditLog = require('../models/FileAuditLog');
+const secureFileHandler = require('../middleware/secureFileHandler');
+
+const isDatabaseReady = () => Boolean(mongoose.connection && mongoose.connection.readyState === 1);
+
+// Version events are part of the file's audit trail; a failed write doesn't fail the request
+const recordVersionEvent = async (req, fileId, action, details) => {
+  try {
+    await FileAuditLog.create({
+      fileId,
+      userId: req.user?._id || null,
+      action,
+      details,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error(`Audit log (${action}) failed:`, error.message);
+  }
+};
+
+const toVersionJSON = (file, previous) => ({
+  id: file._id.toString(),
+  documentId: (file.documentId || file._id).toString(),
+  version: file.version || 1,
+  isCurrent: file.isCurrentVersion !== false,
+  comment: file.versionComment || '',
+  originalName: file.originalName,
+  fileSize: file.fileSize,
+  mimeType: file.mimeType,
+  uploadDate: file.uploadDate,
+  uploadedBy: file.uploadedBy,
+  status: file.status,
+  sha256: file.scanResult?.fileHash?.sha256 || null,
+  keyVersion: file.encryptionMetadata?.keyVersion || null,
+  scanResult: {
+    isClean: file.scanResult?.isClean,
+    assessment: file.scanResult?.assessment,
+    threats: file.scanResult?.threats || [],
+    warnings: file.scanResult?.warnings || []
+  },
+  changes: FileModel.versionChanges(previous, file)
+});
+
+// Load a file the current user can read, or send the error response.
+// Returns the file and the access it was granted through.
+const loadReadableFile = async (req, res) => {
+  if (!isDatabaseReady()) {
+    res.status(503).json({ success: false, message: 'Version history needs the database' });
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.fileId)) {
+    res.status(404).json({ success: false, message: 'File not found' });
+    return null;
+  }
+
+  const file = await FileModel.findById(req.params.fileId).lean();
+  if (!file) {
+    res.status(404).json({ success: false, message: 'File not found' });
+    return null;
+  }
+
+  const access = await secureFileHandler.resolveFileAccess({
+    id: file._id.toString(),
+    uploadedBy: file.uploadedBy,
+    clientId: file.clientId,
+    matterId: file.matterId ? file.matterId.toString() : null,
+    documentId: file.documentId
+  }, req.user);
+  if (!access.granted) {
+    res.status(403).json({ success: false, message: 'Access denied to file' });
+    return null;
+  }
+  return { file, access };
+};
+
+// @desc    List every version of the document a file belongs to
+// @route   GET /api/files/:fileId/versions
+// @access  Private
+const getFileVersions = async (req, res) => {
+  try {
+    const loaded = await loadReadableFile(req, res);
+    if (!loaded) return;
+    const { file } = loaded;
+
+    const versions = file.documentId
+      ? await FileModel.find({ documentId: file.documentId })
+        .populate('uploadedBy', 'name email')
+        .sort({ version: 1 })
+        .lean()
+      : [await FileModel.findById(file._id).populate('uploadedBy', 'name email').lean()];
+
+    // Each version is compared with the one before it; newest first in the response
+    const data = versions
+      .map((version, index) => toVersionJSON(version, versions[index - 1]))
+      .reverse();
+
+    res.json({
+      success: true,
+      data: {
+        documentId: (file.documentId || file._id).toString(),
+        versions: data
+      }
+    });
+  } catch (error) {
+    console.error('Get file versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving file versions'
+    });
+  }
+};
+
+// @desc    Upload a new version of a file's document
+// @route   POST /api/files/:fileId/versions
+// @access  Private (anyone who can edit the document)
+const uploadFileVersion = async (req, res) => {
+  try {
+    if (!req.processedFiles || req.processedFiles.length === 0) {
+      const rejected = (req.rejectedFiles || [])[0];
+      return res.status(400).json({
+        success: false,
+        message: rejected ? `Version rejected: ${rejected.reason}` : 'No version was uploaded',
+        data: rejected ? {
+          threats: rejected.threats || [],
+          warnings: rejected.warnings || []
+        } : undefined
+      });
+    }
+
+    const uploaded = req.processedFiles[0];
+    await FileModel.setCurrentVersion(uploaded.documentId, uploaded.id);
+
+    const file = await FileModel.findById(uploaded.id).populate('uploadedBy', 'name email').lean();
+    const previous = await FileModel.findOne({
+      documentId: file.documentId,
+      version: { $lt: file.version }
+    }).sort({ version: -1 }).lean();
+
+    await recordVersionEvent(req, file._id, 'version_uploaded', {
+      documentId: file.documentId,
+      version: file.version,
+      comment: file.versionComment
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${file.version} uploaded`,
+      data: toVersionJSON(file, previous)
+    });
+  } catch (error) {
+    console.error('Upload file version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading file version'
+    });
+  }
+};
+
+// @desc    Make an older version the document's current version
+// @route   POST /api/files/:fileId/versions/:versionId/restore
+// @access  Private (anyone who can edit the document)
+const restoreFileVersion = async (req, res) => {
+  try {
+    const loaded = await loadReadableFile(req, res);
+    if (!loaded) return;
+    const { file, access } = loaded;
+
+    // Share recipients can read the history but not change it
+    if (access.shareId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot restore versions of this file'
+      });
+    }
+
+    const target = mongoose.Types.ObjectId.isValid(req.params.versionId) && file.documentId
+      ? await FileModel.findOne({ _id: req.params.versionId, documentId: file.documentId }).lean()
+      : null;
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+    if (target.isCurrentVersion !== false) {
+      return res.status(400).json({
+        success: false,
+        message: `Version ${target.version} is already the current version`
+      });
+    }
+    if (target.status !== 'encrypted') {
+      return res.status(400).json({
+        success: false,
+        message: `A ${target.status} version cannot be restored`
+      });
+    }
+
+    const current = await FileModel.findOne({
+      documentId: file.documentId,
+      isCurrentVersion: { $ne: false }
+    }).select('version').lean();
+
+    await FileModel.setCurrentVersion(file.documentId, target._id);
+
+    await recordVersionEvent(req, target._id, 'version_restored', {
+      documentId: file.documentId,
+      restoredVersion: target.version,
+      replacedVersion: current ? current.version : null
+    });
+
+    res.json({
+      success: true,
+      message: `Version ${target.version} restored as the current version`,
+      data: {
+        id: target._id.toString(),
+        version: target.version
+      }
+    });
+  } catch (error) {
+    console.error('Restore file version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring file version'
+    });
+  }
+};
+
+module.exports = {
+  getFileVersions,
+  uploadFileVersion,
+  restoreFileVersion
+};
@@ -0,0 +1,229 @@
+const NewsletterSubscriber = require('../models/NewsletterSubscriber');
+const NewsletterDigest = require('../models/NewsletterDigest');
+const newsletter = require('../utils/newsletter');
+
+// Columns of the subscriber export
+const CSV_COLUMNS = [
+  ['Email', s => s.email],
+  ['Status', s => s.status],
+  ['Source', s => s.source],
+  ['Signed Up At', s => s.consent?.requestedAt && s.consent.requestedAt.toISOString()],
+  ['Sign-up IP', s => s.consent?.requestIp],
+  ['Confirmed At', s => s.consent?.confirmedAt && s.consent.confirmedAt.toISOString()],
+  ['Confirmation IP', s => s.consent?.confirmIp],
+  ['Unsubscribed At', s => s.unsubscribedAt && s.unsubscribedAt.toISOString()]
+];
+
+// Quote cells with separators, and neutralize spreadsheet formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildQuery = ({ status, search }) => {
+  const query = {};
+  if (status) query.status = status;
+  if (search) query.email = new RegExp(escapeRegex(search), 'i');
+  return query;
+};
+
+// Same answer whether or not the address is already on the list, and whether or not the email went out
+const SUBSCRIBE_MESSAGE = 'Thanks! Check your inbox for an email to confirm your subscription.';
+
+// @desc    Sign up for the newsletter; the address is added once it is confirmed
+// @route   POST /api/newsletter/subscribe
+// @access  Public
+const subscribe = async (req, res) => {
+  try {
+    const { subscriber, token } = await NewsletterSubscriber.subscribe(req.body.email, {
+      source: req.body.source,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(202).json({
+      success: true,
+      message: SUBSCRIBE_MESSAGE
+    });
+
+    // Sent after answering, so neither a failed delivery nor its timing tells whether the address was subscribed
+    if (token) {
+      const delivery = await newsletter.sendConfirmation(subscriber, token);
+      if (delivery.status === 'failed') {
+        console.error('Newsletter confirmation email failed:', { subscriberId: subscriber._id.toString(), error: delivery.error });
+      }
+    }
+  } catch (error) {
+    console.error('Newsletter subscribe error:', error);
+    if (res.headersSent) return;
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while subscribing. Please try again later.'
+    });
+  }
+};
+
+// @desc    Confirm a subscription from the emailed link
+// @route   POST /api/newsletter/confirm
+// @access  Public
+const confirmSubscription = async (req, res) => {
+  try {
+    const subscriber = await NewsletterSubscriber.confirm(req.body.token, { ipAddress: req.ip });
+    if (!subscriber) {
+      return res.status(400).json({
+        success: false,
+        message: 'This confirmation link is invalid or has expired. Please sign up again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your subscription is confirmed. You will get an email when we publish new articles.'
+    });
+  } catch (error) {
+    console.error('Newsletter confirm error:', error);
+    res.status(500).json({ success: false, message: 'Error confirming subscription' });
+  }
+};
+
+// @desc    Unsubscribe with the token from any newsletter email, including one-click unsubscribe from mail clients
+// @route   POST /api/newsletter/unsubscribe
+// @access  Public
+const unsubscribe = async (req, res) => {
+  try {
+    const subscriber = await NewsletterSubscriber.unsubscribe(req.body.token || req.query.token);
+    if (!subscriber) {
+      return res.status(400).json({
+        success: false,
+        message: 'This unsubscribe link is invalid.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${subscriber.email} has been unsubscribed and won't receive the newsletter anymore.`
+    });
+  } catch (error) {
+    console.error('Newsletter unsubscribe error:', error);
+    res.status(500).json({ success: false, message: 'Error unsubscribing. Please try again.' });
+  }
+};
+
+// @desc    Get newsletter subscribers
+// @route   GET /api/newsletter/subscribers?status=&search=&page=
+// @access  Private/Admin
+const getSubscribers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = buildQuery(req.query);
+
+    const subscribers = await NewsletterSubscriber.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await NewsletterSubscriber.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: subscribers.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: subscribers
+    });
+  } catch (error) {
+    console.error('Get subscribers error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving subscribers' });
+  }
+};
+
+// @desc    Get subscriber counts per status and the latest digests
+// @route   GET /api/newsletter/subscribers/stats
+// @access  Private/Admin
+const getSubscriberStats = async (req, res) => {
+  try {
+    const [counts, digests] = await Promise.all([
+      NewsletterSubscriber.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      NewsletterDigest.find({ status: 'sent', 'posts.0': { $exists: true } })
+        .sort({ periodEnd: -1 })
+        .limit(5)
+        .populate('posts', 'title slug')
+    ]);
+
+    const statuses = Object.fromEntries(NewsletterSubscriber.STATUSES.map(status => [status, 0]));
+    counts.forEach(({ _id, count }) => {
+      statuses[_id] = count;
+    });
+
+    res.json({
+      success: true,
+      data: { statuses, digests }
+    });
+  } catch (error) {
+    console.error('Get subscriber stats error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving subscriber stats' });
+  }
+};
+
+// @desc    Download subscribers with their consent record as CSV
+// @route   GET /api/newsletter/subscribers/export?status=&search=
+// @access  Private/Admin
+const exportSubscribers = async (req, res) => {
+  try {
+    const cursor = NewsletterSubscriber.find(buildQuery(req.query)).sort({ createdAt: 1 }).lean().cursor();
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="newsletter-subscribers-${date}.csv"`);
+    res.write(`${CSV_COLUMNS.map(([header]) => header).join(',')}\n`);
+    for await (const subscriber of cursor) {
+      res.write(`${CSV_COLUMNS.map(([, value]) => csvCell(value(subscriber))).join(',')}\n`);
+    }
+    res.end();
+  } catch (error) {
+    console.error('Export subscribers error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, message: 'Error exporting subscribers' });
+  }
+};
+
+// @desc    Erase a subscriber and their consent record (GDPR erasure request)
+// @route   DELETE /api/newsletter/subscribers/:id
+// @access  Private/Admin
+const deleteSubscriber = async (req, res) => {
+  try {
+    const subscriber = await NewsletterSubscriber.findByIdAndDelete(req.params.id);
+    if (!subscriber) {
+      return res.status(404).json({ success: false, message: 'Subscriber not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete subscriber error:', error);
+    res.status(500).json({ success: false, message: 'Error deleting subscriber' });
+  }
+};
+
+module.exports = {
+  subscribe,
+  confirmSubscription,
+  unsubscribe,
+  getSubscribers,
+  getSubscriberStats,
+  exportSubscribers,
+  deleteSubscriber
+};
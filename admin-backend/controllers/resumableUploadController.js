@@ -0,0 +1,341 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const secureFileHandler = require('../middleware/secureFileHandler');
+const resumableUploads = require('../utils/resumableUploads');
+
+const TUS_VERSION = '1.0.0';
+
+let FileAuditLog;
+try { FileAuditLog = require('../models/FileAuditLog'); } catch (_) { FileAuditLog = null; }
+
+// Upload-Metadata is a comma separated list of "key base64value" pairs
+const parseMetadata = (header = '') => {
+  const metadata = {};
+  header.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const [key, value] = pair.split(' ');
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  });
+  return metadata;
+};
+
+const uploadUrl = (req, id) => `${req.baseUrl}/tus/${id}`;
+
+// Headers every tus response carries
+const setTusHeaders = (res) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+const tusError = (res, status, message) => {
+  setTusHeaders(res);
+  res.status(status).json({ success: false, message });
+};
+
+// The same filename checks as multipart uploads; validateFile reports through a callback
+const checkFilename = (filename) => new Promise((resolve) => {
+  const extension = path.extname(filename).toLowerCase();
+  if (!secureFileHandler.allowedFileTypes.includes(extension)) {
+    return resolve(`File type '${extension}' is not allowed`);
+  }
+  let settled = false;
+  secureFileHandler.validateFile({ originalname: filename }, (error) => {
+    if (settled) return;
+    settled = true;
+    resolve(error ? error.message : null);
+  });
+});
+
+/**
+ * Reject requests from clients speaking another tus version
+ */
+const requireTusVersion = (req, res, next) => {
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return tusError(res, 412, `Tus-Resumable ${TUS_VERSION} is required`);
+  }
+  next();
+};
+
+/**
+ * The user's own, unexpired upload, or send the error response
+ */
+const loadUpload = async (req, res) => {
+  const info = await resumableUploads.get(req.params.uploadId);
+  if (!info || info.userId !== req.user._id.toString()) {
+    tusError(res, 404, 'Upload not found');
+    return null;
+  }
+  if (info.status === 'uploading' && resumableUploads.isExpired(info)) {
+    await resumableUploads.remove(info);
+    tusError(res, 410, 'Upload expired');
+    return null;
+  }
+  return info;
+};
+
+/**
+ * Scan, encrypt and store an assembled upload. Runs after the final PATCH
+ * has been answered; clients read the result from GET /tus/:id.
+ */
+const finishUpload = async (user, info) => {
+  const file = {
+    path: resumableUploads.dataPath(info),
+    originalname: info.metadata.filename,
+    mimetype: info.metadata.filetype || 'application/octet-stream',
+    size: info.length
+  };
+  const scope = {
+    clientId: info.scope.clientId,
+    matterId: info.scope.matterId ? new mongoose.Types.ObjectId(info.scope.matterId) : null
+  };
+
+  const { processedFiles, rejectedFiles } = await secureFileHandler.processUploadedFiles([file], user.id, scope);
+
+  if (processedFiles.length) {
+    const stored = processedFiles[0];
+    info.status = 'complete';
+    info.result = {
+      id: stored.id,
+      originalName: stored.originalName,
+      fileSize: stored.fileSize,
+      mimeType: stored.mimeType,
+      uploadDate: stored.uploadDate,
+      scanResult: {
+        isClean: stored.scanResult.isClean,
+        assessment: stored.scanResult.assessment
+      }
+    };
+
+    try {
+      if (FileAuditLog && mongoose.connection && mongoose.connection.readyState === 1) {
+        await FileAuditLog.create({ fileId: stored.id, userId: user.id, action: 'upload', details: { resumable: true } });
+      }
+    } catch (e) {
+      console.error('Audit log (upload) failed:', e.message);
+    }
+  } else {
+    const rejected = rejectedFiles[0] || {};
+    info.status = 'rejected';
+    info.result = {
+      originalName: info.metadata.filename,
+      reason: rejected.reason || 'Processing error',
+      threats: rejected.threats || [],
+      warnings: rejected.warnings || []
+    };
+  }
+
+  await resumableUploads.save(info);
+};
+
+// Background processing holds the upload's lock until the result is saved
+const processUpload = (user, info) => {
+  finishUpload(user, info)
+    .catch(async (error) => {
+      console.error('Resumable upload processing error:', error);
+      info.status = 'rejected';
+      info.result = { originalName: info.metadata.filename, reason: 'Processing error', threats: [], warnings: [] };
+      await resumableUploads.save(info).catch(() => {});
+    })
+    .finally(() => {
+      resumableUploads.locks.delete(info.id);
+    });
+};
+
+// @desc    Start a resumable upload
+// @route   POST /api/files/tus
+// @access  Private
+const createUpload = async (req, res) => {
+  try {
+    const length = Number(req.get('Upload-Length'));
+    if (!req.get('Upload-Length') || !Number.isSafeInteger(length) || length < 0) {
+      return tusError(res, 400, 'Upload-Length is required (deferred lengths are not supported)');
+    }
+    if (length === 0) {
+      return tusError(res, 400, 'Empty files cannot be uploaded');
+    }
+    if (length > resumableUploads.maxSize) {
+      res.setHeader('Tus-Max-Size', resumableUploads.maxSize);
+      return tusError(res, 413, `File size exceeds maximum allowed size of ${resumableUploads.maxSize} bytes`);
+    }
+
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+    if (!metadata.filename) {
+      return tusError(res, 400, 'Upload-Metadata must include the filename');
+    }
+    const invalid = await checkFilename(metadata.filename);
+    if (invalid) {
+      return tusError(res, 400, invalid);
+    }
+
+    // Settle where the file is filed before any bytes are sent
+    let scope;
+    try {
+      scope = await secureFileHandler.resolveUploadScope({
+        clientId: metadata.clientId || null,
+        matterId: metadata.matterId || null
+      }, req.user);
+    } catch (error) {
+      if (!error.status) throw error;
+      return tusError(res, error.status, error.message);
+    }
+
+    const info = await resumableUploads.create({
+      length,
+      metadata: { filename: metadata.filename, filetype: metadata.filetype || '' },
+      userId: req.user._id,
+      scope
+    });
+
+    setTusHeaders(res);
+    res.setHeader('Location', uploadUrl(req, info.id));
+    res.setHeader('Upload-Expires', new Date(info.expiresAt).toUTCString());
+    res.status(201).end();
+  } catch (error) {
+    console.error('Resumable upload create error:', error);
+    tusError(res, 500, 'Error starting upload');
+  }
+};
+
+// @desc    Current offset of a resumable upload
+// @route   HEAD /api/files/tus/:uploadId
+// @access  Private (upload owner)
+const getUploadOffset = async (req, res) => {
+  try {
+    const info = await loadUpload(req, res);
+    if (!info) return;
+
+    setTusHeaders(res);
+    res.setHeader('Upload-Offset', info.offset);
+    res.setHeader('Upload-Length', info.length);
+    if (info.status === 'uploading') {
+      res.setHeader('Upload-Expires', new Date(info.expiresAt).toUTCString());
+    }
+    res.status(200).end();
+  } catch (error) {
+    console.error('Resumable upload HEAD error:', error);
+    tusError(res, 500, 'Error reading upload');
+  }
+};
+
+// @desc    Append bytes to a resumable upload; the last chunk starts scanning and encryption in the background
+// @route   PATCH /api/files/tus/:uploadId
+// @access  Private (upload owner)
+const patchUpload = async (req, res) => {
+  const { uploadId } = req.params;
+  let locked = false;
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return tusError(res, 415, 'Content-Type must be application/offset+octet-stream');
+    }
+
+    const info = await loadUpload(req, res);
+    if (!info) return;
+
+    if (resumableUploads.locks.has(uploadId)) {
+      return tusError(res, 423, 'Another request is writing to this upload');
+    }
+    resumableUploads.locks.add(uploadId);
+    locked = true;
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (info.status !== 'uploading' || offset !== info.offset) {
+      res.setHeader('Upload-Offset', info.offset);
+      return tusError(res, 409, `Upload offset is ${info.offset}`);
+    }
+
+    try {
+      await resumableUploads.append(info, req);
+    } catch (error) {
+      if (!error.status) throw error;
+      res.setHeader('Upload-Offset', info.offset);
+      return tusError(res, error.status, error.message);
+    }
+
+    const complete = info.offset === info.length;
+    if (complete) {
+      info.status = 'processing';
+      await resumableUploads.save(info);
+    }
+
+    setTusHeaders(res);
+    res.setHeader('Upload-Offset', info.offset);
+    if (info.status === 'uploading') {
+      res.setHeader('Upload-Expires', new Date(info.expiresAt).toUTCString());
+    }
+    res.status(204).end();
+
+    // Large files take a while to scan and encrypt; don't hold the last request open for it
+    if (complete) {
+      locked = false;
+      processUpload(req.user, info);
+    }
+  } catch (error) {
+    console.error('Resumable upload PATCH error:', error);
+    if (!res.headersSent) {
+      tusError(res, 500, 'Error writing upload');
+    }
+  } finally {
+    if (locked) {
+      resumableUploads.locks.delete(uploadId);
+    }
+  }
+};
+
+// @desc    Cancel a resumable upload and discard its bytes
+// @route   DELETE /api/files/tus/:uploadId
+// @access  Private (upload owner)
+const terminateUpload = async (req, res) => {
+  try {
+    const info = await loadUpload(req, res);
+    if (!info) return;
+
+    if (resumableUploads.locks.has(info.id) || info.status === 'processing') {
+      return tusError(res, 423, 'Upload is in use');
+    }
+
+    await resumableUploads.remove(info);
+    setTusHeaders(res);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Resumable upload DELETE error:', error);
+    tusError(res, 500, 'Error cancelling upload');
+  }
+};
+
+// @desc    State of a resumable upload, with the stored file once processed
+// @route   GET /api/files/tus/:uploadId
+// @access  Private (upload owner)
+const getUploadStatus = async (req, res) => {
+  try {
+    const info = await loadUpload(req, res);
+    if (!info) return;
+
+    res.json({
+      success: true,
+      data: {
+        id: info.id,
+        filename: info.metadata.filename,
+        length: info.length,
+        offset: info.offset,
+        status: info.status,
+        expiresAt: info.expiresAt,
+        result: info.result
+      }
+    });
+  } catch (error) {
+    console.error('Resumable upload status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reading upload'
+    });
+  }
+};
+
+module.exports = {
+  requireTusVersion,
+  createUpload,
+  getUploadOffset,
+  patchUpload,
+  terminateUpload,
+  getUploadStatus
+};
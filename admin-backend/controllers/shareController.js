@@ -0,0 +1,541 @@
+const mongoose = require('mongoose');
+const FileModel = require('../models/File');
+const FileShare = require('../models/FileShare');
+const FileAuditLog = require('../models/FileAuditLog');
+const Matter = require('../models/Matter');
+const User = require('../models/User');
+const secureFileHandler = require('../middleware/secureFileHandler');
+const Mailer = require('../utils/mailer');
+const { PermissionManager } = require('../utils/permissions');
+
+const DAY = 24 * 60 * 60 * 1000;
+const OTP_RESEND_INTERVAL = 60 * 1000;
+
+// Limits for external links, overridable per deployment
+const shareLinkLimits = {
+  defaultDays: parseInt(process.env.SHARE_LINK_DEFAULT_DAYS) || 7,
+  maxDays: parseInt(process.env.SHARE_LINK_MAX_DAYS) || 30,
+  defaultDownloads: parseInt(process.env.SHARE_LINK_DEFAULT_DOWNLOADS) || 5,
+  maxDownloads: parseInt(process.env.SHARE_LINK_MAX_DOWNLOADS) || 100
+};
+
+const SHARE_POPULATE = [
+  { path: 'sharedBy', select: 'name email' },
+  { path: 'user', select: 'name email' },
+  { path: 'matter', select: 'matterNumber title' },
+  { path: 'revokedBy', select: 'name email' }
+];
+
+const linkUrl = (token) => {
+  const base = process.env.SHARE_LINK_BASE_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  return `${base.replace(/\/$/, '')}/share/${token}`;
+};
+
+const isDatabaseReady = () => Boolean(mongoose.connection && mongoose.connection.readyState === 1);
+
+// Owners (uploaders of any version), admins and file managers can share a file and see its shares
+const canManageShares = async (file, user) => (
+  file.uploadedBy.toString() === user._id.toString() ||
+  user.role === 'admin' ||
+  PermissionManager.userHasPermission(user, 'manage_files') ||
+  Boolean(file.documentId && await FileModel.exists({ documentId: file.documentId, uploadedBy: user._id }))
+);
+
+const shareStatus = (share) => {
+  if (share.revokedAt) return 'revoked';
+  if (share.expiresAt && share.expiresAt <= new Date()) return 'expired';
+  if (share.maxDownloads !== null && share.downloadCount >= share.maxDownloads) return 'exhausted';
+  return 'active';
+};
+
+const toShareJSON = (share) => ({
+  id: share._id.toString(),
+  fileId: share.fileId.toString(),
+  type: share.type,
+  user: share.user,
+  matter: share.matter,
+  recipientEmail: share.recipientEmail,
+  note: share.note,
+  sharedBy: share.sharedBy,
+  expiresAt: share.expiresAt,
+  maxDownloads: share.maxDownloads,
+  downloadCount: share.downloadCount,
+  passwordProtected: Boolean(share.passwordHash),
+  lastAccessedAt: share.lastAccessedAt,
+  revokedAt: share.revokedAt,
+  revokedBy: share.revokedBy,
+  createdAt: share.createdAt,
+  status: shareStatus(share)
+});
+
+// Share events are part of the file's audit trail; a failed write doesn't fail the request
+const recordShareEvent = async (req, share, action, details = {}) => {
+  try {
+    await FileAuditLog.create({
+      fileId: share.fileId,
+      userId: req.user?._id || null,
+      action,
+      shareId: share._id,
+      details,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error(`Audit log (${action}) failed:`, error.message);
+  }
+};
+
+// Whole days from the request, clamped to [1, max]
+const parseDays = (value, fallback, max) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days >= 1 && days <= max ? days : NaN;
+};
+
+// Load a file the current user may share, or send the error response
+const loadShareableFile = async (req, res) => {
+  if (!isDatabaseReady()) {
+    res.status(503).json({ success: false, message: 'File sharing needs the database' });
+    return null;
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.fileId)) {
+    res.status(404).json({ success: false, message: 'File not found' });
+    return null;
+  }
+
+  const file = await FileModel.findById(req.params.fileId);
+  if (!file) {
+    res.status(404).json({ success: false, message: 'File not found' });
+    return null;
+  }
+  if (!await canManageShares(file, req.user)) {
+    res.status(403).json({ success: false, message: 'Only the file owner or a file manager can share this file' });
+    return null;
+  }
+  return file;
+};
+
+// Every version of the file's document, oldest first
+const documentVersions = (file) => (
+  file.documentId
+    ? FileModel.find({ documentId: file.documentId }).select('version').sort({ version: 1 }).lean()
+    : Promise.resolve([{ _id: file._id, version: file.version || 1 }])
+);
+
+// External link by its token, with the secrets needed to check access
+const findLinkShare = (token) => FileShare.findOne({
+  tokenHash: FileShare.hashToken(token),
+  type: 'external'
+}).select('+passwordHash +otp.codeHash');
+
+// @desc    List a file's shares
+// @route   GET /api/files/:fileId/shares
+// @access  Private (owner or file manager)
+const getFileShares = async (req, res) => {
+  try {
+    const file = await loadShareableFile(req, res);
+    if (!file) return;
+
+    // Shares of every version of the document; external links serve the version they were made for
+    const versions = await documentVersions(file);
+    const versionById = new Map(versions.map(v => [v._id.toString(), v.version]));
+    const shares = await FileShare.find({ fileId: { $in: versions.map(v => v._id) } })
+      .select('+passwordHash')
+      .populate(SHARE_POPULATE)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: shares.map(share => ({
+        ...toShareJSON(share),
+        version: versionById.get(share.fileId.toString())
+      }))
+    });
+  } catch (error) {
+    console.error('Get file shares error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving file shares' });
+  }
+};
+
+// @desc    Share a file with a user, a matter team or an external recipient
+// @route   POST /api/files/:fileId/shares
+// @access  Private (owner or file manager)
+const createFileShare = async (req, res) => {
+  try {
+    const file = await loadShareableFile(req, res);
+    if (!file) return;
+
+    if (file.status !== 'encrypted') {
+      return res.status(400).json({ success: false, message: `A ${file.status} file cannot be shared` });
+    }
+
+    const { type, userId, userEmail, matterId, recipientEmail, password, note } = req.body;
+    if (!FileShare.SHARE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Share type must be one of: ${FileShare.SHARE_TYPES.join(', ')}`
+      });
+    }
+
+    const external = type === 'external';
+    const days = parseDays(req.body.expiresInDays, external ? shareLinkLimits.defaultDays : null, shareLinkLimits.maxDays);
+    if (Number.isNaN(days)) {
+      return res.status(400).json({
+        success: false,
+        message: `Expiry must be between 1 and ${shareLinkLimits.maxDays} days`
+      });
+    }
+
+    const share = new FileShare({
+      fileId: file._id,
+      type,
+      sharedBy: req.user._id,
+      note,
+      expiresAt: days ? new Date(Date.now() + days * DAY) : null
+    });
+    let recipient;
+    let linkToken = null;
+
+    if (type === 'user') {
+      // Recipients are picked by id, or by email when the sharer can't list users
+      let user = null;
+      if (mongoose.Types.ObjectId.isValid(userId)) {
+        user = await User.findOne({ _id: userId, isActive: true }).select('name email');
+      } else if (userEmail) {
+        user = await User.findOne({ email: String(userEmail).trim().toLowerCase(), isActive: true }).select('name email');
+      }
+      if (!user) {
+        return res.status(400).json({ success: false, message: 'Files can only be shared with active users' });
+      }
+      if (user._id.toString() === file.uploadedBy.toString()) {
+        return res.status(400).json({ success: false, message: 'The owner already has access to this file' });
+      }
+      share.user = user._id;
+      recipient = user.email;
+    } else if (type === 'matter') {
+      const matter = mongoose.Types.ObjectId.isValid(matterId) ? await Matter.findById(matterId) : null;
+      if (!matter) {
+        return res.status(400).json({ success: false, message: 'Matter not found' });
+      }
+      const seesAllMatters = req.user.role === 'admin' || PermissionManager.userHasPermission(req.user, 'manage_clients');
+      if (!seesAllMatters && !matter.isMember(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You can only share with matters you are a member of' });
+      }
+      share.matter = matter._id;
+      recipient = `matter ${matter.matterNumber}`;
+    } else {
+      // External links must decrypt on the server, so client-encrypted files are out
+      if (!file.encryptionMetadata?.wrappedKey?.ciphertext && !file.encryptionMetadata?.fileKey) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only files encrypted on the server can be shared by link'
+        });
+      }
+      if (!recipientEmail || !/^\S+@\S+\.\S+$/.test(String(recipientEmail))) {
+        return res.status(400).json({
+          success: false,
+          message: 'External links need the recipient\'s email address for one-time codes'
+        });
+      }
+
+      const maxDownloads = req.body.maxDownloads === undefined || req.body.maxDownloads === ''
+        ? shareLinkLimits.defaultDownloads
+        : parseInt(req.body.maxDownloads, 10);
+      if (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > shareLinkLimits.maxDownloads) {
+        return res.status(400).json({
+          success: false,
+          message: `Maximum downloads must be between 1 and ${shareLinkLimits.maxDownloads}`
+        });
+      }
+      if (password && String(password).length < 8) {
+        return res.status(400).json({ success: false, message: 'Link passwords must be at least 8 characters' });
+      }
+
+      share.recipientEmail = String(recipientEmail).trim().toLowerCase();
+      share.maxDownloads = maxDownloads;
+      await share.setPassword(password ? String(password) : null);
+      linkToken = share.issueLinkToken();
+      recipient = share.recipientEmail;
+    }
+
+    await share.save();
+    await share.populate(SHARE_POPULATE);
+
+    await recordShareEvent(req, share, 'share_created', {
+      type,
+      recipient,
+      expiresAt: share.expiresAt,
+      maxDownloads: share.maxDownloads,
+      passwordProtected: Boolean(share.passwordHash)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: external
+        ? 'Share link created. Copy it now; it will not be shown again.'
+        : `File shared with ${recipient}`,
+      data: {
+        ...toShareJSON(share),
+        ...(linkToken ? { url: linkUrl(linkToken) } : {})
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create file share error:', error);
+    res.status(500).json({ success: false, message: 'Error sharing file' });
+  }
+};
+
+// @desc    Revoke a share and invalidate its outstanding download tokens
+// @route   DELETE /api/files/:fileId/shares/:shareId
+// @access  Private (owner or file manager)
+const revokeFileShare = async (req, res) => {
+  try {
+    const file = await loadShareableFile(req, res);
+    if (!file) return;
+
+    const versions = await documentVersions(file);
+    const share = mongoose.Types.ObjectId.isValid(req.params.shareId)
+      ? await FileShare.findOne({ _id: req.params.shareId, fileId: { $in: versions.map(v => v._id) } })
+      : null;
+    if (!share) {
+      return res.status(404).json({ success: false, message: 'Share not found' });
+    }
+    if (share.revokedAt) {
+      return res.status(400).json({ success: false, message: 'Share is already revoked' });
+    }
+
+    share.revokedAt = new Date();
+    share.revokedBy = req.user._id;
+    await share.save();
+
+    const revokedTokens = await secureFileHandler.revokeShareTokens(share._id);
+    await recordShareEvent(req, share, 'share_revoked', { revokedTokens });
+
+    await share.populate(SHARE_POPULATE);
+
+    res.json({
+      success: true,
+      message: 'Share revoked',
+      data: toShareJSON(share)
+    });
+  } catch (error) {
+    console.error('Revoke file share error:', error);
+    res.status(500).json({ success: false, message: 'Error revoking share' });
+  }
+};
+
+// @desc    What an external link points at, and what it needs to unlock
+// @route   GET /api/shares/:token
+// @access  Public
+const getSharedFile = async (req, res) => {
+  try {
+    const share = await findLinkShare(req.params.token);
+    if (!share || !share.isActive()) {
+      return res.status(410).json({ success: false, message: 'This link has expired or is no longer available' });
+    }
+
+    const file = await FileModel.findById(share.fileId).select('originalName fileSize mimeType status');
+    if (!file || file.status !== 'encrypted') {
+      return res.status(410).json({ success: false, message: 'This link has expired or is no longer available' });
+    }
+
+    // Only a hint of the address the code goes to
+    const [local, domain] = share.recipientEmail.split('@');
+
+    res.json({
+      success: true,
+      data: {
+        originalName: file.originalName,
+        fileSize: file.fileSize,
+        mimeType: file.mimeType,
+        expiresAt: share.expiresAt,
+        downloadsRemaining: share.maxDownloads - share.downloadCount,
+        passwordRequired: Boolean(share.passwordHash),
+        otpSentTo: `${local.slice(0, 2)}***@${domain}`
+      }
+    });
+  } catch (error) {
+    console.error('Get shared file error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving shared file' });
+  }
+};
+
+// @desc    Email a one-time code to the link's recipient
+// @route   POST /api/shares/:token/otp
+// @access  Public
+const sendShareOtp = async (req, res) => {
+  try {
+    const share = await findLinkShare(req.params.token);
+    if (!share || !share.isActive()) {
+      return res.status(410).json({ success: false, message: 'This link has expired or is no longer available' });
+    }
+
+    if (share.otp?.sentAt && Date.now() - share.otp.sentAt.getTime() < OTP_RESEND_INTERVAL) {
+      return res.status(429).json({ success: false, message: 'A code was just sent. Please wait a minute before requesting another.' });
+    }
+
+    const file = await FileModel.findById(share.fileId).select('originalName');
+    const code = share.generateOtp();
+    await share.save();
+
+    const delivery = await Mailer.send({
+      to: share.recipientEmail,
+      subject: 'Your Lexocrates download code',
+      html: `
+        <p>Your one-time code to download <strong>${file ? file.originalName : 'the shared file'}</strong> is:</p>
+        <p style="font-size: 24px; letter-spacing: 4px;"><strong>${code}</strong></p>
+        <p>The code expires in ${FileShare.OTP_TTL / 60000} minutes. If you did not request it, you can ignore this email.</p>
+      `
+    });
+
+    if (delivery.status !== 'sent') {
+      return res.status(delivery.status === 'skipped' ? 503 : 502).json({
+        success: false,
+        message: 'The one-time code could not be emailed. Please try again later.'
+      });
+    }
+
+    await recordShareEvent(req, share, 'share_otp_sent', { recipient: share.recipientEmail });
+
+    res.json({
+      success: true,
+      message: 'A one-time code has been emailed to the recipient'
+    });
+  } catch (error) {
+    console.error('Send share OTP error:', error);
+    res.status(500).json({ success: false, message: 'Error sending one-time code' });
+  }
+};
+
+// @desc    Unlock an external link with the emailed code (and password) for one download
+// @route   POST /api/shares/:token/access
+// @access  Public
+const accessSharedFile = async (req, res) => {
+  try {
+    const share = await findLinkShare(req.params.token);
+    if (!share || !share.isActive()) {
+      return res.status(410).json({ success: false, message: 'This link has expired or is no longer available' });
+    }
+
+    const file = await FileModel.findById(share.fileId).select('status');
+    if (!file || file.status !== 'encrypted') {
+      return res.status(file && file.status === 'quarantined' ? 423 : 410).json({
+        success: false,
+        message: 'This file is not available for download'
+      });
+    }
+
+    // The code is checked first and is used up either way, so each password guess costs an email
+    const otpValid = share.verifyOtp(req.body.otp);
+    await share.save();
+    if (!otpValid) {
+      await recordShareEvent(req, share, 'share_access_denied', { reason: 'invalid_otp' });
+      return res.status(401).json({ success: false, message: 'Invalid or expired code' });
+    }
+    if (!await share.checkPassword(req.body.password)) {
+      await recordShareEvent(req, share, 'share_access_denied', { reason: 'invalid_password' });
+      return res.status(401).json({ success: false, message: 'Incorrect password. Request a new code to try again.' });
+    }
+
+    const { token, expiresAt } = await secureFileHandler.issueShareDownloadToken(share);
+
+    res.json({
+      success: true,
+      data: {
+        downloadUrl: `/api/shares/${req.params.token}/download?dt=${token}`,
+        downloadExpires: expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Access shared file error:', error);
+    res.status(500).json({ success: false, message: 'Error unlocking shared file' });
+  }
+};
+
+// @desc    Download a file through an unlocked external link
+// @route   GET /api/shares/:token/download?dt=
+// @access  Public
+const downloadSharedFile = async (req, res) => {
+  try {
+    const share = await findLinkShare(req.params.token);
+    if (!share || !share.isActive()) {
+      return res.status(410).json({ success: false, message: 'This link has expired or is no longer available' });
+    }
+
+    const fileId = share.fileId.toString();
+    const { dt } = req.query;
+    if (!dt || !await secureFileHandler.validateDownloadToken(String(dt), fileId, { shareId: share._id })) {
+      return res.status(403).json({ success: false, message: 'Invalid or expired download token' });
+    }
+
+    // Count the download atomically so parallel requests can't exceed the limit
+    const counted = await FileShare.findOneAndUpdate(
+      {
+        _id: share._id,
+        ...FileShare.activeFilter(),
+        downloadCount: { $lt: share.maxDownloads }
+      },
+      { $inc: { downloadCount: 1 }, $set: { lastAccessedAt: new Date() } },
+      { new: true }
+    );
+    if (!counted) {
+      return res.status(410).json({ success: false, message: 'This link has reached its download limit' });
+    }
+
+    const file = await FileModel.findById(fileId).lean();
+    if (!file || file.status !== 'encrypted') {
+      return res.status(410).json({ success: false, message: 'This file is not available for download' });
+    }
+
+    const fileData = await secureFileHandler.openDecryptedStream({
+      encryptedFilePath: file.encryptedFilePath,
+      encryptionMetadata: file.encryptionMetadata,
+      originalName: file.originalName,
+      mimeType: file.mimeType
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', fileData.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileData.originalName}"`);
+    res.setHeader('Content-Length', fileData.length);
+    res.setHeader('Cache-Control', 'private, no-store, no-transform');
+
+    fileData.stream.on('error', (err) => {
+      console.error('Stream error while sending shared file:', err);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, message: 'Error streaming file' });
+      } else {
+        res.destroy(err);
+      }
+    });
+    res.on('close', () => fileData.stream.destroy());
+    fileData.stream.pipe(res);
+
+    await recordShareEvent(req, share, 'share_download', {
+      recipient: share.recipientEmail,
+      downloadCount: counted.downloadCount,
+      maxDownloads: counted.maxDownloads
+    });
+  } catch (error) {
+    console.error('Shared file download error:', error);
+    if (!res.headersSent) {
+      res.status(error.code === 'ENOENT' ? 410 : 500).json({
+        success: false,
+        message: error.code === 'ENOENT' ? 'File no longer available' : 'Error downloading shared file'
+      });
+    }
+  }
+};
+
+module.exports = {
+  getFileShares,
+  createFileShare,
+  revokeFileShare,
+  getSharedFile,
+  sendShareOtp,
+  accessSharedFile,
+  downloadSharedFile
+};
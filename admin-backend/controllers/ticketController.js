@@ -0,0 +1,381 @@
+const SupportTicket = require('../models/SupportTicket');
+const User = require('../models/User');
+const TicketNotifier = require('../utils/ticketNotifier');
+const { InputSanitizer } = require('../middleware/security');
+
+// Relations returned with a ticket in the tickets queue
+const TICKET_POPULATE = [
+  { path: 'assignedTo', select: 'name email' },
+  { path: 'messages.author', select: 'name email' },
+  { path: 'history.changedBy', select: 'name email' }
+];
+
+// Look up a ticket for a customer; a wrong number and a wrong email look the same
+const findCustomerTicket = (ticketNumber, email) => SupportTicket.findOne({
+  ticketNumber: String(ticketNumber).trim().toUpperCase(),
+  email: String(email).trim().toLowerCase()
+});
+
+// @desc    Open a support ticket
+// @route   POST /api/tickets
+// @access  Public
+const createTicket = async (req, res) => {
+  try {
+    const { name, email, subject, message, category, priority } = req.body;
+
+    const ticket = await SupportTicket.openTicket({
+      name: InputSanitizer.sanitizeText(name),
+      email: InputSanitizer.sanitizeText(email),
+      subject: InputSanitizer.sanitizeText(subject),
+      category,
+      priority,
+      source: 'widget',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }, {
+      message: InputSanitizer.sanitizeText(message)
+    });
+
+    // Notify the support team and confirm to the customer; failures don't lose the ticket
+    await TicketNotifier.newTicket(ticket);
+
+    res.status(201).json({
+      success: true,
+      message: 'Your support ticket has been created.',
+      data: {
+        ticketNumber: ticket.ticketNumber,
+        status: ticket.status,
+        createdAt: ticket.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Create ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while creating your ticket. Please try again.'
+    });
+  }
+};
+
+// @desc    Look up ticket status by ticket number and email
+// @route   POST /api/tickets/lookup
+// @access  Public
+const lookupTicket = async (req, res) => {
+  try {
+    const { ticketNumber, email } = req.body;
+
+    const ticket = await findCustomerTicket(ticketNumber, email);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'No ticket found for that ticket number and email address'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ticket.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Ticket lookup error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving ticket status' });
+  }
+};
+
+// @desc    Add a customer reply to a ticket
+// @route   POST /api/tickets/lookup/reply
+// @access  Public
+const addCustomerReply = async (req, res) => {
+  try {
+    const { ticketNumber, email, message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ success: false, message: 'Message is required' });
+    }
+
+    const ticket = await findCustomerTicket(ticketNumber, email);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'No ticket found for that ticket number and email address'
+      });
+    }
+
+    if (ticket.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This ticket is closed. Please open a new ticket.'
+      });
+    }
+
+    ticket.addMessage({
+      authorType: 'customer',
+      authorName: ticket.name,
+      body: InputSanitizer.sanitizeText(message.trim())
+    });
+
+    // A customer reply puts the ticket back in the team's queue
+    if (['waiting_on_customer', 'resolved'].includes(ticket.status)) {
+      ticket.changeField('status', 'open', null);
+    }
+
+    await ticket.save();
+
+    res.json({
+      success: true,
+      data: ticket.toPublicJSON()
+    });
+  } catch (error) {
+    console.error('Customer ticket reply error:', error);
+    res.status(500).json({ success: false, message: 'Error adding reply to ticket' });
+  }
+};
+
+// @desc    List support tickets (tickets queue)
+// @route   GET /api/tickets
+// @access  Private/Staff
+const getTickets = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { status, priority, category, assignedTo, search } = req.query;
+
+    // Build query
+    const query = {};
+    if (status) query.status = status;
+    if (priority) query.priority = priority;
+    if (category) query.category = category;
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    const tickets = await SupportTicket.find(query)
+      .select('-messages -history')
+      .populate('assignedTo', 'name email')
+      .sort({ lastActivityAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await SupportTicket.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: tickets.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: tickets
+    });
+  } catch (error) {
+    console.error('Get tickets error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving tickets' });
+  }
+};
+
+// @desc    Get ticket counts per status
+// @route   GET /api/tickets/stats
+// @access  Private/Staff
+const getTicketStats = async (req, res) => {
+  try {
+    const counts = await SupportTicket.getStatusCounts();
+    const unassigned = await SupportTicket.countDocuments({
+      assignedTo: null,
+      status: { $nin: ['resolved', 'closed'] }
+    });
+    const urgent = await SupportTicket.countDocuments({
+      priority: 'urgent',
+      status: { $nin: ['resolved', 'closed'] }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        statuses: counts,
+        unassigned,
+        urgent
+      }
+    });
+  } catch (error) {
+    console.error('Get ticket stats error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving ticket statistics' });
+  }
+};
+
+// @desc    Get single ticket with its full thread
+// @route   GET /api/tickets/:id
+// @access  Private/Staff
+const getTicket = async (req, res) => {
+  try {
+    const ticket = await SupportTicket.findById(req.params.id)
+      .populate(TICKET_POPULATE);
+
+    if (!ticket) {
+      return res.status(404).json({ success: false, message: 'Ticket not found' });
+    }
+
+    res.json({
+      success: true,
+      data: ticket
+    });
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving ticket' });
+  }
+};
+
+// @desc    Reply to a ticket or add an internal note
+// @route   POST /api/tickets/:id/replies
+// @access  Private/Staff
+const replyToTicket = async (req, res) => {
+  try {
+    const { message, internal = false, status } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ success: false, message: 'Message is required' });
+    }
+    if (status && !SupportTicket.TICKET_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${SupportTicket.TICKET_STATUSES.join(', ')}`
+      });
+    }
+
+    const ticket = await SupportTicket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ success: false, message: 'Ticket not found' });
+    }
+
+    const reply = ticket.addMessage({
+      authorType: 'staff',
+      author: req.user._id,
+      authorName: req.user.name,
+      body: message.trim(),
+      internal: Boolean(internal)
+    });
+
+    // Replying to the customer waits on them unless another status was chosen
+    const nextStatus = status || (!internal && ticket.status === 'open' ? 'waiting_on_customer' : null);
+    if (nextStatus) {
+      ticket.changeField('status', nextStatus, req.user._id);
+    }
+
+    await ticket.save();
+
+    if (!reply.internal) {
+      await TicketNotifier.staffReply(ticket, reply);
+    }
+
+    await ticket.populate(TICKET_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      data: ticket
+    });
+  } catch (error) {
+    console.error('Reply to ticket error:', error);
+    res.status(500).json({ success: false, message: 'Error replying to ticket' });
+  }
+};
+
+// @desc    Update ticket status, priority, category or assignee
+// @route   PUT /api/tickets/:id
+// @access  Private/Staff
+const updateTicket = async (req, res) => {
+  try {
+    const { status, priority, category, assignedTo } = req.body;
+
+    if (status !== undefined && !SupportTicket.TICKET_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${SupportTicket.TICKET_STATUSES.join(', ')}`
+      });
+    }
+    if (priority !== undefined && !SupportTicket.TICKET_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: `Priority must be one of: ${SupportTicket.TICKET_PRIORITIES.join(', ')}`
+      });
+    }
+    if (category !== undefined && !SupportTicket.TICKET_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of: ${SupportTicket.TICKET_CATEGORIES.join(', ')}`
+      });
+    }
+
+    const ticket = await SupportTicket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ success: false, message: 'Ticket not found' });
+    }
+
+    if (assignedTo !== undefined) {
+      let assigneeId = null;
+      if (assignedTo) {
+        const assignee = await User.findById(assignedTo);
+        if (!assignee || !assignee.isActive || !['staff', 'admin'].includes(assignee.role)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Tickets can only be assigned to active staff or admin users'
+          });
+        }
+        assigneeId = assignee._id;
+      }
+      ticket.changeField('assignedTo', assigneeId, req.user._id);
+    }
+    if (status !== undefined) ticket.changeField('status', status, req.user._id);
+    if (priority !== undefined) ticket.changeField('priority', priority, req.user._id);
+    if (category !== undefined) ticket.changeField('category', category, req.user._id);
+
+    await ticket.save();
+    await ticket.populate(TICKET_POPULATE);
+
+    res.json({
+      success: true,
+      data: ticket
+    });
+  } catch (error) {
+    console.error('Update ticket error:', error);
+    res.status(500).json({ success: false, message: 'Error updating ticket' });
+  }
+};
+
+// @desc    List staff members a ticket can be assigned to
+// @route   GET /api/tickets/assignees
+// @access  Private/Staff
+const getTicketAssignees = async (req, res) => {
+  try {
+    const users = await User.find({ role: { $in: ['staff', 'admin'] }, isActive: true })
+      .select('name email role')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Get ticket assignees error:', error);
+    res.status(500).json({ success: false, message: 'Error retrieving assignees' });
+  }
+};
+
+module.exports = {
+  createTicket,
+  lookupTicket,
+  addCustomerReply,
+  getTickets,
+  getTicketStats,
+  getTicket,
+  replyToTicket,
+  updateTicket,
+  getTicketAssignees
+};
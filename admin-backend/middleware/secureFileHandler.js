@@ -16,8 +16,21 @@ try {
 } catch (_) {
   FileAuditLog = null;
 }
+let MatterModel;
+try {
+  MatterModel = require('../models/Matter');
+} catch (_) {
+  MatterModel = null;
+}
+let FileShareModel;
+try {
+  FileShareModel = require('../models/FileShare');
+} catch (_) {
+  FileShareModel = null;
+}
 const malwareScanner = require('../utils/malwareScanner');
 const { ValidationRules } = require('./security');
+const { PermissionManager } = require('../utils/permissions');
 let DownloadTokenModel;
 try {
   DownloadTokenModel = require('../models/DownloadToken');
@@ -35,7 +48,9 @@ class SecureFileHandler {
       // Archives (with restrictions)
       '.zip', '.rar', '.7z',
       // Legal documents
-      '.odt', '.ods', '.odp', '.pages', '.numbers', '.key'
+      '.odt', '.ods', '.odp', '.pages', '.numbers', '.key',
+      // Recordings (depositions, hearings); large ones go through resumable uploads
+      '.mp4', '.mov', '.m4v', '.avi', '.wmv', '.mp3', '.m4a', '.wav'
     ];
 
     this.maxFileSize = 50 * 1024 * 1024; // 50MB
@@ -156,9 +171,12 @@ class SecureFileHandler {
   }
 
   /**
-   * Process uploaded files with security checks
+   * Process uploaded files with security checks.
+   * scope is the { clientId, matterId } the files are filed under, plus
+   * { version: { documentId, version, comment } } for a new document version.
    */
-  async processUploadedFiles(files, userId, clientId = null) {
+  async processUploadedFiles(files, userId, scope = {}) {
+    const { clientId = null } = scope;
     const processedFiles = [];
     const rejectedFiles = [];
 
@@ -185,7 +203,7 @@ class SecureFileHandler {
         const encryptionResult = await this.encryptFile(file.path, userId, clientId);
         
         // Step 3: Store file metadata
-        const fileMetadata = await this.storeFileMetadata(file, encryptionResult, scanResult, userId, clientId);
+        const fileMetadata = await this.storeFileMetadata(file, encryptionResult, scanResult, userId, scope);
 
         // Step 4: Clean up temporary file
         await this.cleanupTempFile(file.path);
@@ -223,9 +241,9 @@ class SecureFileHandler {
       // Encrypt file
       const encryptionResult = await encryptionManager.encryptFile(filePath, encryptedFilePath, fileKey);
 
-      // Store encryption key securely (in production, use a key management service)
+      // Only the file key wrapped with the active KEK is stored
       const keyMetadata = {
-        fileKey: fileKey,
+        ...encryptionManager.wrapFileKey(fileKey),
         encryptedAt: new Date().toISOString(),
         userId: userId,
         clientId: clientId
@@ -247,7 +265,8 @@ class SecureFileHandler {
   /**
    * Store file metadata in database
    */
-  async storeFileMetadata(file, encryptionResult, scanResult, userId, clientId = null) {
+  async storeFileMetadata(file, encryptionResult, scanResult, userId, scope = {}) {
+    const { clientId = null, matterId = null, version = null } = scope;
     const base = {
       originalName: file.originalname,
       encryptedFileName: encryptionResult.encryptedFileName,
@@ -258,12 +277,22 @@ class SecureFileHandler {
       uploadDate: new Date(),
       uploadedBy: userId,
       clientId: clientId,
+      matterId: matterId,
+      // New versions become current once the caller promotes them
+      ...(version ? {
+        documentId: version.documentId,
+        version: version.version,
+        versionComment: version.comment,
+        isCurrentVersion: false
+      } : {}),
       scanResult: {
         isClean: scanResult.isClean,
         assessment: scanResult.assessment,
         threats: scanResult.threats,
         warnings: scanResult.warnings,
-        fileHash: scanResult.fileHash
+        fileHash: scanResult.fileHash,
+        engines: scanResult.engines || [],
+        scannedAt: scanResult.scannedAt
       },
       encryptionMetadata: {
         ...encryptionResult.keyMetadata,
@@ -286,12 +315,21 @@ class SecureFileHandler {
           uploadDate: doc.uploadDate.toISOString(),
           uploadedBy: doc.uploadedBy?.toString?.() || doc.uploadedBy,
           clientId: doc.clientId,
+          matterId: doc.matterId ? doc.matterId.toString() : null,
+          documentId: doc.documentId.toString(),
+          version: doc.version,
+          isCurrentVersion: doc.isCurrentVersion,
+          versionComment: doc.versionComment,
           scanResult: doc.scanResult,
           encryptionMetadata: doc.encryptionMetadata,
           status: doc.status
         };
       }
     } catch (err) {
+      // A version belongs to a stored document; keeping it in memory would orphan it
+      if (version) {
+        throw err;
+      }
       console.error('Failed to store file metadata in DB, falling back to memory:', err.message);
     }
 
@@ -299,6 +337,7 @@ class SecureFileHandler {
     return {
       id: crypto.randomBytes(16).toString('hex'),
       ...base,
+      matterId: matterId ? matterId.toString() : null,
       uploadDate: base.uploadDate.toISOString()
     };
   }
@@ -306,10 +345,11 @@ class SecureFileHandler {
   /**
    * Retrieve and decrypt file
    */
-  async retrieveFile(fileMetadata, userId) {
+  async retrieveFile(fileMetadata, user) {
+    const userId = this.getUserId(user);
     try {
       // Verify user has access to this file
-      if (!this.hasFileAccess(fileMetadata, userId)) {
+      if (!await this.hasFileAccess(fileMetadata, user)) {
         throw new Error('Access denied to file');
       }
 
@@ -320,7 +360,7 @@ class SecureFileHandler {
       const decryptionResult = await encryptionManager.decryptFile(
         fileMetadata.encryptedFilePath,
         tempDecryptedPath,
-        fileMetadata.encryptionMetadata?.fileKey
+        encryptionManager.unwrapFileKey(fileMetadata.encryptionMetadata)
       );
 
       // Log access
@@ -339,21 +379,251 @@ class SecureFileHandler {
   }
 
   /**
-   * Check if user has access to file
+   * Plaintext size of a stored file
    */
-  hasFileAccess(fileMetadata, userId) {
-    // In production, implement proper access control
-    return fileMetadata.uploadedBy === userId || 
-           fileMetadata.clientId === userId ||
-           this.isAdmin(userId);
+  async getFileSize(fileMetadata) {
+    return encryptionManager.getDecryptedSize(fileMetadata.encryptedFilePath);
   }
 
   /**
-   * Check if user is admin (simplified)
+   * Open a decrypting stream over a stored file, optionally limited to a
+   * { start, end } byte range. Nothing is written to disk.
    */
-  isAdmin(userId) {
-    // In production, check user role from database
-    return false;
+  async openFileStream(fileMetadata, user, range = null) {
+    if (!await this.hasFileAccess(fileMetadata, user)) {
+      throw new Error('Access denied to file');
+    }
+
+    return this.openDecryptedStream(fileMetadata, range);
+  }
+
+  /**
+   * Decrypting stream without a user check, for callers that authorised the
+   * download another way (external share links)
+   */
+  async openDecryptedStream(fileMetadata, range = null) {
+    const decrypted = await encryptionManager.createDecryptedStream(
+      fileMetadata.encryptedFilePath,
+      encryptionManager.unwrapFileKey(fileMetadata.encryptionMetadata),
+      range
+    );
+
+    return {
+      ...decrypted,
+      originalName: fileMetadata.originalName,
+      mimeType: fileMetadata.mimeType
+    };
+  }
+
+  /**
+   * Id string of a user document or a bare id
+   */
+  getUserId(user) {
+    const id = user && typeof user === 'object' ? (user._id || user.id) : user;
+    return id ? id.toString() : null;
+  }
+
+  /**
+   * Check if user has access to file: the uploader, admins, staff who manage
+   * clients (matter files only), members of the file's matter and recipients
+   * of an active share. Pass the user document; a bare id only matches the uploader.
+   */
+  async hasFileAccess(fileMetadata, user) {
+    return (await this.resolveFileAccess(fileMetadata, user)).granted;
+  }
+
+  /**
+   * Like hasFileAccess, but also says which share (if any) granted access so
+   * download tokens can be tied to it: { granted, shareId }
+   */
+  async resolveFileAccess(fileMetadata, user) {
+    const denied = { granted: false, shareId: null };
+    const granted = { granted: true, shareId: null };
+    const userId = this.getUserId(user);
+    if (!userId) {
+      return denied;
+    }
+
+    const uploadedBy = fileMetadata.uploadedBy ? fileMetadata.uploadedBy.toString() : null;
+    if (uploadedBy === userId || fileMetadata.clientId === userId) {
+      return granted;
+    }
+
+    if (!user || typeof user !== 'object') {
+      return denied;
+    }
+    if (this.isAdmin(user)) {
+      return granted;
+    }
+    if (fileMetadata.matterId) {
+      if (PermissionManager.userHasPermission(user, 'manage_clients')) {
+        return granted;
+      }
+      if (await this.isMatterMember(fileMetadata.matterId, userId)) {
+        return granted;
+      }
+    }
+
+    // Access to one version is access to the whole document: whoever uploaded
+    // any version, and whoever a version was shared with
+    const versions = await this.findDocumentVersions(fileMetadata);
+    if (versions.some(version => version.uploadedBy && version.uploadedBy.toString() === userId)) {
+      return granted;
+    }
+
+    const fileIds = versions.length ? versions.map(version => version._id) : [fileMetadata.id];
+    const share = await this.findActiveShare(fileIds, userId);
+    return share ? { granted: true, shareId: share._id.toString() } : denied;
+  }
+
+  /**
+   * Ids and uploaders of every version of a file's document (needs the database)
+   */
+  async findDocumentVersions(fileMetadata) {
+    if (!FileModel || !fileMetadata.documentId || !mongoose.connection || mongoose.connection.readyState !== 1) {
+      return [];
+    }
+    return FileModel.find({ documentId: fileMetadata.documentId }).select('_id uploadedBy').lean();
+  }
+
+  /**
+   * Active share of a file (or any of the given file ids) with a user,
+   * directly or through one of their matters
+   */
+  async findActiveShare(fileIds, userId) {
+    if (!FileShareModel || !MatterModel || !mongoose.connection || mongoose.connection.readyState !== 1) {
+      return null;
+    }
+    const ids = (Array.isArray(fileIds) ? fileIds : [fileIds])
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (!ids.length) {
+      return null;
+    }
+
+    const matterIds = await MatterModel.findMemberMatterIds(userId);
+    return FileShareModel.findOne({
+      fileId: { $in: ids },
+      $and: [
+        FileShareModel.activeFilter(),
+        { $or: [{ type: 'user', user: userId }, { type: 'matter', matter: { $in: matterIds } }] }
+      ]
+    }).select('_id').lean();
+  }
+
+  /**
+   * Check if user is admin
+   */
+  isAdmin(user) {
+    return Boolean(user && user.role === 'admin');
+  }
+
+  /**
+   * Whether a user is a member of a matter (needs the database)
+   */
+  async isMatterMember(matterId, userId) {
+    if (!MatterModel || !mongoose.connection || mongoose.connection.readyState !== 1) {
+      return false;
+    }
+    if (!mongoose.Types.ObjectId.isValid(matterId)) {
+      return false;
+    }
+    return Boolean(await MatterModel.exists({ _id: matterId, members: userId }));
+  }
+
+  /**
+   * Resolve the client and matter an upload is filed under. A matterId takes
+   * precedence over a free-text clientId and sets it to the matter's client code.
+   * Throws errors carrying an HTTP status when the matter can't be used.
+   */
+  async resolveUploadScope(body, user) {
+    const { clientId = null, matterId = null } = body || {};
+    if (!matterId) {
+      return { clientId: clientId || null, matterId: null };
+    }
+
+    const fail = (status, message) => Object.assign(new Error(message), { status });
+
+    if (!MatterModel || !mongoose.connection || mongoose.connection.readyState !== 1) {
+      throw fail(503, 'Filing uploads under a matter needs the database');
+    }
+    if (!mongoose.Types.ObjectId.isValid(matterId)) {
+      throw fail(404, 'Matter not found');
+    }
+
+    const matter = await MatterModel.findById(matterId).populate('client', 'code');
+    if (!matter || !matter.client) {
+      throw fail(404, 'Matter not found');
+    }
+
+    const userId = this.getUserId(user);
+    const canFile = this.isAdmin(user) ||
+      PermissionManager.userHasPermission(user, 'manage_clients') ||
+      (userId && matter.isMember(userId));
+    if (!canFile) {
+      throw fail(403, 'You are not a member of this matter');
+    }
+    if (matter.status === 'closed') {
+      throw fail(400, 'Files cannot be added to a closed matter');
+    }
+
+    return { clientId: matter.client.code, matterId: matter._id };
+  }
+
+  /**
+   * Upload scope for a new version of the document a file belongs to. The
+   * version is filed where the document is and gets the next version number.
+   * Share recipients can read a document but not add versions to it.
+   */
+  async resolveVersionScope(fileId, user, body = {}) {
+    const fail = (status, message) => Object.assign(new Error(message), { status });
+
+    if (!FileModel || !mongoose.connection || mongoose.connection.readyState !== 1) {
+      throw fail(503, 'Version history needs the database');
+    }
+    if (!mongoose.Types.ObjectId.isValid(fileId)) {
+      throw fail(404, 'File not found');
+    }
+
+    const file = await FileModel.findById(fileId).lean();
+    if (!file || file.status === 'deleted') {
+      throw fail(404, 'File not found');
+    }
+    if (!file.encryptionMetadata?.wrappedKey?.ciphertext && !file.encryptionMetadata?.fileKey) {
+      throw fail(400, 'Only files encrypted on the server keep versions');
+    }
+
+    const access = await this.resolveFileAccess({
+      id: file._id.toString(),
+      uploadedBy: file.uploadedBy,
+      clientId: file.clientId,
+      matterId: file.matterId ? file.matterId.toString() : null,
+      documentId: file.documentId
+    }, user);
+    if (!access.granted || access.shareId) {
+      throw fail(403, 'You cannot add versions to this file');
+    }
+
+    // Matter documents follow the matter's rules (members only, not once closed)
+    const scope = file.matterId
+      ? await this.resolveUploadScope({ matterId: file.matterId.toString() }, user)
+      : { clientId: file.clientId || null, matterId: null };
+
+    // Files uploaded before version history become version 1 of their own document
+    const documentId = file.documentId || file._id;
+    if (!file.documentId) {
+      await FileModel.updateOne({ _id: file._id }, { $set: { documentId, version: 1 } });
+    }
+
+    const latest = await FileModel.findOne({ documentId }).sort({ version: -1 }).select('version').lean();
+
+    return {
+      ...scope,
+      version: {
+        documentId,
+        version: ((latest && latest.version) || 1) + 1,
+        comment: String(body.comment || '').trim().slice(0, 500)
+      }
+    };
   }
 
   /**
@@ -408,12 +678,12 @@ class SecureFileHandler {
   /**
    * Generate secure download URL
    */
-  generateSecureDownloadUrl(fileMetadata, userId) {
+  generateSecureDownloadUrl(fileMetadata, userId, { shareId = null } = {}) {
     const token = crypto.randomBytes(32).toString('hex');
     const expiresAt = new Date(Date.now() + 3600000); // 1 hour
 
     // Persist token if DB available; otherwise, store in-memory
-    this.storeDownloadToken(token, fileMetadata.id, userId, expiresAt).catch(err => {
+    this.storeDownloadToken(token, fileMetadata.id, userId, expiresAt, shareId).catch(err => {
       console.error('Failed to store download token:', err.message);
     });
 
@@ -427,26 +697,62 @@ class SecureFileHandler {
   /**
    * Validate download token
    */
-  validateDownloadToken(token, fileId) {
-    return this.validateAndConsumeToken(token, fileId);
+  validateDownloadToken(token, fileId, options = {}) {
+    return this.validateAndConsumeToken(token, fileId, options);
   }
 
-  async storeDownloadToken(token, fileId, userId, expiresAt) {
+  async storeDownloadToken(token, fileId, userId, expiresAt, shareId = null) {
     if (DownloadTokenModel && mongoose.connection && mongoose.connection.readyState === 1) {
-      await DownloadTokenModel.create({ token, fileId, userId, expiresAt });
+      await DownloadTokenModel.create({ token, fileId, userId, expiresAt, shareId });
     } else {
       if (!this._memoryTokens) this._memoryTokens = new Map();
-      this._memoryTokens.set(token, { fileId, userId, expiresAt, usedAt: null });
+      this._memoryTokens.set(token, { fileId, userId, expiresAt, usedAt: null, shareId });
+    }
+  }
+
+  /**
+   * Short-lived, single use token for a download through an external share link
+   */
+  async issueShareDownloadToken(share) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
+    await this.storeDownloadToken(token, share.fileId.toString(), null, expiresAt, share._id.toString());
+    return { token, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Invalidate every outstanding download token issued through a share
+   */
+  async revokeShareTokens(shareId) {
+    let revoked = 0;
+    if (DownloadTokenModel && mongoose.connection && mongoose.connection.readyState === 1) {
+      const result = await DownloadTokenModel.deleteMany({ shareId });
+      revoked += result.deletedCount || 0;
+    }
+    if (this._memoryTokens) {
+      for (const [token, mem] of this._memoryTokens.entries()) {
+        if (mem.shareId && String(mem.shareId) === String(shareId)) {
+          this._memoryTokens.delete(token);
+          revoked++;
+        }
+      }
     }
+    return revoked;
   }
 
-  async validateAndConsumeToken(token, fileId) {
+  // Range requests (resumed or segmented downloads) by the token's own user may
+  // reuse it until it expires; a plain download consumes it.
+  // Pass shareId to accept only tokens issued through that share.
+  async validateAndConsumeToken(token, fileId, { allowReuse = false, userId = null, shareId = null } = {}) {
     try {
       if (DownloadTokenModel && mongoose.connection && mongoose.connection.readyState === 1) {
         const doc = await DownloadTokenModel.findOne({ token, fileId }).lean();
         if (!doc) return false;
-        if (doc.usedAt) return false;
+        if (shareId && String(doc.shareId) !== String(shareId)) return false;
         if (new Date(doc.expiresAt).getTime() < Date.now()) return false;
+        if (doc.usedAt) {
+          return Boolean(allowReuse && userId && doc.userId && doc.userId.toString() === userId.toString());
+        }
         // Mark as used
         await DownloadTokenModel.updateOne({ _id: doc._id }, { $set: { usedAt: new Date() } });
         return true;
@@ -454,8 +760,11 @@ class SecureFileHandler {
         const mem = this._memoryTokens && this._memoryTokens.get(token);
         if (!mem) return false;
         if (mem.fileId !== fileId) return false;
-        if (mem.usedAt) return false;
+        if (shareId && String(mem.shareId) !== String(shareId)) return false;
         if (mem.expiresAt.getTime() < Date.now()) return false;
+        if (mem.usedAt) {
+          return Boolean(allowReuse && userId && String(mem.userId) === String(userId));
+        }
         mem.usedAt = new Date();
         this._memoryTokens.set(token, mem);
         return true;
@@ -472,8 +781,8 @@ class SecureFileHandler {
   async cleanupExpiredTokens() {
     try {
       if (DownloadTokenModel && mongoose.connection && mongoose.connection.readyState === 1) {
-        // Remove tokens that are used or expired (TTL will handle expired, but keep explicit cleanup)
-        await DownloadTokenModel.deleteMany({ $or: [ { usedAt: { $ne: null } }, { expiresAt: { $lt: new Date() } } ] });
+        // Used tokens stay valid for Range requests until they expire (TTL will handle expired, but keep explicit cleanup)
+        await DownloadTokenModel.deleteMany({ expiresAt: { $lt: new Date() } });
       }
     } catch (err) {
       console.error('Error cleaning up DB download tokens:', err.message);
@@ -483,7 +792,7 @@ class SecureFileHandler {
       if (this._memoryTokens) {
         const now = Date.now();
         for (const [tok, rec] of this._memoryTokens.entries()) {
-          if (rec.usedAt || rec.expiresAt.getTime() < now) {
+          if (rec.expiresAt.getTime() < now) {
             this._memoryTokens.delete(tok);
           }
         }
@@ -560,12 +869,23 @@ class SecureFileHandler {
           });
         }
 
+        let scope;
+        try {
+          scope = await this.resolveUploadScope(req.body, req.user);
+        } catch (error) {
+          await Promise.all(req.files.map(file => this.cleanupTempFile(file.path)));
+          return res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error processing uploaded files'
+          });
+        }
+
         try {
           // Process files with security checks
           const result = await this.processUploadedFiles(
             req.files,
             req.user?.id || 'anonymous',
-            req.body.clientId
+            scope
           );
 
           req.processedFiles = result.processedFiles;
@@ -584,9 +904,10 @@ class SecureFileHandler {
   }
 
   /**
-   * Middleware for single file upload
+   * Middleware for single file upload. resolveScope(req) decides where the
+   * file is filed; by default the clientId/matterId in the form.
    */
-  singleFileUploadMiddleware() {
+  singleFileUploadMiddleware(resolveScope = (req) => this.resolveUploadScope(req.body, req.user)) {
     const upload = this.configureMulter();
     
     return (req, res, next) => {
@@ -605,12 +926,23 @@ class SecureFileHandler {
           });
         }
 
+        let scope;
+        try {
+          scope = await resolveScope(req);
+        } catch (error) {
+          await this.cleanupTempFile(req.file.path);
+          return res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error processing uploaded file'
+          });
+        }
+
         try {
           // Process single file
           const result = await this.processUploadedFiles(
             [req.file],
             req.user?.id || 'anonymous',
-            req.body.clientId
+            scope
           );
 
           req.processedFiles = result.processedFiles;
@@ -31,6 +31,11 @@ class CSRFProtection {
         return next();
       }
 
+      // One-click unsubscribe (RFC 8058) is posted by mail providers; the token in the link authorizes it
+      if (req.method === 'POST' && req.path === '/api/newsletter/unsubscribe' && req.query.token) {
+        return next();
+      }
+
       // Generate token for forms
       if (req.method === 'GET') {
         const token = this.generateToken();
@@ -137,6 +142,9 @@ class InputSanitizer {
   }
 }
 
+// GET /api/files/tus/:uploadId
+const RESUMABLE_STATUS_PATH = /^\/api\/files\/tus\/[a-f0-9]{32}$/;
+
 // Rate Limiting
 class RateLimiter {
   // General API rate limiting
@@ -144,6 +152,8 @@ class RateLimiter {
     return rateLimit({
       windowMs: 15 * 60 * 1000, // 15 minutes
       max: 100, // limit each IP to 100 requests per windowMs
+      // Polling a resumable upload while it is processed has its own limit (uploadStatus)
+      skip: (req) => req.method === 'GET' && RESUMABLE_STATUS_PATH.test(req.originalUrl.split('?')[0]),
       message: {
         success: false,
         message: 'Too many requests from this IP, please try again later.'
@@ -208,6 +218,119 @@ class RateLimiter {
       legacyHeaders: false
     });
   }
+
+  // Support ticket creation rate limiting
+  static supportTicket() {
+    return rateLimit({
+      windowMs: 60 * 60 * 1000, // 1 hour
+      max: 5, // limit each IP to 5 new tickets per hour
+      message: {
+        success: false,
+        message: 'Too many support tickets submitted, please try again later.'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
+  }
+
+  // Ticket status lookup rate limiting (ticket number + email guessing)
+  static ticketLookup() {
+    return rateLimit({
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 20, // limit each IP to 20 lookups per windowMs
+      message: {
+        success: false,
+        message: 'Too many ticket lookups, please try again later.'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
+  }
+
+  // Live chat start rate limiting
+  static chatStart() {
+    return rateLimit({
+      windowMs: 60 * 60 * 1000, // 1 hour
+      max: 10, // limit each IP to 10 new chats per hour
+      message: {
+        success: false,
+        message: 'Too many chats started, please try again later.'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
+  }
+
+  // Live chat message rate limiting
+  static chatMessage() {
+    return rateLimit({
+      windowMs: 60 * 1000, // 1 minute
+      max: 30, // limit each IP to 30 chat messages per minute
+      message: {
+        success: false,
+        message: 'You are sending messages too quickly, please slow down.'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
+  }
+
+  // Blog comment rate limiting
+  static blogComment() {
+    return rateLimit({
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 5, // limit each IP to 5 comments per windowMs
+      message: {
+        success: false,
+        message: 'Too many comments, please try again later.'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
+  }
+
+  // Newsletter sign-up rate limiting (each sign-up sends a confirmation email)
+  static newsletter() {
+    return rateLimit({
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 5, // limit each IP to 5 sign-ups per windowMs
+      message: {
+        success: false,
+        message: 'Too many sign-up attempts, please try again later.'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
+  }
+
+  // Resumable upload status polling, kept apart from the general limit so a
+  // long-running scan doesn't throttle the rest of the dashboard
+  static uploadStatus() {
+    return rateLimit({
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 300, // limit each IP to 300 status checks per windowMs
+      message: {
+        success: false,
+        message: 'Too many upload status checks, please try again later.'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
+  }
+
+  // External share link rate limiting (code and password guessing)
+  static shareAccess() {
+    return rateLimit({
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 20, // limit each IP to 20 share link requests per windowMs
+      message: {
+        success: false,
+        message: 'Too many attempts on this link, please try again later.'
+      },
+      standardHeaders: true,
+      legacyHeaders: false
+    });
+  }
 }
 
 // Slow Down (for brute force protection)
@@ -307,7 +430,7 @@ class ValidationRules {
       
       body('role')
         .optional()
-        .isIn(['client', 'staff', 'admin'])
+        .isIn(['client', 'contributor', 'staff', 'admin'])
         .withMessage('Invalid role specified')
     ];
   }
@@ -394,6 +517,121 @@ class ValidationRules {
     ];
   }
 
+  // Support ticket validation
+  static supportTicket() {
+    return [
+      body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+      
+      body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+      
+      body('subject')
+        .trim()
+        .isLength({ min: 5, max: 200 })
+        .withMessage('Subject must be between 5 and 200 characters'),
+      
+      body('message')
+        .trim()
+        .isLength({ min: 10, max: 5000 })
+        .withMessage('Message must be between 10 and 5000 characters'),
+      
+      body('category')
+        .optional()
+        .isIn(['general', 'technical', 'billing', 'service', 'complaint'])
+        .withMessage('Invalid ticket category'),
+      
+      body('priority')
+        .optional()
+        .isIn(['low', 'medium', 'high', 'urgent'])
+        .withMessage('Invalid ticket priority')
+    ];
+  }
+
+  // Live chat start validation
+  static chatStart() {
+    return [
+      body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+      
+      body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+      
+      body('message')
+        .trim()
+        .isLength({ min: 2, max: 2000 })
+        .withMessage('Message must be between 2 and 2000 characters')
+    ];
+  }
+
+  // Blog comment validation
+  static blogComment() {
+    return [
+      body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+      body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+
+      body('body')
+        .trim()
+        .isLength({ min: 2, max: 2000 })
+        .withMessage('Comment must be between 2 and 2000 characters'),
+
+      body('parentId')
+        .optional({ values: 'falsy' })
+        .isMongoId()
+        .withMessage('Invalid reply'),
+
+      body('captchaToken')
+        .notEmpty()
+        .withMessage('CAPTCHA verification is required')
+    ];
+  }
+
+  // Newsletter sign-up validation
+  static newsletterSubscribe() {
+    return [
+      body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+
+      body('source')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Source cannot exceed 200 characters')
+    ];
+  }
+
+  // Support ticket status lookup validation
+  static ticketLookup() {
+    return [
+      body('ticketNumber')
+        .trim()
+        .isLength({ min: 5, max: 30 })
+        .withMessage('Please provide a valid ticket number'),
+      
+      body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address')
+    ];
+  }
+
   // File upload validation
   static fileUpload() {
     return [
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Signed daily snapshot of the audit chain's head. Each checkpoint also
+// covers the previous one's signature, so checkpoints form a chain of their own.
+const auditCheckpointSchema = new mongoose.Schema({
+  // UTC day the checkpoint was taken (YYYY-MM-DD)
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  // Sequence range added to the chain since the previous checkpoint
+  firstSequence: {
+    type: Number,
+    required: true
+  },
+  lastSequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  entryCount: {
+    type: Number,
+    required: true
+  },
+  // Hash of the entry at lastSequence
+  headHash: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the previous checkpoint's signature (null for the first)
+  previousSignatureHash: {
+    type: String,
+    default: null
+  },
+  // Ed25519 signature over the fields above
+  signature: {
+    type: String,
+    required: true
+  },
+  keyId: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'audit_checkpoints'
+});
+
+auditCheckpointSchema.index({ date: -1 });
+
+// The signed fields, in signing order
+const CHECKPOINT_SIGNED_FIELDS = [
+  'date', 'firstSequence', 'lastSequence', 'entryCount', 'headHash', 'previousSignatureHash', 'keyId', 'createdAt'
+];
+
+const AuditCheckpoint = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
+
+AuditCheckpoint.SIGNED_FIELDS = CHECKPOINT_SIGNED_FIELDS;
+
+module.exports = AuditCheckpoint;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Export formats, which double as file extensions
+const EXPORT_FORMATS = ['csv', 'jsonl', 'ndjson.gz'];
+
+// Background export of the audit trail. The data file, its manifest and the
+// manifest's detached signature live on disk until the export expires.
+const auditExportSchema = new mongoose.Schema({
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: EXPORT_FORMATS,
+    required: true
+  },
+  filters: {
+    eventType: String,
+    userId: String,
+    resourceType: String,
+    resourceId: String,
+    threatLevel: String,
+    success: Boolean
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'expired'],
+    default: 'queued'
+  },
+  recordCount: {
+    type: Number,
+    default: 0
+  },
+  fileName: String,
+  size: Number,
+  sha256: String,
+  keyId: String,
+  error: String,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date
+}, {
+  collection: 'audit_exports'
+});
+
+auditExportSchema.index({ requestedBy: 1, createdAt: -1 });
+auditExportSchema.index({ status: 1, expiresAt: 1 });
+
+const AuditExport = mongoose.model('AuditExport', auditExportSchema);
+
+AuditExport.FORMATS = EXPORT_FORMATS;
+
+module.exports = AuditExport;
@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// prevHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Everything an entry records, in the order it is hashed. archived/archivedAt
+// and the mongoose timestamps are bookkeeping and may change after the fact.
+const HASHED_FIELDS = [
+  'sequence', 'prevHash', 'eventType', 'userId', 'resourceType', 'resourceId',
+  'action', 'description', 'requestId', 'ipAddress', 'userAgent', 'threatLevel',
+  'success', 'failureReason', 'oldValue', 'newValue', 'changes', 'duration',
+  'regulation', 'complianceRequired', 'metadata', 'timestamp', 'retentionPeriod'
+];
+
+// Fields that may change on a saved entry
+const MUTABLE_FIELDS = ['archived', 'archivedAt', 'updatedAt'];
+
+/**
+ * Deterministic form of a value for hashing: object keys sorted, dates as ISO
+ * strings, ObjectIds as hex, and null/undefined dropped (BSON stores
+ * undefined as null, so neither can be told apart once read back).
+ */
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && value._bsontype) return value.toString();
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).sort().forEach(key => {
+      const canonical = canonicalize(value[key]);
+      if (canonical !== null) result[key] = canonical;
+    });
+    return result;
+  }
+  return value;
+};
 
 const AuditLogSchema = new mongoose.Schema({
   // Basic event information
@@ -22,11 +59,12 @@ const AuditLogSchema = new mongoose.Schema({
       
       // Security events
       'suspicious_activity', 'rate_limit_exceeded', 'malware_detected', 'encryption_error',
-      'decryption_error', 'integrity_check_failed',
+      'decryption_error', 'integrity_check_failed', 'key_rotation', 'malware_rescan',
+      'quarantine_released',
       
       // Compliance events
       'policy_updated', 'compliance_check', 'data_export', 'data_deletion',
-      'audit_trail_accessed', 'privacy_settings_changed',
+      'audit_trail_accessed', 'privacy_settings_changed', 'audit_cleanup',
       
       // System events
       'server_startup', 'server_shutdown', 'maintenance_mode', 'backup_scheduled',
@@ -166,6 +204,23 @@ const AuditLogSchema = new mongoose.Schema({
   archivedAt: {
     type: Date,
     required: false
+  },
+
+  // Hash chain: each entry's hash covers its content and the previous entry's
+  // hash, so an edited or deleted entry breaks every link after it
+  sequence: {
+    type: Number,
+    required: false // Entries from before the chain have none
+  },
+
+  prevHash: {
+    type: String,
+    required: false
+  },
+
+  hash: {
+    type: String,
+    required: false
   }
 }, {
   timestamps: true,
@@ -180,6 +235,7 @@ AuditLogSchema.index({ resourceType: 1, resourceId: 1 });
 AuditLogSchema.index({ threatLevel: 1, timestamp: -1 });
 AuditLogSchema.index({ success: 1, timestamp: -1 });
 AuditLogSchema.index({ regulation: 1, timestamp: -1 });
+AuditLogSchema.index({ sequence: 1 }, { unique: true, partialFilterExpression: { sequence: { $type: 'number' } } });
 
 // Compound indexes for common queries
 AuditLogSchema.index({ eventType: 1, userId: 1, timestamp: -1 });
@@ -212,8 +268,11 @@ AuditLogSchema.pre('save', function(next) {
     // Security events - keep longer
     'suspicious_activity': 730, // 2 years
     'malware_detected': 730,
+    'malware_rescan': 730,
+    'quarantine_released': 730,
     'access_denied': 730,
     'rate_limit_exceeded': 730,
+    'key_rotation': 2555, // 7 years, kept as evidence of the rotation schedule
     
     // Compliance events - keep longest
     'policy_updated': 2555, // 7 years
@@ -221,6 +280,7 @@ AuditLogSchema.pre('save', function(next) {
     'data_export': 2555,
     'data_deletion': 2555,
     'audit_trail_accessed': 2555,
+    'audit_cleanup': 2555,
     
     // Authentication events - keep medium
     'login_failed': 365, // 1 year
@@ -244,10 +304,44 @@ AuditLogSchema.pre('save', function(next) {
     'maintenance_mode': 90
   };
   
-  this.retentionPeriod = retentionPeriods[this.eventType] || 365;
+  if (this.isNew) {
+    this.retentionPeriod = retentionPeriods[this.eventType] || 365;
+  }
   next();
 });
 
+// Seal new chained entries once every other field is final; saved entries
+// only accept archive bookkeeping
+AuditLogSchema.pre('save', function(next) {
+  if (this.isNew) {
+    if (this.sequence) {
+      this.hash = this.constructor.computeHash(this);
+    }
+    return next();
+  }
+
+  const changed = this.modifiedPaths().filter(field => !MUTABLE_FIELDS.includes(field));
+  if (changed.length > 0) {
+    return next(new Error(`Audit log entries are immutable (attempted to change ${changed.join(', ')})`));
+  }
+  next();
+});
+
+/**
+ * SHA-256 of an entry's hashed fields (prevHash included). Works on saved
+ * documents and on lean objects read back from the collection.
+ */
+AuditLogSchema.statics.computeHash = function(entry) {
+  const content = {};
+  HASHED_FIELDS.forEach(field => {
+    const value = canonicalize(typeof entry.get === 'function' ? entry.get(field) : entry[field]);
+    if (value !== null) content[field] = value;
+  });
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+AuditLogSchema.statics.canonicalize = canonicalize;
+
 // Static methods for common queries
 AuditLogSchema.statics.findByEventType = function(eventType, limit = 100) {
   return this.find({ eventType })
@@ -351,7 +445,12 @@ AuditLogSchema.methods.archive = function() {
   return this.save();
 };
 
-module.exports = mongoose.model('AuditLog', AuditLogSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+AuditLog.GENESIS_HASH = GENESIS_HASH;
+AuditLog.HASHED_FIELDS = HASHED_FIELDS;
+
+module.exports = AuditLog;
 
 
 
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Signed record of a contiguous run of audit entries removed from the chain
+// (retention cleanup). It bridges the gap: prevHash is what the first removed
+// entry linked to and lastHash is what the next surviving entry links to.
+const auditTombstoneSchema = new mongoose.Schema({
+  firstSequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  lastSequence: {
+    type: Number,
+    required: true
+  },
+  count: {
+    type: Number,
+    required: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  lastHash: {
+    type: String,
+    required: true
+  },
+  // SHA-256 over the removed entries' hashes in sequence order, so an export
+  // taken before the removal can be matched against the tombstone
+  digest: {
+    type: String,
+    required: true
+  },
+  // Oldest and newest timestamp in the removed range
+  from: {
+    type: Date,
+    required: true
+  },
+  to: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['retention'],
+    default: 'retention'
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for the scheduled cleanup
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  keyId: {
+    type: String,
+    required: true
+  },
+  removedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'audit_tombstones'
+});
+
+auditTombstoneSchema.index({ lastSequence: -1 });
+
+// The signed fields, in signing order
+const TOMBSTONE_SIGNED_FIELDS = [
+  'firstSequence', 'lastSequence', 'count', 'prevHash', 'lastHash', 'digest',
+  'from', 'to', 'reason', 'removedBy', 'keyId', 'removedAt'
+];
+
+const AuditTombstone = mongoose.model('AuditTombstone', auditTombstoneSchema);
+
+AuditTombstone.SIGNED_FIELDS = TOMBSTONE_SIGNED_FIELDS;
+
+module.exports = AuditTombstone;
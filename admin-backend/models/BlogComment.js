@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// unverified: waiting for the commenter to confirm their email; pending: in the moderation queue
+const COMMENT_STATUSES = ['unverified', 'pending', 'approved', 'spam'];
+
+// Replies to a comment this deep are attached to its parent instead
+const MAX_DEPTH = 3;
+
+// How long a commenter has to confirm their email before the comment is dropped
+const VERIFY_TTL_MS = 48 * 60 * 60 * 1000;
+
+// A reader's comment on a published blog post
+const blogCommentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogComment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: COMMENT_STATUSES,
+    default: 'unverified'
+  },
+  verifyTokenHash: {
+    type: String,
+    select: false
+  },
+  // Unverified comments are removed by a TTL index once this passes
+  verifyExpiresAt: {
+    type: Date,
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'blog_comments'
+});
+
+blogCommentSchema.index({ post: 1, status: 1, createdAt: 1 });
+blogCommentSchema.index({ status: 1, createdAt: -1 });
+blogCommentSchema.index({ email: 1, status: 1 });
+blogCommentSchema.index({ verifyExpiresAt: 1 }, { expireAfterSeconds: 0, partialFilterExpression: { status: 'unverified' } });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Save a new comment and return the email verification token; only its hash
+ * is persisted. Comments from an address already caught spamming go
+ * straight to spam and get no token.
+ */
+blogCommentSchema.statics.submit = async function(data, parent = null) {
+  const knownSpammer = await this.exists({ email: String(data.email).trim().toLowerCase(), status: 'spam' });
+  const token = knownSpammer ? null : crypto.randomBytes(32).toString('base64url');
+
+  // Deep replies join the thread of the comment they answer
+  const anchor = parent && parent.depth >= MAX_DEPTH ? { _id: parent.parent, depth: parent.depth - 1 } : parent;
+
+  const comment = await this.create({
+    ...data,
+    parent: anchor ? anchor._id : null,
+    depth: anchor ? anchor.depth + 1 : 0,
+    status: knownSpammer ? 'spam' : 'unverified',
+    verifyTokenHash: token ? hashToken(token) : undefined,
+    verifyExpiresAt: token ? new Date(Date.now() + VERIFY_TTL_MS) : null
+  });
+  return { comment, token };
+};
+
+// Confirm a commenter's email: the comment joins the moderation queue. Null for unknown or expired tokens.
+blogCommentSchema.statics.verify = async function(token, now = new Date()) {
+  if (!token) {
+    return null;
+  }
+  return this.findOneAndUpdate(
+    { verifyTokenHash: hashToken(token), status: 'unverified', verifyExpiresAt: { $gt: now } },
+    { $set: { status: 'pending', verifiedAt: now, verifyExpiresAt: null }, $unset: { verifyTokenHash: 1 } },
+    { new: true }
+  );
+};
+
+// Nest approved comments under their parents; replies to hidden comments are hidden too
+blogCommentSchema.statics.thread = function(comments) {
+  const nodes = new Map(comments.map(comment => [comment._id.toString(), {
+    _id: comment._id,
+    name: comment.name,
+    body: comment.body,
+    createdAt: comment.createdAt,
+    replies: []
+  }]));
+
+  const roots = [];
+  comments.forEach(comment => {
+    const node = nodes.get(comment._id.toString());
+    if (!comment.parent) {
+      roots.push(node);
+      return;
+    }
+    const parent = nodes.get(comment.parent.toString());
+    if (parent) {
+      parent.replies.push(node);
+    }
+  });
+  return roots;
+};
+
+// Ids of a comment and every reply below it
+blogCommentSchema.statics.descendantIds = async function(id) {
+  const ids = [id];
+  let level = [id];
+  while (level.length > 0) {
+    const replies = await this.find({ parent: { $in: level } }).select('_id').lean();
+    level = replies.map(reply => reply._id);
+    ids.push(...level);
+  }
+  return ids;
+};
+
+const BlogComment = mongoose.model('BlogComment', blogCommentSchema);
+
+BlogComment.STATUSES = COMMENT_STATUSES;
+BlogComment.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = BlogComment;
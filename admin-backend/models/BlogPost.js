@@ -1,6 +1,28 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 
+// Editorial workflow states; who may move a post between them is decided in utils/blogWorkflow.js
+const POST_STATUSES = ['draft', 'in_review', 'changes_requested', 'approved', 'scheduled', 'published', 'archived'];
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  // Empty for changes made by the scheduler
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const imageSchema = new mongoose.Schema({
   url: {
     type: String,
@@ -120,12 +142,23 @@ const blogPostSchema = new mongoose.Schema({
   seoAnalysis: seoAnalysisSchema,
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: POST_STATUSES,
     default: 'draft'
   },
+  statusHistory: [statusChangeSchema],
   publishedAt: {
     type: Date
   },
+  // Scheduled posts go live at publishAt; published posts with an
+  // unpublishAt are archived then (see utils/blogScheduler.js)
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -188,11 +221,40 @@ blogPostSchema.pre('save', function(next) {
   next();
 });
 
+// Move the post to a new status and record who did it
+blogPostSchema.methods.changeStatus = function(status, userId, note = '') {
+  if (status === this.status) {
+    return false;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: userId,
+    note,
+    changedAt: new Date()
+  });
+  this.status = status;
+  return true;
+};
+
+// Who last submitted the post for review, or its author
+blogPostSchema.methods.getSubmitter = function() {
+  const submission = [...this.statusHistory].reverse().find(change => change.to === 'in_review' && change.changedBy);
+  return submission ? submission.changedBy : this.author;
+};
+
 // Index for search optimization
 blogPostSchema.index({ title: 'text', content: 'text', tags: 'text' });
 blogPostSchema.index({ slug: 1 });
 blogPostSchema.index({ status: 1, publishedAt: -1 });
+blogPostSchema.index({ status: 1, publishAt: 1 });
+blogPostSchema.index({ status: 1, unpublishAt: 1 });
 blogPostSchema.index({ category: 1 });
 blogPostSchema.index({ author: 1 });
 
-module.exports = mongoose.model('BlogPost', blogPostSchema);
+const BlogPost = mongoose.model('BlogPost', blogPostSchema);
+
+BlogPost.STATUSES = POST_STATUSES;
+
+module.exports = BlogPost;
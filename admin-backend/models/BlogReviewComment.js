@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Post fields a review comment can point at
+const COMMENT_FIELDS = ['title', 'metaDescription', 'excerpt', 'content'];
+
+// A reviewer's note on a blog post, anchored to the text it is about
+const blogReviewCommentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  field: {
+    type: String,
+    enum: COMMENT_FIELDS,
+    default: 'content'
+  },
+  // The selected text the comment is about; empty for comments on the whole field
+  quote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Quoted text cannot exceed 500 characters'],
+    default: ''
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Latest revision of the post when the comment was made
+  revision: {
+    type: Number,
+    default: null
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'blog_review_comments'
+});
+
+blogReviewCommentSchema.index({ post: 1, createdAt: 1 });
+
+const BlogReviewComment = mongoose.model('BlogReviewComment', blogReviewCommentSchema);
+
+BlogReviewComment.FIELDS = COMMENT_FIELDS;
+
+module.exports = BlogReviewComment;
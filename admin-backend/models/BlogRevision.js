@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// Post fields kept in each revision
+const REVISION_FIELDS = [
+  'title', 'slug', 'metaDescription', 'focusKeywords', 'content', 'excerpt',
+  'category', 'tags', 'schemaMarkup', 'internalLinks', 'externalLinks',
+  'featuredImage', 'status', 'publishAt', 'unpublishAt'
+];
+
+// Fields put back when a revision is restored. The slug follows the title and
+// the status and schedule stay as they are, so restoring never publishes or unpublishes.
+const RESTORABLE_FIELDS = REVISION_FIELDS.filter(field => !['slug', 'status', 'publishAt', 'unpublishAt'].includes(field));
+
+const linkSnapshotSchema = new mongoose.Schema({
+  url: String,
+  text: String,
+  isExternal: Boolean,
+  nofollow: Boolean
+}, { _id: false });
+
+// One saved state of a blog post. Revisions are numbered per post and never
+// change; restoring an old revision records a new one.
+const blogRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: ['create', 'update', 'restore', 'baseline', 'schedule', 'import'],
+    required: true
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  changedFields: [{
+    type: String
+  }],
+  snapshot: {
+    title: String,
+    slug: String,
+    metaDescription: String,
+    focusKeywords: [String],
+    content: String,
+    excerpt: String,
+    category: String,
+    tags: [String],
+    schemaMarkup: String,
+    internalLinks: [linkSnapshotSchema],
+    externalLinks: [linkSnapshotSchema],
+    featuredImage: String,
+    status: String,
+    publishAt: Date,
+    unpublishAt: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'blog_revisions'
+});
+
+blogRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+// Plain values of a post's revisioned fields
+blogRevisionSchema.statics.snapshotOf = function(post) {
+  const source = typeof post.toObject === 'function' ? post.toObject() : post;
+  const link = ({ url, text, isExternal, nofollow }) => ({ url, text, isExternal: Boolean(isExternal), nofollow: Boolean(nofollow) });
+
+  return {
+    title: source.title || '',
+    slug: source.slug || '',
+    metaDescription: source.metaDescription || '',
+    focusKeywords: [...(source.focusKeywords || [])],
+    content: source.content || '',
+    excerpt: source.excerpt || '',
+    category: source.category || '',
+    tags: [...(source.tags || [])],
+    schemaMarkup: source.schemaMarkup || '',
+    internalLinks: (source.internalLinks || []).map(link),
+    externalLinks: (source.externalLinks || []).map(link),
+    featuredImage: source.featuredImage || '',
+    status: source.status || 'draft',
+    publishAt: source.publishAt || null,
+    unpublishAt: source.unpublishAt || null
+  };
+};
+
+// Fields that differ between two snapshots
+blogRevisionSchema.statics.changedFields = function(before, after) {
+  if (!before) {
+    return [...REVISION_FIELDS];
+  }
+  return REVISION_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+};
+
+/**
+ * Record the post's current state as its next revision. Returns null when
+ * nothing changed since the latest revision (unless it is a restore).
+ */
+blogRevisionSchema.statics.record = async function(post, { author = null, reason = 'update', restoredFrom = null } = {}) {
+  const latest = await this.findOne({ post: post._id }).sort({ revision: -1 }).lean();
+  const snapshot = this.snapshotOf(post);
+  const changedFields = this.changedFields(latest?.snapshot ? this.snapshotOf(latest.snapshot) : null, snapshot);
+
+  if (latest && changedFields.length === 0 && reason !== 'restore') {
+    return null;
+  }
+
+  return this.create({
+    post: post._id,
+    revision: (latest?.revision || 0) + 1,
+    author,
+    reason,
+    restoredFrom,
+    changedFields,
+    snapshot
+  });
+};
+
+const BlogRevision = mongoose.model('BlogRevision', blogRevisionSchema);
+
+BlogRevision.FIELDS = REVISION_FIELDS;
+BlogRevision.RESTORABLE_FIELDS = RESTORABLE_FIELDS;
+
+module.exports = BlogRevision;
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const CHAT_STATUSES = ['waiting', 'active', 'closed'];
+
+const chatMessageSchema = new mongoose.Schema({
+  senderType: {
+    type: String,
+    enum: ['visitor', 'agent', 'system'],
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  senderName: {
+    type: String,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const handoffSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    enum: ['claim', 'transfer', 'release', 'agent_offline']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const chatConversationSchema = new mongoose.Schema({
+  visitorName: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  visitorEmail: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  // Only a hash of the visitor's conversation token is stored
+  visitorTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: CHAT_STATUSES,
+    default: 'waiting'
+  },
+  assignedAgent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: Date,
+  handoffs: [handoffSchema],
+  messages: [chatMessageSchema],
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: Date,
+  closedBy: {
+    type: String,
+    enum: ['visitor', 'agent', 'system']
+  },
+
+  // Set when the conversation was turned into a support ticket
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupportTicket'
+  },
+
+  // Request context
+  pageUrl: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'chat_conversations'
+});
+
+chatConversationSchema.index({ status: 1, lastActivityAt: -1 });
+chatConversationSchema.index({ assignedAgent: 1, status: 1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Start a conversation and return the visitor token; only its hash is persisted
+chatConversationSchema.statics.start = async function(data, firstMessage) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const conversation = await this.create({
+    ...data,
+    visitorTokenHash: hashToken(token),
+    messages: [{
+      senderType: 'visitor',
+      senderName: data.visitorName,
+      body: firstMessage
+    }]
+  });
+  return { conversation, token };
+};
+
+// Load a conversation for a visitor, checking their token
+chatConversationSchema.statics.findForVisitor = async function(id, token) {
+  if (!mongoose.Types.ObjectId.isValid(id) || !token) {
+    return null;
+  }
+
+  const conversation = await this.findById(id).select('+visitorTokenHash');
+  if (!conversation) {
+    return null;
+  }
+
+  const expected = Buffer.from(conversation.visitorTokenHash, 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return conversation;
+};
+
+// Append a message and bump the activity timestamp
+chatConversationSchema.methods.addMessage = function({ senderType, sender, senderName, body }) {
+  this.messages.push({ senderType, sender, senderName, body });
+  this.lastActivityAt = new Date();
+  return this.messages[this.messages.length - 1];
+};
+
+// Move the conversation to another agent (or back to the queue when agent is null)
+chatConversationSchema.methods.handoff = function(agent, byUserId, reason) {
+  this.handoffs.push({
+    from: this.assignedAgent,
+    to: agent ? agent._id : null,
+    by: byUserId,
+    reason,
+    at: new Date()
+  });
+
+  this.assignedAgent = agent ? agent._id : null;
+  this.status = agent ? 'active' : 'waiting';
+  if (agent && !this.claimedAt) {
+    this.claimedAt = new Date();
+  }
+  this.lastActivityAt = new Date();
+};
+
+chatConversationSchema.methods.close = function(closedBy) {
+  this.status = 'closed';
+  this.closedAt = new Date();
+  this.closedBy = closedBy;
+  this.lastActivityAt = new Date();
+};
+
+// Visitor facing view: the thread only, no staff ids or request context
+chatConversationSchema.methods.toVisitorJSON = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    messages: this.messages.map(message => ({
+      _id: message._id,
+      senderType: message.senderType,
+      senderName: message.senderName,
+      body: message.body,
+      createdAt: message.createdAt
+    }))
+  };
+};
+
+// Queue summary used by the agent console list
+chatConversationSchema.methods.toSummaryJSON = function() {
+  const lastMessage = this.messages[this.messages.length - 1];
+  return {
+    _id: this._id,
+    visitorName: this.visitorName,
+    visitorEmail: this.visitorEmail,
+    status: this.status,
+    assignedAgent: this.assignedAgent,
+    lastActivityAt: this.lastActivityAt,
+    createdAt: this.createdAt,
+    lastMessage: lastMessage ? {
+      senderType: lastMessage.senderType,
+      body: lastMessage.body,
+      createdAt: lastMessage.createdAt
+    } : null
+  };
+};
+
+const ChatConversation = mongoose.model('ChatConversation', chatConversationSchema);
+
+ChatConversation.CHAT_STATUSES = CHAT_STATUSES;
+
+module.exports = ChatConversation;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const defaultIntents = require('../config/chatbotIntents');
+
+const chatbotIntentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Intent name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_-]+$/, 'Intent name can only contain letters, numbers, dashes and underscores'],
+    maxlength: [50, 'Intent name cannot exceed 50 characters']
+  },
+  title: {
+    type: String,
+    required: [true, 'Intent title is required'],
+    trim: true,
+    maxlength: [100, 'Intent title cannot exceed 100 characters']
+  },
+  // Short words or phrases that point at this intent
+  keywords: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Keyword cannot exceed 100 characters']
+  }],
+  // Full example questions, matched more loosely than keywords
+  examplePhrases: [{
+    type: String,
+    trim: true,
+    maxlength: [300, 'Example phrase cannot exceed 300 characters']
+  }],
+  response: {
+    type: String,
+    required: [true, 'Response is required'],
+    maxlength: [5000, 'Response cannot exceed 5000 characters']
+  },
+  // The fallback intent answers anything that matches nothing else
+  isFallback: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: Date,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'chatbot_intents'
+});
+
+chatbotIntentSchema.index({ isActive: 1 });
+
+// Seed the starter intents the first time the chatbot is used
+chatbotIntentSchema.statics.ensureDefaults = async function() {
+  const count = await this.estimatedDocumentCount();
+  if (count > 0) {
+    return false;
+  }
+
+  await this.insertMany(defaultIntents, { ordered: false }).catch(error => {
+    // Another request may have seeded at the same time
+    if (error.code !== 11000) throw error;
+  });
+  return true;
+};
+
+module.exports = mongoose.model('ChatbotIntent', chatbotIntentSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const UNANSWERED_STATUSES = ['open', 'resolved', 'ignored'];
+
+// Questions the chatbot could not match, grouped by their normalized text
+const chatbotUnansweredSchema = new mongoose.Schema({
+  normalizedQuestion: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  question: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  count: {
+    type: Number,
+    default: 1
+  },
+  firstAskedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAskedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Closest intent the matcher found, below the answer threshold
+  bestGuess: {
+    intent: String,
+    score: Number
+  },
+  status: {
+    type: String,
+    enum: UNANSWERED_STATUSES,
+    default: 'open'
+  },
+  resolvedIntent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatbotIntent'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true,
+  collection: 'chatbot_unanswered'
+});
+
+chatbotUnansweredSchema.index({ status: 1, count: -1 });
+chatbotUnansweredSchema.index({ lastAskedAt: -1 });
+
+const normalizeQuestion = (question) => question
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Record an unanswered question, counting repeats of the same question together
+chatbotUnansweredSchema.statics.record = function(question, bestGuess) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { normalizedQuestion: normalizeQuestion(question) },
+    {
+      $inc: { count: 1 },
+      $set: { question: question.slice(0, 500), lastAskedAt: now, bestGuess },
+      $setOnInsert: { firstAskedAt: now, status: 'open' }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: false }
+  );
+};
+
+const ChatbotUnanswered = mongoose.model('ChatbotUnanswered', chatbotUnansweredSchema);
+
+ChatbotUnanswered.UNANSWERED_STATUSES = UNANSWERED_STATUSES;
+ChatbotUnanswered.normalizeQuestion = normalizeQuestion;
+
+module.exports = ChatbotUnanswered;
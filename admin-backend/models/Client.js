@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const CLIENT_STATUSES = ['active', 'inactive'];
+
+const clientSchema = new mongoose.Schema({
+  // Reference stored on files and DataStorageCompliance as clientId, e.g. ACME-001
+  code: {
+    type: String,
+    required: [true, 'Client code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9][A-Z0-9_-]{1,31}$/, 'Client code may only contain letters, numbers, dashes and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true,
+    maxlength: [200, 'Client name cannot exceed 200 characters']
+  },
+  contactName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact name cannot exceed 100 characters']
+  },
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  notes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: CLIENT_STATUSES,
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'clients'
+});
+
+clientSchema.index({ status: 1, name: 1 });
+clientSchema.index({ name: 'text', code: 'text' });
+
+const Client = mongoose.model('Client', clientSchema);
+
+Client.CLIENT_STATUSES = CLIENT_STATUSES;
+
+module.exports = Client;
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const CONTACT_STATUSES = ['new', 'contacted', 'qualified', 'closed'];
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: CONTACT_STATUSES
+  },
+  to: {
+    type: String,
+    enum: CONTACT_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const contactSubmissionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+
+  // Triage workflow
+  status: {
+    type: String,
+    enum: CONTACT_STATUSES,
+    default: 'new'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  }],
+  statusHistory: [statusChangeSchema],
+
+  // Request context
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+
+  // Notification email delivery, kept so failed SMTP sends can be spotted in the inbox
+  emailDelivery: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    error: String,
+    attemptedAt: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'contact_submissions'
+});
+
+// Indexes for inbox filtering
+contactSubmissionSchema.index({ status: 1, createdAt: -1 });
+contactSubmissionSchema.index({ assignedTo: 1, createdAt: -1 });
+contactSubmissionSchema.index({ tags: 1 });
+contactSubmissionSchema.index({ email: 1 });
+contactSubmissionSchema.index({
+  name: 'text',
+  email: 'text',
+  subject: 'text',
+  message: 'text'
+});
+
+// Move the submission to a new status and record who did it
+contactSubmissionSchema.methods.changeStatus = function(status, userId) {
+  if (status === this.status) {
+    return false;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: userId,
+    changedAt: new Date()
+  });
+  this.status = status;
+  return true;
+};
+
+// Count submissions per status for the inbox tabs
+contactSubmissionSchema.statics.getStatusCounts = async function() {
+  const results = await this.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = CONTACT_STATUSES.reduce((acc, status) => {
+    acc[status] = 0;
+    return acc;
+  }, {});
+  results.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  return counts;
+};
+
+const ContactSubmission = mongoose.model('ContactSubmission', contactSubmissionSchema);
+
+ContactSubmission.CONTACT_STATUSES = CONTACT_STATUSES;
+
+module.exports = ContactSubmission;
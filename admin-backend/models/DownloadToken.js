@@ -3,7 +3,10 @@ const mongoose = require('mongoose');
 const DownloadTokenSchema = new mongoose.Schema({
   token: { type: String, required: true, unique: true, index: true },
   fileId: { type: mongoose.Schema.Types.ObjectId, ref: 'File', required: true, index: true },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // External share links download without a user
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Share the token was issued through; revoking the share deletes its tokens
+  shareId: { type: mongoose.Schema.Types.ObjectId, ref: 'FileShare', default: null, index: true },
   createdAt: { type: Date, default: Date.now },
   expiresAt: { type: Date, required: true, index: true },
   usedAt: { type: Date, default: null }
@@ -9,25 +9,117 @@ const FileSchema = new mongoose.Schema({
   mimeType: { type: String, required: true },
   uploadDate: { type: Date, default: Date.now },
   uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  clientId: { type: String, default: null },
+  // Client.code of the client the file belongs to; also keys DataStorageCompliance
+  clientId: { type: String, default: null, index: true },
+  matterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Matter', default: null, index: true },
+  // Version history: every version of a logical document shares its first
+  // version's _id as documentId and keeps its own key and scan result
+  documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'File', default: null, index: true },
+  version: { type: Number, default: 1 },
+  isCurrentVersion: { type: Boolean, default: true, index: true },
+  versionComment: { type: String, maxlength: [500, 'Version comment cannot exceed 500 characters'], default: '' },
   scanResult: {
     isClean: { type: Boolean, default: true },
     assessment: { type: String, default: '' },
     threats: { type: [String], default: [] },
     warnings: { type: [String], default: [] },
-    fileHash: { type: String }
+    fileHash: {
+      md5: { type: String },
+      sha1: { type: String },
+      sha256: { type: String, index: true }
+    },
+    // Last verdict from each external AV engine; signatureVersion drives rescans
+    engines: [{
+      _id: false,
+      name: { type: String },
+      version: { type: String },
+      signatureVersion: { type: Number },
+      isInfected: { type: Boolean },
+      signature: { type: String },
+      error: { type: String },
+      scannedAt: { type: Date }
+    }],
+    scannedAt: { type: Date }
   },
   encryptionMetadata: {
-    fileKey: { type: String, required: true },
+    // Legacy plaintext key; new files only store the wrapped key
+    fileKey: { type: String },
+    wrappedKey: {
+      ciphertext: { type: String },
+      iv: { type: String },
+      tag: { type: String }
+    },
+    keyVersion: { type: Number, index: true },
+    rewrappedAt: { type: Date },
     encryptedAt: { type: Date, default: Date.now },
     userId: { type: String },
     clientId: { type: String }
   },
-  status: { type: String, enum: ['encrypted', 'rejected', 'deleted'], default: 'encrypted' }
+  quarantine: {
+    reason: { type: String },
+    detectedBy: { type: String },
+    signature: { type: String },
+    quarantinedAt: { type: Date },
+    releasedAt: { type: Date },
+    releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    releaseNote: { type: String }
+  },
+  status: { type: String, enum: ['encrypted', 'rejected', 'quarantined', 'deleted'], default: 'encrypted', index: true }
 }, {
   timestamps: true
 });
 
+// Version numbers are unique within a document; legacy files have no documentId
+FileSchema.index(
+  { documentId: 1, version: 1 },
+  { unique: true, partialFilterExpression: { documentId: { $type: 'objectId' } } }
+);
+
+// A new file starts its own document
+FileSchema.pre('save', function(next) {
+  if (this.isNew && !this.documentId) {
+    this.documentId = this._id;
+  }
+  next();
+});
+
+// Make one version the document's current version
+FileSchema.statics.setCurrentVersion = async function(documentId, fileId) {
+  await this.updateMany(
+    { documentId, _id: { $ne: fileId }, isCurrentVersion: { $ne: false } },
+    { $set: { isCurrentVersion: false } }
+  );
+  await this.updateOne({ _id: fileId }, { $set: { isCurrentVersion: true } });
+};
+
+// After the current version is deleted, the newest usable one takes over
+FileSchema.statics.promoteLatestVersion = async function(documentId) {
+  const latest = await this.findOne({ documentId, status: 'encrypted' })
+    .sort({ version: -1 })
+    .select('_id')
+    .lean();
+  if (latest) {
+    await this.setCurrentVersion(documentId, latest._id);
+  }
+  return latest;
+};
+
+// What changed from one version to the next, for the version history
+FileSchema.statics.versionChanges = function(previous, current) {
+  if (!previous) {
+    return null;
+  }
+  // Content is compared by SHA-256; null when either hash is missing
+  const previousHash = previous.scanResult?.fileHash?.sha256;
+  const currentHash = current.scanResult?.fileHash?.sha256;
+  return {
+    sizeDelta: current.fileSize - previous.fileSize,
+    contentChanged: previousHash && currentHash ? previousHash !== currentHash : null,
+    nameChanged: previous.originalName !== current.originalName,
+    typeChanged: previous.mimeType !== current.mimeType
+  };
+};
+
 module.exports = mongoose.model('File', FileSchema);
 
 
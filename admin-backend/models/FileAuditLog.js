@@ -2,8 +2,20 @@ const mongoose = require('mongoose');
 
 const FileAuditLogSchema = new mongoose.Schema({
   fileId: { type: mongoose.Schema.Types.ObjectId, ref: 'File', required: true, index: true },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
-  action: { type: String, enum: ['upload', 'download', 'delete'], required: true },
+  // Empty for downloads through external share links
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  action: {
+    type: String,
+    enum: [
+      'upload', 'upload_encrypted', 'download', 'download_encrypted', 'delete',
+      'share_created', 'share_revoked', 'share_otp_sent', 'share_access_denied', 'share_download',
+      'version_uploaded', 'version_restored'
+    ],
+    required: true
+  },
+  shareId: { type: mongoose.Schema.Types.ObjectId, ref: 'FileShare', default: null, index: true },
+  // Event specifics, e.g. share settings or the version restored
+  details: { type: mongoose.Schema.Types.Mixed },
   ipAddress: { type: String },
   userAgent: { type: String },
   createdAt: { type: Date, default: Date.now }
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const SHARE_TYPES = ['user', 'matter', 'external'];
+
+const OTP_TTL = 10 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+
+const hashSecret = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const fileShareSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: SHARE_TYPES,
+    required: true
+  },
+  sharedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Recipient: a user, every member of a matter, or an external email address
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  matter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Matter',
+    default: null
+  },
+  recipientEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // External links: only the hash of the link token is stored
+  tokenHash: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  maxDownloads: {
+    type: Number,
+    default: null
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  otp: {
+    codeHash: { type: String, select: false },
+    expiresAt: { type: Date },
+    attempts: { type: Number, default: 0 },
+    sentAt: { type: Date }
+  },
+  lastAccessedAt: Date
+}, {
+  timestamps: true,
+  collection: 'file_shares'
+});
+
+fileShareSchema.index({ fileId: 1, revokedAt: 1 });
+fileShareSchema.index({ user: 1, revokedAt: 1 });
+fileShareSchema.index({ matter: 1, revokedAt: 1 });
+
+fileShareSchema.statics.hashToken = hashSecret;
+
+// Filter for shares that are neither revoked nor expired
+fileShareSchema.statics.activeFilter = function(now = new Date()) {
+  return {
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  };
+};
+
+// New external link token; the caller shows it once and only its hash is kept
+fileShareSchema.methods.issueLinkToken = function() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  this.tokenHash = hashSecret(token);
+  return token;
+};
+
+fileShareSchema.methods.isActive = function(now = new Date()) {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= now) return false;
+  if (this.maxDownloads !== null && this.downloadCount >= this.maxDownloads) return false;
+  return true;
+};
+
+fileShareSchema.methods.setPassword = async function(password) {
+  this.passwordHash = password ? await bcrypt.hash(password, 12) : undefined;
+};
+
+fileShareSchema.methods.checkPassword = function(password) {
+  if (!this.passwordHash) return Promise.resolve(true);
+  return bcrypt.compare(String(password || ''), this.passwordHash);
+};
+
+// Generate a six digit code for the recipient; returns the plain code to email
+fileShareSchema.methods.generateOtp = function() {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  this.otp = {
+    codeHash: hashSecret(`${this._id}:${code}`),
+    expiresAt: new Date(Date.now() + OTP_TTL),
+    attempts: 0,
+    sentAt: new Date()
+  };
+  return code;
+};
+
+// A code is single use and stops working after too many wrong guesses
+fileShareSchema.methods.verifyOtp = function(code) {
+  if (!this.otp || !this.otp.codeHash || !this.otp.expiresAt || this.otp.expiresAt <= new Date()) {
+    return false;
+  }
+  if (this.otp.attempts >= OTP_MAX_ATTEMPTS) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.otp.codeHash, 'hex');
+  const actual = Buffer.from(hashSecret(`${this._id}:${String(code || '').trim()}`), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    this.otp.attempts += 1;
+    return false;
+  }
+
+  this.otp = { attempts: 0 };
+  return true;
+};
+
+const FileShare = mongoose.model('FileShare', fileShareSchema);
+
+FileShare.SHARE_TYPES = SHARE_TYPES;
+FileShare.OTP_TTL = OTP_TTL;
+
+module.exports = FileShare;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const HASH_ALGORITHMS = { 32: 'md5', 40: 'sha1', 64: 'sha256' };
+
+// Known-bad file hashes, checked on every upload and against stored files on import
+const hashBlocklistSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^([a-f0-9]{32}|[a-f0-9]{40}|[a-f0-9]{64})$/
+  },
+  algorithm: {
+    type: String,
+    enum: Object.values(HASH_ALGORITHMS),
+    required: true
+  },
+  name: {
+    type: String,
+    default: 'Blocklisted file',
+    maxlength: 200
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  source: {
+    type: String,
+    default: 'manual',
+    maxlength: 200
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'hash_blocklist'
+});
+
+hashBlocklistSchema.index({ createdAt: -1 });
+
+hashBlocklistSchema.statics.algorithmFor = function(hash) {
+  return HASH_ALGORITHMS[hash.length] || null;
+};
+
+/**
+ * Parse an import: one hash per line, either bare or in ClamAV .hdb/.hsb
+ * form ("hash:size:name", size may be "*"). Lines starting with # are comments.
+ */
+hashBlocklistSchema.statics.parseSignatures = function(text) {
+  const entries = [];
+  const errors = [];
+
+  String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [rawHash, rawSize, ...nameParts] = line.split(':');
+    const hash = rawHash.trim().toLowerCase();
+    const algorithm = /^[a-f0-9]+$/.test(hash) ? this.algorithmFor(hash) : null;
+    if (!algorithm) {
+      errors.push({ line: index + 1, message: 'Not an MD5, SHA-1 or SHA-256 hash' });
+      return;
+    }
+
+    const size = rawSize && rawSize.trim() !== '*' ? parseInt(rawSize, 10) : null;
+    if (rawSize && rawSize.trim() !== '*' && !Number.isInteger(size)) {
+      errors.push({ line: index + 1, message: 'Invalid file size' });
+      return;
+    }
+
+    entries.push({
+      hash,
+      algorithm,
+      fileSize: size,
+      name: nameParts.join(':').trim() || undefined
+    });
+  });
+
+  return { entries, errors };
+};
+
+/**
+ * Upsert parsed entries; returns how many were new
+ */
+hashBlocklistSchema.statics.importEntries = async function(entries, { source = 'import', addedBy = null } = {}) {
+  if (entries.length === 0) {
+    return { inserted: 0, updated: 0 };
+  }
+
+  const result = await this.bulkWrite(entries.map(entry => ({
+    updateOne: {
+      filter: { hash: entry.hash },
+      update: {
+        $set: {
+          algorithm: entry.algorithm,
+          fileSize: entry.fileSize ?? null,
+          source,
+          ...(entry.name ? { name: entry.name } : {})
+        },
+        $setOnInsert: { addedBy }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return { inserted: result.upsertedCount, updated: result.modifiedCount };
+};
+
+/**
+ * First entry matching any of a file's hashes ({ md5, sha1, sha256 })
+ */
+hashBlocklistSchema.statics.findMatch = function(fileHash) {
+  const hashes = [fileHash?.md5, fileHash?.sha1, fileHash?.sha256].filter(Boolean);
+  if (hashes.length === 0) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ hash: { $in: hashes.map(hash => hash.toLowerCase()) } }).lean();
+};
+
+module.exports = mongoose.model('HashBlocklist', hashBlocklistSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const MATTER_STATUSES = ['open', 'on_hold', 'closed'];
+
+const matterSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client is required'],
+    index: true
+  },
+  // Client code plus a per-client sequence, e.g. ACME-001-0003
+  matterNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Matter title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: MATTER_STATUSES,
+    default: 'open'
+  },
+  responsibleStaff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Users (client contacts and staff) who can see the matter's files
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  collection: 'matters'
+});
+
+matterSchema.index({ members: 1 });
+matterSchema.index({ client: 1, status: 1, openedAt: -1 });
+matterSchema.index({ title: 'text', matterNumber: 'text' });
+
+// Open a matter under a client, retrying when two matters race for the same number
+matterSchema.statics.openMatter = async function(client, data, { attempts = 3 } = {}) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const sequence = await this.countDocuments({ client: client._id }) + attempt;
+    try {
+      return await this.create({
+        ...data,
+        client: client._id,
+        matterNumber: `${client.code}-${String(sequence).padStart(4, '0')}`
+      });
+    } catch (error) {
+      const duplicateNumber = error.code === 11000 && error.keyPattern && error.keyPattern.matterNumber;
+      if (!duplicateNumber || attempt === attempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Ids of the matters a user is a member of, optionally limited to one client
+matterSchema.statics.findMemberMatterIds = async function(userId, clientId = null) {
+  const query = { members: userId };
+  if (clientId) query.client = clientId;
+  const matters = await this.find(query).select('_id').lean();
+  return matters.map(matter => matter._id);
+};
+
+matterSchema.methods.isMember = function(userId) {
+  return this.members.some(member => (member._id || member).toString() === userId.toString());
+};
+
+// Keep closedAt in step with the status
+matterSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    this.closedAt = this.status === 'closed' ? new Date() : undefined;
+  }
+  next();
+});
+
+const Matter = mongoose.model('Matter', matterSchema);
+
+Matter.MATTER_STATUSES = MATTER_STATUSES;
+
+module.exports = Matter;
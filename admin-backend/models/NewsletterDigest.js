@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One digest email run; each run covers the posts published since the previous one
+const newsletterDigestSchema = new mongoose.Schema({
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BlogPost'
+  }],
+  status: {
+    type: String,
+    enum: ['sending', 'sent'],
+    default: 'sending'
+  },
+  recipients: {
+    type: Number,
+    default: 0
+  },
+  sent: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'newsletter_digests'
+});
+
+// A period is only claimed once, even when several processes run the digest
+newsletterDigestSchema.index({ periodStart: 1 }, { unique: true });
+newsletterDigestSchema.index({ periodEnd: -1 });
+
+module.exports = mongoose.model('NewsletterDigest', newsletterDigestSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// pending: waiting for the subscriber to confirm their email (double opt-in)
+const SUBSCRIBER_STATUSES = ['pending', 'subscribed', 'unsubscribed'];
+
+// How long a confirmation link stays valid; unconfirmed sign-ups are then removed
+const CONFIRM_TTL_MS = 48 * 60 * 60 * 1000;
+
+const newToken = () => crypto.randomBytes(32).toString('base64url');
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A newsletter subscriber and the record of their consent
+const newsletterSubscriberSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: SUBSCRIBER_STATUSES,
+    default: 'pending'
+  },
+  // Page the sign-up form was on
+  source: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  confirmTokenHash: {
+    type: String,
+    select: false
+  },
+  // Pending sign-ups are removed by a TTL index once this passes; former
+  // subscribers signing up again stay unsubscribed until they confirm
+  confirmExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Stays the same for the life of the subscription so every email can carry it
+  unsubscribeToken: {
+    type: String,
+    default: newToken,
+    select: false
+  },
+  // Proof of opt-in: when and from where the address was submitted and confirmed
+  consent: {
+    requestedAt: Date,
+    requestIp: String,
+    requestUserAgent: String,
+    confirmedAt: Date,
+    confirmIp: String
+  },
+  unsubscribedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'newsletter_subscribers'
+});
+
+newsletterSubscriberSchema.index({ status: 1, createdAt: -1 });
+newsletterSubscriberSchema.index({ unsubscribeToken: 1 }, { unique: true });
+newsletterSubscriberSchema.index({ confirmExpiresAt: 1 }, { expireAfterSeconds: 0, partialFilterExpression: { status: 'pending' } });
+
+/**
+ * Start (or restart) the double opt-in for an address and return the
+ * confirmation token; only its hash is persisted. Addresses that are
+ * already subscribed get no token, so the caller can answer the same way
+ * without sending anything. An unsubscribed record keeps its status until
+ * the new sign-up is confirmed, so an unconfirmed request can't let the TTL
+ * index delete the record of the unsubscribe.
+ */
+newsletterSubscriberSchema.statics.subscribe = async function(email, { source, ipAddress, userAgent } = {}, now = new Date()) {
+  const address = String(email).trim().toLowerCase();
+  let subscriber = await this.findOne({ email: address });
+  if (subscriber && subscriber.status === 'subscribed') {
+    return { subscriber, token: null };
+  }
+
+  const token = newToken();
+  subscriber = subscriber || new this({ email: address });
+  subscriber.set({
+    source,
+    confirmTokenHash: hashToken(token),
+    confirmExpiresAt: new Date(now.getTime() + CONFIRM_TTL_MS),
+    consent: { requestedAt: now, requestIp: ipAddress, requestUserAgent: userAgent }
+  });
+  if (subscriber.status !== 'unsubscribed') {
+    subscriber.status = 'pending';
+  }
+  try {
+    await subscriber.save();
+  } catch (error) {
+    // The same address signed up twice at once; the second attempt finds the first
+    if (error.code === 11000 && subscriber.isNew) {
+      return this.subscribe(address, { source, ipAddress, userAgent }, now);
+    }
+    throw error;
+  }
+  return { subscriber, token };
+};
+
+// Confirm a sign-up from the emailed link. Null for unknown or expired tokens.
+newsletterSubscriberSchema.statics.confirm = async function(token, { ipAddress } = {}, now = new Date()) {
+  if (!token) {
+    return null;
+  }
+  return this.findOneAndUpdate(
+    { confirmTokenHash: hashToken(token), status: { $in: ['pending', 'unsubscribed'] }, confirmExpiresAt: { $gt: now } },
+    {
+      $set: {
+        status: 'subscribed',
+        confirmExpiresAt: null,
+        unsubscribedAt: null,
+        'consent.confirmedAt': now,
+        'consent.confirmIp': ipAddress
+      },
+      $unset: { confirmTokenHash: 1 }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Unsubscribe with the token from an email. Only the address stays on
+ * file, as unsubscribed, so digests skip it.
+ * Repeating it is harmless; null for unknown tokens.
+ */
+newsletterSubscriberSchema.statics.unsubscribe = async function(token, now = new Date()) {
+  if (!token) {
+    return null;
+  }
+  const subscriber = await this.findOneAndUpdate(
+    { unsubscribeToken: String(token), status: { $ne: 'unsubscribed' } },
+    {
+      $set: { status: 'unsubscribed', unsubscribedAt: now, confirmExpiresAt: null },
+      $unset: { confirmTokenHash: 1, consent: 1, source: 1 }
+    },
+    { new: true }
+  );
+  return subscriber || this.findOne({ unsubscribeToken: String(token) });
+};
+
+const NewsletterSubscriber = mongoose.model('NewsletterSubscriber', newsletterSubscriberSchema);
+
+NewsletterSubscriber.STATUSES = SUBSCRIBER_STATUSES;
+
+module.exports = NewsletterSubscriber;
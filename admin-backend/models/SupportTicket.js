@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const TICKET_STATUSES = ['open', 'in_progress', 'waiting_on_customer', 'resolved', 'closed'];
+const TICKET_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TICKET_CATEGORIES = ['general', 'technical', 'billing', 'service', 'complaint'];
+
+const ticketMessageSchema = new mongoose.Schema({
+  authorType: {
+    type: String,
+    enum: ['customer', 'staff', 'system'],
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  authorName: {
+    type: String,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  // Internal notes are only visible to staff
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ticketChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['status', 'priority', 'category', 'assignedTo'],
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const supportTicketSchema = new mongoose.Schema({
+  ticketNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  category: {
+    type: String,
+    enum: TICKET_CATEGORIES,
+    default: 'general'
+  },
+  priority: {
+    type: String,
+    enum: TICKET_PRIORITIES,
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: TICKET_STATUSES,
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  messages: [ticketMessageSchema],
+  history: [ticketChangeSchema],
+
+  // Where the ticket came from (support widget, chat fallback, ...)
+  source: {
+    type: String,
+    enum: ['widget', 'chat', 'admin'],
+    default: 'widget'
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: Date,
+  closedAt: Date,
+
+  // Request context
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'support_tickets'
+});
+
+// Indexes for the tickets queue
+supportTicketSchema.index({ status: 1, priority: 1, lastActivityAt: -1 });
+supportTicketSchema.index({ assignedTo: 1, lastActivityAt: -1 });
+supportTicketSchema.index({ email: 1 });
+supportTicketSchema.index({
+  ticketNumber: 'text',
+  name: 'text',
+  email: 'text',
+  subject: 'text'
+});
+
+// Human readable reference, e.g. TKT-241019-7F3A9C
+supportTicketSchema.statics.generateTicketNumber = function() {
+  const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `TKT-${date}-${suffix}`;
+};
+
+// Open a ticket with its first customer message, retrying on a ticket number collision
+supportTicketSchema.statics.openTicket = async function(data, { message, attempts = 3 } = {}) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await this.create({
+        ...data,
+        ticketNumber: this.generateTicketNumber(),
+        messages: [{
+          authorType: 'customer',
+          authorName: data.name,
+          body: message
+        }]
+      });
+    } catch (error) {
+      const duplicateNumber = error.code === 11000 && error.keyPattern && error.keyPattern.ticketNumber;
+      if (!duplicateNumber || attempt === attempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Append a message to the thread and bump the activity timestamp
+supportTicketSchema.methods.addMessage = function({ authorType, author, authorName, body, internal = false }) {
+  this.messages.push({ authorType, author, authorName, body, internal });
+  this.lastActivityAt = new Date();
+  return this.messages[this.messages.length - 1];
+};
+
+// Change a tracked field and record who did it
+supportTicketSchema.methods.changeField = function(field, value, userId) {
+  const current = this[field] ? this[field].toString() : null;
+  const next = value ? value.toString() : null;
+  if (current === next) {
+    return false;
+  }
+
+  this.history.push({
+    field,
+    from: current,
+    to: next,
+    changedBy: userId,
+    changedAt: new Date()
+  });
+  this[field] = value;
+
+  if (field === 'status') {
+    if (value === 'resolved') this.resolvedAt = new Date();
+    if (value === 'closed') this.closedAt = new Date();
+  }
+  this.lastActivityAt = new Date();
+  return true;
+};
+
+// Customer facing view: no internal notes, staff identities or request context
+supportTicketSchema.methods.toPublicJSON = function() {
+  return {
+    ticketNumber: this.ticketNumber,
+    subject: this.subject,
+    category: this.category,
+    priority: this.priority,
+    status: this.status,
+    createdAt: this.createdAt,
+    lastActivityAt: this.lastActivityAt,
+    messages: this.messages
+      .filter(message => !message.internal)
+      .map(message => ({
+        authorType: message.authorType,
+        authorName: message.authorType === 'customer' ? message.authorName : 'Lexocrates Support',
+        body: message.body,
+        createdAt: message.createdAt
+      }))
+  };
+};
+
+// Count tickets per status for the queue tabs
+supportTicketSchema.statics.getStatusCounts = async function() {
+  const results = await this.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const counts = TICKET_STATUSES.reduce((acc, status) => {
+    acc[status] = 0;
+    return acc;
+  }, {});
+  results.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  return counts;
+};
+
+const SupportTicket = mongoose.model('SupportTicket', supportTicketSchema);
+
+SupportTicket.TICKET_STATUSES = TICKET_STATUSES;
+SupportTicket.TICKET_PRIORITIES = TICKET_PRIORITIES;
+SupportTicket.TICKET_CATEGORIES = TICKET_CATEGORIES;
+
+module.exports = SupportTicket;
@@ -23,7 +23,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['client', 'staff', 'admin'],
+    enum: ['client', 'contributor', 'staff', 'admin'],
     default: 'client'
   },
   permissions: [{
@@ -32,7 +32,11 @@ const userSchema = new mongoose.Schema({
       'read_blog', 'write_blog', 'publish_blog', 'delete_blog',
       'manage_users', 'manage_settings', 'view_analytics',
       'manage_content', 'manage_billing', 'view_reports',
-      'manage_files', 'view_file_stats', 'view_encryption_report', 'download_files'
+      'manage_files', 'view_file_stats', 'view_encryption_report', 'rotate_encryption_keys',
+      'manage_malware_protection', 'view_audit_logs', 'download_files',
+      'manage_leads', 'manage_tickets', 'handle_chat',
+      'manage_chatbot', 'manage_clients', 'moderate_comments',
+      'manage_newsletter'
     ]
   }],
   isActive: {
@@ -3,8 +3,7 @@ const router = express.Router();
 
 // Import middleware
 const { protect, authorize } = require('../middleware/auth');
-const { RateLimiter } = require('../middleware/rateLimiter');
-const { InputSanitizer } = require('../middleware/inputSanitizer');
+const { RateLimiter, InputSanitizer } = require('../middleware/security');
 
 // Import controllers
 const {
@@ -14,12 +13,18 @@ const {
   getComplianceEvents,
   getUserActivity,
   exportAuditLogs,
-  cleanupAuditLogs
+  getAuditExports,
+  getAuditExport,
+  downloadAuditExport,
+  cleanupAuditLogs,
+  verifyAuditTrail,
+  getAuditCheckpoints,
+  getForwarderHealth
 } = require('../controllers/auditController');
 
 // All routes require authentication and admin privileges
 router.use(protect);
-router.use(authorize(['manage_users', 'view_audit_logs']));
+router.use(authorize('manage_users', 'view_audit_logs'));
 
 // Get audit logs with filtering
 router.get('/logs',
@@ -53,26 +58,65 @@ router.get('/compliance',
 router.get('/user/:userId',
   RateLimiter.general(),
   InputSanitizer.middleware(),
-  authorize(['manage_users']), // Additional permission required
+  authorize('manage_users'), // Additional permission required
   getUserActivity
 );
 
-// Export audit logs (requires additional authorization)
+// Start a background export of audit logs (requires additional authorization)
 router.post('/export',
   RateLimiter.general(),
   InputSanitizer.middleware(),
-  authorize(['manage_users']), // Additional permission required
+  authorize('manage_users'), // Additional permission required
   exportAuditLogs
 );
 
+// The current user's exports and their status
+router.get('/exports',
+  RateLimiter.general(),
+  authorize('manage_users'),
+  getAuditExports
+);
+
+router.get('/exports/:id',
+  RateLimiter.general(),
+  authorize('manage_users'),
+  getAuditExport
+);
+
+// Download an export's data file, manifest or detached signature
+router.get('/exports/:id/:part(data|manifest|signature)',
+  RateLimiter.general(),
+  authorize('manage_users'),
+  downloadAuditExport
+);
+
 // Clean up expired audit logs (requires additional authorization)
 router.post('/cleanup',
   RateLimiter.general(),
   InputSanitizer.middleware(),
-  authorize(['manage_settings']), // Additional permission required
+  authorize('manage_settings'), // Additional permission required
   cleanupAuditLogs
 );
 
+// Verify the hash chain, checkpoints and tombstones
+router.get('/verify',
+  RateLimiter.general(),
+  verifyAuditTrail
+);
+
+// Signed daily checkpoints with the public key that verifies them
+router.get('/checkpoints',
+  RateLimiter.general(),
+  InputSanitizer.middleware(),
+  getAuditCheckpoints
+);
+
+// SIEM forwarder health
+router.get('/forwarders',
+  RateLimiter.general(),
+  getForwarderHealth
+);
+
 module.exports = router;
 
 
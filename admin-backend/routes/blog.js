@@ -6,11 +6,24 @@ const {
   getBlogPost,
   createBlogPost,
   updateBlogPost,
+  compareWithLive,
+  changeBlogPostStatus,
+  getBlogWorkflow,
+  getBlogRevisions,
+  getBlogRevision,
+  diffBlogRevision,
+  restoreBlogRevision,
   deleteBlogPost,
   analyzeSEO,
+  getBlogCalendar,
   getBlogStats,
   bulkUpdatePosts
 } = require('../controllers/blogController');
+const {
+  getReviewComments,
+  addReviewComment,
+  updateReviewComment
+} = require('../controllers/blogReviewController');
 const { 
   RateLimiter, 
   ValidationRules, 
@@ -22,10 +35,15 @@ const router = express.Router();
 // All routes are protected
 router.use(protect);
 
+// Writing needs write_blog; reviewers (publish_blog) may edit too. Which
+// status changes each can make is checked in utils/blogWorkflow.js
+const canWrite = authorize('write_blog', 'publish_blog');
+
 // Blog post routes with enhanced security
 router.route('/')
   .get(getBlogPosts)
   .post(
+    canWrite,
     RateLimiter.fileUpload(),
     upload.array('images', 10), 
     InputSanitizer.middleware(),
@@ -34,9 +52,24 @@ router.route('/')
     createBlogPost
   );
 
+// Editorial calendar of scheduled and published posts
+router.get('/calendar', getBlogCalendar);
+
+// Workflow statuses and the changes open to the current user
+router.get('/workflow', getBlogWorkflow);
+
+// Admin only routes (registered before /:id so they aren't taken for post ids)
+router.get('/stats', authorize('admin'), getBlogStats);
+router.put('/bulk', 
+  authorize('admin'),
+  InputSanitizer.middleware(),
+  bulkUpdatePosts
+);
+
 router.route('/:id')
   .get(getBlogPost)
   .put(
+    canWrite,
     RateLimiter.fileUpload(),
     upload.array('images', 10), 
     InputSanitizer.middleware(),
@@ -44,20 +77,36 @@ router.route('/:id')
     ValidationRules.handleValidationErrors,
     updateBlogPost
   )
-  .delete(deleteBlogPost);
+  .delete(canWrite, deleteBlogPost);
 
-// SEO analysis route
-router.post('/analyze-seo', 
+// Compare an update with the live post before saving it
+router.post('/:id/compare',
+  canWrite,
   InputSanitizer.middleware(),
-  analyzeSEO
+  compareWithLive
 );
 
-// Admin only routes
-router.get('/stats', authorize('admin'), getBlogStats);
-router.put('/bulk', 
-  authorize('admin'),
+// Revision history, diffs and rollback
+router.get('/:id/revisions', getBlogRevisions);
+router.get('/:id/revisions/:revision', getBlogRevision);
+router.get('/:id/revisions/:revision/diff', diffBlogRevision);
+router.post('/:id/revisions/:revision/restore', canWrite, restoreBlogRevision);
+
+// Editorial review: status changes and inline comments
+router.post('/:id/status',
+  canWrite,
   InputSanitizer.middleware(),
-  bulkUpdatePosts
+  changeBlogPostStatus
+);
+router.route('/:id/comments')
+  .get(getReviewComments)
+  .post(canWrite, InputSanitizer.middleware(), addReviewComment);
+router.patch('/:id/comments/:commentId', canWrite, updateReviewComment);
+
+// SEO analysis route
+router.post('/analyze-seo', 
+  InputSanitizer.middleware(),
+  analyzeSEO
 );
 
 module.exports = router;
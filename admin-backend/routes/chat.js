@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAvailability,
+  startConversation,
+  visitorStream,
+  postVisitorMessage,
+  closeVisitorConversation,
+  convertToTicket,
+  agentStream,
+  updatePresence,
+  getAgents,
+  getConversations,
+  getConversation,
+  claimConversation,
+  transferConversation,
+  postAgentMessage,
+  closeConversation
+} = require('../controllers/chatController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  RateLimiter,
+  ValidationRules,
+  InputSanitizer
+} = require('../middleware/security');
+
+// Visitor side - the support widget, authenticated by the conversation token
+router.get('/availability', getAvailability);
+
+router.post('/visitor/conversations',
+  RateLimiter.chatStart(),
+  InputSanitizer.middleware(),
+  ValidationRules.chatStart(),
+  ValidationRules.handleValidationErrors,
+  startConversation
+);
+
+router.get('/visitor/conversations/:id/stream', visitorStream);
+
+router.post('/visitor/conversations/:id/messages',
+  RateLimiter.chatMessage(),
+  InputSanitizer.middleware(),
+  postVisitorMessage
+);
+
+router.post('/visitor/conversations/:id/close', closeVisitorConversation);
+
+router.post('/visitor/conversations/:id/ticket',
+  RateLimiter.chatStart(),
+  convertToTicket
+);
+
+// Agent console - staff with live chat permission
+router.get('/agents/stream',
+  protect,
+  authorize('handle_chat'),
+  agentStream
+);
+
+router.put('/agents/presence',
+  protect,
+  authorize('handle_chat'),
+  updatePresence
+);
+
+router.get('/agents',
+  protect,
+  authorize('handle_chat'),
+  getAgents
+);
+
+router.get('/conversations',
+  protect,
+  authorize('handle_chat'),
+  getConversations
+);
+
+router.get('/conversations/:id',
+  protect,
+  authorize('handle_chat'),
+  getConversation
+);
+
+router.post('/conversations/:id/claim',
+  protect,
+  authorize('handle_chat'),
+  claimConversation
+);
+
+router.post('/conversations/:id/transfer',
+  protect,
+  authorize('handle_chat'),
+  transferConversation
+);
+
+router.post('/conversations/:id/messages',
+  protect,
+  authorize('handle_chat'),
+  InputSanitizer.middleware(),
+  postAgentMessage
+);
+
+router.post('/conversations/:id/close',
+  protect,
+  authorize('handle_chat'),
+  closeConversation
+);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const {
+  askChatbot,
+  testQuestion,
+  getIntents,
+  createIntent,
+  updateIntent,
+  deleteIntent,
+  getUnanswered,
+  updateUnanswered
+} = require('../controllers/chatbotController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  RateLimiter,
+  InputSanitizer
+} = require('../middleware/security');
+
+// Public - questions from the support widget
+router.post('/ask',
+  RateLimiter.chatMessage(),
+  InputSanitizer.middleware(),
+  askChatbot
+);
+
+// Knowledge base management - staff with chatbot permission
+router.post('/test',
+  protect,
+  authorize('manage_chatbot'),
+  testQuestion
+);
+
+router.get('/intents',
+  protect,
+  authorize('manage_chatbot'),
+  getIntents
+);
+
+router.post('/intents',
+  protect,
+  authorize('manage_chatbot'),
+  InputSanitizer.middleware(),
+  createIntent
+);
+
+router.put('/intents/:id',
+  protect,
+  authorize('manage_chatbot'),
+  InputSanitizer.middleware(),
+  updateIntent
+);
+
+router.delete('/intents/:id',
+  protect,
+  authorize('manage_chatbot'),
+  deleteIntent
+);
+
+router.get('/unanswered',
+  protect,
+  authorize('manage_chatbot'),
+  getUnanswered
+);
+
+router.put('/unanswered/:id',
+  protect,
+  authorize('manage_chatbot'),
+  updateUnanswered
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getClients,
+  createClient,
+  getClient,
+  updateClient,
+  deleteClient
+} = require('../controllers/clientController');
+const { protect, authorize } = require('../middleware/auth');
+const { InputSanitizer } = require('../middleware/security');
+
+// Client records - staff who manage clients and matters
+router.use(protect, authorize('manage_clients'));
+
+router.get('/', getClients);
+
+router.post('/',
+  InputSanitizer.middleware(),
+  createClient
+);
+
+router.get('/:id', getClient);
+
+router.put('/:id',
+  InputSanitizer.middleware(),
+  updateClient
+);
+
+router.delete('/:id', deleteClient);
+
+module.exports = router;
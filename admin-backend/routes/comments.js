@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPostComments,
+  submitComment,
+  verifyComment,
+  getComments,
+  getCommentStats,
+  moderateComment,
+  deleteComment
+} = require('../controllers/blogCommentController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  RateLimiter,
+  ValidationRules,
+  CAPTCHA,
+  InputSanitizer
+} = require('../middleware/security');
+
+// Approved comments on a published post
+router.get('/posts/:slug', getPostComments);
+
+// Comment from the public blog; confirmed by email, then moderated
+router.post('/posts/:slug',
+  RateLimiter.blogComment(),
+  InputSanitizer.middleware(),
+  ValidationRules.blogComment(),
+  ValidationRules.handleValidationErrors,
+  CAPTCHA.middleware(),
+  submitComment
+);
+
+// Email confirmation link, sent back by the post page
+router.post('/verify', verifyComment);
+
+// Moderation queue - staff with comment moderation permission
+router.get('/',
+  protect,
+  authorize('moderate_comments'),
+  getComments
+);
+
+router.get('/stats',
+  protect,
+  authorize('moderate_comments'),
+  getCommentStats
+);
+
+router.put('/:id/status',
+  protect,
+  authorize('moderate_comments'),
+  moderateComment
+);
+
+router.delete('/:id',
+  protect,
+  authorize('moderate_comments'),
+  deleteComment
+);
+
+module.exports = router;
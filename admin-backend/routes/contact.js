@@ -1,6 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { submitContactForm, getCaptchaKey } = require('../controllers/contactController');
+const {
+  submitContactForm,
+  getCaptchaKey,
+  getContactSubmissions,
+  getContactStats,
+  getContactSubmission,
+  updateSubmissionStatus,
+  assignSubmission,
+  updateSubmissionTags,
+  getAssignees
+} = require('../controllers/contactController');
+const { protect, authorize } = require('../middleware/auth');
 const { 
   CSRFProtection, 
   RateLimiter, 
@@ -34,4 +45,51 @@ router.post('/submit',
   submitContactForm
 );
 
+// Lead inbox - staff with lead management permission
+router.get('/submissions',
+  protect,
+  authorize('manage_leads'),
+  RateLimiter.general(),
+  getContactSubmissions
+);
+
+router.get('/submissions/stats',
+  protect,
+  authorize('manage_leads'),
+  getContactStats
+);
+
+router.get('/assignees',
+  protect,
+  authorize('manage_leads'),
+  getAssignees
+);
+
+router.get('/submissions/:id',
+  protect,
+  authorize('manage_leads'),
+  getContactSubmission
+);
+
+router.put('/submissions/:id/status',
+  protect,
+  authorize('manage_leads'),
+  InputSanitizer.middleware(),
+  updateSubmissionStatus
+);
+
+router.put('/submissions/:id/assign',
+  protect,
+  authorize('manage_leads'),
+  InputSanitizer.middleware(),
+  assignSubmission
+);
+
+router.put('/submissions/:id/tags',
+  protect,
+  authorize('manage_leads'),
+  InputSanitizer.middleware(),
+  updateSubmissionTags
+);
+
 module.exports = router;
@@ -12,11 +12,31 @@ const {
   scanFile, 
   getFileStats, 
   getEncryptionReport, 
+  startKeyRotation,
+  getKeyRotationStatus,
+  getScanEngineStatus,
+  getHashBlocklist,
+  importHashBlocklist,
+  deleteHashBlocklistEntry,
+  startMalwareRescan,
+  getMalwareRescanStatus,
+  getQuarantinedFiles,
+  releaseQuarantinedFile,
   cleanupExpiredFiles 
 } = require('../controllers/fileController');
+const { getFileShares, createFileShare, revokeFileShare } = require('../controllers/shareController');
+const { getFileVersions, uploadFileVersion, restoreFileVersion } = require('../controllers/fileVersionController');
+const {
+  requireTusVersion,
+  createUpload,
+  getUploadOffset,
+  patchUpload,
+  terminateUpload,
+  getUploadStatus
+} = require('../controllers/resumableUploadController');
 const { RateLimiter, InputSanitizer } = require('../middleware/security');
 const secureFileHandler = require('../middleware/secureFileHandler');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 
 // Apply authentication to all routes
 router.use(protect);
@@ -37,6 +57,33 @@ router.post('/upload-encrypted',
   uploadEncryptedFiles
 );
 
+// Resumable uploads (tus 1.0.0); files are scanned and encrypted once the last chunk arrives
+router.post('/tus',
+  RateLimiter.fileUpload(),
+  requireTusVersion,
+  createUpload
+);
+
+router.head('/tus/:uploadId',
+  requireTusVersion,
+  getUploadOffset
+);
+
+router.patch('/tus/:uploadId',
+  requireTusVersion,
+  patchUpload
+);
+
+router.delete('/tus/:uploadId',
+  requireTusVersion,
+  terminateUpload
+);
+
+router.get('/tus/:uploadId',
+  RateLimiter.uploadStatus(),
+  getUploadStatus
+);
+
 // File scan route
 router.post('/scan',
   RateLimiter.fileUpload(),
@@ -57,6 +104,106 @@ router.get('/download-encrypted/:fileId',
   downloadEncryptedFile
 );
 
+// Key rotation routes (registered before /:fileId so they are not shadowed)
+router.get('/encryption/rotation',
+  RateLimiter.general(),
+  authorize('rotate_encryption_keys', 'view_encryption_report'),
+  getKeyRotationStatus
+);
+
+router.post('/encryption/rotate',
+  RateLimiter.general(),
+  authorize('rotate_encryption_keys'),
+  startKeyRotation
+);
+
+// Malware protection routes: AV engines, hash blocklist, rescans and quarantine
+router.get('/malware/engines',
+  RateLimiter.general(),
+  authorize('manage_malware_protection'),
+  getScanEngineStatus
+);
+
+router.get('/malware/blocklist',
+  RateLimiter.general(),
+  authorize('manage_malware_protection'),
+  getHashBlocklist
+);
+
+router.post('/malware/blocklist',
+  RateLimiter.general(),
+  authorize('manage_malware_protection'),
+  importHashBlocklist
+);
+
+router.delete('/malware/blocklist/:entryId',
+  RateLimiter.general(),
+  authorize('manage_malware_protection'),
+  deleteHashBlocklistEntry
+);
+
+router.get('/malware/rescan',
+  RateLimiter.general(),
+  authorize('manage_malware_protection'),
+  getMalwareRescanStatus
+);
+
+router.post('/malware/rescan',
+  RateLimiter.general(),
+  authorize('manage_malware_protection'),
+  startMalwareRescan
+);
+
+router.get('/malware/quarantine',
+  RateLimiter.general(),
+  authorize('manage_malware_protection'),
+  getQuarantinedFiles
+);
+
+router.post('/malware/quarantine/:fileId/release',
+  RateLimiter.general(),
+  authorize('manage_malware_protection'),
+  InputSanitizer.middleware(),
+  releaseQuarantinedFile
+);
+
+// Version history routes
+router.get('/:fileId/versions',
+  RateLimiter.general(),
+  getFileVersions
+);
+
+router.post('/:fileId/versions',
+  RateLimiter.fileUpload(),
+  InputSanitizer.middleware(),
+  secureFileHandler.singleFileUploadMiddleware(
+    req => secureFileHandler.resolveVersionScope(req.params.fileId, req.user, req.body)
+  ),
+  uploadFileVersion
+);
+
+router.post('/:fileId/versions/:versionId/restore',
+  RateLimiter.general(),
+  restoreFileVersion
+);
+
+// File sharing routes
+router.get('/:fileId/shares',
+  RateLimiter.general(),
+  getFileShares
+);
+
+router.post('/:fileId/shares',
+  RateLimiter.general(),
+  InputSanitizer.middleware(),
+  createFileShare
+);
+
+router.delete('/:fileId/shares/:shareId',
+  RateLimiter.general(),
+  revokeFileShare
+);
+
 // File information routes
 router.get('/:fileId',
   RateLimiter.general(),
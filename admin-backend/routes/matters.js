@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMatters,
+  getAccessibleMatters,
+  getMemberCandidates,
+  createMatter,
+  getMatter,
+  updateMatter,
+  deleteMatter,
+  addMatterMember,
+  removeMatterMember
+} = require('../controllers/clientController');
+const { protect, authorize } = require('../middleware/auth');
+const { InputSanitizer } = require('../middleware/security');
+
+// Matters any signed-in user can browse files for (their own, or all for client managers)
+router.get('/accessible', protect, getAccessibleMatters);
+
+// Matter management - staff who manage clients and matters
+router.get('/',
+  protect,
+  authorize('manage_clients'),
+  getMatters
+);
+
+router.get('/member-candidates',
+  protect,
+  authorize('manage_clients'),
+  getMemberCandidates
+);
+
+router.post('/',
+  protect,
+  authorize('manage_clients'),
+  InputSanitizer.middleware(),
+  createMatter
+);
+
+router.get('/:id',
+  protect,
+  authorize('manage_clients'),
+  getMatter
+);
+
+router.put('/:id',
+  protect,
+  authorize('manage_clients'),
+  InputSanitizer.middleware(),
+  updateMatter
+);
+
+router.delete('/:id',
+  protect,
+  authorize('manage_clients'),
+  deleteMatter
+);
+
+router.post('/:id/members',
+  protect,
+  authorize('manage_clients'),
+  addMatterMember
+);
+
+router.delete('/:id/members/:userId',
+  protect,
+  authorize('manage_clients'),
+  removeMatterMember
+);
+
+module.exports = router;
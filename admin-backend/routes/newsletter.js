@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const {
+  subscribe,
+  confirmSubscription,
+  unsubscribe,
+  getSubscribers,
+  getSubscriberStats,
+  exportSubscribers,
+  deleteSubscriber
+} = require('../controllers/newsletterController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  RateLimiter,
+  ValidationRules,
+  InputSanitizer
+} = require('../middleware/security');
+
+// Sign-up from the website footer; double opt-in by email
+router.post('/subscribe',
+  RateLimiter.newsletter(),
+  InputSanitizer.middleware(),
+  ValidationRules.newsletterSubscribe(),
+  ValidationRules.handleValidationErrors,
+  subscribe
+);
+
+// Links in newsletter emails, sent back by newsletter.html
+router.post('/confirm', confirmSubscription);
+router.post('/unsubscribe', unsubscribe);
+
+// Subscriber list - admins with newsletter permission
+router.get('/subscribers',
+  protect,
+  authorize('manage_newsletter'),
+  getSubscribers
+);
+
+router.get('/subscribers/stats',
+  protect,
+  authorize('manage_newsletter'),
+  getSubscriberStats
+);
+
+router.get('/subscribers/export',
+  protect,
+  authorize('manage_newsletter'),
+  exportSubscribers
+);
+
+router.delete('/subscribers/:id',
+  protect,
+  authorize('manage_newsletter'),
+  deleteSubscriber
+);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSharedFile,
+  sendShareOtp,
+  accessSharedFile,
+  downloadSharedFile
+} = require('../controllers/shareController');
+const { RateLimiter, InputSanitizer } = require('../middleware/security');
+
+// Public routes for external share links; the link token, an emailed one-time
+// code and the optional password stand in for a login
+router.get('/:token',
+  RateLimiter.shareAccess(),
+  getSharedFile
+);
+
+router.post('/:token/otp',
+  RateLimiter.shareAccess(),
+  sendShareOtp
+);
+
+router.post('/:token/access',
+  RateLimiter.shareAccess(),
+  InputSanitizer.middleware(),
+  accessSharedFile
+);
+
+router.get('/:token/download',
+  RateLimiter.shareAccess(),
+  downloadSharedFile
+);
+
+module.exports = router;
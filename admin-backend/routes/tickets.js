@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createTicket,
+  lookupTicket,
+  addCustomerReply,
+  getTickets,
+  getTicketStats,
+  getTicket,
+  replyToTicket,
+  updateTicket,
+  getTicketAssignees
+} = require('../controllers/ticketController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  RateLimiter,
+  ValidationRules,
+  InputSanitizer
+} = require('../middleware/security');
+
+// Open a ticket from the support widget
+router.post('/',
+  RateLimiter.supportTicket(),
+  InputSanitizer.middleware(),
+  ValidationRules.supportTicket(),
+  ValidationRules.handleValidationErrors,
+  createTicket
+);
+
+// Customer status lookup and replies, keyed by ticket number + email
+router.post('/lookup',
+  RateLimiter.ticketLookup(),
+  InputSanitizer.middleware(),
+  ValidationRules.ticketLookup(),
+  ValidationRules.handleValidationErrors,
+  lookupTicket
+);
+
+router.post('/lookup/reply',
+  RateLimiter.ticketLookup(),
+  InputSanitizer.middleware(),
+  ValidationRules.ticketLookup(),
+  ValidationRules.handleValidationErrors,
+  addCustomerReply
+);
+
+// Tickets queue - staff with ticket management permission
+router.get('/',
+  protect,
+  authorize('manage_tickets'),
+  getTickets
+);
+
+router.get('/stats',
+  protect,
+  authorize('manage_tickets'),
+  getTicketStats
+);
+
+router.get('/assignees',
+  protect,
+  authorize('manage_tickets'),
+  getTicketAssignees
+);
+
+router.get('/:id',
+  protect,
+  authorize('manage_tickets'),
+  getTicket
+);
+
+router.post('/:id/replies',
+  protect,
+  authorize('manage_tickets'),
+  InputSanitizer.middleware(),
+  replyToTicket
+);
+
+router.put('/:id',
+  protect,
+  authorize('manage_tickets'),
+  InputSanitizer.middleware(),
+  updateTicket
+);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+const mongoose = require('mongoose');
+require('dotenv').config({ path: '.env' });
+const keyRotationService = require('../utils/keyRotation');
+
+// Re-wrap every file key with the active KEK (or the version given as argument).
+// Intended for scheduled runs after a new KEK version is added to ENCRYPTION_MASTER_KEYS.
+(async () => {
+  try {
+    const targetVersion = process.argv[2] ? parseInt(process.argv[2], 10) : undefined;
+    if (process.argv[2] && !Number.isInteger(targetVersion)) {
+      console.error('Usage: node scripts/rotateKeys.js [keyVersion]');
+      process.exit(1);
+    }
+
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/lexocrates_admin';
+    await mongoose.connect(mongoUri);
+
+    let lastPercent = -1;
+    keyRotationService.on('progress', (job) => {
+      if (job.percent !== lastPercent) {
+        lastPercent = job.percent;
+        console.log(`Rotating to KEK v${job.targetVersion}: ${job.processed}/${job.total} (${job.percent}%), ${job.failed} failed`);
+      }
+    });
+
+    const job = keyRotationService.start({ targetVersion });
+    const result = await job.promise;
+
+    console.log(`Key rotation ${result.status}: ${result.rewrapped} re-wrapped, ${result.skipped} skipped, ${result.failed} failed`);
+    result.failures.forEach(failure => {
+      console.error(`  ${failure.fileId} (${failure.originalName}): ${failure.error}`);
+    });
+    if (result.error) {
+      console.error(`Error: ${result.error}`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(result.status === 'completed' ? 0 : 2);
+  } catch (err) {
+    console.error('Error rotating keys:', err);
+    try { await mongoose.disconnect(); } catch {}
+    process.exit(3);
+  }
+})();
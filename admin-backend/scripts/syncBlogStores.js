@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+const mongoose = require('mongoose');
+require('dotenv').config({ path: '.env' });
+const User = require('../models/User');
+const blogSync = require('../utils/blogSync');
+
+const USAGE = `Usage: node scripts/syncBlogStores.js [--dry-run] [--prefer=newer|admin|public|skip] [--author=<email>] [--category=<name>] [--json]
+
+Reconciles the admin dashboard's posts (MongoDB) with the public blog (blog-backend, MySQL):
+  - posts only in the admin dashboard are pushed to the public blog
+  - posts only on the public blog are imported, then linked
+  - rows whose admin post was deleted are removed from the public blog
+  - a slug on both sides with different content is settled by --prefer (default newer)
+
+  --author    admin user for imported posts whose author has no account here (default: first admin)
+  --category  category for imported posts without a matching one (default: Industry Trends)`;
+
+const LABELS = {
+  push: 'push',
+  import: 'import',
+  pull: 'pull',
+  delete: 'delete',
+  conflict: 'CONFLICT',
+  unchanged: 'ok'
+};
+
+const option = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const describe = (action) => ({
+  type: action.type,
+  slug: (action.row || action.post).slug,
+  title: (action.post || action.row).title,
+  reason: action.reason || null,
+  changes: action.changes || [],
+  notes: action.notes || [],
+  error: action.error || null
+});
+
+(async () => {
+  try {
+    if (process.argv.includes('--help')) {
+      console.log(USAGE);
+      process.exit(0);
+    }
+    if (!blogSync.isEnabled()) {
+      console.error('Set BLOG_BACKEND_URL and INTERNAL_API_KEY (the same key blog-backend uses).');
+      console.error(USAGE);
+      process.exit(1);
+    }
+
+    const dryRun = process.argv.includes('--dry-run');
+    const prefer = option('prefer') || 'newer';
+    const defaultCategory = option('category');
+
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/lexocrates_admin';
+    await mongoose.connect(mongoUri);
+
+    let fallbackAuthor = null;
+    if (option('author')) {
+      fallbackAuthor = await User.findOne({ email: option('author').toLowerCase() });
+      if (!fallbackAuthor) {
+        console.error(`User not found: ${option('author')}`);
+        process.exit(2);
+      }
+    }
+
+    const actions = (await blogSync.reconcile({ dryRun, prefer, fallbackAuthor, defaultCategory })).map(describe);
+
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify({ dryRun, prefer, backend: blogSync.backendUrl, actions }, null, 2));
+    } else {
+      console.log(`${dryRun ? 'Dry run: nothing is changed. ' : ''}Admin dashboard <-> ${blogSync.backendUrl} (prefer ${prefer})\n`);
+      actions.filter(action => action.type !== 'unchanged').forEach(action => {
+        console.log(`${LABELS[action.type].padEnd(9)} ${action.slug}${action.reason ? `  (${action.reason})` : ''}`);
+        if (action.changes.length) console.log(`          differs in: ${action.changes.join(', ')}`);
+        action.notes.forEach(note => console.log(`          note: ${note}`));
+        if (action.error) console.log(`          FAILED: ${action.error}`);
+      });
+
+      const counts = {};
+      actions.forEach(action => {
+        const key = action.error ? 'failed' : action.type;
+        counts[key] = (counts[key] || 0) + 1;
+      });
+      console.log(`\n${Object.entries(counts).map(([type, count]) => `${count} ${LABELS[type] || type}`).join(', ') || 'No posts on either side'}`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(actions.some(action => action.error) ? 3 : 0);
+  } catch (err) {
+    console.error('Error syncing blog stores:', err.message);
+    try { await mongoose.disconnect(); } catch {}
+    process.exit(3);
+  }
+})();
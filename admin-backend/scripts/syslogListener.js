@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Minimal syslog listener for trying out SIEM forwarding locally.
+// Prints every message received over UDP and TCP (octet-counting or
+// newline framing). Point a forwarder at it, e.g.:
+//   SIEM_FORWARDERS=syslog SIEM_SYSLOG_PROTOCOL=tcp SIEM_SYSLOG_PORT=5514
+const net = require('net');
+const dgram = require('dgram');
+
+const port = parseInt(process.argv[2]) || 5514;
+const host = process.argv[3] || '127.0.0.1';
+
+const print = (transport, message) => {
+  console.log(`[${new Date().toISOString()}] ${transport} ${message}`);
+};
+
+const udp = dgram.createSocket('udp4');
+udp.on('message', (message) => print('udp', message.toString('utf8')));
+udp.on('error', (error) => {
+  console.error('UDP listener error:', error.message);
+  process.exit(1);
+});
+udp.bind(port, host);
+
+const tcp = net.createServer((socket) => {
+  let pending = Buffer.alloc(0);
+
+  socket.on('data', (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+
+    while (pending.length > 0) {
+      const framed = /^(\d+) /.exec(pending.subarray(0, 12).toString('ascii'));
+      if (framed) {
+        // Octet counting: "<length> <message>"
+        const start = framed[0].length;
+        const end = start + parseInt(framed[1]);
+        if (pending.length < end) break;
+        print('tcp', pending.subarray(start, end).toString('utf8'));
+        pending = pending.subarray(end);
+      } else {
+        // Non-transparent framing: one message per line
+        const newline = pending.indexOf(0x0a);
+        if (newline === -1) break;
+        print('tcp', pending.subarray(0, newline).toString('utf8').replace(/\r$/, ''));
+        pending = pending.subarray(newline + 1);
+      }
+    }
+  });
+
+  socket.on('error', (error) => console.error('TCP connection error:', error.message));
+});
+tcp.on('error', (error) => {
+  console.error('TCP listener error:', error.message);
+  process.exit(1);
+});
+tcp.listen(port, host, () => {
+  console.log(`Syslog listener on ${host}:${port} (UDP and TCP), Ctrl+C to stop`);
+});
+
+process.on('SIGINT', () => {
+  udp.close();
+  tcp.close();
+  process.exit(0);
+});
@@ -27,6 +27,14 @@ const blogRoutes = require('./routes/blog');
 const contactRoutes = require('./routes/contact');
 const complianceRoutes = require('./routes/compliance');
 const fileRoutes = require('./routes/files');
+const ticketRoutes = require('./routes/tickets');
+const commentRoutes = require('./routes/comments');
+const newsletterRoutes = require('./routes/newsletter');
+const chatRoutes = require('./routes/chat');
+const chatbotRoutes = require('./routes/chatbot');
+const clientRoutes = require('./routes/clients');
+const matterRoutes = require('./routes/matters');
+const shareRoutes = require('./routes/shares');
 const csrfRoutes = require('./routes/csrf');
 const secureFileHandler = require('./middleware/secureFileHandler');
 
@@ -55,8 +63,13 @@ if (process.env.NODE_ENV === 'production') {
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token', 'X-Captcha-Token']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token', 'X-Captcha-Token',
+    // tus resumable uploads
+    'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata'
+  ],
+  exposedHeaders: ['Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Max-Size', 'Upload-Offset', 'Upload-Length', 'Upload-Expires']
 }));
 
 // Compression middleware
@@ -115,6 +128,14 @@ app.use('/api/blog', blogRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/compliance', complianceRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/tickets', ticketRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/matters', matterRoutes);
+app.use('/api/shares', shareRoutes);
 app.use('/api/audit', require('./routes/audit'));
 app.use('/api', csrfRoutes);
 
@@ -131,7 +152,8 @@ app.get('/api/health', (req, res) => {
       csrf: 'enabled',
       rateLimiting: 'enabled',
       inputSanitization: 'enabled'
-    }
+    },
+    siem: require('./utils/siemForwarding').getHealth().status
   });
 });
 
@@ -275,17 +297,79 @@ const server = app.listen(PORT, () => {
   setInterval(() => {
     secureFileHandler.cleanupExpiredTokens().catch(() => {});
   }, 15 * 60 * 1000);
+
+  // Schedule hourly cleanup of abandoned resumable uploads
+  setInterval(() => {
+    require('./utils/resumableUploads').cleanupExpired().catch((error) => {
+      logger.error('Resumable upload cleanup failed', { error: error.message });
+    });
+  }, 60 * 60 * 1000);
+
+  // Uploads whose processing a restart cut short
+  require('./utils/resumableUploads').recoverInterrupted()
+    .then((recovered) => {
+      if (recovered > 0) {
+        logger.warn('Rejected resumable uploads interrupted by a restart', { recovered });
+      }
+    })
+    .catch((error) => {
+      logger.error('Resumable upload recovery failed', { error: error.message });
+    });
   
   // Schedule periodic cleanup of expired audit logs (daily)
   setInterval(async () => {
     try {
       const AuditService = require('./utils/auditService');
-      const archivedCount = await AuditService.cleanupExpiredLogs();
-      logger.info(`Scheduled audit log cleanup completed`, { archivedCount });
+      const { removed, tombstones } = await AuditService.cleanupExpiredLogs();
+      logger.info(`Scheduled audit log cleanup completed`, { removed, tombstones });
     } catch (error) {
       logger.error('Scheduled audit log cleanup failed', { error: error.message });
     }
   }, 24 * 60 * 60 * 1000); // Daily
+
+  // Sign the day's audit chain checkpoint (checked hourly so restarts don't skip a day)
+  setInterval(() => {
+    require('./utils/auditChain').checkpointIfDue().catch((error) => {
+      logger.error('Audit checkpoint failed', { error: error.message });
+    });
+  }, 60 * 60 * 1000);
+
+  // Remove expired audit exports
+  setInterval(() => {
+    require('./utils/auditExport').cleanup().catch((error) => {
+      logger.error('Audit export cleanup failed', { error: error.message });
+    });
+  }, 60 * 60 * 1000);
+
+  // Publish and unpublish scheduled blog posts
+  const blogScheduler = require('./utils/blogScheduler');
+  const blogSchedulerInterval = parseInt(process.env.BLOG_SCHEDULER_INTERVAL) || 60 * 1000;
+  if (blogScheduler.start(blogSchedulerInterval)) {
+    logger.info('Blog scheduler started', { interval: blogSchedulerInterval });
+  }
+
+  // Reconcile the public blog's copy of the posts (a no-op unless BLOG_BACKEND_URL and INTERNAL_API_KEY are set)
+  const blogSync = require('./utils/blogSync');
+  const blogSyncInterval = parseInt(process.env.BLOG_SYNC_INTERVAL) || 15 * 60 * 1000;
+  if (blogSync.start(blogSyncInterval)) {
+    logger.info('Blog sync started', { backend: blogSync.backendUrl, interval: blogSyncInterval });
+  }
+
+  // Email the digest of newly published blog posts to newsletter subscribers
+  const newsletter = require('./utils/newsletter');
+  const newsletterInterval = parseInt(process.env.NEWSLETTER_DIGEST_INTERVAL) || 7 * 24 * 60 * 60 * 1000;
+  if (newsletter.start(newsletterInterval)) {
+    logger.info('Newsletter digest started', { interval: newsletterInterval });
+  }
+
+  // Rescan stored files whenever the AV engines' signatures update
+  if (process.env.AV_RESCAN_ON_SIGNATURE_UPDATE !== 'false') {
+    const malwareRescanService = require('./utils/malwareRescan');
+    const interval = parseInt(process.env.AV_SIGNATURE_CHECK_INTERVAL) || 15 * 60 * 1000;
+    if (malwareRescanService.startSignatureWatch(interval)) {
+      logger.info('AV signature watch started', { interval });
+    }
+  }
 });
 
 // Create HTTPS server if certificates are available
@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const AuditTombstone = require('../models/AuditTombstone');
+
+// Free-form fields are stored as plain JSON so the hash taken on write
+// matches the values read back
+const JSON_FIELDS = ['oldValue', 'newValue', 'changes', 'metadata'];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const integrityError = (message) => Object.assign(new Error(message), { status: 409 });
+
+/**
+ * Audit Chain
+ * Appends audit entries to a hash chain, signs daily checkpoints of its head
+ * and tombstones for removed ranges, and verifies the whole trail.
+ *
+ * Checkpoints and tombstones are signed with Ed25519 (AUDIT_SIGNING_KEY).
+ * Auditors can verify them offline with the public key from /api/audit/checkpoints.
+ */
+class AuditChain {
+  constructor() {
+    // Appends are serialized in-process; the unique sequence index catches
+    // a second process writing to the same chain
+    this.pending = Promise.resolve();
+    this.head = null;
+    this.keys = null;
+  }
+
+  /**
+   * Run a task after every chain write queued before it
+   */
+  exclusive(task) {
+    const run = this.pending.then(task, task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Signing key from AUDIT_SIGNING_KEY (PKCS#8 PEM, raw or base64 encoded),
+   * plus the public keys trusted when verifying (AUDIT_TRUSTED_PUBLIC_KEYS,
+   * comma separated, for signatures made before a key change)
+   */
+  loadKeys() {
+    const readPem = (value) => value.includes('BEGIN')
+      ? value.replace(/\\n/g, '\n')
+      : Buffer.from(value, 'base64').toString('utf8');
+
+    let privateKey;
+    if (process.env.AUDIT_SIGNING_KEY) {
+      privateKey = crypto.createPrivateKey(readPem(process.env.AUDIT_SIGNING_KEY));
+    } else {
+      console.warn('⚠️ AUDIT_SIGNING_KEY is not set; audit checkpoints are signed with a temporary key that will not verify after a restart');
+      privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    }
+
+    const publicKey = crypto.createPublicKey(privateKey);
+    const trusted = new Map([[this.keyIdFor(publicKey), publicKey]]);
+    (process.env.AUDIT_TRUSTED_PUBLIC_KEYS || '').split(',').map(key => key.trim()).filter(Boolean).forEach(key => {
+      const trustedKey = crypto.createPublicKey(readPem(key));
+      trusted.set(this.keyIdFor(trustedKey), trustedKey);
+    });
+
+    return { privateKey, publicKey, keyId: this.keyIdFor(publicKey), trusted };
+  }
+
+  getKeys() {
+    if (!this.keys) {
+      this.keys = this.loadKeys();
+    }
+    return this.keys;
+  }
+
+  keyIdFor(publicKey) {
+    return sha256(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 16);
+  }
+
+  /**
+   * Current public key (PEM) and its id, for verifying signatures offline
+   */
+  getPublicKey() {
+    const { publicKey, keyId } = this.getKeys();
+    return { keyId, algorithm: 'Ed25519', publicKey: publicKey.export({ type: 'spki', format: 'pem' }) };
+  }
+
+  // The exact bytes a record's signature covers
+  signingPayload(record, fields) {
+    const signed = {};
+    fields.forEach(field => { signed[field] = record[field]; });
+    return Buffer.from(JSON.stringify(AuditLog.canonicalize(signed)));
+  }
+
+  sign(record, fields) {
+    return crypto.sign(null, this.signingPayload(record, fields), this.getKeys().privateKey).toString('base64');
+  }
+
+  /**
+   * Detached signature over a file's bytes (audit export manifests);
+   * verifies with `openssl pkeyutl -verify -rawin`
+   */
+  signDetached(data) {
+    return crypto.sign(null, data, this.getKeys().privateKey);
+  }
+
+  verifySignature(record, fields) {
+    const publicKey = this.getKeys().trusted.get(record.keyId);
+    if (!publicKey) {
+      return { valid: false, reason: `signed with untrusted key ${record.keyId}` };
+    }
+    const valid = crypto.verify(null, this.signingPayload(record, fields), publicKey, Buffer.from(record.signature || '', 'base64'));
+    return valid ? { valid: true } : { valid: false, reason: 'signature does not match its contents' };
+  }
+
+  /**
+   * Last link of the chain: the newest entry, or the end of the newest
+   * tombstone if the newest entries were removed
+   */
+  async loadHead() {
+    const [entry, tombstone] = await Promise.all([
+      AuditLog.findOne({ sequence: { $type: 'number' } }).sort({ sequence: -1 }).select('sequence hash').lean(),
+      AuditTombstone.findOne().sort({ lastSequence: -1 }).select('lastSequence lastHash').lean()
+    ]);
+
+    if (tombstone && (!entry || tombstone.lastSequence > entry.sequence)) {
+      return { sequence: tombstone.lastSequence, hash: tombstone.lastHash };
+    }
+    return entry
+      ? { sequence: entry.sequence, hash: entry.hash }
+      : { sequence: 0, hash: AuditLog.GENESIS_HASH };
+  }
+
+  /**
+   * Save an audit entry as the next link of the chain
+   */
+  append(data) {
+    const values = { ...data };
+    JSON_FIELDS.forEach(field => {
+      if (values[field] !== undefined) {
+        values[field] = JSON.parse(JSON.stringify(values[field]));
+      }
+    });
+
+    return this.exclusive(async () => {
+      for (let attempt = 1; ; attempt++) {
+        if (!this.head) {
+          this.head = await this.loadHead();
+        }
+
+        const entry = new AuditLog({
+          ...values,
+          sequence: this.head.sequence + 1,
+          prevHash: this.head.hash
+        });
+
+        try {
+          await entry.save();
+          this.head = { sequence: entry.sequence, hash: entry.hash };
+          return entry;
+        } catch (error) {
+          this.head = null;
+          // Another process took this sequence number; re-read the head and retry
+          if (error.code === 11000 && attempt < 3) continue;
+          throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * Sign a checkpoint of everything appended since the previous one.
+   * Returns null when nothing was appended.
+   */
+  createCheckpoint(now = new Date()) {
+    return this.exclusive(async () => {
+      this.head = await this.loadHead();
+      const previous = await AuditCheckpoint.findOne().sort({ lastSequence: -1 }).lean();
+      const firstSequence = previous ? previous.lastSequence + 1 : 1;
+      if (this.head.sequence < firstSequence) {
+        return null;
+      }
+
+      const checkpoint = new AuditCheckpoint({
+        date: now.toISOString().slice(0, 10),
+        firstSequence,
+        lastSequence: this.head.sequence,
+        entryCount: await AuditLog.countDocuments({ sequence: { $gte: firstSequence, $lte: this.head.sequence } }),
+        headHash: this.head.hash,
+        previousSignatureHash: previous ? sha256(previous.signature) : null,
+        keyId: this.getKeys().keyId,
+        createdAt: now
+      });
+      checkpoint.signature = this.sign(checkpoint.toObject(), AuditCheckpoint.SIGNED_FIELDS);
+      await checkpoint.save();
+      return checkpoint;
+    });
+  }
+
+  /**
+   * Take the day's checkpoint unless one was already taken today
+   */
+  async checkpointIfDue(now = new Date()) {
+    const latest = await AuditCheckpoint.findOne().sort({ lastSequence: -1 }).select('date').lean();
+    if (latest && latest.date === now.toISOString().slice(0, 10)) {
+      return null;
+    }
+    return this.createCheckpoint(now);
+  }
+
+  /**
+   * Delete the entries matching a filter, leaving a signed tombstone for each
+   * contiguous run of chained entries removed. Refuses to remove entries that
+   * no longer match their hashes, so tampering can't be cleaned away.
+   */
+  removeEntries(filter, { removedBy = null, reason = 'retention' } = {}) {
+    return this.exclusive(async () => {
+      const runs = [];
+      let run = null;
+
+      const cursor = AuditLog.find({ ...filter, sequence: { $type: 'number' } }).sort({ sequence: 1 }).lean().cursor();
+      for await (const entry of cursor) {
+        if (AuditLog.computeHash(entry) !== entry.hash) {
+          throw integrityError(`Audit entry ${entry.sequence} does not match its hash; verify the trail before removing entries`);
+        }
+
+        if (run && entry.sequence === run.lastSequence + 1) {
+          if (entry.prevHash !== run.lastHash) {
+            throw integrityError(`Audit entry ${entry.sequence} does not link to entry ${run.lastSequence}; verify the trail before removing entries`);
+          }
+          run.lastSequence = entry.sequence;
+          run.lastHash = entry.hash;
+          run.count++;
+          run.to = entry.timestamp;
+        } else {
+          if (run) runs.push(run);
+          run = {
+            firstSequence: entry.sequence,
+            lastSequence: entry.sequence,
+            count: 1,
+            prevHash: entry.prevHash,
+            lastHash: entry.hash,
+            digest: crypto.createHash('sha256'),
+            from: entry.timestamp,
+            to: entry.timestamp
+          };
+        }
+        run.digest.update(entry.hash);
+      }
+      if (run) runs.push(run);
+
+      const tombstones = [];
+      let removed = 0;
+      for (const { digest, ...range } of runs) {
+        const tombstone = new AuditTombstone({
+          ...range,
+          digest: digest.digest('hex'),
+          reason,
+          removedBy,
+          keyId: this.getKeys().keyId,
+          removedAt: new Date()
+        });
+        tombstone.signature = this.sign(tombstone.toObject(), AuditTombstone.SIGNED_FIELDS);
+        await tombstone.save();
+
+        const result = await AuditLog.deleteMany({ sequence: { $gte: range.firstSequence, $lte: range.lastSequence } });
+        removed += result.deletedCount;
+        tombstones.push(tombstone);
+      }
+
+      // Entries written before the chain existed aren't part of it
+      const legacy = await AuditLog.deleteMany({ ...filter, sequence: { $not: { $type: 'number' } } });
+
+      this.head = null;
+      return { removed: removed + legacy.deletedCount, tombstones };
+    });
+  }
+
+  /**
+   * Chained entries in sequence order
+   */
+  chainEntries() {
+    return AuditLog.find({ sequence: { $type: 'number' } }).sort({ sequence: 1 }).lean().cursor();
+  }
+
+  /**
+   * Walk the whole chain and report the first broken link, if any
+   */
+  async verify() {
+    const [checkpoints, tombstones, legacyEntries] = await Promise.all([
+      AuditCheckpoint.find().sort({ lastSequence: 1 }).lean(),
+      AuditTombstone.find().sort({ firstSequence: 1 }).lean(),
+      AuditLog.countDocuments({ sequence: { $not: { $type: 'number' } } })
+    ]);
+
+    const report = {
+      intact: true,
+      checkedAt: new Date(),
+      entriesChecked: 0,
+      tombstonesChecked: 0,
+      checkpointsChecked: 0,
+      legacyEntries,
+      head: null,
+      lastCheckpoint: null,
+      unsealedEntries: 0,
+      firstBrokenLink: null
+    };
+
+    const broken = (sequence, reason, details = {}) => {
+      report.intact = false;
+      report.firstBrokenLink = { sequence, reason, ...details };
+      return report;
+    };
+
+    // Checkpoints: valid signatures, each covering the one before it
+    const checkpointHeads = new Map();
+    let previous = null;
+    for (const checkpoint of checkpoints) {
+      const signature = this.verifySignature(checkpoint, AuditCheckpoint.SIGNED_FIELDS);
+      if (!signature.valid) {
+        return broken(checkpoint.lastSequence, `Checkpoint of ${checkpoint.date}: ${signature.reason}`, { checkpointId: checkpoint._id });
+      }
+      if ((checkpoint.previousSignatureHash || null) !== (previous ? sha256(previous.signature) : null)) {
+        return broken(checkpoint.lastSequence, `Checkpoint of ${checkpoint.date} does not follow the checkpoint before it`, { checkpointId: checkpoint._id });
+      }
+      checkpointHeads.set(checkpoint.lastSequence, checkpoint);
+      previous = checkpoint;
+      report.checkpointsChecked++;
+    }
+
+    let expected = 1;
+    let prevHash = AuditLog.GENESIS_HASH;
+    let nextTombstone = 0;
+
+    // Step over tombstones that start where the chain has got to
+    const bridgeTombstones = () => {
+      while (nextTombstone < tombstones.length && tombstones[nextTombstone].firstSequence === expected) {
+        const tombstone = tombstones[nextTombstone];
+        const signature = this.verifySignature(tombstone, AuditTombstone.SIGNED_FIELDS);
+        if (!signature.valid) {
+          return { reason: `Tombstone for entries ${tombstone.firstSequence}-${tombstone.lastSequence}: ${signature.reason}`, tombstoneId: tombstone._id };
+        }
+        if (tombstone.prevHash !== prevHash) {
+          return { reason: `Tombstone for entries ${tombstone.firstSequence}-${tombstone.lastSequence} does not link to the entry before it`, tombstoneId: tombstone._id };
+        }
+        const checkpoint = checkpointHeads.get(tombstone.lastSequence);
+        if (checkpoint && checkpoint.headHash !== tombstone.lastHash) {
+          return { reason: `Tombstone for entries ${tombstone.firstSequence}-${tombstone.lastSequence} contradicts the checkpoint of ${checkpoint.date}`, tombstoneId: tombstone._id };
+        }
+        prevHash = tombstone.lastHash;
+        expected = tombstone.lastSequence + 1;
+        nextTombstone++;
+        report.tombstonesChecked++;
+      }
+      return null;
+    };
+
+    for await (const entry of this.chainEntries()) {
+      const gap = bridgeTombstones();
+      if (gap) {
+        const { reason, ...details } = gap;
+        return broken(expected, reason, details);
+      }
+
+      if (entry.sequence !== expected) {
+        return entry.sequence > expected
+          ? broken(expected, `Entries ${expected}-${entry.sequence - 1} are missing and no tombstone covers them`)
+          : broken(entry.sequence, `Sequence ${entry.sequence} appears more than once`, { entryId: entry._id });
+      }
+      if (entry.prevHash !== prevHash) {
+        return broken(entry.sequence, 'Entry does not link to the entry before it', { entryId: entry._id, timestamp: entry.timestamp });
+      }
+      if (AuditLog.computeHash(entry) !== entry.hash) {
+        return broken(entry.sequence, 'Entry was changed after it was written', { entryId: entry._id, timestamp: entry.timestamp });
+      }
+      const checkpoint = checkpointHeads.get(entry.sequence);
+      if (checkpoint && checkpoint.headHash !== entry.hash) {
+        return broken(entry.sequence, `Entry does not match the checkpoint of ${checkpoint.date}`, { entryId: entry._id, timestamp: entry.timestamp });
+      }
+
+      prevHash = entry.hash;
+      expected++;
+      report.entriesChecked++;
+    }
+
+    const gap = bridgeTombstones();
+    if (gap) {
+      const { reason, ...details } = gap;
+      return broken(expected, reason, details);
+    }
+    if (nextTombstone < tombstones.length) {
+      const stray = tombstones[nextTombstone];
+      return broken(stray.firstSequence, `Tombstone for entries ${stray.firstSequence}-${stray.lastSequence} does not line up with the chain`, { tombstoneId: stray._id });
+    }
+
+    // Entries that a signed checkpoint covers must still be there
+    const lastCheckpoint = checkpoints[checkpoints.length - 1];
+    if (lastCheckpoint && lastCheckpoint.lastSequence >= expected) {
+      return broken(expected, `Entries ${expected}-${lastCheckpoint.lastSequence} covered by the checkpoint of ${lastCheckpoint.date} are missing`);
+    }
+
+    report.head = { sequence: expected - 1, hash: prevHash };
+    report.lastCheckpoint = lastCheckpoint ? {
+      date: lastCheckpoint.date,
+      lastSequence: lastCheckpoint.lastSequence,
+      createdAt: lastCheckpoint.createdAt
+    } : null;
+    report.unsealedEntries = expected - 1 - (lastCheckpoint ? lastCheckpoint.lastSequence : 0);
+    return report;
+  }
+}
+
+// Create singleton instance
+const auditChain = new AuditChain();
+
+module.exports = auditChain;
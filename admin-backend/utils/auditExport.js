@@ -0,0 +1,315 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const AuditLog = require('../models/AuditLog');
+const AuditExport = require('../models/AuditExport');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const auditChain = require('./auditChain');
+const logger = require('./logger');
+
+const MANIFEST_FILE = 'manifest.json';
+const SIGNATURE_FILE = 'manifest.json.sig';
+
+const CSV_COLUMNS = [
+  ['Sequence', log => log.sequence],
+  ['Timestamp', log => log.timestamp && new Date(log.timestamp).toISOString()],
+  ['Event Type', log => log.eventType],
+  ['Action', log => log.action],
+  ['Description', log => log.description],
+  ['User ID', log => log.userId?._id || log.userId],
+  ['User Name', log => log.userId?.name],
+  ['User Email', log => log.userId?.email],
+  ['IP Address', log => log.ipAddress],
+  ['User Agent', log => log.userAgent],
+  ['Success', log => log.success],
+  ['Threat Level', log => log.threatLevel],
+  ['Resource Type', log => log.resourceType],
+  ['Resource ID', log => log.resourceId],
+  ['Failure Reason', log => log.failureReason],
+  ['Hash', log => log.hash]
+];
+
+const requestError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/**
+ * Audit Export
+ * Streams the audit trail for a date range to a CSV, JSON lines or gzipped
+ * NDJSON file in the background, then writes a manifest (record count, file
+ * digest, chain position) and a detached Ed25519 signature of the manifest.
+ * Finished exports can be downloaded until they expire.
+ */
+class AuditExportService {
+  constructor() {
+    this.directory = process.env.AUDIT_EXPORT_DIRECTORY || path.join(process.env.TEMP_DIRECTORY || 'temp', 'audit-exports');
+    this.expiryMs = (parseInt(process.env.AUDIT_EXPORT_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+    this.maxActivePerUser = parseInt(process.env.AUDIT_EXPORT_MAX_ACTIVE) || 2;
+
+    // Exports run one at a time; ids queued or running in this process
+    this.pending = Promise.resolve();
+    this.active = new Set();
+  }
+
+  exportDirectory(exportJob) {
+    return path.join(this.directory, exportJob._id.toString());
+  }
+
+  dataFileName(exportJob) {
+    const day = (date) => new Date(date).toISOString().slice(0, 10);
+    return `audit_logs_${day(exportJob.startDate)}_${day(exportJob.endDate)}.${exportJob.format}`;
+  }
+
+  /**
+   * Path, download name and content type of one part of a finished export
+   */
+  getFile(exportJob, part) {
+    const directory = this.exportDirectory(exportJob);
+    switch (part) {
+      case 'data':
+        return {
+          path: path.join(directory, exportJob.fileName),
+          fileName: exportJob.fileName,
+          contentType: {
+            csv: 'text/csv',
+            jsonl: 'application/jsonl',
+            'ndjson.gz': 'application/gzip'
+          }[exportJob.format]
+        };
+      case 'manifest':
+        return { path: path.join(directory, MANIFEST_FILE), fileName: MANIFEST_FILE, contentType: 'application/json' };
+      case 'signature':
+        return { path: path.join(directory, SIGNATURE_FILE), fileName: SIGNATURE_FILE, contentType: 'application/octet-stream' };
+      default:
+        return null;
+    }
+  }
+
+  buildQuery(exportJob) {
+    const { eventType, userId, resourceType, resourceId, threatLevel, success } = exportJob.filters || {};
+    const query = {
+      timestamp: { $gte: exportJob.startDate, $lte: exportJob.endDate }
+    };
+
+    if (eventType) query.eventType = eventType;
+    if (userId) query.userId = userId;
+    if (resourceType) query.resourceType = resourceType;
+    if (resourceId) query.resourceId = resourceId;
+    if (threatLevel) query.threatLevel = threatLevel;
+    if (success !== undefined && success !== null) query.success = success;
+
+    return query;
+  }
+
+  /**
+   * Validate an export request, save it and queue it. Throws errors with a
+   * status (400 bad request, 429 too many exports in progress).
+   */
+  async request({ requestedBy, format = 'csv', filters = {}, startDate, endDate }) {
+    if (!AuditExport.FORMATS.includes(format)) {
+      throw requestError(`Format must be one of: ${AuditExport.FORMATS.join(', ')}`);
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (!startDate || !endDate || isNaN(start) || isNaN(end)) {
+      throw requestError('Start date and end date are required for export');
+    }
+    if (start > end) {
+      throw requestError('Start date must be before end date');
+    }
+    if (filters.userId && !mongoose.isValidObjectId(filters.userId)) {
+      throw requestError('Invalid user ID');
+    }
+
+    const inProgress = await AuditExport.countDocuments({ requestedBy, status: { $in: ['queued', 'running'] } });
+    if (inProgress >= this.maxActivePerUser) {
+      throw requestError(`You already have ${inProgress} audit exports in progress`, 429);
+    }
+
+    const exportJob = await AuditExport.create({
+      requestedBy,
+      format,
+      filters,
+      startDate: start,
+      endDate: end,
+      fileName: this.dataFileName({ format, startDate: start, endDate: end })
+    });
+
+    this.enqueue(exportJob);
+    return exportJob;
+  }
+
+  enqueue(exportJob) {
+    const id = exportJob._id.toString();
+    this.active.add(id);
+
+    const run = this.pending.then(() => this.run(exportJob)).finally(() => this.active.delete(id));
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async run(exportJob) {
+    const directory = this.exportDirectory(exportJob);
+    exportJob.status = 'running';
+    exportJob.startedAt = new Date();
+    await exportJob.save();
+
+    try {
+      await fsp.mkdir(directory, { recursive: true });
+      const data = await this.writeData(exportJob, path.join(directory, exportJob.fileName));
+
+      const manifest = await this.buildManifest(exportJob, data);
+      const manifestBytes = Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`);
+      await fsp.writeFile(path.join(directory, MANIFEST_FILE), manifestBytes);
+      await fsp.writeFile(path.join(directory, SIGNATURE_FILE), auditChain.signDetached(manifestBytes));
+
+      exportJob.set({
+        status: 'completed',
+        recordCount: data.recordCount,
+        size: data.size,
+        sha256: data.sha256,
+        keyId: manifest.signature.keyId,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + this.expiryMs)
+      });
+      await exportJob.save();
+      logger.info(`Audit export ${exportJob._id} completed`, { recordCount: data.recordCount, size: data.size });
+    } catch (error) {
+      logger.error(`Audit export ${exportJob._id} failed`, { error: error.message });
+      await fsp.rm(directory, { recursive: true, force: true }).catch(() => {});
+      exportJob.set({ status: 'failed', error: error.message, completedAt: new Date() });
+      await exportJob.save().catch(() => {});
+    }
+
+    return exportJob;
+  }
+
+  /**
+   * Stream the matching entries, oldest first, into the data file
+   */
+  async writeData(exportJob, filePath) {
+    let query = AuditLog.find(this.buildQuery(exportJob)).sort({ timestamp: 1, sequence: 1 });
+    if (exportJob.format === 'csv') {
+      // JSON formats keep the stored userId so entries can be re-hashed
+      query = query.populate('userId', 'name email');
+    }
+    const cursor = query.lean().cursor();
+
+    const stats = { recordCount: 0, firstSequence: null, lastSequence: null };
+    const format = exportJob.format;
+    async function* lines() {
+      if (format === 'csv') {
+        yield `${CSV_COLUMNS.map(([header]) => header).join(',')}\n`;
+      }
+      for await (const log of cursor) {
+        stats.recordCount++;
+        if (typeof log.sequence === 'number') {
+          stats.firstSequence = stats.firstSequence ?? log.sequence;
+          stats.lastSequence = log.sequence;
+        }
+        yield format === 'csv' ? AuditExportService.csvRow(log) : `${JSON.stringify(log)}\n`;
+      }
+    }
+
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const digest = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    const stages = [Readable.from(lines())];
+    if (format === 'ndjson.gz') {
+      stages.push(zlib.createGzip());
+    }
+    await pipeline(...stages, digest, fs.createWriteStream(filePath));
+
+    return { ...stats, size, sha256: hash.digest('hex') };
+  }
+
+  static csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    // Quote cells with separators, and neutralize spreadsheet formulas
+    const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+  }
+
+  static csvRow(log) {
+    return `${CSV_COLUMNS.map(([, value]) => this.csvCell(value(log))).join(',')}\n`;
+  }
+
+  async buildManifest(exportJob, data) {
+    const [head, checkpoint] = await Promise.all([
+      auditChain.loadHead(),
+      AuditCheckpoint.findOne().sort({ lastSequence: -1 }).select('date lastSequence headHash signature keyId').lean()
+    ]);
+    const { keyId, algorithm } = auditChain.getPublicKey();
+
+    return {
+      type: 'audit-log-export',
+      version: 1,
+      exportId: exportJob._id.toString(),
+      requestedBy: exportJob.requestedBy.toString(),
+      generatedAt: new Date().toISOString(),
+      format: exportJob.format,
+      range: {
+        startDate: exportJob.startDate.toISOString(),
+        endDate: exportJob.endDate.toISOString()
+      },
+      filters: exportJob.filters || {},
+      file: {
+        name: exportJob.fileName,
+        size: data.size,
+        sha256: data.sha256
+      },
+      recordCount: data.recordCount,
+      sequences: {
+        first: data.firstSequence,
+        last: data.lastSequence
+      },
+      // Where the chain stood, so the export can be matched against /api/audit/verify
+      chainHead: head,
+      lastCheckpoint: checkpoint
+        ? { date: checkpoint.date, lastSequence: checkpoint.lastSequence, headHash: checkpoint.headHash, signature: checkpoint.signature, keyId: checkpoint.keyId }
+        : null,
+      signature: {
+        algorithm,
+        keyId,
+        file: SIGNATURE_FILE
+      }
+    };
+  }
+
+  /**
+   * Remove the files of expired exports, and fail exports left queued or
+   * running by a previous process
+   */
+  async cleanup(now = new Date()) {
+    const expired = await AuditExport.find({ status: 'completed', expiresAt: { $lt: now } });
+    for (const exportJob of expired) {
+      await fsp.rm(this.exportDirectory(exportJob), { recursive: true, force: true });
+      exportJob.status = 'expired';
+      await exportJob.save();
+    }
+
+    const interrupted = await AuditExport.updateMany(
+      { status: { $in: ['queued', 'running'] }, _id: { $nin: [...this.active] } },
+      { $set: { status: 'failed', error: 'Interrupted by a server restart', completedAt: now } }
+    );
+
+    return { expired: expired.length, interrupted: interrupted.modifiedCount };
+  }
+}
+
+// Create singleton instance
+const auditExport = new AuditExportService();
+
+module.exports = auditExport;
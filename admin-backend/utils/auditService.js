@@ -1,5 +1,8 @@
 const logger = require('./logger');
 const AuditLog = require('../models/AuditLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const auditChain = require('./auditChain');
+const siemForwarding = require('./siemForwarding');
 
 /**
  * Comprehensive Audit Service
@@ -232,17 +235,17 @@ class AuditService {
   }
 
   /**
-   * Create audit log entry
+   * Create audit log entry, chained to the previous one
    */
   static async createAuditLog(auditData) {
+    const timestamp = new Date();
+    let auditLog = null;
     try {
-      const auditLog = new AuditLog({
+      auditLog = await auditChain.append({
         ...auditData,
         requestId: auditData.requestId,
-        timestamp: new Date()
+        timestamp
       });
-
-      await auditLog.save();
       return auditLog;
     } catch (error) {
       logger.error('Failed to create audit log entry', {
@@ -250,6 +253,9 @@ class AuditService {
         auditData
       });
       throw error;
+    } finally {
+      // The SIEM gets the event even when the database write failed
+      siemForwarding.forward(auditLog || { ...auditData, timestamp });
     }
   }
 
@@ -311,6 +317,7 @@ class AuditService {
       'user_updated': `User ${details.targetUser || 'unknown'} updated by admin ${details.userId || 'unknown'}`,
       'user_deleted': `User ${details.targetUser || 'unknown'} deleted by admin ${details.userId || 'unknown'}`,
       'system_config_changed': `System configuration changed by admin ${details.userId || 'unknown'}`,
+      'permission_changed': `Access for user ${details.targetUser || 'unknown'} to ${details.targetResource || 'unknown'} ${details.granted ? 'granted' : 'revoked'}`,
       'backup_created': `Backup created by admin ${details.userId || 'unknown'}`,
       'backup_restored': `Backup restored by admin ${details.userId || 'unknown'}`
     };
@@ -328,7 +335,10 @@ class AuditService {
       'malware_detected': `Malware detected in file ${details.fileName || 'unknown'}`,
       'encryption_error': `Encryption error occurred`,
       'decryption_error': `Decryption error occurred`,
-      'integrity_check_failed': `Integrity check failed for resource ${details.resourceId || 'unknown'}`
+      'integrity_check_failed': `Integrity check failed for resource ${details.resourceId || 'unknown'}`,
+      'key_rotation': `Key rotation to KEK version ${details.targetVersion || 'unknown'}: ${details.rewrapped || 0} file key(s) re-wrapped, ${details.failed || 0} failed`,
+      'malware_rescan': `Malware rescan (${details.trigger || 'manual'}): ${details.scanned || 0} file(s) scanned, ${details.quarantined || 0} quarantined, ${details.failed || 0} failed`,
+      'quarantine_released': `File ${details.fileName || 'unknown'} released from quarantine by user ${details.userId || 'unknown'}`
     };
 
     return descriptions[eventType] || `Security event: ${eventType}`;
@@ -341,7 +351,9 @@ class AuditService {
     const descriptions = {
       'policy_updated': `Policy ${details.policyId || 'unknown'} updated`,
       'compliance_check': `Compliance check performed for ${details.regulation || 'unknown regulation'}`,
-      'data_export': `Data export requested for client ${details.clientId || 'unknown'}`,
+      'data_export': details.auditExportId
+        ? `Audit log export ${details.auditExportId} downloaded (${details.recordCount} records)`
+        : `Data export requested for client ${details.clientId || 'unknown'}`,
       'data_deletion': `Data deletion requested for client ${details.clientId || 'unknown'}`,
       'audit_trail_accessed': `Audit trail accessed by user ${details.userId || 'unknown'}`,
       'privacy_settings_changed': `Privacy settings changed for client ${details.clientId || 'unknown'}`
@@ -410,7 +422,10 @@ class AuditService {
       'malware_detected': 'high',
       'encryption_error': 'high',
       'decryption_error': 'high',
-      'integrity_check_failed': 'high'
+      'integrity_check_failed': 'high',
+      'key_rotation': details.failed > 0 ? 'high' : 'low',
+      'malware_rescan': details.quarantined > 0 ? 'high' : details.failed > 0 ? 'medium' : 'low',
+      'quarantine_released': 'high'
     };
 
     return threatLevels[eventType] || 'medium';
@@ -480,24 +495,57 @@ class AuditService {
   }
 
   /**
-   * Clean up expired audit logs
+   * Remove audit logs past their retention period. Each removed range of the
+   * chain is replaced by a signed tombstone.
    */
-  static async cleanupExpiredLogs() {
-    const expiredLogs = await AuditLog.find({
+  static async cleanupExpiredLogs(removedBy = null) {
+    const { removed, tombstones } = await auditChain.removeEntries({
       $expr: {
         $lt: [
           { $add: ['$timestamp', { $multiply: ['$retentionPeriod', 24 * 60 * 60 * 1000] }] },
           new Date()
         ]
       }
-    });
+    }, { removedBy });
 
-    for (const log of expiredLogs) {
-      await log.archive();
-    }
+    logger.info(`Removed ${removed} expired audit logs`, { tombstones: tombstones.length });
+    return { removed, tombstones: tombstones.length };
+  }
+
+  /**
+   * Verify the audit chain, its checkpoints and tombstones
+   */
+  static async verifyAuditTrail() {
+    return await auditChain.verify();
+  }
+
+  /**
+   * Public key that verifies checkpoint, tombstone and export signatures
+   */
+  static getSigningKey() {
+    return auditChain.getPublicKey();
+  }
+
+  /**
+   * Status of the SIEM forwarders
+   */
+  static getForwarderHealth() {
+    return siemForwarding.getHealth();
+  }
 
-    logger.info(`Archived ${expiredLogs.length} expired audit logs`);
-    return expiredLogs.length;
+  /**
+   * Signed checkpoints, newest first, with the key to verify them
+   */
+  static async getCheckpoints(limit = 30) {
+    const checkpoints = await AuditCheckpoint.find()
+      .sort({ lastSequence: -1 })
+      .limit(limit)
+      .lean();
+
+    return {
+      signingKey: auditChain.getPublicKey(),
+      checkpoints
+    };
   }
 }
 
@@ -0,0 +1,51 @@
+const Mailer = require('./mailer');
+const User = require('../models/User');
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Posts are public on the main website (see SITE_URL); the moderation queue is in the admin frontend
+const postLink = (post) => `${(process.env.SITE_URL || 'https://lexocrates.com').replace(/\/+$/, '')}/blog/${encodeURIComponent(post.slug)}`;
+const queueLink = () => `${process.env.CORS_ORIGIN || 'http://localhost:3000'}/comments`;
+
+class BlogCommentNotifier {
+  // Ask the commenter to confirm their address; the link opens the post, which sends the token back
+  static async verification(comment, post, token) {
+    return Mailer.send({
+      to: comment.email,
+      subject: `Confirm your comment on ${post.title}`,
+      html: `
+        <p>Hi ${escapeHtml(comment.name)},</p>
+        <p>Thanks for commenting on <strong>${escapeHtml(post.title)}</strong>. Please confirm your email address
+        so we can review your comment:</p>
+        <p><a href="${postLink(post)}?verify_comment=${encodeURIComponent(token)}#comments">Confirm my comment</a></p>
+        <p>The link is valid for 48 hours. If you didn't comment, ignore this email and the comment will be discarded.</p>
+      `
+    });
+  }
+
+  // Tell the post's author about a confirmed comment waiting for moderation
+  static async newComment(comment, post) {
+    const author = await User.findById(post.author).select('name email');
+    if (!author || author.email === comment.email) {
+      return null;
+    }
+
+    return Mailer.send({
+      to: author.email,
+      subject: `New comment on ${post.title}`,
+      html: `
+        <p>Hi ${escapeHtml(author.name)},</p>
+        <p>${escapeHtml(comment.name)} commented on <strong>${escapeHtml(post.title)}</strong>:</p>
+        <blockquote>${escapeHtml(comment.body).replace(/\n/g, '<br>')}</blockquote>
+        <p>The comment appears on the post once a moderator approves it.</p>
+        <p><a href="${queueLink()}">Open the moderation queue</a> &middot; <a href="${postLink(post)}">View the post</a></p>
+      `
+    });
+  }
+}
+
+module.exports = BlogCommentNotifier;
@@ -0,0 +1,82 @@
+const Mailer = require('./mailer');
+const User = require('../models/User');
+const { ROLE_PERMISSIONS } = require('./permissions');
+
+const STATUS_LABELS = {
+  draft: 'moved back to draft',
+  in_review: 'submitted for review',
+  changes_requested: 'sent back with changes requested',
+  approved: 'approved',
+  scheduled: 'scheduled',
+  published: 'published',
+  archived: 'archived'
+};
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The admin frontend serves the editor (see CORS_ORIGIN)
+const editorLink = (post) => `${process.env.CORS_ORIGIN || 'http://localhost:3000'}/blog/edit/${post._id}`;
+
+const idOf = (user) => (user && user._id ? user._id : user);
+
+class BlogReviewNotifier {
+  // Active users who can review and publish posts
+  static async findReviewers() {
+    const roles = Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].includes('publish_blog'));
+    return User.find({
+      isActive: true,
+      $or: [{ role: { $in: roles } }, { permissions: 'publish_blog' }]
+    }).select('name email');
+  }
+
+  // Tell reviewers a post is waiting for them
+  static async submitted(post, submitter) {
+    const reviewers = (await this.findReviewers())
+      .filter(reviewer => reviewer._id.toString() !== idOf(submitter).toString());
+    if (reviewers.length === 0) {
+      return [];
+    }
+
+    return Promise.all(reviewers.map(reviewer => Mailer.send({
+      to: reviewer.email,
+      subject: `Review requested: ${post.title}`,
+      html: `
+        <p>Hi ${escapeHtml(reviewer.name)},</p>
+        <p>${escapeHtml(submitter.name || 'A writer')} submitted <strong>${escapeHtml(post.title)}</strong> for review.</p>
+        <p><a href="${editorLink(post)}">Open the post</a></p>
+      `
+    })));
+  }
+
+  // Tell the submitter what a reviewer decided, with the open comments
+  static async reviewed(post, reviewer, note = '', comments = []) {
+    const submitter = await User.findById(idOf(post.getSubmitter())).select('name email');
+    if (!submitter || submitter._id.toString() === idOf(reviewer).toString()) {
+      return null;
+    }
+
+    const commentList = comments.length
+      ? `<p><strong>Comments:</strong></p><ul>${comments.map(comment => `
+          <li>${comment.quote ? `<em>&ldquo;${escapeHtml(comment.quote)}&rdquo;</em> - ` : ''}${escapeHtml(comment.body)}</li>`).join('')}
+        </ul>`
+      : '';
+
+    return Mailer.send({
+      to: submitter.email,
+      subject: `${post.title} was ${STATUS_LABELS[post.status]}`,
+      html: `
+        <p>Hi ${escapeHtml(submitter.name)},</p>
+        <p>${escapeHtml(reviewer.name || 'An editor')} ${STATUS_LABELS[post.status]} <strong>${escapeHtml(post.title)}</strong>.</p>
+        ${note ? `<p>${escapeHtml(note).replace(/\n/g, '<br>')}</p>` : ''}
+        ${commentList}
+        <p><a href="${editorLink(post)}">Open the post</a></p>
+      `
+    });
+  }
+}
+
+module.exports = BlogReviewNotifier;
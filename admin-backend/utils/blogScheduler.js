@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const BlogPost = require('../models/BlogPost');
+const BlogRevision = require('../models/BlogRevision');
+const blogSync = require('./blogSync');
+const logger = require('./logger');
+
+/**
+ * Blog Scheduler
+ * Publishes scheduled posts at their publishAt and archives published posts
+ * at their unpublishAt. The schedule lives on the posts, so a restart just
+ * catches up on the next run. Each flip is a conditional update on the
+ * post's current status, so a post changes state exactly once even when
+ * several processes run the scheduler.
+ */
+class BlogScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = null;
+  }
+
+  start(intervalMs) {
+    if (this.timer) {
+      return false;
+    }
+
+    this.timer = setInterval(() => this.run(), intervalMs);
+    this.timer.unref();
+    // Catch up on anything that came due while the server was down
+    setImmediate(() => this.run());
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Process everything due; overlapping calls share one run
+   */
+  run(now = new Date()) {
+    if (!mongoose.connection || mongoose.connection.readyState !== 1) {
+      return Promise.resolve(null);
+    }
+    if (!this.running) {
+      this.running = this.processDue(now)
+        .catch((error) => {
+          logger.error('Blog scheduler run failed', { error: error.message });
+          return { published: [], unpublished: [] };
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  async processDue(now = new Date()) {
+    const published = [];
+    const unpublished = [];
+
+    for (;;) {
+      const post = await BlogPost.findOneAndUpdate(
+        { status: 'scheduled', publishAt: { $lte: now } },
+        // The publish date becomes the published date, also for a post scheduled again after being unpublished
+        [{
+          $set: {
+            status: 'published',
+            publishedAt: '$publishAt',
+            publishAt: null,
+            statusHistory: {
+              $concatArrays: [
+                { $ifNull: ['$statusHistory', []] },
+                [{ from: 'scheduled', to: 'published', changedBy: null, note: 'Published on schedule', changedAt: now }]
+              ]
+            }
+          }
+        }],
+        { new: true, sort: { publishAt: 1 } }
+      );
+      if (!post) break;
+      published.push(post);
+      await this.afterFlip(post, 'published');
+    }
+
+    for (;;) {
+      const post = await BlogPost.findOneAndUpdate(
+        { status: 'published', unpublishAt: { $lte: now } },
+        {
+          $set: { status: 'archived', unpublishAt: null },
+          $push: { statusHistory: { from: 'published', to: 'archived', changedBy: null, note: 'Unpublished on schedule', changedAt: now } }
+        },
+        { new: true, sort: { unpublishAt: 1 } }
+      );
+      if (!post) break;
+      unpublished.push(post);
+      await this.afterFlip(post, 'archived');
+    }
+
+    return { published, unpublished };
+  }
+
+  // The flip has happened; a failed revision write is only logged
+  async afterFlip(post, status) {
+    logger.info(`Scheduled blog post ${status}`, { postId: post._id.toString(), title: post.title });
+    try {
+      await BlogRevision.record(post, { reason: 'schedule' });
+    } catch (error) {
+      logger.error('Record blog revision failed', { postId: post._id.toString(), error: error.message });
+    }
+    blogSync.postChanged(post);
+  }
+}
+
+// Create singleton instance
+const blogScheduler = new BlogScheduler();
+
+module.exports = blogScheduler;
@@ -0,0 +1,503 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const BlogPost = require('../models/BlogPost');
+const BlogRevision = require('../models/BlogRevision');
+const User = require('../models/User');
+const logger = require('./logger');
+
+const CATEGORIES = BlogPost.schema.path('category').enumValues;
+const PREFERENCES = ['newer', 'admin', 'public', 'skip'];
+
+const stripHtml = (html = '') => String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Shorten to a word boundary so imported text passes the model's length limits
+const clip = (text, max) => {
+  const value = String(text || '').trim();
+  if (value.length <= max) return value;
+  const cut = value.slice(0, max + 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > max / 2 ? cut.slice(0, space) : value.slice(0, max)).trim();
+};
+
+const absoluteUrl = (url, base) => {
+  if (!url || !base || /^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) return url;
+  return `${base.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+};
+
+const sameList = (a = [], b = []) => [...a].sort().join('\n') === [...b].sort().join('\n');
+
+/**
+ * Blog Sync
+ * The admin dashboard owns the blog: the public site (blog-backend) serves a
+ * MySQL copy of the posts. Every change here is pushed to blog-backend's
+ * /internal/sync endpoints; a push that fails is retried with backoff. A
+ * periodic reconcile (and scripts/syncBlogStores.js for the first migration)
+ * imports posts written on the public site, removes rows whose post was
+ * deleted here and reports slugs that exist on both sides unlinked.
+ */
+class BlogSync {
+  constructor() {
+    // Queued post ids, each with a count of the changes seen for it
+    this.pending = new Map();
+    this.flushing = null;
+    this.retryTimer = null;
+    this.failures = 0;
+    this.timer = null;
+    this.running = null;
+  }
+
+  get backendUrl() {
+    return (process.env.BLOG_BACKEND_URL || '').replace(/\/+$/, '');
+  }
+
+  isEnabled() {
+    return Boolean(this.backendUrl && process.env.INTERNAL_API_KEY);
+  }
+
+  // Posts that are scheduled, in review or drafts aren't public yet
+  publicStatus(status) {
+    return ['published', 'archived'].includes(status) ? status : 'draft';
+  }
+
+  /**
+   * The blog-backend row for a post. Upload paths are made absolute
+   * against ADMIN_PUBLIC_URL, where this server serves /uploads.
+   */
+  toPublic(post, author = null) {
+    const base = process.env.ADMIN_PUBLIC_URL;
+    const link = ({ url, text, nofollow }) => ({ url, text, nofollow: Boolean(nofollow) });
+    let schemaMarkup = {};
+    try {
+      schemaMarkup = post.schemaMarkup ? JSON.parse(post.schemaMarkup) : {};
+    } catch {
+      schemaMarkup = {};
+    }
+    const images = (post.images || []).map(image => ({
+      url: absoluteUrl(image.url, base),
+      altText: image.altText || '',
+      caption: image.caption || ''
+    }));
+
+    return {
+      title: post.title,
+      slug: post.slug,
+      content: post.content,
+      meta_description: post.metaDescription || '',
+      keywords: [...(post.focusKeywords || [])],
+      excerpt: post.excerpt || null,
+      featured_image: absoluteUrl(post.featuredImage, base) || (images[0] ? images[0].url : null),
+      images,
+      internal_links: (post.internalLinks || []).map(link),
+      external_links: (post.externalLinks || []).map(link),
+      schema_markup: schemaMarkup,
+      status: this.publicStatus(post.status),
+      published_at: post.publishedAt || null,
+      updated_at: post.updatedAt || null,
+      categories: post.category ? [post.category] : [],
+      tags: [...(post.tags || [])],
+      author: author && author.email ? { name: author.name, email: author.email } : undefined
+    };
+  }
+
+  /**
+   * BlogPost fields for a blog-backend row. The first category the model
+   * knows becomes the category and any others become tags; notes say what
+   * had to change for the post to fit the model.
+   */
+  fromPublic(row, { defaultCategory = 'Industry Trends' } = {}) {
+    const base = this.backendUrl;
+    const notes = [];
+    const categories = row.categories || [];
+    const known = (name) => CATEGORIES.find(category =>
+      category.toLowerCase() === String(name).toLowerCase() ||
+      slugify(category, { lower: true, strict: true }) === slugify(String(name), { lower: true, strict: true }));
+
+    const categoryName = categories.find(known);
+    const category = categoryName ? known(categoryName) : defaultCategory;
+    if (!categoryName) {
+      notes.push(categories.length
+        ? `categories ${categories.join(', ')} aren't admin categories; filed under ${category}`
+        : `no category; filed under ${category}`);
+    }
+    const tags = [...new Set([...categories.filter(name => name !== categoryName), ...(row.tags || [])])];
+
+    const title = clip(row.title, 60);
+    if (title !== String(row.title || '').trim()) notes.push('title shortened to 60 characters');
+    const metaSource = row.meta_description || row.excerpt || stripHtml(row.content);
+    const metaDescription = clip(metaSource, 160);
+    if (!row.meta_description) notes.push('meta description taken from the post');
+    else if (metaDescription !== String(metaSource).trim()) notes.push('meta description shortened to 160 characters');
+
+    let schemaMarkup = '';
+    if (row.schema_markup && typeof row.schema_markup === 'object' && Object.keys(row.schema_markup).length > 0) {
+      schemaMarkup = JSON.stringify(row.schema_markup);
+    }
+    const link = (isExternal) => (item) => ({
+      url: item.url,
+      text: item.text || item.url,
+      isExternal,
+      nofollow: Boolean(item.nofollow)
+    });
+
+    return {
+      fields: {
+        title,
+        slug: row.slug,
+        metaDescription,
+        focusKeywords: (row.keywords || []).filter(keyword => typeof keyword === 'string'),
+        content: row.content || '',
+        excerpt: row.excerpt ? clip(row.excerpt, 200) : undefined,
+        images: (row.images || []).map(image => {
+          const item = typeof image === 'string' ? { url: image } : image;
+          return {
+            url: absoluteUrl(item.url, base),
+            altText: clip(item.altText || row.title, 125),
+            caption: item.caption ? clip(item.caption, 200) : undefined
+          };
+        }),
+        internalLinks: (row.internal_links || []).filter(item => item && item.url).map(link(false)),
+        externalLinks: (row.external_links || []).filter(item => item && item.url).map(link(true)),
+        schemaMarkup,
+        status: BlogPost.STATUSES.includes(row.status) ? row.status : 'draft',
+        publishedAt: row.published_at ? new Date(row.published_at) : undefined,
+        category,
+        tags,
+        featuredImage: absoluteUrl(row.featured_image, base) || undefined
+      },
+      notes
+    };
+  }
+
+  // Public fields where a row differs from what the post would push
+  differences(post, row) {
+    const pushed = this.toPublic(post);
+    const text = value => (value === null || value === undefined ? '' : String(value));
+    const changed = ['title', 'slug', 'content', 'meta_description', 'excerpt', 'status', 'featured_image']
+      .filter(field => text(pushed[field]) !== text(row[field]));
+    ['categories', 'tags'].forEach(field => {
+      if (!sameList(pushed[field], row[field])) changed.push(field);
+    });
+    return changed;
+  }
+
+  /**
+   * Decide what reconciling the two stores does, without changing either.
+   * posts: BlogPosts with their author; rows: blog-backend posts.
+   * prefer settles a slug that exists on both sides unlinked and with
+   * different content: newer (last updated wins), admin, public or skip.
+   * Returns actions of type push, import, pull, delete, conflict or unchanged.
+   */
+  plan(posts, rows, { prefer = 'newer' } = {}) {
+    if (!PREFERENCES.includes(prefer)) {
+      throw new Error(`prefer must be one of ${PREFERENCES.join(', ')}`);
+    }
+
+    const actions = [];
+    const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+    const postsBySlug = new Map(posts.map(post => [post.slug, post]));
+    const linked = new Set(rows.filter(row => row.source_id && postsById.has(row.source_id)).map(row => row.source_id));
+    const matched = new Set();
+
+    rows.forEach(row => {
+      if (row.source_id) {
+        const post = postsById.get(row.source_id);
+        if (!post) {
+          actions.push({ type: 'delete', row, reason: 'post deleted in the admin dashboard' });
+          return;
+        }
+        matched.add(row.source_id);
+        const changes = this.differences(post, row);
+        actions.push(changes.length > 0
+          ? { type: 'push', post, row, reason: 'update', changes }
+          : { type: 'unchanged', post, row });
+        return;
+      }
+
+      const post = postsBySlug.get(row.slug);
+      if (!post) {
+        actions.push({ type: 'import', row, reason: 'only on the public site' });
+        return;
+      }
+      const id = post._id.toString();
+      if (linked.has(id) || matched.has(id)) {
+        actions.push({ type: 'conflict', post, row, reason: 'slug belongs to a post already synced to another row' });
+        return;
+      }
+      matched.add(id);
+
+      const changes = this.differences(post, row);
+      if (changes.length === 0) {
+        actions.push({ type: 'push', post, row, reason: 'link', changes });
+        return;
+      }
+
+      let winner = prefer;
+      if (prefer === 'newer') {
+        winner = new Date(row.updated_at) > new Date(post.updatedAt) ? 'public' : 'admin';
+      }
+      if (winner === 'admin') {
+        actions.push({ type: 'push', post, row, reason: 'conflict: admin version kept', changes });
+      } else if (winner === 'public') {
+        actions.push({ type: 'pull', post, row, reason: 'conflict: public version kept', changes });
+      } else {
+        actions.push({ type: 'conflict', post, row, reason: 'same slug, different content', changes });
+      }
+    });
+
+    posts.forEach(post => {
+      if (!matched.has(post._id.toString())) {
+        actions.push({ type: 'push', post, reason: 'create', changes: [] });
+      }
+    });
+
+    return actions;
+  }
+
+  async request(method, path, body) {
+    if (!this.isEnabled()) {
+      throw new Error('Blog sync needs BLOG_BACKEND_URL and INTERNAL_API_KEY');
+    }
+    const response = await fetch(`${this.backendUrl}/internal/sync${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Internal-Key': process.env.INTERNAL_API_KEY
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(parseInt(process.env.BLOG_SYNC_TIMEOUT) || 15000)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(data.message || `Blog backend responded ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  async listPublic() {
+    const { data } = await this.request('GET', '/posts');
+    return data;
+  }
+
+  async pushPost(post) {
+    const author = post.author && post.author.email
+      ? post.author
+      : await User.findById(post.author).select('name email');
+    return this.request('PUT', `/posts/${post._id}`, this.toPublic(post, author));
+  }
+
+  async removePost(id) {
+    return this.request('DELETE', `/posts/${id}`);
+  }
+
+  /**
+   * Queue a post for pushing after it was saved or deleted. The queue holds
+   * ids and each push reads the post again, so a retry sends its latest
+   * state, or deletes it if it's gone. Callers needn't wait; never rejects.
+   */
+  postChanged(postOrId) {
+    const id = String(postOrId && postOrId._id ? postOrId._id : postOrId);
+    if (!this.isEnabled() || !mongoose.isValidObjectId(id)) {
+      return Promise.resolve();
+    }
+    this.pending.set(id, (this.pending.get(id) || 0) + 1);
+    return this.flush();
+  }
+
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.pushPending().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Push queued posts until the queue is empty. A post saved again while its
+   * push was in flight stays queued and goes round once more, since the push
+   * may have read it before the save.
+   */
+  async pushPending() {
+    while (this.pending.size > 0) {
+      for (const [id, changes] of [...this.pending]) {
+        try {
+          const post = await BlogPost.findById(id).populate('author', 'name email');
+          if (post) {
+            await this.pushPost(post);
+          } else {
+            await this.removePost(id);
+          }
+          this.settle(id, changes);
+          this.failures = 0;
+        } catch (error) {
+          logger.error('Blog sync push failed', { postId: id, error: error.message });
+          // The backend says no (e.g. a slug conflict); retrying won't help, reconcile reports it
+          if (error.status >= 400 && error.status < 500) {
+            this.settle(id, changes);
+            continue;
+          }
+          this.scheduleRetry();
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Dequeue a post unless it changed again since its push started
+   */
+  settle(id, changes) {
+    if (this.pending.get(id) === changes) {
+      this.pending.delete(id);
+    }
+  }
+
+  scheduleRetry() {
+    this.failures += 1;
+    const maxDelay = parseInt(process.env.BLOG_SYNC_RETRY_MAX_DELAY) || 5 * 60 * 1000;
+    const delay = Math.min(1000 * 2 ** (this.failures - 1), maxDelay);
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+    this.retryTimer.unref();
+  }
+
+  // Author for posts imported from the public site: the same email here, else the fallback
+  async resolveAuthor(row, fallback) {
+    if (row.author_email) {
+      const user = await User.findOne({ email: String(row.author_email).toLowerCase() });
+      if (user) return user;
+    }
+    return fallback;
+  }
+
+  // Save imported fields but keep the public slug, which the title hook would regenerate
+  async saveKeepingSlug(post, slug) {
+    const saved = await post.save();
+    if (slug && saved.slug !== slug && !await BlogPost.exists({ slug, _id: { $ne: saved._id } })) {
+      await BlogPost.updateOne({ _id: saved._id }, { $set: { slug } });
+      saved.slug = slug;
+    }
+    return saved;
+  }
+
+  async apply(action, { fallbackAuthor, defaultCategory } = {}) {
+    const { type, post, row } = action;
+
+    if (type === 'push') {
+      await this.pushPost(post);
+    } else if (type === 'delete') {
+      await this.removePost(row.source_id);
+    } else if (type === 'import') {
+      const author = await this.resolveAuthor(row, fallbackAuthor);
+      if (!author) {
+        throw new Error(`no admin user for author ${row.author_email || row.author_name || 'unknown'}`);
+      }
+      const { fields } = this.fromPublic(row, { defaultCategory });
+      const imported = await this.saveKeepingSlug(new BlogPost({ ...fields, author: author._id }), row.slug);
+      await BlogRevision.record(imported, { author: author._id, reason: 'import' });
+      action.post = imported;
+      await this.pushPost(imported);
+    } else if (type === 'pull') {
+      const current = await BlogPost.findById(post._id);
+      const { fields: { status, ...fields } } = this.fromPublic(row, { defaultCategory });
+      Object.assign(current, fields);
+      current.changeStatus(status, null, 'Kept the public site version');
+      const updated = await this.saveKeepingSlug(current, row.slug);
+      await BlogRevision.record(updated, { reason: 'import' });
+      await this.pushPost(updated);
+    }
+  }
+
+  /**
+   * Reconcile the two stores. A dry run only plans. Returns the actions,
+   * each with an error when applying it failed.
+   * options: { dryRun, prefer, fallbackAuthor, defaultCategory }
+   */
+  async reconcile({ dryRun = false, prefer = 'newer', fallbackAuthor = null, defaultCategory } = {}) {
+    const [posts, rows] = await Promise.all([
+      BlogPost.find({}).populate('author', 'name email'),
+      this.listPublic()
+    ]);
+    const actions = this.plan(posts, rows, { prefer });
+    actions.forEach(action => {
+      if (action.type === 'import' || action.type === 'pull') {
+        action.notes = this.fromPublic(action.row, { defaultCategory }).notes;
+      }
+    });
+    if (dryRun) {
+      return actions;
+    }
+
+    const author = fallbackAuthor || await User.findOne({ role: 'admin' }).sort({ createdAt: 1 });
+    for (const action of actions) {
+      if (['push', 'import', 'pull', 'delete'].includes(action.type)) {
+        try {
+          await this.apply(action, { fallbackAuthor: author, defaultCategory });
+        } catch (error) {
+          action.error = error.message;
+        }
+      }
+    }
+    return actions;
+  }
+
+  start(intervalMs) {
+    if (this.timer || !this.isEnabled()) {
+      return false;
+    }
+
+    this.timer = setInterval(() => this.run(), intervalMs);
+    this.timer.unref();
+    setImmediate(() => this.run());
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.retryTimer);
+    this.timer = null;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Periodic reconcile; conflicts are left for scripts/syncBlogStores.js
+   * unless BLOG_SYNC_PREFER says otherwise
+   */
+  run() {
+    if (!mongoose.connection || mongoose.connection.readyState !== 1) {
+      return Promise.resolve(null);
+    }
+    if (!this.running) {
+      const prefer = PREFERENCES.includes(process.env.BLOG_SYNC_PREFER) ? process.env.BLOG_SYNC_PREFER : 'skip';
+      this.running = this.reconcile({ prefer })
+        .then((actions) => {
+          actions.filter(action => action.error || action.type === 'conflict').forEach(action => {
+            logger.warn('Blog sync needs attention', {
+              type: action.type,
+              slug: (action.row || action.post).slug,
+              reason: action.error || action.reason
+            });
+          });
+          return actions;
+        })
+        .catch((error) => {
+          logger.error('Blog sync run failed', { error: error.message });
+          return null;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+}
+
+// Create singleton instance
+const blogSync = new BlogSync();
+
+module.exports = blogSync;
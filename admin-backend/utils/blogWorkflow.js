@@ -0,0 +1,74 @@
+const { PermissionManager } = require('./permissions');
+
+// Status changes a user may make and the permission each needs. Writers draft
+// and submit; reviewers (publish_blog) request changes, approve and publish.
+const TRANSITIONS = {
+  draft: { in_review: 'write_blog', archived: 'write_blog', approved: 'publish_blog', scheduled: 'publish_blog', published: 'publish_blog' },
+  in_review: { draft: 'write_blog', changes_requested: 'publish_blog', approved: 'publish_blog', scheduled: 'publish_blog', published: 'publish_blog' },
+  changes_requested: { draft: 'write_blog', in_review: 'write_blog' },
+  approved: { draft: 'write_blog', in_review: 'write_blog', scheduled: 'publish_blog', published: 'publish_blog' },
+  scheduled: { draft: 'publish_blog', approved: 'publish_blog', published: 'publish_blog' },
+  published: { draft: 'publish_blog', archived: 'publish_blog' },
+  archived: { draft: 'write_blog', published: 'publish_blog' }
+};
+
+// Posts readers can see, or will see without anyone else acting
+const LIVE_STATUSES = ['scheduled', 'published'];
+
+// Status changes the post's submitter is told about
+const REVIEW_OUTCOMES = ['changes_requested', 'approved', 'scheduled', 'published'];
+
+class BlogWorkflow {
+  static canReview(user) {
+    return PermissionManager.userHasPermission(user, 'publish_blog');
+  }
+
+  // Statuses the user may move a post to from the given status
+  static allowedTransitions(user, from) {
+    return Object.entries(TRANSITIONS[from] || {})
+      .filter(([, permission]) => PermissionManager.userHasPermission(user, permission))
+      .map(([to]) => to);
+  }
+
+  // Every status with the transitions open to the user, for the editor
+  static transitionsFor(user) {
+    return Object.keys(TRANSITIONS).reduce((acc, status) => {
+      acc[status] = this.allowedTransitions(user, status);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Why the user may not move a post from one status to another, or null
+   * when they may. Changing a scheduled or published post in any way needs
+   * a reviewer, as it changes what readers see.
+   */
+  static checkTransition(user, from, to) {
+    if (LIVE_STATUSES.includes(from) && !this.canReview(user)) {
+      return 'Only editors can change scheduled or published posts';
+    }
+    if (from === to) {
+      return null;
+    }
+    if (!TRANSITIONS[from] || !TRANSITIONS[from][to]) {
+      return `A post can't move from ${from} to ${to}`;
+    }
+    if (!PermissionManager.userHasPermission(user, TRANSITIONS[from][to])) {
+      return `You don't have permission to move a post from ${from} to ${to}`;
+    }
+    return null;
+  }
+
+  // An approved post edited by a writer goes back for review
+  static needsReviewAfterEdit(user, status) {
+    return status === 'approved' && !this.canReview(user);
+  }
+
+  static isReviewOutcome(status) {
+    return REVIEW_OUTCOMES.includes(status);
+  }
+}
+
+BlogWorkflow.TRANSITIONS = TRANSITIONS;
+
+module.exports = BlogWorkflow;
@@ -0,0 +1,63 @@
+const fs = require('fs').promises;
+
+/**
+ * Random access to the bytes of an in-memory buffer or a file on disk.
+ * Lets the scanner read container structures by offset instead of loading
+ * whole uploads, which may be far larger than a Buffer or string can hold.
+ */
+class ByteSource {
+  constructor({ buffer = null, handle = null, length }) {
+    this.buffer = buffer;
+    this.handle = handle;
+    this.length = length;
+  }
+
+  static fromBuffer(buffer) {
+    return new ByteSource({ buffer, length: buffer.length });
+  }
+
+  static async open(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      return new ByteSource({ handle, length: size });
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Bytes from start (inclusive) to end (exclusive), clamped to the source
+   */
+  async read(start, end) {
+    const from = Math.max(0, start);
+    const to = Math.min(end, this.length);
+    if (to <= from) {
+      return Buffer.alloc(0);
+    }
+    if (this.buffer) {
+      return this.buffer.subarray(from, to);
+    }
+
+    const data = Buffer.alloc(to - from);
+    let filled = 0;
+    while (filled < data.length) {
+      const { bytesRead } = await this.handle.read(data, filled, data.length - filled, from + filled);
+      if (bytesRead === 0) {
+        break;
+      }
+      filled += bytesRead;
+    }
+    return data.subarray(0, filled);
+  }
+
+  async close() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+module.exports = ByteSource;
@@ -0,0 +1,169 @@
+const { EventEmitter } = require('events');
+
+// Server-Sent Events hub for live chat.
+// Presence and open streams live in this process only, so chat needs a single
+// backend instance (or sticky sessions) to route events correctly.
+class ChatHub extends EventEmitter {
+  constructor() {
+    super();
+    this.agents = new Map(); // userId -> { user, status, connections:Set<res>, offlineTimer }
+    this.visitors = new Map(); // conversationId -> Set<res>
+    this.heartbeatInterval = 25 * 1000;
+    this.offlineGracePeriod = parseInt(process.env.CHAT_AGENT_GRACE_MS) || 30 * 1000;
+    this.heartbeat = null;
+  }
+
+  // Prepare a response for streaming and return it
+  openStream(res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    this.flush(res);
+    this.startHeartbeat();
+    return res;
+  }
+
+  // Compression buffers output, so push each event out immediately
+  flush(res) {
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  }
+
+  write(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    this.flush(res);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      const streams = [
+        ...[...this.agents.values()].flatMap(agent => [...agent.connections]),
+        ...[...this.visitors.values()].flatMap(connections => [...connections])
+      ];
+      streams.forEach(res => {
+        res.write(': ping\n\n');
+        this.flush(res);
+      });
+    }, this.heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  // Agents
+
+  addAgent(user, res) {
+    const userId = user._id.toString();
+    let agent = this.agents.get(userId);
+
+    if (!agent) {
+      agent = { user: { _id: user._id, name: user.name, email: user.email }, status: 'available', connections: new Set() };
+      this.agents.set(userId, agent);
+    }
+    if (agent.offlineTimer) {
+      clearTimeout(agent.offlineTimer);
+      agent.offlineTimer = null;
+    }
+
+    const wasOnline = agent.connections.size > 0;
+    agent.connections.add(res);
+    if (!wasOnline) {
+      this.broadcastPresence();
+    }
+  }
+
+  // An agent counts as offline once their last stream has been closed for the grace period,
+  // so a page reload doesn't bounce their conversations back to the queue
+  removeAgent(userId, res) {
+    const agent = this.agents.get(userId.toString());
+    if (!agent) return;
+
+    agent.connections.delete(res);
+    if (agent.connections.size > 0) return;
+
+    agent.offlineTimer = setTimeout(() => {
+      agent.offlineTimer = null;
+      if (agent.connections.size === 0) {
+        this.agents.delete(userId.toString());
+        this.broadcastPresence();
+        this.emit('agentOffline', agent.user);
+      }
+    }, this.offlineGracePeriod);
+    agent.offlineTimer.unref();
+  }
+
+  setAgentStatus(userId, status) {
+    const agent = this.agents.get(userId.toString());
+    if (!agent) return false;
+
+    agent.status = status;
+    this.broadcastPresence();
+    return true;
+  }
+
+  getAgents() {
+    return [...this.agents.values()]
+      .filter(agent => agent.connections.size > 0)
+      .map(agent => ({ ...agent.user, status: agent.status }));
+  }
+
+  isAgentAvailable(userId) {
+    const agent = this.agents.get(userId.toString());
+    return Boolean(agent && agent.connections.size > 0 && agent.status === 'available');
+  }
+
+  getAvailableAgentCount() {
+    return this.getAgents().filter(agent => agent.status === 'available').length;
+  }
+
+  sendToAgents(event, data) {
+    this.agents.forEach(agent => {
+      agent.connections.forEach(res => this.write(res, event, data));
+    });
+  }
+
+  broadcastPresence() {
+    this.sendToAgents('presence', { agents: this.getAgents() });
+  }
+
+  // Visitors
+
+  addVisitor(conversationId, res) {
+    const key = conversationId.toString();
+    if (!this.visitors.has(key)) {
+      this.visitors.set(key, new Set());
+    }
+    this.visitors.get(key).add(res);
+  }
+
+  removeVisitor(conversationId, res) {
+    const key = conversationId.toString();
+    const connections = this.visitors.get(key);
+    if (!connections) return;
+
+    connections.delete(res);
+    if (connections.size === 0) {
+      this.visitors.delete(key);
+    }
+  }
+
+  isVisitorConnected(conversationId) {
+    return this.visitors.has(conversationId.toString());
+  }
+
+  sendToVisitor(conversationId, event, data) {
+    const connections = this.visitors.get(conversationId.toString());
+    if (!connections) return;
+    connections.forEach(res => this.write(res, event, data));
+  }
+}
+
+// Create singleton instance
+const chatHub = new ChatHub();
+
+module.exports = chatHub;
@@ -0,0 +1,153 @@
+const net = require('net');
+const fs = require('fs');
+const { Readable } = require('stream');
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * ClamAV daemon (clamd) scan engine.
+ * Streams content with INSTREAM over TCP or a Unix socket, so clamd never
+ * needs read access to the upload or encrypted directories.
+ *
+ * Engine interface used by MalwareScanner:
+ *   name, scanStream(stream) -> { isInfected, signature }, ping(), getVersion()
+ */
+class ClamAVEngine {
+  constructor({ socketPath = null, host = '127.0.0.1', port = 3310, timeout = 30000, chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+    this.name = 'clamav';
+    this.socketPath = socketPath;
+    this.host = host;
+    this.port = port;
+    this.timeout = timeout;
+    this.chunkSize = chunkSize;
+  }
+
+  static fromEnv() {
+    return new ClamAVEngine({
+      socketPath: process.env.CLAMAV_SOCKET || null,
+      host: process.env.CLAMAV_HOST || '127.0.0.1',
+      port: parseInt(process.env.CLAMAV_PORT) || 3310,
+      timeout: parseInt(process.env.CLAMAV_TIMEOUT) || 30000
+    });
+  }
+
+  get address() {
+    return this.socketPath || `${this.host}:${this.port}`;
+  }
+
+  /**
+   * Open a connection, let writeRequest send the command, and resolve with
+   * clamd's null-terminated reply
+   */
+  request(writeRequest) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socketPath
+        ? net.createConnection(this.socketPath)
+        : net.createConnection(this.port, this.host);
+      const chunks = [];
+      let settled = false;
+
+      const finish = (error, reply) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(reply);
+        }
+      };
+      const reply = () => Buffer.concat(chunks).toString('utf8').split('\0')[0].trim();
+
+      socket.setTimeout(this.timeout, () => {
+        finish(new Error(`clamd at ${this.address} did not respond within ${this.timeout}ms`));
+      });
+      socket.on('data', (chunk) => {
+        chunks.push(chunk);
+        if (chunk.includes(0)) finish(null, reply());
+      });
+      socket.on('end', () => finish(null, reply()));
+      socket.on('error', (error) => finish(new Error(`clamd at ${this.address}: ${error.message}`)));
+      socket.on('connect', () => {
+        Promise.resolve(writeRequest(socket)).catch(error => finish(error));
+      });
+    });
+  }
+
+  command(name) {
+    return this.request(socket => socket.write(`z${name}\0`));
+  }
+
+  async ping() {
+    return (await this.command('PING')) === 'PONG';
+  }
+
+  /**
+   * Engine and signature database version, e.g. "ClamAV 1.2.1/27064/Tue Oct 15 08:36:26 2024"
+   */
+  async getVersion() {
+    const reply = await this.command('VERSION');
+    const [version, signatureVersion, signatureDate] = reply.split('/');
+    return {
+      version,
+      signatureVersion: signatureVersion ? parseInt(signatureVersion, 10) : null,
+      signatureDate: signatureDate ? new Date(signatureDate) : null
+    };
+  }
+
+  /**
+   * Scan a readable stream with INSTREAM: length-prefixed chunks, ended by a zero-length chunk
+   */
+  async scanStream(stream) {
+    const reply = await this.request(async (socket) => {
+      socket.write('zINSTREAM\0');
+
+      for await (const data of stream) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        for (let offset = 0; offset < buffer.length; offset += this.chunkSize) {
+          // clamd closes the connection early when StreamMaxLength is exceeded
+          if (socket.destroyed) return;
+
+          const chunk = buffer.subarray(offset, offset + this.chunkSize);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          if (!socket.write(Buffer.concat([length, chunk]))) {
+            await new Promise(resolve => {
+              socket.once('drain', resolve);
+              socket.once('close', resolve);
+            });
+          }
+        }
+      }
+
+      if (!socket.destroyed) {
+        socket.write(Buffer.alloc(4));
+      }
+    });
+
+    return this.parseScanReply(reply);
+  }
+
+  scanBuffer(buffer) {
+    return this.scanStream(Readable.from([buffer]));
+  }
+
+  scanFile(filePath) {
+    return this.scanStream(fs.createReadStream(filePath));
+  }
+
+  parseScanReply(reply) {
+    if (reply === 'stream: OK') {
+      return { isInfected: false, signature: null };
+    }
+
+    const found = reply.match(/^stream: (.+) FOUND$/);
+    if (found) {
+      return { isInfected: true, signature: found[1] };
+    }
+
+    throw new Error(`clamd error: ${reply.replace(/\s*ERROR$/, '') || 'empty reply'}`);
+  }
+}
+
+module.exports = ClamAVEngine;
@@ -1,6 +1,8 @@
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const { Readable } = require('stream');
+const streamEncryption = require('./streamEncryption');
 
 class EncryptionManager {
   constructor() {
@@ -12,6 +14,148 @@ class EncryptionManager {
     
     // Get encryption key from environment or generate one
     this.masterKey = process.env.ENCRYPTION_MASTER_KEY || this.generateMasterKey();
+
+    // Versioned key-encryption keys (KEKs) that wrap the per-file keys
+    this.keyring = this.loadKeyring();
+    this.activeKeyVersion = this.loadActiveKeyVersion();
+    this.kekCache = new Map();
+  }
+
+  /**
+   * Load the KEK keyring from ENCRYPTION_MASTER_KEYS ("1:key,2:key").
+   * Without it the legacy ENCRYPTION_MASTER_KEY is used as version 1.
+   */
+  loadKeyring() {
+    const keyring = new Map();
+    const configured = process.env.ENCRYPTION_MASTER_KEYS;
+
+    if (!configured) {
+      keyring.set(1, this.masterKey);
+      return keyring;
+    }
+
+    configured.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.indexOf(':');
+      const version = parseInt(entry.slice(0, separator), 10);
+      const key = entry.slice(separator + 1).trim();
+
+      if (separator === -1 || !Number.isInteger(version) || version < 1 || !key) {
+        throw new Error('ENCRYPTION_MASTER_KEYS entries must look like "<version>:<key>"');
+      }
+      if (keyring.has(version)) {
+        throw new Error(`ENCRYPTION_MASTER_KEYS lists key version ${version} twice`);
+      }
+      keyring.set(version, key);
+    });
+
+    if (keyring.size === 0) {
+      throw new Error('ENCRYPTION_MASTER_KEYS does not contain any keys');
+    }
+    return keyring;
+  }
+
+  /**
+   * Version new file keys are wrapped with; defaults to the newest KEK
+   */
+  loadActiveKeyVersion() {
+    const configured = process.env.ENCRYPTION_ACTIVE_KEY_VERSION;
+    const version = configured ? parseInt(configured, 10) : Math.max(...this.keyring.keys());
+
+    if (!this.keyring.has(version)) {
+      throw new Error(`ENCRYPTION_ACTIVE_KEY_VERSION ${configured} is not in the keyring`);
+    }
+    return version;
+  }
+
+  /**
+   * Get the wrapping key for a KEK version (HKDF-derived, cached)
+   */
+  getKek(version) {
+    if (!this.keyring.has(version)) {
+      throw new Error(`Key encryption key version ${version} is not available`);
+    }
+
+    if (!this.kekCache.has(version)) {
+      const derived = crypto.hkdfSync(
+        'sha256',
+        Buffer.from(this.keyring.get(version), 'utf8'),
+        Buffer.from('lexocrates-kek', 'utf8'),
+        Buffer.from(`kek-v${version}`, 'utf8'),
+        this.keyLength
+      );
+      this.kekCache.set(version, Buffer.from(derived));
+    }
+    return this.kekCache.get(version);
+  }
+
+  /**
+   * Wrap a per-file key with a KEK (AES-256-GCM, KEK version bound as AAD)
+   */
+  wrapFileKey(fileKey, version = this.activeKeyVersion) {
+    const iv = this.generateIV();
+    const cipher = crypto.createCipheriv(this.algorithm, this.getKek(version), iv, { authTagLength: this.tagLength });
+    cipher.setAAD(Buffer.from(`lexocrates-kek-wrap:v${version}`, 'utf8'));
+
+    const ciphertext = Buffer.concat([cipher.update(fileKey, 'utf8'), cipher.final()]);
+
+    return {
+      wrappedKey: {
+        ciphertext: ciphertext.toString('hex'),
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex')
+      },
+      keyVersion: version
+    };
+  }
+
+  /**
+   * Recover the per-file key from a file's encryption metadata.
+   * Files stored before envelope encryption carry the key in plaintext.
+   */
+  unwrapFileKey(metadata) {
+    if (metadata && metadata.wrappedKey && metadata.wrappedKey.ciphertext) {
+      const { ciphertext, iv, tag } = metadata.wrappedKey;
+      const version = metadata.keyVersion;
+
+      try {
+        const decipher = crypto.createDecipheriv(
+          this.algorithm,
+          this.getKek(version),
+          Buffer.from(iv, 'hex'),
+          { authTagLength: this.tagLength }
+        );
+        decipher.setAAD(Buffer.from(`lexocrates-kek-wrap:v${version}`, 'utf8'));
+        decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+        return Buffer.concat([
+          decipher.update(Buffer.from(ciphertext, 'hex')),
+          decipher.final()
+        ]).toString('utf8');
+      } catch (error) {
+        throw new Error(`Failed to unwrap file key (KEK version ${version}): ${error.message}`);
+      }
+    }
+
+    if (metadata && metadata.fileKey) {
+      return metadata.fileKey;
+    }
+
+    throw new Error('File has no encryption key');
+  }
+
+  /**
+   * Re-wrap a file key under another KEK version without touching the file itself
+   */
+  rewrapFileKey(metadata, version = this.activeKeyVersion) {
+    return this.wrapFileKey(this.unwrapFileKey(metadata), version);
+  }
+
+  /**
+   * Whether a file's key is still plaintext or wrapped with an older KEK
+   */
+  needsRewrap(metadata, version = this.activeKeyVersion) {
+    return !(metadata && metadata.wrappedKey && metadata.wrappedKey.ciphertext) ||
+      metadata.keyVersion !== version;
   }
 
   /**
@@ -115,32 +259,16 @@ class EncryptionManager {
   }
 
   /**
-   * Encrypt file and save to disk
+   * Encrypt file and save to disk (streamed, chunked AEAD format)
    */
   async encryptFile(inputPath, outputPath, key = null) {
     try {
-      // Read file
-      const fileData = await fs.readFile(inputPath);
-      
-      // Encrypt file data (base64-encode original bytes for safe JSON storage)
-      const encryptedData = this.encryptData(fileData.toString('base64'), key);
-      
-      // Add file metadata
-      const fileMetadata = {
-        originalName: path.basename(inputPath),
-        originalSize: fileData.length,
-        mimeType: this.getMimeType(inputPath),
-        encryptedAt: new Date().toISOString(),
-        ...encryptedData
-      };
-      
-      // Save encrypted file with metadata
-      await fs.writeFile(outputPath, JSON.stringify(fileMetadata, null, 2));
-      
+      const result = await streamEncryption.encryptFile(inputPath, outputPath, key || this.masterKey);
+
       return {
         success: true,
-        originalSize: fileData.length,
-        encryptedSize: JSON.stringify(fileMetadata).length,
+        originalSize: result.originalSize,
+        encryptedSize: result.encryptedSize,
         outputPath: outputPath
       };
     } catch (error) {
@@ -154,9 +282,22 @@ class EncryptionManager {
    */
   async decryptFile(encryptedFilePath, outputPath = null, key = null) {
     try {
-      // Read encrypted file
-      const encryptedFileData = await fs.readFile(encryptedFilePath, 'utf8');
-      const fileMetadata = JSON.parse(encryptedFileData);
+      if (await streamEncryption.isChunkedFile(encryptedFilePath)) {
+        const finalOutputPath = outputPath || path.join(
+          path.dirname(encryptedFilePath),
+          `decrypted_${path.basename(encryptedFilePath, '.enc')}`
+        );
+        const result = await streamEncryption.decryptFile(encryptedFilePath, finalOutputPath, key || this.masterKey);
+
+        return {
+          success: true,
+          originalSize: result.originalSize,
+          outputPath: finalOutputPath
+        };
+      }
+
+      // Files encrypted before the chunked format are a single JSON document
+      const fileMetadata = await this.readLegacyFile(encryptedFilePath);
       
       // Decrypt data (use provided key if available)
       const decryptedBase64 = this.decryptData(fileMetadata, key);
@@ -182,8 +323,49 @@ class EncryptionManager {
     }
   }
 
+  async readLegacyFile(encryptedFilePath) {
+    return JSON.parse(await fs.readFile(encryptedFilePath, 'utf8'));
+  }
+
+  /**
+   * Plaintext size of an encrypted file, without decrypting it
+   */
+  async getDecryptedSize(encryptedFilePath) {
+    if (await streamEncryption.isChunkedFile(encryptedFilePath)) {
+      return (await streamEncryption.getLayout(encryptedFilePath)).plaintextSize;
+    }
+    return (await this.readLegacyFile(encryptedFilePath)).originalSize;
+  }
+
   /**
-   * Encrypt file buffer in memory
+   * Readable plaintext stream for a whole file or an inclusive { start, end } range.
+   * Chunked files decrypt only the chunks the range covers; legacy files are
+   * decrypted in memory first, as they always were.
+   */
+  async createDecryptedStream(encryptedFilePath, key = null, range = null) {
+    if (await streamEncryption.isChunkedFile(encryptedFilePath)) {
+      return streamEncryption.createDecryptStream(encryptedFilePath, key || this.masterKey, range);
+    }
+
+    const fileMetadata = await this.readLegacyFile(encryptedFilePath);
+    const buffer = Buffer.from(this.decryptData(fileMetadata, key), 'base64');
+    const start = range ? range.start : 0;
+    const end = range ? range.end : buffer.length - 1;
+    if (range && (start < 0 || end >= buffer.length || start > end)) {
+      throw new RangeError('Requested range is not satisfiable');
+    }
+
+    return {
+      stream: Readable.from([buffer.subarray(start, end + 1)]),
+      size: buffer.length,
+      start,
+      end,
+      length: Math.max(end - start + 1, 0)
+    };
+  }
+
+  /**
+   * Encrypt file buffer in memory (small payloads only; use encryptFile for files)
    */
   encryptFileBuffer(buffer, key = null) {
     try {
@@ -196,7 +378,7 @@ class EncryptionManager {
   }
 
   /**
-   * Decrypt file buffer in memory
+   * Decrypt file buffer in memory (small payloads only; use createDecryptedStream for files)
    */
   decryptFileBuffer(encryptedData, key = null) {
     try {
@@ -245,19 +427,6 @@ class EncryptionManager {
     return requiredFields.every(field => encryptedData.hasOwnProperty(field));
   }
 
-  /**
-   * Rotate encryption keys
-   */
-  async rotateKeys(oldKey, newKey) {
-    try {
-      console.log('Key rotation initiated');
-      return { success: true, message: 'Key rotation completed' };
-    } catch (error) {
-      console.error('Key rotation error:', error);
-      throw new Error('Failed to rotate encryption keys');
-    }
-  }
-
   /**
    * Generate encryption report
    */
@@ -268,6 +437,16 @@ class EncryptionManager {
       ivLength: this.ivLength * 8,
       tagLength: this.tagLength * 8,
       saltLength: this.saltLength * 8,
+      fileFormat: {
+        name: 'chunked-aead-v1',
+        chunkSize: streamEncryption.chunkSize,
+        chunkTagLength: streamEncryption.tagLength * 8
+      },
+      keyManagement: {
+        scheme: 'envelope',
+        activeKeyVersion: this.activeKeyVersion,
+        availableKeyVersions: Array.from(this.keyring.keys()).sort((a, b) => a - b)
+      },
       timestamp: new Date().toISOString(),
       status: 'active'
     };
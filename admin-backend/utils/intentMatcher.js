@@ -0,0 +1,121 @@
+const natural = require('natural');
+
+class IntentMatcher {
+  constructor() {
+    this.tokenizer = new natural.WordTokenizer();
+    this.stopwords = new Set(natural.stopwords);
+    // Minimum score for a question to count as answered
+    this.threshold = parseFloat(process.env.CHATBOT_MATCH_THRESHOLD) || 0.6;
+    // Tokens this close (Jaro-Winkler) are treated as the same word, to absorb typos
+    this.fuzzyDistance = 0.92;
+    this.fuzzyMinLength = 5;
+    this.stopwordWeight = 0.5;
+  }
+
+  // Lowercase, tokenize and stem; stopwords are flagged rather than dropped
+  analyze(text) {
+    return this.tokenizer.tokenize(String(text || '').toLowerCase()).map(token => ({
+      token,
+      stem: natural.PorterStemmer.stem(token),
+      stopword: this.stopwords.has(token)
+    }));
+  }
+
+  // Significant stems of a phrase; a phrase made only of stopwords ("how much") keeps them all
+  significantStems(terms) {
+    const significant = terms.filter(term => !term.stopword);
+    return (significant.length > 0 ? significant : terms).map(term => term.stem);
+  }
+
+  tokenMatches(stem, questionStems) {
+    return questionStems.some(candidate => (
+      candidate === stem ||
+      (stem.length >= this.fuzzyMinLength &&
+        candidate.length >= this.fuzzyMinLength &&
+        natural.JaroWinklerDistance(candidate, stem) >= this.fuzzyDistance)
+    ));
+  }
+
+  // Weighted fraction of a keyword's words found in the question; stopwords count for less.
+  // Stopwords alone never match: a keyword needs one of its content words, or, if it has
+  // none ("what do you do"), every one of its words.
+  coverage(keywordTerms, questionStems) {
+    let total = 0;
+    let matched = 0;
+    let contentWords = 0;
+    let contentMatched = 0;
+
+    keywordTerms.forEach(term => {
+      const weight = term.stopword ? this.stopwordWeight : 1;
+      const found = this.tokenMatches(term.stem, questionStems);
+      total += weight;
+      if (found) matched += weight;
+      if (!term.stopword) {
+        contentWords++;
+        if (found) contentMatched++;
+      }
+    });
+
+    if (total === 0) return 0;
+    if (contentWords > 0 ? contentMatched === 0 : matched < total) return 0;
+    return matched / total;
+  }
+
+  // Score an intent against an analyzed question, between 0 and 1
+  scoreIntent(intent, questionTerms) {
+    const questionStems = questionTerms.map(term => term.stem);
+    const significantQuestion = this.significantStems(questionTerms);
+
+    // Keywords: best coverage, with a bonus for several distinct keyword hits
+    let bestKeyword = 0;
+    let keywordHits = 0;
+    (intent.keywords || []).forEach(keyword => {
+      const score = this.coverage(this.analyze(keyword), questionStems);
+      if (score === 1) keywordHits++;
+      bestKeyword = Math.max(bestKeyword, score);
+    });
+    const keywordScore = Math.min(1, bestKeyword * 0.85 + 0.15 * Math.min(keywordHits, 3) / 3);
+
+    // Example phrases: word overlap relative to the longer of the two
+    let phraseScore = 0;
+    (intent.examplePhrases || []).forEach(phrase => {
+      const phraseStems = this.significantStems(this.analyze(phrase));
+      const longer = Math.max(phraseStems.length, significantQuestion.length);
+      if (longer === 0) return;
+      const overlap = phraseStems.filter(stem => this.tokenMatches(stem, significantQuestion)).length;
+      phraseScore = Math.max(phraseScore, overlap / longer);
+    });
+
+    return Math.max(keywordScore, phraseScore);
+  }
+
+  // Rank intents for a question, best first; fallback intents never match
+  rank(question, intents, limit = 3) {
+    const questionTerms = this.analyze(question);
+    if (questionTerms.length === 0) return [];
+
+    return intents
+      .filter(intent => !intent.isFallback)
+      .map(intent => ({ intent, score: Math.round(this.scoreIntent(intent, questionTerms) * 1000) / 1000 }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Pick the answer for a question: the top intent if it clears the threshold
+  match(question, intents) {
+    const ranked = this.rank(question, intents);
+    const best = ranked[0];
+
+    return {
+      answered: Boolean(best && best.score >= this.threshold),
+      best: best || null,
+      ranked
+    };
+  }
+}
+
+// Create singleton instance
+const intentMatcher = new IntentMatcher();
+
+module.exports = intentMatcher;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const File = require('../models/File');
+const encryptionManager = require('./encryption');
+const AuditService = require('./auditService');
+const logger = require('./logger');
+
+const MAX_REPORTED_FAILURES = 100;
+
+/**
+ * Key Rotation
+ * Re-wraps every stored file key with the active KEK. File contents are never
+ * re-encrypted: envelope encryption means only the small wrapped keys change.
+ * Emits 'progress' and 'finished' with a snapshot of the job.
+ */
+class KeyRotationService extends EventEmitter {
+  constructor() {
+    super();
+    this.batchSize = parseInt(process.env.KEY_ROTATION_BATCH_SIZE) || 100;
+    this.currentJob = null;
+    this.lastJob = null;
+  }
+
+  isRunning() {
+    return Boolean(this.currentJob);
+  }
+
+  /**
+   * Current job, or the last finished one
+   */
+  getStatus() {
+    const job = this.currentJob || this.lastJob;
+    return job ? this.snapshot(job) : null;
+  }
+
+  snapshot(job) {
+    const { promise, ...data } = job;
+    return {
+      ...data,
+      failures: [...job.failures],
+      percent: job.total ? Math.round((job.processed / job.total) * 100) : 100
+    };
+  }
+
+  /**
+   * Start a rotation in the background and return the job right away.
+   * job.promise resolves with the final snapshot.
+   */
+  start({ userId = null, targetVersion = encryptionManager.activeKeyVersion } = {}) {
+    if (this.currentJob) {
+      const error = new Error('A key rotation is already running');
+      error.code = 'ROTATION_IN_PROGRESS';
+      throw error;
+    }
+
+    // Fails fast if the target KEK is not configured
+    encryptionManager.getKek(targetVersion);
+
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      status: 'running',
+      targetVersion,
+      startedBy: userId ? userId.toString() : null,
+      startedAt: new Date(),
+      finishedAt: null,
+      total: 0,
+      processed: 0,
+      rewrapped: 0,
+      skipped: 0,
+      failed: 0,
+      failures: [],
+      error: null
+    };
+
+    this.currentJob = job;
+    job.promise = this.run(job);
+    return job;
+  }
+
+  async run(job) {
+    const query = {
+      'encryptionMetadata.keyVersion': { $ne: job.targetVersion },
+      $or: [
+        { 'encryptionMetadata.fileKey': { $exists: true, $ne: null } },
+        { 'encryptionMetadata.wrappedKey.ciphertext': { $exists: true, $ne: null } }
+      ]
+    };
+
+    try {
+      job.total = await File.countDocuments(query);
+      logger.info('Key rotation started', { jobId: job.id, targetVersion: job.targetVersion, total: job.total });
+      this.emit('progress', this.snapshot(job));
+
+      const cursor = File.find(query)
+        .select('originalName encryptionMetadata')
+        .sort({ _id: 1 })
+        .lean()
+        .cursor({ batchSize: this.batchSize });
+
+      for await (const file of cursor) {
+        await this.rotateFile(job, file);
+        job.processed++;
+
+        if (job.processed % this.batchSize === 0 || job.processed === job.total) {
+          logger.info('Key rotation progress', {
+            jobId: job.id,
+            processed: job.processed,
+            total: job.total,
+            failed: job.failed
+          });
+        }
+        this.emit('progress', this.snapshot(job));
+      }
+
+      job.status = job.failed > 0 ? 'completed_with_errors' : 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error('Key rotation failed', { jobId: job.id, error: error.message });
+    }
+
+    job.finishedAt = new Date();
+    this.lastJob = job;
+    this.currentJob = null;
+
+    await this.recordAudit(job);
+
+    const result = this.snapshot(job);
+    this.emit('finished', result);
+    return result;
+  }
+
+  async rotateFile(job, file) {
+    const metadata = file.encryptionMetadata || {};
+
+    try {
+      const rewrapped = encryptionManager.rewrapFileKey(metadata, job.targetVersion);
+
+      // Refuse to write a wrapped key that doesn't open to the same file key
+      if (encryptionManager.unwrapFileKey(rewrapped) !== encryptionManager.unwrapFileKey(metadata)) {
+        throw new Error('Re-wrapped key failed verification');
+      }
+
+      // Only update if the key wasn't changed since it was read (e.g. by an overlapping upload)
+      const result = await File.updateOne(
+        { _id: file._id, 'encryptionMetadata.keyVersion': metadata.keyVersion ?? null },
+        {
+          $set: {
+            'encryptionMetadata.wrappedKey': rewrapped.wrappedKey,
+            'encryptionMetadata.keyVersion': rewrapped.keyVersion,
+            'encryptionMetadata.rewrappedAt': new Date()
+          },
+          $unset: { 'encryptionMetadata.fileKey': '' }
+        }
+      );
+
+      if (result.modifiedCount === 1) {
+        job.rewrapped++;
+      } else {
+        job.skipped++;
+      }
+    } catch (error) {
+      job.failed++;
+      if (job.failures.length < MAX_REPORTED_FAILURES) {
+        job.failures.push({
+          fileId: file._id.toString(),
+          originalName: file.originalName,
+          error: error.message
+        });
+      }
+      logger.error('Key rotation failed for file', { jobId: job.id, fileId: file._id.toString(), error: error.message });
+    }
+  }
+
+  async recordAudit(job) {
+    try {
+      await AuditService.logSecurityEvent('key_rotation', {
+        userId: job.startedBy || undefined,
+        resourceType: 'system',
+        resourceId: job.id,
+        success: job.status === 'completed',
+        reason: job.error || (job.failed > 0 ? `${job.failed} file key(s) could not be re-wrapped` : undefined),
+        jobId: job.id,
+        status: job.status,
+        targetVersion: job.targetVersion,
+        total: job.total,
+        rewrapped: job.rewrapped,
+        skipped: job.skipped,
+        failed: job.failed,
+        failures: job.failures,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        duration: job.finishedAt - job.startedAt
+      });
+    } catch (error) {
+      logger.error('Failed to record key rotation in audit log', { jobId: job.id, error: error.message });
+    }
+  }
+}
+
+// Create singleton instance
+const keyRotationService = new KeyRotationService();
+
+module.exports = keyRotationService;
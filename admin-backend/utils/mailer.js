@@ -0,0 +1,46 @@
+const nodemailer = require('nodemailer');
+
+class Mailer {
+  // SMTP is optional in development; callers skip sending when it is not set up
+  static isConfigured() {
+    return Boolean(process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS);
+  }
+
+  // Build a transporter from the SMTP environment settings
+  static createTransport() {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT || 587,
+      secure: process.env.SMTP_PORT === '465',
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+  }
+
+  // Send a message, returning a delivery record instead of throwing
+  static async send({ to, subject, html, text, replyTo, headers }) {
+    if (!Mailer.isConfigured()) {
+      return { status: 'skipped' };
+    }
+
+    try {
+      await Mailer.createTransport().sendMail({
+        from: process.env.EMAIL_FROM || 'noreply@lexocrates.com',
+        to,
+        subject,
+        html,
+        text,
+        replyTo,
+        headers
+      });
+      return { status: 'sent' };
+    } catch (error) {
+      console.error('Email sending failed:', error);
+      return { status: 'failed', error: error.message };
+    }
+  }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,427 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const HashBlocklist = require('../models/HashBlocklist');
+const encryptionManager = require('./encryption');
+const malwareScanner = require('./malwareScanner');
+const AuditService = require('./auditService');
+const logger = require('./logger');
+
+const MAX_REPORTED_ITEMS = 100;
+
+/**
+ * Malware Rescan
+ * Re-checks stored files against the hash blocklist and the AV engines when
+ * signatures change, and quarantines anything that is now detected. Files are
+ * decrypted as a stream straight into the engines; nothing touches disk.
+ * Emits 'progress' and 'finished' with a snapshot of the job.
+ */
+class MalwareRescanService extends EventEmitter {
+  constructor() {
+    super();
+    this.batchSize = parseInt(process.env.MALWARE_RESCAN_BATCH_SIZE) || 50;
+    this.currentJob = null;
+    this.lastJob = null;
+    this.signatureVersions = new Map();
+    this.watchTimer = null;
+  }
+
+  isRunning() {
+    return Boolean(this.currentJob);
+  }
+
+  /**
+   * Current job, or the last finished one
+   */
+  getStatus() {
+    const job = this.currentJob || this.lastJob;
+    return job ? this.snapshot(job) : null;
+  }
+
+  snapshot(job) {
+    const { promise, ...data } = job;
+    return {
+      ...data,
+      detections: [...job.detections],
+      failures: [...job.failures],
+      percent: job.total ? Math.round((job.processed / job.total) * 100) : 100
+    };
+  }
+
+  /**
+   * Start a rescan in the background and return the job right away.
+   * Only files not yet scanned with the current signatures are included
+   * unless force is set. job.promise resolves with the final snapshot.
+   */
+  start({ userId = null, trigger = 'manual', force = false } = {}) {
+    if (this.currentJob) {
+      const error = new Error('A malware rescan is already running');
+      error.code = 'RESCAN_IN_PROGRESS';
+      throw error;
+    }
+
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      status: 'running',
+      trigger,
+      force,
+      startedBy: userId ? userId.toString() : null,
+      startedAt: new Date(),
+      finishedAt: null,
+      engines: [],
+      total: 0,
+      processed: 0,
+      scanned: 0,
+      quarantined: 0,
+      failed: 0,
+      detections: [],
+      failures: [],
+      error: null
+    };
+
+    this.currentJob = job;
+    job.promise = this.run(job);
+    return job;
+  }
+
+  /**
+   * Server-side encrypted files that are still available, optionally only
+   * those an engine hasn't seen with its current signature version
+   */
+  buildQuery(engines, force) {
+    const conditions = [
+      { status: 'encrypted' },
+      {
+        $or: [
+          { 'encryptionMetadata.fileKey': { $exists: true, $ne: null } },
+          { 'encryptionMetadata.wrappedKey.ciphertext': { $exists: true, $ne: null } }
+        ]
+      }
+    ];
+
+    if (!force && engines.length > 0) {
+      conditions.push({
+        $or: engines.map(engine => ({
+          'scanResult.engines': {
+            $not: { $elemMatch: { name: engine.name, signatureVersion: engine.signatureVersion } }
+          }
+        }))
+      });
+    }
+
+    return { $and: conditions };
+  }
+
+  async run(job) {
+    try {
+      job.engines = await Promise.all(malwareScanner.engines.map(async (engine) => {
+        const info = await malwareScanner.getEngineVersion(engine, { refresh: true });
+        return { name: engine.name, version: info.version, signatureVersion: info.signatureVersion };
+      }));
+
+      const query = this.buildQuery(job.engines, job.force);
+      job.total = await File.countDocuments(query);
+      logger.info('Malware rescan started', { jobId: job.id, trigger: job.trigger, total: job.total, engines: job.engines });
+      this.emit('progress', this.snapshot(job));
+
+      const cursor = File.find(query)
+        .select('originalName encryptedFilePath encryptionMetadata scanResult')
+        .sort({ _id: 1 })
+        .lean()
+        .cursor({ batchSize: this.batchSize });
+
+      for await (const file of cursor) {
+        await this.rescanFile(job, file);
+        job.processed++;
+
+        if (job.processed % this.batchSize === 0 || job.processed === job.total) {
+          logger.info('Malware rescan progress', {
+            jobId: job.id,
+            processed: job.processed,
+            total: job.total,
+            quarantined: job.quarantined,
+            failed: job.failed
+          });
+        }
+        this.emit('progress', this.snapshot(job));
+      }
+
+      job.status = job.failed > 0 ? 'completed_with_errors' : 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error('Malware rescan failed', { jobId: job.id, error: error.message });
+    }
+
+    job.finishedAt = new Date();
+    this.lastJob = job;
+    this.currentJob = null;
+
+    await this.recordAudit(job);
+
+    const result = this.snapshot(job);
+    this.emit('finished', result);
+    return result;
+  }
+
+  async rescanFile(job, file) {
+    const fileId = file._id.toString();
+
+    try {
+      const match = await HashBlocklist.findMatch(file.scanResult?.fileHash);
+      if (match) {
+        await this.recordDetection(job, file, { detectedBy: 'hash_blocklist', signature: match.name });
+        job.scanned++;
+        return;
+      }
+
+      if (malwareScanner.engines.length === 0) {
+        job.scanned++;
+        return;
+      }
+
+      const results = await malwareScanner.scanWithEngines(async () => {
+        const { stream } = await encryptionManager.createDecryptedStream(
+          file.encryptedFilePath,
+          encryptionManager.unwrapFileKey(file.encryptionMetadata)
+        );
+        return stream;
+      });
+
+      // Engines that failed keep their previous verdict, so the file stays due for a rescan
+      const previous = file.scanResult?.engines || [];
+      const engines = results.map(result => (
+        result.error ? previous.find(entry => entry.name === result.name) || result : result
+      ));
+      await File.updateOne(
+        { _id: file._id },
+        { $set: { 'scanResult.engines': engines, 'scanResult.scannedAt': new Date() } }
+      );
+
+      const infected = results.find(result => result.isInfected);
+      if (infected) {
+        await this.recordDetection(job, file, { detectedBy: infected.name, signature: infected.signature });
+      }
+
+      const errors = results.filter(result => result.error);
+      if (errors.length > 0) {
+        throw new Error(errors.map(result => `${result.name}: ${result.error}`).join('; '));
+      }
+
+      job.scanned++;
+    } catch (error) {
+      job.failed++;
+      if (job.failures.length < MAX_REPORTED_ITEMS) {
+        job.failures.push({ fileId, originalName: file.originalName, error: error.message });
+      }
+      logger.error('Malware rescan failed for file', { jobId: job.id, fileId, error: error.message });
+    }
+  }
+
+  async recordDetection(job, file, { detectedBy, signature }) {
+    const quarantined = await this.quarantine(file, {
+      detectedBy,
+      signature,
+      userId: job.startedBy,
+      trigger: job.trigger
+    });
+
+    if (quarantined) {
+      job.quarantined++;
+      if (job.detections.length < MAX_REPORTED_ITEMS) {
+        job.detections.push({ fileId: file._id.toString(), originalName: file.originalName, detectedBy, signature });
+      }
+    }
+  }
+
+  /**
+   * Move a stored file into quarantine. The encrypted blob stays where it is;
+   * downloads are refused while the status is 'quarantined'. A file an admin
+   * released is not quarantined again for the same signature.
+   */
+  async quarantine(file, { detectedBy, signature, userId = null, trigger = 'manual' }) {
+    const reason = detectedBy === 'hash_blocklist'
+      ? `File hash matches blocklist entry: ${signature}`
+      : `${detectedBy} detected ${signature}`;
+
+    const result = await File.updateOne(
+      {
+        _id: file._id,
+        status: 'encrypted',
+        $nor: [{ 'quarantine.releasedAt': { $exists: true }, 'quarantine.signature': signature }]
+      },
+      {
+        $set: {
+          status: 'quarantined',
+          quarantine: { reason, detectedBy, signature, quarantinedAt: new Date() },
+          'scanResult.isClean': false,
+          'scanResult.assessment': 'MALICIOUS'
+        },
+        $addToSet: { 'scanResult.threats': reason }
+      }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return false;
+    }
+
+    logger.warn('File quarantined', { fileId: file._id.toString(), detectedBy, signature, trigger });
+
+    try {
+      await AuditService.logSecurityEvent('malware_detected', {
+        userId: userId || undefined,
+        resourceType: 'file',
+        resourceId: file._id.toString(),
+        fileName: file.originalName,
+        malwareType: signature,
+        detectedBy,
+        trigger,
+        action: 'quarantined'
+      });
+    } catch (error) {
+      logger.error('Failed to record quarantine in audit log', { fileId: file._id.toString(), error: error.message });
+    }
+
+    return true;
+  }
+
+  /**
+   * Quarantine stored files whose hashes were just added to the blocklist.
+   * Uses the hashes recorded at upload, so nothing has to be decrypted.
+   */
+  async quarantineByHashes(entries, userId = null) {
+    const byAlgorithm = { md5: [], sha1: [], sha256: [] };
+    entries.forEach(entry => byAlgorithm[entry.algorithm].push(entry.hash));
+
+    const matchers = Object.entries(byAlgorithm)
+      .filter(([, hashes]) => hashes.length > 0)
+      .map(([algorithm, hashes]) => ({ [`scanResult.fileHash.${algorithm}`]: { $in: hashes } }));
+    if (matchers.length === 0) {
+      return [];
+    }
+
+    const names = new Map(entries.map(entry => [entry.hash, entry.name || 'Blocklisted file']));
+    const files = await File.find({ status: 'encrypted', $or: matchers })
+      .select('originalName scanResult.fileHash')
+      .lean();
+
+    const quarantined = [];
+    for (const file of files) {
+      const { md5, sha1, sha256 } = file.scanResult.fileHash || {};
+      const hash = [md5, sha1, sha256].find(value => value && names.has(value));
+      const signature = names.get(hash);
+      if (await this.quarantine(file, { detectedBy: 'hash_blocklist', signature, userId, trigger: 'blocklist_import' })) {
+        quarantined.push({ fileId: file._id.toString(), originalName: file.originalName, signature });
+      }
+    }
+    return quarantined;
+  }
+
+  /**
+   * Return a quarantined file to normal use after review
+   */
+  async release(fileId, userId, note = '') {
+    const file = await File.findOne({ _id: fileId, status: 'quarantined' });
+    if (!file) {
+      return null;
+    }
+
+    file.status = 'encrypted';
+    file.quarantine.releasedAt = new Date();
+    file.quarantine.releasedBy = userId;
+    file.quarantine.releaseNote = note;
+    file.scanResult.isClean = true;
+    await file.save();
+
+    await AuditService.logSecurityEvent('quarantine_released', {
+      userId,
+      resourceType: 'file',
+      resourceId: file._id.toString(),
+      fileName: file.originalName,
+      signature: file.quarantine.signature,
+      detectedBy: file.quarantine.detectedBy,
+      note
+    });
+
+    return file;
+  }
+
+  /**
+   * Poll engine signature versions and start a rescan when they change
+   * (and once at startup, to catch updates that happened while down)
+   */
+  startSignatureWatch(intervalMs) {
+    if (this.watchTimer || malwareScanner.engines.length === 0) {
+      return false;
+    }
+
+    const check = () => this.checkSignatureUpdates().catch(error => {
+      logger.error('Signature update check failed', { error: error.message });
+    });
+    this.watchTimer = setInterval(check, intervalMs);
+    this.watchTimer.unref();
+    setImmediate(check);
+    return true;
+  }
+
+  stopSignatureWatch() {
+    clearInterval(this.watchTimer);
+    this.watchTimer = null;
+  }
+
+  async checkSignatureUpdates() {
+    if (!mongoose.connection || mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    const updated = [];
+    for (const engine of malwareScanner.engines) {
+      const { signatureVersion } = await malwareScanner.getEngineVersion(engine, { refresh: true });
+      if (signatureVersion && this.signatureVersions.get(engine.name) !== signatureVersion) {
+        updated.push({ name: engine.name, from: this.signatureVersions.get(engine.name) ?? null, to: signatureVersion });
+        this.signatureVersions.set(engine.name, signatureVersion);
+      }
+    }
+
+    if (updated.length === 0 || this.isRunning()) {
+      return null;
+    }
+
+    logger.info('AV signatures updated, starting rescan', { updated });
+    return this.start({ trigger: 'signature_update' });
+  }
+
+  async recordAudit(job) {
+    try {
+      await AuditService.logSecurityEvent('malware_rescan', {
+        userId: job.startedBy || undefined,
+        resourceType: 'system',
+        resourceId: job.id,
+        success: job.status === 'completed',
+        reason: job.error || (job.failed > 0 ? `${job.failed} file(s) could not be rescanned` : undefined),
+        jobId: job.id,
+        status: job.status,
+        trigger: job.trigger,
+        force: job.force,
+        engines: job.engines,
+        total: job.total,
+        scanned: job.scanned,
+        quarantined: job.quarantined,
+        failed: job.failed,
+        detections: job.detections,
+        failures: job.failures,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        duration: job.finishedAt - job.startedAt
+      });
+    } catch (error) {
+      logger.error('Failed to record malware rescan in audit log', { jobId: job.id, error: error.message });
+    }
+  }
+}
+
+// Create singleton instance
+const malwareRescanService = new MalwareRescanService();
+
+module.exports = malwareRescanService;
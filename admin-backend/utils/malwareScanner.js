@@ -1,11 +1,33 @@
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const zlib = require('zlib');
+const ByteSource = require('./byteSource');
+const ZipReader = require('./zipReader');
+const OleReader = require('./oleReader');
+const ClamAVEngine = require('./clamavEngine');
+let HashBlocklist;
+try {
+  HashBlocklist = require('../models/HashBlocklist');
+} catch (_) {
+  HashBlocklist = null;
+}
+
+// Engines that can be enabled with AV_ENGINES (comma separated)
+const ENGINE_FACTORIES = {
+  clamav: () => ClamAVEngine.fromEnv()
+};
 
 const execAsync = promisify(exec);
 
+// PDFs are scanned this many bytes at a time
+const PDF_WINDOW_SIZE = 1024 * 1024;
+
 class MalwareScanner {
   constructor() {
     this.suspiciousPatterns = [
@@ -65,14 +87,53 @@ class MalwareScanner {
       '2321', // #!
       // HTML with script tags
       '3C68746D6C', // <html
-      '3C736372697074', // <script
-      // Office documents with macros
-      '504B0304', // ZIP (Office documents)
-      'D0CF11E0' // OLE (Legacy Office documents)
+      '3C736372697074' // <script
+      // ZIP and OLE containers (Office documents, archives) are inspected
+      // structurally by performDeepScan instead of being rejected outright
     ];
 
     this.maxFileSize = 100 * 1024 * 1024; // 100MB
     this.scanTimeout = 30000; // 30 seconds
+
+    // Zip-bomb and decompression limits for archive/document inspection
+    this.inspectionLimits = {
+      maxDepth: parseInt(process.env.ARCHIVE_MAX_DEPTH) || 3,
+      maxEntries: parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 10000,
+      maxUncompressedSize: parseInt(process.env.ARCHIVE_MAX_UNCOMPRESSED_SIZE) || 1024 * 1024 * 1024, // 1GB
+      maxCompressionRatio: parseInt(process.env.ARCHIVE_MAX_COMPRESSION_RATIO) || 100,
+      maxExtractedSize: parseInt(process.env.SCAN_MAX_EXTRACTED_SIZE) || 100 * 1024 * 1024, // 100MB
+      // OLE documents are parsed in memory; larger ones only get a warning
+      maxStructuralSize: parseInt(process.env.SCAN_MAX_STRUCTURAL_SIZE) || 256 * 1024 * 1024 // 256MB
+    };
+
+    // Archive entries worth decompressing to inspect further
+    this.inspectableExtensions = [
+      '.zip', '.pdf',
+      '.doc', '.dot', '.docx', '.docm', '.dotx', '.dotm',
+      '.xls', '.xlt', '.xlsx', '.xlsm', '.xltm', '.xlsb', '.xlam',
+      '.ppt', '.pot', '.pptx', '.pptm', '.potm', '.ppsm', '.ppam',
+      '.odt', '.ods', '.odp'
+    ];
+
+    // External AV engines run alongside the built-in checks
+    this.engines = [];
+    this.engineVersions = new Map();
+    this.engineVersionTtl = 5 * 60 * 1000; // 5 minutes
+    this.failClosed = process.env.AV_FAIL_CLOSED === 'true';
+    (process.env.AV_ENGINES || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach(name => {
+        if (!ENGINE_FACTORIES[name]) {
+          console.error(`Unknown AV engine '${name}' in AV_ENGINES, ignoring`);
+          return;
+        }
+        this.registerEngine(ENGINE_FACTORIES[name]());
+      });
+
+    this.autoExecMacroPattern = /\b(Auto_?Open|Auto_?Close|AutoExec|AutoNew|Document_(?:Open|Close|New)|Workbook_(?:Open|Activate|BeforeClose)|Presentation_Open)\b/gi;
+    this.suspiciousMacroPattern = /\b(Shell(?:Execute)?|WScript\.Shell|CreateObject|GetObject|URLDownloadToFile\w*|MSXML2\.XMLHTTP|WinHttp\.WinHttpRequest|ADODB\.Stream|SaveToFile|powershell|cmd\.exe|CallByName|ExecuteExcel4Macro|VirtualAlloc\w*|RtlMoveMemory|CreateThread)\b/gi;
   }
 
   /**
@@ -124,7 +185,7 @@ class MalwareScanner {
       const fileHash = await this.calculateFileHash(filePath, fileBuffer);
       scanResult.fileHash = fileHash;
 
-      // Check against known malicious hashes (simulated)
+      // Check against the hash blocklist
       const hashCheck = await this.checkKnownHashes(fileHash);
       if (hashCheck.isKnownMalicious) {
         scanResult.threats.push(`File hash matches known malicious file: ${hashCheck.reason}`);
@@ -140,7 +201,19 @@ class MalwareScanner {
           scanResult.threats.push(...deepScanResult.threats);
           scanResult.isClean = false;
         }
+        if (deepScanResult.warnings && deepScanResult.warnings.length > 0) {
+          scanResult.warnings.push(...deepScanResult.warnings);
+        }
+      }
+
+      // External AV engines scan the same bytes
+      if (this.engines.length > 0) {
+        scanResult.engines = await this.scanWithEngines(() => (
+          fileBuffer ? Readable.from([fileBuffer]) : fsSync.createReadStream(filePath)
+        ));
+        this.applyEngineResults(scanResult, scanResult.engines);
       }
+      scanResult.scannedAt = new Date();
 
       // Check for embedded objects
       const embeddedCheck = await this.checkEmbeddedObjects(filePath, fileBuffer);
@@ -177,12 +250,55 @@ class MalwareScanner {
     return {
       name: path.basename(filePath),
       extension: path.extname(filePath).toLowerCase(),
+      format: this.detectFormat(await this.readFileHeader(filePath, fileBuffer)),
       size: stats.size,
       mimeType: this.getMimeType(filePath),
       lastModified: stats.mtime || new Date()
     };
   }
 
+  /**
+   * Read the first bytes of a file
+   */
+  async readFileHeader(filePath, fileBuffer = null, length = 1024) {
+    if (fileBuffer) {
+      return fileBuffer.subarray(0, length);
+    }
+
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const header = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(header, 0, length, 0);
+      return header.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Identify the container format from magic bytes, regardless of extension
+   */
+  detectFormat(buffer) {
+    if (!buffer || buffer.length < 4) {
+      return null;
+    }
+    if (ZipReader.isZip(buffer)) {
+      return 'zip';
+    }
+    if (OleReader.isOle(buffer)) {
+      return 'ole';
+    }
+    if (buffer.subarray(0, 1024).includes('%PDF-')) {
+      return 'pdf';
+    }
+
+    const header = buffer.subarray(0, 4).toString('hex').toUpperCase();
+    if (header.startsWith('4D5A') || ['7F454C46', 'FEEDFACE', 'FEEDFACF', 'CEFAEDFE', 'CFFAEDFE'].includes(header)) {
+      return 'executable';
+    }
+    return null;
+  }
+
   /**
    * Check if file extension is allowed
    */
@@ -202,12 +318,7 @@ class MalwareScanner {
    */
   async checkFileHeaders(filePath, fileBuffer = null) {
     try {
-      let buffer;
-      if (fileBuffer) {
-        buffer = fileBuffer;
-      } else {
-        buffer = await fs.readFile(filePath);
-      }
+      const buffer = await this.readFileHeader(filePath, fileBuffer, 16);
 
       const header = buffer.slice(0, 16).toString('hex').toUpperCase();
       
@@ -233,12 +344,7 @@ class MalwareScanner {
    */
   async checkFileContent(filePath, fileBuffer = null) {
     try {
-      let buffer;
-      if (fileBuffer) {
-        buffer = fileBuffer;
-      } else {
-        buffer = await fs.readFile(filePath);
-      }
+      const buffer = await this.readFileHeader(filePath, fileBuffer, 10000);
 
       const content = buffer.toString('utf8', 0, Math.min(buffer.length, 10000));
       
@@ -283,17 +389,18 @@ class MalwareScanner {
    */
   async calculateFileHash(filePath, fileBuffer = null) {
     try {
-      let buffer;
+      const hashes = ['md5', 'sha1', 'sha256'].map(algorithm => crypto.createHash(algorithm));
+
+      // Files on disk are streamed so large (resumable) uploads aren't read into memory
       if (fileBuffer) {
-        buffer = fileBuffer;
+        hashes.forEach(hash => hash.update(fileBuffer));
       } else {
-        buffer = await fs.readFile(filePath);
+        for await (const chunk of fsSync.createReadStream(filePath)) {
+          hashes.forEach(hash => hash.update(chunk));
+        }
       }
 
-      const md5 = crypto.createHash('md5').update(buffer).digest('hex');
-      const sha1 = crypto.createHash('sha1').update(buffer).digest('hex');
-      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
-
+      const [md5, sha1, sha256] = hashes.map(hash => hash.digest('hex'));
       return { md5, sha1, sha256 };
     } catch (error) {
       console.error('Hash calculation error:', error);
@@ -302,32 +409,113 @@ class MalwareScanner {
   }
 
   /**
-   * Check against known malicious hashes (simulated)
+   * Check against the admin-managed hash blocklist
    */
   async checkKnownHashes(fileHash) {
-    // In a real implementation, this would check against a database of known malicious hashes
-    const knownMaliciousHashes = [
-      // Example malicious hashes (these are fake for demonstration)
-      'd41d8cd98f00b204e9800998ecf8427e', // MD5
-      'da39a3ee5e6b4b0d3255bfef95601890afd80709', // SHA1
-      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855' // SHA256
-    ];
+    if (!HashBlocklist || !mongoose.connection || mongoose.connection.readyState !== 1) {
+      return { isKnownMalicious: false, reason: null };
+    }
 
-    const isKnownMalicious = knownMaliciousHashes.includes(fileHash.md5) ||
-                            knownMaliciousHashes.includes(fileHash.sha1) ||
-                            knownMaliciousHashes.includes(fileHash.sha256);
+    const match = await HashBlocklist.findMatch(fileHash);
 
     return {
-      isKnownMalicious,
-      reason: isKnownMalicious ? 'Hash matches known malicious file database' : null
+      isKnownMalicious: Boolean(match),
+      reason: match ? `${match.name} (${match.algorithm} ${match.hash})` : null,
+      match
     };
   }
 
+  /**
+   * Add an external scan engine. Engines implement
+   * { name, scanStream(stream) -> { isInfected, signature }, getVersion(), ping() }
+   */
+  registerEngine(engine) {
+    if (!engine || typeof engine.scanStream !== 'function' || !engine.name) {
+      throw new Error('Scan engines need a name and a scanStream(stream) method');
+    }
+    this.engines = this.engines.filter(existing => existing.name !== engine.name).concat(engine);
+    this.engineVersions.delete(engine.name);
+  }
+
+  /**
+   * Engine and signature versions, cached briefly so every scan doesn't ask again
+   */
+  async getEngineVersion(engine, { refresh = false } = {}) {
+    const cached = this.engineVersions.get(engine.name);
+    if (!refresh && cached && Date.now() - cached.checkedAt < this.engineVersionTtl) {
+      return cached.info;
+    }
+
+    const info = typeof engine.getVersion === 'function' ? await engine.getVersion() : {};
+    this.engineVersions.set(engine.name, { info, checkedAt: Date.now() });
+    return info;
+  }
+
+  /**
+   * Availability and versions of every configured engine
+   */
+  async getEngineStatus() {
+    return Promise.all(this.engines.map(async (engine) => {
+      try {
+        const available = typeof engine.ping === 'function' ? await engine.ping() : true;
+        const info = await this.getEngineVersion(engine, { refresh: true });
+        return { name: engine.name, available, ...info };
+      } catch (error) {
+        return { name: engine.name, available: false, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Run every engine over fresh streams from openStream()
+   */
+  async scanWithEngines(openStream) {
+    const results = [];
+
+    for (const engine of this.engines) {
+      const result = { name: engine.name, scannedAt: new Date() };
+      try {
+        const info = await this.getEngineVersion(engine);
+        const verdict = await engine.scanStream(await openStream());
+        Object.assign(result, {
+          version: info.version,
+          signatureVersion: info.signatureVersion,
+          isInfected: verdict.isInfected,
+          signature: verdict.signature
+        });
+      } catch (error) {
+        result.error = error.message;
+      }
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  /**
+   * Turn engine verdicts into threats/warnings. An engine that can't be reached
+   * only blocks the upload when AV_FAIL_CLOSED is set.
+   */
+  applyEngineResults(scanResult, engineResults) {
+    for (const result of engineResults) {
+      if (result.isInfected) {
+        scanResult.threats.push(`${result.name} detected ${result.signature}`);
+        scanResult.isClean = false;
+      } else if (result.error && this.failClosed) {
+        scanResult.threats.push(`${result.name} scan failed: ${result.error}`);
+        scanResult.isClean = false;
+      } else if (result.error) {
+        scanResult.warnings.push(`${result.name} scan failed, file was not checked by it: ${result.error}`);
+      }
+    }
+  }
+
   /**
    * Determine if deep scan is needed
    */
   shouldPerformDeepScan(fileInfo) {
     return fileInfo.size > 1024 * 1024 || // Files larger than 1MB
+           ['zip', 'ole', 'pdf'].includes(fileInfo.format) ||
            fileInfo.extension === '.zip' ||
            fileInfo.extension === '.rar' ||
            fileInfo.extension === '.7z' ||
@@ -341,40 +529,29 @@ class MalwareScanner {
    */
   async performDeepScan(filePath, fileBuffer = null) {
     try {
-      const deepScanResult = {
-        threats: [],
-        warnings: [],
-        scanTime: Date.now()
-      };
+      const context = this.createInspectionContext();
 
-      // Check for embedded executables in archives
-      if (this.isArchiveFile(filePath)) {
-        const archiveScan = await this.scanArchive(filePath, fileBuffer);
-        if (archiveScan.threats) {
-          deepScanResult.threats.push(...archiveScan.threats);
-        }
-        if (archiveScan.warnings) {
-          deepScanResult.warnings.push(...archiveScan.warnings);
-        }
+      // Magic bytes decide how a file is inspected; a renamed .docm is still a ZIP.
+      // Containers on disk are read by offset rather than loaded whole.
+      const format = this.detectFormat(await this.readFileHeader(filePath, fileBuffer));
+      if (format === 'zip') {
+        await this.scanArchive(filePath, fileBuffer, context);
+      } else if (format === 'ole') {
+        await this.scanForMacros(filePath, fileBuffer, context);
+      } else if (format === 'pdf') {
+        await this.scanPDF(filePath, fileBuffer, context);
+      } else if (this.isArchiveFile(filePath)) {
+        context.warnings.push(`Archive format '${path.extname(filePath).toLowerCase()}' cannot be inspected`);
+      } else if (this.isOfficeDocument(filePath) || this.isPDFDocument(filePath)) {
+        context.warnings.push('File content does not match its document type');
       }
 
-      // Check for macro content in Office documents
-      if (this.isOfficeDocument(filePath)) {
-        const macroScan = await this.scanForMacros(filePath, fileBuffer);
-        if (macroScan.hasMacros) {
-          deepScanResult.warnings.push('Document contains macros');
-        }
-      }
-
-      // Check for embedded JavaScript in PDFs
-      if (this.isPDFDocument(filePath)) {
-        const pdfScan = await this.scanPDF(filePath, fileBuffer);
-        if (pdfScan.hasJavaScript) {
-          deepScanResult.warnings.push('PDF contains embedded JavaScript');
-        }
-      }
-
-      return deepScanResult;
+      return {
+        threats: context.threats,
+        warnings: context.warnings,
+        details: context.details,
+        scanTime: Date.now()
+      };
     } catch (error) {
       console.error('Deep scan error:', error);
       return {
@@ -385,17 +562,92 @@ class MalwareScanner {
     }
   }
 
+  /**
+   * Shared state for one deep scan. Nested containers get a child context that
+   * shares the findings and totals, so the limits apply to the whole tree.
+   */
+  createInspectionContext() {
+    return {
+      depth: 0,
+      location: '',
+      threats: [],
+      warnings: [],
+      totals: { entries: 0, uncompressedSize: 0, extractedSize: 0, extractionLimitReached: false },
+      details: {
+        archiveEntries: 0,
+        hasMacros: false,
+        autoExecMacros: [],
+        pdfFeatures: []
+      }
+    };
+  }
+
+  childContext(context, name) {
+    return {
+      ...context,
+      depth: context.depth + 1,
+      location: context.location ? `${context.location} > ${name}` : name
+    };
+  }
+
+  /**
+   * Prefix a finding with where it was found inside nested containers
+   */
+  describe(context, message) {
+    return context.location ? `${context.location}: ${message}` : message;
+  }
+
+  /**
+   * Bytes that may still be decompressed in this scan
+   */
+  remainingExtractionBudget(context) {
+    return Math.max(0, this.inspectionLimits.maxExtractedSize - context.totals.extractedSize);
+  }
+
+  noteExtractionLimit(context) {
+    if (!context.totals.extractionLimitReached) {
+      context.totals.extractionLimitReached = true;
+      context.warnings.push('Decompression limit reached, some content was not inspected');
+    }
+  }
+
+  /**
+   * Run an inspection against the buffer if there is one, otherwise against
+   * the file on disk, closing the file afterwards
+   */
+  async withByteSource(filePath, fileBuffer, inspect) {
+    const source = fileBuffer ? ByteSource.fromBuffer(fileBuffer) : await ByteSource.open(filePath);
+    try {
+      return await inspect(source);
+    } finally {
+      await source.close();
+    }
+  }
+
+  /**
+   * Inspect a file found inside another container
+   */
+  async inspectNested(name, buffer, context) {
+    const child = this.childContext(context, name);
+    const format = this.detectFormat(buffer);
+
+    if (format === 'zip') {
+      await this.scanArchive(name, buffer, child);
+    } else if (format === 'ole') {
+      await this.scanForMacros(name, buffer, child);
+    } else if (format === 'pdf') {
+      await this.scanPDF(name, buffer, child);
+    } else if (format === 'executable') {
+      child.threats.push(this.describe(child, 'File contains executable code'));
+    }
+  }
+
   /**
    * Check for embedded objects
    */
   async checkEmbeddedObjects(filePath, fileBuffer = null) {
     try {
-      let buffer;
-      if (fileBuffer) {
-        buffer = fileBuffer;
-      } else {
-        buffer = await fs.readFile(filePath);
-      }
+      const buffer = await this.readFileHeader(filePath, fileBuffer, 50000);
 
       const content = buffer.toString('utf8', 0, Math.min(buffer.length, 50000));
       
@@ -455,38 +707,565 @@ class MalwareScanner {
   }
 
   /**
-   * Scan archive files for embedded executables
+   * Scan ZIP archives (including OOXML and OpenDocument files) entry by entry.
+   * Nested archives and documents are decompressed and inspected recursively
+   * within the configured zip-bomb limits.
    */
-  async scanArchive(filePath, fileBuffer = null) {
-    // This is a simplified implementation
-    // In production, you would use a library like 'unzipper' or 'extract-zip'
-    return {
-      threats: [],
-      warnings: ['Archive scanning requires additional libraries']
+  async scanArchive(filePath, fileBuffer = null, context = null) {
+    const ctx = context || this.createInspectionContext();
+
+    if (ctx.depth > this.inspectionLimits.maxDepth) {
+      ctx.threats.push(this.describe(ctx, `Archive nesting exceeds ${this.inspectionLimits.maxDepth} levels (possible zip bomb)`));
+      return this.inspectionResult(ctx);
+    }
+
+    return this.withByteSource(filePath, fileBuffer, source => this.inspectArchive(source, ctx));
+  }
+
+  /**
+   * Entry-by-entry checks of an opened ZIP archive
+   */
+  async inspectArchive(source, ctx) {
+    const limits = this.inspectionLimits;
+
+    let zip;
+    try {
+      zip = await ZipReader.open(source);
+    } catch (error) {
+      ctx.warnings.push(this.describe(ctx, `Archive could not be read: ${error.message}`));
+      return this.inspectionResult(ctx);
+    }
+
+    const files = zip.entries.filter(entry => !entry.isDirectory);
+    ctx.totals.entries += zip.entries.length;
+    ctx.totals.uncompressedSize += files.reduce((sum, entry) => sum + entry.uncompressedSize, 0);
+    ctx.details.archiveEntries = ctx.totals.entries;
+
+    if (ctx.totals.entries > limits.maxEntries) {
+      ctx.threats.push(this.describe(ctx, `Archive contains more than ${limits.maxEntries} entries (possible zip bomb)`));
+      return this.inspectionResult(ctx);
+    }
+    if (ctx.totals.uncompressedSize > limits.maxUncompressedSize) {
+      ctx.threats.push(this.describe(ctx, `Archive expands to more than ${limits.maxUncompressedSize} bytes (possible zip bomb)`));
+      return this.inspectionResult(ctx);
+    }
+
+    try {
+      if ((await zip.findOverlappingEntries()).length > 0) {
+        ctx.threats.push(this.describe(ctx, 'Archive entries share overlapping data (possible zip bomb)'));
+        return this.inspectionResult(ctx);
+      }
+    } catch (error) {
+      ctx.warnings.push(this.describe(ctx, `Archive structure is invalid: ${error.message}`));
+      return this.inspectionResult(ctx);
+    }
+
+    const isOfficeOpenXml = files.some(entry => entry.name === '[Content_Types].xml');
+
+    for (const entry of files) {
+      const extension = path.extname(entry.name).toLowerCase();
+
+      if (entry.name.split(/[\\/]/).includes('..') || /^([a-z]:)?[\\/]/i.test(entry.name)) {
+        ctx.threats.push(this.describe(ctx, `Archive entry '${entry.name}' escapes the extraction directory`));
+      }
+
+      if (this.dangerousExtensions.includes(extension)) {
+        ctx.threats.push(this.describe(ctx, `Archive entry '${entry.name}' has blocked extension '${extension}'`));
+        continue;
+      }
+
+      if (entry.encrypted) {
+        ctx.warnings.push(this.describe(ctx, `Archive entry '${entry.name}' is encrypted and could not be inspected`));
+        continue;
+      }
+
+      const ratio = entry.compressedSize > 0 ? entry.uncompressedSize / entry.compressedSize : 0;
+      if (entry.uncompressedSize > 1024 * 1024 && ratio > limits.maxCompressionRatio) {
+        ctx.threats.push(this.describe(ctx, `Archive entry '${entry.name}' has a compression ratio of ${Math.round(ratio)}:1 (possible zip bomb)`));
+        continue;
+      }
+
+      const isOfficePart = isOfficeOpenXml && extension === '.bin';
+      if (!isOfficePart && !this.inspectableExtensions.includes(extension)) {
+        continue;
+      }
+
+      const data = await this.extractEntry(zip, entry, ctx);
+      if (!data) {
+        continue;
+      }
+
+      // vbaProject.bin and embedded OLE objects belong to the document itself
+      if (isOfficePart) {
+        if (OleReader.isOle(data)) {
+          await this.scanForMacros(entry.name, data, ctx);
+        }
+      } else {
+        await this.inspectNested(entry.name, data, ctx);
+      }
+    }
+
+    if (isOfficeOpenXml) {
+      await this.inspectOfficeOpenXml(zip, files, ctx);
+    } else if (files.some(entry => entry.name === 'META-INF/manifest.xml')) {
+      this.inspectOpenDocument(files, ctx);
+    }
+
+    return this.inspectionResult(ctx);
+  }
+
+  /**
+   * Decompress one archive entry within the scan's extraction budget.
+   * The declared size caps the output, so a lying header can't inflate past it.
+   */
+  async extractEntry(zip, entry, context) {
+    const budget = this.remainingExtractionBudget(context);
+    if (entry.uncompressedSize > budget) {
+      this.noteExtractionLimit(context);
+      return null;
+    }
+
+    try {
+      const data = await zip.extract(entry, Math.max(entry.uncompressedSize, 1));
+      context.totals.extractedSize += data.length;
+      return data;
+    } catch (error) {
+      if (error instanceof RangeError) {
+        context.threats.push(this.describe(context, `Archive entry '${entry.name}' expands beyond its declared size (possible zip bomb)`));
+      } else {
+        context.warnings.push(this.describe(context, `Archive entry '${entry.name}' could not be inspected: ${error.message}`));
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Document-level checks for Word/Excel/PowerPoint OOXML packages
+   */
+  async inspectOfficeOpenXml(zip, files, context) {
+    const readPart = async (entry) => {
+      if (entry.uncompressedSize > 1024 * 1024) {
+        return '';
+      }
+      const data = await this.extractEntry(zip, entry, context);
+      return data ? data.toString('utf8') : '';
+    };
+
+    const contentTypes = files.find(entry => entry.name === '[Content_Types].xml');
+    const hasVbaProject = files.some(entry => /(^|\/)vbaProject\.bin$/i.test(entry.name));
+    if (!hasVbaProject && /macroEnabled/i.test(await readPart(contentTypes))) {
+      context.details.hasMacros = true;
+      context.warnings.push(this.describe(context, 'Document is declared macro-enabled'));
+    }
+
+    if (files.some(entry => /(^|\/)activeX\//i.test(entry.name))) {
+      context.warnings.push(this.describe(context, 'Document contains ActiveX controls'));
+    }
+
+    // Remote templates and objects are fetched (macros included) when the document opens
+    const remoteRelationships = {
+      attachedTemplate: 'template',
+      oleObject: 'OLE object',
+      subDocument: 'subdocument',
+      frame: 'frame'
     };
+    for (const entry of files.filter(file => file.name.endsWith('.rels'))) {
+      for (const [relationship] of (await readPart(entry)).matchAll(/<Relationship\b[^>]*>/g)) {
+        const type = (relationship.match(/Type="[^"]*\/(\w+)"/) || [])[1];
+        if (!/TargetMode="External"/.test(relationship) || !remoteRelationships[type]) {
+          continue;
+        }
+        const target = (relationship.match(/Target="([^"]*)"/) || [])[1] || 'an external location';
+        context.threats.push(this.describe(context, `Document loads a remote ${remoteRelationships[type]} from ${target}`));
+      }
+    }
   }
 
   /**
-   * Scan for macros in Office documents
+   * Document-level checks for OpenDocument (.odt/.ods/.odp) packages
    */
-  async scanForMacros(filePath, fileBuffer = null) {
-    // This is a simplified implementation
-    // In production, you would use a library like 'mammoth' or 'officegen'
-    return {
-      hasMacros: false,
-      warnings: ['Macro scanning requires additional libraries']
+  inspectOpenDocument(files, context) {
+    const hasMacros = files.some(entry => (
+      /^(Basic|Scripts)\/.+/.test(entry.name) && !/(^|\/)script-lc\.xml$/.test(entry.name)
+    ));
+    if (hasMacros) {
+      context.details.hasMacros = true;
+      context.warnings.push(this.describe(context, 'Document contains macros'));
+    }
+  }
+
+  /**
+   * Scan OLE compound files (.doc/.xls/.ppt, vbaProject.bin, embedded OLE
+   * objects) for VBA macros and packaged files. OOXML documents are ZIP
+   * packages and are handed to scanArchive.
+   */
+  async scanForMacros(filePath, fileBuffer = null, context = null) {
+    const ctx = context || this.createInspectionContext();
+
+    if (ZipReader.isZip(await this.readFileHeader(filePath, fileBuffer, 4))) {
+      return this.scanArchive(filePath, fileBuffer, ctx);
+    }
+
+    let buffer = fileBuffer;
+    if (!buffer) {
+      const { size } = await fs.stat(filePath);
+      if (size > this.inspectionLimits.maxStructuralSize) {
+        ctx.warnings.push(this.describe(ctx, `Document is too large for structural inspection (over ${this.inspectionLimits.maxStructuralSize} bytes)`));
+        return this.inspectionResult(ctx);
+      }
+      buffer = await fs.readFile(filePath);
+    }
+
+    let ole;
+    try {
+      ole = new OleReader(buffer);
+    } catch (error) {
+      ctx.warnings.push(this.describe(ctx, `Document structure could not be read: ${error.message}`));
+      return this.inspectionResult(ctx);
+    }
+
+    for (const project of ole.findVbaProjects()) {
+      this.analyzeVbaProject(ole, project, ctx);
+    }
+
+    // Object Packager streams wrap arbitrary files, a common way to smuggle executables
+    for (const stream of ole.streams.filter(entry => /Ole10Native$/i.test(entry.name))) {
+      const packageName = this.readOlePackageName(ole.readStream(stream));
+      const extension = path.extname(packageName).toLowerCase();
+      if (this.dangerousExtensions.includes(extension)) {
+        ctx.threats.push(this.describe(ctx, `Document embeds packaged file '${packageName}' with blocked extension '${extension}'`));
+      } else {
+        ctx.warnings.push(this.describe(ctx, `Document embeds packaged file '${packageName}'`));
+      }
+    }
+
+    return this.inspectionResult(ctx);
+  }
+
+  /**
+   * Macros alone are common in business documents and only flagged for review;
+   * macros that run on open and reach for the shell, network or Win32 API are threats.
+   */
+  analyzeVbaProject(ole, project, context) {
+    context.details.hasMacros = true;
+
+    const source = project.modules.map(module => {
+      try {
+        return OleReader.extractVbaSource(ole.readStream(module));
+      } catch (error) {
+        return '';
+      }
+    }).join('\n');
+
+    const unique = (matches) => [...new Set((matches || []).map(match => match.replace(/\s+/g, ' ')))];
+    const autoExec = unique(source.match(this.autoExecMacroPattern));
+    const suspicious = unique(source.match(this.suspiciousMacroPattern));
+
+    context.details.autoExecMacros.push(...autoExec);
+
+    if (autoExec.length > 0 && suspicious.length > 0) {
+      context.threats.push(this.describe(context, `Auto-executing VBA macro (${autoExec.join(', ')}) uses ${suspicious.join(', ')}`));
+    } else if (autoExec.length > 0) {
+      context.warnings.push(this.describe(context, `Document contains VBA macros that run automatically (${autoExec.join(', ')})`));
+    } else {
+      context.warnings.push(this.describe(context, 'Document contains VBA macros'));
+    }
+  }
+
+  /**
+   * Label of an Ole10Native package: uint32 size, uint16 flags, then a null-terminated name
+   */
+  readOlePackageName(data) {
+    if (data.length < 7) {
+      return 'unnamed';
+    }
+    const end = data.indexOf(0, 6);
+    return data.toString('latin1', 6, end === -1 ? Math.min(data.length, 262) : end) || 'unnamed';
+  }
+
+  /**
+   * Scan PDFs for active content: JavaScript, automatic actions, launch actions
+   * and embedded files. Flate streams (object streams included) are inflated
+   * so names can't hide in them, and #xx-escaped names are decoded before matching.
+   * The file is read in windows, so its size is bounded only by the time it takes.
+   */
+  async scanPDF(filePath, fileBuffer = null, context = null) {
+    const ctx = context || this.createInspectionContext();
+    const found = { features: new Set(), obfuscated: new Set(), fileNames: new Set() };
+    // Object text and inflated streams, kept for resolving /OpenAction targets
+    const sections = [];
+    let keptSize = 0;
+    const embeddedFiles = [];
+
+    const collect = (text, keep) => {
+      this.collectPdfNames(text, found);
+      if (keep && keptSize + text.length <= this.inspectionLimits.maxExtractedSize) {
+        sections.push(text);
+        keptSize += text.length;
+      }
     };
+
+    await this.withByteSource(filePath, fileBuffer, async (source) => {
+      for await (const segment of this.readPdfSegments(source, ctx)) {
+        if (segment.text !== undefined) {
+          collect(segment.text, segment.keep);
+          continue;
+        }
+
+        const isEmbeddedFile = /\/EmbeddedFile\b/.test(segment.dictionary);
+        let data = segment.data;
+
+        if (/\/FlateDecode\b/.test(segment.dictionary)) {
+          const budget = this.remainingExtractionBudget(ctx);
+          if (budget === 0) {
+            this.noteExtractionLimit(ctx);
+            continue;
+          }
+          try {
+            data = zlib.inflateSync(segment.data, { maxOutputLength: budget, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+          } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+              this.noteExtractionLimit(ctx);
+            }
+            continue;
+          }
+          ctx.totals.extractedSize += data.length;
+        }
+
+        if (isEmbeddedFile) {
+          embeddedFiles.push(data);
+        } else {
+          collect(data.toString('latin1'), true);
+        }
+      }
+    });
+
+    const { features, obfuscated } = found;
+    ctx.details.pdfFeatures.push(...features);
+
+    const hasJavaScript = features.has('JavaScript') || features.has('JS');
+    const hasOpenAction = features.has('OpenAction') && !this.isPdfOpenDestination(sections);
+
+    obfuscated.forEach(name => {
+      ctx.threats.push(this.describe(ctx, `PDF hides '/${name}' with hex-escaped characters`));
+    });
+
+    if (features.has('Launch')) {
+      ctx.threats.push(this.describe(ctx, 'PDF contains a Launch action that can run external programs'));
+    }
+
+    if (hasJavaScript && hasOpenAction) {
+      ctx.threats.push(this.describe(ctx, 'PDF runs JavaScript automatically when opened'));
+    } else if (hasJavaScript && features.has('AA')) {
+      ctx.warnings.push(this.describe(ctx, 'PDF runs JavaScript on page or form events'));
+    } else if (hasJavaScript) {
+      ctx.warnings.push(this.describe(ctx, 'PDF contains embedded JavaScript'));
+    } else if (hasOpenAction) {
+      ctx.warnings.push(this.describe(ctx, 'PDF performs an action when opened'));
+    }
+
+    if (features.has('RichMedia')) {
+      ctx.warnings.push(this.describe(ctx, 'PDF contains rich media (Flash) content'));
+    }
+
+    if (features.has('EmbeddedFile') || embeddedFiles.length > 0) {
+      ctx.warnings.push(this.describe(ctx, 'PDF contains embedded files'));
+
+      for (const fileName of found.fileNames) {
+        const extension = path.extname(fileName).toLowerCase();
+        ctx.threats.push(this.describe(ctx, `PDF embeds file '${fileName}' with blocked extension '${extension}'`));
+      }
+
+      if (ctx.depth < this.inspectionLimits.maxDepth) {
+        for (let i = 0; i < embeddedFiles.length; i++) {
+          await this.inspectNested(`embedded file ${i + 1}`, embeddedFiles[i], ctx);
+        }
+      }
+    }
+
+    return this.inspectionResult(ctx);
+  }
+
+  /**
+   * Active-content names and blocked embedded file names in a piece of PDF text
+   */
+  collectPdfNames(text, found) {
+    const keywords = ['JavaScript', 'JS', 'OpenAction', 'AA', 'Launch', 'EmbeddedFile', 'RichMedia'];
+
+    for (const [, rawName] of text.matchAll(/\/([^\s/[\]<>(){}%]+)/g)) {
+      const name = this.decodePdfName(rawName);
+      if (keywords.includes(name)) {
+        found.features.add(name);
+        if (name !== rawName) {
+          found.obfuscated.add(name);
+        }
+      }
+    }
+
+    for (const [, fileName] of text.matchAll(/\/(?:UF|F)\s*\(([^)]{1,255})\)/g)) {
+      if (this.dangerousExtensions.includes(path.extname(fileName).toLowerCase())) {
+        found.fileNames.add(fileName);
+      }
+    }
+  }
+
+  /**
+   * Walk a PDF in windows, yielding the text between streams ({ text, keep })
+   * and the compressed or embedded streams worth decoding ({ dictionary, data }).
+   * Uncompressed streams are only yielded as text to match names in, and
+   * images are skipped. Stream data is only collected while the scan's
+   * extraction budget lasts.
+   */
+  async *readPdfSegments(source, context) {
+    // Room for a name or stream keyword cut by a window boundary
+    const overlap = 512;
+    let offset = 0;
+    let pending = Buffer.alloc(0);
+    let recent = '';
+    let stream = null;
+
+    const readMore = async () => {
+      const chunk = await source.read(offset, offset + PDF_WINDOW_SIZE);
+      offset += chunk.length;
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    };
+
+    // Collect stream data for decoding, or return it as text to scan for names
+    const feedStream = (data) => {
+      if (stream.parts) {
+        if (stream.size + data.length > this.remainingExtractionBudget(context)) {
+          this.noteExtractionLimit(context);
+          stream.parts = null;
+        } else {
+          stream.parts.push(data);
+          stream.size += data.length;
+        }
+      } else if (stream.scan) {
+        const text = stream.tail + data.toString('latin1');
+        stream.tail = text.slice(-overlap);
+        return text;
+      }
+      return null;
+    };
+
+    for (;;) {
+      const atEnd = offset >= source.length;
+      if (!atEnd && pending.length < PDF_WINDOW_SIZE) {
+        await readMore();
+        continue;
+      }
+      const view = pending.toString('latin1');
+
+      if (!stream) {
+        const match = /\bstream\r?\n/.exec(view);
+        if (!match) {
+          if (atEnd) {
+            yield { text: view, keep: true };
+            return;
+          }
+          // Text windows overlap so no name or keyword is missed at the seam
+          const cut = Math.max(0, view.length - overlap);
+          yield { text: view, keep: true };
+          recent = (recent + view.slice(0, cut)).slice(-4096);
+          pending = pending.subarray(cut);
+          await readMore();
+          continue;
+        }
+
+        const before = view.slice(0, match.index);
+        yield { text: before, keep: true };
+        recent = (recent + before).slice(-4096);
+        const objectStart = recent.lastIndexOf('obj');
+        const dictionary = this.decodePdfName(recent.slice(Math.max(objectStart, recent.length - 2048, 0)));
+        const decodable = !/\/Subtype\s*\/Image\b/.test(dictionary) &&
+          (/\/FlateDecode\b/.test(dictionary) || /\/EmbeddedFile\b/.test(dictionary));
+
+        stream = {
+          dictionary,
+          parts: decodable && !context.totals.extractionLimitReached ? [] : null,
+          size: 0,
+          scan: !decodable && !/\/Filter\b/.test(dictionary) && !/\/Subtype\s*\/Image\b/.test(dictionary),
+          tail: ''
+        };
+        recent = '';
+        pending = pending.subarray(match.index + match[0].length);
+        continue;
+      }
+
+      const end = view.indexOf('endstream');
+      if (end !== -1) {
+        const text = feedStream(pending.subarray(0, end));
+        if (text) {
+          yield { text, keep: false };
+        }
+        if (stream.parts) {
+          yield { dictionary: stream.dictionary, data: Buffer.concat(stream.parts) };
+        }
+        stream = null;
+        pending = pending.subarray(end + 'endstream'.length);
+        continue;
+      }
+      if (atEnd) {
+        return;
+      }
+
+      // Hold back enough bytes to find an 'endstream' cut by the window boundary
+      const cut = Math.max(0, pending.length - 8);
+      const text = feedStream(pending.subarray(0, cut));
+      if (text) {
+        yield { text, keep: false };
+      }
+      pending = pending.subarray(cut);
+      await readMore();
+    }
+  }
+
+  /**
+   * PDF names may spell characters as #xx, e.g. /J#61vaScript
+   */
+  decodePdfName(name) {
+    return name.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  /**
+   * True when every /OpenAction is just an initial view (a destination array),
+   * which most PDF writers emit and which runs nothing
+   */
+  isPdfOpenDestination(sections) {
+    let found = false;
+
+    for (const section of sections) {
+      for (const match of section.matchAll(/\/OpenAction\s*(\[|<<|(\d+)\s+(\d+)\s+R)/g)) {
+        found = true;
+        if (match[1] === '[') {
+          continue;
+        }
+        if (match[1] === '<<') {
+          return false;
+        }
+
+        const target = new RegExp(`\\b${match[2]}\\s+${match[3]}\\s+obj\\s*(\\[|<<)`);
+        const isDestination = sections.some(text => {
+          const object = text.match(target);
+          return object && object[1] === '[';
+        });
+        if (!isDestination) {
+          return false;
+        }
+      }
+    }
+
+    return found;
   }
 
   /**
-   * Scan PDF for embedded JavaScript
+   * Findings collected so far in an inspection
    */
-  async scanPDF(filePath, fileBuffer = null) {
-    // This is a simplified implementation
-    // In production, you would use a library like 'pdf-parse'
+  inspectionResult(context) {
     return {
-      hasJavaScript: false,
-      warnings: ['PDF scanning requires additional libraries']
+      threats: context.threats,
+      warnings: context.warnings,
+      details: context.details
     };
   }
 
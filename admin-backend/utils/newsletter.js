@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const BlogPost = require('../models/BlogPost');
+const NewsletterSubscriber = require('../models/NewsletterSubscriber');
+const NewsletterDigest = require('../models/NewsletterDigest');
+const Mailer = require('./mailer');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the timer looks for a due digest; the digest interval itself is usually a week
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+/**
+ * Newsletter
+ * Double opt-in emails for new subscribers and the digest of newly
+ * published blog posts. Every digest carries the sender's postal address
+ * and a per-subscriber unsubscribe link, plus List-Unsubscribe headers so
+ * mail clients can offer one-click unsubscribe (RFC 8058). Digest periods
+ * are recorded in the database, so a restart resumes the schedule and no
+ * post is sent twice.
+ */
+class Newsletter {
+  constructor() {
+    this.timer = null;
+    this.running = null;
+    this.interval = 7 * DAY_MS;
+  }
+
+  // Pages on the public site; /api is routed to this server there as well
+  get siteUrl() {
+    return (process.env.SITE_URL || 'https://lexocrates.com').replace(/\/+$/, '');
+  }
+
+  get apiUrl() {
+    return (process.env.ADMIN_PUBLIC_URL || this.siteUrl).replace(/\/+$/, '');
+  }
+
+  get postalAddress() {
+    return process.env.NEWSLETTER_POSTAL_ADDRESS ||
+      'Lexocrates, B-1402 Mangalam The Grand Residency, Sirsi Road, Jaipur, Rajasthan 302041, India';
+  }
+
+  confirmLink(token) {
+    return `${this.siteUrl}/newsletter.html?confirm=${encodeURIComponent(token)}`;
+  }
+
+  unsubscribeLink(subscriber) {
+    return `${this.siteUrl}/newsletter.html?unsubscribe=${encodeURIComponent(subscriber.unsubscribeToken)}`;
+  }
+
+  // Mail clients POST "List-Unsubscribe=One-Click" here without opening a page
+  oneClickLink(subscriber) {
+    return `${this.apiUrl}/api/newsletter/unsubscribe?token=${encodeURIComponent(subscriber.unsubscribeToken)}`;
+  }
+
+  async sendConfirmation(subscriber, token) {
+    const link = this.confirmLink(token);
+    return Mailer.send({
+      to: subscriber.email,
+      subject: 'Confirm your subscription to the Lexocrates newsletter',
+      html: `
+        <p>Thanks for signing up for the Lexocrates newsletter. Please confirm your email address to start receiving it:</p>
+        <p><a href="${escapeHtml(link)}">Confirm my subscription</a></p>
+        <p>The link is valid for 48 hours. If you didn't sign up, ignore this email and you won't hear from us.</p>
+        <hr>
+        <p><small>${escapeHtml(this.postalAddress)}</small></p>
+      `,
+      text: `Thanks for signing up for the Lexocrates newsletter. Confirm your email address to start receiving it:\n${link}\n\n` +
+        `The link is valid for 48 hours. If you didn't sign up, ignore this email and you won't hear from us.\n\n${this.postalAddress}`
+    });
+  }
+
+  /**
+   * The digest email for one subscriber
+   */
+  buildDigest(posts, subscriber) {
+    const unsubscribe = this.unsubscribeLink(subscriber);
+    const postLink = post => `${this.siteUrl}/blog/${encodeURIComponent(post.slug)}`;
+    const summary = post => post.excerpt || post.metaDescription || '';
+    const since = subscriber.consent?.confirmedAt ? ` on ${formatDate(subscriber.consent.confirmedAt)}` : '';
+
+    return {
+      to: subscriber.email,
+      subject: posts.length === 1
+        ? `New on the Lexocrates blog: ${posts[0].title}`
+        : `${posts.length} new articles on the Lexocrates blog`,
+      html: `
+        <h2>New on the Lexocrates blog</h2>
+        ${posts.map(post => `
+          <h3><a href="${escapeHtml(postLink(post))}">${escapeHtml(post.title)}</a></h3>
+          <p><small>${formatDate(post.publishedAt)}${post.author?.name ? ` &middot; ${escapeHtml(post.author.name)}` : ''}${post.readTime ? ` &middot; ${post.readTime} min read` : ''}</small></p>
+          <p>${escapeHtml(summary(post))}</p>
+        `).join('')}
+        <hr>
+        <p><small>You're receiving this because you subscribed to the Lexocrates newsletter${since}.
+        <a href="${escapeHtml(unsubscribe)}">Unsubscribe</a> at any time.</small></p>
+        <p><small>${escapeHtml(this.postalAddress)}</small></p>
+      `,
+      text: [
+        'New on the Lexocrates blog',
+        ...posts.map(post => `\n${post.title}\n${formatDate(post.publishedAt)}\n${summary(post)}\n${postLink(post)}`),
+        `\n---\nYou're receiving this because you subscribed to the Lexocrates newsletter${since}.`,
+        `Unsubscribe: ${unsubscribe}`,
+        this.postalAddress
+      ].join('\n'),
+      headers: {
+        'List-Unsubscribe': `<${this.oneClickLink(subscriber)}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    };
+  }
+
+  start(intervalMs) {
+    if (this.timer) {
+      return false;
+    }
+
+    this.interval = intervalMs;
+    this.timer = setInterval(() => this.run(), Math.min(intervalMs, CHECK_INTERVAL_MS));
+    this.timer.unref();
+    setImmediate(() => this.run());
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send the digest if one is due; overlapping calls share one run
+   */
+  run(now = new Date()) {
+    if (!mongoose.connection || mongoose.connection.readyState !== 1) {
+      return Promise.resolve(null);
+    }
+    if (!this.running) {
+      this.running = this.sendDigest(now)
+        .catch((error) => {
+          logger.error('Newsletter digest run failed', { error: error.message });
+          return { skipped: 'error' };
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Email the posts published since the last digest to every confirmed
+   * subscriber, once per interval. Periods without posts are recorded too,
+   * so a post published mid-week waits for the next digest.
+   */
+  async sendDigest(now = new Date()) {
+    // Without SMTP the posts wait for the first digest that can be sent
+    if (!Mailer.isConfigured()) {
+      return { skipped: 'smtp not configured' };
+    }
+
+    const last = await NewsletterDigest.findOne().sort({ periodEnd: -1 }).select('periodEnd');
+    if (last && now - last.periodEnd < this.interval) {
+      return { skipped: 'not due' };
+    }
+    const periodStart = last ? last.periodEnd : new Date(now.getTime() - this.interval);
+
+    const posts = await BlogPost.find({ status: 'published', publishedAt: { $gt: periodStart, $lte: now } })
+      .select('title slug excerpt metaDescription publishedAt readTime author')
+      .populate('author', 'name')
+      .sort({ publishedAt: -1 });
+
+    let digest;
+    try {
+      digest = await NewsletterDigest.create({ periodStart, periodEnd: now, posts: posts.map(post => post._id) });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { skipped: 'claimed by another process' };
+      }
+      throw error;
+    }
+
+    const stats = { recipients: 0, sent: 0, failed: 0 };
+    if (posts.length > 0) {
+      const subscribers = NewsletterSubscriber.find({ status: 'subscribed' })
+        .select('email consent.confirmedAt +unsubscribeToken')
+        .cursor();
+      for await (const subscriber of subscribers) {
+        stats.recipients += 1;
+        const delivery = await Mailer.send(this.buildDigest(posts, subscriber));
+        stats[delivery.status === 'sent' ? 'sent' : 'failed'] += 1;
+      }
+    }
+
+    // Nothing got through (SMTP down): release the period so the next run retries it
+    if (stats.recipients > 0 && stats.sent === 0) {
+      await digest.deleteOne();
+      logger.error('Newsletter digest could not be sent', { periodStart, failed: stats.failed });
+      return { skipped: 'delivery failed', ...stats };
+    }
+
+    digest.set({ status: 'sent', ...stats, finishedAt: new Date() });
+    await digest.save();
+    if (posts.length > 0) {
+      logger.info('Newsletter digest sent', { posts: posts.length, ...stats });
+    }
+    return { digest, posts: posts.length, ...stats };
+  }
+}
+
+// Create singleton instance
+const newsletter = new Newsletter();
+
+module.exports = newsletter;
@@ -0,0 +1,280 @@
+const OLE_SIGNATURE = Buffer.from('d0cf11e0a1b11ae1', 'hex');
+
+const FREE_SECTOR = 0xffffffff;
+const END_OF_CHAIN = 0xfffffffe;
+const MAX_REGULAR_SECTOR = 0xfffffffa;
+
+const TYPE_STORAGE = 1;
+const TYPE_STREAM = 2;
+const TYPE_ROOT = 5;
+
+/**
+ * Minimal read-only parser for OLE compound files (legacy .doc/.xls/.ppt and
+ * the vbaProject.bin inside OOXML documents). Only what the malware scanner
+ * needs: the directory tree and stream contents.
+ */
+class OleReader {
+  constructor(buffer) {
+    if (!OleReader.isOle(buffer)) {
+      throw new Error('Not an OLE compound file');
+    }
+
+    this.buffer = buffer;
+    this.sectorSize = 1 << buffer.readUInt16LE(0x1e);
+    this.miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+    this.miniStreamCutoff = buffer.readUInt32LE(0x38);
+
+    if (this.sectorSize !== 512 && this.sectorSize !== 4096) {
+      throw new Error(`Unsupported OLE sector size ${this.sectorSize}`);
+    }
+
+    this.fat = this.readFat();
+    this.entries = this.readDirectory(buffer.readUInt32LE(0x30));
+    this.miniFat = this.toSectorTable(this.readChainData(buffer.readUInt32LE(0x3c)));
+
+    const root = this.entries[0];
+    this.miniStream = root && root.type === TYPE_ROOT
+      ? this.readChainData(root.startSector).subarray(0, root.size)
+      : Buffer.alloc(0);
+
+    this.resolvePaths();
+  }
+
+  static isOle(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 512 && buffer.subarray(0, 8).equals(OLE_SIGNATURE);
+  }
+
+  sectorOffset(sector) {
+    return (sector + 1) * this.sectorSize;
+  }
+
+  toSectorTable(data) {
+    const table = new Array(Math.floor(data.length / 4));
+    for (let i = 0; i < table.length; i++) {
+      table[i] = data.readUInt32LE(i * 4);
+    }
+    return table;
+  }
+
+  readFat() {
+    const { buffer } = this;
+    const fatSectors = [];
+
+    // First 109 FAT sector numbers live in the header, the rest in the DIFAT chain
+    for (let i = 0; i < 109; i++) {
+      const sector = buffer.readUInt32LE(0x4c + i * 4);
+      if (sector <= MAX_REGULAR_SECTOR) fatSectors.push(sector);
+    }
+
+    let difatSector = buffer.readUInt32LE(0x44);
+    const perSector = this.sectorSize / 4 - 1;
+    const seen = new Set();
+    while (difatSector <= MAX_REGULAR_SECTOR && !seen.has(difatSector)) {
+      seen.add(difatSector);
+      const offset = this.sectorOffset(difatSector);
+      if (offset + this.sectorSize > buffer.length) break;
+      for (let i = 0; i < perSector; i++) {
+        const sector = buffer.readUInt32LE(offset + i * 4);
+        if (sector <= MAX_REGULAR_SECTOR) fatSectors.push(sector);
+      }
+      difatSector = buffer.readUInt32LE(offset + perSector * 4);
+    }
+
+    const fat = [];
+    for (const sector of fatSectors) {
+      const offset = this.sectorOffset(sector);
+      if (offset + this.sectorSize > buffer.length) continue;
+      fat.push(...this.toSectorTable(buffer.subarray(offset, offset + this.sectorSize)));
+    }
+    return fat;
+  }
+
+  readChainData(startSector) {
+    const chunks = [];
+    const seen = new Set();
+    let sector = startSector;
+
+    while (sector !== END_OF_CHAIN && sector !== FREE_SECTOR && sector <= MAX_REGULAR_SECTOR) {
+      if (seen.has(sector) || sector >= this.fat.length) {
+        throw new Error('Corrupt OLE sector chain');
+      }
+      seen.add(sector);
+      const offset = this.sectorOffset(sector);
+      chunks.push(this.buffer.subarray(offset, Math.min(offset + this.sectorSize, this.buffer.length)));
+      sector = this.fat[sector];
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  readMiniChainData(startSector, size) {
+    const chunks = [];
+    const seen = new Set();
+    let sector = startSector;
+
+    while (sector !== END_OF_CHAIN && sector <= MAX_REGULAR_SECTOR) {
+      if (seen.has(sector) || sector >= this.miniFat.length) {
+        throw new Error('Corrupt OLE mini sector chain');
+      }
+      seen.add(sector);
+      const offset = sector * this.miniSectorSize;
+      chunks.push(this.miniStream.subarray(offset, offset + this.miniSectorSize));
+      sector = this.miniFat[sector];
+    }
+
+    return Buffer.concat(chunks).subarray(0, size);
+  }
+
+  readDirectory(startSector) {
+    const data = this.readChainData(startSector);
+    const entries = [];
+
+    for (let offset = 0; offset + 128 <= data.length; offset += 128) {
+      const nameLength = data.readUInt16LE(offset + 0x40);
+      const type = data.readUInt8(offset + 0x42);
+      entries.push({
+        name: nameLength >= 2 ? data.toString('utf16le', offset, offset + Math.min(nameLength, 64) - 2) : '',
+        type,
+        left: data.readUInt32LE(offset + 0x44),
+        right: data.readUInt32LE(offset + 0x48),
+        child: data.readUInt32LE(offset + 0x4c),
+        startSector: data.readUInt32LE(offset + 0x74),
+        size: data.readUInt32LE(offset + 0x78),
+        path: null
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Walk the red-black trees to give every entry its full path, e.g. "Macros/VBA/dir"
+   */
+  resolvePaths() {
+    const visited = new Set();
+    const walk = (index, parentPath) => {
+      const stack = [index];
+      while (stack.length) {
+        const current = stack.pop();
+        if (current > MAX_REGULAR_SECTOR || current >= this.entries.length || visited.has(current)) continue;
+        visited.add(current);
+
+        const entry = this.entries[current];
+        entry.path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+        stack.push(entry.left, entry.right);
+        if (entry.type === TYPE_STORAGE) {
+          walk(entry.child, entry.path);
+        }
+      }
+    };
+
+    if (this.entries[0]) {
+      this.entries[0].path = '';
+      visited.add(0);
+      walk(this.entries[0].child, '');
+    }
+  }
+
+  get streams() {
+    return this.entries.filter(entry => entry.type === TYPE_STREAM && entry.path);
+  }
+
+  get storages() {
+    return this.entries.filter(entry => entry.type === TYPE_STORAGE && entry.path);
+  }
+
+  readStream(entry) {
+    if (entry.size < this.miniStreamCutoff) {
+      return this.readMiniChainData(entry.startSector, entry.size);
+    }
+    return this.readChainData(entry.startSector).subarray(0, entry.size);
+  }
+
+  /**
+   * Streams of every VBA project in the file (Word keeps them under "Macros/VBA",
+   * Excel under "_VBA_PROJECT_CUR/VBA", vbaProject.bin at "VBA")
+   */
+  findVbaProjects() {
+    return this.storages
+      .filter(storage => storage.name.toUpperCase() === 'VBA')
+      .map(storage => ({
+        path: storage.path,
+        modules: this.streams.filter(stream => (
+          stream.path.startsWith(`${storage.path}/`) &&
+          !/^(dir|_VBA_PROJECT|__SRP_\d+|PROJECT.*)$/i.test(stream.name)
+        ))
+      }));
+  }
+
+  /**
+   * Decompressed source of a VBA module stream. The compressed source follows
+   * the p-code; its container starts right before "Attribute VB_Name".
+   */
+  static extractVbaSource(moduleData) {
+    const marker = moduleData.indexOf('\x00Attribut', 0, 'latin1');
+    if (marker < 3 || moduleData[marker - 3] !== 0x01) {
+      return '';
+    }
+    return OleReader.decompressVba(moduleData.subarray(marker - 3)).toString('latin1');
+  }
+
+  /**
+   * MS-OVBA 2.4.1 compression: a 0x01 signature followed by 4 KiB chunks of
+   * flag-byte prefixed literal/copy-token sequences
+   */
+  static decompressVba(data, maxOutput = 1024 * 1024) {
+    if (!data.length || data[0] !== 0x01) {
+      return Buffer.alloc(0);
+    }
+
+    const output = [];
+    let position = 1;
+
+    while (position + 2 <= data.length && output.length < maxOutput) {
+      const header = data.readUInt16LE(position);
+      const chunkSize = (header & 0x0fff) + 3;
+      const compressed = Boolean(header & 0x8000);
+      const chunkEnd = Math.min(position + chunkSize, data.length);
+      const chunkStart = output.length;
+      position += 2;
+
+      if (!compressed) {
+        for (let i = 0; i < 4096 && position < chunkEnd; i++) output.push(data[position++]);
+        continue;
+      }
+
+      while (position < chunkEnd) {
+        const flags = data[position++];
+        for (let bit = 0; bit < 8 && position < chunkEnd; bit++) {
+          if (!(flags & (1 << bit))) {
+            output.push(data[position++]);
+            continue;
+          }
+          if (position + 2 > chunkEnd) {
+            position = chunkEnd;
+            break;
+          }
+
+          const token = data.readUInt16LE(position);
+          position += 2;
+
+          const decompressed = Math.max(output.length - chunkStart, 1);
+          const bitCount = Math.max(Math.ceil(Math.log2(decompressed)), 4);
+          const lengthMask = 0xffff >> bitCount;
+          const offset = (token >> (16 - bitCount)) + 1;
+          const length = (token & lengthMask) + 3;
+
+          if (offset > output.length - chunkStart) {
+            return Buffer.from(output);
+          }
+          const copyStart = output.length - offset;
+          for (let i = 0; i < length; i++) output.push(output[copyStart + i]);
+        }
+      }
+    }
+
+    return Buffer.from(output.slice(0, maxOutput));
+  }
+}
+
+module.exports = OleReader;
@@ -5,6 +5,11 @@ const ROLE_PERMISSIONS = {
     'view_analytics',
     'download_files'
   ],
+  // Writes blog posts and submits them for review, but can't publish
+  contributor: [
+    'read_blog',
+    'write_blog'
+  ],
   staff: [
     'read_blog',
     'write_blog',
@@ -12,7 +17,13 @@ const ROLE_PERMISSIONS = {
     'manage_content',
     'view_analytics',
     'view_reports',
-    'download_files'
+    'download_files',
+    'manage_leads',
+    'manage_tickets',
+    'handle_chat',
+    'manage_chatbot',
+    'manage_clients',
+    'moderate_comments'
   ],
   admin: [
     'read_blog',
@@ -28,7 +39,17 @@ const ROLE_PERMISSIONS = {
     'manage_files',
     'view_file_stats',
     'view_encryption_report',
-    'download_files'
+    'rotate_encryption_keys',
+    'manage_malware_protection',
+    'view_audit_logs',
+    'download_files',
+    'manage_leads',
+    'manage_tickets',
+    'handle_chat',
+    'manage_chatbot',
+    'manage_clients',
+    'moderate_comments',
+    'manage_newsletter'
   ]
 };
 
@@ -47,7 +68,17 @@ const PERMISSION_DESCRIPTIONS = {
   manage_files: 'Manage and delete files',
   view_file_stats: 'View file statistics dashboard',
   view_encryption_report: 'View encryption key/report data',
-  download_files: 'Download files not owned by the user'
+  rotate_encryption_keys: 'Re-wrap stored file keys with the current master key',
+  manage_malware_protection: 'Manage the hash blocklist, malware rescans and quarantined files',
+  view_audit_logs: 'View the audit trail and verify its integrity',
+  download_files: 'Download files not owned by the user',
+  manage_leads: 'Triage contact form submissions in the lead inbox',
+  manage_tickets: 'Work the support tickets queue and reply to customers',
+  handle_chat: 'Answer website visitors in the live chat agent console',
+  manage_chatbot: 'Edit chatbot answers and review unanswered questions',
+  manage_clients: 'Manage clients and matters and see every matter\'s files',
+  moderate_comments: 'Approve, reject and delete reader comments on blog posts',
+  manage_newsletter: 'View, export and erase newsletter subscribers'
 };
 
 class PermissionManager {
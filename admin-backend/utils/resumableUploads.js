@@ -0,0 +1,205 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Storage for tus resumable uploads.
+ *
+ * Each upload is a data file that grows with every PATCH plus a JSON info
+ * file beside it (length, offset, owner, metadata, state), so uploads
+ * survive restarts and don't depend on the database. Assembled uploads are
+ * handed to the secure file handler for scanning and encryption.
+ */
+class ResumableUploadStore {
+  constructor() {
+    this.directory = path.join(process.env.UPLOAD_DIRECTORY || 'uploads', 'resumable');
+    this.maxSize = parseInt(process.env.RESUMABLE_MAX_FILE_SIZE) || 5 * 1024 * 1024 * 1024; // 5GB
+    this.expiryMs = (parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60 * 1000;
+
+    // Uploads with a PATCH in flight; tus allows one writer per upload
+    this.locks = new Set();
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && /^[a-f0-9]{32}$/.test(id);
+  }
+
+  // The data file keeps the upload's extension so the scanner sees the file type
+  dataPath(info) {
+    return path.join(this.directory, `${info.id}${info.extension}`);
+  }
+
+  infoPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Start an upload of `length` bytes for a user
+   */
+  async create({ length, metadata, userId, scope }) {
+    await fsp.mkdir(this.directory, { recursive: true });
+
+    const now = Date.now();
+    const info = {
+      id: crypto.randomBytes(16).toString('hex'),
+      extension: path.extname(metadata.filename).toLowerCase(),
+      length,
+      offset: 0,
+      metadata,
+      userId: userId.toString(),
+      scope: {
+        clientId: scope.clientId || null,
+        matterId: scope.matterId ? scope.matterId.toString() : null
+      },
+      status: 'uploading',
+      result: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.expiryMs).toISOString()
+    };
+
+    await fsp.writeFile(this.dataPath(info), '');
+    await this.save(info);
+    return info;
+  }
+
+  async get(id) {
+    if (!this.isValidId(id)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fsp.readFile(this.infoPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(info) {
+    await fsp.writeFile(this.infoPath(info.id), JSON.stringify(info));
+  }
+
+  isExpired(info, now = Date.now()) {
+    return new Date(info.expiresAt).getTime() <= now;
+  }
+
+  /**
+   * Append a request body at the upload's offset. Whatever arrives is kept
+   * even if the connection drops, so the client resumes from the new offset.
+   * Returns the updated info; throws a 413 if the body runs past the length.
+   */
+  async append(info, stream) {
+    const remaining = info.length - info.offset;
+    let received = 0;
+
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          return callback(Object.assign(new Error('Upload exceeds its declared length'), { status: 413 }));
+        }
+        callback(null, chunk);
+      }
+    });
+
+    let failure = null;
+    try {
+      await pipeline(stream, limiter, fs.createWriteStream(this.dataPath(info), { flags: 'a' }));
+    } catch (error) {
+      failure = error;
+    }
+
+    // The data file is the source of truth for how much was received
+    const { size } = await fsp.stat(this.dataPath(info));
+    if (size > info.length) {
+      await fsp.truncate(this.dataPath(info), info.length);
+    }
+    info.offset = Math.min(size, info.length);
+    await this.save(info);
+
+    if (failure && failure.status) {
+      throw failure;
+    }
+    return info;
+  }
+
+  /**
+   * Remove an upload's data and info
+   */
+  async remove(info) {
+    await Promise.all([
+      fsp.rm(this.dataPath(info), { force: true }),
+      fsp.rm(this.infoPath(info.id), { force: true })
+    ]);
+  }
+
+  /**
+   * Settle uploads left 'processing' by a restart. Processing runs in the
+   * background of the process that received the last chunk, so nothing
+   * would pick them up again; clients polling them get a rejection to act
+   * on instead of waiting forever. Call once at startup.
+   */
+  async recoverInterrupted() {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let recovered = 0;
+    for (const entry of entries.filter(name => name.endsWith('.json'))) {
+      const info = await this.get(path.basename(entry, '.json'));
+      if (!info || info.status !== 'processing' || this.locks.has(info.id)) continue;
+
+      info.status = 'rejected';
+      info.result = {
+        originalName: info.metadata.filename,
+        reason: 'Processing was interrupted by a server restart. Please upload the file again.',
+        threats: [],
+        warnings: []
+      };
+      await this.save(info);
+      await fsp.rm(this.dataPath(info), { force: true });
+      recovered++;
+    }
+    return recovered;
+  }
+
+  /**
+   * Remove unfinished uploads past their expiry, and assembled ones a day
+   * after that so clients can still read the result
+   */
+  async cleanupExpired() {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const now = Date.now();
+    let removed = 0;
+    for (const entry of entries.filter(name => name.endsWith('.json'))) {
+      const info = await this.get(path.basename(entry, '.json'));
+      if (!info || this.locks.has(info.id)) continue;
+
+      const assembled = info.status !== 'uploading';
+      const deadline = new Date(info.expiresAt).getTime() + (assembled ? 24 * 60 * 60 * 1000 : 0);
+      if (deadline <= now) {
+        await this.remove(info);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+// Create singleton instance
+const resumableUploads = new ResumableUploadStore();
+
+module.exports = resumableUploads;
@@ -0,0 +1,171 @@
+const os = require('os');
+
+const APP_NAME = 'lexocrates-admin';
+const PRODUCT_VERSION = require('../package.json').version;
+
+// Audit threat levels as syslog severities (RFC 5424 section 6.2.1)
+const SYSLOG_SEVERITY = { critical: 2, high: 3, medium: 4, low: 6 };
+
+// ...and as CEF severities (0-10)
+const CEF_SEVERITY = { critical: 10, high: 8, medium: 5, low: 3 };
+
+// Default facility: 13 (log audit)
+const DEFAULT_FACILITY = 13;
+
+// Enterprise number for structured data ids; 32473 is reserved for documentation
+const DEFAULT_ENTERPRISE_ID = 32473;
+
+/**
+ * SIEM message formats for audit events:
+ *   - RFC 5424 syslog with the event details as structured data
+ *   - ArcSight CEF, carried as the message of an RFC 5424 syslog line
+ *   - JSON lines
+ */
+class SiemFormatter {
+  /**
+   * The fields forwarded for an audit entry (a saved AuditLog or the data it was built from)
+   */
+  static toEvent(entry) {
+    const plain = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+    return {
+      timestamp: new Date(plain.timestamp || Date.now()).toISOString(),
+      eventType: plain.eventType,
+      action: plain.action,
+      description: plain.description,
+      threatLevel: plain.threatLevel || 'low',
+      success: plain.success !== false,
+      failureReason: plain.failureReason || null,
+      userId: plain.userId ? plain.userId.toString() : null,
+      ipAddress: plain.ipAddress || null,
+      userAgent: plain.userAgent || null,
+      resourceType: plain.resourceType || null,
+      resourceId: plain.resourceId || null,
+      requestId: plain.requestId || null,
+      // Position in the audit hash chain, so the SOC can match events to the trail
+      sequence: plain.sequence || null,
+      hash: plain.hash || null
+    };
+  }
+
+  static hostname() {
+    return os.hostname().replace(/[^\x21-\x7e]/g, '').slice(0, 255) || '-';
+  }
+
+  // Header fields are printable ASCII without spaces; '-' when empty
+  static headerField(value, maxLength) {
+    const field = String(value || '').replace(/[^\x21-\x7e]/g, '').slice(0, maxLength);
+    return field || '-';
+  }
+
+  static escapeParam(value) {
+    return String(value).replace(/[\\"\]]/g, '\\$&');
+  }
+
+  /**
+   * RFC 5424 syslog line: <PRI>1 TIMESTAMP HOST APP PROCID MSGID [SD] MSG
+   */
+  static syslog(event, { facility = DEFAULT_FACILITY, enterpriseId = DEFAULT_ENTERPRISE_ID, message = null } = {}) {
+    const severity = SYSLOG_SEVERITY[event.threatLevel] ?? 6;
+    const params = {
+      sequence: event.sequence,
+      userId: event.userId,
+      src: event.ipAddress,
+      resourceType: event.resourceType,
+      resourceId: event.resourceId,
+      requestId: event.requestId,
+      outcome: event.success ? 'success' : 'failure',
+      reason: event.failureReason,
+      threatLevel: event.threatLevel,
+      hash: event.hash
+    };
+    const data = Object.entries(params)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `${name}="${this.escapeParam(value)}"`)
+      .join(' ');
+
+    return [
+      `<${facility * 8 + severity}>1`,
+      event.timestamp,
+      this.hostname(),
+      APP_NAME,
+      process.pid,
+      this.headerField(event.eventType, 32),
+      `[audit@${enterpriseId} ${data}]`,
+      message === null ? event.description : message
+    ].join(' ');
+  }
+
+  static escapeCefHeader(value) {
+    return String(value || '').replace(/[\\|]/g, '\\$&').replace(/[\r\n]+/g, ' ');
+  }
+
+  static escapeCefValue(value) {
+    return String(value).replace(/[\\=]/g, '\\$&').replace(/\r?\n/g, '\\n').replace(/\r/g, '\\r');
+  }
+
+  /**
+   * ArcSight CEF: CEF:0|Vendor|Product|Version|SignatureID|Name|Severity|Extension
+   */
+  static cef(event, { vendor = 'Lexocrates', product = 'Admin Backend' } = {}) {
+    const extension = {
+      rt: Date.parse(event.timestamp),
+      act: event.action,
+      msg: event.description,
+      outcome: event.success ? 'success' : 'failure',
+      reason: event.failureReason,
+      suid: event.userId,
+      src: event.ipAddress,
+      requestClientApplication: event.userAgent,
+      externalId: event.requestId,
+      cs1Label: event.resourceType ? 'resourceType' : null,
+      cs1: event.resourceType,
+      cs2Label: event.resourceId ? 'resourceId' : null,
+      cs2: event.resourceId,
+      cs3Label: event.hash ? 'auditHash' : null,
+      cs3: event.hash,
+      cn1Label: event.sequence ? 'auditSequence' : null,
+      cn1: event.sequence
+    };
+    const pairs = Object.entries(extension)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => `${key}=${this.escapeCefValue(value)}`)
+      .join(' ');
+
+    return [
+      'CEF:0',
+      this.escapeCefHeader(vendor),
+      this.escapeCefHeader(product),
+      this.escapeCefHeader(PRODUCT_VERSION),
+      this.escapeCefHeader(event.eventType),
+      this.escapeCefHeader(event.action || event.eventType),
+      CEF_SEVERITY[event.threatLevel] ?? 3,
+      pairs
+    ].join('|');
+  }
+
+  /**
+   * CEF carried in a syslog line, the way ArcSight connectors receive it
+   */
+  static cefSyslog(event, options = {}) {
+    return this.syslog(event, { ...options, message: this.cef(event, options) });
+  }
+
+  static jsonLine(event) {
+    return JSON.stringify({ source: APP_NAME, host: this.hostname(), ...event });
+  }
+
+  static format(name, event, options = {}) {
+    switch (name) {
+      case 'rfc5424':
+        return this.syslog(event, options);
+      case 'cef':
+        return this.cefSyslog(event, options);
+      case 'json':
+        return this.jsonLine(event);
+      default:
+        throw new Error(`Unknown SIEM format '${name}'`);
+    }
+  }
+}
+
+module.exports = SiemFormatter;
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const SiemFormatter = require('./siemFormatter');
+
+const THREAT_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+// Consecutive failed sends before a forwarder reports itself down
+const DOWN_AFTER_FAILURES = 5;
+
+/**
+ * One SIEM destination: filters events, formats them, sends them in batches
+ * and keeps what couldn't be delivered in an on-disk buffer (one JSON string
+ * per line) that is retried with exponential backoff, oldest first.
+ */
+class SiemForwarder {
+  constructor({
+    name,
+    format,
+    transport,
+    formatOptions = {},
+    events = ['*'],
+    minThreatLevel = 'low',
+    batchSize = 100,
+    flushInterval = 1000,
+    maxQueue = 1000,
+    bufferDirectory = path.join(__dirname, '..', 'logs', 'siem-buffer'),
+    maxBufferBytes = 50 * 1024 * 1024,
+    retryDelay = 1000,
+    maxRetryDelay = 5 * 60 * 1000
+  }) {
+    this.name = name;
+    this.format = format;
+    this.transport = transport;
+    this.formatOptions = formatOptions;
+    this.events = events;
+    this.minThreatLevel = minThreatLevel;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.maxQueue = maxQueue;
+    this.bufferPath = path.join(bufferDirectory, `${name}.jsonl`);
+    this.maxBufferBytes = maxBufferBytes;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+
+    this.queue = [];
+    this.bufferLock = Promise.resolve();
+    this.flushing = null;
+    this.flushTimer = null;
+    this.retryTimer = null;
+    this.consecutiveFailures = 0;
+    this.stats = { sent: 0, dropped: 0 };
+    this.lastSuccessAt = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+
+    // Deliver whatever a previous run left in the buffer
+    this.bufferedBytes = fs.existsSync(this.bufferPath) ? fs.statSync(this.bufferPath).size : 0;
+    if (this.bufferedBytes > 0) {
+      this.scheduleFlush(0);
+    }
+  }
+
+  accepts(event) {
+    const wanted = this.events.includes('*') || this.events.includes(event.eventType);
+    return wanted && (THREAT_RANK[event.threatLevel] ?? 0) >= (THREAT_RANK[this.minThreatLevel] ?? 0);
+  }
+
+  /**
+   * Queue an event if this forwarder wants it. Never throws.
+   */
+  forward(event) {
+    if (!this.accepts(event)) {
+      return false;
+    }
+
+    try {
+      this.queue.push(SiemFormatter.format(this.format, event, this.formatOptions));
+    } catch (error) {
+      this.stats.dropped++;
+      return false;
+    }
+
+    if (this.retryTimer) {
+      // The destination is failing; keep memory bounded until the retry
+      if (this.queue.length >= this.maxQueue) {
+        this.spill().catch(() => {});
+      }
+    } else {
+      this.scheduleFlush(this.queue.length >= this.batchSize ? 0 : this.flushInterval);
+    }
+    return true;
+  }
+
+  scheduleFlush(delay) {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delay);
+    this.flushTimer.unref();
+  }
+
+  scheduleRetry() {
+    const delay = Math.min(this.retryDelay * 2 ** (this.consecutiveFailures - 1), this.maxRetryDelay);
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+    this.retryTimer.unref();
+  }
+
+  /**
+   * Send the buffer, then the queue. On failure the queue is moved to the
+   * buffer and a retry is scheduled. Resolves when this flush is done.
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.deliver().finally(() => {
+        this.flushing = null;
+        // Events queued while this flush was finishing
+        if (this.queue.length > 0 && !this.retryTimer) {
+          this.scheduleFlush(this.flushInterval);
+        }
+      });
+    }
+    return this.flushing;
+  }
+
+  async deliver() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    try {
+      if (this.bufferedBytes > 0) {
+        await this.drainBuffer();
+      }
+      while (this.queue.length > 0) {
+        const batch = this.queue.slice(0, this.batchSize);
+        await this.transport.send(batch);
+        this.queue.splice(0, batch.length);
+        this.recordSuccess(batch.length);
+      }
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    } catch (error) {
+      this.consecutiveFailures++;
+      this.lastError = error.message;
+      this.lastErrorAt = new Date();
+      await this.spill().catch(() => {});
+      this.scheduleRetry();
+    }
+  }
+
+  recordSuccess(count) {
+    this.stats.sent += count;
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date();
+  }
+
+  // Buffer reads and writes run one at a time
+  withBuffer(task) {
+    const run = this.bufferLock.then(task, task);
+    this.bufferLock = run.catch(() => {});
+    return run;
+  }
+
+  drainBuffer() {
+    return this.withBuffer(() => this.sendBuffered());
+  }
+
+  async sendBuffered() {
+    const content = await fsp.readFile(this.bufferPath, 'utf8').catch(error => {
+      if (error.code === 'ENOENT') return '';
+      throw error;
+    });
+    const messages = content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+    let sent = 0;
+    try {
+      while (sent < messages.length) {
+        const batch = messages.slice(sent, sent + this.batchSize);
+        await this.transport.send(batch);
+        sent += batch.length;
+        this.recordSuccess(batch.length);
+      }
+    } finally {
+      // Keep only what is still undelivered
+      const remaining = messages.slice(sent);
+      if (remaining.length > 0) {
+        const lines = remaining.map(message => JSON.stringify(message)).join('\n') + '\n';
+        await fsp.writeFile(this.bufferPath, lines);
+        this.bufferedBytes = Buffer.byteLength(lines);
+      } else {
+        await fsp.rm(this.bufferPath, { force: true });
+        this.bufferedBytes = 0;
+      }
+    }
+  }
+
+  /**
+   * Move the queue to the on-disk buffer. When the buffer is full the newest
+   * events are dropped (and counted) so the oldest still arrive.
+   */
+  spill() {
+    if (this.queue.length === 0) return Promise.resolve();
+    const messages = this.queue.splice(0, this.queue.length);
+    const lines = messages.map(message => JSON.stringify(message)).join('\n') + '\n';
+    const size = Buffer.byteLength(lines);
+
+    return this.withBuffer(async () => {
+      if (this.bufferedBytes + size > this.maxBufferBytes) {
+        this.stats.dropped += messages.length;
+        return;
+      }
+      await fsp.mkdir(path.dirname(this.bufferPath), { recursive: true });
+      await fsp.appendFile(this.bufferPath, lines);
+      this.bufferedBytes += size;
+    });
+  }
+
+  getHealth() {
+    let status = 'healthy';
+    if (this.consecutiveFailures >= DOWN_AFTER_FAILURES) {
+      status = 'down';
+    } else if (this.consecutiveFailures > 0 || this.bufferedBytes > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      name: this.name,
+      format: this.format,
+      destination: this.transport.describe(),
+      events: this.events,
+      minThreatLevel: this.minThreatLevel,
+      status,
+      queued: this.queue.length,
+      bufferedBytes: this.bufferedBytes,
+      sent: this.stats.sent,
+      dropped: this.stats.dropped,
+      consecutiveFailures: this.consecutiveFailures,
+      lastSuccessAt: this.lastSuccessAt,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+      retryScheduled: Boolean(this.retryTimer)
+    };
+  }
+
+  close() {
+    clearTimeout(this.flushTimer);
+    clearTimeout(this.retryTimer);
+    this.flushTimer = null;
+    this.retryTimer = null;
+    this.transport.close();
+  }
+}
+
+module.exports = SiemForwarder;
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const SiemFormatter = require('./siemFormatter');
+const SiemForwarder = require('./siemForwarder');
+const { SyslogTransport, HttpTransport } = require('./siemTransports');
+
+const list = (value, fallback) => (value || fallback).split(',').map(item => item.trim()).filter(Boolean);
+
+// Settings shared by every forwarder, from SIEM_<PREFIX>_*
+const forwarderOptions = (prefix) => ({
+  events: list(process.env[`${prefix}_EVENTS`], '*'),
+  minThreatLevel: process.env[`${prefix}_MIN_THREAT`] || 'low',
+  bufferDirectory: process.env.SIEM_BUFFER_DIRECTORY || path.join(__dirname, '..', 'logs', 'siem-buffer'),
+  maxBufferBytes: parseInt(process.env.SIEM_BUFFER_MAX_BYTES) || 50 * 1024 * 1024,
+  maxRetryDelay: parseInt(process.env.SIEM_RETRY_MAX_DELAY) || 5 * 60 * 1000
+});
+
+const syslogTransport = (prefix) => new SyslogTransport({
+  protocol: (process.env[`${prefix}_PROTOCOL`] || 'udp').toLowerCase(),
+  host: process.env[`${prefix}_HOST`] || '127.0.0.1',
+  port: parseInt(process.env[`${prefix}_PORT`]) || null,
+  ca: process.env[`${prefix}_CA`] ? fs.readFileSync(process.env[`${prefix}_CA`]) : null,
+  rejectUnauthorized: process.env[`${prefix}_TLS_VERIFY`] !== 'false'
+});
+
+const syslogFormatOptions = (prefix) => ({
+  facility: parseInt(process.env[`${prefix}_FACILITY`]) || undefined,
+  vendor: process.env.SIEM_CEF_VENDOR || undefined,
+  product: process.env.SIEM_CEF_PRODUCT || undefined
+});
+
+// Forwarders that can be enabled with SIEM_FORWARDERS (comma separated)
+const FORWARDER_FACTORIES = {
+  syslog: () => new SiemForwarder({
+    name: 'syslog',
+    format: 'rfc5424',
+    transport: syslogTransport('SIEM_SYSLOG'),
+    formatOptions: syslogFormatOptions('SIEM_SYSLOG'),
+    ...forwarderOptions('SIEM_SYSLOG')
+  }),
+  cef: () => new SiemForwarder({
+    name: 'cef',
+    format: 'cef',
+    transport: syslogTransport('SIEM_CEF'),
+    formatOptions: syslogFormatOptions('SIEM_CEF'),
+    ...forwarderOptions('SIEM_CEF')
+  }),
+  http: () => new SiemForwarder({
+    name: 'http',
+    format: 'json',
+    transport: new HttpTransport({
+      url: process.env.SIEM_HTTP_URL,
+      token: process.env.SIEM_HTTP_TOKEN || null
+    }),
+    batchSize: parseInt(process.env.SIEM_HTTP_BATCH_SIZE) || 100,
+    flushInterval: parseInt(process.env.SIEM_HTTP_FLUSH_INTERVAL) || 5000,
+    ...forwarderOptions('SIEM_HTTP')
+  })
+};
+
+/**
+ * SIEM Forwarding
+ * Streams audit events to the configured forwarders
+ */
+class SiemForwarding {
+  constructor() {
+    this.forwarders = [];
+    list(process.env.SIEM_FORWARDERS, '')
+      .map(name => name.toLowerCase())
+      .forEach(name => {
+        if (!FORWARDER_FACTORIES[name]) {
+          console.error(`Unknown SIEM forwarder '${name}' in SIEM_FORWARDERS, ignoring`);
+          return;
+        }
+        try {
+          this.register(FORWARDER_FACTORIES[name]());
+        } catch (error) {
+          console.error(`SIEM forwarder '${name}' is misconfigured, ignoring: ${error.message}`);
+        }
+      });
+  }
+
+  register(forwarder) {
+    this.forwarders = this.forwarders.filter(existing => existing.name !== forwarder.name).concat(forwarder);
+    return forwarder;
+  }
+
+  /**
+   * Hand an audit entry to every forwarder. Never throws; delivery happens in the background.
+   */
+  forward(entry) {
+    if (this.forwarders.length === 0) return;
+    try {
+      const event = SiemFormatter.toEvent(entry);
+      this.forwarders.forEach(forwarder => forwarder.forward(event));
+    } catch (error) {
+      console.error('SIEM forwarding error:', error.message);
+    }
+  }
+
+  flush() {
+    return Promise.all(this.forwarders.map(forwarder => forwarder.flush()));
+  }
+
+  /**
+   * Overall status (worst forwarder) with per-forwarder details
+   */
+  getHealth() {
+    const forwarders = this.forwarders.map(forwarder => forwarder.getHealth());
+    const order = ['healthy', 'degraded', 'down'];
+    const status = forwarders.length === 0
+      ? 'disabled'
+      : forwarders.reduce((worst, f) => (order.indexOf(f.status) > order.indexOf(worst) ? f.status : worst), 'healthy');
+    return { status, forwarders };
+  }
+
+  close() {
+    this.forwarders.forEach(forwarder => forwarder.close());
+  }
+}
+
+// Create singleton instance
+const siemForwarding = new SiemForwarding();
+
+module.exports = siemForwarding;
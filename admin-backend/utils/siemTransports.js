@@ -0,0 +1,159 @@
+const net = require('net');
+const tls = require('tls');
+const dgram = require('dgram');
+const http = require('http');
+const https = require('https');
+
+/**
+ * RFC 5424 syslog over UDP, TCP or TLS. Stream transports use octet-counting
+ * framing (RFC 6587 / RFC 5425) and keep one connection open.
+ */
+class SyslogTransport {
+  constructor({ protocol = 'udp', host = '127.0.0.1', port = null, timeout = 10000, ca = null, rejectUnauthorized = true } = {}) {
+    if (!['udp', 'tcp', 'tls'].includes(protocol)) {
+      throw new Error(`Unknown syslog protocol '${protocol}'`);
+    }
+    this.protocol = protocol;
+    this.host = host;
+    this.port = port || (protocol === 'tls' ? 6514 : 514);
+    this.timeout = timeout;
+    this.ca = ca;
+    this.rejectUnauthorized = rejectUnauthorized;
+    this.socket = null;
+  }
+
+  describe() {
+    return `syslog+${this.protocol}://${this.host}:${this.port}`;
+  }
+
+  send(messages) {
+    return this.protocol === 'udp' ? this.sendDatagrams(messages) : this.sendFrames(messages);
+  }
+
+  async sendDatagrams(messages) {
+    if (!this.socket) {
+      this.socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+      this.socket.unref();
+      this.socket.on('error', () => this.close());
+    }
+    for (const message of messages) {
+      await new Promise((resolve, reject) => {
+        this.socket.send(Buffer.from(message), this.port, this.host, error => (error ? reject(error) : resolve()));
+      });
+    }
+  }
+
+  connect() {
+    if (this.socket) {
+      return Promise.resolve(this.socket);
+    }
+
+    return new Promise((resolve, reject) => {
+      const options = { host: this.host, port: this.port };
+      const socket = this.protocol === 'tls'
+        ? tls.connect({ ...options, servername: net.isIP(this.host) ? undefined : this.host, ca: this.ca || undefined, rejectUnauthorized: this.rejectUnauthorized })
+        : net.connect(options);
+
+      const fail = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+      socket.setTimeout(this.timeout, () => fail(new Error(`${this.describe()} did not accept a connection within ${this.timeout}ms`)));
+      socket.once('error', fail);
+      socket.once(this.protocol === 'tls' ? 'secureConnect' : 'connect', () => {
+        socket.setTimeout(0);
+        socket.removeListener('error', fail);
+        socket.setKeepAlive(true);
+        socket.unref();
+        // Drop the connection on any later error; the next send reconnects
+        socket.on('error', () => {});
+        socket.on('close', () => {
+          if (this.socket === socket) this.socket = null;
+        });
+        this.socket = socket;
+        resolve(socket);
+      });
+    });
+  }
+
+  async sendFrames(messages) {
+    const socket = await this.connect();
+    const frames = Buffer.concat(messages.map(message => {
+      const body = Buffer.from(message);
+      return Buffer.concat([Buffer.from(`${body.length} `), body]);
+    }));
+
+    await new Promise((resolve, reject) => {
+      socket.write(frames, error => {
+        if (error) {
+          socket.destroy();
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      if (this.protocol === 'udp') {
+        this.socket.close();
+      } else {
+        this.socket.destroy();
+      }
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * Batches of JSON lines POSTed to an HTTP collector (application/x-ndjson)
+ */
+class HttpTransport {
+  constructor({ url, token = null, timeout = 10000 } = {}) {
+    if (!url) {
+      throw new Error('HTTP forwarding needs a URL');
+    }
+    this.url = new URL(url);
+    this.token = token;
+    this.timeout = timeout;
+  }
+
+  describe() {
+    return `${this.url.origin}${this.url.pathname}`;
+  }
+
+  send(messages) {
+    const body = Buffer.from(`${messages.join('\n')}\n`);
+    const client = this.url.protocol === 'https:' ? https : http;
+    const headers = {
+      'Content-Type': 'application/x-ndjson',
+      'Content-Length': body.length
+    };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(this.url, { method: 'POST', headers, timeout: this.timeout }, (response) => {
+        response.resume();
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve();
+        } else {
+          reject(new Error(`${this.describe()} answered ${response.statusCode}`));
+        }
+      });
+      request.on('timeout', () => request.destroy(new Error(`${this.describe()} did not answer within ${this.timeout}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  close() {}
+}
+
+module.exports = {
+  SyslogTransport,
+  HttpTransport
+};
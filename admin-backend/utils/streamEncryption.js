@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform, pipeline } = require('stream');
+const { promisify } = require('util');
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * Chunked AEAD file format
+ *
+ *   header  magic "LXE1" (4) | format version (1) | chunk size (uint32 BE) | salt (16) | nonce prefix (7)
+ *   chunks  AES-256-GCM ciphertext of each plaintext chunk followed by its 16-byte tag
+ *
+ * Every chunk but the last holds exactly `chunk size` plaintext bytes, so any
+ * plaintext offset maps to a chunk without reading the rest of the file. Each
+ * chunk's nonce is prefix | chunk index (uint32 BE) | last-chunk flag, and the
+ * header is authenticated with every chunk, so chunks cannot be reordered,
+ * dropped, truncated or moved between files without failing authentication.
+ */
+const MAGIC = Buffer.from('LXE1', 'ascii');
+const FORMAT_VERSION = 1;
+const SALT_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 7;
+const HEADER_LENGTH = MAGIC.length + 1 + 4 + SALT_LENGTH + NONCE_PREFIX_LENGTH;
+const TAG_LENGTH = 16;
+const MIN_CHUNK_SIZE = 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+class StreamEncryption {
+  constructor() {
+    this.algorithm = 'aes-256-gcm';
+    this.headerLength = HEADER_LENGTH;
+    this.tagLength = TAG_LENGTH;
+
+    const configured = parseInt(process.env.ENCRYPTION_CHUNK_SIZE) || 64 * 1024;
+    this.chunkSize = Math.min(Math.max(configured, MIN_CHUNK_SIZE), MAX_CHUNK_SIZE);
+  }
+
+  /**
+   * Build a fresh header for a new file
+   */
+  createHeader(chunkSize = this.chunkSize) {
+    const header = Buffer.alloc(HEADER_LENGTH);
+    MAGIC.copy(header, 0);
+    header.writeUInt8(FORMAT_VERSION, 4);
+    header.writeUInt32BE(chunkSize, 5);
+    crypto.randomBytes(SALT_LENGTH).copy(header, 9);
+    crypto.randomBytes(NONCE_PREFIX_LENGTH).copy(header, 9 + SALT_LENGTH);
+    return header;
+  }
+
+  /**
+   * Validate and split a header
+   */
+  parseHeader(header) {
+    if (!Buffer.isBuffer(header) || header.length < HEADER_LENGTH || !header.subarray(0, 4).equals(MAGIC)) {
+      throw new Error('Not a chunked encrypted file');
+    }
+
+    const version = header.readUInt8(4);
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported encrypted file format version ${version}`);
+    }
+
+    const chunkSize = header.readUInt32BE(5);
+    if (chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+      throw new Error('Invalid chunk size in encrypted file header');
+    }
+
+    return {
+      header: header.subarray(0, HEADER_LENGTH),
+      chunkSize,
+      salt: header.subarray(9, 9 + SALT_LENGTH),
+      noncePrefix: header.subarray(9 + SALT_LENGTH, HEADER_LENGTH)
+    };
+  }
+
+  /**
+   * Per-file content key, derived from the file key and the header salt
+   */
+  deriveKey(fileKey, salt) {
+    return Buffer.from(crypto.hkdfSync(
+      'sha256',
+      Buffer.from(fileKey, 'utf8'),
+      salt,
+      Buffer.from('lexocrates-chunked-file-v1', 'utf8'),
+      32
+    ));
+  }
+
+  chunkNonce(noncePrefix, index, isLast) {
+    const nonce = Buffer.alloc(12);
+    noncePrefix.copy(nonce, 0);
+    nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+    nonce.writeUInt8(isLast ? 1 : 0, 11);
+    return nonce;
+  }
+
+  sealChunk(key, parsed, index, isLast, plaintext) {
+    const cipher = crypto.createCipheriv(this.algorithm, key, this.chunkNonce(parsed.noncePrefix, index, isLast), {
+      authTagLength: TAG_LENGTH
+    });
+    cipher.setAAD(parsed.header);
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  }
+
+  openChunk(key, parsed, index, isLast, frame) {
+    if (frame.length < TAG_LENGTH) {
+      throw new Error(`Encrypted chunk ${index} is truncated`);
+    }
+
+    const decipher = crypto.createDecipheriv(this.algorithm, key, this.chunkNonce(parsed.noncePrefix, index, isLast), {
+      authTagLength: TAG_LENGTH
+    });
+    decipher.setAAD(parsed.header);
+    decipher.setAuthTag(frame.subarray(frame.length - TAG_LENGTH));
+
+    try {
+      return Buffer.concat([decipher.update(frame.subarray(0, frame.length - TAG_LENGTH)), decipher.final()]);
+    } catch (error) {
+      throw new Error(`Encrypted chunk ${index} failed authentication`);
+    }
+  }
+
+  /**
+   * Transform stream: plaintext in, header + sealed chunks out.
+   * One chunk is always held back so the final chunk can be flagged in flush.
+   */
+  createEncryptStream(fileKey, { chunkSize = this.chunkSize } = {}) {
+    const header = this.createHeader(chunkSize);
+    const parsed = this.parseHeader(header);
+    const key = this.deriveKey(fileKey, parsed.salt);
+    const self = this;
+
+    let pending = [];
+    let pendingLength = 0;
+    let index = 0;
+    let headerSent = false;
+
+    const take = (length) => {
+      const all = Buffer.concat(pending, pendingLength);
+      const chunk = all.subarray(0, length);
+      const rest = all.subarray(length);
+      pending = rest.length ? [rest] : [];
+      pendingLength = rest.length;
+      return chunk;
+    };
+
+    const stream = new Transform({
+      transform(data, encoding, callback) {
+        try {
+          if (!headerSent) {
+            this.push(header);
+            headerSent = true;
+          }
+
+          pending.push(data);
+          pendingLength += data.length;
+          stream.bytesIn += data.length;
+
+          while (pendingLength > chunkSize) {
+            this.push(self.sealChunk(key, parsed, index++, false, take(chunkSize)));
+          }
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      },
+      flush(callback) {
+        try {
+          if (!headerSent) {
+            this.push(header);
+          }
+          this.push(self.sealChunk(key, parsed, index, true, take(pendingLength)));
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      }
+    });
+
+    stream.bytesIn = 0;
+    return stream;
+  }
+
+  /**
+   * Transform stream: sealed chunks (starting at firstChunk) in, plaintext out.
+   * lastChunk is the index of the file's final chunk, from getLayout().
+   */
+  createChunkDecryptStream(fileKey, parsed, { firstChunk = 0, lastChunk }) {
+    const key = this.deriveKey(fileKey, parsed.salt);
+    const frameSize = parsed.chunkSize + TAG_LENGTH;
+    const self = this;
+
+    let pending = [];
+    let pendingLength = 0;
+    let index = firstChunk;
+
+    const take = (length) => {
+      const all = Buffer.concat(pending, pendingLength);
+      const frame = all.subarray(0, length);
+      const rest = all.subarray(length);
+      pending = rest.length ? [rest] : [];
+      pendingLength = rest.length;
+      return frame;
+    };
+
+    return new Transform({
+      transform(data, encoding, callback) {
+        try {
+          pending.push(data);
+          pendingLength += data.length;
+
+          while (pendingLength >= frameSize) {
+            this.push(self.openChunk(key, parsed, index, index === lastChunk, take(frameSize)));
+            index++;
+          }
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      },
+      flush(callback) {
+        try {
+          if (pendingLength > 0) {
+            this.push(self.openChunk(key, parsed, index, index === lastChunk, take(pendingLength)));
+            index++;
+          }
+          if (index === firstChunk) {
+            throw new Error('Encrypted file has no chunks');
+          }
+          callback();
+        } catch (error) {
+          callback(error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Pass through `length` bytes after skipping `skip` bytes
+   */
+  createSliceStream(skip, length) {
+    let toSkip = skip;
+    let remaining = length;
+
+    return new Transform({
+      transform(data, encoding, callback) {
+        let chunk = data;
+        if (toSkip > 0) {
+          const skipped = Math.min(toSkip, chunk.length);
+          chunk = chunk.subarray(skipped);
+          toSkip -= skipped;
+        }
+        if (remaining > 0 && chunk.length > 0) {
+          const part = chunk.subarray(0, remaining);
+          remaining -= part.length;
+          this.push(part);
+        }
+        callback();
+      }
+    });
+  }
+
+  async readHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(HEADER_LENGTH);
+      const { bytesRead } = await handle.read(buffer, 0, HEADER_LENGTH, 0);
+      const { size } = await handle.stat();
+      return { buffer: buffer.subarray(0, bytesRead), encryptedSize: size };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Whether a file on disk is in the chunked format
+   */
+  async isChunkedFile(filePath) {
+    const { buffer } = await this.readHeader(filePath);
+    return buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+  }
+
+  /**
+   * Header, chunk count and plaintext size, from the header and file size alone
+   */
+  async getLayout(filePath) {
+    const { buffer, encryptedSize } = await this.readHeader(filePath);
+    const parsed = this.parseHeader(buffer);
+    const frameSize = parsed.chunkSize + TAG_LENGTH;
+    const body = encryptedSize - HEADER_LENGTH;
+    const chunkCount = Math.ceil(body / frameSize);
+    const lastFrame = body - (chunkCount - 1) * frameSize;
+
+    if (body < TAG_LENGTH || lastFrame < TAG_LENGTH) {
+      throw new Error('Encrypted file is truncated');
+    }
+
+    return {
+      parsed,
+      encryptedSize,
+      chunkCount,
+      plaintextSize: body - chunkCount * TAG_LENGTH
+    };
+  }
+
+  /**
+   * Readable plaintext stream for the whole file or an inclusive byte range.
+   * Only the chunks covering the range are read and decrypted.
+   */
+  async createDecryptStream(filePath, fileKey, range = null) {
+    const layout = await this.getLayout(filePath);
+    const { parsed, plaintextSize, chunkCount } = layout;
+    const frameSize = parsed.chunkSize + TAG_LENGTH;
+
+    const start = range ? range.start : 0;
+    const end = range ? range.end : plaintextSize - 1;
+    if (range && (start < 0 || end >= plaintextSize || start > end)) {
+      throw new RangeError('Requested range is not satisfiable');
+    }
+
+    const firstChunk = range ? Math.floor(start / parsed.chunkSize) : 0;
+    const endChunk = range ? Math.floor(end / parsed.chunkSize) : chunkCount - 1;
+
+    const source = fs.createReadStream(filePath, {
+      start: HEADER_LENGTH + firstChunk * frameSize,
+      end: Math.min(HEADER_LENGTH + (endChunk + 1) * frameSize, layout.encryptedSize) - 1,
+      highWaterMark: frameSize
+    });
+
+    const stream = pipeline(
+      source,
+      this.createChunkDecryptStream(fileKey, parsed, { firstChunk, lastChunk: chunkCount - 1 }),
+      this.createSliceStream(start - firstChunk * parsed.chunkSize, end - start + 1),
+      () => {}
+    );
+
+    return { stream, size: plaintextSize, start, end, length: Math.max(end - start + 1, 0) };
+  }
+
+  /**
+   * Encrypt a file on disk without loading it into memory
+   */
+  async encryptFile(inputPath, outputPath, fileKey) {
+    const encryptStream = this.createEncryptStream(fileKey);
+    await pipelineAsync(fs.createReadStream(inputPath), encryptStream, fs.createWriteStream(outputPath));
+    const { size } = await fs.promises.stat(outputPath);
+
+    return {
+      originalSize: encryptStream.bytesIn,
+      encryptedSize: size
+    };
+  }
+
+  /**
+   * Decrypt a file on disk without loading it into memory
+   */
+  async decryptFile(inputPath, outputPath, fileKey) {
+    const { stream, size } = await this.createDecryptStream(inputPath, fileKey);
+    try {
+      await pipelineAsync(stream, fs.createWriteStream(outputPath));
+    } catch (error) {
+      await fs.promises.unlink(outputPath).catch(() => {});
+      throw error;
+    }
+    return { originalSize: size };
+  }
+}
+
+// Create singleton instance
+const streamEncryption = new StreamEncryption();
+
+module.exports = streamEncryption;
@@ -0,0 +1,195 @@
+const cheerio = require('cheerio');
+
+// Past this many insertions and deletions the changed middle is reported as
+// one replacement; keeps the Myers trace (about edits² integers) small
+const MAX_EDITS = 2000;
+
+const BLOCK_ELEMENTS = 'p, div, h1, h2, h3, h4, h5, h6, li, blockquote, pre, tr, table, ul, ol';
+
+/**
+ * Text Diff
+ * Word and line diffs (Myers) for comparing blog revisions. A diff is a list
+ * of segments { type: 'equal' | 'delete' | 'insert', value } that reads as
+ * the old text when inserts are skipped and as the new one when deletes are.
+ */
+class TextDiff {
+  // Words, punctuation and whitespace runs as separate tokens
+  static words(text) {
+    return String(text || '').match(/\s+|[\p{L}\p{N}_'’-]+|[^\s\p{L}\p{N}_]/gu) || [];
+  }
+
+  static lines(text) {
+    return String(text || '').split(/(?<=\n)/).filter(Boolean);
+  }
+
+  // HTML source with one tag boundary per line
+  static htmlLines(html) {
+    return this.lines(String(html || '').replace(/>\s*</g, '>\n<'));
+  }
+
+  // Readable text of an HTML fragment, one block per line
+  static htmlToText(html) {
+    const $ = cheerio.load(String(html || ''), null, false);
+    $('script, style').remove();
+    $('br').replaceWith('\n');
+    $(BLOCK_ELEMENTS).append('\n');
+    return $.root().text().replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  static diffWords(before, after) {
+    return this.diff(this.words(before), this.words(after));
+  }
+
+  static diffHtml(before, after) {
+    return this.diff(this.htmlLines(before), this.htmlLines(after));
+  }
+
+  static diffText(beforeHtml, afterHtml) {
+    return this.diffWords(this.htmlToText(beforeHtml), this.htmlToText(afterHtml));
+  }
+
+  /**
+   * Diff two token lists into merged segments
+   */
+  static diff(before, after, maxEdits = MAX_EDITS) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+      start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+      endBefore--;
+      endAfter--;
+    }
+
+    const oldMiddle = before.slice(start, endBefore);
+    const newMiddle = after.slice(start, endAfter);
+    const middle = this.myers(oldMiddle, newMiddle, maxEdits) || [
+      ...oldMiddle.map(value => ({ type: 'delete', value })),
+      ...newMiddle.map(value => ({ type: 'insert', value }))
+    ];
+
+    return this.cleanup(this.merge([
+      ...before.slice(0, start).map(value => ({ type: 'equal', value })),
+      ...middle,
+      ...before.slice(endBefore).map(value => ({ type: 'equal', value }))
+    ]));
+  }
+
+  /**
+   * Shortest edit script (Myers, 1986), or null past maxEdits
+   */
+  static myers(before, after, maxEdits) {
+    const n = before.length;
+    const m = after.length;
+    const limit = Math.min(n + m, maxEdits);
+    // trace[d][k + d]: furthest x reached on diagonal k with d edits
+    const trace = [];
+
+    for (let d = 0; d <= limit; d++) {
+      const previous = trace[d - 1];
+      const current = new Int32Array(2 * d + 1);
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (d === 0) {
+          x = 0;
+        } else if (k === -d || (k !== d && previous[k - 1 + d - 1] < previous[k + 1 + d - 1])) {
+          x = previous[k + 1 + d - 1];
+        } else {
+          x = previous[k - 1 + d - 1] + 1;
+        }
+        let y = x - k;
+        while (x < n && y < m && before[x] === after[y]) {
+          x++;
+          y++;
+        }
+        current[k + d] = x;
+        if (x >= n && y >= m) {
+          trace.push(current);
+          return this.backtrack(trace, before, after);
+        }
+      }
+      trace.push(current);
+    }
+    return null;
+  }
+
+  static backtrack(trace, before, after) {
+    const ops = [];
+    let x = before.length;
+    let y = after.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+      const previous = trace[d - 1];
+      const k = x - y;
+      const down = k === -d || (k !== d && previous[k - 1 + d - 1] < previous[k + 1 + d - 1]);
+      const previousK = down ? k + 1 : k - 1;
+      const previousX = previous[previousK + d - 1];
+      const previousY = previousX - previousK;
+
+      while (x > previousX && y > previousY) {
+        ops.push({ type: 'equal', value: before[--x] });
+        y--;
+      }
+      if (down) {
+        ops.push({ type: 'insert', value: after[--y] });
+      } else {
+        ops.push({ type: 'delete', value: before[--x] });
+      }
+    }
+    while (x > 0) {
+      ops.push({ type: 'equal', value: before[--x] });
+    }
+
+    return ops.reverse();
+  }
+
+  /**
+   * Join changes separated only by whitespace into one deletion and one
+   * insertion, so "a b" -> "x y" reads as a single replacement
+   */
+  static cleanup(segments) {
+    const result = [];
+    let removed = '';
+    let added = '';
+    const flush = () => {
+      if (removed) result.push({ type: 'delete', value: removed });
+      if (added) result.push({ type: 'insert', value: added });
+      removed = '';
+      added = '';
+    };
+
+    segments.forEach((segment, index) => {
+      const next = segments[index + 1];
+      if (segment.type === 'delete') {
+        removed += segment.value;
+      } else if (segment.type === 'insert') {
+        added += segment.value;
+      } else if ((removed || added) && next && /^\s+$/.test(segment.value)) {
+        removed += segment.value;
+        added += segment.value;
+      } else {
+        flush();
+        result.push(segment);
+      }
+    });
+    flush();
+    return result;
+  }
+
+  static merge(ops) {
+    const segments = [];
+    ops.forEach(({ type, value }) => {
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) {
+        last.value += value;
+      } else {
+        segments.push({ type, value });
+      }
+    });
+    return segments;
+  }
+}
+
+module.exports = TextDiff;
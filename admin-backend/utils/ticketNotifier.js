@@ -0,0 +1,55 @@
+const Mailer = require('./mailer');
+
+const formatMessageHtml = (message) => message.replace(/\n/g, '<br>');
+
+class TicketNotifier {
+  // Tell the support team about a new ticket and confirm receipt to the customer
+  static async newTicket(ticket) {
+    const firstMessage = ticket.messages[0] ? ticket.messages[0].body : '';
+
+    await Mailer.send({
+      to: process.env.SUPPORT_EMAIL || process.env.CONTACT_EMAIL || 'support@lexocrates.com',
+      replyTo: ticket.email,
+      subject: `[${ticket.ticketNumber}] ${ticket.subject}`,
+      html: `
+        <h2>New Support Ticket</h2>
+        <p><strong>Ticket:</strong> ${ticket.ticketNumber}</p>
+        <p><strong>Name:</strong> ${ticket.name}</p>
+        <p><strong>Email:</strong> ${ticket.email}</p>
+        <p><strong>Category:</strong> ${ticket.category}</p>
+        <p><strong>Priority:</strong> ${ticket.priority}</p>
+        <p><strong>Source:</strong> ${ticket.source}</p>
+        <p><strong>Message:</strong></p>
+        <p>${formatMessageHtml(firstMessage)}</p>
+      `
+    });
+
+    await Mailer.send({
+      to: ticket.email,
+      subject: `We received your request [${ticket.ticketNumber}]`,
+      html: `
+        <p>Hi ${ticket.name},</p>
+        <p>Thank you for contacting Lexocrates support. Your ticket number is
+        <strong>${ticket.ticketNumber}</strong>.</p>
+        <p>You can check the status of your request from the support widget on our website
+        using this ticket number and your email address.</p>
+      `
+    });
+  }
+
+  // Email a staff reply to the customer
+  static async staffReply(ticket, reply) {
+    return Mailer.send({
+      to: ticket.email,
+      subject: `Re: [${ticket.ticketNumber}] ${ticket.subject}`,
+      html: `
+        <p>Hi ${ticket.name},</p>
+        <p>${formatMessageHtml(reply.body)}</p>
+        <hr>
+        <p><small>Ticket ${ticket.ticketNumber} - status: ${ticket.status.replace(/_/g, ' ')}</small></p>
+      `
+    });
+  }
+}
+
+module.exports = TicketNotifier;
@@ -0,0 +1,219 @@
+const zlib = require('zlib');
+const ByteSource = require('./byteSource');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+const MAX_DIRECTORY_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Minimal read-only ZIP parser for inspection.
+ * Reads the central directory by offset from a buffer or a file on disk and
+ * inflates single entries on demand with a hard output cap, so a hostile
+ * archive can't make it allocate more than the caller allows.
+ */
+class ZipReader {
+  constructor(source) {
+    this.source = source;
+    this.entries = [];
+  }
+
+  /**
+   * Open an archive held in a Buffer or a ByteSource
+   */
+  static async open(source) {
+    const zip = new ZipReader(Buffer.isBuffer(source) ? ByteSource.fromBuffer(source) : source);
+    zip.entries = await zip.readCentralDirectory();
+    return zip;
+  }
+
+  static isZip(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER_SIGNATURE;
+  }
+
+  /**
+   * Offset and bytes of the end of central directory record, searched for
+   * in the tail of the file where the archive comment may follow it
+   */
+  async findEndOfCentralDirectory() {
+    const { length } = this.source;
+    const tailStart = Math.max(0, length - 22 - MAX_COMMENT_LENGTH);
+    const tail = await this.source.read(tailStart, length);
+    for (let offset = tail.length - 22; offset >= 0; offset--) {
+      if (tail.readUInt32LE(offset) === EOCD_SIGNATURE) {
+        return { offset: tailStart + offset, record: tail.subarray(offset) };
+      }
+    }
+    throw new Error('ZIP end of central directory not found');
+  }
+
+  async readCentralDirectory() {
+    const { source } = this;
+    const eocd = await this.findEndOfCentralDirectory();
+
+    let entryCount = eocd.record.readUInt16LE(10);
+    let directorySize = eocd.record.readUInt32LE(12);
+    let directoryOffset = eocd.record.readUInt32LE(16);
+
+    // ZIP64 archives keep the real values in a separate record
+    if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+      const locator = await source.read(eocd.offset - 20, eocd.offset);
+      if (eocd.offset >= 20 && locator.readUInt32LE(0) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+        const zip64Offset = Number(locator.readBigUInt64LE(8));
+        const zip64Eocd = await source.read(zip64Offset, zip64Offset + 56);
+        if (zip64Eocd.length < 56 || zip64Eocd.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+          throw new Error('Invalid ZIP64 end of central directory');
+        }
+        entryCount = Number(zip64Eocd.readBigUInt64LE(32));
+        directorySize = Number(zip64Eocd.readBigUInt64LE(40));
+        directoryOffset = Number(zip64Eocd.readBigUInt64LE(48));
+      }
+    }
+
+    if (directoryOffset + directorySize > source.length) {
+      throw new Error('ZIP central directory lies outside the file');
+    }
+    if (directorySize > MAX_DIRECTORY_SIZE) {
+      throw new Error(`ZIP central directory is larger than ${MAX_DIRECTORY_SIZE} bytes`);
+    }
+
+    const buffer = await source.read(directoryOffset, directoryOffset + directorySize);
+    const entries = [];
+    let offset = 0;
+    const end = buffer.length;
+
+    while (offset + 46 <= end && buffer.readUInt32LE(offset) === CENTRAL_HEADER_SIGNATURE) {
+      const flags = buffer.readUInt16LE(offset + 8);
+      const method = buffer.readUInt16LE(offset + 10);
+      let compressedSize = buffer.readUInt32LE(offset + 20);
+      let uncompressedSize = buffer.readUInt32LE(offset + 24);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      let localHeaderOffset = buffer.readUInt32LE(offset + 42);
+
+      const nameStart = offset + 46;
+      const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', nameStart, nameStart + nameLength);
+
+      // ZIP64 extended information extra field
+      let extra = nameStart + nameLength;
+      const extraEnd = extra + extraLength;
+      while (extra + 4 <= extraEnd) {
+        const id = buffer.readUInt16LE(extra);
+        const size = buffer.readUInt16LE(extra + 2);
+        if (id === 0x0001) {
+          let field = extra + 4;
+          if (uncompressedSize === 0xffffffff && field + 8 <= extra + 4 + size) {
+            uncompressedSize = Number(buffer.readBigUInt64LE(field));
+            field += 8;
+          }
+          if (compressedSize === 0xffffffff && field + 8 <= extra + 4 + size) {
+            compressedSize = Number(buffer.readBigUInt64LE(field));
+            field += 8;
+          }
+          if (localHeaderOffset === 0xffffffff && field + 8 <= extra + 4 + size) {
+            localHeaderOffset = Number(buffer.readBigUInt64LE(field));
+          }
+        }
+        extra += 4 + size;
+      }
+
+      entries.push({
+        name,
+        method,
+        encrypted: Boolean(flags & 0x1),
+        isDirectory: name.endsWith('/'),
+        compressedSize,
+        uncompressedSize,
+        localHeaderOffset
+      });
+
+      offset = extraEnd + commentLength;
+    }
+
+    if (entries.length !== entryCount) {
+      throw new Error(`ZIP central directory lists ${entryCount} entries but ${entries.length} were readable`);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Byte range of an entry's compressed data
+   */
+  async dataRange(entry) {
+    const header = entry.localHeaderOffset;
+    const localHeader = await this.source.read(header, header + 30);
+    if (localHeader.length < 30 || localHeader.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Invalid local header for ${entry.name}`);
+    }
+    const start = header + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+    const end = start + entry.compressedSize;
+    if (end > this.source.length) {
+      throw new Error(`Entry ${entry.name} extends past the end of the archive`);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Entries whose data overlaps another entry's. Legitimate archives never do
+   * this; overlapping entries are how "non-recursive" zip bombs reuse one stream.
+   */
+  async findOverlappingEntries() {
+    const ranges = [];
+    for (const entry of this.entries.filter(file => !file.isDirectory && file.compressedSize > 0)) {
+      ranges.push({ entry, ...await this.dataRange(entry) });
+    }
+    ranges.sort((a, b) => a.start - b.start);
+
+    const overlapping = [];
+    for (let i = 1; i < ranges.length; i++) {
+      if (ranges[i].start < ranges[i - 1].end) {
+        overlapping.push(ranges[i].entry);
+      }
+    }
+    return overlapping;
+  }
+
+  /**
+   * Decompress one entry, never producing more than maxBytes. Compressed data
+   * too large to inflate to maxBytes is refused before it is read.
+   */
+  async extract(entry, maxBytes) {
+    if (entry.encrypted) {
+      throw new Error(`Entry ${entry.name} is encrypted`);
+    }
+
+    const { start, end } = await this.dataRange(entry);
+
+    if (entry.method === 0) {
+      if (end - start > maxBytes) {
+        throw new RangeError(`Entry ${entry.name} exceeds the extraction limit`);
+      }
+      return Buffer.from(await this.source.read(start, end));
+    }
+
+    if (entry.method === 8) {
+      // Deflate never grows data by more than a few bytes per 16KB block
+      if (end - start > maxBytes + (maxBytes >> 10) + 1024) {
+        throw new RangeError(`Entry ${entry.name} exceeds the extraction limit`);
+      }
+      const data = await this.source.read(start, end);
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE' || error instanceof RangeError) {
+          throw new RangeError(`Entry ${entry.name} exceeds the extraction limit`);
+        }
+        throw new Error(`Entry ${entry.name} could not be decompressed: ${error.message}`);
+      }
+    }
+
+    throw new Error(`Entry ${entry.name} uses unsupported compression method ${entry.method}`);
+  }
+}
+
+module.exports = ZipReader;
@@ -9,10 +9,19 @@ import Dashboard from './pages/Dashboard';
 import BlogList from './pages/BlogList';
 import Categories from './pages/Categories';
 import Tags from './pages/Tags';
+import EditorialCalendar from './pages/EditorialCalendar';
 import BlogEditor from './components/Blog/BlogEditor';
 import Users from './pages/Users';
 import Settings from './pages/Settings';
 import Files from './pages/Files';
+import Clients from './pages/Clients';
+import SharedFile from './pages/SharedFile';
+import ContactInbox from './pages/ContactInbox';
+import Comments from './pages/Comments';
+import Newsletter from './pages/Newsletter';
+import Tickets from './pages/Tickets';
+import LiveChat from './pages/LiveChat';
+import Chatbot from './pages/Chatbot';
 import './index.css';
 
 // Protected Route Component
@@ -54,6 +63,7 @@ const AppRoutes = () => {
   return (
     <Routes>
       <Route path="/login" element={<Login />} />
+      <Route path="/share/:token" element={<SharedFile />} />
       
       <Route path="/" element={
         <ProtectedRoute>
@@ -87,6 +97,14 @@ const AppRoutes = () => {
         </ProtectedRoute>
       } />
 
+      <Route path="/calendar" element={
+        <ProtectedRoute>
+          <MainLayout>
+            <EditorialCalendar />
+          </MainLayout>
+        </ProtectedRoute>
+      } />
+
       <Route path="/categories" element={
         <ProtectedRoute>
           <MainLayout>
@@ -119,6 +137,62 @@ const AppRoutes = () => {
         </ProtectedRoute>
       } />
       
+      <Route path="/clients" element={
+        <ProtectedRoute>
+          <MainLayout>
+            <Clients />
+          </MainLayout>
+        </ProtectedRoute>
+      } />
+      
+      <Route path="/inbox" element={
+        <ProtectedRoute>
+          <MainLayout>
+            <ContactInbox />
+          </MainLayout>
+        </ProtectedRoute>
+      } />
+      
+      <Route path="/comments" element={
+        <ProtectedRoute>
+          <MainLayout>
+            <Comments />
+          </MainLayout>
+        </ProtectedRoute>
+      } />
+      
+      <Route path="/newsletter" element={
+        <ProtectedRoute>
+          <MainLayout>
+            <Newsletter />
+          </MainLayout>
+        </ProtectedRoute>
+      } />
+      
+      <Route path="/tickets" element={
+        <ProtectedRoute>
+          <MainLayout>
+            <Tickets />
+          </MainLayout>
+        </ProtectedRoute>
+      } />
+      
+      <Route path="/chat" element={
+        <ProtectedRoute>
+          <MainLayout>
+            <LiveChat />
+          </MainLayout>
+        </ProtectedRoute>
+      } />
+      
+      <Route path="/chatbot" element={
+        <ProtectedRoute>
+          <MainLayout>
+            <Chatbot />
+          </MainLayout>
+        </ProtectedRoute>
+      } />
+      
       <Route path="/settings" element={
         <ProtectedRoute>
           <MainLayout>
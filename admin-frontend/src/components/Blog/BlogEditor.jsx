@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams } from 'react-router-dom';
 import { useForm, Controller } from 'react-hook-form';
 import ReactQuill from 'react-quill';
@@ -13,10 +13,18 @@ import {
   Search,
   AlertCircle,
   CheckCircle,
-  TrendingUp
+  TrendingUp,
+  History
 } from 'lucide-react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import RevisionHistory from './RevisionHistory';
+import RevisionDiff from './RevisionDiff';
+import ReviewPanel, { STATUS_LABELS, highlightQuotes } from './ReviewPanel';
+
+// Dates in the format of a datetime-local input, in the editor's time zone
+const toDateTimeInput = (value) => (value ? format(new Date(value), "yyyy-MM-dd'T'HH:mm") : '');
 
 const BlogEditor = ({ post, onSave, onCancel }) => {
   const params = useParams();
@@ -26,6 +34,14 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
   const [uploadedImages, setUploadedImages] = useState([]);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  // Status of the saved post; updates to a published post are compared with it first
+  const [savedStatus, setSavedStatus] = useState(post?.status || null);
+  const [pendingUpdate, setPendingUpdate] = useState(null);
+  const [savedPost, setSavedPost] = useState(post || null);
+  // Status changes open to the current user, from the editorial workflow
+  const [workflow, setWorkflow] = useState(null);
+  const [comments, setComments] = useState([]);
 
   const {
     register,
@@ -45,11 +61,48 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
       category: post?.category || '',
       tags: post?.tags || [],
       status: post?.status || 'draft',
+      publishAt: toDateTimeInput(post?.publishAt),
+      unpublishAt: toDateTimeInput(post?.unpublishAt),
       schemaMarkup: post?.schemaMarkup || post?.schema_markup || '',
       internalLinks: post?.internalLinks || post?.internal_links || [],
       externalLinks: post?.externalLinks || post?.external_links || []
     }
   });
+  // Fill the form from a saved post
+  const loadPost = useCallback((blog) => {
+    setValue('title', blog.title || '');
+    setValue('slug', blog.slug || '');
+    setValue('metaDescription', blog.metaDescription || blog.meta_description || '');
+    const kw = blog.focusKeywords || blog.keywords || [];
+    setValue('focusKeywords', kw.map(k => ({ value: k, label: k })));
+    setValue('content', blog.content || '');
+    setValue('excerpt', blog.excerpt || '');
+    setValue('category', blog.category ? { value: blog.category, label: blog.category } : '');
+    setValue('tags', blog.tags || []);
+    setValue('status', blog.status || 'draft');
+    setValue('publishAt', toDateTimeInput(blog.publishAt));
+    setValue('unpublishAt', toDateTimeInput(blog.unpublishAt));
+    setValue('schemaMarkup', blog.schemaMarkup || blog.schema_markup || '');
+    setValue('internalLinks', blog.internalLinks || blog.internal_links || []);
+    setValue('externalLinks', blog.externalLinks || blog.external_links || []);
+    setUploadedImages((blog.images || []).map(img => ({ url: img.url || img, altText: img.altText || '' })));
+    setSavedStatus(blog.status || 'draft');
+    setSavedPost(blog);
+  }, [setValue]);
+
+  useEffect(() => {
+    axios.get('/api/blog/workflow')
+      .then(res => setWorkflow(res.data.data))
+      .catch(() => {});
+  }, []);
+
+  // A status change from the review panel leaves unsaved edits in the form alone
+  const onStatusChanged = (updated) => {
+    setSavedPost(updated);
+    setSavedStatus(updated.status);
+    setValue('status', updated.status);
+  };
+
   // Load post when editing
   useEffect(() => {
     const fetchPost = async () => {
@@ -58,28 +111,19 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
         const res = await axios.get(`/api/blog/${editingId}`);
         const blog = res.data.blog || res.data.data || res.data;
         if (!blog) return;
-        setValue('title', blog.title || '');
-        setValue('slug', blog.slug || '');
-        setValue('metaDescription', blog.meta_description || '');
-        const kw = Array.isArray(blog.keywords) ? blog.keywords : [];
-        setValue('focusKeywords', kw.map(k => ({ value: k, label: k })));
-        setValue('content', blog.content || '');
-        setValue('excerpt', blog.excerpt || '');
-        setValue('status', blog.status || 'draft');
-        setValue('schemaMarkup', blog.schema_markup || {});
-        setValue('internalLinks', blog.internal_links || []);
-        setValue('externalLinks', blog.external_links || []);
-        setUploadedImages((blog.images || []).map(img => ({ url: img.url || img, altText: img.altText || '' })));
+        loadPost(blog);
       } catch (e) {
         // noop
       }
     };
     fetchPost();
-  }, [editingId, setValue]);
+  }, [editingId, loadPost]);
 
   const watchedTitle = watch('title');
   const watchedMetaDescription = watch('metaDescription');
   const watchedContent = watch('content');
+  const watchedStatus = watch('status');
+  const isScheduled = (watchedStatus?.value || watchedStatus) === 'scheduled';
 
   // Auto-generate slug from title
   useEffect(() => {
@@ -139,26 +183,32 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
     multiple: true
   });
 
-  // Form submission
-  const onSubmit = async (data) => {
+  // Form values in the shape the blog API expects
+  const toPostData = (data) => {
+    const status = data.status?.value || data.status || 'draft';
+    return {
+      title: data.title,
+      content: data.content,
+      metaDescription: data.metaDescription,
+      focusKeywords: (data.focusKeywords || []).map(k => typeof k === 'string' ? k : k?.value).filter(Boolean),
+      excerpt: data.excerpt || '',
+      featuredImage: uploadedImages?.[0]?.url || '',
+      images: uploadedImages,
+      internalLinks: data.internalLinks || [],
+      externalLinks: data.externalLinks || [],
+      schemaMarkup: typeof data.schemaMarkup === 'string' ? data.schemaMarkup : '',
+      status,
+      // Empty dates clear the schedule
+      publishAt: status === 'scheduled' && data.publishAt ? new Date(data.publishAt).toISOString() : '',
+      unpublishAt: data.unpublishAt ? new Date(data.unpublishAt).toISOString() : '',
+      category: data.category?.value || data.category || '',
+      tags: (data.tags || []).map(t => t?.value || t).filter(Boolean)
+    };
+  };
+
+  const savePost = async (postData) => {
     setIsSaving(true);
     try {
-      const postData = {
-        title: data.title,
-        content: data.content,
-        meta_description: data.metaDescription,
-        keywords: (data.focusKeywords || []).map(k => typeof k === 'string' ? k : k?.value).filter(Boolean),
-        excerpt: data.excerpt || '',
-        featured_image: uploadedImages?.[0]?.url || '',
-        images: uploadedImages,
-        internal_links: data.internalLinks || [],
-        external_links: data.externalLinks || [],
-        schema_markup: data.schemaMarkup || {},
-        status: (data.status?.value || data.status || 'draft'),
-        categories: data.category ? [data.category?.value || data.category] : [],
-        tags: (data.tags || []).map(t => t?.value || t).filter(Boolean)
-      };
-
       if (editingId) {
         await axios.put(`/api/blog/${editingId}`, postData);
         toast.success('Post updated successfully');
@@ -167,9 +217,28 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
         toast.success('Post created successfully');
       }
 
+      setPendingUpdate(null);
       onSave();
     } catch (error) {
-      toast.error('Failed to save post');
+      toast.error(error.response?.data?.message || 'Failed to save post');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Form submission. Changes to a published post are reviewed against the live version first.
+  const onSubmit = async (data) => {
+    const postData = toPostData(data);
+    if (!editingId || savedStatus !== 'published') {
+      return savePost(postData);
+    }
+
+    setIsSaving(true);
+    try {
+      const res = await axios.post(`/api/blog/${editingId}/compare`, postData);
+      setPendingUpdate({ postData, diff: res.data.data });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to compare with the live post');
     } finally {
       setIsSaving(false);
     }
@@ -183,11 +252,12 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
     { value: 'Industry Trends', label: 'Industry Trends' }
   ];
 
-  const statusOptions = [
-    { value: 'draft', label: 'Draft' },
-    { value: 'published', label: 'Published' },
-    { value: 'archived', label: 'Archived' }
-  ];
+  // The saved status and the statuses the user may move the post to
+  const currentStatus = savedStatus || 'draft';
+  const statusOptions = (workflow
+    ? [currentStatus, ...(workflow.transitions[currentStatus] || [])]
+    : [currentStatus]
+  ).map(value => ({ value, label: STATUS_LABELS[value] || value }));
 
   const getSEOScoreColor = (score) => {
     if (score >= 80) return 'seo-score-excellent';
@@ -207,6 +277,16 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
                 {post ? 'Edit Post' : 'Create New Post'}
               </h1>
               <div className="flex items-center space-x-3">
+                {editingId && (
+                  <button
+                    type="button"
+                    onClick={() => setShowHistory(true)}
+                    className="btn-outline"
+                  >
+                    <History className="h-4 w-4 mr-2" />
+                    History
+                  </button>
+                )}
                 <button
                   onClick={() => setIsPreview(!isPreview)}
                   className="btn-outline"
@@ -355,6 +435,7 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
                         render={({ field }) => (
                           <Select
                             {...field}
+                            value={statusOptions.find(option => option.value === (field.value?.value || field.value)) || null}
                             options={statusOptions}
                             placeholder="Select status..."
                             className="mt-1"
@@ -367,6 +448,38 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
                       />
                     </div>
                   </div>
+
+                  {/* Schedule */}
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {isScheduled && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                          Publish at *
+                        </label>
+                        <input
+                          type="datetime-local"
+                          {...register('publishAt', {
+                            validate: value => !isScheduled || Boolean(value) || 'Pick when the post goes live'
+                          })}
+                          className="input mt-1"
+                        />
+                        {errors.publishAt && (
+                          <p className="mt-1 text-sm text-danger-600">{errors.publishAt.message}</p>
+                        )}
+                      </div>
+                    )}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">
+                        Unpublish at
+                      </label>
+                      <input
+                        type="datetime-local"
+                        {...register('unpublishAt')}
+                        className="input mt-1"
+                      />
+                      <p className="mt-1 text-xs text-gray-500">Optional. The post is archived at this time.</p>
+                    </div>
+                  </div>
                 </div>
               </div>
 
@@ -378,7 +491,14 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
                 <div className="card-body">
                   {isPreview ? (
                     <div className="prose max-w-none">
-                      <div dangerouslySetInnerHTML={{ __html: watchedContent }} />
+                      <div
+                        dangerouslySetInnerHTML={{
+                          __html: highlightQuotes(
+                            watchedContent,
+                            comments.filter(c => !c.resolved && c.field === 'content').map(c => c.quote)
+                          )
+                        }}
+                      />
                     </div>
                   ) : (
                     <Controller
@@ -469,7 +589,7 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
                   className="btn-primary"
                 >
                   <Save className="h-4 w-4 mr-2" />
-                  {isSaving ? 'Saving...' : 'Save Post'}
+                  {isSaving ? 'Saving...' : savedStatus === 'published' && editingId ? 'Review & Update' : 'Save Post'}
                 </button>
               </div>
             </form>
@@ -477,6 +597,17 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
 
           {/* SEO Analysis Panel */}
           <div className="space-y-6">
+            {editingId && (
+              <ReviewPanel
+                postId={editingId}
+                post={savedPost}
+                workflow={workflow}
+                comments={comments}
+                onCommentsChange={setComments}
+                onStatusChanged={onStatusChanged}
+              />
+            )}
+
             <div className="card">
               <div className="card-header">
                 <h3 className="text-lg font-medium text-gray-900">SEO Analysis</h3>
@@ -578,6 +709,42 @@ const BlogEditor = ({ post, onSave, onCancel }) => {
           </div>
         </div>
       </div>
+
+      {showHistory && (
+        <RevisionHistory
+          postId={editingId}
+          onClose={() => setShowHistory(false)}
+          onRestored={loadPost}
+        />
+      )}
+
+      {pendingUpdate && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-10 mx-auto p-5 border max-w-6xl shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Review changes to the live post</h3>
+              <button onClick={() => setPendingUpdate(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+            <RevisionDiff diff={pendingUpdate.diff} />
+            <div className="flex items-center justify-end space-x-3 mt-6">
+              <button type="button" onClick={() => setPendingUpdate(null)} className="btn-outline">
+                Keep editing
+              </button>
+              <button
+                type="button"
+                onClick={() => savePost(pendingUpdate.postData)}
+                disabled={isSaving || pendingUpdate.diff.changes.length === 0}
+                className="btn-primary disabled:opacity-50"
+              >
+                <Save className="h-4 w-4 mr-2" />
+                {isSaving ? 'Publishing...' : 'Publish update'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { MessageSquare, Quote, CheckCircle, RotateCcw } from 'lucide-react';
+
+export const STATUS_LABELS = {
+  draft: 'Draft',
+  in_review: 'In review',
+  changes_requested: 'Changes requested',
+  approved: 'Approved',
+  scheduled: 'Scheduled',
+  published: 'Published',
+  archived: 'Archived'
+};
+
+// Buttons for the status changes made from the panel; scheduling needs a date, so it stays in the form
+const ACTIONS = {
+  in_review: { label: 'Submit for review', className: 'btn-primary' },
+  changes_requested: { label: 'Request changes', className: 'btn-secondary' },
+  approved: { label: 'Approve', className: 'btn-primary' },
+  published: { label: 'Publish', className: 'btn-primary' },
+  draft: { label: 'Move to draft', className: 'btn-outline' },
+  archived: { label: 'Archive', className: 'btn-outline' }
+};
+
+const COMMENT_FIELDS = [
+  { value: 'content', label: 'Content' },
+  { value: 'title', label: 'Title' },
+  { value: 'metaDescription', label: 'Meta description' },
+  { value: 'excerpt', label: 'Excerpt' }
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mark the first occurrence of each quoted passage in post HTML. Only text
+ * between tags is searched, so quotes spanning markup are left unmarked.
+ */
+export const highlightQuotes = (html, quotes) => {
+  if (!html || quotes.length === 0) return html;
+  const remaining = new Set(quotes.filter(Boolean));
+  return html.split(/(<[^>]+>)/).map(part => {
+    if (part.startsWith('<')) return part;
+    let text = part;
+    remaining.forEach(quote => {
+      const escaped = quote.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      const pattern = new RegExp(escapeRegExp(escaped));
+      if (pattern.test(text)) {
+        text = text.replace(pattern, match => `<mark class="bg-yellow-200">${match}</mark>`);
+        remaining.delete(quote);
+      }
+    });
+    return text;
+  }).join('');
+};
+
+const ReviewPanel = ({ postId, post, workflow, comments, onCommentsChange, onStatusChanged }) => {
+  const [note, setNote] = useState('');
+  const [changing, setChanging] = useState(false);
+  const [field, setField] = useState('content');
+  const [quote, setQuote] = useState('');
+  const [body, setBody] = useState('');
+  const [showResolved, setShowResolved] = useState(false);
+
+  useEffect(() => {
+    const fetchComments = async () => {
+      try {
+        const res = await axios.get(`/api/blog/${postId}/comments`);
+        onCommentsChange(res.data.data || []);
+      } catch (err) {
+        // Writers can't see comments on other people's posts
+      }
+    };
+    fetchComments();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [postId]);
+
+  const status = post?.status || 'draft';
+  const actions = (workflow?.transitions?.[status] || []).filter(to => ACTIONS[to]);
+  const history = [...(post?.statusHistory || [])].reverse();
+  const visibleComments = comments.filter(comment => showResolved || !comment.resolved);
+
+  const changeStatus = async (to) => {
+    setChanging(true);
+    try {
+      const res = await axios.post(`/api/blog/${postId}/status`, { status: to, note });
+      toast.success(`Post ${STATUS_LABELS[to].toLowerCase()}`);
+      setNote('');
+      onStatusChanged(res.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to change status');
+    } finally {
+      setChanging(false);
+    }
+  };
+
+  // Keep the text selected in the editor or preview as the comment's quote
+  const quoteSelection = () => {
+    const selected = window.getSelection ? window.getSelection().toString().trim() : '';
+    if (!selected) {
+      toast.error('Select the text you want to comment on first');
+      return;
+    }
+    setQuote(selected.slice(0, 500));
+  };
+
+  const addComment = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    try {
+      const res = await axios.post(`/api/blog/${postId}/comments`, { field, quote, body });
+      onCommentsChange([...comments, res.data.data]);
+      setQuote('');
+      setBody('');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add comment');
+    }
+  };
+
+  const setResolved = async (comment, resolved) => {
+    try {
+      const res = await axios.patch(`/api/blog/${postId}/comments/${comment._id}`, { resolved });
+      onCommentsChange(comments.map(c => (c._id === comment._id ? res.data.data : c)));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update comment');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Review</h3>
+        <span className="badge bg-gray-100 text-gray-800">{STATUS_LABELS[status] || status}</span>
+      </div>
+      <div className="card-body space-y-6">
+        {actions.length > 0 && (
+          <div className="space-y-2">
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={2}
+              className="textarea"
+              placeholder="Note for the history (optional)"
+            />
+            <div className="flex flex-wrap gap-2">
+              {actions.map(to => (
+                <button
+                  key={to}
+                  type="button"
+                  onClick={() => changeStatus(to)}
+                  disabled={changing}
+                  className={`${ACTIONS[to].className} disabled:opacity-50`}
+                >
+                  {ACTIONS[to].label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-medium text-gray-900 inline-flex items-center">
+              <MessageSquare className="h-4 w-4 mr-1" /> Comments ({comments.filter(c => !c.resolved).length} open)
+            </h4>
+            <label className="text-xs text-gray-500 inline-flex items-center">
+              <input type="checkbox" className="mr-1" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} />
+              Show resolved
+            </label>
+          </div>
+
+          <ul className="space-y-3 mb-4">
+            {visibleComments.map(comment => (
+              <li key={comment._id} className={`text-sm rounded border p-2 ${comment.resolved ? 'border-gray-100 text-gray-400' : 'border-yellow-200 bg-yellow-50'}`}>
+                <div className="text-xs text-gray-500 mb-1">
+                  {COMMENT_FIELDS.find(f => f.value === comment.field)?.label}
+                  {comment.revision && ` · revision #${comment.revision}`}
+                </div>
+                {comment.quote && <p className="italic text-gray-600 border-l-2 border-yellow-400 pl-2 mb-1">{comment.quote}</p>}
+                <p className="text-gray-900 whitespace-pre-wrap">{comment.body}</p>
+                <div className="flex items-center justify-between mt-1 text-xs text-gray-500">
+                  <span>{comment.author?.name || 'Unknown'} · {format(new Date(comment.createdAt), 'PPp')}</span>
+                  <button
+                    type="button"
+                    onClick={() => setResolved(comment, !comment.resolved)}
+                    className="inline-flex items-center text-primary-600 hover:text-primary-800"
+                  >
+                    {comment.resolved
+                      ? <><RotateCcw className="h-3 w-3 mr-1" /> Reopen</>
+                      : <><CheckCircle className="h-3 w-3 mr-1" /> Resolve</>}
+                  </button>
+                </div>
+              </li>
+            ))}
+            {visibleComments.length === 0 && <li className="text-sm text-gray-500">No open comments.</li>}
+          </ul>
+
+          <form onSubmit={addComment} className="space-y-2">
+            <div className="flex items-center space-x-2">
+              <select value={field} onChange={(e) => setField(e.target.value)} className="select">
+                {COMMENT_FIELDS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+              </select>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={quoteSelection}
+                className="btn-outline inline-flex items-center"
+                title="Select text in the post, then quote it"
+              >
+                <Quote className="h-4 w-4 mr-1" /> Quote selection
+              </button>
+            </div>
+            {quote && (
+              <div className="flex items-start justify-between text-sm italic text-gray-600 border-l-2 border-yellow-400 pl-2">
+                <span className="line-clamp-3">{quote}</span>
+                <button type="button" onClick={() => setQuote('')} className="ml-2 text-xs not-italic text-gray-400 hover:text-gray-600">
+                  Clear
+                </button>
+              </div>
+            )}
+            <textarea
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              rows={3}
+              className="textarea"
+              placeholder="Add a comment"
+            />
+            <button type="submit" disabled={!body.trim()} className="btn-secondary disabled:opacity-50">
+              Comment
+            </button>
+          </form>
+        </div>
+
+        {history.length > 0 && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-2">History</h4>
+            <ul className="space-y-2">
+              {history.map((change, index) => (
+                <li key={index} className="text-xs text-gray-600">
+                  <span className="font-medium text-gray-900">{STATUS_LABELS[change.from] || change.from} → {STATUS_LABELS[change.to] || change.to}</span>
+                  {' · '}{change.changedBy?.name || (change.changedBy ? 'Unknown' : 'Scheduler')}
+                  {' · '}{format(new Date(change.changedAt), 'PPp')}
+                  {change.note && <p className="text-gray-500 whitespace-pre-wrap">{change.note}</p>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewPanel;
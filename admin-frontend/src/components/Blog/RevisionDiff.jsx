@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  slug: 'Slug',
+  metaDescription: 'Meta description',
+  focusKeywords: 'Focus keywords',
+  content: 'Content',
+  excerpt: 'Excerpt',
+  category: 'Category',
+  tags: 'Tags',
+  schemaMarkup: 'Schema markup',
+  internalLinks: 'Internal links',
+  externalLinks: 'External links',
+  featuredImage: 'Featured image',
+  status: 'Status',
+  publishAt: 'Publish at',
+  unpublishAt: 'Unpublish at'
+};
+
+const DATE_FIELDS = ['publishAt', 'unpublishAt'];
+
+const formatValue = (value, field) => {
+  if (DATE_FIELDS.includes(field)) {
+    return value ? new Date(value).toLocaleString() : '(not set)';
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '(none)';
+    return value.map(item => (typeof item === 'object' ? `${item.text} → ${item.url}` : item)).join(', ');
+  }
+  return value || '(empty)';
+};
+
+// One side of a diff: the old side skips insertions, the new side skips deletions
+const DiffSide = ({ segments, side }) => (
+  <pre className="whitespace-pre-wrap break-words text-xs font-mono text-gray-800 bg-gray-50 rounded p-3 max-h-96 overflow-y-auto">
+    {segments
+      .filter(segment => segment.type !== (side === 'old' ? 'insert' : 'delete'))
+      .map((segment, index) => (
+        <span
+          key={index}
+          className={
+            segment.type === 'delete' ? 'bg-red-100 text-red-800 line-through'
+              : segment.type === 'insert' ? 'bg-green-100 text-green-800'
+                : undefined
+          }
+        >
+          {segment.value}
+        </span>
+      ))}
+  </pre>
+);
+
+/**
+ * Side-by-side view of { from, to, changes } from the revision diff and
+ * compare-with-live endpoints. Content can be viewed as HTML source or text.
+ */
+const RevisionDiff = ({ diff }) => {
+  const [contentMode, setContentMode] = useState('text');
+
+  if (!diff.changes.length) {
+    return <p className="text-sm text-gray-500">No differences.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4 text-xs font-medium uppercase text-gray-500">
+        <div>{diff.from.label}</div>
+        <div>{diff.to.label}</div>
+      </div>
+
+      {diff.changes.map(change => (
+        <div key={change.field}>
+          <div className="flex items-center justify-between mb-1">
+            <h4 className="text-sm font-medium text-gray-900">{FIELD_LABELS[change.field] || change.field}</h4>
+            {change.field === 'content' && (
+              <div className="inline-flex rounded-md shadow-sm">
+                {['text', 'html'].map(mode => (
+                  <button
+                    key={mode}
+                    type="button"
+                    onClick={() => setContentMode(mode)}
+                    className={`px-2 py-1 text-xs border ${contentMode === mode ? 'bg-primary-600 text-white border-primary-600' : 'bg-white text-gray-700 border-gray-300'} ${mode === 'text' ? 'rounded-l-md' : 'rounded-r-md'}`}
+                  >
+                    {mode === 'text' ? 'Text' : 'HTML'}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {change.field === 'content' || change.diff ? (
+            <div className="grid grid-cols-2 gap-4">
+              <DiffSide segments={change.field === 'content' ? change[contentMode] : change.diff} side="old" />
+              <DiffSide segments={change.field === 'content' ? change[contentMode] : change.diff} side="new" />
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-4 text-sm">
+              <div className="bg-red-50 text-red-800 rounded p-2 break-words">{formatValue(change.before, change.field)}</div>
+              <div className="bg-green-50 text-green-800 rounded p-2 break-words">{formatValue(change.after, change.field)}</div>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RevisionDiff;
@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { X, RotateCcw } from 'lucide-react';
+import RevisionDiff from './RevisionDiff';
+
+const REASON_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  restore: 'Restored',
+  schedule: 'Schedule ran',
+  baseline: 'Before revisions were kept'
+};
+
+const RevisionHistory = ({ postId, onClose, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [against, setAgainst] = useState('previous');
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const fetchRevisions = async () => {
+    try {
+      const res = await axios.get(`/api/blog/${postId}/revisions`);
+      const list = res.data.data.revisions || [];
+      setRevisions(list);
+      setSelected(current => current || list[0]?.revision || null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load revisions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRevisions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [postId]);
+
+  useEffect(() => {
+    if (!selected) return;
+    const fetchDiff = async () => {
+      try {
+        setDiff(null);
+        const res = await axios.get(`/api/blog/${postId}/revisions/${selected}/diff`, { params: { against } });
+        setDiff(res.data.data);
+      } catch (err) {
+        toast.error(err.response?.data?.message || 'Failed to load changes');
+      }
+    };
+    fetchDiff();
+  }, [postId, selected, against]);
+
+  const restoreRevision = async (revision) => {
+    if (!window.confirm(`Restore revision ${revision}? The current version stays in the history.`)) return;
+    setRestoring(true);
+    try {
+      const res = await axios.post(`/api/blog/${postId}/revisions/${revision}/restore`);
+      toast.success(res.data.message || 'Revision restored');
+      setSelected(res.data.revision || null);
+      fetchRevisions();
+      onRestored(res.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to restore revision');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border max-w-6xl shadow-lg rounded-md bg-white">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Revision history</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500">No revisions yet. One is recorded every time the post is saved.</p>
+        ) : (
+          <div className="grid grid-cols-4 gap-6">
+            <ul className="col-span-1 divide-y divide-gray-200 max-h-[70vh] overflow-y-auto">
+              {revisions.map(revision => (
+                <li key={revision.revision}>
+                  <button
+                    type="button"
+                    onClick={() => setSelected(revision.revision)}
+                    className={`w-full text-left py-2 px-2 rounded ${selected === revision.revision ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <div className="text-sm text-gray-900">
+                      <span className="font-medium">#{revision.revision}</span> · {REASON_LABELS[revision.reason] || revision.reason}
+                      {revision.restoredFrom && ` #${revision.restoredFrom}`}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {revision.author?.name || 'Unknown'} · {format(new Date(revision.createdAt), 'PPp')}
+                    </div>
+                    {revision.reason !== 'create' && revision.reason !== 'baseline' && (
+                      <div className="text-xs text-gray-500 truncate">{revision.changedFields.join(', ')}</div>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="col-span-3">
+              {selected && (
+                <div className="flex items-center justify-between mb-4">
+                  <div className="flex items-center space-x-2">
+                    <label className="text-sm text-gray-700">Compare with</label>
+                    <select value={against} onChange={(e) => setAgainst(e.target.value)} className="select">
+                      <option value="previous">Previous revision</option>
+                      <option value="live">Current post</option>
+                    </select>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => restoreRevision(selected)}
+                    disabled={restoring || selected === revisions[0]?.revision}
+                    className="btn-secondary inline-flex items-center disabled:opacity-50"
+                  >
+                    <RotateCcw className="h-4 w-4 mr-2" /> {restoring ? 'Restoring...' : `Restore #${selected}`}
+                  </button>
+                </div>
+              )}
+              {diff ? <RevisionDiff diff={diff} /> : <p className="text-sm text-gray-500">Loading changes...</p>}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,275 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { X, Copy, Ban, User, Users, Globe } from 'lucide-react';
+
+const emptyForm = {
+  type: 'user',
+  userEmail: '',
+  matterId: '',
+  recipientEmail: '',
+  expiresInDays: '',
+  maxDownloads: '',
+  password: '',
+  note: ''
+};
+
+const STATUS_BADGES = {
+  active: 'badge-success',
+  expired: 'badge-secondary',
+  exhausted: 'badge-secondary',
+  revoked: 'badge-danger'
+};
+
+const shareRecipient = (share) => {
+  if (share.type === 'user') return share.user ? `${share.user.name} (${share.user.email})` : 'User';
+  if (share.type === 'matter') return share.matter ? `${share.matter.matterNumber} · ${share.matter.title}` : 'Matter';
+  return share.recipientEmail;
+};
+
+const ShareDialog = ({ file, matters, onClose }) => {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [createdLink, setCreatedLink] = useState(null);
+
+  const fetchShares = async () => {
+    try {
+      const res = await axios.get(`/api/files/${file.id}/shares`);
+      setShares(res.data.data || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load shares');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchShares();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [file.id]);
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = { type: form.type, note: form.note || undefined };
+      if (form.expiresInDays) payload.expiresInDays = form.expiresInDays;
+      if (form.type === 'user') payload.userEmail = form.userEmail;
+      if (form.type === 'matter') payload.matterId = form.matterId;
+      if (form.type === 'external') {
+        payload.recipientEmail = form.recipientEmail;
+        if (form.maxDownloads) payload.maxDownloads = form.maxDownloads;
+        if (form.password) payload.password = form.password;
+      }
+
+      const res = await axios.post(`/api/files/${file.id}/shares`, payload);
+      toast.success(res.data.message || 'File shared');
+      setCreatedLink(res.data.data.url || null);
+      setForm({ ...emptyForm, type: form.type });
+      fetchShares();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to share file');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (shareId) => {
+    if (!window.confirm('Revoke this share? Outstanding download links stop working immediately.')) return;
+    try {
+      await axios.delete(`/api/files/${file.id}/shares/${shareId}`);
+      toast.success('Share revoked');
+      fetchShares();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to revoke share');
+    }
+  };
+
+  const copyCreatedLink = async () => {
+    try {
+      await navigator.clipboard.writeText(createdLink);
+      toast.success('Link copied to clipboard');
+    } catch (_) {
+      toast.error('Copy failed');
+    }
+  };
+
+  const typeButton = (type, Icon, label) => (
+    <button
+      type="button"
+      onClick={() => { setForm({ ...form, type }); setCreatedLink(null); }}
+      className={`${form.type === type ? 'btn-primary' : 'btn-secondary'} inline-flex items-center`}
+    >
+      <Icon className="h-4 w-4 mr-2" /> {label}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border max-w-2xl shadow-lg rounded-md bg-white">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Share {file.originalName}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleShare} className="space-y-4">
+          <div className="flex items-center space-x-2">
+            {typeButton('user', User, 'User')}
+            {typeButton('matter', Users, 'Matter team')}
+            {typeButton('external', Globe, 'External link')}
+          </div>
+
+          {form.type === 'user' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700">User email</label>
+              <input
+                type="email"
+                required
+                value={form.userEmail}
+                onChange={(e) => setForm({ ...form, userEmail: e.target.value })}
+                className="input mt-1 w-full"
+              />
+            </div>
+          )}
+
+          {form.type === 'matter' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Matter</label>
+              <select
+                required
+                value={form.matterId}
+                onChange={(e) => setForm({ ...form, matterId: e.target.value })}
+                className="select mt-1 w-full"
+              >
+                <option value="">Select a matter</option>
+                {matters.map(m => (
+                  <option key={m._id} value={m._id}>{m.matterNumber} · {m.title}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {form.type === 'external' && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Recipient email</label>
+                <input
+                  type="email"
+                  required
+                  value={form.recipientEmail}
+                  onChange={(e) => setForm({ ...form, recipientEmail: e.target.value })}
+                  className="input mt-1 w-full"
+                />
+                <p className="text-xs text-gray-500 mt-1">The recipient gets a one-time code at this address before each download.</p>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Maximum downloads</label>
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="5"
+                    value={form.maxDownloads}
+                    onChange={(e) => setForm({ ...form, maxDownloads: e.target.value })}
+                    className="input mt-1 w-full"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Password (optional)</label>
+                  <input
+                    type="password"
+                    minLength={8}
+                    autoComplete="new-password"
+                    value={form.password}
+                    onChange={(e) => setForm({ ...form, password: e.target.value })}
+                    className="input mt-1 w-full"
+                  />
+                </div>
+              </div>
+            </>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Expires in (days)</label>
+              <input
+                type="number"
+                min="1"
+                placeholder={form.type === 'external' ? '7' : 'Never'}
+                value={form.expiresInDays}
+                onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+                className="input mt-1 w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Note</label>
+              <input
+                type="text"
+                maxLength={500}
+                value={form.note}
+                onChange={(e) => setForm({ ...form, note: e.target.value })}
+                className="input mt-1 w-full"
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+              {saving ? 'Sharing...' : 'Share'}
+            </button>
+          </div>
+        </form>
+
+        {createdLink && (
+          <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+            <p className="text-sm text-yellow-800 mb-2">Copy this link now; it will not be shown again.</p>
+            <div className="flex items-center space-x-2">
+              <input type="text" readOnly value={createdLink} className="input flex-1 text-xs" />
+              <button onClick={copyCreatedLink} className="btn-secondary inline-flex items-center">
+                <Copy className="h-4 w-4 mr-2" /> Copy
+              </button>
+            </div>
+          </div>
+        )}
+
+        <h4 className="text-sm font-medium text-gray-900 mt-6 mb-2">Shares</h4>
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : shares.length === 0 ? (
+          <p className="text-sm text-gray-500">This file has not been shared.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {shares.map(share => (
+              <li key={share.id} className="py-2 flex items-center justify-between">
+                <div>
+                  <div className="text-sm text-gray-900">{shareRecipient(share)}</div>
+                  <div className="text-xs text-gray-500">
+                    {share.type} · by {share.sharedBy?.name || 'unknown'}
+                    {share.expiresAt && ` · expires ${format(new Date(share.expiresAt), 'MMM dd, yyyy')}`}
+                    {share.type === 'external' && ` · ${share.downloadCount}/${share.maxDownloads} downloads`}
+                    {share.passwordProtected && ' · password'}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <span className={`badge ${STATUS_BADGES[share.status] || 'badge-secondary'}`}>{share.status}</span>
+                  {share.status === 'active' && (
+                    <button onClick={() => handleRevoke(share.id)} className="text-red-600 hover:text-red-800" title="Revoke">
+                      <Ban className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { X, Download, RotateCcw, Upload } from 'lucide-react';
+
+const formatDelta = (bytes) => {
+  const kb = (Math.abs(bytes) / 1024).toFixed(1);
+  if (bytes === 0) return 'same size';
+  return `${bytes > 0 ? '+' : '-'}${kb} KB`;
+};
+
+// Short summary of what changed from the previous version
+const describeChanges = (changes) => {
+  if (!changes) return 'First version';
+  const parts = [formatDelta(changes.sizeDelta)];
+  if (changes.contentChanged === false) parts.push('identical content');
+  if (changes.nameChanged) parts.push('renamed');
+  if (changes.typeChanged) parts.push('new file type');
+  return parts.join(' · ');
+};
+
+const VersionHistory = ({ file, onClose, onChanged }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [upload, setUpload] = useState(null);
+  const [comment, setComment] = useState('');
+  const [uploading, setUploading] = useState(false);
+
+  const fetchVersions = async () => {
+    try {
+      const res = await axios.get(`/api/files/${file.id}/versions`);
+      setVersions(res.data.data.versions || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load versions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchVersions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [file.id]);
+
+  const downloadVersion = async (versionId) => {
+    try {
+      const res = await axios.get(`/api/files/${versionId}`);
+      if (res.data?.data?.downloadUrl) {
+        window.open(res.data.data.downloadUrl, '_blank');
+      } else {
+        toast.error('This version cannot be downloaded');
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to download version');
+    }
+  };
+
+  const restoreVersion = async (version) => {
+    if (!window.confirm(`Make version ${version.version} the current version?`)) return;
+    try {
+      const res = await axios.post(`/api/files/${file.id}/versions/${version.id}/restore`);
+      toast.success(res.data.message || 'Version restored');
+      fetchVersions();
+      onChanged();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to restore version');
+    }
+  };
+
+  const uploadVersion = async (e) => {
+    e.preventDefault();
+    if (!upload) return;
+    setUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', upload);
+      formData.append('comment', comment);
+      const res = await axios.post(`/api/files/${file.id}/versions`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      toast.success(res.data.message || 'Version uploaded');
+      setUpload(null);
+      setComment('');
+      e.target.reset();
+      fetchVersions();
+      onChanged();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to upload version');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border max-w-3xl shadow-lg rounded-md bg-white">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Version history: {file.originalName}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={uploadVersion} className="flex items-end space-x-2 mb-6">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700">New version</label>
+            <input
+              type="file"
+              required
+              onChange={(e) => setUpload(e.target.files[0] || null)}
+              className="mt-1 block w-full text-sm"
+            />
+          </div>
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700">Comment</label>
+            <input
+              type="text"
+              maxLength={500}
+              placeholder="What changed?"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              className="input mt-1 w-full"
+            />
+          </div>
+          <button type="submit" disabled={!upload || uploading} className="btn-primary inline-flex items-center disabled:opacity-50">
+            <Upload className="h-4 w-4 mr-2" /> {uploading ? 'Uploading...' : 'Upload'}
+          </button>
+        </form>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {versions.map(version => (
+              <li key={version.id} className="py-3 flex items-start justify-between">
+                <div>
+                  <div className="text-sm text-gray-900">
+                    <span className="font-medium">v{version.version}</span> · {version.originalName}
+                    {version.isCurrent && <span className="badge badge-success ml-2">current</span>}
+                    {version.status !== 'encrypted' && <span className="badge badge-danger ml-2">{version.status}</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {version.uploadedBy?.name || 'Unknown'} · {format(new Date(version.uploadDate), 'PPp')} · {describeChanges(version.changes)}
+                  </div>
+                  {version.comment && <div className="text-sm text-gray-600 mt-1">{version.comment}</div>}
+                  {version.scanResult?.warnings?.length > 0 && (
+                    <div className="text-xs text-yellow-700 mt-1">{version.scanResult.warnings.join('; ')}</div>
+                  )}
+                </div>
+                <div className="flex items-center space-x-2">
+                  {version.status === 'encrypted' && (
+                    <button onClick={() => downloadVersion(version.id)} className="btn-secondary inline-flex items-center">
+                      <Download className="h-4 w-4 mr-2" /> Download
+                    </button>
+                  )}
+                  {!version.isCurrent && version.status === 'encrypted' && (
+                    <button onClick={() => restoreVersion(version)} className="btn-secondary inline-flex items-center">
+                      <RotateCcw className="h-4 w-4 mr-2" /> Restore
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -3,9 +3,17 @@ import { Link, useLocation } from 'react-router-dom';
 import { 
   Home, 
   FileText, 
+  CalendarDays,
   Users, 
   Settings, 
   BarChart3, 
+  Inbox,
+  Mail,
+  LifeBuoy,
+  MessageSquare,
+  MessagesSquare,
+  Bot,
+  Briefcase,
   LogOut,
   Menu,
   X
@@ -19,9 +27,17 @@ const Sidebar = ({ isOpen, onToggle }) => {
   const navigation = [
     { name: 'Dashboard', href: '/', icon: Home },
     { name: 'Blog Posts', href: '/blog', icon: FileText },
+    { name: 'Calendar', href: '/calendar', icon: CalendarDays },
     { name: 'Categories', href: '/categories', icon: FileText },
     { name: 'Tags', href: '/tags', icon: FileText },
     { name: 'Files', href: '/files', icon: FileText },
+    { name: 'Clients', href: '/clients', icon: Briefcase, staffOnly: true },
+    { name: 'Inbox', href: '/inbox', icon: Inbox, staffOnly: true },
+    { name: 'Comments', href: '/comments', icon: MessagesSquare, staffOnly: true },
+    { name: 'Tickets', href: '/tickets', icon: LifeBuoy, staffOnly: true },
+    { name: 'Live Chat', href: '/chat', icon: MessageSquare, staffOnly: true },
+    { name: 'Chatbot', href: '/chatbot', icon: Bot, staffOnly: true },
+    { name: 'Newsletter', href: '/newsletter', icon: Mail, adminOnly: true },
     { name: 'Users', href: '/users', icon: Users, adminOnly: true },
     { name: 'Analytics', href: '/analytics', icon: BarChart3, adminOnly: true },
     { name: 'Settings', href: '/settings', icon: Settings },
@@ -80,6 +96,11 @@ const Sidebar = ({ isOpen, onToggle }) => {
                 return null;
               }
 
+              // Skip staff-only items for clients
+              if (item.staffOnly && !['staff', 'admin'].includes(user?.role)) {
+                return null;
+              }
+
               const Icon = item.icon;
               return (
                 <Link
@@ -1,18 +1,106 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { Upload, Lock, Shield, AlertCircle, CheckCircle, X } from 'lucide-react';
+import { Upload, Lock, Shield, AlertCircle, CheckCircle, X, Pause, Play, ScanLine } from 'lucide-react';
 import clientEncryption from '../../utils/clientEncryption';
+import TusUpload from '../../utils/tusUpload';
 import axios from 'axios';
 
-const SecureFileUpload = ({ onUploadComplete, onError, maxFiles = 10, maxSize = 50 * 1024 * 1024 }) => {
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+};
+
+// Files up to maxSize are encrypted in the browser; larger ones (up to
+// resumableMaxSize) are sent in resumable chunks and scanned and encrypted
+// on the server once the last chunk arrives
+const SecureFileUpload = ({
+  onUploadComplete,
+  onError,
+  maxFiles = 10,
+  maxSize = 50 * 1024 * 1024,
+  resumableMaxSize = 5 * 1024 * 1024 * 1024,
+  clientId = null,
+  matterId = null
+}) => {
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState({});
   const [uploadStatus, setUploadStatus] = useState({});
   const [encryptionStatus, setEncryptionStatus] = useState('idle');
 
+  // Resumable uploads in progress, by status entry, for pause/resume/cancel
+  const resumables = useRef({});
+
   // Check if Web Crypto API is supported
   const cryptoSupported = clientEncryption.isSupported();
 
+  const setStatus = (fileId, update) => {
+    setUploadStatus(prev => ({
+      ...prev,
+      [fileId]: { ...prev[fileId], ...update }
+    }));
+  };
+
+  // Run (or resume) a resumable upload until it finishes or is paused.
+  // Returns the upload result, or null while paused.
+  const runResumable = useCallback(async (fileId) => {
+    const upload = resumables.current[fileId];
+    setStatus(fileId, { status: 'uploading', error: null });
+
+    try {
+      const result = await upload.start();
+      if (!result) {
+        setStatus(fileId, { status: 'paused' });
+        return null;
+      }
+
+      delete resumables.current[fileId];
+      if (result.status === 'complete') {
+        setStatus(fileId, { status: 'success', progress: 100 });
+        return {
+          fileId: result.result.id,
+          originalName: upload.file.name,
+          size: upload.file.size,
+          resumable: true,
+          status: 'success'
+        };
+      }
+
+      const reason = result.result?.reason || 'Upload rejected';
+      setStatus(fileId, { status: 'error', error: reason });
+      return { originalName: upload.file.name, status: 'error', error: reason };
+    } catch (error) {
+      // Dropped connections and server hiccups keep the upload so it can be
+      // resumed from the last received byte; a refused upload is final
+      const code = error.response?.status;
+      const retryable = !code || code >= 500 || [409, 423, 429].includes(code);
+      const message = error.response?.data?.message || error.message;
+      if (!retryable) delete resumables.current[fileId];
+      setStatus(fileId, { status: retryable ? 'paused' : 'error', error: message });
+      return { originalName: upload.file.name, status: 'error', error: message };
+    }
+  }, []);
+
+  const pauseUpload = (fileId) => {
+    const upload = resumables.current[fileId];
+    if (upload) upload.pause();
+  };
+
+  const resumeUpload = async (fileId) => {
+    if (!resumables.current[fileId]) return;
+    const result = await runResumable(fileId);
+    if (result && onUploadComplete) {
+      onUploadComplete([result]);
+    }
+  };
+
+  const cancelUpload = async (fileId) => {
+    const upload = resumables.current[fileId];
+    if (!upload) return;
+    delete resumables.current[fileId];
+    await upload.abort();
+    setStatus(fileId, { status: 'error', error: 'Cancelled' });
+  };
+
   const onDrop = useCallback(async (acceptedFiles) => {
     if (!cryptoSupported) {
       onError('Web Crypto API is not supported in this browser. Please use a modern browser.');
@@ -32,6 +120,26 @@ const SecureFileUpload = ({ onUploadComplete, onError, maxFiles = 10, maxSize =
 
       for (const file of acceptedFiles) {
         const fileId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+        if (file.size > maxSize) {
+          resumables.current[fileId] = new TusUpload(file, {
+            metadata: { clientId, matterId },
+            onProgress: (sent, total) => {
+              const progress = Math.round((sent * 100) / total);
+              setStatus(fileId, sent === total
+                ? { status: 'processing', progress: 99 }
+                : { progress });
+            }
+          });
+          setUploadStatus(prev => ({
+            ...prev,
+            [fileId]: { status: 'uploading', file: file.name, progress: 0, resumable: true }
+          }));
+
+          const result = await runResumable(fileId);
+          if (result) results.push(result);
+          continue;
+        }
         
         setUploadStatus(prev => ({
           ...prev,
@@ -70,6 +178,8 @@ const SecureFileUpload = ({ onUploadComplete, onError, maxFiles = 10, maxSize =
             tagLength: encryptedFile.metadata.tagLength,
             timestamp: encryptedFile.metadata.timestamp
           }));
+          if (matterId) formData.append('matterId', matterId);
+          if (clientId) formData.append('clientId', clientId);
 
           setUploadStatus(prev => ({
             ...prev,
@@ -142,12 +252,12 @@ const SecureFileUpload = ({ onUploadComplete, onError, maxFiles = 10, maxSize =
     } finally {
       setUploading(false);
     }
-  }, [cryptoSupported, maxFiles, onUploadComplete, onError]);
+  }, [cryptoSupported, maxFiles, maxSize, clientId, matterId, runResumable, onUploadComplete, onError]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     maxFiles: maxFiles,
-    maxSize: maxSize,
+    maxSize: resumableMaxSize,
     disabled: uploading || !cryptoSupported
   });
 
@@ -159,6 +269,10 @@ const SecureFileUpload = ({ onUploadComplete, onError, maxFiles = 10, maxSize =
         return <Shield className="h-4 w-4 text-green-500" />;
       case 'uploading':
         return <Upload className="h-4 w-4 text-yellow-500 animate-pulse" />;
+      case 'paused':
+        return <Pause className="h-4 w-4 text-gray-500" />;
+      case 'processing':
+        return <ScanLine className="h-4 w-4 text-blue-500 animate-pulse" />;
       case 'success':
         return <CheckCircle className="h-4 w-4 text-green-500" />;
       case 'error':
@@ -176,6 +290,10 @@ const SecureFileUpload = ({ onUploadComplete, onError, maxFiles = 10, maxSize =
         return 'Encrypted';
       case 'uploading':
         return 'Uploading...';
+      case 'paused':
+        return 'Paused';
+      case 'processing':
+        return 'Scanning and encrypting...';
       case 'success':
         return 'Uploaded';
       case 'error':
@@ -239,6 +357,10 @@ const SecureFileUpload = ({ onUploadComplete, onError, maxFiles = 10, maxSize =
             <p className="text-sm text-gray-500 mt-2">
               Files are encrypted on your device before upload - server cannot access contents
             </p>
+            <p className="text-xs text-gray-500 mt-1">
+              Files over {formatSize(maxSize)} (up to {formatSize(resumableMaxSize)}) upload in resumable chunks
+              and are scanned and encrypted on the server
+            </p>
           </div>
 
           <div className="flex items-center justify-center space-x-2 text-sm text-gray-500">
@@ -276,6 +398,37 @@ const SecureFileUpload = ({ onUploadComplete, onError, maxFiles = 10, maxSize =
                   </div>
                 </div>
               )}
+              {status.resumable && ['uploading', 'paused'].includes(status.status) && (
+                <div className="flex items-center space-x-1">
+                  {status.status === 'uploading' ? (
+                    <button
+                      type="button"
+                      onClick={() => pauseUpload(fileId)}
+                      className="p-1 text-gray-500 hover:text-gray-700"
+                      title="Pause"
+                    >
+                      <Pause className="h-4 w-4" />
+                    </button>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => resumeUpload(fileId)}
+                      className="p-1 text-gray-500 hover:text-gray-700"
+                      title="Resume"
+                    >
+                      <Play className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => cancelUpload(fileId)}
+                    className="p-1 text-red-500 hover:text-red-700"
+                    title="Cancel"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -85,6 +85,10 @@ const BlogList = () => {
           </div>
           <select className="input" value={filters.status} onChange={(e)=>updateParam('status', e.target.value)}>
             <option value="published">Published</option>
+            <option value="scheduled">Scheduled</option>
+            <option value="approved">Approved</option>
+            <option value="in_review">In review</option>
+            <option value="changes_requested">Changes requested</option>
             <option value="draft">Draft</option>
             <option value="archived">Archived</option>
           </select>
@@ -124,7 +128,7 @@ const BlogList = () => {
                       <div className="text-xs text-gray-500">/{b.slug}</div>
                     </td>
                     <td className="py-2 text-sm">{b.author_name || '-'}</td>
-                    <td className="py-2 text-sm capitalize">{b.status}</td>
+                    <td className="py-2 text-sm capitalize">{b.status.replace(/_/g, ' ')}</td>
                     <td className="py-2 text-sm">{new Date(b.created_at).toLocaleString()}</td>
                     <td className="py-2 text-right">
                       <button className="btn-secondary mr-2" onClick={()=>navigate(`/blog/edit/${b.id}`)}>
@@ -0,0 +1,405 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Bot, Plus, Save, Trash2, Search, Check, X } from 'lucide-react';
+
+const EMPTY_INTENT = {
+  name: '',
+  title: '',
+  keywords: '',
+  examplePhrases: '',
+  response: '',
+  isActive: true
+};
+
+const UNANSWERED_STATUSES = [
+  { value: 'open', label: 'Open' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'ignored', label: 'Ignored' },
+  { value: 'all', label: 'All' }
+];
+
+// Intents are edited as comma-separated keywords and one example phrase per line
+const toForm = (intent) => ({
+  ...intent,
+  keywords: (intent.keywords || []).join(', '),
+  examplePhrases: (intent.examplePhrases || []).join('\n')
+});
+
+const fromForm = (form) => ({
+  name: form.name,
+  title: form.title,
+  keywords: form.keywords.split(',').map(k => k.trim()).filter(Boolean),
+  examplePhrases: form.examplePhrases.split('\n').map(p => p.trim()).filter(Boolean),
+  response: form.response,
+  isActive: form.isActive
+});
+
+const Chatbot = () => {
+  const [tab, setTab] = useState('intents');
+  const [intents, setIntents] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [testQuestion, setTestQuestion] = useState('');
+  const [testResult, setTestResult] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [questionStatus, setQuestionStatus] = useState('open');
+  const [resolving, setResolving] = useState({});
+
+  const fetchIntents = async () => {
+    try {
+      const res = await axios.get('/api/chatbot/intents');
+      setIntents(res.data.data || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load answers');
+    }
+  };
+
+  const fetchQuestions = async () => {
+    try {
+      const res = await axios.get('/api/chatbot/unanswered', { params: { status: questionStatus, limit: 50 } });
+      setQuestions(res.data.data || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load unanswered questions');
+    }
+  };
+
+  useEffect(() => {
+    fetchIntents();
+  }, []);
+
+  useEffect(() => {
+    fetchQuestions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [questionStatus]);
+
+  const saveIntent = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = fromForm(form);
+      const res = form._id
+        ? await axios.put(`/api/chatbot/intents/${form._id}`, payload)
+        : await axios.post('/api/chatbot/intents', payload);
+      setForm(toForm(res.data.data));
+      fetchIntents();
+      toast.success('Answer saved');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save answer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteIntent = async () => {
+    if (!window.confirm(`Delete the "${form.title}" answer?`)) return;
+    try {
+      await axios.delete(`/api/chatbot/intents/${form._id}`);
+      setForm(null);
+      fetchIntents();
+      toast.success('Answer deleted');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete answer');
+    }
+  };
+
+  const runTest = async (e) => {
+    e.preventDefault();
+    if (!testQuestion.trim()) return;
+    try {
+      const res = await axios.post('/api/chatbot/test', { question: testQuestion });
+      setTestResult(res.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to test question');
+    }
+  };
+
+  const updateQuestion = async (question, status) => {
+    const choice = resolving[question._id] || {};
+    try {
+      await axios.put(`/api/chatbot/unanswered/${question._id}`, {
+        status,
+        intentId: status === 'resolved' ? choice.intentId || undefined : undefined,
+        addAsExample: status === 'resolved' && Boolean(choice.intentId) && choice.addAsExample !== false
+      });
+      toast.success(status === 'resolved' ? 'Question resolved' : 'Question updated');
+      fetchQuestions();
+      if (status === 'resolved' && choice.intentId) fetchIntents();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update question');
+    }
+  };
+
+  const setChoice = (id, changes) => {
+    setResolving(prev => ({ ...prev, [id]: { ...prev[id], ...changes } }));
+  };
+
+  const answerable = intents.filter(i => !i.isFallback);
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Chatbot</h1>
+          <p className="text-sm text-gray-600 mt-1">Answers given by the website assistant and the questions it could not answer</p>
+        </div>
+      </div>
+
+      {/* Match tester */}
+      <div className="card mb-4">
+        <div className="card-body">
+          <form onSubmit={runTest} className="flex items-center space-x-2">
+            <input
+              className="input flex-1"
+              placeholder="Try a visitor question"
+              value={testQuestion}
+              onChange={(e) => setTestQuestion(e.target.value)}
+            />
+            <button type="submit" className="btn-secondary inline-flex items-center">
+              <Search className="h-4 w-4 mr-2" /> Test
+            </button>
+          </form>
+          {testResult && (
+            <div className="mt-3 text-sm">
+              <div className={testResult.answered ? 'text-green-700' : 'text-gray-600'}>
+                {testResult.answered
+                  ? `Answered with "${testResult.ranked[0].title}"`
+                  : `Not answered (threshold ${testResult.threshold}) - the question would be logged`}
+              </div>
+              {testResult.ranked.length > 0 && (
+                <ul className="mt-1 text-gray-500">
+                  {testResult.ranked.map(r => (
+                    <li key={r.name}>{r.title}: {r.score}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        <button onClick={() => setTab('intents')} className={tab === 'intents' ? 'btn-primary' : 'btn-secondary'}>
+          Answers ({intents.length})
+        </button>
+        <button onClick={() => setTab('unanswered')} className={tab === 'unanswered' ? 'btn-primary' : 'btn-secondary'}>
+          Unanswered questions
+        </button>
+      </div>
+
+      {tab === 'intents' ? (
+        <div className="flex gap-4">
+          <div className="card w-80 flex-shrink-0">
+            <div className="card-body">
+              <button onClick={() => setForm({ ...EMPTY_INTENT })} className="btn-primary inline-flex items-center w-full justify-center mb-3">
+                <Plus className="h-4 w-4 mr-2" /> New answer
+              </button>
+              <ul className="space-y-1">
+                {intents.map(i => (
+                  <li
+                    key={i._id}
+                    onClick={() => setForm(toForm(i))}
+                    className={`p-2 rounded-md cursor-pointer hover:bg-gray-50 ${form?._id === i._id ? 'bg-primary-50' : ''}`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className={`text-sm font-medium ${i.isActive ? 'text-gray-900' : 'text-gray-400'}`}>{i.title}</span>
+                      {i.isFallback ? (
+                        <span className="badge badge-secondary">fallback</span>
+                      ) : (
+                        <span className="text-xs text-gray-400">{i.matchCount} hits</span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-500">{i.name}</div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          <div className="card flex-1">
+            {!form ? (
+              <div className="card-body text-center text-gray-500 py-16">
+                <Bot className="h-10 w-10 mx-auto mb-2 text-gray-300" />
+                Select an answer to edit
+              </div>
+            ) : (
+              <form onSubmit={saveIntent} className="card-body space-y-4">
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Title</label>
+                    <input
+                      className="input mt-1 w-full"
+                      value={form.title}
+                      onChange={(e) => setForm({ ...form, title: e.target.value })}
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Name</label>
+                    <input
+                      className="input mt-1 w-full"
+                      value={form.name}
+                      onChange={(e) => setForm({ ...form, name: e.target.value })}
+                      disabled={Boolean(form._id)}
+                      placeholder="e.g. billing"
+                      required
+                    />
+                  </div>
+                </div>
+                {!form.isFallback && (
+                  <>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Keywords</label>
+                      <input
+                        className="input mt-1 w-full"
+                        value={form.keywords}
+                        onChange={(e) => setForm({ ...form, keywords: e.target.value })}
+                        placeholder="price, cost, how much"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Comma separated. Plurals and small typos are matched automatically.</p>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Example questions</label>
+                      <textarea
+                        className="input mt-1 w-full"
+                        rows={3}
+                        value={form.examplePhrases}
+                        onChange={(e) => setForm({ ...form, examplePhrases: e.target.value })}
+                        placeholder="One per line"
+                      />
+                    </div>
+                  </>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Response</label>
+                  <textarea
+                    className="input mt-1 w-full"
+                    rows={8}
+                    value={form.response}
+                    onChange={(e) => setForm({ ...form, response: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="flex items-center justify-between">
+                  {form.isFallback ? (
+                    <span className="text-sm text-gray-500">Shown when no answer matches the question.</span>
+                  ) : (
+                    <label className="inline-flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={form.isActive}
+                        onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                      />
+                      Active
+                    </label>
+                  )}
+                  <div className="flex items-center space-x-2">
+                    {form._id && !form.isFallback && (
+                      <button type="button" onClick={deleteIntent} className="btn-danger inline-flex items-center">
+                        <Trash2 className="h-4 w-4 mr-2" /> Delete
+                      </button>
+                    )}
+                    <button type="submit" disabled={saving} className="btn-primary inline-flex items-center">
+                      <Save className="h-4 w-4 mr-2" /> {saving ? 'Saving...' : 'Save'}
+                    </button>
+                  </div>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="card-body">
+            <div className="flex gap-2 mb-4">
+              {UNANSWERED_STATUSES.map(s => (
+                <button
+                  key={s.value}
+                  onClick={() => setQuestionStatus(s.value)}
+                  className={questionStatus === s.value ? 'btn-primary' : 'btn-secondary'}
+                >
+                  {s.label}
+                </button>
+              ))}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Question</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asked</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Closest answer</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {questions.length === 0 ? (
+                    <tr>
+                      <td colSpan="4" className="px-4 py-8 text-center text-gray-500">No questions found</td>
+                    </tr>
+                  ) : (
+                    questions.map(q => (
+                      <tr key={q._id}>
+                        <td className="px-4 py-3 text-sm text-gray-900">{q.question}</td>
+                        <td className="px-4 py-3 text-sm text-gray-600">
+                          <div>{q.count}×</div>
+                          <div className="text-xs text-gray-500">last {format(new Date(q.lastAskedAt), 'MMM dd, yyyy')}</div>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-600">
+                          {q.bestGuess?.intent ? `${q.bestGuess.intent} (${q.bestGuess.score})` : '-'}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          {q.status === 'open' ? (
+                            <div className="flex items-center space-x-2">
+                              <select
+                                className="input"
+                                value={resolving[q._id]?.intentId || ''}
+                                onChange={(e) => setChoice(q._id, { intentId: e.target.value })}
+                              >
+                                <option value="">Answered by...</option>
+                                {answerable.map(i => (
+                                  <option key={i._id} value={i._id}>{i.title}</option>
+                                ))}
+                              </select>
+                              {resolving[q._id]?.intentId && (
+                                <label className="inline-flex items-center text-xs text-gray-600 whitespace-nowrap">
+                                  <input
+                                    type="checkbox"
+                                    className="mr-1"
+                                    checked={resolving[q._id]?.addAsExample !== false}
+                                    onChange={(e) => setChoice(q._id, { addAsExample: e.target.checked })}
+                                  />
+                                  Add as example
+                                </label>
+                              )}
+                              <button onClick={() => updateQuestion(q, 'resolved')} className="btn-secondary inline-flex items-center" title="Resolve">
+                                <Check className="h-4 w-4" />
+                              </button>
+                              <button onClick={() => updateQuestion(q, 'ignored')} className="btn-secondary inline-flex items-center" title="Ignore">
+                                <X className="h-4 w-4" />
+                              </button>
+                            </div>
+                          ) : (
+                            <div className="flex items-center space-x-2">
+                              <span className="badge badge-secondary">{q.status}</span>
+                              {q.resolvedIntent && <span className="text-xs text-gray-500">{q.resolvedIntent.title}</span>}
+                              <button onClick={() => updateQuestion(q, 'open')} className="text-xs text-primary-600">Reopen</button>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Chatbot;
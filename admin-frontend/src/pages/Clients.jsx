@@ -0,0 +1,539 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Briefcase, Plus, RefreshCw, Search, Trash2, UserPlus, X } from 'lucide-react';
+
+const MATTER_STATUSES = [
+  { value: 'open', label: 'Open' },
+  { value: 'on_hold', label: 'On Hold' },
+  { value: 'closed', label: 'Closed' }
+];
+
+const getMatterBadge = (status) => {
+  switch (status) {
+    case 'open': return 'badge badge-success';
+    case 'on_hold': return 'badge badge-warning';
+    default: return 'badge bg-gray-100 text-gray-600';
+  }
+};
+
+const formatLabel = (value) => value.replace(/_/g, ' ');
+
+const emptyClient = { code: '', name: '', contactName: '', contactEmail: '' };
+const emptyMatter = { title: '', description: '', responsibleStaff: '' };
+
+const Clients = () => {
+  const [clients, setClients] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [filters, setFilters] = useState({ status: 'active', search: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [showClientForm, setShowClientForm] = useState(false);
+  const [clientForm, setClientForm] = useState(emptyClient);
+  const [selected, setSelected] = useState(null);
+  const [matterForm, setMatterForm] = useState(null);
+  const [matter, setMatter] = useState(null);
+  const [candidates, setCandidates] = useState([]);
+  const [newMember, setNewMember] = useState('');
+
+  const fetchClients = async (p = page) => {
+    setLoading(true);
+    try {
+      const params = { page: p, limit: 20 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const res = await axios.get('/api/clients', { params });
+      setClients(res.data.data || []);
+      setPage(res.data.pagination?.page || p);
+      setTotalPages(Math.max(1, res.data.pagination?.pages || 1));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load clients');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const fetchCandidates = async () => {
+      try {
+        const res = await axios.get('/api/matters/member-candidates');
+        setCandidates(res.data.data || []);
+      } catch (err) {
+        console.error('Error fetching users:', err);
+      }
+    };
+    fetchCandidates();
+  }, []);
+
+  useEffect(() => {
+    fetchClients(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters]);
+
+  const openClient = async (id) => {
+    try {
+      const res = await axios.get(`/api/clients/${id}`);
+      setSelected(res.data.data);
+      setMatter(null);
+      setMatterForm(null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load client');
+    }
+  };
+
+  const openMatter = async (id) => {
+    try {
+      const res = await axios.get(`/api/matters/${id}`);
+      setMatter(res.data.data);
+      setNewMember('');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load matter');
+    }
+  };
+
+  const applySearch = (e) => {
+    e.preventDefault();
+    setFilters(prev => ({ ...prev, search: searchInput.trim() }));
+  };
+
+  const createClient = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.post('/api/clients', clientForm);
+      toast.success('Client created');
+      setClientForm(emptyClient);
+      setShowClientForm(false);
+      fetchClients(1);
+      openClient(res.data.data._id);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to create client');
+    }
+  };
+
+  const updateClient = async (changes) => {
+    try {
+      await axios.put(`/api/clients/${selected._id}`, changes);
+      toast.success('Client updated');
+      openClient(selected._id);
+      fetchClients(page);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update client');
+    }
+  };
+
+  const deleteClient = async () => {
+    if (!window.confirm(`Delete ${selected.name}?`)) return;
+    try {
+      await axios.delete(`/api/clients/${selected._id}`);
+      toast.success('Client deleted');
+      setSelected(null);
+      fetchClients(1);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete client');
+    }
+  };
+
+  const createMatter = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.post('/api/matters', {
+        client: selected._id,
+        title: matterForm.title,
+        description: matterForm.description,
+        responsibleStaff: matterForm.responsibleStaff || undefined
+      });
+      toast.success(`Matter ${res.data.data.matterNumber} opened`);
+      setMatterForm(null);
+      await openClient(selected._id);
+      openMatter(res.data.data._id);
+      fetchClients(page);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to open matter');
+    }
+  };
+
+  // Replace the open matter and refresh the client's matter list
+  const applyMatterUpdate = (updated) => {
+    setMatter(prev => ({ ...updated, fileCount: prev?.fileCount }));
+    setSelected(prev => prev && {
+      ...prev,
+      matters: prev.matters.map(m => (m._id === updated._id ? { ...m, ...updated, members: undefined } : m))
+    });
+  };
+
+  const updateMatter = async (changes) => {
+    try {
+      const res = await axios.put(`/api/matters/${matter._id}`, changes);
+      applyMatterUpdate(res.data.data);
+      toast.success('Matter updated');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update matter');
+    }
+  };
+
+  const addMember = async () => {
+    if (!newMember) return;
+    try {
+      const res = await axios.post(`/api/matters/${matter._id}/members`, { userId: newMember });
+      applyMatterUpdate(res.data.data);
+      setNewMember('');
+      toast.success('Member added');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add member');
+    }
+  };
+
+  const removeMember = async (userId) => {
+    try {
+      const res = await axios.delete(`/api/matters/${matter._id}/members/${userId}`);
+      applyMatterUpdate(res.data.data);
+      toast.success('Member removed');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove member');
+    }
+  };
+
+  const staff = candidates.filter(u => ['staff', 'admin'].includes(u.role));
+  const nonMembers = matter ? candidates.filter(u => !matter.members.some(m => m._id === u._id)) : [];
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Clients &amp; Matters</h1>
+          <p className="text-sm text-gray-600 mt-1">Matter members can see the files filed under the matter</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => fetchClients(page)} className="btn-secondary inline-flex items-center">
+            <RefreshCw className="h-4 w-4 mr-2" /> Refresh
+          </button>
+          <button onClick={() => setShowClientForm(!showClientForm)} className="btn-primary inline-flex items-center">
+            <Plus className="h-4 w-4 mr-2" /> New Client
+          </button>
+        </div>
+      </div>
+
+      {showClientForm && (
+        <form onSubmit={createClient} className="card mb-4">
+          <div className="card-body grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Code</label>
+              <input
+                className="input mt-1 w-full uppercase"
+                placeholder="ACME-001"
+                value={clientForm.code}
+                onChange={(e) => setClientForm(prev => ({ ...prev, code: e.target.value }))}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Name</label>
+              <input
+                className="input mt-1 w-full"
+                value={clientForm.name}
+                onChange={(e) => setClientForm(prev => ({ ...prev, name: e.target.value }))}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Contact name</label>
+              <input
+                className="input mt-1 w-full"
+                value={clientForm.contactName}
+                onChange={(e) => setClientForm(prev => ({ ...prev, contactName: e.target.value }))}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Contact email</label>
+              <input
+                type="email"
+                className="input mt-1 w-full"
+                value={clientForm.contactEmail}
+                onChange={(e) => setClientForm(prev => ({ ...prev, contactEmail: e.target.value }))}
+              />
+            </div>
+            <button type="submit" className="btn-primary">Create Client</button>
+          </div>
+        </form>
+      )}
+
+      {/* Filters */}
+      <div className="card mb-4">
+        <div className="card-body flex flex-wrap items-center gap-3">
+          <form onSubmit={applySearch} className="flex items-center space-x-2">
+            <input
+              className="input"
+              placeholder="Search name or code"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+            />
+            <button type="submit" className="btn-secondary inline-flex items-center">
+              <Search className="h-4 w-4" />
+            </button>
+          </form>
+          <select
+            className="input"
+            value={filters.status}
+            onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+          >
+            <option value="">All clients</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="flex gap-4">
+        {/* Client list */}
+        <div className="card flex-1">
+          <div className="card-body">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Open matters</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {loading ? (
+                    <tr>
+                      <td colSpan="4" className="px-4 py-8 text-center text-gray-500">Loading...</td>
+                    </tr>
+                  ) : clients.length === 0 ? (
+                    <tr>
+                      <td colSpan="4" className="px-4 py-8 text-center text-gray-500">No clients found</td>
+                    </tr>
+                  ) : (
+                    clients.map(c => (
+                      <tr
+                        key={c._id}
+                        onClick={() => openClient(c._id)}
+                        className={`cursor-pointer hover:bg-gray-50 ${selected?._id === c._id ? 'bg-primary-50' : ''}`}
+                      >
+                        <td className="px-4 py-3">
+                          <div className="text-sm font-medium text-gray-900">{c.name}</div>
+                          <div className="text-xs text-gray-500">{c.code}</div>
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="text-sm text-gray-900">{c.contactName || '-'}</div>
+                          <div className="text-xs text-gray-500">{c.contactEmail}</div>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{c.openMatterCount} of {c.matterCount}</td>
+                        <td className="px-4 py-3">
+                          <span className={c.status === 'active' ? 'badge badge-success' : 'badge bg-gray-100 text-gray-600'}>{c.status}</span>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex items-center justify-between mt-4">
+              <button className="btn-secondary" disabled={page <= 1} onClick={() => fetchClients(page - 1)}>
+                Previous
+              </button>
+              <div className="text-sm text-gray-600">Page {page} of {totalPages}</div>
+              <button className="btn-secondary" disabled={page >= totalPages} onClick={() => fetchClients(page + 1)}>
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Client detail, matters and membership */}
+        {selected && (
+          <div className="card w-[32rem] flex-shrink-0">
+            <div className="card-header flex items-center justify-between">
+              <div className="min-w-0">
+                <h3 className="text-lg font-medium text-gray-900 truncate">{selected.name}</h3>
+                <div className="text-xs text-gray-500">{selected.code}</div>
+              </div>
+              <button onClick={() => setSelected(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+            <div className="card-body space-y-4">
+              <div className="flex items-center justify-between">
+                <select
+                  className="input"
+                  value={selected.status}
+                  onChange={(e) => updateClient({ status: e.target.value })}
+                >
+                  <option value="active">Active</option>
+                  <option value="inactive">Inactive</option>
+                </select>
+                <button onClick={deleteClient} className="btn-secondary inline-flex items-center text-red-600">
+                  <Trash2 className="h-4 w-4 mr-2" /> Delete
+                </button>
+              </div>
+
+              <div className="text-sm text-gray-600">
+                {selected.compliance ? (
+                  <>Data stored in {selected.compliance.preferredRegion}, backups in {selected.compliance.backupRegion}</>
+                ) : (
+                  <>No data storage preferences recorded for this client</>
+                )}
+                {selected.unfiledFileCount > 0 && (
+                  <div className="text-xs text-gray-500 mt-1">{selected.unfiledFileCount} file(s) not filed under a matter</div>
+                )}
+              </div>
+
+              {/* Matters */}
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <div className="text-sm font-medium text-gray-700">Matters</div>
+                  {selected.status === 'active' && (
+                    <button onClick={() => setMatterForm(matterForm ? null : emptyMatter)} className="btn-secondary inline-flex items-center">
+                      <Plus className="h-4 w-4 mr-1" /> New Matter
+                    </button>
+                  )}
+                </div>
+
+                {matterForm && (
+                  <form onSubmit={createMatter} className="space-y-2 mb-3 p-3 bg-gray-50 rounded-md">
+                    <input
+                      className="input w-full"
+                      placeholder="Title"
+                      value={matterForm.title}
+                      onChange={(e) => setMatterForm(prev => ({ ...prev, title: e.target.value }))}
+                      required
+                    />
+                    <textarea
+                      className="input w-full"
+                      rows="2"
+                      placeholder="Description"
+                      value={matterForm.description}
+                      onChange={(e) => setMatterForm(prev => ({ ...prev, description: e.target.value }))}
+                    />
+                    <select
+                      className="input w-full"
+                      value={matterForm.responsibleStaff}
+                      onChange={(e) => setMatterForm(prev => ({ ...prev, responsibleStaff: e.target.value }))}
+                    >
+                      <option value="">No responsible person</option>
+                      {staff.map(u => (
+                        <option key={u._id} value={u._id}>{u.name}</option>
+                      ))}
+                    </select>
+                    <button type="submit" className="btn-primary">Open Matter</button>
+                  </form>
+                )}
+
+                {selected.matters.length === 0 ? (
+                  <div className="text-sm text-gray-500">No matters yet</div>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {selected.matters.map(m => (
+                      <li
+                        key={m._id}
+                        onClick={() => openMatter(m._id)}
+                        className={`py-2 px-2 cursor-pointer rounded-md hover:bg-gray-50 ${matter?._id === m._id ? 'bg-primary-50' : ''}`}
+                      >
+                        <div className="flex items-center justify-between">
+                          <div className="min-w-0">
+                            <div className="text-sm font-medium text-gray-900 truncate">{m.title}</div>
+                            <div className="text-xs text-gray-500">
+                              {m.matterNumber} · {m.fileCount ?? 0} file(s){m.responsibleStaff?.name ? ` · ${m.responsibleStaff.name}` : ''}
+                            </div>
+                          </div>
+                          <span className={getMatterBadge(m.status)}>{formatLabel(m.status)}</span>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              {matter && (
+                <div className="border-t border-gray-200 pt-4 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium text-gray-900 inline-flex items-center">
+                        <Briefcase className="h-4 w-4 mr-1 text-gray-400" /> {matter.matterNumber}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        Opened {format(new Date(matter.openedAt), 'MMM dd, yyyy')}
+                        {matter.closedAt && ` · closed ${format(new Date(matter.closedAt), 'MMM dd, yyyy')}`}
+                      </div>
+                    </div>
+                    <select
+                      className="input"
+                      value={matter.status}
+                      onChange={(e) => updateMatter({ status: e.target.value })}
+                    >
+                      {MATTER_STATUSES.map(s => (
+                        <option key={s.value} value={s.value}>{s.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {matter.description && (
+                    <p className="text-sm text-gray-700 whitespace-pre-wrap">{matter.description}</p>
+                  )}
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Responsible</label>
+                    <select
+                      className="input mt-1 w-full"
+                      value={matter.responsibleStaff?._id || ''}
+                      onChange={(e) => updateMatter({ responsibleStaff: e.target.value || null })}
+                    >
+                      <option value="">No responsible person</option>
+                      {staff.map(u => (
+                        <option key={u._id} value={u._id}>{u.name}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <div className="text-sm font-medium text-gray-700 mb-1">Members</div>
+                    {matter.members.length === 0 ? (
+                      <div className="text-sm text-gray-500">Only staff who manage clients can see this matter&apos;s files</div>
+                    ) : (
+                      <ul className="space-y-1">
+                        {matter.members.map(u => (
+                          <li key={u._id} className="flex items-center justify-between text-sm">
+                            <span>
+                              {u.name} <span className="text-xs text-gray-500">{u.email} · {u.role}</span>
+                            </span>
+                            <button onClick={() => removeMember(u._id)} className="text-gray-400 hover:text-red-600">
+                              <X className="h-4 w-4" />
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    <div className="flex items-center space-x-2 mt-2">
+                      <select
+                        className="input flex-1"
+                        value={newMember}
+                        onChange={(e) => setNewMember(e.target.value)}
+                      >
+                        <option value="">Add a member...</option>
+                        {nonMembers.map(u => (
+                          <option key={u._id} value={u._id}>{u.name} ({u.role})</option>
+                        ))}
+                      </select>
+                      <button onClick={addMember} disabled={!newMember} className="btn-secondary inline-flex items-center disabled:opacity-50">
+                        <UserPlus className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Clients;
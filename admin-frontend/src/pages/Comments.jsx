@@ -0,0 +1,252 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Check, CornerDownRight, ExternalLink, RefreshCw, Search, ShieldAlert, Trash2, Undo2 } from 'lucide-react';
+
+const STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'spam', label: 'Spam' },
+  { value: 'unverified', label: 'Unconfirmed' }
+];
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case 'pending': return 'badge badge-warning';
+    case 'approved': return 'badge badge-success';
+    case 'spam': return 'badge badge-danger';
+    case 'unverified': return 'badge bg-gray-100 text-gray-600';
+    default: return 'badge badge-secondary';
+  }
+};
+
+const Comments = () => {
+  const [comments, setComments] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [filters, setFilters] = useState({ status: 'pending', search: '' });
+  const [searchInput, setSearchInput] = useState('');
+
+  const fetchComments = async (p = page) => {
+    setLoading(true);
+    try {
+      const params = { page: p, limit: 20 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const res = await axios.get('/api/comments', { params });
+      setComments(res.data.data || []);
+      setPage(res.data.pagination?.page || p);
+      setTotalPages(Math.max(1, res.data.pagination?.pages || 1));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchStats = async () => {
+    try {
+      const res = await axios.get('/api/comments/stats');
+      setStats(res.data.data);
+    } catch (err) {
+      console.error('Error fetching comment stats:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchStats();
+  }, []);
+
+  useEffect(() => {
+    fetchComments(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters]);
+
+  const refresh = () => {
+    fetchComments(page);
+    fetchStats();
+  };
+
+  // A moderated comment leaves the tab it was listed under
+  const moderate = async (comment, status) => {
+    try {
+      const res = await axios.put(`/api/comments/${comment._id}/status`, { status });
+      setComments(prev => (filters.status && filters.status !== status
+        ? prev.filter(c => c._id !== comment._id)
+        : prev.map(c => (c._id === comment._id ? res.data.data : c))));
+      fetchStats();
+      toast.success(status === 'approved' ? 'Comment approved' : status === 'spam' ? 'Marked as spam' : 'Moved back to pending');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update comment');
+    }
+  };
+
+  const remove = async (comment) => {
+    if (!window.confirm(`Delete this comment by ${comment.name}? Replies to it are deleted too.`)) return;
+    try {
+      const res = await axios.delete(`/api/comments/${comment._id}`);
+      const { deleted } = res.data.data;
+      toast.success(deleted > 1 ? `Deleted the comment and ${deleted - 1} repl${deleted === 2 ? 'y' : 'ies'}` : 'Comment deleted');
+      refresh();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  const applySearch = (e) => {
+    e.preventDefault();
+    setFilters(prev => ({ ...prev, search: searchInput.trim() }));
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Comments</h1>
+          <p className="text-sm text-gray-600 mt-1">Moderate reader comments on published blog posts</p>
+        </div>
+        <button onClick={refresh} className="btn-secondary inline-flex items-center">
+          <RefreshCw className="h-4 w-4 mr-2" /> Refresh
+        </button>
+      </div>
+
+      {/* Status tabs */}
+      <div className="flex space-x-2 mb-4">
+        {[...STATUSES, { value: '', label: 'All' }].map(s => (
+          <button
+            key={s.value || 'all'}
+            onClick={() => setFilters(prev => ({ ...prev, status: s.value }))}
+            className={filters.status === s.value ? 'btn-primary' : 'btn-secondary'}
+          >
+            {s.label}
+            {s.value && stats?.statuses && (
+              <span className="ml-2 text-xs opacity-75">{stats.statuses[s.value]}</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {filters.status === 'unverified' && (
+        <p className="text-sm text-gray-600 mb-4">
+          These commenters have not confirmed their email yet. Unconfirmed comments are discarded after 48 hours.
+        </p>
+      )}
+
+      <div className="card">
+        <div className="card-body">
+          <form onSubmit={applySearch} className="flex items-center space-x-2 mb-4">
+            <input
+              className="input"
+              placeholder="Search name, email, comment"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+            />
+            <button type="submit" className="btn-secondary inline-flex items-center">
+              <Search className="h-4 w-4" />
+            </button>
+          </form>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Author</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Comment</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Post</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {loading ? (
+                  <tr>
+                    <td colSpan="5" className="px-4 py-8 text-center text-gray-500">Loading...</td>
+                  </tr>
+                ) : comments.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-4 py-8 text-center text-gray-500">No comments found</td>
+                  </tr>
+                ) : (
+                  comments.map(c => (
+                    <tr key={c._id} className="align-top">
+                      <td className="px-4 py-3">
+                        <div className="text-sm font-medium text-gray-900">{c.name}</div>
+                        <div className="text-xs text-gray-500">{c.email}</div>
+                        <div className="text-xs text-gray-400 mt-1">{format(new Date(c.createdAt), 'MMM dd, yyyy HH:mm')}</div>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700 max-w-xl">
+                        {c.parent && (
+                          <div className="flex items-start text-xs text-gray-500 mb-1">
+                            <CornerDownRight className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                            <span className="truncate">Reply to {c.parent.name}: {c.parent.body}</span>
+                          </div>
+                        )}
+                        <p className="whitespace-pre-wrap">{c.body}</p>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {c.post ? (
+                          <a
+                            href={`https://lexocrates.com/blog/${c.post.slug}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-primary-600 inline-flex items-center"
+                          >
+                            {c.post.title} <ExternalLink className="h-3 w-3 ml-1" />
+                          </a>
+                        ) : '-'}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={getStatusBadge(c.status)}>{c.status}</span>
+                        {c.moderatedBy?.name && (
+                          <div className="text-xs text-gray-500 mt-1">by {c.moderatedBy.name}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="flex justify-end space-x-2">
+                          {c.status !== 'unverified' && c.status !== 'approved' && (
+                            <button onClick={() => moderate(c, 'approved')} className="text-green-600 hover:text-green-800" title="Approve">
+                              <Check className="h-4 w-4" />
+                            </button>
+                          )}
+                          {c.status !== 'unverified' && c.status !== 'spam' && (
+                            <button onClick={() => moderate(c, 'spam')} className="text-yellow-600 hover:text-yellow-800" title="Mark as spam">
+                              <ShieldAlert className="h-4 w-4" />
+                            </button>
+                          )}
+                          {(c.status === 'approved' || c.status === 'spam') && (
+                            <button onClick={() => moderate(c, 'pending')} className="text-gray-600 hover:text-gray-800" title="Back to pending">
+                              <Undo2 className="h-4 w-4" />
+                            </button>
+                          )}
+                          <button onClick={() => remove(c)} className="text-red-600 hover:text-red-800" title="Delete">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex items-center justify-between mt-4">
+            <button className="btn-secondary" disabled={page <= 1} onClick={() => fetchComments(page - 1)}>
+              Previous
+            </button>
+            <div className="text-sm text-gray-600">Page {page} of {totalPages}</div>
+            <button className="btn-secondary" disabled={page >= totalPages} onClick={() => fetchComments(page + 1)}>
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Comments;
@@ -0,0 +1,387 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Mail, RefreshCw, Search, Tag, X, AlertTriangle } from 'lucide-react';
+
+const STATUSES = [
+  { value: 'new', label: 'New' },
+  { value: 'contacted', label: 'Contacted' },
+  { value: 'qualified', label: 'Qualified' },
+  { value: 'closed', label: 'Closed' }
+];
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case 'new': return 'badge badge-warning';
+    case 'contacted': return 'badge badge-secondary';
+    case 'qualified': return 'badge badge-success';
+    case 'closed': return 'badge bg-gray-100 text-gray-600';
+    default: return 'badge badge-secondary';
+  }
+};
+
+const ContactInbox = () => {
+  const [submissions, setSubmissions] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [assignees, setAssignees] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [filters, setFilters] = useState({ status: 'new', assignedTo: '', tag: '', search: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [tagInput, setTagInput] = useState('');
+
+  const fetchSubmissions = async (p = page) => {
+    setLoading(true);
+    try {
+      const params = { page: p, limit: 20 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const res = await axios.get('/api/contact/submissions', { params });
+      setSubmissions(res.data.data || []);
+      setPage(res.data.pagination?.page || p);
+      setTotalPages(Math.max(1, res.data.pagination?.pages || 1));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load submissions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchStats = async () => {
+    try {
+      const res = await axios.get('/api/contact/submissions/stats');
+      setStats(res.data.data);
+    } catch (err) {
+      console.error('Error fetching inbox stats:', err);
+    }
+  };
+
+  useEffect(() => {
+    const fetchAssignees = async () => {
+      try {
+        const res = await axios.get('/api/contact/assignees');
+        setAssignees(res.data.data || []);
+      } catch (err) {
+        console.error('Error fetching assignees:', err);
+      }
+    };
+    fetchAssignees();
+    fetchStats();
+  }, []);
+
+  useEffect(() => {
+    fetchSubmissions(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters]);
+
+  const refresh = () => {
+    fetchSubmissions(page);
+    fetchStats();
+  };
+
+  // Replace a submission in the list and the detail panel after an update
+  const applyUpdate = (updated) => {
+    setSubmissions(prev => prev.map(s => (s._id === updated._id ? updated : s)));
+    setSelected(updated);
+    fetchStats();
+  };
+
+  const changeStatus = async (id, status) => {
+    try {
+      const res = await axios.put(`/api/contact/submissions/${id}/status`, { status });
+      applyUpdate(res.data.data);
+      toast.success('Status updated');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update status');
+    }
+  };
+
+  const assign = async (id, assignedTo) => {
+    try {
+      const res = await axios.put(`/api/contact/submissions/${id}/assign`, { assignedTo: assignedTo || null });
+      applyUpdate(res.data.data);
+      toast.success(assignedTo ? 'Submission assigned' : 'Submission unassigned');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to assign submission');
+    }
+  };
+
+  const saveTags = async (id, tags) => {
+    try {
+      const res = await axios.put(`/api/contact/submissions/${id}/tags`, { tags });
+      applyUpdate(res.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update tags');
+    }
+  };
+
+  const addTag = () => {
+    const tag = tagInput.trim().toLowerCase();
+    if (!tag || !selected) return;
+    if (!selected.tags.includes(tag)) {
+      saveTags(selected._id, [...selected.tags, tag]);
+    }
+    setTagInput('');
+  };
+
+  const removeTag = (tag) => {
+    saveTags(selected._id, selected.tags.filter(t => t !== tag));
+  };
+
+  const openSubmission = async (id) => {
+    try {
+      const res = await axios.get(`/api/contact/submissions/${id}`);
+      setSelected(res.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load submission');
+    }
+  };
+
+  const applySearch = (e) => {
+    e.preventDefault();
+    setFilters(prev => ({ ...prev, search: searchInput.trim() }));
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Lead Inbox</h1>
+          <p className="text-sm text-gray-600 mt-1">Triage contact form submissions from the website</p>
+        </div>
+        <button onClick={refresh} className="btn-secondary inline-flex items-center">
+          <RefreshCw className="h-4 w-4 mr-2" /> Refresh
+        </button>
+      </div>
+
+      {stats?.failedEmails > 0 && (
+        <div className="mb-4 flex items-center p-3 rounded-md bg-yellow-50 text-yellow-800 text-sm">
+          <AlertTriangle className="h-4 w-4 mr-2" />
+          {stats.failedEmails} submission(s) could not be emailed to the intake mailbox. They are still listed here.
+        </div>
+      )}
+
+      {/* Status tabs */}
+      <div className="flex space-x-2 mb-4">
+        {[{ value: '', label: 'All' }, ...STATUSES].map(s => (
+          <button
+            key={s.value || 'all'}
+            onClick={() => setFilters(prev => ({ ...prev, status: s.value }))}
+            className={filters.status === s.value ? 'btn-primary' : 'btn-secondary'}
+          >
+            {s.label}
+            {s.value && stats?.statuses && (
+              <span className="ml-2 text-xs opacity-75">{stats.statuses[s.value]}</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {/* Filters */}
+      <div className="card mb-4">
+        <div className="card-body flex flex-wrap items-center gap-3">
+          <form onSubmit={applySearch} className="flex items-center space-x-2">
+            <input
+              className="input"
+              placeholder="Search name, email, message"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+            />
+            <button type="submit" className="btn-secondary inline-flex items-center">
+              <Search className="h-4 w-4" />
+            </button>
+          </form>
+          <select
+            className="input"
+            value={filters.assignedTo}
+            onChange={(e) => setFilters(prev => ({ ...prev, assignedTo: e.target.value }))}
+          >
+            <option value="">Anyone</option>
+            <option value="me">Assigned to me</option>
+            <option value="unassigned">Unassigned{stats ? ` (${stats.unassigned})` : ''}</option>
+            {assignees.map(a => (
+              <option key={a._id} value={a._id}>{a.name}</option>
+            ))}
+          </select>
+          <select
+            className="input"
+            value={filters.tag}
+            onChange={(e) => setFilters(prev => ({ ...prev, tag: e.target.value }))}
+          >
+            <option value="">All tags</option>
+            {(stats?.tags || []).map(tag => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex gap-4">
+        {/* Submission list */}
+        <div className="card flex-1">
+          <div className="card-body">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">From</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subject</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assignee</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {loading ? (
+                    <tr>
+                      <td colSpan="5" className="px-4 py-8 text-center text-gray-500">Loading...</td>
+                    </tr>
+                  ) : submissions.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="px-4 py-8 text-center text-gray-500">No submissions found</td>
+                    </tr>
+                  ) : (
+                    submissions.map(s => (
+                      <tr
+                        key={s._id}
+                        onClick={() => openSubmission(s._id)}
+                        className={`cursor-pointer hover:bg-gray-50 ${selected?._id === s._id ? 'bg-primary-50' : ''}`}
+                      >
+                        <td className="px-4 py-3">
+                          <div className="text-sm font-medium text-gray-900">{s.name}</div>
+                          <div className="text-xs text-gray-500">{s.email}</div>
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">
+                          {s.subject}
+                          {s.tags?.length > 0 && (
+                            <div className="mt-1 space-x-1">
+                              {s.tags.map(tag => (
+                                <span key={tag} className="badge badge-secondary">{tag}</span>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3"><span className={getStatusBadge(s.status)}>{s.status}</span></td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{s.assignedTo?.name || '-'}</td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{format(new Date(s.createdAt), 'MMM dd, yyyy HH:mm')}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex items-center justify-between mt-4">
+              <button className="btn-secondary" disabled={page <= 1} onClick={() => fetchSubmissions(page - 1)}>
+                Previous
+              </button>
+              <div className="text-sm text-gray-600">Page {page} of {totalPages}</div>
+              <button className="btn-secondary" disabled={page >= totalPages} onClick={() => fetchSubmissions(page + 1)}>
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Detail panel */}
+        {selected && (
+          <div className="card w-96 flex-shrink-0">
+            <div className="card-header flex items-center justify-between">
+              <h3 className="text-lg font-medium text-gray-900 truncate">{selected.subject}</h3>
+              <button onClick={() => setSelected(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+            <div className="card-body space-y-4">
+              <div>
+                <div className="text-sm font-medium text-gray-900">{selected.name}</div>
+                <a href={`mailto:${selected.email}`} className="text-sm text-primary-600 inline-flex items-center">
+                  <Mail className="h-4 w-4 mr-1" /> {selected.email}
+                </a>
+                <div className="text-xs text-gray-500 mt-1">
+                  Received {format(new Date(selected.createdAt), 'PPpp')}
+                  {selected.emailDelivery?.status === 'failed' && ' · email notification failed'}
+                </div>
+              </div>
+
+              <p className="text-sm text-gray-700 whitespace-pre-wrap">{selected.message}</p>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Status</label>
+                <select
+                  className="input mt-1 w-full"
+                  value={selected.status}
+                  onChange={(e) => changeStatus(selected._id, e.target.value)}
+                >
+                  {STATUSES.map(s => (
+                    <option key={s.value} value={s.value}>{s.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Assigned to</label>
+                <select
+                  className="input mt-1 w-full"
+                  value={selected.assignedTo?._id || ''}
+                  onChange={(e) => assign(selected._id, e.target.value)}
+                >
+                  <option value="">Unassigned</option>
+                  {assignees.map(a => (
+                    <option key={a._id} value={a._id}>{a.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Tags</label>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {selected.tags.map(tag => (
+                    <span key={tag} className="badge badge-secondary inline-flex items-center">
+                      {tag}
+                      <button onClick={() => removeTag(tag)} className="ml-1">
+                        <X className="h-3 w-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+                <div className="flex space-x-2 mt-2">
+                  <input
+                    className="input flex-1"
+                    placeholder="Add tag"
+                    value={tagInput}
+                    onChange={(e) => setTagInput(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addTag(); } }}
+                  />
+                  <button onClick={addTag} className="btn-secondary inline-flex items-center">
+                    <Tag className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+
+              {selected.statusHistory?.length > 0 && (
+                <div>
+                  <div className="text-sm font-medium text-gray-700 mb-1">History</div>
+                  <ul className="space-y-1">
+                    {selected.statusHistory.map((h, i) => (
+                      <li key={i} className="text-xs text-gray-500">
+                        {format(new Date(h.changedAt), 'MMM dd, HH:mm')} · {h.from || 'new'} → {h.to}
+                        {h.changedBy?.name ? ` by ${h.changedBy.name}` : ''}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ContactInbox;
@@ -56,6 +56,10 @@ const Dashboard = () => {
     const badges = {
       published: 'badge-success',
       draft: 'badge-warning',
+      in_review: 'badge-primary',
+      changes_requested: 'badge-danger',
+      approved: 'badge-success',
+      scheduled: 'badge-primary',
       archived: 'badge-secondary'
     };
     return badges[status] || 'badge-secondary';
@@ -169,7 +173,7 @@ const Dashboard = () => {
                           {format(new Date(post.createdAt), 'MMM dd, yyyy')}
                         </span>
                         <span className={`badge ${getStatusBadge(post.status)}`}>
-                          {post.status}
+                          {post.status.replace(/_/g, ' ')}
                         </span>
                       </div>
                     </div>
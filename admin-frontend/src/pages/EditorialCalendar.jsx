@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  addDays,
+  addMonths,
+  endOfMonth,
+  endOfWeek,
+  format,
+  isSameDay,
+  isSameMonth,
+  startOfMonth,
+  startOfWeek
+} from 'date-fns';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+const EVENT_STYLES = {
+  publish: { label: 'Goes live', className: 'bg-primary-100 text-primary-800' },
+  published: { label: 'Published', className: 'bg-success-100 text-success-800' },
+  unpublish: { label: 'Unpublishes', className: 'bg-gray-200 text-gray-700' }
+};
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const EditorialCalendar = () => {
+  const [month, setMonth] = useState(() => startOfMonth(new Date()));
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // The grid runs from the Monday before the 1st to the Sunday after the last day
+  const gridStart = startOfWeek(month, { weekStartsOn: 1 });
+  const gridEnd = endOfWeek(endOfMonth(month), { weekStartsOn: 1 });
+  const days = [];
+  for (let day = gridStart; day <= gridEnd; day = addDays(day, 1)) {
+    days.push(day);
+  }
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      setLoading(true);
+      try {
+        const res = await axios.get('/api/blog/calendar', {
+          params: { from: gridStart.toISOString(), to: addDays(gridEnd, 1).toISOString() }
+        });
+        setEvents(res.data.data.events || []);
+      } catch (err) {
+        toast.error(err.response?.data?.message || 'Failed to load the calendar');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchEvents();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [month]);
+
+  const upcoming = events.filter(event => event.type !== 'published' && new Date(event.date) >= new Date());
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h1 className="text-2xl font-bold">Editorial Calendar</h1>
+        <div className="flex items-center space-x-2">
+          <button type="button" className="btn-outline" onClick={() => setMonth(m => addMonths(m, -1))}>
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <button type="button" className="btn-outline" onClick={() => setMonth(startOfMonth(new Date()))}>
+            Today
+          </button>
+          <button type="button" className="btn-outline" onClick={() => setMonth(m => addMonths(m, 1))}>
+            <ChevronRight className="h-4 w-4" />
+          </button>
+          <span className="ml-2 text-lg font-medium text-gray-900 w-40 text-right">{format(month, 'MMMM yyyy')}</span>
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="grid grid-cols-7 border-b border-gray-200 text-xs font-medium uppercase text-gray-500">
+          {WEEKDAYS.map(day => (
+            <div key={day} className="px-2 py-2">{day}</div>
+          ))}
+        </div>
+        <div className={`grid grid-cols-7 ${loading ? 'opacity-50' : ''}`}>
+          {days.map(day => (
+            <div
+              key={day.toISOString()}
+              className={`min-h-[7rem] border-b border-r border-gray-100 p-1 ${isSameMonth(day, month) ? 'bg-white' : 'bg-gray-50'}`}
+            >
+              <div className={`text-xs mb-1 ${isSameDay(day, new Date()) ? 'font-bold text-primary-600' : 'text-gray-500'}`}>
+                {format(day, 'd')}
+              </div>
+              <div className="space-y-1">
+                {events.filter(event => isSameDay(new Date(event.date), day)).map(event => (
+                  <Link
+                    key={`${event.type}-${event.post._id}`}
+                    to={`/blog/edit/${event.post._id}`}
+                    title={`${EVENT_STYLES[event.type].label}: ${event.post.title}`}
+                    className={`block truncate rounded px-1 py-0.5 text-xs ${EVENT_STYLES[event.type].className}`}
+                  >
+                    {format(new Date(event.date), 'HH:mm')} {event.post.title}
+                  </Link>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-center space-x-4 mb-6 text-xs text-gray-600">
+        {Object.entries(EVENT_STYLES).map(([type, style]) => (
+          <span key={type} className="inline-flex items-center">
+            <span className={`inline-block h-3 w-3 rounded mr-1 ${style.className}`} /> {style.label}
+          </span>
+        ))}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">Coming up</h3>
+        </div>
+        <div className="card-body">
+          {upcoming.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing scheduled. Set a post's status to Scheduled to plan it here.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {upcoming.map(event => (
+                <li key={`${event.type}-${event.post._id}`} className="flex items-center justify-between py-2">
+                  <div>
+                    <Link to={`/blog/edit/${event.post._id}`} className="font-medium text-gray-900 hover:text-primary-600">
+                      {event.post.title}
+                    </Link>
+                    <div className="text-xs text-gray-500">
+                      {event.post.category} · {event.post.author?.name || 'Unknown'}
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <span className={`badge ${EVENT_STYLES[event.type].className}`}>{EVENT_STYLES[event.type].label}</span>
+                    <div className="text-xs text-gray-500 mt-1">{format(new Date(event.date), 'PPp')}</div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditorialCalendar;
@@ -1,9 +1,12 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
-import { LinkIcon, Download, RefreshCw } from 'lucide-react';
+import { LinkIcon, Download, RefreshCw, Briefcase, Share2, History, Upload } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import ShareDialog from '../components/FileShare/ShareDialog';
+import VersionHistory from '../components/FileVersions/VersionHistory';
+import SecureFileUpload from '../components/SecureFileUpload/SecureFileUpload';
 
 const Files = () => {
   const { user } = useAuth();
@@ -13,13 +16,26 @@ const Files = () => {
   const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(false);
   const [linkMap, setLinkMap] = useState({});
+  const [matters, setMatters] = useState([]);
+  const [clientFilter, setClientFilter] = useState('');
+  const [matterFilter, setMatterFilter] = useState('');
+  const [sharingFile, setSharingFile] = useState(null);
+  const [historyFile, setHistoryFile] = useState(null);
+  const [showUpload, setShowUpload] = useState(false);
 
   const canCleanupTokens = user?.role === 'admin';
+  const canShare = (file) => user?.role === 'admin' || [user?._id, user?.id].includes(file.uploadedBy);
 
   const fetchFiles = async (p = page) => {
     setLoading(true);
     try {
-      const res = await axios.get('/api/files', { params: { page: p, limit } });
+      const params = { page: p, limit };
+      if (matterFilter) {
+        params.matterId = matterFilter;
+      } else if (clientFilter) {
+        params.clientId = clientFilter;
+      }
+      const res = await axios.get('/api/files', { params });
       const data = res.data?.data || {};
       setFiles(data.files || []);
       setTotal(data.pagination?.total || 0);
@@ -31,10 +47,38 @@ const Files = () => {
     }
   };
 
+  useEffect(() => {
+    const fetchMatters = async () => {
+      try {
+        const res = await axios.get('/api/matters/accessible');
+        setMatters(res.data.data || []);
+      } catch (err) {
+        console.error('Error fetching matters:', err);
+      }
+    };
+    fetchMatters();
+  }, []);
+
   useEffect(() => {
     fetchFiles(1);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [limit]);
+  }, [limit, clientFilter, matterFilter]);
+
+  // Clients the user can browse, derived from their matters
+  const clients = useMemo(() => {
+    const byCode = new Map();
+    matters.forEach(m => {
+      if (!byCode.has(m.client.code)) byCode.set(m.client.code, m.client);
+    });
+    return Array.from(byCode.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }, [matters]);
+
+  const clientMatters = matters.filter(m => m.client.code === clientFilter);
+
+  const selectClient = (code) => {
+    setClientFilter(code);
+    setMatterFilter('');
+  };
 
   const generateLink = async (fileId) => {
     try {
@@ -80,6 +124,14 @@ const Files = () => {
     }
   };
 
+  const handleUploadComplete = (results) => {
+    const uploaded = results.filter(r => r.status === 'success').length;
+    if (uploaded > 0) {
+      toast.success(`${uploaded} file${uploaded === 1 ? '' : 's'} uploaded`);
+      fetchFiles(1);
+    }
+  };
+
   const totalPages = Math.max(1, Math.ceil(total / limit));
 
   return (
@@ -87,22 +139,80 @@ const Files = () => {
       <div className="flex items-center justify-between mb-6">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">Files</h1>
-          <p className="text-gray-600">Generate secure download links and manage your files.</p>
+          <p className="text-gray-600">Browse files by client and matter, generate secure download links and share files.</p>
         </div>
-        {canCleanupTokens && (
+        <div className="flex items-center space-x-2">
           <button
-            onClick={cleanupTokens}
-            className="btn-secondary inline-flex items-center"
+            onClick={() => setShowUpload(!showUpload)}
+            className="btn-primary inline-flex items-center"
           >
-            <RefreshCw className="h-4 w-4 mr-2" /> Cleanup Tokens
+            <Upload className="h-4 w-4 mr-2" /> {showUpload ? 'Hide upload' : 'Upload files'}
           </button>
-        )}
+          {canCleanupTokens && (
+            <button
+              onClick={cleanupTokens}
+              className="btn-secondary inline-flex items-center"
+            >
+              <RefreshCw className="h-4 w-4 mr-2" /> Cleanup Tokens
+            </button>
+          )}
+        </div>
       </div>
 
+      {showUpload && (
+        <div className="card mb-6">
+          <div className="card-body">
+            <p className="text-sm text-gray-600 mb-3">
+              {matterFilter
+                ? 'Uploads are filed under the selected matter.'
+                : clientFilter
+                  ? 'Uploads are filed under the selected client. Pick a matter to file them there.'
+                  : 'Pick a client and matter above to file uploads under them.'}
+            </p>
+            <SecureFileUpload
+              clientId={clientFilter || null}
+              matterId={matterFilter || null}
+              onUploadComplete={handleUploadComplete}
+              onError={(message) => toast.error(message)}
+            />
+          </div>
+        </div>
+      )}
+
       <div className="card">
         <div className="card-body">
           <div className="flex items-center justify-between mb-4">
-            <div className="text-sm text-gray-600">Total: {total}</div>
+            <div className="flex items-center space-x-2">
+              {clients.length > 0 && (
+                <>
+                  <Briefcase className="h-4 w-4 text-gray-400" />
+                  <select
+                    value={clientFilter}
+                    onChange={(e) => selectClient(e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">All clients</option>
+                    {clients.map(c => (
+                      <option key={c.code} value={c.code}>{c.name} ({c.code})</option>
+                    ))}
+                  </select>
+                  <select
+                    value={matterFilter}
+                    onChange={(e) => setMatterFilter(e.target.value)}
+                    disabled={!clientFilter}
+                    className="form-select disabled:opacity-50"
+                  >
+                    <option value="">All matters</option>
+                    {clientMatters.map(m => (
+                      <option key={m._id} value={m._id}>
+                        {m.matterNumber} · {m.title}{m.status !== 'open' ? ` (${m.status.replace(/_/g, ' ')})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </>
+              )}
+              <div className="text-sm text-gray-600">Total: {total}</div>
+            </div>
             <div className="flex items-center space-x-2">
               <label className="text-sm text-gray-600">Per page</label>
               <select
@@ -122,6 +232,7 @@ const Files = () => {
               <thead className="bg-gray-50">
                 <tr>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Matter</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Uploaded</th>
@@ -132,16 +243,27 @@ const Files = () => {
               <tbody className="bg-white divide-y divide-gray-200">
                 {loading ? (
                   <tr>
-                    <td colSpan="6" className="px-4 py-8 text-center text-gray-500">Loading...</td>
+                    <td colSpan="7" className="px-4 py-8 text-center text-gray-500">Loading...</td>
                   </tr>
                 ) : files.length === 0 ? (
                   <tr>
-                    <td colSpan="6" className="px-4 py-8 text-center text-gray-500">No files found</td>
+                    <td colSpan="7" className="px-4 py-8 text-center text-gray-500">No files found</td>
                   </tr>
                 ) : (
                   files.map(file => (
                     <tr key={file.id}>
-                      <td className="px-4 py-3 text-sm text-gray-900">{file.originalName}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        {file.originalName}
+                        {file.version > 1 && <span className="ml-2 text-xs text-gray-500">v{file.version}</span>}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {file.matter ? (
+                          <>
+                            <div>{file.matter.title}</div>
+                            <div className="text-xs text-gray-500">{file.matter.matterNumber}</div>
+                          </>
+                        ) : (file.clientId || '-')}
+                      </td>
                       <td className="px-4 py-3 text-sm text-gray-600">{(file.fileSize / 1024).toFixed(1)} KB</td>
                       <td className="px-4 py-3 text-sm text-gray-600">{file.mimeType}</td>
                       <td className="px-4 py-3 text-sm text-gray-600">{file.uploadDate ? format(new Date(file.uploadDate), 'MMM dd, yyyy') : '-'}</td>
@@ -168,6 +290,22 @@ const Files = () => {
                           >
                             <Download className="h-4 w-4 mr-2" /> Download
                           </button>
+                          {file.documentId && (
+                            <button
+                              onClick={() => setHistoryFile(file)}
+                              className="btn-secondary inline-flex items-center"
+                            >
+                              <History className="h-4 w-4 mr-2" /> History
+                            </button>
+                          )}
+                          {canShare(file) && file.status === 'encrypted' && (
+                            <button
+                              onClick={() => setSharingFile(file)}
+                              className="btn-secondary inline-flex items-center"
+                            >
+                              <Share2 className="h-4 w-4 mr-2" /> Share
+                            </button>
+                          )}
                         </div>
                         {linkMap[file.id]?.expires && (
                           <div className="text-xs text-gray-500 mt-1">Expires: {format(new Date(linkMap[file.id].expires), 'PPpp')}</div>
@@ -199,6 +337,22 @@ const Files = () => {
           </div>
         </div>
       </div>
+
+      {sharingFile && (
+        <ShareDialog
+          file={sharingFile}
+          matters={matters}
+          onClose={() => setSharingFile(null)}
+        />
+      )}
+
+      {historyFile && (
+        <VersionHistory
+          file={historyFile}
+          onClose={() => setHistoryFile(null)}
+          onChanged={() => fetchFiles(page)}
+        />
+      )}
     </div>
   );
 };
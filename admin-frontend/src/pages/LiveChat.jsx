@@ -0,0 +1,317 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { MessageSquare, Send, X, UserCheck, Circle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { openEventStream } from '../utils/eventStream';
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case 'waiting': return 'badge badge-warning';
+    case 'active': return 'badge badge-success';
+    default: return 'badge bg-gray-100 text-gray-600';
+  }
+};
+
+const getAgentId = (conversation) => conversation.assignedAgent?._id || conversation.assignedAgent || null;
+
+const LiveChat = () => {
+  const { user } = useAuth();
+  const [connected, setConnected] = useState(false);
+  const [agents, setAgents] = useState([]);
+  const [conversations, setConversations] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [reply, setReply] = useState('');
+  const selectedIdRef = useRef(null);
+  const threadEndRef = useRef(null);
+
+  const myStatus = agents.find(a => a._id === user?._id)?.status || 'available';
+
+  const fetchConversations = async () => {
+    try {
+      const res = await axios.get('/api/chat/conversations');
+      setConversations(res.data.data || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load conversations');
+    }
+  };
+
+  const openConversation = async (id) => {
+    try {
+      const res = await axios.get(`/api/chat/conversations/${id}`);
+      selectedIdRef.current = id;
+      setSelected(res.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load conversation');
+    }
+  };
+
+  // Live updates from the agent stream; keeps this agent online while the page is open
+  useEffect(() => {
+    fetchConversations();
+
+    const close = openEventStream('/api/chat/agents/stream', {
+      onOpen: () => setConnected(true),
+      onError: () => setConnected(false),
+      onEvent: (event, data) => {
+        switch (event) {
+          case 'presence':
+            setAgents(data.agents || []);
+            break;
+          case 'conversation': {
+            const { action, conversation } = data;
+            setConversations(prev => {
+              const others = prev.filter(c => c._id !== conversation._id);
+              return conversation.status === 'closed' ? others : [conversation, ...others];
+            });
+            if (action === 'created') {
+              toast(`New chat from ${conversation.visitorName}`, { icon: '💬' });
+            }
+            if (selectedIdRef.current === conversation._id) {
+              openConversation(conversation._id);
+            }
+            break;
+          }
+          case 'message': {
+            const { conversationId, message } = data;
+            setConversations(prev => prev.map(c => (
+              c._id === conversationId
+                ? { ...c, lastMessage: message, lastActivityAt: message.createdAt }
+                : c
+            )));
+            if (selectedIdRef.current === conversationId) {
+              setSelected(prev => (
+                prev && !prev.messages.some(m => m._id === message._id)
+                  ? { ...prev, messages: [...prev.messages, message] }
+                  : prev
+              ));
+            }
+            break;
+          }
+          default:
+            break;
+        }
+      }
+    });
+
+    return close;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [selected?.messages?.length]);
+
+  const setPresence = async (status) => {
+    try {
+      await axios.put('/api/chat/agents/presence', { status });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update availability');
+    }
+  };
+
+  const runAction = async (request, successMessage) => {
+    try {
+      const res = await request();
+      setSelected(res.data.data);
+      if (successMessage) toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Action failed');
+    }
+  };
+
+  const claim = () => runAction(() => axios.post(`/api/chat/conversations/${selected._id}/claim`), 'Conversation claimed');
+
+  const transfer = (agentId) => runAction(
+    () => axios.post(`/api/chat/conversations/${selected._id}/transfer`, { agentId: agentId || null }),
+    agentId ? 'Conversation transferred' : 'Conversation returned to the queue'
+  );
+
+  const closeConversation = () => runAction(
+    () => axios.post(`/api/chat/conversations/${selected._id}/close`),
+    'Conversation closed'
+  );
+
+  const sendReply = async (e) => {
+    e.preventDefault();
+    if (!reply.trim() || !selected) return;
+
+    try {
+      const res = await axios.post(`/api/chat/conversations/${selected._id}/messages`, { message: reply });
+      const message = res.data.data;
+      setSelected(prev => (
+        prev.messages.some(m => m._id === message._id) ? prev : { ...prev, messages: [...prev.messages, message] }
+      ));
+      setReply('');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send message');
+    }
+  };
+
+  const waiting = conversations.filter(c => c.status === 'waiting');
+  const mine = conversations.filter(c => c.status === 'active' && getAgentId(c) === user?._id);
+  const others = conversations.filter(c => c.status === 'active' && getAgentId(c) !== user?._id);
+  const isMine = selected && selected.status === 'active' && getAgentId(selected) === user?._id;
+  const transferTargets = agents.filter(a => a._id !== user?._id && a.status === 'available');
+
+  const renderGroup = (title, items) => (
+    <div className="mb-4">
+      <div className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">
+        {title} ({items.length})
+      </div>
+      {items.length === 0 ? (
+        <div className="text-sm text-gray-400">None</div>
+      ) : (
+        <ul className="space-y-1">
+          {items.map(c => (
+            <li
+              key={c._id}
+              onClick={() => openConversation(c._id)}
+              className={`p-2 rounded-md cursor-pointer hover:bg-gray-50 ${selected?._id === c._id ? 'bg-primary-50' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-900">{c.visitorName}</span>
+                <span className="text-xs text-gray-400">{format(new Date(c.lastActivityAt), 'HH:mm')}</span>
+              </div>
+              <div className="text-xs text-gray-500 truncate">{c.lastMessage?.body}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Live Chat</h1>
+          <p className="text-sm text-gray-600 mt-1">Answer visitors chatting from the website support widget</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <span className="inline-flex items-center text-sm text-gray-600">
+            <Circle className={`h-3 w-3 mr-1 ${connected ? 'text-green-500 fill-current' : 'text-gray-400'}`} />
+            {connected ? 'Connected' : 'Reconnecting...'}
+          </span>
+          <select
+            className="input"
+            value={myStatus}
+            onChange={(e) => setPresence(e.target.value)}
+            disabled={!connected}
+          >
+            <option value="available">Available</option>
+            <option value="away">Away</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="flex gap-4">
+        {/* Conversation queue */}
+        <div className="card w-80 flex-shrink-0">
+          <div className="card-body">
+            {renderGroup('Waiting', waiting)}
+            {renderGroup('My chats', mine)}
+            {renderGroup('Other agents', others)}
+            <div className="text-xs text-gray-500 border-t pt-3">
+              Online: {agents.length === 0 ? 'nobody' : agents.map(a => `${a.name}${a.status === 'away' ? ' (away)' : ''}`).join(', ')}
+            </div>
+          </div>
+        </div>
+
+        {/* Conversation */}
+        <div className="card flex-1">
+          {!selected ? (
+            <div className="card-body text-center text-gray-500 py-16">
+              <MessageSquare className="h-10 w-10 mx-auto mb-2 text-gray-300" />
+              Select a conversation
+            </div>
+          ) : (
+            <>
+              <div className="card-header flex items-center justify-between">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">{selected.visitorName}</h3>
+                  <div className="text-xs text-gray-500">
+                    {selected.visitorEmail}
+                    {selected.pageUrl && ` · ${selected.pageUrl}`}
+                    {selected.visitorOnline === false && ' · visitor disconnected'}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <span className={getStatusBadge(selected.status)}>{selected.status}</span>
+                  {selected.status === 'waiting' && (
+                    <button onClick={claim} className="btn-primary inline-flex items-center">
+                      <UserCheck className="h-4 w-4 mr-2" /> Claim
+                    </button>
+                  )}
+                  {selected.status === 'active' && (isMine || user?.role === 'admin') && (
+                    <select
+                      className="input"
+                      value=""
+                      onChange={(e) => transfer(e.target.value === 'queue' ? null : e.target.value)}
+                    >
+                      <option value="" disabled>Hand off...</option>
+                      <option value="queue">Back to queue</option>
+                      {transferTargets.map(a => (
+                        <option key={a._id} value={a._id}>{a.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  {selected.status !== 'closed' && (isMine || selected.status === 'waiting' || user?.role === 'admin') && (
+                    <button onClick={closeConversation} className="btn-secondary inline-flex items-center">
+                      <X className="h-4 w-4 mr-1" /> Close
+                    </button>
+                  )}
+                </div>
+              </div>
+              <div className="card-body">
+                <div className="space-y-2 h-96 overflow-y-auto mb-4">
+                  {selected.messages.map(m => (
+                    <div
+                      key={m._id}
+                      className={`flex ${m.senderType === 'agent' ? 'justify-end' : 'justify-start'}`}
+                    >
+                      {m.senderType === 'system' ? (
+                        <div className="w-full text-center text-xs text-gray-500 italic">{m.body}</div>
+                      ) : (
+                        <div className={`max-w-md p-3 rounded-md text-sm ${m.senderType === 'agent' ? 'bg-blue-50' : 'bg-gray-50'}`}>
+                          <div className="text-xs text-gray-500 mb-1">
+                            {m.senderName} · {format(new Date(m.createdAt), 'HH:mm')}
+                          </div>
+                          <p className="text-gray-700 whitespace-pre-wrap">{m.body}</p>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  <div ref={threadEndRef} />
+                </div>
+
+                {isMine ? (
+                  <form onSubmit={sendReply} className="flex space-x-2">
+                    <input
+                      className="input flex-1"
+                      placeholder="Type a reply"
+                      value={reply}
+                      onChange={(e) => setReply(e.target.value)}
+                    />
+                    <button type="submit" disabled={!reply.trim()} className="btn-primary inline-flex items-center">
+                      <Send className="h-4 w-4" />
+                    </button>
+                  </form>
+                ) : selected.status !== 'closed' && (
+                  <div className="text-sm text-gray-500">
+                    {selected.status === 'waiting'
+                      ? 'Claim this conversation to reply.'
+                      : `Being handled by ${selected.assignedAgent?.name || 'another agent'}.`}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LiveChat;
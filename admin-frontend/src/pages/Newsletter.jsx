@@ -0,0 +1,250 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Download, RefreshCw, Search, Send, Trash2 } from 'lucide-react';
+
+const STATUSES = [
+  { value: 'subscribed', label: 'Subscribed' },
+  { value: 'pending', label: 'Unconfirmed' },
+  { value: 'unsubscribed', label: 'Unsubscribed' }
+];
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case 'subscribed': return 'badge badge-success';
+    case 'pending': return 'badge badge-warning';
+    case 'unsubscribed': return 'badge bg-gray-100 text-gray-600';
+    default: return 'badge badge-secondary';
+  }
+};
+
+const formatDate = (date) => (date ? format(new Date(date), 'MMM dd, yyyy HH:mm') : '-');
+
+const Newsletter = () => {
+  const [subscribers, setSubscribers] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [filters, setFilters] = useState({ status: 'subscribed', search: '' });
+  const [searchInput, setSearchInput] = useState('');
+
+  const activeParams = () => Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+  const fetchSubscribers = async (p = page) => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/newsletter/subscribers', { params: { ...activeParams(), page: p, limit: 20 } });
+      setSubscribers(res.data.data || []);
+      setPage(res.data.pagination?.page || p);
+      setTotalPages(Math.max(1, res.data.pagination?.pages || 1));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load subscribers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchStats = async () => {
+    try {
+      const res = await axios.get('/api/newsletter/subscribers/stats');
+      setStats(res.data.data);
+    } catch (err) {
+      console.error('Error fetching newsletter stats:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchStats();
+  }, []);
+
+  useEffect(() => {
+    fetchSubscribers(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters]);
+
+  const refresh = () => {
+    fetchSubscribers(page);
+    fetchStats();
+  };
+
+  // Exports what the current tab and search show
+  const exportCsv = async () => {
+    setExporting(true);
+    try {
+      const res = await axios.get('/api/newsletter/subscribers/export', { params: activeParams(), responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `newsletter-subscribers-${format(new Date(), 'yyyy-MM-dd')}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error('Failed to export subscribers');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const erase = async (subscriber) => {
+    if (!window.confirm(`Erase ${subscriber.email} and their consent record? Use this for data erasure requests. To stop emails, the subscriber can unsubscribe instead.`)) return;
+    try {
+      await axios.delete(`/api/newsletter/subscribers/${subscriber._id}`);
+      toast.success('Subscriber erased');
+      refresh();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to erase subscriber');
+    }
+  };
+
+  const applySearch = (e) => {
+    e.preventDefault();
+    setFilters(prev => ({ ...prev, search: searchInput.trim() }));
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Newsletter</h1>
+          <p className="text-sm text-gray-600 mt-1">Subscribers to the digest of new blog articles</p>
+        </div>
+        <div className="flex space-x-2">
+          <button onClick={refresh} className="btn-secondary inline-flex items-center">
+            <RefreshCw className="h-4 w-4 mr-2" /> Refresh
+          </button>
+          <button onClick={exportCsv} disabled={exporting} className="btn-primary inline-flex items-center">
+            <Download className="h-4 w-4 mr-2" /> {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+      </div>
+
+      {/* Status tabs */}
+      <div className="flex space-x-2 mb-4">
+        {[...STATUSES, { value: '', label: 'All' }].map(s => (
+          <button
+            key={s.value || 'all'}
+            onClick={() => setFilters(prev => ({ ...prev, status: s.value }))}
+            className={filters.status === s.value ? 'btn-primary' : 'btn-secondary'}
+          >
+            {s.label}
+            {s.value && stats?.statuses && (
+              <span className="ml-2 text-xs opacity-75">{stats.statuses[s.value]}</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex gap-4">
+        <div className="card flex-1">
+          <div className="card-body">
+            <form onSubmit={applySearch} className="flex items-center space-x-2 mb-4">
+              <input
+                className="input"
+                placeholder="Search email"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+              />
+              <button type="submit" className="btn-secondary inline-flex items-center">
+                <Search className="h-4 w-4" />
+              </button>
+            </form>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Email</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Signed Up</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Confirmed</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {loading ? (
+                    <tr>
+                      <td colSpan="6" className="px-4 py-8 text-center text-gray-500">Loading...</td>
+                    </tr>
+                  ) : subscribers.length === 0 ? (
+                    <tr>
+                      <td colSpan="6" className="px-4 py-8 text-center text-gray-500">No subscribers found</td>
+                    </tr>
+                  ) : (
+                    subscribers.map(s => (
+                      <tr key={s._id}>
+                        <td className="px-4 py-3 text-sm font-medium text-gray-900">{s.email}</td>
+                        <td className="px-4 py-3">
+                          <span className={getStatusBadge(s.status)}>{s.status}</span>
+                          {s.unsubscribedAt && (
+                            <div className="text-xs text-gray-500 mt-1">{formatDate(s.unsubscribedAt)}</div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{s.source || '-'}</td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{formatDate(s.consent?.requestedAt)}</td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{formatDate(s.consent?.confirmedAt)}</td>
+                        <td className="px-4 py-3 text-right">
+                          <button onClick={() => erase(s)} className="text-red-600 hover:text-red-800" title="Erase">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex items-center justify-between mt-4">
+              <button className="btn-secondary" disabled={page <= 1} onClick={() => fetchSubscribers(page - 1)}>
+                Previous
+              </button>
+              <div className="text-sm text-gray-600">Page {page} of {totalPages}</div>
+              <button className="btn-secondary" disabled={page >= totalPages} onClick={() => fetchSubscribers(page + 1)}>
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Recent digests */}
+        <div className="card w-80 flex-shrink-0 self-start">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900 inline-flex items-center">
+              <Send className="h-4 w-4 mr-2" /> Recent digests
+            </h3>
+          </div>
+          <div className="card-body">
+            {!stats?.digests?.length ? (
+              <p className="text-sm text-gray-500">No digest has been sent yet.</p>
+            ) : (
+              <ul className="space-y-3">
+                {stats.digests.map(d => (
+                  <li key={d._id} className="text-sm">
+                    <div className="font-medium text-gray-900">{format(new Date(d.periodEnd), 'MMM dd, yyyy')}</div>
+                    <div className="text-xs text-gray-500">
+                      {d.posts.length} article{d.posts.length === 1 ? '' : 's'} · sent to {d.sent}
+                      {d.failed > 0 && ` · ${d.failed} failed`}
+                    </div>
+                    <ul className="mt-1 text-xs text-gray-600 list-disc list-inside">
+                      {d.posts.map(post => (
+                        <li key={post._id} className="truncate">{post.title}</li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Newsletter;
@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FileText, Mail, Lock, Download } from 'lucide-react';
+
+// Public landing page for external share links: the recipient requests an
+// emailed code, enters it (and the password, if any) and downloads the file
+const SharedFile = () => {
+  const { token } = useParams();
+  const [share, setShare] = useState(null);
+  const [error, setError] = useState(null);
+  const [codeSent, setCodeSent] = useState(false);
+  const [otp, setOtp] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchShare = async () => {
+    try {
+      const res = await axios.get(`/api/shares/${token}`);
+      setShare(res.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'This link is not available');
+    }
+  };
+
+  useEffect(() => {
+    fetchShare();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const requestCode = async () => {
+    setBusy(true);
+    try {
+      const res = await axios.post(`/api/shares/${token}/otp`);
+      toast.success(res.data.message || 'Code sent');
+      setCodeSent(true);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send code');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownload = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const res = await axios.post(`/api/shares/${token}/access`, { otp, password });
+      window.location.href = res.data.data.downloadUrl;
+      setOtp('');
+      setCodeSent(false);
+      // Refresh the remaining download count once the download has started
+      setTimeout(fetchShare, 2000);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Download failed');
+      if (err.response?.status === 401) {
+        setOtp('');
+      }
+      if (err.response?.status === 410) {
+        setError(err.response.data.message);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="mx-auto h-12 w-12 bg-primary-600 rounded-lg flex items-center justify-center">
+            <span className="text-white font-bold text-xl">L</span>
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Shared file
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Lexocrates secure file sharing
+          </p>
+        </div>
+
+        {error ? (
+          <div className="card">
+            <div className="card-body text-center text-gray-600">{error}</div>
+          </div>
+        ) : !share ? (
+          <div className="text-center text-gray-500">Loading...</div>
+        ) : (
+          <div className="card">
+            <div className="card-body space-y-4">
+              <div className="flex items-start">
+                <FileText className="h-8 w-8 text-gray-400 mr-3" />
+                <div>
+                  <div className="font-medium text-gray-900 break-all">{share.originalName}</div>
+                  <div className="text-sm text-gray-500">
+                    {(share.fileSize / 1024).toFixed(1)} KB · {share.downloadsRemaining} download{share.downloadsRemaining === 1 ? '' : 's'} left
+                  </div>
+                  {share.expiresAt && (
+                    <div className="text-xs text-gray-500">Link expires {format(new Date(share.expiresAt), 'PPpp')}</div>
+                  )}
+                </div>
+              </div>
+
+              {!codeSent ? (
+                <button
+                  onClick={requestCode}
+                  disabled={busy}
+                  className="btn-primary w-full inline-flex items-center justify-center disabled:opacity-50"
+                >
+                  <Mail className="h-4 w-4 mr-2" /> Email me a code ({share.otpSentTo})
+                </button>
+              ) : (
+                <form onSubmit={handleDownload} className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Code from the email</label>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      required
+                      maxLength={6}
+                      value={otp}
+                      onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+                      className="input mt-1 w-full tracking-widest"
+                    />
+                  </div>
+                  {share.passwordRequired && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Password</label>
+                      <div className="mt-1 relative">
+                        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                          <Lock className="h-4 w-4 text-gray-400" />
+                        </div>
+                        <input
+                          type="password"
+                          required
+                          value={password}
+                          onChange={(e) => setPassword(e.target.value)}
+                          className="input w-full pl-9"
+                        />
+                      </div>
+                    </div>
+                  )}
+                  <button
+                    type="submit"
+                    disabled={busy || otp.length !== 6}
+                    className="btn-primary w-full inline-flex items-center justify-center disabled:opacity-50"
+                  >
+                    <Download className="h-4 w-4 mr-2" /> Download
+                  </button>
+                  <button
+                    type="button"
+                    onClick={requestCode}
+                    disabled={busy}
+                    className="text-sm text-primary-600 hover:text-primary-800 w-full"
+                  >
+                    Send a new code
+                  </button>
+                </form>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedFile;
@@ -0,0 +1,448 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Mail, RefreshCw, Search, Send, X, AlertTriangle, Lock } from 'lucide-react';
+
+const STATUSES = [
+  { value: 'open', label: 'Open' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'waiting_on_customer', label: 'Waiting on Customer' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'closed', label: 'Closed' }
+];
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const CATEGORIES = ['general', 'technical', 'billing', 'service', 'complaint'];
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case 'open': return 'badge badge-warning';
+    case 'in_progress': return 'badge badge-secondary';
+    case 'waiting_on_customer': return 'badge bg-blue-100 text-blue-800';
+    case 'resolved': return 'badge badge-success';
+    case 'closed': return 'badge bg-gray-100 text-gray-600';
+    default: return 'badge badge-secondary';
+  }
+};
+
+const getPriorityBadge = (priority) => {
+  switch (priority) {
+    case 'urgent': return 'badge badge-danger';
+    case 'high': return 'badge badge-warning';
+    default: return 'badge badge-secondary';
+  }
+};
+
+const formatLabel = (value) => value.replace(/_/g, ' ');
+
+const Tickets = () => {
+  const [tickets, setTickets] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [assignees, setAssignees] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [filters, setFilters] = useState({ status: 'open', priority: '', category: '', assignedTo: '', search: '' });
+  const [searchInput, setSearchInput] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [reply, setReply] = useState('');
+  const [internalNote, setInternalNote] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const fetchTickets = async (p = page) => {
+    setLoading(true);
+    try {
+      const params = { page: p, limit: 20 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const res = await axios.get('/api/tickets', { params });
+      setTickets(res.data.data || []);
+      setPage(res.data.pagination?.page || p);
+      setTotalPages(Math.max(1, res.data.pagination?.pages || 1));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load tickets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchStats = async () => {
+    try {
+      const res = await axios.get('/api/tickets/stats');
+      setStats(res.data.data);
+    } catch (err) {
+      console.error('Error fetching ticket stats:', err);
+    }
+  };
+
+  useEffect(() => {
+    const fetchAssignees = async () => {
+      try {
+        const res = await axios.get('/api/tickets/assignees');
+        setAssignees(res.data.data || []);
+      } catch (err) {
+        console.error('Error fetching assignees:', err);
+      }
+    };
+    fetchAssignees();
+    fetchStats();
+  }, []);
+
+  useEffect(() => {
+    fetchTickets(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters]);
+
+  const refresh = () => {
+    fetchTickets(page);
+    fetchStats();
+  };
+
+  // Replace a ticket in the queue and the detail panel after an update
+  const applyUpdate = (updated) => {
+    setTickets(prev => prev.map(t => (t._id === updated._id ? { ...t, ...updated } : t)));
+    setSelected(updated);
+    fetchStats();
+  };
+
+  const updateTicket = async (id, changes) => {
+    try {
+      const res = await axios.put(`/api/tickets/${id}`, changes);
+      applyUpdate(res.data.data);
+      toast.success('Ticket updated');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update ticket');
+    }
+  };
+
+  const sendReply = async (e) => {
+    e.preventDefault();
+    if (!reply.trim() || !selected) return;
+
+    setSending(true);
+    try {
+      const res = await axios.post(`/api/tickets/${selected._id}/replies`, {
+        message: reply,
+        internal: internalNote
+      });
+      applyUpdate(res.data.data);
+      setReply('');
+      setInternalNote(false);
+      toast.success(internalNote ? 'Internal note added' : 'Reply sent');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to send reply');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const openTicket = async (id) => {
+    try {
+      const res = await axios.get(`/api/tickets/${id}`);
+      setSelected(res.data.data);
+      setReply('');
+      setInternalNote(false);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load ticket');
+    }
+  };
+
+  const applySearch = (e) => {
+    e.preventDefault();
+    setFilters(prev => ({ ...prev, search: searchInput.trim() }));
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Support Tickets</h1>
+          <p className="text-sm text-gray-600 mt-1">Tickets opened from the website support widget</p>
+        </div>
+        <button onClick={refresh} className="btn-secondary inline-flex items-center">
+          <RefreshCw className="h-4 w-4 mr-2" /> Refresh
+        </button>
+      </div>
+
+      {stats?.urgent > 0 && (
+        <div className="mb-4 flex items-center p-3 rounded-md bg-red-50 text-red-800 text-sm">
+          <AlertTriangle className="h-4 w-4 mr-2" />
+          {stats.urgent} urgent ticket(s) still need attention.
+        </div>
+      )}
+
+      {/* Status tabs */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        {[{ value: '', label: 'All' }, ...STATUSES].map(s => (
+          <button
+            key={s.value || 'all'}
+            onClick={() => setFilters(prev => ({ ...prev, status: s.value }))}
+            className={filters.status === s.value ? 'btn-primary' : 'btn-secondary'}
+          >
+            {s.label}
+            {s.value && stats?.statuses && (
+              <span className="ml-2 text-xs opacity-75">{stats.statuses[s.value]}</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {/* Filters */}
+      <div className="card mb-4">
+        <div className="card-body flex flex-wrap items-center gap-3">
+          <form onSubmit={applySearch} className="flex items-center space-x-2">
+            <input
+              className="input"
+              placeholder="Search ticket, name, email, subject"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+            />
+            <button type="submit" className="btn-secondary inline-flex items-center">
+              <Search className="h-4 w-4" />
+            </button>
+          </form>
+          <select
+            className="input"
+            value={filters.priority}
+            onChange={(e) => setFilters(prev => ({ ...prev, priority: e.target.value }))}
+          >
+            <option value="">All priorities</option>
+            {PRIORITIES.map(p => (
+              <option key={p} value={p}>{p}</option>
+            ))}
+          </select>
+          <select
+            className="input"
+            value={filters.category}
+            onChange={(e) => setFilters(prev => ({ ...prev, category: e.target.value }))}
+          >
+            <option value="">All categories</option>
+            {CATEGORIES.map(c => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+          <select
+            className="input"
+            value={filters.assignedTo}
+            onChange={(e) => setFilters(prev => ({ ...prev, assignedTo: e.target.value }))}
+          >
+            <option value="">Anyone</option>
+            <option value="me">Assigned to me</option>
+            <option value="unassigned">Unassigned{stats ? ` (${stats.unassigned})` : ''}</option>
+            {assignees.map(a => (
+              <option key={a._id} value={a._id}>{a.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex gap-4">
+        {/* Ticket queue */}
+        <div className="card flex-1">
+          <div className="card-body">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ticket</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Customer</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Priority</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assignee</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last activity</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {loading ? (
+                    <tr>
+                      <td colSpan="6" className="px-4 py-8 text-center text-gray-500">Loading...</td>
+                    </tr>
+                  ) : tickets.length === 0 ? (
+                    <tr>
+                      <td colSpan="6" className="px-4 py-8 text-center text-gray-500">No tickets found</td>
+                    </tr>
+                  ) : (
+                    tickets.map(t => (
+                      <tr
+                        key={t._id}
+                        onClick={() => openTicket(t._id)}
+                        className={`cursor-pointer hover:bg-gray-50 ${selected?._id === t._id ? 'bg-primary-50' : ''}`}
+                      >
+                        <td className="px-4 py-3">
+                          <div className="text-sm font-medium text-gray-900">{t.subject}</div>
+                          <div className="text-xs text-gray-500">{t.ticketNumber} · {t.category}</div>
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="text-sm text-gray-900">{t.name}</div>
+                          <div className="text-xs text-gray-500">{t.email}</div>
+                        </td>
+                        <td className="px-4 py-3"><span className={getStatusBadge(t.status)}>{formatLabel(t.status)}</span></td>
+                        <td className="px-4 py-3"><span className={getPriorityBadge(t.priority)}>{t.priority}</span></td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{t.assignedTo?.name || '-'}</td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{format(new Date(t.lastActivityAt), 'MMM dd, yyyy HH:mm')}</td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex items-center justify-between mt-4">
+              <button className="btn-secondary" disabled={page <= 1} onClick={() => fetchTickets(page - 1)}>
+                Previous
+              </button>
+              <div className="text-sm text-gray-600">Page {page} of {totalPages}</div>
+              <button className="btn-secondary" disabled={page >= totalPages} onClick={() => fetchTickets(page + 1)}>
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Ticket detail and thread */}
+        {selected && (
+          <div className="card w-[28rem] flex-shrink-0">
+            <div className="card-header flex items-center justify-between">
+              <div className="min-w-0">
+                <h3 className="text-lg font-medium text-gray-900 truncate">{selected.subject}</h3>
+                <div className="text-xs text-gray-500">{selected.ticketNumber}</div>
+              </div>
+              <button onClick={() => setSelected(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+            <div className="card-body space-y-4">
+              <div>
+                <div className="text-sm font-medium text-gray-900">{selected.name}</div>
+                <a href={`mailto:${selected.email}`} className="text-sm text-primary-600 inline-flex items-center">
+                  <Mail className="h-4 w-4 mr-1" /> {selected.email}
+                </a>
+                <div className="text-xs text-gray-500 mt-1">
+                  Opened {format(new Date(selected.createdAt), 'PPpp')} via {selected.source}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Status</label>
+                  <select
+                    className="input mt-1 w-full"
+                    value={selected.status}
+                    onChange={(e) => updateTicket(selected._id, { status: e.target.value })}
+                  >
+                    {STATUSES.map(s => (
+                      <option key={s.value} value={s.value}>{s.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Priority</label>
+                  <select
+                    className="input mt-1 w-full"
+                    value={selected.priority}
+                    onChange={(e) => updateTicket(selected._id, { priority: e.target.value })}
+                  >
+                    {PRIORITIES.map(p => (
+                      <option key={p} value={p}>{p}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Category</label>
+                  <select
+                    className="input mt-1 w-full"
+                    value={selected.category}
+                    onChange={(e) => updateTicket(selected._id, { category: e.target.value })}
+                  >
+                    {CATEGORIES.map(c => (
+                      <option key={c} value={c}>{c}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Assigned to</label>
+                  <select
+                    className="input mt-1 w-full"
+                    value={selected.assignedTo?._id || ''}
+                    onChange={(e) => updateTicket(selected._id, { assignedTo: e.target.value || null })}
+                  >
+                    <option value="">Unassigned</option>
+                    {assignees.map(a => (
+                      <option key={a._id} value={a._id}>{a.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {/* Thread */}
+              <div className="space-y-2 max-h-96 overflow-y-auto">
+                {selected.messages.map(m => (
+                  <div
+                    key={m._id}
+                    className={`p-3 rounded-md text-sm ${
+                      m.internal ? 'bg-yellow-50 border border-yellow-200'
+                        : m.authorType === 'customer' ? 'bg-gray-50' : 'bg-blue-50'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                      <span className="inline-flex items-center font-medium text-gray-700">
+                        {m.internal && <Lock className="h-3 w-3 mr-1" />}
+                        {m.author?.name || m.authorName}
+                        {m.internal && ' · internal note'}
+                      </span>
+                      <span>{format(new Date(m.createdAt), 'MMM dd, HH:mm')}</span>
+                    </div>
+                    <p className="text-gray-700 whitespace-pre-wrap">{m.body}</p>
+                  </div>
+                ))}
+              </div>
+
+              <form onSubmit={sendReply} className="space-y-2">
+                <textarea
+                  className="input w-full"
+                  rows="4"
+                  placeholder={internalNote ? 'Add an internal note for the team' : 'Reply to the customer'}
+                  value={reply}
+                  onChange={(e) => setReply(e.target.value)}
+                />
+                <div className="flex items-center justify-between">
+                  <label className="inline-flex items-center text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={internalNote}
+                      onChange={(e) => setInternalNote(e.target.checked)}
+                    />
+                    Internal note
+                  </label>
+                  <button type="submit" disabled={sending || !reply.trim()} className="btn-primary inline-flex items-center">
+                    <Send className="h-4 w-4 mr-2" /> {internalNote ? 'Add Note' : 'Send Reply'}
+                  </button>
+                </div>
+              </form>
+
+              {selected.history?.length > 0 && (
+                <div>
+                  <div className="text-sm font-medium text-gray-700 mb-1">History</div>
+                  <ul className="space-y-1">
+                    {selected.history.map((h, i) => (
+                      <li key={i} className="text-xs text-gray-500">
+                        {format(new Date(h.changedAt), 'MMM dd, HH:mm')} · {formatLabel(h.field)}
+                        {h.field !== 'assignedTo' && `: ${h.from ? formatLabel(h.from) : '-'} → ${h.to ? formatLabel(h.to) : '-'}`}
+                        {h.changedBy?.name ? ` by ${h.changedBy.name}` : ''}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Tickets;
@@ -21,6 +21,7 @@ const Users = () => {
 
   const roles = [
     { value: 'client', label: 'Client', description: 'Basic access to read content' },
+    { value: 'contributor', label: 'Contributor', description: 'Write blog posts and submit them for review' },
     { value: 'staff', label: 'Staff', description: 'Content management and publishing' },
     { value: 'admin', label: 'Admin', description: 'Full system access and user management' }
   ];
@@ -107,6 +108,7 @@ const Users = () => {
     switch (role) {
       case 'admin': return 'bg-red-100 text-red-800';
       case 'staff': return 'bg-blue-100 text-blue-800';
+      case 'contributor': return 'bg-yellow-100 text-yellow-800';
       case 'client': return 'bg-green-100 text-green-800';
       default: return 'bg-gray-100 text-gray-800';
     }
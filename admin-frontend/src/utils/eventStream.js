@@ -0,0 +1,91 @@
+/**
+ * Authenticated Server-Sent Events
+ * EventSource cannot send an Authorization header, so this reads the
+ * event stream through fetch and reconnects when the connection drops
+ */
+
+const RECONNECT_DELAY = 3000;
+
+// Split a raw SSE block into its event name and JSON payload
+const parseEvent = (block) => {
+  let event = 'message';
+  const data = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trim());
+    }
+  });
+
+  if (data.length === 0) return null;
+
+  try {
+    return { event, data: JSON.parse(data.join('\n')) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Open an event stream and call onEvent(event, data) for every event.
+ * Returns a function that closes the stream.
+ */
+export const openEventStream = (url, { onEvent, onOpen, onError } = {}) => {
+  const controller = new AbortController();
+  let closed = false;
+
+  const connect = async () => {
+    try {
+      const response = await fetch(url, {
+        headers: {
+          Accept: 'text/event-stream',
+          Authorization: `Bearer ${localStorage.getItem('token')}`
+        },
+        credentials: 'include',
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Event stream failed with status ${response.status}`);
+      }
+
+      if (onOpen) onOpen();
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (!closed) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        blocks.forEach(block => {
+          const parsed = parseEvent(block);
+          if (parsed && onEvent) onEvent(parsed.event, parsed.data);
+        });
+      }
+    } catch (error) {
+      if (closed) return;
+      if (onError) onError(error);
+    }
+
+    if (!closed) {
+      setTimeout(connect, RECONNECT_DELAY);
+    }
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    controller.abort();
+  };
+};
+
+export default openEventStream;
@@ -0,0 +1,182 @@
+/**
+ * Resumable uploads over the tus 1.0.0 protocol
+ * Large files are sent in chunks and the upload URL is remembered per file,
+ * so an interrupted or paused upload carries on from the last byte the
+ * server received - even after a page reload
+ */
+import axios from 'axios';
+
+const TUS_VERSION = '1.0.0';
+const ENDPOINT = '/api/files/tus';
+const STORAGE_PREFIX = 'tus-upload:';
+// Scanning and encrypting a large file can take many minutes; poll less often the longer it runs
+const PROCESSING_POLL_INITIAL = 2000;
+const PROCESSING_POLL_MAX = 60000;
+const PROCESSING_DEADLINE = 60 * 60 * 1000;
+
+// Large chunks keep a multi-gigabyte file within the API's per-request rate limit
+export const DEFAULT_CHUNK_SIZE = 64 * 1024 * 1024;
+
+// Upload-Metadata values are base64; encode through UTF-8 so any filename survives
+const encodeMetadata = (metadata) => Object.entries(metadata)
+  .filter(([, value]) => value)
+  .map(([key, value]) => `${key} ${btoa(unescape(encodeURIComponent(String(value))))}`)
+  .join(',');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class TusUpload {
+  constructor(file, { metadata = {}, chunkSize = DEFAULT_CHUNK_SIZE, onProgress } = {}) {
+    this.file = file;
+    this.metadata = { filename: file.name, filetype: file.type, ...metadata };
+    this.chunkSize = chunkSize;
+    this.onProgress = onProgress;
+    this.url = null;
+    this.paused = false;
+    this.controller = null;
+
+    // The same file into the same matter resumes the same upload
+    this.fingerprint = [
+      STORAGE_PREFIX + file.name,
+      file.size,
+      file.lastModified,
+      metadata.matterId || metadata.clientId || ''
+    ].join(':');
+  }
+
+  headers(extra = {}) {
+    return { 'Tus-Resumable': TUS_VERSION, ...extra };
+  }
+
+  /**
+   * Start or resume the upload. Resolves with the server's upload status once
+   * the file has been scanned and stored, or null if the upload was paused.
+   */
+  async start() {
+    this.paused = false;
+    try {
+      let offset = await this.resumeOffset();
+      if (offset === null) {
+        await this.create();
+        offset = 0;
+      }
+      return await this.sendChunks(offset);
+    } catch (error) {
+      if (this.paused && axios.isCancel(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stop sending; bytes already received stay on the server for start() to resume
+   */
+  pause() {
+    this.paused = true;
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+
+  /**
+   * Stop and discard the upload on the server
+   */
+  async abort() {
+    this.pause();
+    const url = this.url || localStorage.getItem(this.fingerprint);
+    localStorage.removeItem(this.fingerprint);
+    if (url) {
+      try {
+        await axios.delete(url, { headers: this.headers() });
+      } catch (error) {
+        // Already gone or expired; nothing left to clean up
+      }
+    }
+  }
+
+  async create() {
+    const response = await axios.post(ENDPOINT, null, {
+      headers: this.headers({
+        'Upload-Length': this.file.size,
+        'Upload-Metadata': encodeMetadata(this.metadata)
+      })
+    });
+    this.url = response.headers.location;
+    localStorage.setItem(this.fingerprint, this.url);
+  }
+
+  // Offset of a previously started upload, or null when there is none to resume
+  async resumeOffset() {
+    this.url = this.url || localStorage.getItem(this.fingerprint);
+    if (!this.url) return null;
+
+    try {
+      const response = await axios.head(this.url, { headers: this.headers() });
+      return Number(response.headers['upload-offset']);
+    } catch (error) {
+      if ([404, 410].includes(error.response?.status)) {
+        localStorage.removeItem(this.fingerprint);
+        this.url = null;
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async sendChunks(offset) {
+    while (offset < this.file.size) {
+      if (this.paused) return null;
+
+      const chunk = this.file.slice(offset, offset + this.chunkSize);
+      const start = offset;
+      this.controller = new AbortController();
+
+      const response = await axios.patch(this.url, chunk, {
+        headers: this.headers({
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': start
+        }),
+        signal: this.controller.signal,
+        onUploadProgress: (event) => {
+          if (this.onProgress) this.onProgress(start + event.loaded, this.file.size);
+        }
+      });
+      offset = Number(response.headers['upload-offset']);
+    }
+
+    if (this.onProgress) this.onProgress(this.file.size, this.file.size);
+    return this.waitForResult();
+  }
+
+  // The last PATCH returns once the bytes are stored; the server then scans and encrypts the file.
+  // Past the deadline this throws; start() again keeps waiting on the same upload.
+  async waitForResult() {
+    const deadline = Date.now() + PROCESSING_DEADLINE;
+    let interval = PROCESSING_POLL_INITIAL;
+    for (;;) {
+      if (this.paused) return null;
+
+      try {
+        const response = await axios.get(this.url);
+        const upload = response.data.data;
+        if (upload.status !== 'processing') {
+          localStorage.removeItem(this.fingerprint);
+          return upload;
+        }
+      } catch (error) {
+        if (error.response?.status !== 429) throw error;
+        const retryAfter = Number(error.response.headers['retry-after']);
+        if (retryAfter > 0) interval = Math.max(interval, retryAfter * 1000);
+      }
+
+      if (Date.now() + interval > deadline) {
+        throw new Error('The file is still being scanned and encrypted. Resume the upload later to check on it.');
+      }
+      await delay(interval);
+      interval = Math.min(Math.round(interval * 1.5), PROCESSING_POLL_MAX);
+    }
+  }
+}
+
+export default TusUpload;
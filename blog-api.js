@@ -58,6 +58,33 @@ class BlogAPI {
         }
     }
 
+    // Relevance-ranked search with highlighted snippets, facet counts and a "did you mean" suggestion
+    async searchBlogs(query, options = {}) {
+        const { page = 1, limit = 10, category = null, tag = null } = options;
+        const params = new URLSearchParams({
+            q: query,
+            page: page.toString(),
+            limit: limit.toString()
+        });
+
+        if (category) params.append('category', category);
+        if (tag) params.append('tag', tag);
+
+        try {
+            const response = await fetch(`${this.baseURL}/blog/search?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                return data;
+            } else {
+                throw new Error(data.message || 'Failed to search blogs');
+            }
+        } catch (error) {
+            console.error('Error searching blogs:', error);
+            return { blogs: [], facets: { categories: [], tags: [] }, suggestion: null, pagination: { page: 1, pages: 1, total: 0 } };
+        }
+    }
+
     // Fetch blog statistics
     async getBlogStats() {
         try {
@@ -133,10 +160,10 @@ class BlogDisplay {
         return text.substring(0, maxLength).trim() + '...';
     }
 
-    // Generate blog card HTML
+    // Generate blog card HTML; search results bring their own highlighted title and snippet
     generateBlogCard(blog) {
         const featuredImage = blog.featured_image || 'images/blog-default.jpg';
-        const excerpt = this.truncateText(blog.excerpt || blog.meta_description || blog.content);
+        const excerpt = blog.snippet || this.truncateText(blog.excerpt || blog.meta_description || blog.content);
         const category = blog.category || 'General';
         const authorName = blog.author_name || 'Lexocrates Team';
         const publishDate = this.formatDate(blog.created_at);
@@ -149,7 +176,7 @@ class BlogDisplay {
                 </div>
                 <div class="blog-card-content">
                     <h3 class="blog-card-title">
-                        <a href="/blog-post.html?slug=${blog.slug}">${blog.title}</a>
+                        <a href="/blog/${encodeURIComponent(blog.slug)}">${blog.highlighted_title || blog.title}</a>
                     </h3>
                     <p class="blog-card-excerpt">${excerpt}</p>
                     <div class="blog-card-meta">
@@ -185,6 +212,63 @@ class BlogDisplay {
         return blogs.map(blog => this.generateBlogCard(blog)).join('');
     }
 
+    // Escape text for use in HTML built from search input
+    escapeHTML(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Link to the search page with some filters changed
+    searchLink(filters, changes) {
+        const params = new URLSearchParams();
+        const next = { ...filters, ...changes };
+        ['search', 'category', 'tag'].forEach(name => {
+            if (next[name]) params.append(name, next[name]);
+        });
+        return `?${params}`;
+    }
+
+    // Generate search results HTML: suggestion, facets, then the ranked posts
+    generateSearchResults(data, filters = {}) {
+        const total = data.pagination ? data.pagination.total : (data.blogs || []).length;
+        const facetList = (label, name, items) => items.length === 0 ? '' : `
+                <div class="search-facet">
+                    <h4>${label}</h4>
+                    <ul>
+                        ${items.map(item => `
+                            <li>
+                                <a href="${this.escapeHTML(this.searchLink(filters, { [name]: filters[name] === item.slug ? '' : item.slug }))}"
+                                   class="${filters[name] === item.slug ? 'active' : ''}">
+                                    ${this.escapeHTML(item.name)} <span class="facet-count">(${item.count})</span>
+                                </a>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>`;
+
+        return `
+            <div class="search-summary">
+                <p class="search-count">${total} result${total === 1 ? '' : 's'} for <strong>${this.escapeHTML(filters.search)}</strong></p>
+                ${data.suggestion ? `
+                    <p class="search-suggestion">
+                        Did you mean
+                        <a href="${this.escapeHTML(this.searchLink(filters, { search: data.suggestion }))}">${this.escapeHTML(data.suggestion)}</a>?
+                    </p>
+                ` : ''}
+                ${data.facets ? `
+                    <div class="search-facets">
+                        ${facetList('Categories', 'category', data.facets.categories || [])}
+                        ${facetList('Tags', 'tag', data.facets.tags || [])}
+                    </div>
+                ` : ''}
+            </div>
+            ${this.generateBlogList(data.blogs)}
+        `;
+    }
+
     // Generate pagination HTML
     generatePagination(pagination, currentFilters = {}) {
         if (pagination.pages <= 1) return '';
@@ -250,7 +334,7 @@ class BlogDisplay {
                     <label for="search-filter">Search:</label>
                     <input type="text" id="search-filter" class="filter-input" 
                            placeholder="Search articles..." 
-                           value="${currentFilters.search || ''}">
+                           value="${this.escapeHTML(currentFilters.search || '')}">
                 </div>
                 <button id="clear-filters" class="btn btn-secondary">Clear Filters</button>
             </div>
@@ -260,10 +344,14 @@ class BlogDisplay {
     // Load and display blogs
     async loadBlogs(container, options = {}) {
         try {
-            const data = await this.api.getBlogs(options);
+            const data = options.search
+                ? await this.api.searchBlogs(options.search, options)
+                : await this.api.getBlogs(options);
             
             if (data.blogs) {
-                container.innerHTML = this.generateBlogList(data.blogs);
+                container.innerHTML = options.search
+                    ? this.generateSearchResults(data, options)
+                    : this.generateBlogList(data.blogs);
                 
                 // Add pagination if available
                 if (data.pagination && data.pagination.pages > 1) {
@@ -298,7 +386,7 @@ class BlogDisplay {
                         <i class="fas fa-exclamation-triangle"></i>
                         <h3>Blog post not found</h3>
                         <p>The requested article could not be found.</p>
-                        <a href="/blog.html" class="btn btn-primary">Back to Blog</a>
+                        <a href="/blog" class="btn btn-primary">Back to Blog</a>
                     </div>
                 `;
             }
@@ -366,7 +454,7 @@ class BlogDisplay {
                 ` : ''}
                 
                 <div class="blog-post-navigation">
-                    <a href="/blog.html" class="btn btn-secondary">
+                    <a href="/blog" class="btn btn-secondary">
                         <i class="fas fa-arrow-left"></i>
                         Back to Blog
                     </a>
@@ -381,8 +469,15 @@ const blogAPI = new BlogAPI();
 const blogDisplay = new BlogDisplay(blogAPI);
 
 // Export for use in other scripts
-window.BlogAPI = BlogAPI;
-window.BlogDisplay = BlogDisplay;
-window.blogAPI = blogAPI;
-window.blogDisplay = blogDisplay;
+if (typeof window !== 'undefined') {
+    window.BlogAPI = BlogAPI;
+    window.BlogDisplay = BlogDisplay;
+    window.blogAPI = blogAPI;
+    window.blogDisplay = blogDisplay;
+}
+
+// main-website-server.js renders the same markup on the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BlogAPI, BlogDisplay };
+}
 
@@ -0,0 +1,132 @@
+// Modules under test
+const FeedBuilder = require('../src/utils/feedBuilder');
+const FeedHandler = require('../src/handlers/feedHandler');
+
+describe('feeds', () => {
+  const siteUrl = 'https://lexocrates.com';
+  const meta = (fields) => ({
+    title: 'Lexocrates Blog',
+    description: 'Legal insights & updates',
+    siteUrl,
+    homeUrl: `${siteUrl}/blog`,
+    feedUrls: { rss: `${siteUrl}/feed.xml`, atom: `${siteUrl}/atom.xml`, json: `${siteUrl}/feed.json` },
+    full: true,
+    ...fields
+  });
+
+  const post = (fields) => ({
+    title: 'Contract review & "red flags"',
+    slug: 'contract-review',
+    content: '<p>See <a href="/blog/ndas">our NDA guide</a> ]]> <img src="/uploads/chart.png"></p>',
+    excerpt: '',
+    meta_description: 'What to check <b>before</b> signing',
+    featured_image: '/uploads/cover.png',
+    published_at: new Date('2026-03-01T09:00:00Z'),
+    updated_at: new Date('2026-03-02T10:00:00Z'),
+    author_name: 'Dana <Editor>',
+    categories: ['Legal Research'],
+    tags: ['contracts'],
+    ...fields
+  });
+
+  const older = post({
+    title: 'Older post',
+    slug: 'older post',
+    published_at: new Date('2026-02-01T09:00:00Z'),
+    updated_at: null,
+    featured_image: 'https://cdn.example.com/older.png',
+    author_name: null,
+    categories: [],
+    tags: []
+  });
+
+  it('renders RSS with escaped text, absolute links and full content in CDATA', () => {
+    const rss = FeedBuilder.rss(FeedBuilder.prepare(meta(), [post(), older]));
+
+    expect(rss).toContain('<title>Contract review &amp; &quot;red flags&quot;</title>');
+    expect(rss).toContain('<description>Legal insights &amp; updates</description>');
+    expect(rss).toContain('<guid isPermaLink="true">https://lexocrates.com/blog/older%20post</guid>');
+    expect(rss).toContain('<dc:creator>Dana &lt;Editor&gt;</dc:creator>');
+    expect(rss).toContain('<category>Legal Research</category>\n      <category>contracts</category>');
+    expect(rss).toContain('<description>What to check before signing</description>');
+    // A literal ]]> in the post can't end the CDATA section early
+    expect(rss).toContain('<content:encoded><![CDATA[<p>See <a href="https://lexocrates.com/blog/ndas">our NDA guide</a> ]]]]><![CDATA[> <img src="https://lexocrates.com/uploads/chart.png"></p>]]></content:encoded>');
+    expect(rss).toContain(`<lastBuildDate>${new Date('2026-03-02T10:00:00Z').toUTCString()}</lastBuildDate>`);
+    expect(rss.indexOf('Contract review')).toBeLessThan(rss.indexOf('Older post'));
+    expect(rss.match(/<dc:creator>/g)).toHaveLength(1);
+  });
+
+  it('renders Atom and JSON Feed with full content or excerpts only', () => {
+    const full = FeedBuilder.prepare(meta(), [post(), older]);
+    const atom = FeedBuilder.atom(full);
+    expect(atom).toContain('<id>https://lexocrates.com/atom.xml</id>');
+    expect(atom).toContain('<updated>2026-03-02T10:00:00.000Z</updated>');
+    expect(atom).toContain('<published>2026-02-01T09:00:00.000Z</published>\n    <updated>2026-02-01T09:00:00.000Z</updated>');
+    expect(atom).toContain('<content type="html">&lt;p&gt;See &lt;a href=&quot;https://lexocrates.com/blog/ndas&quot;&gt;');
+    expect(atom).toContain('<category term="contracts"/>');
+
+    const json = JSON.parse(FeedBuilder.json(full));
+    expect(json).toMatchObject({ version: 'https://jsonfeed.org/version/1.1', feed_url: `${siteUrl}/feed.json` });
+    expect(json.items[0]).toMatchObject({
+      id: `${siteUrl}/blog/contract-review`,
+      title: 'Contract review & "red flags"',
+      content_html: expect.stringContaining('src="https://lexocrates.com/uploads/chart.png"'),
+      image: `${siteUrl}/uploads/cover.png`,
+      authors: [{ name: 'Dana <Editor>' }],
+      tags: ['Legal Research', 'contracts'],
+      date_modified: '2026-03-02T10:00:00.000Z'
+    });
+    expect(json.items[1]).not.toHaveProperty('authors');
+    expect(json.items[1].image).toBe('https://cdn.example.com/older.png');
+
+    const excerpts = FeedBuilder.prepare(meta({ full: false }), [post()]);
+    expect(FeedBuilder.rss(excerpts)).not.toContain('<content:encoded>');
+    expect(FeedBuilder.atom(excerpts)).not.toContain('<content');
+    const [item] = JSON.parse(FeedBuilder.json(excerpts)).items;
+    expect(item).not.toHaveProperty('content_html');
+    expect(item.content_text).toBe('What to check before signing');
+  });
+
+  it('summarises posts without an excerpt at a word boundary', () => {
+    expect(FeedBuilder.summaryOf({ excerpt: '<p>Short <em>excerpt</em></p>', content: 'Ignored' })).toBe('Short excerpt');
+
+    const summary = FeedBuilder.summaryOf({ content: `<p>${'indemnity clause '.repeat(40)}</p>` });
+    expect(summary.length).toBeLessThanOrEqual(300);
+    expect(summary).toMatch(/(indemnity|clause)\.\.\.$/);
+
+    // An empty feed dates from the epoch rather than now, so its ETag stays put
+    expect(FeedBuilder.prepare(meta(), []).updated).toEqual(new Date(0));
+  });
+
+  it('scopes feeds, keeps the content mode in self links and changes the ETag with the body', async () => {
+    const rows = [{ ...post(), categories: 'Legal Research, Compliance', tags: 'contracts' }];
+    const db = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM categories')) return [{ id: 3, name: 'Legal Research', slug: 'legal-research' }];
+        if (sql.includes('FROM tags')) return [];
+        return rows;
+      })
+    };
+    const handler = new FeedHandler(db);
+
+    const excerpt = await handler.getFeed({ format: 'atom', category: 'legal-research', content: 'excerpt' });
+    expect(excerpt.contentType).toBe('application/atom+xml; charset=utf-8');
+    expect(excerpt.body).toContain('<title>Lexocrates Blog: Legal Research</title>');
+    expect(excerpt.body).toContain('href="https://lexocrates.com/category/legal-research/atom.xml?content=excerpt"');
+    expect(excerpt.body).toContain('<category term="Compliance"/>');
+    expect(excerpt.body).not.toContain('<content');
+    expect(db.query.mock.calls[1][1]).toEqual([3]);
+
+    const full = await handler.getFeed({ format: 'atom', category: 'legal-research' });
+    expect(full.body).toContain('href="https://lexocrates.com/category/legal-research/atom.xml"');
+    expect(full.etag).not.toBe(excerpt.etag);
+    expect((await handler.getFeed({ format: 'atom', category: 'legal-research' })).etag).toBe(full.etag);
+    expect(full.lastModified).toEqual(new Date('2026-03-02T10:00:00Z'));
+
+    rows[0] = { ...rows[0], title: 'Contract review, updated' };
+    expect((await handler.getFeed({ format: 'atom', category: 'legal-research' })).etag).not.toBe(full.etag);
+
+    await expect(handler.getFeed({ format: 'json', tag: 'missing' })).resolves.toBeNull();
+    await expect(handler.getFeed({ format: 'xml' })).rejects.toThrow('Unknown feed format: xml');
+  });
+});
@@ -0,0 +1,98 @@
+// Module under test
+const SearchIndex = require('../src/utils/searchIndex');
+
+describe('search index', () => {
+  const category = (slug, name) => ({ slug, name });
+  const research = category('legal-research', 'Legal Research');
+  const litigation = category('litigation-support', 'Litigation Support');
+  const compliance = category('compliance', 'Compliance');
+
+  const document = (id, fields) => ({
+    id,
+    excerpt: '',
+    categories: [],
+    tags: [],
+    post: { id, slug: `post-${id}` },
+    ...fields
+  });
+
+  const index = new SearchIndex([
+    document(1, {
+      title: 'Contract review for growing firms',
+      content: '<p>Our paralegals review each contract clause by clause and flag unusual indemnities.</p>',
+      categories: [research],
+      tags: [category('contracts', 'Contracts')]
+    }),
+    document(2, {
+      title: 'Litigation support checklist',
+      content: '<p>Before trial, reviewing the discovery set matters more than any single contract.</p>',
+      categories: [litigation],
+      tags: [category('ediscovery', 'eDiscovery')]
+    }),
+    document(3, {
+      title: 'Drafting settlement agreements',
+      content: '<p>A settlement is a contract; draft its release clause with care.</p>',
+      categories: [litigation],
+      tags: [category('contracts', 'Contracts')]
+    }),
+    document(4, {
+      title: 'Privacy compliance for law firms',
+      content: '<p>Map where client data lives &amp; who can read it.</p>',
+      categories: [compliance],
+      tags: []
+    })
+  ]);
+
+  const ids = result => result.results.map(post => post.id);
+
+  it('ranks title matches above body matches', () => {
+    const result = index.search('contract review');
+
+    expect(ids(result)).toEqual([1, 2, 3]);
+    expect(result.total).toBe(3);
+    const scores = result.results.map(post => post.score);
+    expect([...scores].sort((a, b) => b - a)).toEqual(scores);
+    expect(result.results[0]).toMatchObject({ slug: 'post-1', highlighted_title: '<mark>Contract</mark> <mark>review</mark> for growing firms' });
+  });
+
+  it('matches words by their stem and highlights every form', () => {
+    const result = index.search('reviewing contracts');
+
+    expect(ids(result)).toEqual([1, 2, 3]);
+    expect(result.results[1].snippet).toContain('<mark>reviewing</mark>');
+    expect(result.results[1].snippet).toContain('<mark>contract</mark>');
+    // Stopwords alone match nothing
+    expect(index.search('for the').total).toBe(0);
+  });
+
+  it('counts facets without applying their own filter', () => {
+    const result = index.search('contract', { category: 'litigation-support' });
+
+    expect(ids(result)).toEqual([3, 2]);
+    // Every category stays selectable, while tags follow the chosen category
+    expect(result.facets.categories).toEqual([
+      { slug: 'litigation-support', name: 'Litigation Support', count: 2 },
+      { slug: 'legal-research', name: 'Legal Research', count: 1 }
+    ]);
+    expect(result.facets.tags).toEqual([
+      { slug: 'contracts', name: 'Contracts', count: 1 },
+      { slug: 'ediscovery', name: 'eDiscovery', count: 1 }
+    ]);
+
+    const tagged = index.search('contract', { category: 'litigation-support', tag: 'contracts' });
+    expect(ids(tagged)).toEqual([3]);
+    expect(tagged.facets.categories).toEqual([
+      { slug: 'legal-research', name: 'Legal Research', count: 1 },
+      { slug: 'litigation-support', name: 'Litigation Support', count: 1 }
+    ]);
+  });
+
+  it('suggests the closest known words for misspelled queries', () => {
+    const result = index.search('contrat reveiw');
+
+    expect(result.total).toBe(0);
+    expect(result.suggestion).toBe('contract review');
+    expect(index.search('contract review').suggestion).toBeNull();
+    expect(index.search('privacy xylophone').suggestion).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+// Modules under test
+const SitemapBuilder = require('../src/utils/sitemapBuilder');
+const SitemapHandler = require('../src/handlers/sitemapHandler');
+
+describe('sitemaps', () => {
+  const published = {
+    id: 1,
+    title: 'Contract review & "red flags"',
+    slug: 'contract-review',
+    featured_image: '/uploads/cover.png',
+    images: JSON.stringify([
+      '/uploads/cover.png',
+      { url: 'https://cdn.example.com/chart.png', altText: 'Clause checklist' },
+      { url: '/uploads/table.png' },
+      { altText: 'No URL' }
+    ]),
+    published_at: new Date('2026-03-01T09:00:00Z'),
+    created_at: new Date('2026-02-28T09:00:00Z'),
+    updated_at: new Date('2026-03-02T10:00:00Z')
+  };
+
+  // Answers the post query and the category/tag archive queries
+  const database = ({ posts = [published], categories = [], tags = [] } = {}) => ({
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FROM categories')) return categories;
+      if (sql.includes('FROM tags')) return tags;
+      return posts;
+    })
+  });
+
+  it('lists the featured image and gallery images, stored as URLs or objects', () => {
+    const handler = new SitemapHandler(database());
+
+    // The featured image isn't listed twice and entries without a URL are dropped
+    expect(handler.imagesOf(published)).toEqual([
+      { loc: 'https://lexocrates.com/uploads/cover.png', title: published.title },
+      { loc: 'https://cdn.example.com/chart.png', title: 'Clause checklist' },
+      { loc: 'https://lexocrates.com/uploads/table.png', title: published.title }
+    ]);
+
+    // mysql2 may already have parsed the JSON column
+    expect(handler.imagesOf({ title: 'Gallery', featured_image: null, images: ['uploads/a.png'] })).toEqual([
+      { loc: 'https://lexocrates.com/uploads/a.png', title: 'Gallery' }
+    ]);
+    expect(handler.imagesOf({ title: 'Broken', featured_image: '/uploads/b.png', images: '{not json' })).toEqual([
+      { loc: 'https://lexocrates.com/uploads/b.png', title: 'Broken' }
+    ]);
+    expect(handler.imagesOf({ title: 'Plain', featured_image: '', images: null })).toEqual([]);
+  });
+
+  it('renders escaped URLs, lastmod dates and image entries', () => {
+    const xml = SitemapBuilder.urlset([
+      {
+        loc: 'https://lexocrates.com/blog?tag=m&a',
+        lastmod: '2026-03-02 10:00:00Z',
+        images: [
+          { loc: 'https://lexocrates.com/uploads/cover.png', title: 'Review & "flags"' },
+          { loc: 'https://lexocrates.com/uploads/plain.png' }
+        ]
+      },
+      { loc: 'https://lexocrates.com/blog/undated' }
+    ]);
+
+    expect(xml).toContain('xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"');
+    expect(xml).toContain('<loc>https://lexocrates.com/blog?tag=m&amp;a</loc>\n    <lastmod>2026-03-02T10:00:00.000Z</lastmod>');
+    expect(xml).toContain('<image:title>Review &amp; &quot;flags&quot;</image:title>');
+    expect(xml).toContain('<image:loc>https://lexocrates.com/uploads/plain.png</image:loc>\n    </image:image>');
+    expect(xml).toContain('<loc>https://lexocrates.com/blog/undated</loc>\n  </url>');
+
+    expect(SitemapBuilder.latest([
+      { lastmod: '2026-03-01T00:00:00Z' },
+      { lastmod: null },
+      { lastmod: new Date('2026-03-05T00:00:00Z') }
+    ])).toEqual(new Date('2026-03-05T00:00:00Z'));
+    expect(SitemapBuilder.latest([{ loc: 'x' }])).toBeNull();
+  });
+
+  it('dates archive pages by their newest published post and caches the build', async () => {
+    const db = database({
+      categories: [{ slug: 'legal-research', lastmod: new Date('2026-03-02T10:00:00Z') }],
+      tags: [{ slug: 'm&a', lastmod: new Date('2026-01-15T08:00:00Z') }]
+    });
+    const handler = new SitemapHandler(db);
+
+    const archives = await handler.getSitemap('archives');
+    expect(archives.body).toContain('<loc>https://lexocrates.com/blog?category=legal-research</loc>\n    <lastmod>2026-03-02T10:00:00.000Z</lastmod>');
+    expect(archives.body).toContain('<loc>https://lexocrates.com/blog?tag=m%26a</loc>\n    <lastmod>2026-01-15T08:00:00.000Z</lastmod>');
+    expect(archives.lastModified).toEqual(new Date('2026-03-02T10:00:00Z'));
+
+    const blog = await handler.getSitemap('blog');
+    expect(blog.body).toContain('<loc>https://lexocrates.com/blog/contract-review</loc>\n    <lastmod>2026-03-02T10:00:00.000Z</lastmod>');
+    expect(blog.body.match(/<image:image>/g)).toHaveLength(3);
+    expect(blog.etag).toMatch(/^"[\w-]+"$/);
+    // Both sitemaps came from one build
+    expect(db.query).toHaveBeenCalledTimes(3);
+
+    await expect(handler.getSitemap('pages')).rejects.toThrow('Unknown sitemap: pages');
+  });
+});
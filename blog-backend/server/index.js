@@ -15,10 +15,16 @@ const dbConnection = require('../src/db/connection');
 // Import handlers
 const BlogHandler = require('../src/handlers/blogHandler');
 const AuthHandler = require('../src/handlers/authHandler');
+const FeedHandler = require('../src/handlers/feedHandler');
+const SitemapHandler = require('../src/handlers/sitemapHandler');
+const SearchHandler = require('../src/handlers/searchHandler');
+const SyncHandler = require('../src/handlers/syncHandler');
 const seoAnalyzer = require('../src/utils/seoAnalyzer');
+const SiteNotifier = require('../src/utils/siteNotifier');
 
 // Import middleware
 const authMiddleware = require('../src/middleware/auth');
+const internalKeyMiddleware = require('../src/middleware/internalKey');
 
 // Initialize express
 const app = express();
@@ -37,6 +43,17 @@ dbConnection.createPool(dbConfig);
 // Initialize handlers
 const blogHandler = new BlogHandler(dbConnection);
 const authHandler = new AuthHandler(dbConnection);
+const feedHandler = new FeedHandler(dbConnection);
+const sitemapHandler = new SitemapHandler(dbConnection);
+const searchHandler = new SearchHandler(dbConnection);
+const syncHandler = new SyncHandler(dbConnection);
+
+// Public content changed: rebuild the sitemaps and search index and drop the main site's rendered pages
+const onBlogChanged = () => {
+  sitemapHandler.refresh();
+  searchHandler.refresh();
+  SiteNotifier.purgeBlogCache();
+};
 
 // Security middleware
 app.use(helmet());
@@ -47,7 +64,9 @@ const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   message: {
     message: 'Too many requests from this IP, please try again later.'
-  }
+  },
+  // The main website renders blog pages from this API and identifies itself with the shared key
+  skip: (req) => Boolean(process.env.INTERNAL_API_KEY) && req.get('X-Internal-Key') === process.env.INTERNAL_API_KEY
 });
 app.use('/api/', limiter);
 
@@ -161,9 +180,50 @@ app.get('/api/blog', async (req, res) => {
       author: req.query.author
     };
 
-    const result = await blogHandler.getBlogs(options);
+    // Searches are ranked by the search index rather than listed by date.
+    // The index only holds published posts and has no author filter.
+    if (options.search && (options.author || options.status !== 'published')) {
+      return res.status(400).json({
+        success: false,
+        message: 'search cannot be combined with the status or author filters'
+      });
+    }
+    const result = options.search
+      ? await searchHandler.search({ ...options, q: options.search, limit: Math.min(options.limit, 50) })
+      : await blogHandler.getBlogs(options);
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Relevance-ranked full-text search with facets, snippets and spelling suggestions
+app.get('/api/blog/search', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) {
+    return res.status(400).json({
+      success: false,
+      message: 'Search query is required'
+    });
+  }
+
+  try {
+    const result = await searchHandler.search({
+      q,
+      category: req.query.category,
+      tag: req.query.tag,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      limit: Math.min(parseInt(req.query.limit) || 10, 50)
+    });
     res.json({
       success: true,
+      query: q,
       ...result
     });
   } catch (error) {
@@ -205,6 +265,7 @@ app.get('/api/blog/:slug', async (req, res) => {
 app.post('/api/blog', authMiddleware, async (req, res) => {
   try {
     const result = await blogHandler.createBlog(req.body, req.user.id);
+    onBlogChanged();
     res.json({
       success: true,
       message: 'Blog post created successfully',
@@ -245,9 +306,25 @@ app.post('/api/blog/analyze-seo', authMiddleware, async (req, res) => {
   }
 });
 
-app.put('/api/blog/:id', authMiddleware, async (req, res) => {
+// Posts synced from the admin dashboard are edited there; changes made here would be overwritten
+const rejectSyncedPost = async (req, res, next) => {
+  try {
+    if (await syncHandler.isSynced(parseInt(req.params.id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This post is managed in the admin dashboard'
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
+
+app.put('/api/blog/:id', authMiddleware, rejectSyncedPost, async (req, res) => {
   try {
     const result = await blogHandler.updateBlog(parseInt(req.params.id), req.body, req.user.id);
+    onBlogChanged();
     res.json({
       success: true,
       message: 'Blog post updated successfully',
@@ -261,9 +338,10 @@ app.put('/api/blog/:id', authMiddleware, async (req, res) => {
   }
 });
 
-app.delete('/api/blog/:id', authMiddleware, async (req, res) => {
+app.delete('/api/blog/:id', authMiddleware, rejectSyncedPost, async (req, res) => {
   try {
     const result = await blogHandler.deleteBlog(parseInt(req.params.id));
+    onBlogChanged();
     res.json({
       success: true,
       message: 'Blog post deleted successfully'
@@ -390,6 +468,107 @@ app.delete('/api/tags/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// Post sync with the admin dashboard, which owns the posts (see admin-backend/utils/blogSync.js)
+app.get('/internal/sync/posts', internalKeyMiddleware, async (req, res) => {
+  try {
+    const posts = await syncHandler.listPosts();
+    res.json({ success: true, data: posts });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/internal/sync/posts/:sourceId', internalKeyMiddleware, async (req, res) => {
+  try {
+    const result = await syncHandler.upsertPost(req.params.sourceId, req.body);
+    onBlogChanged();
+    res.status(result.created ? 201 : 200).json({ success: true, ...result });
+  } catch (error) {
+    res.status(error.status || 400).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/internal/sync/posts/:sourceId', internalKeyMiddleware, async (req, res) => {
+  try {
+    const result = await syncHandler.deletePost(req.params.sourceId);
+    if (result.deleted) onBlogChanged();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Syndication feeds (RSS 2.0, Atom, JSON Feed), site-wide and per category or tag
+const sendFeed = (format, scope) => async (req, res) => {
+  try {
+    const feed = await feedHandler.getFeed({
+      format,
+      category: scope === 'category' ? req.params.slug : undefined,
+      tag: scope === 'tag' ? req.params.slug : undefined,
+      content: req.query.content
+    });
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: `${scope === 'category' ? 'Category' : 'Tag'} not found`
+      });
+    }
+
+    res.set({
+      'Content-Type': feed.contentType,
+      'Cache-Control': 'public, max-age=300',
+      ETag: feed.etag,
+      'Last-Modified': feed.lastModified.toUTCString()
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.send(feed.body);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+FeedHandler.FORMATS.forEach(format => {
+  const file = FeedHandler.PATHS[format];
+  app.get(`/${file}`, sendFeed(format));
+  app.get(`/category/:slug/${file}`, sendFeed(format, 'category'));
+  app.get(`/tag/:slug/${file}`, sendFeed(format, 'tag'));
+});
+
+// Sitemaps for blog posts and category/tag archives; the main website serves the index
+SitemapHandler.SITEMAPS.forEach(name => {
+  app.get(`/sitemap-${name}.xml`, async (req, res) => {
+    try {
+      const sitemap = await sitemapHandler.getSitemap(name);
+
+      res.set({
+        'Content-Type': 'application/xml; charset=utf-8',
+        'Cache-Control': 'public, max-age=300',
+        ETag: sitemap.etag,
+        'Last-Modified': sitemap.lastModified.toUTCString()
+      });
+
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      res.send(sitemap.body);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -50,6 +50,22 @@ class DatabaseConnection {
     return await this.pool.getConnection();
   }
 
+  // Run callback(connection) in a transaction; rolls back when it throws
+  async transaction(callback) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const result = await callback(connection);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   async close() {
     if (this.pool) {
       await this.pool.end();
@@ -37,7 +37,7 @@ class BlogHandler {
 
   async getBlogs(options = {}) {
     try {
-      const { page = 1, limit = 10, category, tag, search } = options;
+      const { page = 1, limit = 10, category, tag } = options;
       const offset = (page - 1) * limit;
       
       let sql = `
@@ -65,12 +65,6 @@ class BlogHandler {
         params.push(tag);
       }
       
-      if (search) {
-        sql += ' AND (b.title LIKE ? OR b.content LIKE ? OR b.excerpt LIKE ?)';
-        const searchTerm = `%${search}%`;
-        params.push(searchTerm, searchTerm, searchTerm);
-      }
-      
       sql += ` GROUP BY b.id ORDER BY b.created_at DESC LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`;
       
       const blogs = await this.db.query(sql, params);
@@ -109,12 +103,6 @@ class BlogHandler {
         countParams.push(tag);
       }
       
-      if (search) {
-        countSql += ' AND (b.title LIKE ? OR b.content LIKE ? OR b.excerpt LIKE ?)';
-        const searchTerm = `%${search}%`;
-        countParams.push(searchTerm, searchTerm, searchTerm);
-      }
-      
       const [countResult] = await this.db.query(countSql, countParams);
       const total = countResult.total;
       
@@ -0,0 +1,117 @@
+const FeedBuilder = require('../utils/feedBuilder');
+
+const FEED_FORMATS = ['rss', 'atom', 'json'];
+const FEED_PATHS = { rss: 'feed.xml', atom: 'atom.xml', json: 'feed.json' };
+
+class FeedHandler {
+  constructor(dbConnection) {
+    this.db = dbConnection;
+    this.siteUrl = (process.env.SITE_URL || 'https://lexocrates.com').replace(/\/+$/, '');
+    this.size = parseInt(process.env.FEED_SIZE) || 20;
+    this.defaultContent = process.env.FEED_CONTENT === 'excerpt' ? 'excerpt' : 'full';
+  }
+
+  // Category or tag the feed is scoped to, by slug
+  async getScope(type, slug) {
+    const table = type === 'category' ? 'categories' : 'tags';
+    const [row] = await this.db.query(`SELECT id, name, slug FROM ${table} WHERE slug = ?`, [slug]);
+    return row || null;
+  }
+
+  // Latest published posts; filter with subqueries so GROUP_CONCAT still lists every category and tag
+  async getPosts({ categoryId, tagId } = {}) {
+    let sql = `
+      SELECT b.id, b.title, b.slug, b.content, b.excerpt, b.meta_description, b.featured_image,
+             b.published_at, b.created_at, b.updated_at,
+             u.name as author_name,
+             GROUP_CONCAT(DISTINCT c.name) as categories,
+             GROUP_CONCAT(DISTINCT t.name) as tags
+      FROM blogs b
+      LEFT JOIN users u ON b.author_id = u.id
+      LEFT JOIN blog_categories bc ON b.id = bc.blog_id
+      LEFT JOIN categories c ON bc.category_id = c.id
+      LEFT JOIN blog_tags bt ON b.id = bt.blog_id
+      LEFT JOIN tags t ON bt.tag_id = t.id
+      WHERE b.status = "published"
+    `;
+    const params = [];
+
+    if (categoryId) {
+      sql += ' AND b.id IN (SELECT blog_id FROM blog_categories WHERE category_id = ?)';
+      params.push(categoryId);
+    }
+
+    if (tagId) {
+      sql += ' AND b.id IN (SELECT blog_id FROM blog_tags WHERE tag_id = ?)';
+      params.push(tagId);
+    }
+
+    sql += ` GROUP BY b.id ORDER BY COALESCE(b.published_at, b.created_at) DESC LIMIT ${parseInt(this.size)}`;
+
+    const posts = await this.db.query(sql, params);
+    return posts.map(post => ({
+      ...post,
+      categories: post.categories ? post.categories.split(',').map(cat => cat.trim()).filter(cat => cat.length > 0) : [],
+      tags: post.tags ? post.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0) : []
+    }));
+  }
+
+  /**
+   * Build a feed document. Returns null when the category or tag doesn't exist.
+   * options: { format: 'rss'|'atom'|'json', category, tag, content: 'full'|'excerpt' }
+   */
+  async getFeed({ format, category, tag, content } = {}) {
+    if (!FEED_FORMATS.includes(format)) {
+      throw new Error(`Unknown feed format: ${format}`);
+    }
+
+    let scope = null;
+    let basePath = '';
+    let homeUrl = `${this.siteUrl}/blog`;
+    if (category || tag) {
+      const type = category ? 'category' : 'tag';
+      scope = await this.getScope(type, category || tag);
+      if (!scope) return null;
+      scope.type = type;
+      basePath = `/${type}/${encodeURIComponent(scope.slug)}`;
+      homeUrl += `?${type}=${encodeURIComponent(scope.slug)}`;
+    }
+
+    const mode = ['full', 'excerpt'].includes(content) ? content : this.defaultContent;
+    const posts = await this.getPosts({
+      categoryId: scope && scope.type === 'category' ? scope.id : null,
+      tagId: scope && scope.type === 'tag' ? scope.id : null
+    });
+
+    // Self links keep a non-default content mode so readers refresh the same feed
+    const query = mode === this.defaultContent ? '' : `?content=${mode}`;
+    const feedUrls = {};
+    FEED_FORMATS.forEach(name => {
+      feedUrls[name] = `${this.siteUrl}${basePath}/${FEED_PATHS[name]}${query}`;
+    });
+
+    const feed = FeedBuilder.prepare({
+      title: scope ? `Lexocrates Blog: ${scope.name}` : 'Lexocrates Blog',
+      description: scope
+        ? `Latest ${scope.type === 'category' ? 'posts in' : 'posts tagged'} ${scope.name} from Lexocrates`
+        : 'Legal insights and updates from Lexocrates',
+      siteUrl: this.siteUrl,
+      homeUrl,
+      feedUrls,
+      full: mode === 'full'
+    }, posts);
+
+    const body = FeedBuilder.render(format, feed);
+    return {
+      body,
+      contentType: FeedBuilder.contentTypes[format],
+      etag: FeedBuilder.etag(body),
+      lastModified: feed.updated
+    };
+  }
+}
+
+FeedHandler.FORMATS = FEED_FORMATS;
+FeedHandler.PATHS = FEED_PATHS;
+
+module.exports = FeedHandler;
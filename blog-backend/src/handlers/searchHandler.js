@@ -0,0 +1,121 @@
+const SearchIndex = require('../utils/searchIndex');
+
+class SearchHandler {
+  constructor(dbConnection) {
+    this.db = dbConnection;
+    this.ttl = (parseInt(process.env.SEARCH_INDEX_TTL) || 900) * 1000;
+    this.index = null;
+    this.builtAt = 0;
+    this.building = null;
+    this.generation = 0;
+  }
+
+  // slug/name pairs per post for one of the taxonomy join tables
+  async getTerms(table, joinTable, column) {
+    const rows = await this.db.query(`
+      SELECT j.blog_id, x.slug, x.name
+      FROM ${joinTable} j
+      JOIN ${table} x ON x.id = j.${column}
+      JOIN blogs b ON b.id = j.blog_id AND b.status = "published"
+    `);
+
+    const byPost = new Map();
+    rows.forEach(row => {
+      if (!byPost.has(row.blog_id)) byPost.set(row.blog_id, []);
+      byPost.get(row.blog_id).push({ slug: row.slug, name: row.name });
+    });
+    return byPost;
+  }
+
+  async build() {
+    const [posts, categories, tags] = await Promise.all([
+      this.db.query(`
+        SELECT b.id, b.title, b.slug, b.content, b.excerpt, b.meta_description, b.featured_image,
+               b.published_at, b.created_at, b.updated_at, u.name as author_name
+        FROM blogs b
+        LEFT JOIN users u ON b.author_id = u.id
+        WHERE b.status = "published"
+      `),
+      this.getTerms('categories', 'blog_categories', 'category_id'),
+      this.getTerms('tags', 'blog_tags', 'tag_id')
+    ]);
+
+    return new SearchIndex(posts.map(post => {
+      const postCategories = categories.get(post.id) || [];
+      const postTags = tags.get(post.id) || [];
+      const { content, ...summary } = post;
+      return {
+        id: post.id,
+        title: post.title,
+        excerpt: [post.excerpt, post.meta_description].filter(Boolean).join(' '),
+        content,
+        categories: postCategories,
+        tags: postTags,
+        // Same shape as BlogHandler.getBlogs results, minus the content
+        post: {
+          ...summary,
+          categories: postCategories.map(item => item.name),
+          tags: postTags.map(item => item.name)
+        }
+      };
+    }));
+  }
+
+  // Start a rebuild unless one is already running; a build that a refresh overtook isn't kept
+  rebuild() {
+    if (!this.building) {
+      const generation = this.generation;
+      const building = this.build()
+        .then(index => {
+          if (generation === this.generation) {
+            this.index = index;
+            this.builtAt = Date.now();
+          }
+          return index;
+        })
+        .finally(() => {
+          if (this.building === building) this.building = null;
+        });
+      this.building = building;
+    }
+    return this.building;
+  }
+
+  async getIndex() {
+    if (this.index && Date.now() - this.builtAt <= this.ttl) {
+      return this.index;
+    }
+    return this.rebuild();
+  }
+
+  // Rebuild after posts change so searches see them straight away
+  refresh() {
+    this.generation += 1;
+    this.index = null;
+    this.building = null;
+    this.rebuild().catch(error => console.error('Error rebuilding search index:', error));
+  }
+
+  /**
+   * Ranked full-text search over published posts.
+   * options: { q, category, tag, page, limit }
+   */
+  async search({ q, category, tag, page = 1, limit = 10 } = {}) {
+    const index = await this.getIndex();
+    const { results, total, facets, suggestion } = index.search(q || '', { category, tag, page, limit });
+
+    return {
+      blogs: results,
+      facets,
+      suggestion,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = SearchHandler;
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const SitemapBuilder = require('../utils/sitemapBuilder');
+
+const SITEMAPS = ['blog', 'archives'];
+
+class SitemapHandler {
+  constructor(dbConnection) {
+    this.db = dbConnection;
+    this.siteUrl = (process.env.SITE_URL || 'https://lexocrates.com').replace(/\/+$/, '');
+    this.ttl = (parseInt(process.env.SITEMAP_TTL) || 3600) * 1000;
+    this.cache = null;
+    this.building = null;
+    this.generation = 0;
+  }
+
+  absoluteUrl(url) {
+    return /^https?:\/\//.test(url) ? url : `${this.siteUrl}/${url.replace(/^\//, '')}`;
+  }
+
+  // Featured image first, then the post's gallery; images are stored as URLs or { url, altText }
+  imagesOf(post) {
+    let images = post.images;
+    if (typeof images === 'string') {
+      try {
+        images = JSON.parse(images);
+      } catch (error) {
+        images = [];
+      }
+    }
+
+    const seen = new Set();
+    return [post.featured_image, ...(Array.isArray(images) ? images : [])]
+      .map(image => (typeof image === 'string' ? { url: image } : image))
+      .filter(image => image && image.url && !seen.has(image.url) && seen.add(image.url))
+      .map(image => ({ loc: this.absoluteUrl(image.url), title: image.altText || post.title }));
+  }
+
+  async getPostEntries() {
+    const posts = await this.db.query(`
+      SELECT id, title, slug, featured_image, images, published_at, created_at, updated_at
+      FROM blogs
+      WHERE status = "published"
+      ORDER BY COALESCE(published_at, created_at) DESC
+    `);
+
+    return posts.map(post => ({
+      loc: `${this.siteUrl}/blog/${encodeURIComponent(post.slug)}`,
+      lastmod: post.updated_at || post.published_at || post.created_at,
+      images: this.imagesOf(post)
+    }));
+  }
+
+  // Category and tag pages that list at least one published post
+  async getArchiveEntries() {
+    const archive = (type, table, joinTable, column) => this.db.query(`
+      SELECT x.slug, MAX(COALESCE(b.updated_at, b.published_at, b.created_at)) as lastmod
+      FROM ${table} x
+      JOIN ${joinTable} j ON j.${column} = x.id
+      JOIN blogs b ON b.id = j.blog_id AND b.status = "published"
+      GROUP BY x.id, x.slug
+      ORDER BY x.slug
+    `).then(rows => rows.map(row => ({
+      loc: `${this.siteUrl}/blog?${type}=${encodeURIComponent(row.slug)}`,
+      lastmod: row.lastmod
+    })));
+
+    const [categories, tags] = await Promise.all([
+      archive('category', 'categories', 'blog_categories', 'category_id'),
+      archive('tag', 'tags', 'blog_tags', 'tag_id')
+    ]);
+    return [...categories, ...tags];
+  }
+
+  async build() {
+    const [posts, archives] = await Promise.all([this.getPostEntries(), this.getArchiveEntries()]);
+    const render = (entries) => {
+      const body = SitemapBuilder.urlset(entries);
+      return {
+        body,
+        etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+        lastModified: SitemapBuilder.latest(entries) || new Date(0)
+      };
+    };
+
+    return {
+      builtAt: Date.now(),
+      blog: render(posts),
+      archives: render(archives)
+    };
+  }
+
+  // Start a rebuild unless one is already running; a build that a refresh overtook isn't cached
+  rebuild() {
+    if (!this.building) {
+      const generation = this.generation;
+      const building = this.build()
+        .then(cache => {
+          if (generation === this.generation) this.cache = cache;
+          return cache;
+        })
+        .finally(() => {
+          if (this.building === building) this.building = null;
+        });
+      this.building = building;
+    }
+    return this.building;
+  }
+
+  // Cached sitemap by name; concurrent requests after expiry share one rebuild
+  async getSitemap(name) {
+    if (!SITEMAPS.includes(name)) {
+      throw new Error(`Unknown sitemap: ${name}`);
+    }
+
+    if (this.cache && Date.now() - this.cache.builtAt <= this.ttl) {
+      return this.cache[name];
+    }
+    const cache = await this.rebuild();
+    return cache[name];
+  }
+
+  // Rebuild now, e.g. after a post is published, so crawlers don't wait for the TTL
+  refresh() {
+    this.generation += 1;
+    this.cache = null;
+    this.building = null;
+    this.rebuild().catch(error => console.error('Error rebuilding sitemaps:', error));
+  }
+}
+
+SitemapHandler.SITEMAPS = SITEMAPS;
+
+module.exports = SitemapHandler;
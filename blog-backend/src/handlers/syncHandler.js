@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const BlogHandler = require('./blogHandler');
+const seoAnalyzer = require('../utils/seoAnalyzer');
+
+const SYNC_STATUSES = ['draft', 'published', 'archived'];
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+/**
+ * Keeps the blogs table in step with the admin dashboard (admin-backend), which owns the posts.
+ * Rows written by the sync carry the MongoDB id of their post in blogs.source_id; the column is
+ * added the first time the sync writes.
+ */
+class SyncHandler {
+  constructor(dbConnection) {
+    this.db = dbConnection;
+    this.blogs = new BlogHandler(dbConnection);
+    this.hasSourceColumn = false;
+    this.migrating = null;
+  }
+
+  async sourceColumnExists() {
+    if (!this.hasSourceColumn) {
+      const [row] = await this.db.query(`
+        SELECT COUNT(*) AS count FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'blogs' AND COLUMN_NAME = 'source_id'
+      `);
+      this.hasSourceColumn = row.count > 0;
+    }
+    return this.hasSourceColumn;
+  }
+
+  // Add blogs.source_id unless it's there; concurrent callers share one ALTER
+  ensureSchema() {
+    if (!this.migrating) {
+      this.migrating = (async () => {
+        if (!await this.sourceColumnExists()) {
+          await this.db.query('ALTER TABLE blogs ADD COLUMN source_id VARCHAR(24) NULL, ADD UNIQUE KEY blogs_source_id (source_id)');
+          this.hasSourceColumn = true;
+        }
+      })().catch(error => {
+        this.migrating = null;
+        throw error;
+      });
+    }
+    return this.migrating;
+  }
+
+  // Whether a post is managed from the admin dashboard, so local edits would be overwritten
+  async isSynced(id) {
+    if (!await this.sourceColumnExists()) return false;
+    const [row] = await this.db.query('SELECT source_id FROM blogs WHERE id = ?', [id]);
+    return Boolean(row && row.source_id);
+  }
+
+  // Every post with its author, categories and tags, for reconciling with the admin dashboard
+  async listPosts() {
+    await this.ensureSchema();
+    const posts = await this.db.query(`
+      SELECT b.*, u.name as author_name, u.email as author_email,
+             GROUP_CONCAT(DISTINCT c.name) as categories,
+             GROUP_CONCAT(DISTINCT t.name) as tags
+      FROM blogs b
+      LEFT JOIN users u ON b.author_id = u.id
+      LEFT JOIN blog_categories bc ON b.id = bc.blog_id
+      LEFT JOIN categories c ON bc.category_id = c.id
+      LEFT JOIN blog_tags bt ON b.id = bt.blog_id
+      LEFT JOIN tags t ON bt.tag_id = t.id
+      GROUP BY b.id
+      ORDER BY b.id ASC
+    `);
+
+    return posts.map(post => ({
+      ...post,
+      categories: post.categories ? post.categories.split(',').map(cat => cat.trim()).filter(cat => cat.length > 0) : [],
+      tags: post.tags ? post.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0) : [],
+      keywords: this.blogs.safeJsonParse(post.keywords, []),
+      images: this.blogs.safeJsonParse(post.images, []),
+      internal_links: this.blogs.safeJsonParse(post.internal_links, []),
+      external_links: this.blogs.safeJsonParse(post.external_links, []),
+      schema_markup: this.blogs.safeJsonParse(post.schema_markup, {})
+    }));
+  }
+
+  // Author by email; authors new to this site get an account they can't sign in to until it is reset
+  async getAuthorId(connection, author = {}) {
+    if (!author.email) return null;
+
+    const [rows] = await connection.execute('SELECT id FROM users WHERE email = ?', [author.email]);
+    if (rows[0]) return rows[0].id;
+
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+    const [result] = await connection.execute(
+      'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)',
+      [author.name || author.email, author.email, password, 'user']
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Create or update the row for an admin dashboard post. An unlinked row with the
+   * same slug is taken over; a slug that belongs to another synced post is a conflict.
+   * data: blogs columns plus { categories, tags, author: { name, email } }
+   */
+  async upsertPost(sourceId, data) {
+    const {
+      title,
+      slug,
+      content,
+      meta_description,
+      keywords = [],
+      excerpt,
+      featured_image,
+      images = [],
+      internal_links = [],
+      external_links = [],
+      schema_markup = {},
+      status = 'draft',
+      published_at,
+      updated_at,
+      categories = [],
+      tags = [],
+      author
+    } = data;
+
+    if (!title || !slug || !content) {
+      throw new Error('title, slug and content are required');
+    }
+    if (!SYNC_STATUSES.includes(status)) {
+      throw new Error(`status must be one of ${SYNC_STATUSES.join(', ')}`);
+    }
+
+    await this.ensureSchema();
+
+    const seoAnalysis = await seoAnalyzer.analyzeContent({
+      title,
+      content,
+      meta_description: meta_description || '',
+      keywords: Array.isArray(keywords) ? keywords : []
+    });
+    const textContent = content.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    const wordCount = textContent ? textContent.split(/\s+/).length : 0;
+    const readingTime = Math.ceil(wordCount / 200);
+
+    return await this.db.transaction(async (connection) => {
+      const [linked] = await connection.execute('SELECT id FROM blogs WHERE source_id = ?', [sourceId]);
+      const [sameSlug] = await connection.execute('SELECT id, source_id FROM blogs WHERE slug = ?', [slug]);
+
+      let id = linked[0] ? linked[0].id : null;
+      const holder = sameSlug[0];
+      if (holder && holder.id !== id) {
+        if (id || holder.source_id) {
+          throw conflict(`The slug "${slug}" is used by another post`);
+        }
+        id = holder.id;
+      }
+
+      const authorId = await this.getAuthorId(connection, author);
+      const publishedAt = published_at ? new Date(published_at) : (status === 'published' ? new Date() : null);
+      const updatedAt = updated_at ? new Date(updated_at) : new Date();
+      const params = [
+        title, slug, content, meta_description || '', JSON.stringify(keywords),
+        excerpt ?? null, featured_image ?? null, JSON.stringify(images), JSON.stringify(internal_links),
+        JSON.stringify(external_links), JSON.stringify(schema_markup), authorId, status,
+        seoAnalysis.score ?? 0, wordCount, readingTime, publishedAt, updatedAt, sourceId
+      ];
+
+      const created = !id;
+      if (created) {
+        const [result] = await connection.execute(`
+          INSERT INTO blogs (
+            title, slug, content, meta_description, keywords,
+            excerpt, featured_image, images, internal_links,
+            external_links, schema_markup, author_id, status,
+            seo_score, word_count, reading_time, published_at, updated_at, source_id
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, params);
+        id = result.insertId;
+      } else {
+        await connection.execute(`
+          UPDATE blogs SET
+            title = ?, slug = ?, content = ?, meta_description = ?, keywords = ?,
+            excerpt = ?, featured_image = ?, images = ?, internal_links = ?,
+            external_links = ?, schema_markup = ?, author_id = ?, status = ?,
+            seo_score = ?, word_count = ?, reading_time = ?, published_at = ?, updated_at = ?, source_id = ?
+          WHERE id = ?
+        `, [...params, id]);
+      }
+
+      await connection.execute('DELETE FROM blog_categories WHERE blog_id = ?', [id]);
+      if (categories.length > 0) {
+        await this.blogs.addCategories(connection, id, categories);
+      }
+
+      await connection.execute('DELETE FROM blog_tags WHERE blog_id = ?', [id]);
+      if (tags.length > 0) {
+        await this.blogs.addTags(connection, id, tags);
+      }
+
+      await connection.execute(`
+        INSERT INTO seo_analysis (blog_id, analysis_type, score, issues, suggestions)
+        VALUES (?, 'content', ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+        score = VALUES(score), issues = VALUES(issues),
+        suggestions = VALUES(suggestions), analyzed_at = CURRENT_TIMESTAMP
+      `, [
+        id, seoAnalysis.score,
+        JSON.stringify(seoAnalysis.issues),
+        JSON.stringify(seoAnalysis.suggestions)
+      ]);
+
+      return { id, slug, created };
+    });
+  }
+
+  // Remove the row of a post deleted in the admin dashboard
+  async deletePost(sourceId) {
+    await this.ensureSchema();
+    const result = await this.db.query('DELETE FROM blogs WHERE source_id = ?', [sourceId]);
+    return { deleted: result.affectedRows > 0 };
+  }
+}
+
+SyncHandler.STATUSES = SYNC_STATUSES;
+
+module.exports = SyncHandler;
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Service-to-service routes: the caller sends the shared INTERNAL_API_KEY in X-Internal-Key
+const internalKeyMiddleware = (req, res, next) => {
+  const key = process.env.INTERNAL_API_KEY;
+  const given = req.get('X-Internal-Key') || '';
+
+  if (!key) {
+    return res.status(404).json({ success: false, message: 'Not found' });
+  }
+
+  const expected = Buffer.from(key);
+  const received = Buffer.from(given);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({ success: false, message: 'Invalid internal key.' });
+  }
+
+  next();
+};
+
+module.exports = internalKeyMiddleware;
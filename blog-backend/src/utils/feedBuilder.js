@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+const escapeXml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA can't contain its own terminator, so split it across two sections
+const cdata = (value = '') => `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const stripHtml = (html = '') => String(html)
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+class FeedBuilder {
+  static contentTypes = {
+    rss: 'application/rss+xml; charset=utf-8',
+    atom: 'application/atom+xml; charset=utf-8',
+    json: 'application/feed+json; charset=utf-8'
+  };
+
+  // Site relative links in post HTML would resolve against the feed reader
+  static absolutizeUrls(html, siteUrl) {
+    return String(html || '').replace(/(\s(?:src|href)=["'])\/(?!\/)/g, `$1${siteUrl}/`);
+  }
+
+  static absoluteUrl(url, siteUrl) {
+    if (!url) return null;
+    return /^https?:\/\//.test(url) ? url : `${siteUrl}/${url.replace(/^\//, '')}`;
+  }
+
+  // Short plain text for excerpt mode and summaries
+  static summaryOf(post) {
+    if (post.excerpt) return stripHtml(post.excerpt);
+    if (post.meta_description) return stripHtml(post.meta_description);
+    const text = stripHtml(post.content);
+    return text.length > 300 ? `${text.slice(0, 297).replace(/\s+\S*$/, '')}...` : text;
+  }
+
+  /**
+   * Normalise feed metadata and posts for the renderers.
+   * feed: { title, description, siteUrl, homeUrl, feedUrls: { rss, atom, json }, full }
+   */
+  static prepare(feed, posts) {
+    const items = posts.map(post => {
+      const published = new Date(post.published_at || post.created_at);
+      const updated = new Date(post.updated_at || published);
+      return {
+        id: `${feed.siteUrl}/blog/${encodeURIComponent(post.slug)}`,
+        url: `${feed.siteUrl}/blog/${encodeURIComponent(post.slug)}`,
+        title: post.title,
+        summary: this.summaryOf(post),
+        contentHtml: feed.full ? this.absolutizeUrls(post.content, feed.siteUrl) : null,
+        image: this.absoluteUrl(post.featured_image, feed.siteUrl),
+        author: post.author_name || null,
+        categories: [...(post.categories || []), ...(post.tags || [])],
+        published,
+        updated: updated > published ? updated : published
+      };
+    });
+
+    const updated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+    return { ...feed, items, updated: items.length ? updated : new Date(0) };
+  }
+
+  static rss(feed) {
+    const items = feed.items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>${item.author ? `
+      <dc:creator>${escapeXml(item.author)}</dc:creator>` : ''}${item.categories.map(category => `
+      <category>${escapeXml(category)}</category>`).join('')}
+      <description>${escapeXml(item.summary)}</description>${item.contentHtml ? `
+      <content:encoded>${cdata(item.contentHtml)}</content:encoded>` : ''}
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <atom:link href="${escapeXml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+  }
+
+  static atom(feed) {
+    const entries = feed.items.map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>${item.author ? `
+    <author><name>${escapeXml(item.author)}</name></author>` : ''}${item.categories.map(category => `
+    <category term="${escapeXml(category)}"/>`).join('')}
+    <summary>${escapeXml(item.summary)}</summary>${item.contentHtml ? `
+    <content type="html">${escapeXml(item.contentHtml)}</content>` : ''}
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrls.atom)}"/>
+  <id>${escapeXml(feed.feedUrls.atom)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>Lexocrates</name></author>${entries}
+</feed>
+`;
+  }
+
+  // JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+  static json(feed) {
+    return `${JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      description: feed.description,
+      home_page_url: feed.homeUrl,
+      feed_url: feed.feedUrls.json,
+      language: 'en',
+      items: feed.items.map(item => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        ...(item.contentHtml ? { content_html: item.contentHtml } : { content_text: item.summary }),
+        ...(item.image ? { image: item.image } : {}),
+        ...(item.author ? { authors: [{ name: item.author }] } : {}),
+        tags: item.categories,
+        date_published: item.published.toISOString(),
+        date_modified: item.updated.toISOString()
+      }))
+    }, null, 2)}\n`;
+  }
+
+  static render(format, feed) {
+    return this[format](feed);
+  }
+
+  static etag(body) {
+    return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+  }
+}
+
+module.exports = FeedBuilder;
@@ -0,0 +1,215 @@
+const natural = require('natural');
+
+const STOPWORDS = new Set(natural.stopwords);
+
+// Field weights for BM25F; a hit in the title counts three times one in the body
+const FIELD_WEIGHTS = { title: 3, tags: 2, excerpt: 1.5, content: 1 };
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPET_WORDS = 30;
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const stripHtml = (html = '') => String(html || '')
+  .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<\/?(?:a|abbr|b|code|em|i|mark|small|span|strong|sub|sup|u)\b[^>]*>/gi, '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const words = (text) => String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+const stem = (word) => natural.PorterStemmer.stem(word);
+
+/**
+ * In-memory inverted index over blog posts with BM25F ranking, Porter stemming,
+ * highlighted snippets, facet counts and spelling suggestions.
+ * Documents: { id, title, excerpt, content, categories: [{ slug, name }], tags: [{ slug, name }], post }
+ */
+class SearchIndex {
+  constructor(documents = []) {
+    this.docs = [];
+    this.postings = new Map(); // stem -> Map(docIndex -> { field: termFrequency })
+    this.vocabulary = new Map(); // surface word -> number of documents containing it
+    this.totalLength = Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, 0]));
+    documents.forEach(document => this.add(document));
+  }
+
+  add(document) {
+    const index = this.docs.length;
+    const text = {
+      title: document.title || '',
+      excerpt: stripHtml(document.excerpt),
+      content: stripHtml(document.content),
+      tags: [...(document.categories || []), ...(document.tags || [])].map(item => item.name).join(' ')
+    };
+
+    const lengths = {};
+    const seen = new Set();
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      const fieldWords = words(text[field]);
+      lengths[field] = fieldWords.length;
+      this.totalLength[field] += fieldWords.length;
+
+      fieldWords.forEach(word => {
+        if (!seen.has(word)) {
+          seen.add(word);
+          this.vocabulary.set(word, (this.vocabulary.get(word) || 0) + 1);
+        }
+        if (STOPWORDS.has(word)) return;
+
+        const term = stem(word);
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const docs = this.postings.get(term);
+        if (!docs.has(index)) docs.set(index, {});
+        const frequencies = docs.get(index);
+        frequencies[field] = (frequencies[field] || 0) + 1;
+      });
+    });
+
+    this.docs.push({ ...document, text, lengths });
+  }
+
+  // Stemmed query terms; stopwords aren't indexed, so they're dropped
+  parseQuery(query) {
+    const queryWords = words(query);
+    const terms = queryWords.filter(word => !STOPWORDS.has(word)).map(stem);
+    return { words: queryWords, terms: [...new Set(terms)] };
+  }
+
+  // BM25F: weight each field's length-normalised frequency, then saturate once per term
+  score(term, index) {
+    const docs = this.postings.get(term);
+    const frequencies = docs && docs.get(index);
+    if (!frequencies) return 0;
+
+    const doc = this.docs[index];
+    let weighted = 0;
+    Object.entries(frequencies).forEach(([field, frequency]) => {
+      const average = this.totalLength[field] / this.docs.length || 1;
+      weighted += FIELD_WEIGHTS[field] * frequency / (1 - B + B * doc.lengths[field] / average);
+    });
+
+    const idf = Math.log(1 + (this.docs.length - docs.size + 0.5) / (docs.size + 0.5));
+    return idf * (weighted * (K1 + 1)) / (weighted + K1);
+  }
+
+  // Wrap words whose stem is a query term in <mark>; everything else is escaped
+  highlight(text, terms) {
+    return String(text).split(/([a-z0-9]+)/i).map(part => {
+      if (/^[a-z0-9]+$/i.test(part) && terms.has(stem(part.toLowerCase()))) {
+        return `<mark>${escapeHtml(part)}</mark>`;
+      }
+      return escapeHtml(part);
+    }).join('');
+  }
+
+  // SNIPPET_WORDS words around the densest run of query terms, starting a little before the first hit
+  snippet(doc, terms) {
+    const source = doc.text.content || doc.text.excerpt;
+    const tokens = source.split(/\s+/).filter(Boolean);
+    const termsOf = tokens.map(token => words(token).map(stem).filter(term => terms.has(term)));
+
+    let best = { start: 0, distinct: 0, hits: 0 };
+    termsOf.forEach((found, start) => {
+      if (!found.length) return;
+      const window = termsOf.slice(start, start + SNIPPET_WORDS).flat();
+      const distinct = new Set(window).size;
+      if (distinct > best.distinct || (distinct === best.distinct && window.length > best.hits)) {
+        best = { start, distinct, hits: window.length };
+      }
+    });
+
+    const start = Math.max(Math.min(best.start - 5, tokens.length - SNIPPET_WORDS), 0);
+    const text = tokens.slice(start, start + SNIPPET_WORDS).join(' ');
+    return `${start > 0 ? '... ' : ''}${this.highlight(text, terms)}${start + SNIPPET_WORDS < tokens.length ? ' ...' : ''}`;
+  }
+
+  // Closest known word for each query word the index has never seen, or null when every word is known
+  suggest(queryWords) {
+    let changed = false;
+    const suggested = queryWords.map(word => {
+      if (this.vocabulary.has(word) || STOPWORDS.has(word) || /^\d+$/.test(word)) return word;
+
+      const maxDistance = word.length <= 4 ? 1 : 2;
+      let best = null;
+      this.vocabulary.forEach((frequency, candidate) => {
+        if (Math.abs(candidate.length - word.length) > maxDistance) return;
+        const distance = natural.LevenshteinDistance(word, candidate);
+        if (distance <= maxDistance && (!best || distance < best.distance ||
+          (distance === best.distance && frequency > best.frequency))) {
+          best = { candidate, distance, frequency };
+        }
+      });
+
+      if (!best) return word;
+      changed = true;
+      return best.candidate;
+    });
+    return changed ? suggested.join(' ') : null;
+  }
+
+  facetCounts(matches, key) {
+    const counts = new Map();
+    matches.forEach(({ doc }) => {
+      (doc[key] || []).forEach(({ slug, name }) => {
+        const entry = counts.get(slug) || { slug, name, count: 0 };
+        entry.count += 1;
+        counts.set(slug, entry);
+      });
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Ranked search. Facets ignore their own filter (so other categories stay
+   * selectable) but apply the other one.
+   * options: { category, tag, page, limit }
+   */
+  search(query, { category, tag, page = 1, limit = 10 } = {}) {
+    const { words: queryWords, terms } = this.parseQuery(query);
+    const termSet = new Set(terms);
+
+    const matches = [];
+    const candidates = new Set();
+    terms.forEach(term => (this.postings.get(term) || new Map()).forEach((frequencies, index) => candidates.add(index)));
+    candidates.forEach(index => {
+      const score = terms.reduce((total, term) => total + this.score(term, index), 0);
+      if (score > 0) matches.push({ doc: this.docs[index], score });
+    });
+    matches.sort((a, b) => b.score - a.score);
+
+    const inCategory = ({ doc }) => !category || doc.categories.some(item => item.slug === category);
+    const inTag = ({ doc }) => !tag || doc.tags.some(item => item.slug === tag);
+    const filtered = matches.filter(match => inCategory(match) && inTag(match));
+
+    const offset = (page - 1) * limit;
+    const results = filtered.slice(offset, offset + limit).map(({ doc, score }) => ({
+      ...doc.post,
+      score: Math.round(score * 1000) / 1000,
+      highlighted_title: this.highlight(doc.text.title, termSet),
+      snippet: this.snippet(doc, termSet)
+    }));
+
+    return {
+      results,
+      total: filtered.length,
+      facets: {
+        categories: this.facetCounts(matches.filter(inTag), 'categories'),
+        tags: this.facetCounts(matches.filter(inCategory), 'tags')
+      },
+      suggestion: this.suggest(queryWords)
+    };
+  }
+}
+
+module.exports = SearchIndex;
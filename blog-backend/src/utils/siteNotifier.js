@@ -0,0 +1,26 @@
+// Tells the main website (main-website-server.js) that public blog content changed
+class SiteNotifier {
+  // Drop the main site's server-rendered blog pages; a no-op unless MAIN_SITE_URL and INTERNAL_API_KEY are set
+  static async purgeBlogCache() {
+    const siteUrl = process.env.MAIN_SITE_URL;
+    const key = process.env.INTERNAL_API_KEY;
+    if (!siteUrl || !key) return false;
+
+    try {
+      const response = await fetch(`${siteUrl.replace(/\/+$/, '')}/internal/blog-cache/purge`, {
+        method: 'POST',
+        headers: { 'X-Internal-Key': key },
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) {
+        console.error(`Blog cache purge failed: ${response.status}`);
+      }
+      return response.ok;
+    } catch (error) {
+      console.error('Blog cache purge failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = SiteNotifier;
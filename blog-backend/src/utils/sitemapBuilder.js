@@ -0,0 +1,42 @@
+const escapeXml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const lastmodOf = (date) => (date ? `
+    <lastmod>${new Date(date).toISOString()}</lastmod>` : '');
+
+class SitemapBuilder {
+  /**
+   * Render a <urlset> (https://www.sitemaps.org/protocol.html) with optional
+   * image entries (https://developers.google.com/search/docs/crawling-indexing/sitemaps/image-sitemaps).
+   * entries: [{ loc, lastmod, images: [{ loc, title }] }]
+   */
+  static urlset(entries) {
+    const urls = entries.map(entry => `
+  <url>
+    <loc>${escapeXml(entry.loc)}</loc>${lastmodOf(entry.lastmod)}${(entry.images || []).map(image => `
+    <image:image>
+      <image:loc>${escapeXml(image.loc)}</image:loc>${image.title ? `
+      <image:title>${escapeXml(image.title)}</image:title>` : ''}
+    </image:image>`).join('')}
+  </url>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">${urls}
+</urlset>
+`;
+  }
+
+  // Newest lastmod of a set of entries, for the sitemap index and Last-Modified
+  static latest(entries) {
+    return entries.reduce((latest, entry) => {
+      const date = entry.lastmod ? new Date(entry.lastmod) : null;
+      return date && (!latest || date > latest) ? date : latest;
+    }, null);
+  }
+}
+
+module.exports = SitemapBuilder;
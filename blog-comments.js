@@ -0,0 +1,215 @@
+// Reader comments on blog posts
+class BlogComments {
+    constructor(container) {
+        this.container = container;
+        this.slug = this.getSlug();
+        this.replyTo = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.slug) return;
+
+        this.bindEvents();
+        this.loadComments();
+
+        // The confirmation email links back to the post with ?verify_comment=
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('verify_comment');
+        if (token) {
+            params.delete('verify_comment');
+            const query = params.toString();
+            history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+            this.verify(token);
+        }
+    }
+
+    // Posts live at /blog/:slug; older links pass ?slug=
+    getSlug() {
+        const pathSlug = window.location.pathname.match(/^\/blog\/([^/]+)/);
+        return new URLSearchParams(window.location.search).get('slug') || (pathSlug && decodeURIComponent(pathSlug[1]));
+    }
+
+    bindEvents() {
+        this.container.querySelector('.comment-form').addEventListener('submit', (e) => {
+            this.submit(e);
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const reply = e.target.closest('[data-reply-to]');
+            if (reply) {
+                this.startReply(reply.getAttribute('data-reply-to'), reply.getAttribute('data-reply-name'));
+            } else if (e.target.closest('[data-cancel-reply]')) {
+                this.cancelReply();
+            }
+        });
+    }
+
+    async loadComments() {
+        const list = this.container.querySelector('.comment-list');
+        try {
+            const response = await fetch(`/api/comments/posts/${encodeURIComponent(this.slug)}`);
+            // No published post, nothing to comment on
+            if (response.status === 404) {
+                this.container.hidden = true;
+                return;
+            }
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(this.getErrorMessage(result));
+            }
+
+            const { allowComments, count, comments } = result.data;
+            this.allowComments = allowComments;
+            this.container.querySelector('.comment-count').textContent = count;
+            this.container.querySelector('.comment-form-wrapper').hidden = !allowComments;
+            this.container.querySelector('.comments-closed').hidden = allowComments;
+
+            list.innerHTML = comments.length > 0
+                ? comments.map(comment => this.renderComment(comment)).join('')
+                : '<p class="comments-empty">No comments yet. Start the conversation.</p>';
+        } catch (error) {
+            console.error('Error loading comments:', error);
+            list.innerHTML = '<p class="comments-empty">Comments could not be loaded.</p>';
+        }
+    }
+
+    renderComment(comment) {
+        return `
+            <article class="comment" id="comment-${this.escapeHtml(comment._id)}">
+                <div class="comment-meta">
+                    <strong>${this.escapeHtml(comment.name)}</strong>
+                    <time datetime="${this.escapeHtml(comment.createdAt)}">${this.formatDate(comment.createdAt)}</time>
+                </div>
+                <p class="comment-body">${this.escapeHtml(comment.body)}</p>
+                ${this.allowComments ? `
+                    <button type="button" class="comment-reply" data-reply-to="${this.escapeHtml(comment._id)}"
+                        data-reply-name="${this.escapeHtml(comment.name)}">
+                        <i class="fas fa-reply"></i> Reply
+                    </button>
+                ` : ''}
+                ${comment.replies.length > 0 ? `
+                    <div class="comment-replies">
+                        ${comment.replies.map(reply => this.renderComment(reply)).join('')}
+                    </div>
+                ` : ''}
+            </article>
+        `;
+    }
+
+    // The form stays where it is (moving it would reload the CAPTCHA); it just says who is being answered
+    startReply(id, name) {
+        this.replyTo = id;
+        const banner = this.container.querySelector('.comment-replying');
+        banner.innerHTML = `
+            Replying to <strong>${this.escapeHtml(name)}</strong>
+            <button type="button" class="comment-cancel-reply" data-cancel-reply>Cancel</button>
+        `;
+        banner.hidden = false;
+        this.container.querySelector('.comment-form').scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.container.querySelector('#commentBody').focus();
+    }
+
+    cancelReply() {
+        this.replyTo = null;
+        const banner = this.container.querySelector('.comment-replying');
+        banner.innerHTML = '';
+        banner.hidden = true;
+    }
+
+    async submit(e) {
+        e.preventDefault();
+        const form = e.target;
+        const button = form.querySelector('button[type="submit"]');
+
+        const captchaToken = window.captchaConfig ? window.captchaConfig.getToken() : null;
+        if (!captchaToken) {
+            this.showStatus('Please complete the CAPTCHA.', 'error');
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            const result = await this.postJSON(`/api/comments/posts/${encodeURIComponent(this.slug)}`, {
+                name: form.querySelector('#commentName').value.trim(),
+                email: form.querySelector('#commentEmail').value.trim(),
+                body: form.querySelector('#commentBody').value.trim(),
+                parentId: this.replyTo || undefined,
+                captchaToken
+            });
+            if (!result.success) {
+                throw new Error(this.getErrorMessage(result));
+            }
+
+            form.reset();
+            this.cancelReply();
+            this.showStatus(result.message, 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        } finally {
+            button.disabled = false;
+            if (window.captchaConfig) {
+                window.captchaConfig.reset();
+            }
+        }
+    }
+
+    async verify(token) {
+        try {
+            const result = await this.postJSON('/api/comments/verify', { token });
+            if (!result.success) {
+                throw new Error(this.getErrorMessage(result));
+            }
+            this.showStatus(result.message, 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+        this.container.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async postJSON(endpoint, data) {
+        // The API requires a CSRF token, which csrf-utils.js manages for the site
+        if (!window.csrfUtils) {
+            throw new Error('Comments are unavailable on this page.');
+        }
+        if (!window.csrfUtils.token) {
+            await window.csrfUtils.initialize();
+        }
+        return window.csrfUtils.submitJSON(data, endpoint);
+    }
+
+    showStatus(message, type) {
+        const status = this.container.querySelector('.comment-status');
+        status.textContent = message;
+        status.className = `comment-status ${type}`;
+        status.hidden = false;
+    }
+
+    getErrorMessage(result) {
+        if (result.errors && result.errors.length) {
+            return result.errors[0].message;
+        }
+        return result.message || result.error || 'Something went wrong. Please try again.';
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    formatDate(dateString) {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const container = document.getElementById('comments');
+    if (container) {
+        window.blogComments = new BlogComments(container);
+    }
+});
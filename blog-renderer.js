@@ -0,0 +1,308 @@
+// Server-side rendering of the public blog pages for main-website-server.js.
+// Posts come from the blog backend; the markup comes from BlogDisplay in blog-api.js,
+// so server-rendered and browser-rendered pages look the same.
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { BlogDisplay } = require('./blog-api');
+
+const LIST_TITLE = 'Blog & Resources - Lexocrates | Legal Process Outsourcing Insights';
+const LIST_DESCRIPTION = 'Stay updated with the latest insights and trends in legal process outsourcing. Read expert analysis on LPO partnerships, AI integration, and legal technology.';
+const DEFAULT_IMAGE = '/images/lexocrates-blog.jpg';
+const MAX_CACHED_PAGES = 200;
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const stripHtml = (html = '') => String(html || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// JSON inside <script> must not be able to close the tag
+const jsonLd = (data) => `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+
+// Drop the template's own title, description, Open Graph and Twitter tags before adding the page's
+const stripHeadMeta = (html) => html
+  .replace(/\s*<title>[\s\S]*?<\/title>/, '')
+  .replace(/\s*<meta\s+(?:name|property)="(?:description|og:[^"]*|twitter:[^"]*)"[^>]*>/g, '')
+  .replace(/\s*<!-- (?:Open Graph \/ Facebook|Twitter) -->/g, '');
+
+// Fill an element whose body is only a placeholder comment, and mark it so the page script leaves it alone
+const fillContainer = (html, className, content, after = '') => html.replace(
+  new RegExp(`<div class="${className}">\\s*<!--[^>]*-->\\s*</div>`),
+  () => `<div class="${className}" data-rendered="true">${content}</div>${after}`
+);
+
+class BlogRenderer {
+  constructor({ siteUrl, backendUrl, internalKey, ttl }) {
+    this.siteUrl = siteUrl;
+    this.backendUrl = backendUrl;
+    this.internalKey = internalKey;
+    this.ttl = ttl;
+    this.cache = new Map();
+    this.generation = 0;
+    this.display = new BlogDisplay(null);
+  }
+
+  // GET JSON from the blog backend; resolves { status, data }
+  fetchJson(pathname) {
+    return new Promise((resolve, reject) => {
+      const headers = { accept: 'application/json' };
+      if (this.internalKey) headers['x-internal-key'] = this.internalKey;
+
+      const url = new URL(pathname, this.backendUrl);
+      const client = url.protocol === 'https:' ? https : http;
+      const upstream = client.get(url, { headers }, (response) => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { body += chunk; });
+        response.on('end', () => {
+          try {
+            resolve({ status: response.statusCode, data: JSON.parse(body) });
+          } catch (error) {
+            reject(new Error(`Invalid JSON from blog backend (${response.statusCode})`));
+          }
+        });
+      });
+      upstream.setTimeout(10000, () => upstream.destroy(new Error('Blog backend timed out')));
+      upstream.on('error', reject);
+    });
+  }
+
+  absoluteUrl(url) {
+    if (!url) return `${this.siteUrl}${DEFAULT_IMAGE}`;
+    return /^https?:\/\//.test(url) ? url : `${this.siteUrl}/${url.replace(/^\//, '')}`;
+  }
+
+  headTags({ title, description, canonical, image, type, jsonLdData, noindex, extra = [] }) {
+    return [
+      `<title>${escapeHtml(title)}</title>`,
+      `<meta name="description" content="${escapeHtml(description)}">`,
+      noindex ? '<meta name="robots" content="noindex, follow">' : null,
+      `<link rel="canonical" href="${escapeHtml(canonical)}">`,
+      `<meta property="og:type" content="${type}">`,
+      '<meta property="og:site_name" content="Lexocrates">',
+      `<meta property="og:url" content="${escapeHtml(canonical)}">`,
+      `<meta property="og:title" content="${escapeHtml(title)}">`,
+      `<meta property="og:description" content="${escapeHtml(description)}">`,
+      `<meta property="og:image" content="${escapeHtml(image)}">`,
+      ...extra,
+      '<meta name="twitter:card" content="summary_large_image">',
+      `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+      `<meta name="twitter:description" content="${escapeHtml(description)}">`,
+      `<meta name="twitter:image" content="${escapeHtml(image)}">`,
+      jsonLd(jsonLdData)
+    ].filter(Boolean).map(tag => `    ${tag}`).join('\n');
+  }
+
+  // Load a page template with the page's own head tags; `base` sets the URL relative links resolve against
+  async readTemplate(file, head, base = null) {
+    let html = stripHeadMeta(await fs.promises.readFile(path.join(__dirname, file), 'utf8'));
+    if (base) {
+      html = html.replace('<head>', `<head>\n    <base href="${base}">`);
+    }
+    return html.replace('</head>', `${head}\n</head>`);
+  }
+
+  // Cached render; pages that aren't cacheable (e.g. searches) pass no key.
+  // Only 200s are kept, so requests for made-up slugs can't push real pages out.
+  async cached(key, render) {
+    const hit = key && this.cache.get(key);
+    if (hit && hit.expires > Date.now()) {
+      return hit.page;
+    }
+
+    const generation = this.generation;
+    const page = await render();
+    // A purge during the render means the page may already be stale
+    if (key && page.status === 200 && generation === this.generation) {
+      this.cache.delete(key);
+      this.cache.set(key, { page, expires: Date.now() + this.ttl });
+      if (this.cache.size > MAX_CACHED_PAGES) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+    return page;
+  }
+
+  // Forget every rendered page, e.g. when the blog backend reports a published change
+  purge() {
+    this.generation += 1;
+    this.cache.clear();
+  }
+
+  /**
+   * Render /blog. Resolves { status, html }; rejects when the blog backend is unavailable.
+   * query: { page, category, tag, search }; feedLinks: extra <head> markup
+   */
+  renderList(query, feedLinks = '') {
+    const filters = {};
+    ['category', 'tag', 'search'].forEach(name => {
+      if (typeof query[name] === 'string' && query[name].trim()) filters[name] = query[name].trim();
+    });
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const key = filters.search ? null : `list:${filters.category || ''}:${filters.tag || ''}:${page}`;
+
+    return this.cached(key, async () => {
+      const params = new URLSearchParams({ ...filters, page: String(page), limit: '10' });
+      const [list, featured, scope] = await Promise.all([
+        this.fetchJson(`/api/blog?${params}`),
+        this.fetchJson('/api/blog?limit=3'),
+        filters.category || filters.tag
+          ? this.fetchJson(filters.category ? '/api/categories' : '/api/tags')
+          : Promise.resolve(null)
+      ]);
+      if (!list.data.success || !featured.data.success) {
+        throw new Error(list.data.message || featured.data.message || 'Failed to fetch blogs');
+      }
+
+      const scopeItems = scope ? scope.data.categories || scope.data.tags || [] : [];
+      const scopeItem = scopeItems.find(item => item.slug === (filters.category || filters.tag));
+      const scopeName = scopeItem ? scopeItem.name : filters.category || filters.tag;
+
+      let title = LIST_TITLE;
+      let description = LIST_DESCRIPTION;
+      if (filters.category) {
+        title = `${scopeName} Articles - Lexocrates Blog`;
+        description = `Articles about ${scopeName} from the Lexocrates legal process outsourcing blog.`;
+      } else if (filters.tag) {
+        title = `Posts tagged ${scopeName} - Lexocrates Blog`;
+        description = `Lexocrates articles tagged ${scopeName}.`;
+      }
+      if (page > 1) title += ` - Page ${page}`;
+
+      const canonicalParams = new URLSearchParams();
+      if (filters.category) canonicalParams.set('category', filters.category);
+      if (filters.tag) canonicalParams.set('tag', filters.tag);
+      if (page > 1) canonicalParams.set('page', String(page));
+      const canonical = `${this.siteUrl}/blog${canonicalParams.toString() ? `?${canonicalParams}` : ''}`;
+
+      const { blogs, pagination } = list.data;
+      const head = this.headTags({
+        title,
+        description,
+        canonical,
+        image: this.absoluteUrl(null),
+        type: 'website',
+        noindex: Boolean(filters.search),
+        jsonLdData: {
+          '@context': 'https://schema.org',
+          '@type': 'Blog',
+          name: 'Lexocrates Blog',
+          url: canonical,
+          description,
+          blogPost: blogs.map(blog => ({
+            '@type': 'BlogPosting',
+            headline: blog.title,
+            url: `${this.siteUrl}/blog/${encodeURIComponent(blog.slug)}`,
+            datePublished: new Date(blog.published_at || blog.created_at).toISOString()
+          }))
+        }
+      });
+
+      let html = await this.readTemplate('blog.html', feedLinks ? `${head}\n${feedLinks}` : head);
+      html = fillContainer(html, 'featured-grid', this.display.generateBlogList(featured.data.blogs));
+      html = fillContainer(
+        html,
+        'blog-list-container',
+        filters.search ? this.display.generateSearchResults(list.data, filters) : this.display.generateBlogList(blogs),
+        pagination && pagination.pages > 1
+          ? `\n            <div class="pagination-container">${this.display.generatePagination(pagination, filters)}</div>`
+          : ''
+      );
+
+      return { status: 200, html };
+    });
+  }
+
+  /**
+   * Render /blog/:slug. Resolves { status, html } (404 for unknown posts);
+   * rejects when the blog backend is unavailable.
+   */
+  renderPost(slug, feedLinks = '') {
+    return this.cached(`post:${slug}`, async () => {
+      const { status, data } = await this.fetchJson(`/api/blog/${encodeURIComponent(slug)}`);
+      const canonical = `${this.siteUrl}/blog/${encodeURIComponent(slug)}`;
+
+      if (status === 404) {
+        const head = this.headTags({
+          title: 'Article not found - Lexocrates Blog',
+          description: 'The requested article could not be found.',
+          canonical,
+          image: this.absoluteUrl(null),
+          type: 'website',
+          noindex: true,
+          jsonLdData: { '@context': 'https://schema.org', '@type': 'WebPage', name: 'Article not found' }
+        });
+        const html = await this.readTemplate('blog-post.html', head, '/');
+        return {
+          status: 404,
+          html: fillContainer(html, 'blog-post-container', `
+                        <div class="error-message">
+                            <i class="fas fa-exclamation-triangle"></i>
+                            <h3>Blog post not found</h3>
+                            <p>The requested article could not be found.</p>
+                            <a href="/blog" class="btn btn-primary">Back to Blog</a>
+                        </div>`)
+        };
+      }
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to fetch blog post');
+      }
+
+      const blog = data.blog;
+      const published = new Date(blog.published_at || blog.created_at).toISOString();
+      const modified = new Date(blog.updated_at || blog.published_at || blog.created_at).toISOString();
+      const description = blog.meta_description || stripHtml(blog.excerpt) || this.display.truncateText(stripHtml(blog.content), 160);
+      const image = this.absoluteUrl(blog.featured_image);
+      const authorName = blog.author_name || 'Lexocrates Team';
+
+      const article = {
+        '@context': 'https://schema.org',
+        '@type': 'Article',
+        headline: blog.title,
+        description,
+        image: [image],
+        datePublished: published,
+        dateModified: modified,
+        author: { '@type': blog.author_name ? 'Person' : 'Organization', name: authorName },
+        publisher: {
+          '@type': 'Organization',
+          name: 'Lexocrates',
+          logo: { '@type': 'ImageObject', url: `${this.siteUrl}/logo.svg` }
+        },
+        mainEntityOfPage: { '@type': 'WebPage', '@id': canonical },
+        keywords: (blog.tags || []).join(', ') || undefined,
+        // Markup entered in the editor refines the generated article
+        ...(blog.schema_markup && typeof blog.schema_markup === 'object' ? blog.schema_markup : {})
+      };
+
+      const head = this.headTags({
+        title: `${blog.title} - Lexocrates Blog`,
+        description,
+        canonical,
+        image,
+        type: 'article',
+        jsonLdData: article,
+        extra: [
+          `<meta property="article:published_time" content="${published}">`,
+          `<meta property="article:modified_time" content="${modified}">`,
+          `<meta property="article:author" content="${escapeHtml(authorName)}">`,
+          ...(blog.tags || []).map(tag => `<meta property="article:tag" content="${escapeHtml(tag)}">`)
+        ]
+      });
+
+      // Posts live under /blog/, so relative asset links in the template resolve against the site root
+      const html = await this.readTemplate('blog-post.html', feedLinks ? `${head}\n${feedLinks}` : head, '/');
+      return { status: 200, html: fillContainer(html, 'blog-post-container', this.display.generateBlogPostHTML(blog)) };
+    });
+  }
+}
+
+module.exports = BlogRenderer;
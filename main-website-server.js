@@ -1,138 +1,272 @@
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
 const cors = require('cors');
 const compression = require('compression');
+const BlogRenderer = require('./blog-renderer');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+const BLOG_BACKEND_URL = process.env.BLOG_BACKEND_URL || 'http://localhost:5002';
+const SITE_URL = (process.env.SITE_URL || 'https://lexocrates.com').replace(/\/+$/, '');
+const BLOG_SITEMAPS = ['sitemap-blog.xml', 'sitemap-archives.xml'];
+// Shared with the blog backend: it skips the backend's rate limit and authenticates cache purges
+const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY || '';
+
+const blogRenderer = new BlogRenderer({
+  siteUrl: SITE_URL,
+  backendUrl: BLOG_BACKEND_URL,
+  internalKey: INTERNAL_API_KEY,
+  ttl: (parseInt(process.env.BLOG_PAGE_TTL) || 300) * 1000
+});
+
+// Public pages; the routes and the pages sitemap are both built from this table
+const PAGES = [
+  // Main pages
+  { route: '/', file: 'index.html' },
+  { route: '/about', file: 'about.html' },
+  { route: '/blog', file: 'blog.html' },
+  { route: '/services', file: 'services.html' },
+  { route: '/contact', file: 'contact.html' },
+  { route: '/team', file: 'team.html' },
+  { route: '/careers', file: 'careers.html' },
+  { route: '/privacy-policy', file: 'privacy-policy.html' },
+  { route: '/cookie-policy', file: 'cookie-policy.html' },
+  { route: '/security-statement', file: 'security-statement.html' },
+  // Industry pages
+  { route: '/industries', file: 'industries.html' },
+  { route: '/healthcare', file: 'healthcare.html' },
+  { route: '/manufacturing', file: 'manufacturing.html' },
+  { route: '/financial-services', file: 'financial-services.html' },
+  { route: '/retail', file: 'retail.html' },
+  { route: '/technology', file: 'technology.html' },
+  // Service pages
+  { route: '/contract-drafting', file: 'contract-drafting.html' },
+  { route: '/legal-research', file: 'legal-research.html' },
+  { route: '/legal-transcription', file: 'legal-transcription.html' },
+  { route: '/legal-translation', file: 'legal-translation.html' },
+  { route: '/legal-data-entry', file: 'legal-data-entry.html' },
+  { route: '/ediscovery', file: 'ediscovery.html' },
+  { route: '/litigation-support', file: 'litigation-support.html' },
+  { route: '/ma-due-diligence', file: 'ma-due-diligence.html' },
+  { route: '/ip-research', file: 'ip-research.html' },
+  { route: '/citation-formatting', file: 'citation-formatting.html' },
+  { route: '/compliance', file: 'compliance.html' },
+  { route: '/virtual-paralegal', file: 'virtual-paralegal.html' },
+  { route: '/education', file: 'education.html' },
+  { route: '/testimonials', file: 'testimonials.html' }
+];
+
+const FEED_FILES = [
+  { file: 'feed.xml', type: 'application/rss+xml', label: 'RSS' },
+  { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom' },
+  { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed' }
+];
+
+const escapeXml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// <link rel="alternate"> tags so feed readers can discover the blog feeds
+const feedLinks = (query) => {
+  const links = FEED_FILES.map(({ file, type, label }) =>
+    `    <link rel="alternate" type="${type}" title="Lexocrates Blog (${label})" href="/${file}">`);
+
+  const scope = ['category', 'tag'].find(name => typeof query[name] === 'string' && query[name]);
+  if (scope) {
+    const slug = encodeURIComponent(query[scope]);
+    FEED_FILES.forEach(({ file, type, label }) => {
+      links.push(`    <link rel="alternate" type="${type}" title="Lexocrates Blog: ${escapeXml(query[scope])} (${label})" href="/${scope}/${slug}/${file}">`);
+    });
+  }
+
+  return links.join('\n');
+};
+
+// The unrendered template, which loads posts in the browser; used when the blog backend is down
+const sendBlogTemplate = (res, next, file, head, base = null) => {
+  fs.readFile(path.join(__dirname, file), 'utf8', (err, html) => {
+    if (err) return next(err);
+    const page = base ? html.replace('<head>', `<head>\n    <base href="${base}">`) : html;
+    res.type('html').send(page.replace('</head>', `${head}\n</head>`));
+  });
+};
+
+const sendRendered = (res, page) => {
+  res.status(page.status).type('html').send(page.html);
+};
+
+const sendBlogPage = async (req, res, next) => {
+  const links = feedLinks(req.query);
+  try {
+    sendRendered(res, await blogRenderer.renderList(req.query, links));
+  } catch (error) {
+    console.error('Blog render error:', error.message);
+    sendBlogTemplate(res, next, 'blog.html', links);
+  }
+};
+
+const sendBlogPost = async (req, res, next) => {
+  const links = feedLinks({});
+  try {
+    sendRendered(res, await blogRenderer.renderPost(req.params.slug, links));
+  } catch (error) {
+    console.error('Blog render error:', error.message);
+    sendBlogTemplate(res, next, 'blog-post.html', links, '/');
+  }
+};
+
+// Old post links (/blog-post.html?slug=...) move to /blog/:slug
+const redirectBlogPost = (req, res) => {
+  const slug = typeof req.query.slug === 'string' ? req.query.slug : '';
+  res.redirect(301, slug ? `/blog/${encodeURIComponent(slug)}` : '/blog');
+};
+
+// Called by the blog backend when posts change, so rendered pages don't outlive the TTL
+const purgeBlogCache = (req, res) => {
+  const key = Buffer.from(req.get('X-Internal-Key') || '');
+  const expected = Buffer.from(INTERNAL_API_KEY);
+  if (!INTERNAL_API_KEY || key.length !== expected.length || !crypto.timingSafeEqual(key, expected)) {
+    return res.status(403).json({ success: false, message: 'Forbidden' });
+  }
+
+  blogRenderer.purge();
+  res.json({ success: true });
+};
+
+// BLOG_BACKEND_URL may be http:// or https://
+const blogClient = (url) => (url.protocol === 'https:' ? https : http);
+
+// Stream a feed or sitemap from the blog backend, passing conditional headers both ways so 304s work
+const proxyToBlog = (req, res) => {
+  const target = new URL(req.originalUrl, BLOG_BACKEND_URL);
+  const headers = {};
+  ['if-none-match', 'if-modified-since', 'accept'].forEach(name => {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  });
+
+  const upstream = blogClient(target).get(target, { headers }, (response) => {
+    ['content-type', 'etag', 'last-modified', 'cache-control'].forEach(name => {
+      if (response.headers[name]) res.setHeader(name, response.headers[name]);
+    });
+    res.status(response.statusCode);
+    response.pipe(res);
+  });
+
+  upstream.setTimeout(10000, () => upstream.destroy(new Error('Blog backend timed out')));
+  upstream.on('error', (error) => {
+    console.error('Blog proxy error:', error.message);
+    if (!res.headersSent) {
+      res.status(502).json({ success: false, message: 'Blog backend unavailable' });
+    }
+  });
+};
+
+// Last-Modified of a blog backend sitemap, or null when the backend can't say
+const blogLastModified = (pathname) => new Promise((resolve) => {
+  const target = new URL(pathname, BLOG_BACKEND_URL);
+  const upstream = blogClient(target).request(target, { method: 'HEAD' }, (response) => {
+    response.resume();
+    const lastModified = response.statusCode === 200 && response.headers['last-modified'];
+    resolve(lastModified ? new Date(lastModified) : null);
+  });
+  upstream.setTimeout(5000, () => upstream.destroy());
+  upstream.on('error', () => resolve(null));
+  upstream.end();
+});
+
+const pageEntries = async () => Promise.all(PAGES.map(async ({ route, file }) => {
+  const stats = await fs.promises.stat(path.join(__dirname, file)).catch(() => null);
+  return { loc: `${SITE_URL}${route}`, lastmod: stats ? stats.mtime : null };
+}));
+
+const lastmodTag = (date) => (date ? `\n    <lastmod>${date.toISOString()}</lastmod>` : '');
+
+const sendSitemapIndex = async (req, res, next) => {
+  try {
+    const pages = await pageEntries();
+    const pagesModified = pages.reduce((latest, page) => (page.lastmod > latest ? page.lastmod : latest), null);
+    const sitemaps = [
+      { file: 'sitemap-pages.xml', lastmod: pagesModified },
+      ...await Promise.all(BLOG_SITEMAPS.map(async file => ({ file, lastmod: await blogLastModified(`/${file}`) })))
+    ];
+
+    res.type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${sitemaps.map(({ file, lastmod }) => `
+  <sitemap>
+    <loc>${escapeXml(`${SITE_URL}/${file}`)}</loc>${lastmodTag(lastmod)}
+  </sitemap>`).join('')}
+</sitemapindex>
+`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+const sendPagesSitemap = async (req, res, next) => {
+  try {
+    const pages = await pageEntries();
+    res.type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${pages.map(({ loc, lastmod }) => `
+  <url>
+    <loc>${escapeXml(loc)}</loc>${lastmodTag(lastmod)}
+  </url>`).join('')}
+</urlset>
+`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ROBOTS_DISALLOW is a comma separated list of paths; ROBOTS_NOINDEX=true keeps crawlers off the whole site (staging)
+const sendRobots = (req, res) => {
+  const disallow = process.env.ROBOTS_NOINDEX === 'true'
+    ? ['/']
+    : (process.env.ROBOTS_DISALLOW || '/api/').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  res.type('text/plain').send([
+    'User-agent: *',
+    ...(disallow.length ? disallow.map(entry => `Disallow: ${entry}`) : ['Disallow:']),
+    '',
+    `Sitemap: ${SITE_URL}/sitemap.xml`,
+    ''
+  ].join('\n'));
+};
 
 // Middleware
 app.use(cors());
 app.use(compression());
-app.use(express.static(__dirname));
-app.use('/images', express.static(path.join(__dirname, 'images')));
-
-// Serve main pages
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-app.get('/about', (req, res) => {
-  res.sendFile(path.join(__dirname, 'about.html'));
-});
-
-app.get('/blog', (req, res) => {
-  res.sendFile(path.join(__dirname, 'blog.html'));
-});
-
-app.get('/services', (req, res) => {
-  res.sendFile(path.join(__dirname, 'services.html'));
-});
 
-app.get('/contact', (req, res) => {
-  res.sendFile(path.join(__dirname, 'contact.html'));
-});
+// Blog pages are rendered on the server, so serve them before the static files
+app.get('/blog.html', sendBlogPage);
+app.get('/blog-post.html', redirectBlogPost);
+app.get('/blog/:slug', sendBlogPost);
+app.post('/internal/blog-cache/purge', purgeBlogCache);
 
-app.get('/team', (req, res) => {
-  res.sendFile(path.join(__dirname, 'team.html'));
+// Blog feeds, site-wide and per category or tag
+FEED_FILES.forEach(({ file }) => {
+  app.get([`/${file}`, `/category/:slug/${file}`, `/tag/:slug/${file}`], proxyToBlog);
 });
 
-app.get('/careers', (req, res) => {
-  res.sendFile(path.join(__dirname, 'careers.html'));
-});
-
-app.get('/privacy-policy', (req, res) => {
-  res.sendFile(path.join(__dirname, 'privacy-policy.html'));
-});
-
-app.get('/cookie-policy', (req, res) => {
-  res.sendFile(path.join(__dirname, 'cookie-policy.html'));
-});
-
-app.get('/security-statement', (req, res) => {
-  res.sendFile(path.join(__dirname, 'security-statement.html'));
-});
-
-// Industry pages
-app.get('/industries', (req, res) => {
-  res.sendFile(path.join(__dirname, 'industries.html'));
-});
-
-app.get('/healthcare', (req, res) => {
-  res.sendFile(path.join(__dirname, 'healthcare.html'));
-});
-
-app.get('/manufacturing', (req, res) => {
-  res.sendFile(path.join(__dirname, 'manufacturing.html'));
-});
-
-app.get('/financial-services', (req, res) => {
-  res.sendFile(path.join(__dirname, 'financial-services.html'));
-});
+// Sitemaps and robots.txt
+app.get('/sitemap.xml', sendSitemapIndex);
+app.get('/sitemap-pages.xml', sendPagesSitemap);
+app.get(BLOG_SITEMAPS.map(file => `/${file}`), proxyToBlog);
+app.get('/robots.txt', sendRobots);
 
-app.get('/retail', (req, res) => {
-  res.sendFile(path.join(__dirname, 'retail.html'));
-});
-
-app.get('/technology', (req, res) => {
-  res.sendFile(path.join(__dirname, 'technology.html'));
-});
-
-// Service pages
-app.get('/contract-drafting', (req, res) => {
-  res.sendFile(path.join(__dirname, 'contract-drafting.html'));
-});
-
-app.get('/legal-research', (req, res) => {
-  res.sendFile(path.join(__dirname, 'legal-research.html'));
-});
-
-app.get('/legal-transcription', (req, res) => {
-  res.sendFile(path.join(__dirname, 'legal-transcription.html'));
-});
-
-app.get('/legal-translation', (req, res) => {
-  res.sendFile(path.join(__dirname, 'legal-translation.html'));
-});
-
-app.get('/legal-data-entry', (req, res) => {
-  res.sendFile(path.join(__dirname, 'legal-data-entry.html'));
-});
-
-app.get('/ediscovery', (req, res) => {
-  res.sendFile(path.join(__dirname, 'ediscovery.html'));
-});
-
-app.get('/litigation-support', (req, res) => {
-  res.sendFile(path.join(__dirname, 'litigation-support.html'));
-});
-
-app.get('/ma-due-diligence', (req, res) => {
-  res.sendFile(path.join(__dirname, 'ma-due-diligence.html'));
-});
-
-app.get('/ip-research', (req, res) => {
-  res.sendFile(path.join(__dirname, 'ip-research.html'));
-});
-
-app.get('/citation-formatting', (req, res) => {
-  res.sendFile(path.join(__dirname, 'citation-formatting.html'));
-});
-
-app.get('/compliance', (req, res) => {
-  res.sendFile(path.join(__dirname, 'compliance.html'));
-});
-
-app.get('/virtual-paralegal', (req, res) => {
-  res.sendFile(path.join(__dirname, 'virtual-paralegal.html'));
-});
-
-app.get('/education', (req, res) => {
-  res.sendFile(path.join(__dirname, 'education.html'));
-});
+app.use(express.static(__dirname));
+app.use('/images', express.static(path.join(__dirname, 'images')));
 
-app.get('/testimonials', (req, res) => {
-  res.sendFile(path.join(__dirname, 'testimonials.html'));
+// Serve main pages
+PAGES.forEach(({ route, file }) => {
+  app.get(route, file === 'blog.html' ? sendBlogPage : (req, res) => {
+    res.sendFile(path.join(__dirname, file));
+  });
 });
 
 // API proxy to blog backend
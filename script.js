@@ -132,7 +132,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Form submission handling
 const contactForm = document.querySelector('.contact-form form');
-const newsletterForm = document.querySelector('.newsletter-form');
+const newsletterForms = document.querySelectorAll('.newsletter-form');
 
 if (contactForm) {
     contactForm.addEventListener('submit', async function(e) {
@@ -214,7 +214,7 @@ if (contactForm) {
     });
 }
 
-if (newsletterForm) {
+newsletterForms.forEach(newsletterForm => {
     newsletterForm.addEventListener('submit', async function(e) {
         e.preventDefault();
         
@@ -242,13 +242,15 @@ if (newsletterForm) {
         submitBtn.disabled = true;
         
         try {
-            const result = await window.csrfUtils.submitJSON({ email }, '/api/newsletter/subscribe');
+            // Double opt-in: the subscription starts once the emailed link is confirmed
+            const result = await window.csrfUtils.submitJSON({ email, source: window.location.pathname }, '/api/newsletter/subscribe');
             
             if (result.success) {
-                showFormMessage(this, 'Thank you for subscribing! You will receive our latest news and updates.', 'success');
+                showFormMessage(this, result.message || 'Thanks! Check your inbox for an email to confirm your subscription.', 'success');
                 this.reset();
             } else {
-                showFormMessage(this, 'Failed to subscribe. Please check your connection and try again.', 'error');
+                const errorMessage = result.errors && result.errors.length ? result.errors[0].message : result.message;
+                showFormMessage(this, errorMessage || 'Failed to subscribe. Please check your connection and try again.', 'error');
             }
         } catch (error) {
             console.error('Newsletter subscription error:', error);
@@ -258,7 +260,7 @@ if (newsletterForm) {
             submitBtn.disabled = false;
         }
     });
-}
+});
 
 // General form handler for all forms
 document.addEventListener('DOMContentLoaded', function() {
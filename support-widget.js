@@ -5,12 +5,18 @@ class SupportWidget {
         this.currentInterface = 'welcome';
         this.chatHistory = [];
         this.botHistory = [];
+        this.chat = null;
+        this.chatStream = null;
         this.init();
     }
 
     init() {
+        // Keep the original ticket form so it can be restored after a confirmation or lookup
+        this.ticketFormMarkup = document.getElementById('ticketInterface').innerHTML;
+        this.ticketLookup = null;
+        this.renderTicketForm();
+        this.setupChatPanel();
         this.bindEvents();
-        this.loadChatbotResponses();
     }
 
     bindEvents() {
@@ -27,7 +33,8 @@ class SupportWidget {
         // Support options
         document.querySelectorAll('.support-option').forEach(option => {
             option.addEventListener('click', (e) => {
-                const interfaceType = e.currentTarget.getAttribute('data-interface');
+                const interfaceType = e.currentTarget.getAttribute('data-option') ||
+                    e.currentTarget.getAttribute('data-interface');
                 this.switchInterface(interfaceType);
             });
         });
@@ -54,9 +61,64 @@ class SupportWidget {
             }
         });
 
-        // Ticket form
-        document.getElementById('ticketForm').addEventListener('submit', (e) => {
-            this.submitTicket(e);
+        document.getElementById('botMessages').addEventListener('click', (e) => {
+            const suggestion = e.target.closest('[data-bot-intent]');
+            if (!suggestion) return;
+
+            this.addMessage('bot', suggestion.textContent.trim(), 'user');
+            this.askBot({ intent: suggestion.getAttribute('data-bot-intent') });
+        });
+
+        // Live chat start form and actions
+        const chatInterface = document.getElementById('chatInterface');
+        chatInterface.addEventListener('submit', (e) => {
+            if (e.target.id === 'chatStartForm') {
+                this.startChat(e);
+            }
+        });
+
+        chatInterface.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-chat-action]');
+            if (!action) return;
+
+            switch (action.getAttribute('data-chat-action')) {
+                case 'leave-message':
+                    this.convertChatToTicket();
+                    break;
+                case 'end':
+                    this.endChat();
+                    break;
+                case 'new':
+                    this.resetChat();
+                    break;
+            }
+        });
+
+        // Ticket forms are re-rendered, so listen on the interface container
+        const ticketInterface = document.getElementById('ticketInterface');
+        ticketInterface.addEventListener('submit', (e) => {
+            switch (e.target.id) {
+                case 'ticketForm':
+                    this.submitTicket(e);
+                    break;
+                case 'ticketLookupForm':
+                    this.lookupTicket(e);
+                    break;
+                case 'ticketReplyForm':
+                    this.submitTicketReply(e);
+                    break;
+            }
+        });
+
+        ticketInterface.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-ticket-action]');
+            if (!action) return;
+
+            if (action.getAttribute('data-ticket-action') === 'lookup') {
+                this.renderTicketLookup();
+            } else {
+                this.renderTicketForm();
+            }
         });
     }
 
@@ -94,34 +156,293 @@ class SupportWidget {
 
         // Show selected interface
         switch (interfaceType) {
+            case 'welcome':
+                document.getElementById('welcomeScreen').style.display = 'block';
+                this.currentInterface = 'welcome';
+                break;
             case 'chat':
                 document.getElementById('chatInterface').style.display = 'block';
                 this.currentInterface = 'chat';
+                this.prepareChat();
                 break;
             case 'bot':
                 document.getElementById('botInterface').style.display = 'block';
                 this.currentInterface = 'bot';
                 break;
             case 'ticket':
+                if (!document.getElementById('ticketForm')) {
+                    this.renderTicketForm();
+                }
                 document.getElementById('ticketInterface').style.display = 'block';
                 this.currentInterface = 'ticket';
                 break;
         }
     }
 
-    sendChatMessage() {
+    async sendChatMessage() {
         const input = document.getElementById('chatInput');
         const message = input.value.trim();
         
-        if (message) {
-            this.addMessage('chat', message, 'user');
-            input.value = '';
-            
-            // Simulate agent response
-            setTimeout(() => {
-                this.simulateAgentResponse(message);
-            }, 1000);
+        if (!message || !this.chat) return;
+
+        input.value = '';
+
+        try {
+            const result = await this.postJSON(`/api/chat/visitor/conversations/${this.chat.id}/messages`, {
+                token: this.chat.token,
+                message
+            });
+
+            if (!result.success) {
+                throw new Error(this.getErrorMessage(result));
+            }
+
+            this.addMessage('chat', result.data.body, 'user');
+        } catch (error) {
+            console.error('Error sending chat message:', error);
+            input.value = message;
+            this.showChatStatus(error.message);
+        }
+    }
+
+    // Live chat
+
+    setupChatPanel() {
+        const chatInterface = document.getElementById('chatInterface');
+        const panel = document.createElement('div');
+        panel.className = 'chat-panel';
+        panel.id = 'chatPanel';
+        chatInterface.insertBefore(panel, chatInterface.querySelector('.chat-input'));
+
+        // Resume a conversation from earlier in this browser session
+        try {
+            const saved = JSON.parse(sessionStorage.getItem('supportChat'));
+            if (saved && saved.id && saved.token) {
+                this.chat = saved;
+            }
+        } catch (error) {
+            sessionStorage.removeItem('supportChat');
+        }
+    }
+
+    async prepareChat() {
+        if (this.chat) {
+            this.setChatInputVisible(true);
+            this.connectChatStream();
+            return;
+        }
+
+        this.setChatInputVisible(false);
+
+        let online = false;
+        try {
+            const response = await fetch('/api/chat/availability', { credentials: 'same-origin' });
+            const result = await response.json();
+            online = Boolean(result.success && result.data.online);
+        } catch (error) {
+            console.error('Error checking chat availability:', error);
         }
+
+        document.getElementById('chatPanel').innerHTML = `
+            <form id="chatStartForm" class="chat-start-form">
+                <p class="chat-availability ${online ? 'online' : 'offline'}">
+                    ${online
+                        ? 'An agent is online and ready to help.'
+                        : 'No agents are online right now. Leave a message and we will open a support ticket for you.'}
+                </p>
+                <input type="text" id="chatStartName" placeholder="Your name" required>
+                <input type="email" id="chatStartEmail" placeholder="Your email" required>
+                <textarea id="chatStartMessage" rows="3" placeholder="How can we help?" required></textarea>
+                <button type="submit" class="submit-ticket">
+                    <i class="fas fa-comments"></i>
+                    ${online ? 'Start Chat' : 'Send Message'}
+                </button>
+            </form>
+        `;
+    }
+
+    async startChat(e) {
+        e.preventDefault();
+
+        const submitButton = e.target.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+
+        const data = {
+            name: document.getElementById('chatStartName').value,
+            email: document.getElementById('chatStartEmail').value,
+            message: document.getElementById('chatStartMessage').value,
+            pageUrl: window.location.href
+        };
+
+        try {
+            const result = await this.postJSON('/api/chat/visitor/conversations', data);
+
+            if (!result.success) {
+                throw new Error(this.getErrorMessage(result));
+            }
+
+            if (result.data.mode === 'ticket') {
+                this.ticketLookup = { ticketNumber: result.data.ticketNumber, email: data.email };
+                this.showChatTicketNotice(result.data.ticketNumber);
+                return;
+            }
+
+            this.chat = { id: result.data.conversationId, token: result.data.token };
+            sessionStorage.setItem('supportChat', JSON.stringify(this.chat));
+            this.renderChatMessages(result.data.conversation);
+            this.setChatInputVisible(true);
+            this.connectChatStream();
+        } catch (error) {
+            console.error('Error starting chat:', error);
+            this.showChatStatus(error.message);
+            submitButton.disabled = false;
+        }
+    }
+
+    connectChatStream() {
+        if (this.chatStream || !this.chat) return;
+
+        const url = `/api/chat/visitor/conversations/${this.chat.id}/stream?token=${encodeURIComponent(this.chat.token)}`;
+        this.chatStream = new EventSource(url);
+
+        this.chatStream.addEventListener('snapshot', (e) => {
+            this.renderChatMessages(JSON.parse(e.data));
+        });
+
+        this.chatStream.addEventListener('message', (e) => {
+            const message = JSON.parse(e.data);
+            // Visitor messages are already shown when the send request returns
+            if (message.senderType !== 'visitor') {
+                this.addMessage('chat', message.body, message.senderType === 'system' ? 'system' : 'agent');
+            }
+        });
+
+        this.chatStream.addEventListener('status', (e) => {
+            this.updateChatStatus(JSON.parse(e.data).status);
+        });
+
+        this.chatStream.onerror = () => {
+            // A closed stream means the conversation is gone; EventSource retries anything else
+            if (this.chatStream && this.chatStream.readyState === EventSource.CLOSED) {
+                this.finishChat();
+            }
+        };
+    }
+
+    renderChatMessages(conversation) {
+        const messagesContainer = document.getElementById('chatMessages');
+        messagesContainer.innerHTML = '';
+        conversation.messages.forEach(message => {
+            const sender = { visitor: 'user', agent: 'agent', system: 'system' }[message.senderType];
+            this.addMessage('chat', message.body, sender);
+        });
+        this.updateChatStatus(conversation.status);
+    }
+
+    updateChatStatus(status) {
+        const panel = document.getElementById('chatPanel');
+
+        if (status === 'closed') {
+            this.finishChat();
+            return;
+        }
+
+        panel.innerHTML = `
+            <div class="chat-status-bar">
+                <span>${status === 'waiting' ? 'Waiting for an agent...' : 'Connected to an agent'}</span>
+                <span>
+                    ${status === 'waiting' ? '<button type="button" class="ticket-link" data-chat-action="leave-message">Leave a message instead</button>' : ''}
+                    <button type="button" class="ticket-link" data-chat-action="end">End chat</button>
+                </span>
+            </div>
+        `;
+    }
+
+    async convertChatToTicket() {
+        if (!this.chat) return;
+
+        try {
+            const result = await this.postJSON(`/api/chat/visitor/conversations/${this.chat.id}/ticket`, {
+                token: this.chat.token
+            });
+
+            if (!result.success) {
+                throw new Error(this.getErrorMessage(result));
+            }
+
+            this.finishChat();
+            this.showChatTicketNotice(result.data.ticketNumber);
+        } catch (error) {
+            console.error('Error converting chat to ticket:', error);
+            this.showChatStatus(error.message);
+        }
+    }
+
+    async endChat() {
+        if (!this.chat) return;
+
+        try {
+            await this.postJSON(`/api/chat/visitor/conversations/${this.chat.id}/close`, {
+                token: this.chat.token
+            });
+        } catch (error) {
+            console.error('Error ending chat:', error);
+        }
+        this.finishChat();
+    }
+
+    // Stop streaming and forget the conversation, keeping the transcript on screen
+    finishChat() {
+        if (this.chatStream) {
+            this.chatStream.close();
+            this.chatStream = null;
+        }
+        this.chat = null;
+        sessionStorage.removeItem('supportChat');
+        this.setChatInputVisible(false);
+
+        document.getElementById('chatPanel').innerHTML = `
+            <div class="chat-status-bar">
+                <span>This chat has ended.</span>
+                <button type="button" class="ticket-link" data-chat-action="new">Start a new chat</button>
+            </div>
+        `;
+    }
+
+    resetChat() {
+        document.getElementById('chatMessages').innerHTML = '';
+        this.prepareChat();
+    }
+
+    showChatTicketNotice(ticketNumber) {
+        this.setChatInputVisible(false);
+        document.getElementById('chatPanel').innerHTML = `
+            <div class="ticket-confirmation">
+                <h4>Support ticket created</h4>
+                <p>No agent was available, so we created ticket <strong>${this.escapeHtml(ticketNumber)}</strong>.
+                We will reply by email, and you can check its status from the ticket tab.</p>
+                <button class="btn-back" onclick="supportWidget.switchInterface('welcome')">
+                    <i class="fas fa-arrow-left"></i>
+                    Back to Support Options
+                </button>
+            </div>
+        `;
+    }
+
+    showChatStatus(message) {
+        const panel = document.getElementById('chatPanel');
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'ticket-error';
+        errorDiv.textContent = message;
+        panel.appendChild(errorDiv);
+
+        setTimeout(() => {
+            errorDiv.remove();
+        }, 5000);
+    }
+
+    setChatInputVisible(visible) {
+        document.querySelector('#chatInterface .chat-input').style.display = visible ? '' : 'none';
     }
 
     sendBotMessage() {
@@ -131,29 +452,69 @@ class SupportWidget {
         if (message) {
             this.addMessage('bot', message, 'user');
             input.value = '';
-            
-            // Get bot response
-            setTimeout(() => {
-                const response = this.getBotResponse(message);
-                this.addMessage('bot', response, 'bot');
-            }, 500);
+            this.askBot({ question: message });
         }
     }
 
+    async askBot(payload) {
+        this.clearBotSuggestions();
+
+        try {
+            const result = await this.postJSON('/api/chatbot/ask', payload);
+
+            if (!result.success) {
+                throw new Error(this.getErrorMessage(result));
+            }
+
+            this.addMessage('bot', result.data.response || this.getBotUnavailableMessage(), 'bot');
+            this.renderBotSuggestions(result.data.suggestions || []);
+        } catch (error) {
+            console.error('Error asking chatbot:', error);
+            this.addMessage('bot', this.getBotUnavailableMessage(), 'bot');
+        }
+    }
+
+    getBotUnavailableMessage() {
+        return "Sorry, I can't answer right now. Please try again in a moment, or create a support ticket and our team will get back to you.";
+    }
+
+    // Related topics the visitor can pick instead of rephrasing
+    renderBotSuggestions(suggestions) {
+        if (suggestions.length === 0) return;
+
+        const messagesContainer = document.getElementById('botMessages');
+        const suggestionsDiv = document.createElement('div');
+        suggestionsDiv.className = 'bot-suggestions';
+        suggestionsDiv.innerHTML = suggestions.map(suggestion => `
+            <button type="button" class="bot-suggestion" data-bot-intent="${this.escapeHtml(suggestion.name)}">
+                ${this.escapeHtml(suggestion.title)}
+            </button>
+        `).join('');
+
+        messagesContainer.appendChild(suggestionsDiv);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    clearBotSuggestions() {
+        document.querySelectorAll('#botMessages .bot-suggestions').forEach(element => element.remove());
+    }
+
     addMessage(interfaceType, message, sender) {
         const messagesContainer = document.getElementById(interfaceType === 'chat' ? 'chatMessages' : 'botMessages');
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${sender}-message`;
         
-        const avatar = sender === 'user' ? 'fas fa-user' : (interfaceType === 'chat' ? 'fas fa-headset' : 'fas fa-robot');
-        const senderName = sender === 'user' ? 'You' : (interfaceType === 'chat' ? 'Support Agent' : 'Lexi AI');
+        let avatar = sender === 'user' ? 'fas fa-user' : (interfaceType === 'chat' ? 'fas fa-headset' : 'fas fa-robot');
+        if (sender === 'system') {
+            avatar = 'fas fa-info-circle';
+        }
         
         messageDiv.innerHTML = `
             <div class="message-avatar">
                 <i class="${avatar}"></i>
             </div>
             <div class="message-content">
-                <p>${message}</p>
+                <p>${this.escapeHtml(message)}</p>
                 <span class="message-time">${this.getCurrentTime()}</span>
             </div>
         `;
@@ -173,135 +534,201 @@ class SupportWidget {
         }
     }
 
-    simulateAgentResponse(userMessage) {
-        const responses = [
-            "Thank you for your message. I'm here to help you with any questions about our legal services.",
-            "I understand your inquiry. Let me connect you with the appropriate team member who can assist you better.",
-            "That's a great question! Our team specializes in this area and would be happy to provide detailed information.",
-            "I appreciate you reaching out. For the most accurate and detailed response, I recommend creating a support ticket so our legal experts can assist you directly.",
-            "Thank you for contacting Lexocrates. I'm forwarding your inquiry to our specialized team who will get back to you within 24 hours."
-        ];
+    async submitTicket(e) {
+        e.preventDefault();
         
-        const randomResponse = responses[Math.floor(Math.random() * responses.length)];
-        this.addMessage('chat', randomResponse, 'agent');
-    }
-
-    loadChatbotResponses() {
-        this.botResponses = {
-            // Service Information
-            'services': {
-                keywords: ['services', 'offer', 'provide', 'legal services', 'what do you do'],
-                response: "Lexocrates offers comprehensive legal process outsourcing services including:\n\n• Legal Research & Writing\n• Contract Drafting & Review\n• Litigation Support\n• eDiscovery & Document Review\n• Legal Transcription\n• Legal Translation\n• Legal Data Entry\n• Virtual Paralegal Services\n\nWould you like more details about any specific service?"
-            },
-            'pricing': {
-                keywords: ['price', 'cost', 'fee', 'how much', 'pricing', 'rates'],
-                response: "Our pricing varies based on the complexity and scope of your project. We offer:\n\n• Hourly rates for ongoing support\n• Project-based pricing for specific deliverables\n• Retainer agreements for long-term partnerships\n• Custom quotes for enterprise clients\n\nFor a detailed quote, please create a support ticket and we'll provide a personalized estimate within 24 hours."
-            },
-            'process': {
-                keywords: ['process', 'how it works', 'workflow', 'procedure', 'steps'],
-                response: "Our process is simple and efficient:\n\n1. **Initial Consultation** - We discuss your requirements\n2. **Project Planning** - Define scope, timeline, and deliverables\n3. **Execution** - Our expert team works on your project\n4. **Quality Review** - Multi-level quality assurance\n5. **Delivery** - Timely delivery with detailed reports\n\nWe maintain regular communication throughout the process to ensure your satisfaction."
-            },
-            'contact': {
-                keywords: ['contact', 'reach', 'phone', 'email', 'speak to someone'],
-                response: "You can reach us through multiple channels:\n\n📞 **Phone:** +91 94140 80184\n📧 **Email:** info@lexocrates.com\n📍 **Address:** B-1402 Mangalam The Grand Residency, Near Teoler School, Sirsi Road, Jaipur, Rajasthan, India\n\nFor immediate assistance, you can also create a support ticket and we'll respond within 24 hours."
-            },
-            'experience': {
-                keywords: ['experience', 'years', 'background', 'expertise', 'qualified'],
-                response: "Lexocrates has extensive experience in legal process outsourcing:\n\n• **Industry Experience:** 10+ years serving law firms and corporations\n• **Expert Team:** Qualified legal professionals with specialized expertise\n• **Global Reach:** Serving clients across Canada\n• **Quality Standards:** ISO-certified processes and quality assurance\n• **Technology:** Advanced tools and secure infrastructure\n\nWe've successfully completed thousands of projects across various legal domains."
-            },
-            'security': {
-                keywords: ['security', 'confidential', 'privacy', 'data protection', 'secure'],
-                response: "Security and confidentiality are our top priorities:\n\n🔒 **Data Protection:** AES-256 encryption for all data\n🛡️ **Access Control:** Role-based access and multi-factor authentication\n🌐 **Secure Infrastructure:** Enterprise-grade cloud security\n📋 **NDA Protection:** Comprehensive confidentiality agreements\n🔍 **Audit Trails:** Complete activity logging and monitoring\n\nWe comply with GDPR, CCPA, and other international data protection regulations."
-            },
-            'industries': {
-                keywords: ['industries', 'sectors', 'clients', 'who do you serve'],
-                response: "We serve clients across multiple industries:\n\n🏦 **Financial Services** - Banking, insurance, investment firms\n🏥 **Healthcare** - Hospitals, pharmaceutical companies, medical devices\n💻 **Technology** - Software companies, startups, tech corporations\n🏭 **Manufacturing** - Industrial companies, supply chain management\n🛍️ **Retail** - E-commerce, retail chains, consumer goods\n🎓 **Education** - Universities, educational institutions\n\nOur legal expertise spans across all major business sectors."
-            },
-            'timeline': {
-                keywords: ['timeline', 'duration', 'how long', 'delivery time', 'turnaround'],
-                response: "Our delivery timelines depend on project complexity:\n\n⚡ **Urgent Projects:** 24-48 hours (rush service available)\n📅 **Standard Projects:** 3-7 business days\n📋 **Complex Projects:** 1-2 weeks\n📊 **Large-scale Projects:** 2-4 weeks\n\nWe always provide realistic timelines upfront and keep you updated on progress. Rush services are available for urgent matters."
-            },
-            'default': {
-                response: "Thank you for your question! I'm Lexi, your AI assistant at Lexocrates. I can help you with:\n\n• Service information and pricing\n• Process explanations and timelines\n• Contact information and support\n• Security and confidentiality details\n\nFor specific legal advice or detailed quotes, I recommend creating a support ticket so our legal experts can assist you directly. How else can I help you today?"
-            }
+        const ticketData = {
+            name: document.getElementById('ticketName').value,
+            email: document.getElementById('ticketEmail').value,
+            subject: document.getElementById('ticketSubject').value,
+            category: document.getElementById('ticketCategory').value,
+            message: document.getElementById('ticketMessage').value,
+            priority: document.getElementById('ticketPriority').value
         };
-    }
 
-    getBotResponse(userMessage) {
-        const message = userMessage.toLowerCase();
-        
-        // Check for matching responses
-        for (const [key, data] of Object.entries(this.botResponses)) {
-            if (key === 'default') continue;
+        const submitButton = e.target.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+
+        try {
+            const result = await this.postJSON('/api/tickets', ticketData);
             
-            for (const keyword of data.keywords) {
-                if (message.includes(keyword)) {
-                    return data.response;
-                }
+            if (!result.success) {
+                throw new Error(this.getErrorMessage(result));
             }
+
+            this.showTicketConfirmation(ticketData, result.data);
+            
+        } catch (error) {
+            console.error('Error submitting ticket:', error);
+            this.showTicketError(error.message);
+            submitButton.disabled = false;
         }
-        
-        // Return default response
-        return this.botResponses.default.response;
     }
 
-    async submitTicket(e) {
+    async lookupTicket(e) {
         e.preventDefault();
-        
-        const formData = new FormData(e.target);
-        const ticketData = {
-            name: formData.get('ticketName') || document.getElementById('ticketName').value,
-            email: formData.get('ticketEmail') || document.getElementById('ticketEmail').value,
-            subject: formData.get('ticketSubject') || document.getElementById('ticketSubject').value,
-            category: formData.get('ticketCategory') || document.getElementById('ticketCategory').value,
-            message: formData.get('ticketMessage') || document.getElementById('ticketMessage').value,
-            priority: formData.get('ticketPriority') || document.getElementById('ticketPriority').value,
-            timestamp: new Date().toISOString()
+
+        const credentials = {
+            ticketNumber: document.getElementById('lookupTicketNumber').value.trim(),
+            email: document.getElementById('lookupTicketEmail').value.trim()
         };
 
         try {
-            // Send email using EmailJS or similar service
-            await this.sendTicketEmail(ticketData);
-            
-            // Show success message
-            this.showTicketConfirmation(ticketData);
-            
-            // Reset form
-            e.target.reset();
-            
+            const result = await this.postJSON('/api/tickets/lookup', credentials);
+
+            if (!result.success) {
+                throw new Error(this.getErrorMessage(result));
+            }
+
+            this.ticketLookup = credentials;
+            this.renderTicketStatus(result.data);
+
         } catch (error) {
-            console.error('Error submitting ticket:', error);
-            this.showTicketError();
+            console.error('Error looking up ticket:', error);
+            this.showTicketError(error.message);
         }
     }
 
-    async sendTicketEmail(ticketData) {
-        // Use the email configuration
-        if (typeof sendSupportEmail !== 'undefined') {
-            return await sendSupportEmail(ticketData);
-        } else {
-            // Fallback: Use a simple mailto link
-            const mailtoLink = `mailto:support@lexocrates.com?subject=Support Ticket: ${encodeURIComponent(ticketData.subject)}&body=${encodeURIComponent(`
-New Support Ticket Received
+    async submitTicketReply(e) {
+        e.preventDefault();
 
-Name: ${ticketData.name}
-Email: ${ticketData.email}
-Category: ${ticketData.category}
-Priority: ${ticketData.priority}
-Subject: ${ticketData.subject}
+        const message = document.getElementById('ticketReplyMessage').value.trim();
+        if (!message || !this.ticketLookup) return;
 
-Message:
-${ticketData.message}
+        try {
+            const result = await this.postJSON('/api/tickets/lookup/reply', {
+                ...this.ticketLookup,
+                message
+            });
 
-Submitted: ${new Date(ticketData.timestamp).toLocaleString()}
-            `)}`;
-            
-            window.open(mailtoLink);
-            return Promise.resolve();
+            if (!result.success) {
+                throw new Error(this.getErrorMessage(result));
+            }
+
+            this.renderTicketStatus(result.data);
+
+        } catch (error) {
+            console.error('Error replying to ticket:', error);
+            this.showTicketError(error.message);
+        }
+    }
+
+    async postJSON(endpoint, data) {
+        // The API requires a CSRF token, which csrf-utils.js manages for the site
+        if (!window.csrfUtils) {
+            throw new Error('Support requests are unavailable on this page.');
         }
+        return window.csrfUtils.submitJSON(data, endpoint);
+    }
+
+    getErrorMessage(result) {
+        if (result.errors && result.errors.length) {
+            return result.errors[0].message;
+        }
+        return result.message || result.error || 'Something went wrong. Please try again.';
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    formatStatus(status) {
+        return status.replace(/_/g, ' ');
+    }
+
+    renderTicketForm() {
+        const ticketInterface = document.getElementById('ticketInterface');
+        ticketInterface.innerHTML = this.ticketFormMarkup;
+        ticketInterface.querySelector('.ticket-form').insertAdjacentHTML('beforeend', `
+            <button type="button" class="ticket-link" data-ticket-action="lookup">
+                Already have a ticket? Check its status
+            </button>
+        `);
+    }
+
+    renderTicketLookup() {
+        const ticketInterface = document.getElementById('ticketInterface');
+        ticketInterface.innerHTML = `
+            <div class="ticket-form">
+                <h4>Check Ticket Status</h4>
+                <p>Enter your ticket number and the email address you used to open it.</p>
+
+                <form id="ticketLookupForm">
+                    <div class="form-group">
+                        <label for="lookupTicketNumber">Ticket Number *</label>
+                        <input type="text" id="lookupTicketNumber" required placeholder="TKT-000000-XXXXXX"
+                            value="${this.escapeHtml(this.ticketLookup ? this.ticketLookup.ticketNumber : '')}">
+                    </div>
+
+                    <div class="form-group">
+                        <label for="lookupTicketEmail">Email Address *</label>
+                        <input type="email" id="lookupTicketEmail" required
+                            value="${this.escapeHtml(this.ticketLookup ? this.ticketLookup.email : '')}">
+                    </div>
+
+                    <button type="submit" class="submit-ticket">
+                        <i class="fas fa-search"></i>
+                        Check Status
+                    </button>
+                </form>
+
+                <button type="button" class="ticket-link" data-ticket-action="new">
+                    Open a new ticket instead
+                </button>
+            </div>
+        `;
+    }
+
+    renderTicketStatus(ticket) {
+        const ticketInterface = document.getElementById('ticketInterface');
+        const messages = ticket.messages.map(message => `
+            <div class="ticket-thread-message ${message.authorType}">
+                <div class="ticket-thread-meta">
+                    <strong>${this.escapeHtml(message.authorName)}</strong>
+                    <span>${new Date(message.createdAt).toLocaleString()}</span>
+                </div>
+                <p>${this.escapeHtml(message.body)}</p>
+            </div>
+        `).join('');
+
+        ticketInterface.innerHTML = `
+            <div class="ticket-status-view">
+                <div class="ticket-details">
+                    <h5>${this.escapeHtml(ticket.subject)}</h5>
+                    <p><strong>Reference:</strong> ${this.escapeHtml(ticket.ticketNumber)}</p>
+                    <p><strong>Status:</strong> <span class="ticket-status-badge status-${this.escapeHtml(ticket.status)}">${this.escapeHtml(this.formatStatus(ticket.status))}</span></p>
+                    <p><strong>Last updated:</strong> ${new Date(ticket.lastActivityAt).toLocaleString()}</p>
+                </div>
+
+                <div class="ticket-thread">${messages}</div>
+
+                ${ticket.status === 'closed' ? `
+                    <p class="ticket-closed-note">This ticket is closed. Please open a new ticket if you need further help.</p>
+                ` : `
+                    <form id="ticketReplyForm">
+                        <div class="form-group">
+                            <label for="ticketReplyMessage">Add a reply</label>
+                            <textarea id="ticketReplyMessage" rows="3" required></textarea>
+                        </div>
+                        <button type="submit" class="submit-ticket">
+                            <i class="fas fa-reply"></i>
+                            Send Reply
+                        </button>
+                    </form>
+                `}
+
+                <button type="button" class="ticket-link" data-ticket-action="lookup">
+                    Look up another ticket
+                </button>
+            </div>
+        `;
     }
 
-    showTicketConfirmation(ticketData) {
+    showTicketConfirmation(ticketData, ticket) {
+        this.ticketLookup = { ticketNumber: ticket.ticketNumber, email: ticketData.email };
+
         const ticketInterface = document.getElementById('ticketInterface');
         ticketInterface.innerHTML = `
             <div class="ticket-confirmation">
@@ -313,10 +740,11 @@ Submitted: ${new Date(ticketData.timestamp).toLocaleString()}
                 
                 <div class="ticket-details">
                     <h5>Ticket Details:</h5>
-                    <p><strong>Subject:</strong> ${ticketData.subject}</p>
-                    <p><strong>Category:</strong> ${ticketData.category}</p>
-                    <p><strong>Priority:</strong> ${ticketData.priority}</p>
-                    <p><strong>Reference:</strong> #${Date.now().toString().slice(-6)}</p>
+                    <p><strong>Subject:</strong> ${this.escapeHtml(ticketData.subject)}</p>
+                    <p><strong>Category:</strong> ${this.escapeHtml(ticketData.category)}</p>
+                    <p><strong>Priority:</strong> ${this.escapeHtml(ticketData.priority)}</p>
+                    <p><strong>Reference:</strong> ${this.escapeHtml(ticket.ticketNumber)}</p>
+                    <p class="ticket-reference-hint">Keep this reference to check the status of your ticket later.</p>
                 </div>
                 
                 <button class="btn-back" onclick="supportWidget.switchInterface('welcome')">
@@ -327,7 +755,7 @@ Submitted: ${new Date(ticketData.timestamp).toLocaleString()}
         `;
     }
 
-    showTicketError() {
+    showTicketError(message) {
         const ticketInterface = document.getElementById('ticketInterface');
         const errorDiv = document.createElement('div');
         errorDiv.className = 'ticket-error';
@@ -335,8 +763,8 @@ Submitted: ${new Date(ticketData.timestamp).toLocaleString()}
             <div class="error-icon">
                 <i class="fas fa-exclamation-triangle"></i>
             </div>
-            <h4>Submission Error</h4>
-            <p>We encountered an issue submitting your ticket. Please try again or contact us directly at support@lexocrates.com</p>
+            <h4>Something went wrong</h4>
+            <p>${this.escapeHtml(message || 'We encountered an issue with your request. Please try again.')}</p>
         `;
         
         ticketInterface.appendChild(errorDiv);
@@ -444,5 +872,128 @@ style.textContent = `
         font-size: 2rem;
         margin-bottom: 0.5rem;
     }
+
+    .ticket-link {
+        background: none;
+        border: none;
+        color: #3b82f6;
+        cursor: pointer;
+        font-size: 0.85rem;
+        margin-top: 1rem;
+        padding: 0;
+        text-decoration: underline;
+    }
+    
+    .ticket-reference-hint {
+        font-size: 0.8rem;
+    }
+    
+    .ticket-status-badge {
+        text-transform: capitalize;
+        font-weight: 600;
+        color: #1f2937;
+    }
+    
+    .ticket-thread {
+        max-height: 220px;
+        overflow-y: auto;
+        margin-bottom: 1rem;
+    }
+    
+    .ticket-thread-message {
+        background: #f9fafb;
+        border-radius: 6px;
+        padding: 0.75rem;
+        margin-bottom: 0.5rem;
+    }
+    
+    .ticket-thread-message.staff {
+        background: #eff6ff;
+    }
+    
+    .ticket-thread-message p {
+        color: #374151;
+        margin: 0;
+        white-space: pre-wrap;
+    }
+    
+    .ticket-thread-meta {
+        display: flex;
+        justify-content: space-between;
+        font-size: 0.75rem;
+        color: #6b7280;
+        margin-bottom: 0.25rem;
+    }
+    
+    .ticket-closed-note {
+        color: #6b7280;
+        font-size: 0.85rem;
+    }
+
+    .chat-start-form {
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+        padding: 1rem;
+    }
+    
+    .chat-start-form input,
+    .chat-start-form textarea {
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        padding: 0.5rem;
+        font-size: 0.9rem;
+    }
+    
+    .chat-availability {
+        font-size: 0.85rem;
+        margin: 0;
+    }
+    
+    .chat-availability.online {
+        color: #059669;
+    }
+    
+    .chat-availability.offline {
+        color: #6b7280;
+    }
+    
+    .chat-status-bar {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.5rem 1rem;
+        font-size: 0.8rem;
+        color: #6b7280;
+        border-top: 1px solid #e5e7eb;
+    }
+    
+    .chat-status-bar .ticket-link {
+        margin: 0 0 0 0.5rem;
+    }
+    
+    .message.system-message .message-content {
+        background: transparent;
+        color: #6b7280;
+        font-style: italic;
+    }
+    
+    .bot-suggestions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin: 0 0 1rem 2.5rem;
+    }
+    
+    .bot-suggestion {
+        background: #eff6ff;
+        border: 1px solid #bfdbfe;
+        border-radius: 999px;
+        color: #1d4ed8;
+        cursor: pointer;
+        font-size: 0.8rem;
+        padding: 0.25rem 0.75rem;
+    }
 `;
 document.head.appendChild(style);